@@ -90,15 +90,27 @@ self.addEventListener('activate', (event) => {
 });
 
 // Push notification event
+// The server sends JSON: { title, body, url, tag, event }
 self.addEventListener('push', (event) => {
+  let message = {};
+  if (event.data) {
+    try {
+      message = event.data.json();
+    } catch {
+      message = { body: event.data.text() };
+    }
+  }
+
   const options = {
-    body: event.data ? event.data.text() : 'New notification from AutoFlow',
+    body: message.body || 'New notification from AutoFlow',
     icon: '/icons/icon-192x192.svg',
     badge: '/icons/icon-72x72.svg',
     vibrate: [200, 100, 200],
+    tag: message.tag,
     data: {
       dateOfArrival: Date.now(),
-      primaryKey: 1
+      url: message.url || '/dashboard',
+      event: message.event
     },
     actions: [
       {
@@ -113,17 +125,28 @@ self.addEventListener('push', (event) => {
   };
 
   event.waitUntil(
-    self.registration.showNotification('Social Media Automation', options)
+    self.registration.showNotification(message.title || 'Social Media Automation', options)
   );
 });
 
 // Notification click event
+// Focus an open tab and navigate it, or open a new one
 self.addEventListener('notificationclick', (event) => {
   event.notification.close();
 
-  if (event.action === 'explore') {
-    event.waitUntil(
-      self.clients.openWindow('/')
-    );
+  if (event.action === 'close') {
+    return;
   }
+
+  const url = new URL(event.notification.data?.url || '/', self.location.origin).href;
+
+  event.waitUntil(
+    self.clients.matchAll({ type: 'window' }).then((clients) => {
+      const client = clients.find((c) => c.url.startsWith(self.location.origin));
+      if (client) {
+        return client.focus().then((focused) => focused.navigate(url));
+      }
+      return self.clients.openWindow(url);
+    })
+  );
 });
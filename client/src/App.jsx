@@ -15,12 +15,22 @@ import LogsPage from './pages/LogsPage'
 import AIPostPage from './pages/AIPostPage'
 import DualPublishPage from './pages/DualPublishPage'
 import APIConfigPage from './pages/APIConfigPage'
+import ApprovalQueuePage from './pages/ApprovalQueuePage'
+import CommentRulesPage from './pages/CommentRulesPage'
+import ModerationPage from './pages/ModerationPage'
+import MessagesPage from './pages/MessagesPage'
+import DMCampaignsPage from './pages/DMCampaignsPage'
+import WebhooksPage from './pages/WebhooksPage'
+import WorkspacesPage from './pages/WorkspacesPage'
+import SchedulePage from './pages/SchedulePage'
+import InsightsPage from './pages/InsightsPage'
 import PricingPage from './pages/PricingPage'
 import FeaturesPage from './pages/FeaturesPage'
 import AboutPage from './pages/AboutPage'
 import ContactPage from './pages/ContactPage'
 import PrivacyPolicyPage from './pages/PrivacyPolicyPage'
 import TermsOfServicePage from './pages/TermsOfServicePage'
+import DataDeletionStatusPage from './pages/DataDeletionStatusPage'
 import ProtectedRoute from './components/ProtectedRoute'
 import TestSocketIO from './components/TestSocketIO'
 import { registerServiceWorker } from './utils/pwa'
@@ -56,6 +66,7 @@ function App() {
         <Route path="/contact" element={<ContactPage />} />
         <Route path="/privacy" element={<PrivacyPolicyPage />} />
         <Route path="/terms" element={<TermsOfServicePage />} />
+        <Route path="/data-deletion-status" element={<DataDeletionStatusPage />} />
         
         {/* Protected Routes */}
         <Route
@@ -121,6 +132,87 @@ function App() {
           }
         />
         
+        <Route
+          path="/approvals"
+          element={
+            <ProtectedRoute>
+              <ApprovalQueuePage />
+            </ProtectedRoute>
+          }
+        />
+        
+        <Route
+          path="/comment-rules"
+          element={
+            <ProtectedRoute>
+              <CommentRulesPage />
+            </ProtectedRoute>
+          }
+        />
+        
+        <Route
+          path="/moderation"
+          element={
+            <ProtectedRoute>
+              <ModerationPage />
+            </ProtectedRoute>
+          }
+        />
+        
+        <Route
+          path="/messages"
+          element={
+            <ProtectedRoute>
+              <MessagesPage />
+            </ProtectedRoute>
+          }
+        />
+        
+        <Route
+          path="/dm-campaigns"
+          element={
+            <ProtectedRoute>
+              <DMCampaignsPage />
+            </ProtectedRoute>
+          }
+        />
+        
+        <Route
+          path="/webhooks"
+          element={
+            <ProtectedRoute>
+              <WebhooksPage />
+            </ProtectedRoute>
+          }
+        />
+        
+        <Route
+          path="/workspaces"
+          element={
+            <ProtectedRoute>
+              <WorkspacesPage />
+            </ProtectedRoute>
+          }
+        />
+        
+        <Route
+          path="/schedule"
+          element={
+            <ProtectedRoute>
+              <SchedulePage />
+            </ProtectedRoute>
+          }
+        />
+        
+        <Route
+          path="/insights"
+          element={
+            <ProtectedRoute>
+              <InsightsPage />
+            </ProtectedRoute>
+          }
+        />
+        
         {/* Test Socket.IO */}
         <Route
           path="/test-socket"
@@ -1,8 +1,11 @@
 import { useState, useEffect } from 'react';
 import { useToast } from '../hooks/useToast';
-import api, { aiPostAPI } from '../utils/api';
+import api, { aiPostAPI, accountsAPI } from '../utils/api';
 import PostGenerationProgress from './PostGenerationProgress';
 import RecentPosts from './RecentPosts';
+import DraftReview from './DraftReview';
+
+const PLATFORM_NAMES = { instagram: 'Instagram', facebook: 'Facebook', twitter: 'X' };
 
 export default function AIPostGenerator() {
   const { showSuccess, showError } = useToast();
@@ -16,8 +19,15 @@ export default function AIPostGenerator() {
     brandVoice: '',
     topics: '',
     additionalContext: '',
-    autoPublish: true
+    autoPublish: true,
+    scheduledAt: '',
+    postType: 'image',
+    slideCount: 5,
+    shareToStory: false,
+    platform: 'instagram',
+    accountId: ''
   });
+  const [instagramAccounts, setInstagramAccounts] = useState([]);
   const [savedContext, setSavedContext] = useState(null);
   const [generatedPost, setGeneratedPost] = useState(null);
   const [postHistory, setPostHistory] = useState([]);
@@ -54,8 +64,23 @@ export default function AIPostGenerator() {
     fetchPostHistory();
     fetchPublishingLimit();
     fetchApiKeyStatus();
+    fetchInstagramAccounts();
   }, []);
 
+  const fetchInstagramAccounts = async () => {
+    try {
+      const response = await accountsAPI.getAccounts();
+      const accounts = (response.data.accounts || []).filter(account => account.platform === 'instagram');
+      setInstagramAccounts(accounts);
+      const active = accounts.find(account => account.isActive);
+      if (active) {
+        setFormData(prev => ({ ...prev, accountId: active.externalId }));
+      }
+    } catch (error) {
+      console.error('Failed to fetch Instagram accounts:', error);
+    }
+  };
+
   const fetchApiKeyStatus = async () => {
     try {
       const response = await aiPostAPI.getApiKeyStatus();
@@ -198,16 +223,25 @@ export default function AIPostGenerator() {
         brandVoice: formData.brandVoice,
         topics: formData.topics.split(',').map(t => t.trim()).filter(Boolean),
         additionalContext: formData.additionalContext,
-        autoPublish: formData.autoPublish
+        autoPublish: formData.autoPublish,
+        scheduledAt: formData.scheduledAt ? new Date(formData.scheduledAt).toISOString() : undefined,
+        postType: formData.postType,
+        slideCount: formData.postType === 'carousel' ? Number(formData.slideCount) : undefined,
+        shareToStory: formData.platform === 'instagram' && formData.shareToStory,
+        platform: formData.platform,
+        accountId: formData.platform === 'instagram' && formData.accountId ? formData.accountId : undefined
       });
 
       if (response.data.success) {
         setGeneratedPost(response.data.post);
         showSuccess(
-          formData.autoPublish 
-            ? 'Post generated and published successfully!' 
-            : 'Post generated successfully!'
+          response.data.post.status === 'scheduled'
+            ? `Post generated and scheduled for ${new Date(response.data.post.scheduledAt).toLocaleString()}`
+            : formData.autoPublish && !formData.scheduledAt
+              ? 'Post generated and published successfully!' 
+              : 'Post generated successfully!'
         );
+        setFormData(prev => ({ ...prev, scheduledAt: '' }));
         
         // Refresh history and context
         fetchPostHistory();
@@ -263,7 +297,7 @@ export default function AIPostGenerator() {
 
       <div className="generator-header">
         <h2>🤖 AI Post Generator</h2>
-        <p>Automatically generate and publish Instagram posts with AI</p>
+        <p>Automatically generate and publish Instagram, Facebook and X posts with AI</p>
       </div>
 
       {/* API Key Configuration Banner */}
@@ -405,6 +439,81 @@ export default function AIPostGenerator() {
             />
           </div>
 
+          <div className="form-group">
+            <label htmlFor="platform">
+              Publish To
+            </label>
+            <select
+              id="platform"
+              name="platform"
+              value={formData.platform}
+              onChange={handleInputChange}
+            >
+              <option value="instagram">Instagram</option>
+              <option value="facebook">Facebook Page</option>
+              <option value="twitter">X</option>
+            </select>
+            <small>
+              {formData.platform === 'twitter'
+                ? 'Long captions are posted as a numbered thread with only the first hashtags. Carousels attach up to 4 images per post.'
+                : 'Facebook posts go to the Page selected in the Configuration tab. Carousels are published as multi-photo posts.'}
+            </small>
+          </div>
+
+          {formData.platform === 'instagram' && instagramAccounts.length > 1 && (
+            <div className="form-group">
+              <label htmlFor="accountId">
+                Instagram Account
+              </label>
+              <select
+                id="accountId"
+                name="accountId"
+                value={formData.accountId}
+                onChange={handleInputChange}
+              >
+                {instagramAccounts.map(account => (
+                  <option key={account.id} value={account.externalId}>
+                    {account.name}{account.isActive ? ' (active)' : ''}
+                  </option>
+                ))}
+              </select>
+              <small>Switching the active account is done on the Configuration page</small>
+            </div>
+          )}
+
+          <div className="form-group">
+            <label htmlFor="postType">
+              Post Format
+            </label>
+            <select
+              id="postType"
+              name="postType"
+              value={formData.postType}
+              onChange={handleInputChange}
+            >
+              <option value="image">Single image</option>
+              <option value="carousel">Carousel (multiple slides)</option>
+            </select>
+          </div>
+
+          {formData.postType === 'carousel' && (
+            <div className="form-group">
+              <label htmlFor="slideCount">
+                Number of Slides
+              </label>
+              <input
+                type="number"
+                id="slideCount"
+                name="slideCount"
+                min="2"
+                max="10"
+                value={formData.slideCount}
+                onChange={handleInputChange}
+              />
+              <small>Each slide gets its own AI image. More slides take longer to generate.</small>
+            </div>
+          )}
+
           <div className="form-group checkbox-group">
             <label>
               <input
@@ -413,10 +522,39 @@ export default function AIPostGenerator() {
                 checked={formData.autoPublish}
                 onChange={handleInputChange}
               />
-              <span>Automatically publish to Instagram</span>
+              <span>Automatically publish to {PLATFORM_NAMES[formData.platform]}</span>
             </label>
             <small>If unchecked, post will be saved as draft for review</small>
           </div>
+
+          {formData.platform === 'instagram' && (
+            <div className="form-group checkbox-group">
+              <label>
+                <input
+                  type="checkbox"
+                  name="shareToStory"
+                  checked={formData.shareToStory}
+                  onChange={handleInputChange}
+                />
+                <span>Also share to Instagram Story</span>
+              </label>
+              <small>A 9:16 Story version of the image is posted when the post is published</small>
+            </div>
+          )}
+
+          <div className="form-group">
+            <label htmlFor="scheduledAt">
+              Schedule for later
+            </label>
+            <input
+              type="datetime-local"
+              id="scheduledAt"
+              name="scheduledAt"
+              value={formData.scheduledAt}
+              onChange={handleInputChange}
+            />
+            <small>Leave empty to publish now. Scheduled posts are published automatically at this time.</small>
+          </div>
         </div>
 
         <div className="button-group">
@@ -466,7 +604,22 @@ export default function AIPostGenerator() {
               <h4>Caption:</h4>
               <p>{generatedPost.fullCaption}</p>
             </div>
-            {generatedPost.imageUrl && (
+            {generatedPost.mediaType === 'carousel' && generatedPost.slides?.length > 0 && (
+              <div className="post-image">
+                <h4>Slides ({generatedPost.slides.length}):</h4>
+                <div className="flex gap-3 overflow-x-auto pb-2">
+                  {generatedPost.slides.map((slide, index) => (
+                    <div key={index} className="w-40 flex-shrink-0">
+                      {slide.imageUrl
+                        ? <img src={slide.imageUrl} alt={`Slide ${index + 1}`} className="w-40 h-40 object-cover rounded" />
+                        : <div className="w-40 h-40 rounded bg-gray-100 flex items-center justify-center text-xs text-gray-500">Upload failed</div>}
+                      <p className="text-xs text-gray-600 mt-1 whitespace-pre-line">{slide.caption}</p>
+                    </div>
+                  ))}
+                </div>
+              </div>
+            )}
+            {generatedPost.mediaType !== 'carousel' && generatedPost.imageUrl && (
               <div className="post-image">
                 <h4>Image:</h4>
                 <img src={generatedPost.imageUrl} alt="Generated post" />
@@ -486,6 +639,11 @@ export default function AIPostGenerator() {
         </div>
       )}
 
+      {/* Drafts waiting for review */}
+      <div className="mt-8">
+        <DraftReview refreshTrigger={refreshPosts} onPublished={() => setRefreshPosts(prev => prev + 1)} />
+      </div>
+
       {/* Recent Posts with Real-time Updates */}
       <div className="mt-8">
         {console.log('[AIPostGenerator] Rendering RecentPosts, refreshTrigger:', refreshPosts)}
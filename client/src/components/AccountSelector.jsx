@@ -0,0 +1,160 @@
+import { useState, useEffect, useCallback } from 'react';
+import { useApp } from '../context/AppContext';
+import { accountsAPI } from '../utils/api';
+
+const PLATFORMS = {
+  instagram: { label: 'Instagram', noun: 'account', icon: '📸', accent: 'from-pink-500 to-purple-600' },
+  youtube: { label: 'YouTube', noun: 'channel', icon: '▶️', accent: 'from-red-500 to-red-700' }
+};
+
+function errorMessage(err, fallback) {
+  return err.response?.data?.error || err.message || fallback;
+}
+
+function formatDate(value) {
+  return value ? new Date(value).toLocaleDateString() : null;
+}
+
+/**
+ * Connected accounts of one platform: switch the active one, disconnect, connect another
+ * Switching reloads the page so every panel reads the new account
+ */
+function AccountSelector({ platform }) {
+  const { toast } = useApp();
+  const { showError } = toast;
+  const { label, noun, icon, accent } = PLATFORMS[platform];
+  const [accounts, setAccounts] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [busyId, setBusyId] = useState(null);
+
+  const loadAccounts = useCallback(async () => {
+    try {
+      const response = await accountsAPI.getAccounts();
+      setAccounts((response.data.accounts || []).filter(account => account.platform === platform));
+    } catch (err) {
+      showError(errorMessage(err, `Failed to load ${label} ${noun}s`));
+    } finally {
+      setLoading(false);
+    }
+  }, [platform, label, noun, showError]);
+
+  useEffect(() => {
+    loadAccounts();
+  }, [loadAccounts]);
+
+  const handleSwitch = async (account) => {
+    setBusyId(account.id);
+    try {
+      await accountsAPI.switchAccount(account.id);
+      window.location.reload();
+    } catch (err) {
+      showError(errorMessage(err, `Failed to switch ${noun}`));
+      setBusyId(null);
+    }
+  };
+
+  const handleRemove = async (account) => {
+    if (!window.confirm(`Disconnect ${account.name}? Scheduled posts for this ${noun} will fail.`)) {
+      return;
+    }
+
+    setBusyId(account.id);
+    try {
+      await accountsAPI.removeAccount(account.id);
+      if (account.isActive) {
+        window.location.reload();
+        return;
+      }
+      toast.showSuccess(`${account.name} disconnected`);
+      await loadAccounts();
+    } catch (err) {
+      showError(errorMessage(err, `Failed to disconnect ${noun}`));
+    } finally {
+      setBusyId(null);
+    }
+  };
+
+  const handleConnect = async () => {
+    setBusyId('connect');
+    try {
+      const response = await accountsAPI.getConnectUrl(platform);
+      window.location.href = response.data.authUrl;
+    } catch (err) {
+      showError(errorMessage(err, 'Failed to get authorization URL'));
+      setBusyId(null);
+    }
+  };
+
+  return (
+    <div className="space-y-4">
+      <div className="flex items-center justify-between">
+        <div className="flex items-center space-x-3">
+          <div className={`w-10 h-10 rounded-xl bg-linear-to-br ${accent} flex items-center justify-center text-xl shadow`}>
+            {icon}
+          </div>
+          <div>
+            <h2 className="text-lg font-semibold text-gray-900">{label} {noun}s</h2>
+            <p className="text-sm text-gray-500">
+              Automation and publishing use the active {noun}; settings are kept per {noun}
+            </p>
+          </div>
+        </div>
+        <button
+          onClick={handleConnect}
+          disabled={busyId !== null}
+          className="px-4 py-2 text-sm font-medium text-white bg-blue-600 hover:bg-blue-700 rounded-lg transition-colors disabled:opacity-50 disabled:cursor-not-allowed"
+        >
+          {busyId === 'connect' ? 'Redirecting...' : `Connect another ${noun}`}
+        </button>
+      </div>
+
+      {loading ? (
+        <div className="flex items-center justify-center py-6">
+          <div className="animate-spin rounded-full h-6 w-6 border-b-2 border-blue-500"></div>
+          <span className="ml-3 text-gray-500">Loading {noun}s...</span>
+        </div>
+      ) : accounts.length === 0 ? (
+        <p className="py-4 text-center text-gray-500">No {label} {noun} connected yet.</p>
+      ) : (
+        <ul className="divide-y divide-gray-100 border border-gray-200 rounded-xl">
+          {accounts.map(account => (
+            <li key={account.id} className="flex items-center justify-between p-4">
+              <div>
+                <div className="flex items-center space-x-2">
+                  <span className="font-medium text-gray-900">{account.name}</span>
+                  {account.isActive && (
+                    <span className="px-2 py-0.5 text-xs font-medium rounded-full bg-green-100 text-green-700">Active</span>
+                  )}
+                </div>
+                <p className="text-xs text-gray-500 mt-1">
+                  ID {account.externalId}
+                  {account.tokenExpiresAt && ` · token expires ${formatDate(account.tokenExpiresAt)}`}
+                </p>
+              </div>
+              <div className="flex items-center space-x-2">
+                {!account.isActive && (
+                  <button
+                    onClick={() => handleSwitch(account)}
+                    disabled={busyId !== null}
+                    className="px-3 py-1.5 text-sm font-medium text-blue-700 bg-blue-50 hover:bg-blue-100 rounded-lg transition-colors disabled:opacity-50"
+                  >
+                    {busyId === account.id ? 'Switching...' : 'Switch'}
+                  </button>
+                )}
+                <button
+                  onClick={() => handleRemove(account)}
+                  disabled={busyId !== null}
+                  className="px-3 py-1.5 text-sm font-medium text-red-600 bg-red-50 hover:bg-red-100 rounded-lg transition-colors disabled:opacity-50"
+                >
+                  Remove
+                </button>
+              </div>
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+}
+
+export default AccountSelector;
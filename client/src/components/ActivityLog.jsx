@@ -157,6 +157,7 @@ const ActivityLog = ({ isAutomationActive }) => {
       reply_generated: 'bg-purple-100 text-purple-800 border-purple-200',
       reply_posted: 'bg-green-100 text-green-800 border-green-200',
       error: 'bg-red-100 text-red-800 border-red-200',
+      audit: 'bg-amber-100 text-amber-800 border-amber-200',
       info: 'bg-gray-100 text-gray-800 border-gray-200'
     };
     
@@ -233,6 +234,7 @@ const ActivityLog = ({ isAutomationActive }) => {
               <option value="reply_posted">Reply Posted</option>
               <option value="error">Error</option>
               <option value="info">Info</option>
+              <option value="audit">Workspace Changes</option>
             </select>
           </div>
 
@@ -1,5 +1,5 @@
-import { useState } from 'react';
-import { automationAPI } from '../utils/api';
+import { useState, useEffect } from 'react';
+import { automationAPI, configAPI } from '../utils/api';
 import { useApp } from '../context/AppContext';
 import PostSelector from './PostSelector';
 
@@ -8,6 +8,32 @@ const AutomationControl = () => {
   const [loading, setLoading] = useState(false);
   const [selectedPosts, setSelectedPosts] = useState([]);
   const [showPostSelector, setShowPostSelector] = useState(false);
+  const [commentSource, setCommentSource] = useState('polling');
+  const [savingSource, setSavingSource] = useState(false);
+
+  // Load the comment detection mode
+  useEffect(() => {
+    configAPI.getCommentSource()
+      .then((response) => setCommentSource(response.data.commentSource || 'polling'))
+      .catch((err) => console.error('Error loading comment source:', err));
+  }, []);
+
+  // Switch between polling and webhook-driven detection
+  const handleSourceChange = async (source) => {
+    if (source === commentSource) return;
+    setSavingSource(true);
+
+    try {
+      await configAPI.saveCommentSource(source);
+      setCommentSource(source);
+      toast.showSuccess(source === 'webhook' ? 'Comments will be detected via webhooks' : 'Comments will be detected via polling');
+    } catch (err) {
+      console.error('Error saving comment source:', err);
+      toast.showError(err.message || 'Failed to update comment source');
+    } finally {
+      setSavingSource(false);
+    }
+  };
 
   // Toggle automation on/off
   const handleToggle = async () => {
@@ -93,6 +119,35 @@ const AutomationControl = () => {
         </button>
       </div>
       
+      {/* Comment Source */}
+      <div className="mb-6">
+        <p className="text-sm font-medium text-gray-700 mb-2">Comment Detection</p>
+        <div className="inline-flex rounded-lg border border-gray-200 overflow-hidden">
+          {[
+            { value: 'polling', label: 'Polling' },
+            { value: 'webhook', label: 'Webhooks (real-time)' }
+          ].map((option) => (
+            <button
+              key={option.value}
+              onClick={() => handleSourceChange(option.value)}
+              disabled={savingSource}
+              className={`px-4 py-2 text-sm font-medium transition-colors ${
+                commentSource === option.value
+                  ? 'bg-blue-600 text-white'
+                  : 'bg-white text-gray-700 hover:bg-gray-50'
+              }`}
+            >
+              {option.label}
+            </button>
+          ))}
+        </div>
+        {commentSource === 'webhook' && (
+          <p className="text-xs text-gray-500 mt-2">
+            Requires the Meta webhook to be subscribed to the comments field. A slow reconciliation sweep still runs to catch missed events.
+          </p>
+        )}
+      </div>
+
       {/* Statistics */}
       <div className="grid grid-cols-1 sm:grid-cols-2 lg:grid-cols-3 gap-4">
         <div className="bg-blue-50 rounded-lg p-4 border border-blue-200">
@@ -142,7 +197,7 @@ const AutomationControl = () => {
         {automationStatus.isRunning && (
           <div className="mt-4 p-3 bg-blue-50 border border-blue-200 rounded-md">
             <p className="text-sm text-blue-800">
-              <span className="font-semibold">ℹ️ Automation is running:</span> The system is checking for new comments every 30 seconds and will automatically generate and post replies.
+              <span className="font-semibold">ℹ️ Automation is running:</span> {commentSource === 'webhook' ? ' New comments are received in real time via webhooks' : ' The system is checking for new comments every 30 seconds'} and will automatically generate and post replies.
               {selectedPosts.length > 0 && (
                 <span> Monitoring {selectedPosts.length} selected post(s).</span>
               )}
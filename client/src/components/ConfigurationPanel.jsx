@@ -3,6 +3,8 @@ import { useNavigate, useLocation } from 'react-router-dom';
 import api from '../utils/api';
 import { useToast } from '../hooks/useToast';
 import ToastContainer from './ToastContainer';
+import MediaStorageSettings from './MediaStorageSettings';
+import NotificationSettings from './NotificationSettings';
 
 const ConfigurationPanel = () => {
   const navigate = useNavigate();
@@ -20,13 +22,36 @@ const ConfigurationPanel = () => {
     channelName: null,
     channelId: null
   });
+  const [facebookStatus, setFacebookStatus] = useState({
+    connected: false,
+    needsPageSelection: false,
+    userName: null,
+    pageId: null,
+    pageName: null
+  });
+  // Pages the user can pick from, loaded when choosing or changing the Page
+  const [facebookPages, setFacebookPages] = useState(null);
+  const [twitterStatus, setTwitterStatus] = useState({
+    connected: false,
+    username: null,
+    name: null
+  });
+  const [linkedinStatus, setLinkedinStatus] = useState({
+    connected: false,
+    memberName: null,
+    tokenExpiresAt: null
+  });
+  const [threadsStatus, setThreadsStatus] = useState({
+    connected: false,
+    username: null
+  });
 
   const checkConnectionStatus = useCallback(async () => {
     try {
       const response = await api.get('/api/credentials');
 
       if (response.data.success) {
-        const { instagram, youtube } = response.data.credentials;
+        const { instagram, youtube, facebook, twitter, linkedin, threads } = response.data.credentials;
         
         setInstagramStatus({
           connected: instagram?.configured || false,
@@ -39,6 +64,31 @@ const ConfigurationPanel = () => {
           channelName: youtube?.channelName || null,
           channelId: youtube?.channelId || null
         });
+
+        setFacebookStatus({
+          connected: facebook?.configured || false,
+          needsPageSelection: facebook?.needsPageSelection || false,
+          userName: facebook?.userName || null,
+          pageId: facebook?.pageId || null,
+          pageName: facebook?.pageName || null
+        });
+
+        setTwitterStatus({
+          connected: twitter?.configured || false,
+          username: twitter?.username || null,
+          name: twitter?.name || null
+        });
+
+        setLinkedinStatus({
+          connected: linkedin?.configured || false,
+          memberName: linkedin?.memberName || null,
+          tokenExpiresAt: linkedin?.tokenExpiresAt || null
+        });
+
+        setThreadsStatus({
+          connected: threads?.configured || false,
+          username: threads?.username || null
+        });
       }
     } catch (error) {
       console.error('Error checking connection status:', error);
@@ -81,6 +131,47 @@ const ConfigurationPanel = () => {
       shouldResetUrl = true;
     }
 
+    const facebookResult = urlParams.get('facebook');
+    if (facebookResult === 'success') {
+      showSuccess(`Facebook connected successfully! Page: ${urlParams.get('page')}`);
+      timers.push(setTimeout(() => checkConnectionStatus(), 1000));
+      shouldResetUrl = true;
+    } else if (facebookResult === 'select-page') {
+      showSuccess('Facebook connected! Choose the Page to publish to.');
+      timers.push(setTimeout(() => checkConnectionStatus(), 1000));
+      shouldResetUrl = true;
+    } else if (facebookResult === 'error') {
+      showError(`Facebook connection failed: ${urlParams.get('message')}`);
+      shouldResetUrl = true;
+    }
+
+    if (urlParams.get('twitter') === 'success') {
+      showSuccess(`X connected successfully! Account: @${urlParams.get('account')}`);
+      timers.push(setTimeout(() => checkConnectionStatus(), 1000));
+      shouldResetUrl = true;
+    } else if (urlParams.get('twitter') === 'error') {
+      showError(`X connection failed: ${urlParams.get('message')}`);
+      shouldResetUrl = true;
+    }
+
+    if (urlParams.get('linkedin') === 'success') {
+      showSuccess(`LinkedIn connected successfully! Account: ${urlParams.get('account')}`);
+      timers.push(setTimeout(() => checkConnectionStatus(), 1000));
+      shouldResetUrl = true;
+    } else if (urlParams.get('linkedin') === 'error') {
+      showError(`LinkedIn connection failed: ${urlParams.get('message')}`);
+      shouldResetUrl = true;
+    }
+
+    if (urlParams.get('threads') === 'success') {
+      showSuccess(`Threads connected successfully! Account: @${urlParams.get('account')}`);
+      timers.push(setTimeout(() => checkConnectionStatus(), 1000));
+      shouldResetUrl = true;
+    } else if (urlParams.get('threads') === 'error') {
+      showError(`Threads connection failed: ${urlParams.get('message')}`);
+      shouldResetUrl = true;
+    }
+
     if (shouldResetUrl) {
       navigate('/configuration', { replace: true });
     }
@@ -142,6 +233,87 @@ const ConfigurationPanel = () => {
     }
   };
 
+  const handleFacebookLogin = async () => {
+    setLoading(true);
+    try {
+      const response = await api.get('/api/oauth/facebook/auth-url');
+
+      if (response.data.success) {
+        showSuccess('Redirecting to Facebook...');
+        window.location.href = response.data.authUrl;
+      } else {
+        showError(response.data.error || 'Failed to get authorization URL');
+        setLoading(false);
+      }
+    } catch (error) {
+      const errorMsg = error.response?.data?.error || 'Failed to initiate Facebook login';
+
+      if (errorMsg.includes('not configured') || errorMsg.includes('FACEBOOK_APP_ID')) {
+        showError('Facebook OAuth not configured. Please contact your administrator.');
+      } else {
+        showError(errorMsg);
+      }
+      setLoading(false);
+    }
+  };
+
+  // Connection flows that only redirect to the network and back
+  const startOAuthLogin = async (platform, name, envName) => {
+    setLoading(true);
+    try {
+      const response = await api.get(`/api/oauth/${platform}/auth-url`);
+
+      if (response.data.success) {
+        showSuccess(`Redirecting to ${name}...`);
+        window.location.href = response.data.authUrl;
+      } else {
+        showError(response.data.error || 'Failed to get authorization URL');
+        setLoading(false);
+      }
+    } catch (error) {
+      const errorMsg = error.response?.data?.error || `Failed to initiate ${name} login`;
+
+      if (errorMsg.includes('not configured') || errorMsg.includes(envName)) {
+        showError(`${name} OAuth not configured. Please contact your administrator.`);
+      } else {
+        showError(errorMsg);
+      }
+      setLoading(false);
+    }
+  };
+
+  const loadFacebookPages = useCallback(async () => {
+    try {
+      const response = await api.get('/api/oauth/facebook/pages');
+      if (response.data.success) {
+        setFacebookPages(response.data.pages);
+      }
+    } catch (error) {
+      showError(error.response?.data?.error || 'Failed to load Facebook Pages');
+    }
+  }, [showError]);
+
+  // A user with several Pages picks one after logging in
+  useEffect(() => {
+    if (facebookStatus.needsPageSelection && !facebookPages) {
+      loadFacebookPages();
+    }
+  }, [facebookStatus.needsPageSelection, facebookPages, loadFacebookPages]);
+
+  const handleSelectFacebookPage = async (pageId) => {
+    setLoading(true);
+    try {
+      const response = await api.post('/api/oauth/facebook/page', { pageId });
+      showSuccess(`Publishing to ${response.data.page.name}`);
+      setFacebookPages(null);
+      await checkConnectionStatus();
+    } catch (error) {
+      showError(error.response?.data?.error || 'Failed to select Facebook Page');
+    } finally {
+      setLoading(false);
+    }
+  };
+
   const handleDisconnect = async (platform) => {
     if (!window.confirm(`Are you sure you want to disconnect ${platform}?`)) {
       return;
@@ -256,6 +428,294 @@ const ConfigurationPanel = () => {
           )}
         </div>
 
+        {/* Facebook Page Connection */}
+        <div className="border border-gray-200 rounded-lg p-6">
+          <div className="flex items-start justify-between mb-4">
+            <div className="flex items-center space-x-3">
+              <div className="w-12 h-12 bg-blue-600 rounded-lg flex items-center justify-center">
+                <span className="text-2xl">📘</span>
+              </div>
+              <div>
+                <h3 className="text-lg font-semibold text-gray-900">Facebook</h3>
+                <p className="text-sm text-gray-500">Publish to a Facebook Page</p>
+              </div>
+            </div>
+            {facebookStatus.connected && (
+              <span className="px-3 py-1 bg-green-100 text-green-800 text-xs font-medium rounded-full">
+                ✓ Connected
+              </span>
+            )}
+          </div>
+
+          {facebookPages ? (
+            <div className="space-y-3">
+              <p className="text-sm text-gray-600">
+                {facebookStatus.userName ? `Pages managed by ${facebookStatus.userName}` : 'Choose the Page to publish to'}
+              </p>
+              {facebookPages.length === 0 && (
+                <p className="text-sm text-gray-500">No Pages found that you can publish to.</p>
+              )}
+              {facebookPages.map((page) => (
+                <button
+                  key={page.id}
+                  onClick={() => handleSelectFacebookPage(page.id)}
+                  disabled={loading}
+                  className={`w-full flex items-center gap-3 p-3 border rounded-md text-left hover:bg-blue-50 disabled:opacity-50 transition ${
+                    page.id === facebookStatus.pageId ? 'border-blue-500 bg-blue-50' : 'border-gray-200'
+                  }`}
+                >
+                  {page.pictureUrl && <img src={page.pictureUrl} alt="" className="w-8 h-8 rounded-full" />}
+                  <div>
+                    <p className="font-medium text-gray-900">{page.name}</p>
+                    {page.category && <p className="text-xs text-gray-500">{page.category}</p>}
+                  </div>
+                </button>
+              ))}
+              {facebookStatus.connected && (
+                <button
+                  onClick={() => setFacebookPages(null)}
+                  className="text-sm text-gray-600 hover:text-gray-900"
+                >
+                  Cancel
+                </button>
+              )}
+            </div>
+          ) : facebookStatus.connected ? (
+            <div className="space-y-4">
+              <div className="bg-gray-50 rounded-md p-4">
+                <p className="text-sm text-gray-600 mb-1">Page</p>
+                <p className="font-medium text-gray-900">{facebookStatus.pageName || 'Facebook Page'}</p>
+                {facebookStatus.pageId && (
+                  <p className="text-xs text-gray-500 mt-1">ID: {facebookStatus.pageId}</p>
+                )}
+              </div>
+              <div className="flex gap-3">
+                <button
+                  onClick={loadFacebookPages}
+                  disabled={loading}
+                  className="flex-1 px-4 py-2 bg-blue-600 text-white rounded-md hover:bg-blue-700 disabled:opacity-50 disabled:cursor-not-allowed transition font-medium"
+                >
+                  Change Page
+                </button>
+                <button
+                  onClick={() => handleDisconnect('facebook')}
+                  disabled={loading}
+                  className="px-4 py-2 border border-red-300 text-red-700 rounded-md hover:bg-red-50 disabled:opacity-50 disabled:cursor-not-allowed transition font-medium"
+                >
+                  Disconnect
+                </button>
+              </div>
+            </div>
+          ) : (
+            <div className="space-y-4">
+              <div className="bg-blue-50 border border-blue-200 rounded-md p-4">
+                <p className="text-sm text-blue-800 mb-2">
+                  Click below to connect a Facebook Page via OAuth. You'll be redirected to Facebook, then choose the Page to publish to.
+                </p>
+                <p className="text-xs text-blue-700 font-medium mb-1">Required Permissions:</p>
+                <ul className="text-xs text-blue-600 space-y-0.5 ml-4">
+                  <li>• List the Pages you manage</li>
+                  <li>• Publish photos, videos and Reels</li>
+                  <li>• Read Page post links</li>
+                </ul>
+              </div>
+              <button
+                onClick={handleFacebookLogin}
+                disabled={loading}
+                className="w-full px-6 py-3 bg-blue-600 text-white rounded-md hover:bg-blue-700 disabled:opacity-50 disabled:cursor-not-allowed transition font-medium text-lg"
+              >
+                {loading ? 'Connecting...' : 'Login with Facebook'}
+              </button>
+            </div>
+          )}
+        </div>
+
+        {/* X Connection */}
+        <div className="border border-gray-200 rounded-lg p-6">
+          <div className="flex items-start justify-between mb-4">
+            <div className="flex items-center space-x-3">
+              <div className="w-12 h-12 bg-black rounded-lg flex items-center justify-center">
+                <span className="text-2xl font-bold text-white">𝕏</span>
+              </div>
+              <div>
+                <h3 className="text-lg font-semibold text-gray-900">X</h3>
+                <p className="text-sm text-gray-500">Publish posts and threads to X</p>
+              </div>
+            </div>
+            {twitterStatus.connected && (
+              <span className="px-3 py-1 bg-green-100 text-green-800 text-xs font-medium rounded-full">
+                ✓ Connected
+              </span>
+            )}
+          </div>
+
+          {twitterStatus.connected ? (
+            <div className="space-y-4">
+              <div className="bg-gray-50 rounded-md p-4">
+                <p className="text-sm text-gray-600 mb-1">Account</p>
+                <p className="font-medium text-gray-900">@{twitterStatus.username}</p>
+                {twitterStatus.name && (
+                  <p className="text-xs text-gray-500 mt-1">{twitterStatus.name}</p>
+                )}
+              </div>
+              <button
+                onClick={() => handleDisconnect('twitter')}
+                disabled={loading}
+                className="w-full px-4 py-2 border border-red-300 text-red-700 rounded-md hover:bg-red-50 disabled:opacity-50 disabled:cursor-not-allowed transition font-medium"
+              >
+                Disconnect
+              </button>
+            </div>
+          ) : (
+            <div className="space-y-4">
+              <div className="bg-gray-50 border border-gray-200 rounded-md p-4">
+                <p className="text-sm text-gray-800 mb-2">
+                  Click below to connect your X account via OAuth. Long captions are posted as a thread.
+                </p>
+                <p className="text-xs text-gray-700 font-medium mb-1">Required Permissions:</p>
+                <ul className="text-xs text-gray-600 space-y-0.5 ml-4">
+                  <li>• Post and read posts</li>
+                  <li>• Upload images and videos</li>
+                  <li>• Stay connected (refresh access)</li>
+                </ul>
+              </div>
+              <button
+                onClick={() => startOAuthLogin('twitter', 'X', 'TWITTER_CLIENT_ID')}
+                disabled={loading}
+                className="w-full px-6 py-3 bg-black text-white rounded-md hover:bg-gray-800 disabled:opacity-50 disabled:cursor-not-allowed transition font-medium text-lg"
+              >
+                {loading ? 'Connecting...' : 'Login with X'}
+              </button>
+            </div>
+          )}
+        </div>
+
+        {/* LinkedIn Connection */}
+        <div className="border border-gray-200 rounded-lg p-6">
+          <div className="flex items-start justify-between mb-4">
+            <div className="flex items-center space-x-3">
+              <div className="w-12 h-12 bg-sky-700 rounded-lg flex items-center justify-center">
+                <span className="text-xl font-bold text-white">in</span>
+              </div>
+              <div>
+                <h3 className="text-lg font-semibold text-gray-900">LinkedIn</h3>
+                <p className="text-sm text-gray-500">Share videos with your professional network</p>
+              </div>
+            </div>
+            {linkedinStatus.connected && (
+              <span className="px-3 py-1 bg-green-100 text-green-800 text-xs font-medium rounded-full">
+                ✓ Connected
+              </span>
+            )}
+          </div>
+
+          {linkedinStatus.connected ? (
+            <div className="space-y-4">
+              <div className="bg-gray-50 rounded-md p-4">
+                <p className="text-sm text-gray-600 mb-1">Member</p>
+                <p className="font-medium text-gray-900">{linkedinStatus.memberName}</p>
+                {linkedinStatus.tokenExpiresAt && (
+                  <p className="text-xs text-gray-500 mt-1">
+                    Access expires {new Date(linkedinStatus.tokenExpiresAt).toLocaleDateString()} — reconnect after that
+                  </p>
+                )}
+              </div>
+              <div className="flex gap-3">
+                <button
+                  onClick={() => startOAuthLogin('linkedin', 'LinkedIn', 'LINKEDIN_CLIENT_ID')}
+                  disabled={loading}
+                  className="flex-1 px-4 py-2 bg-sky-700 text-white rounded-md hover:bg-sky-800 disabled:opacity-50 disabled:cursor-not-allowed transition font-medium"
+                >
+                  Reconnect
+                </button>
+                <button
+                  onClick={() => handleDisconnect('linkedin')}
+                  disabled={loading}
+                  className="px-4 py-2 border border-red-300 text-red-700 rounded-md hover:bg-red-50 disabled:opacity-50 disabled:cursor-not-allowed transition font-medium"
+                >
+                  Disconnect
+                </button>
+              </div>
+            </div>
+          ) : (
+            <div className="space-y-4">
+              <div className="bg-sky-50 border border-sky-200 rounded-md p-4">
+                <p className="text-sm text-sky-800 mb-2">
+                  Click below to connect your LinkedIn profile via OAuth. Videos are posted with the long description and a few hashtags.
+                </p>
+                <p className="text-xs text-sky-700 font-medium mb-1">Required Permissions:</p>
+                <ul className="text-xs text-sky-600 space-y-0.5 ml-4">
+                  <li>• Use your name and profile</li>
+                  <li>• Create posts on your behalf</li>
+                </ul>
+              </div>
+              <button
+                onClick={() => startOAuthLogin('linkedin', 'LinkedIn', 'LINKEDIN_CLIENT_ID')}
+                disabled={loading}
+                className="w-full px-6 py-3 bg-sky-700 text-white rounded-md hover:bg-sky-800 disabled:opacity-50 disabled:cursor-not-allowed transition font-medium text-lg"
+              >
+                {loading ? 'Connecting...' : 'Login with LinkedIn'}
+              </button>
+            </div>
+          )}
+        </div>
+
+        {/* Threads Connection */}
+        <div className="border border-gray-200 rounded-lg p-6">
+          <div className="flex items-start justify-between mb-4">
+            <div className="flex items-center space-x-3">
+              <div className="w-12 h-12 bg-gray-900 rounded-lg flex items-center justify-center">
+                <span className="text-2xl font-bold text-white">@</span>
+              </div>
+              <div>
+                <h3 className="text-lg font-semibold text-gray-900">Threads</h3>
+                <p className="text-sm text-gray-500">Publish short video posts to Threads</p>
+              </div>
+            </div>
+            {threadsStatus.connected && (
+              <span className="px-3 py-1 bg-green-100 text-green-800 text-xs font-medium rounded-full">
+                ✓ Connected
+              </span>
+            )}
+          </div>
+
+          {threadsStatus.connected ? (
+            <div className="space-y-4">
+              <div className="bg-gray-50 rounded-md p-4">
+                <p className="text-sm text-gray-600 mb-1">Account</p>
+                <p className="font-medium text-gray-900">@{threadsStatus.username}</p>
+              </div>
+              <button
+                onClick={() => handleDisconnect('threads')}
+                disabled={loading}
+                className="w-full px-4 py-2 border border-red-300 text-red-700 rounded-md hover:bg-red-50 disabled:opacity-50 disabled:cursor-not-allowed transition font-medium"
+              >
+                Disconnect
+              </button>
+            </div>
+          ) : (
+            <div className="space-y-4">
+              <div className="bg-gray-50 border border-gray-200 rounded-md p-4">
+                <p className="text-sm text-gray-800 mb-2">
+                  Click below to connect your Threads profile via OAuth. Captions are shortened to 500 characters with one topic tag.
+                </p>
+                <p className="text-xs text-gray-700 font-medium mb-1">Required Permissions:</p>
+                <ul className="text-xs text-gray-600 space-y-0.5 ml-4">
+                  <li>• Read your Threads profile</li>
+                  <li>• Publish posts</li>
+                </ul>
+              </div>
+              <button
+                onClick={() => startOAuthLogin('threads', 'Threads', 'THREADS_APP_ID')}
+                disabled={loading}
+                className="w-full px-6 py-3 bg-gray-900 text-white rounded-md hover:bg-black disabled:opacity-50 disabled:cursor-not-allowed transition font-medium text-lg"
+              >
+                {loading ? 'Connecting...' : 'Login with Threads'}
+              </button>
+            </div>
+          )}
+        </div>
+
         {/* YouTube Connection */}
         <div className="border border-gray-200 rounded-lg p-6">
           <div className="flex items-start justify-between mb-4">
@@ -328,6 +788,12 @@ const ConfigurationPanel = () => {
           )}
         </div>
 
+        {/* Media Hosting */}
+        <MediaStorageSettings showSuccess={showSuccess} showError={showError} />
+
+        {/* Push Notifications */}
+        <NotificationSettings showSuccess={showSuccess} showError={showError} />
+
         {/* Info Section */}
         <div className="bg-blue-50 border border-blue-200 rounded-lg p-4">
           <div className="flex items-start">
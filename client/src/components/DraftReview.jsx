@@ -0,0 +1,357 @@
+import { useState, useEffect, useCallback } from 'react';
+import { useToast } from '../hooks/useToast';
+import { aiPostAPI, scheduleAPI } from '../utils/api';
+
+const STATUS_BADGES = {
+  draft: 'bg-gray-100 text-gray-800',
+  failed: 'bg-red-100 text-red-800',
+  scheduled: 'bg-emerald-100 text-emerald-800'
+};
+
+const VERSION_LABELS = {
+  generated: 'Generated',
+  edit: 'Edited',
+  regenerate_caption: 'New caption',
+  regenerate_hashtags: 'New hashtags',
+  regenerate_image: 'New image',
+  restore: 'Restored'
+};
+
+function postToForm(post) {
+  return {
+    text: post.text,
+    hashtags: post.hashtags,
+    imagePrompt: post.imagePrompt || '',
+    slideCaptions: (post.slides || []).map((slide) => slide.caption || ''),
+    shareToStory: Boolean(post.story?.enabled),
+    platform: post.platform || 'instagram'
+  };
+}
+
+const PLATFORM_NAMES = { instagram: 'Instagram', facebook: 'Facebook', twitter: 'X' };
+
+const DraftReview = ({ refreshTrigger, onPublished }) => {
+  const { showSuccess, showError } = useToast();
+  const [drafts, setDrafts] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [selected, setSelected] = useState(null);
+  const [form, setForm] = useState({ text: '', hashtags: '', imagePrompt: '', slideCaptions: [], shareToStory: false, platform: 'instagram' });
+  const [busyAction, setBusyAction] = useState(null);
+  const [scheduledAt, setScheduledAt] = useState('');
+
+  const fetchDrafts = useCallback(async () => {
+    try {
+      const response = await aiPostAPI.getDrafts();
+      setDrafts(response.data.posts || []);
+    } catch (err) {
+      console.error('[DraftReview] Failed to fetch drafts:', err);
+    } finally {
+      setLoading(false);
+    }
+  }, []);
+
+  useEffect(() => {
+    fetchDrafts();
+  }, [fetchDrafts, refreshTrigger]);
+
+  const openDraft = async (postId) => {
+    try {
+      const response = await aiPostAPI.getPost(postId);
+      setSelected(response.data.post);
+      setForm(postToForm(response.data.post));
+      setScheduledAt('');
+    } catch (err) {
+      showError(err.response?.data?.error || 'Failed to load draft');
+    }
+  };
+
+  // Run an API action, showing the updated post when it returns one
+  const runAction = async (name, action, successMessage) => {
+    setBusyAction(name);
+    try {
+      const response = await action();
+      const post = response.data.post;
+      if (post) {
+        setSelected(post);
+        setForm(postToForm(post));
+      }
+      showSuccess(successMessage);
+      fetchDrafts();
+      return response.data;
+    } catch (err) {
+      showError(err.response?.data?.error || err.message || 'Something went wrong');
+      return null;
+    } finally {
+      setBusyAction(null);
+    }
+  };
+
+  const handleSave = () => runAction(
+    'save',
+    () => aiPostAPI.updatePost(selected.id, form),
+    'Draft saved'
+  );
+
+  const handleRegenerate = (part) => runAction(
+    part,
+    () => aiPostAPI.regeneratePart(selected.id, part, part === 'image' ? { imagePrompt: form.imagePrompt } : {}),
+    `New ${part} generated`
+  );
+
+  const handleRegenerateSlide = (slideIndex) => runAction(
+    `slide-${slideIndex}`,
+    () => aiPostAPI.regeneratePart(selected.id, 'image', { slideIndex }),
+    `New image for slide ${slideIndex + 1} generated`
+  );
+
+  const handleSlideCaptionChange = (slideIndex, value) => {
+    setForm((prev) => ({
+      ...prev,
+      slideCaptions: prev.slideCaptions.map((caption, index) => (index === slideIndex ? value : caption))
+    }));
+  };
+
+  const handleRestore = (versionId) => runAction(
+    'restore',
+    () => aiPostAPI.restoreVersion(selected.id, versionId),
+    'Version restored'
+  );
+
+  const handlePublish = async () => {
+    const platformName = PLATFORM_NAMES[selected.platform] || 'Instagram';
+    if (!window.confirm(`Publish this post to ${platformName} now?`)) return;
+    const result = await runAction('publish', () => aiPostAPI.publishDraft(selected.id), `Post published to ${platformName}!`);
+    if (result) {
+      setSelected(null);
+      onPublished?.();
+    }
+  };
+
+  const handleSchedule = async () => {
+    if (!scheduledAt) {
+      showError('Pick a date and time first');
+      return;
+    }
+    const result = await runAction(
+      'schedule',
+      () => scheduleAPI.schedulePost(selected.id, new Date(scheduledAt).toISOString()),
+      `Scheduled for ${new Date(scheduledAt).toLocaleString()}`
+    );
+    if (result) {
+      setSelected(null);
+      onPublished?.();
+    }
+  };
+
+  const isBusy = busyAction !== null;
+  const isCarousel = selected?.mediaType === 'carousel';
+  const canPublish = selected && ['draft', 'failed'].includes(selected.status);
+  const buttonClass = 'px-3 py-1.5 text-sm font-medium rounded-md transition-colors disabled:opacity-50 disabled:cursor-not-allowed';
+
+  return (
+    <div className="bg-white rounded-lg shadow border border-gray-200">
+      <div className="p-4 border-b border-gray-200 flex items-center justify-between">
+        <h3 className="text-lg font-semibold text-gray-900">📝 Drafts for Review</h3>
+        <span className="text-sm text-gray-500">{drafts.length} unpublished</span>
+      </div>
+
+      {loading && <p className="p-4 text-sm text-gray-500">Loading drafts...</p>}
+      {!loading && drafts.length === 0 && (
+        <p className="p-4 text-sm text-gray-500">No drafts. Uncheck "Automatically publish" to review posts before they go live.</p>
+      )}
+
+      <div className="divide-y divide-gray-100">
+        {drafts.map((draft) => (
+          <button
+            key={draft.id}
+            onClick={() => openDraft(draft.id)}
+            className={`w-full text-left p-3 flex items-center gap-3 hover:bg-gray-50 ${selected?.id === draft.id ? 'bg-purple-50' : ''}`}
+          >
+            {draft.imageUrl
+              ? <img src={draft.imageUrl} alt="" className="w-12 h-12 rounded object-cover shrink-0" />
+              : <div className="w-12 h-12 rounded bg-gray-100 flex items-center justify-center shrink-0">🖼️</div>}
+            <div className="min-w-0 flex-1">
+              <p className="text-sm text-gray-800 truncate">
+                {draft.platform === 'facebook' && <span className="text-blue-600">📘 Facebook · </span>}
+                {draft.platform === 'twitter' && <span className="text-gray-900">𝕏 · </span>}
+                {draft.mediaType === 'carousel' && <span className="text-indigo-600">🎠 {draft.slides.length} slides · </span>}
+                {draft.text || draft.caption}
+              </p>
+              <p className="text-xs text-gray-500">
+                Edited {new Date(draft.updatedAt).toLocaleString()}
+                {draft.scheduledAt && ` · publishes ${new Date(draft.scheduledAt).toLocaleString()}`}
+              </p>
+            </div>
+            <span className={`text-xs px-2 py-0.5 rounded-full ${STATUS_BADGES[draft.status] || STATUS_BADGES.draft}`}>
+              {draft.status}
+            </span>
+          </button>
+        ))}
+      </div>
+
+      {selected && (
+        <div className="p-4 border-t border-gray-200 grid grid-cols-1 md:grid-cols-2 gap-6">
+          {/* Editor */}
+          <div className="space-y-3">
+            {selected.error && <p className="text-sm text-red-600">{selected.error}</p>}
+
+            <div>
+              <div className="flex items-center justify-between mb-1">
+                <label className="text-sm font-medium text-gray-700">Caption</label>
+                <button onClick={() => handleRegenerate('caption')} disabled={isBusy} className="text-xs text-purple-600 hover:text-purple-800 disabled:opacity-50">
+                  {busyAction === 'caption' ? 'Regenerating...' : '🔄 Regenerate'}
+                </button>
+              </div>
+              <textarea
+                value={form.text}
+                onChange={(e) => setForm((prev) => ({ ...prev, text: e.target.value }))}
+                rows={8}
+                className="w-full border border-gray-300 rounded-md p-2 text-sm"
+              />
+            </div>
+
+            <div>
+              <div className="flex items-center justify-between mb-1">
+                <label className="text-sm font-medium text-gray-700">Hashtags</label>
+                <button onClick={() => handleRegenerate('hashtags')} disabled={isBusy} className="text-xs text-purple-600 hover:text-purple-800 disabled:opacity-50">
+                  {busyAction === 'hashtags' ? 'Regenerating...' : '🔄 Regenerate'}
+                </button>
+              </div>
+              <textarea
+                value={form.hashtags}
+                onChange={(e) => setForm((prev) => ({ ...prev, hashtags: e.target.value }))}
+                rows={2}
+                className="w-full border border-gray-300 rounded-md p-2 text-sm"
+              />
+            </div>
+
+            <div>
+              <label className="text-sm font-medium text-gray-700 mb-1 block">Publish to</label>
+              <select
+                value={form.platform}
+                onChange={(e) => setForm((prev) => ({ ...prev, platform: e.target.value }))}
+                disabled={selected.status === 'scheduled'}
+                className="w-full border border-gray-300 rounded-md p-2 text-sm disabled:bg-gray-50"
+              >
+                {Object.entries(PLATFORM_NAMES).map(([id, name]) => (
+                  <option key={id} value={id}>{name}</option>
+                ))}
+              </select>
+              {selected.status === 'scheduled' && (
+                <p className="text-xs text-gray-500 mt-1">Unschedule the post to change where it is published.</p>
+              )}
+            </div>
+
+            {form.platform === 'instagram' && (
+              <label className="flex items-center gap-2 text-sm text-gray-700">
+                <input
+                  type="checkbox"
+                  checked={form.shareToStory}
+                  onChange={(e) => setForm((prev) => ({ ...prev, shareToStory: e.target.checked }))}
+                />
+                Also share to Instagram Story when published
+              </label>
+            )}
+
+            <div className="flex flex-wrap gap-2">
+              <button onClick={handleSave} disabled={isBusy} className={`${buttonClass} text-white bg-purple-600 hover:bg-purple-700`}>
+                {busyAction === 'save' ? 'Saving...' : '💾 Save edits'}
+              </button>
+              {canPublish && (
+                <button onClick={handlePublish} disabled={isBusy} className={`${buttonClass} text-white bg-green-600 hover:bg-green-700`}>
+                  {busyAction === 'publish' ? 'Publishing...' : '🚀 Publish now'}
+                </button>
+              )}
+            </div>
+
+            {canPublish && (
+              <div className="flex flex-wrap items-center gap-2">
+                <input
+                  type="datetime-local"
+                  value={scheduledAt}
+                  onChange={(e) => setScheduledAt(e.target.value)}
+                  className="border border-gray-300 rounded-md px-2 py-1 text-sm"
+                />
+                <button onClick={handleSchedule} disabled={isBusy} className={`${buttonClass} text-emerald-700 bg-emerald-50 hover:bg-emerald-100`}>
+                  {busyAction === 'schedule' ? 'Scheduling...' : '🗓️ Schedule'}
+                </button>
+              </div>
+            )}
+            <p className="text-xs text-gray-500">Save your edits before publishing or scheduling.</p>
+          </div>
+
+          {/* Image and history */}
+          <div className="space-y-3">
+            {isCarousel && (
+              <div className="space-y-3">
+                {selected.slides.map((slide, index) => (
+                  <div key={index} className="flex gap-3">
+                    {slide.imageUrl
+                      ? <img src={slide.imageUrl} alt={`Slide ${index + 1}`} className="w-24 h-24 rounded object-cover shrink-0 border border-gray-200" />
+                      : <div className="w-24 h-24 rounded bg-red-50 text-red-600 text-xs flex items-center justify-center text-center shrink-0">No image</div>}
+                    <div className="flex-1 min-w-0">
+                      <div className="flex items-center justify-between mb-1">
+                        <span className="text-xs font-medium text-gray-700">Slide {index + 1}</span>
+                        <button onClick={() => handleRegenerateSlide(index)} disabled={isBusy} className="text-xs text-purple-600 hover:text-purple-800 disabled:opacity-50">
+                          {busyAction === `slide-${index}` ? 'Generating...' : '🔄 New image'}
+                        </button>
+                      </div>
+                      <textarea
+                        value={form.slideCaptions[index] || ''}
+                        onChange={(e) => handleSlideCaptionChange(index, e.target.value)}
+                        rows={2}
+                        className="w-full border border-gray-300 rounded-md p-2 text-xs"
+                      />
+                    </div>
+                  </div>
+                ))}
+              </div>
+            )}
+            {!isCarousel && selected.imageUrl && (
+              <img src={selected.imageUrl} alt="Draft" className="w-full rounded-md border border-gray-200" />
+            )}
+            {!isCarousel && (
+              <div>
+                <div className="flex items-center justify-between mb-1">
+                  <label className="text-sm font-medium text-gray-700">Image prompt</label>
+                  <button onClick={() => handleRegenerate('image')} disabled={isBusy} className="text-xs text-purple-600 hover:text-purple-800 disabled:opacity-50">
+                    {busyAction === 'image' ? 'Generating...' : '🔄 New image'}
+                  </button>
+                </div>
+                <textarea
+                  value={form.imagePrompt}
+                  onChange={(e) => setForm((prev) => ({ ...prev, imagePrompt: e.target.value }))}
+                  rows={3}
+                  className="w-full border border-gray-300 rounded-md p-2 text-sm"
+                />
+              </div>
+            )}
+
+            <div>
+              <h4 className="text-sm font-medium text-gray-700 mb-1">Version history</h4>
+              <div className="max-h-48 overflow-y-auto divide-y divide-gray-100 border border-gray-200 rounded-md">
+                {selected.versions.map((version, index) => (
+                  <div key={version.id} className="p-2 flex items-center justify-between gap-2 text-xs">
+                    <div className="min-w-0">
+                      <p className="font-medium text-gray-800">{VERSION_LABELS[version.source] || version.source}</p>
+                      <p className="text-gray-500 truncate">{new Date(version.createdAt).toLocaleString()} · {version.caption?.slice(0, 60)}</p>
+                    </div>
+                    {index === 0 ? (
+                      <span className="text-gray-400 shrink-0">Current</span>
+                    ) : (
+                      <button onClick={() => handleRestore(version.id)} disabled={isBusy} className="text-purple-600 hover:text-purple-800 shrink-0 disabled:opacity-50">
+                        Restore
+                      </button>
+                    )}
+                  </div>
+                ))}
+              </div>
+            </div>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default DraftReview;
@@ -1,6 +1,8 @@
 import { useState, useEffect, useRef } from 'react';
 import { io } from 'socket.io-client';
 import axios from 'axios';
+import PublishReview from './PublishReview';
+import { accountsAPI } from '../utils/api';
 
 const AI_PROVIDERS = {
   gemini: { name: 'Google Gemini', models: ['gemini-2.5-flash', 'gemini-1.5-pro'] },
@@ -14,14 +16,30 @@ const STEP_LABELS = {
   generate_title: 'Generating Title',
   generate_description: 'Generating Description',
   generate_keywords: 'Generating Keywords',
-  generate_hashtags: 'Generating Hashtags',
-  publish_instagram: 'Publishing to Instagram',
-  publish_youtube: 'Publishing to YouTube'
+  generate_hashtags: 'Generating Hashtags'
 };
 
+const STORY_STEP = 'publish_instagram_story';
+const REVIEW_STEP = 'review_content';
+
+// Socket events of plugin platforms, e.g. publish:youtube:done
+const PLATFORM_EVENT = /^publish:([\w-]+):(done|error|progress)$/;
+
+// Key of a publish step in the progress state ("story" for the Story cross-post)
+const stepPlatform = (stepName) => (stepName === STORY_STEP ? 'story' : stepName.replace(/^publish_/, ''));
+
 export default function DualPublisher() {
   const [videoFile, setVideoFile] = useState(null);
   const [contextText, setContextText] = useState('');
+  const [scheduledAt, setScheduledAt] = useState('');
+  const [scheduledMessage, setScheduledMessage] = useState(null);
+  const [shareReelToStory, setShareReelToStory] = useState(false);
+  const [reviewBeforePublish, setReviewBeforePublish] = useState(false);
+  const [awaitingReview, setAwaitingReview] = useState(false);
+  const [platforms, setPlatforms] = useState([]);
+  const [targets, setTargets] = useState([]);
+  const [accounts, setAccounts] = useState([]);
+  const [accountChoice, setAccountChoice] = useState({});
   const [aiProviders, setAiProviders] = useState({
     title: { provider: 'gemini', model: 'gemini-2.5-flash', apiKey: '' },
     description: { provider: 'gemini', model: 'gemini-2.5-flash', apiKey: '' },
@@ -37,6 +55,30 @@ export default function DualPublisher() {
   const socketRef = useRef(null);
   const fileInputRef = useRef(null);
 
+  // Load the platforms a job can publish to, connected ones are selected
+  useEffect(() => {
+    const token = localStorage.getItem('token');
+    axios.get('/api/publish/platforms', {
+      headers: { 'Authorization': `Bearer ${token}` }
+    })
+      .then((response) => {
+        setPlatforms(response.data.platforms);
+        setTargets(response.data.platforms.filter(platform => platform.connected).map(platform => platform.id));
+      })
+      .catch((err) => console.error('[DualPublisher] Failed to load platforms:', err));
+
+    // Platforms with several connected accounts let the user pick one, the active one by default
+    accountsAPI.getAccounts()
+      .then((response) => {
+        const connected = response.data.accounts || [];
+        setAccounts(connected);
+        setAccountChoice(Object.fromEntries(
+          connected.filter(account => account.isActive).map(account => [account.platform, account.externalId])
+        ));
+      })
+      .catch((err) => console.error('[DualPublisher] Failed to load accounts:', err));
+  }, []);
+
   useEffect(() => {
     // Initialize Socket.IO connection with auto-detection
     const getApiUrl = () => {
@@ -69,7 +111,8 @@ export default function DualPublisher() {
     // Listen to all progress events
     socketRef.current.on('job:progress', (data) => {
       console.log('[DualPublisher] Progress update:', data);
-      setProgress(data);
+      // Keep platform results from earlier events
+      setProgress(prev => ({ ...prev, ...data }));
       
       // Track completed steps
       if (data.status === 'completed') {
@@ -77,51 +120,52 @@ export default function DualPublisher() {
       }
     });
 
-    socketRef.current.on('job:warning', (data) => {
-      console.log('[DualPublisher] Warning:', data);
-      // You can show warnings to user if needed
+    // The job paused for the user to review the generated content
+    socketRef.current.on('job:review', (data) => {
+      console.log('[DualPublisher] Waiting for review:', data);
+      setAwaitingReview(true);
     });
 
-    socketRef.current.on('publish:instagram:done', (data) => {
-      console.log('[DualPublisher] Instagram published:', data);
-      setProgress(prev => ({
-        ...prev,
-        instagram: { status: 'completed', ...data }
-      }));
+    socketRef.current.on('job:retrying', (data) => {
+      console.log('[DualPublisher] Job will be retried:', data);
+      setError(`${data.error} - retrying at ${new Date(data.nextAttemptAt).toLocaleTimeString()}`);
     });
 
-    socketRef.current.on('publish:instagram:error', (data) => {
-      console.log('[DualPublisher] Instagram error:', data);
-      setProgress(prev => ({
-        ...prev,
-        instagram: { status: 'error', error: data.error }
-      }));
+    socketRef.current.on('job:failed', (data) => {
+      console.log('[DualPublisher] Job failed:', data);
+      setError(data.error);
+      setIsPublishing(false);
     });
 
-    socketRef.current.on('publish:youtube:progress', (data) => {
-      console.log('[DualPublisher] YouTube progress:', data.percentage + '%');
-      setProgress(prev => ({
-        ...prev,
-        youtubeProgress: data.percentage
-      }));
+    socketRef.current.on('job:warning', (data) => {
+      console.log('[DualPublisher] Warning:', data);
+      // You can show warnings to user if needed
     });
 
-    socketRef.current.on('publish:youtube:done', (data) => {
-      console.log('[DualPublisher] YouTube published:', data);
-      setProgress(prev => ({
-        ...prev,
-        youtube: { status: 'completed', ...data }
-      }));
-      setIsPublishing(false); // Job complete
+    socketRef.current.on('job:completed', (data) => {
+      console.log('[DualPublisher] Job finished:', data);
+      setIsPublishing(false);
     });
 
-    socketRef.current.on('publish:youtube:error', (data) => {
-      console.log('[DualPublisher] YouTube error:', data);
-      setProgress(prev => ({
-        ...prev,
-        youtube: { status: 'error', error: data.error }
-      }));
-      setIsPublishing(false); // Job complete (with error)
+    // Results of every platform (and the Story cross-post)
+    socketRef.current.onAny((event, data) => {
+      const match = event.match(PLATFORM_EVENT);
+      if (!match) return;
+
+      const [, platform, type] = match;
+      console.log(`[DualPublisher] ${platform} ${type}:`, data);
+
+      if (type === 'progress') {
+        setProgress(prev => ({
+          ...prev,
+          uploads: { ...prev?.uploads, [platform]: data.percentage }
+        }));
+      } else {
+        setProgress(prev => ({
+          ...prev,
+          [platform]: type === 'done' ? { status: 'completed', ...data } : { status: 'error', error: data.error }
+        }));
+      }
     });
 
     return () => {
@@ -176,12 +220,20 @@ export default function DualPublisher() {
     setIsPublishing(true);
     setError(null);
     setProgress(null);
+    setScheduledMessage(null);
 
     try {
       const formData = new FormData();
       formData.append('video', videoFile);
       formData.append('contextText', contextText);
       formData.append('aiProviders', JSON.stringify(aiProviders));
+      if (scheduledAt) {
+        formData.append('scheduledAt', new Date(scheduledAt).toISOString());
+      }
+      formData.append('platforms', JSON.stringify(targets));
+      formData.append('accounts', JSON.stringify(accountChoice));
+      formData.append('shareReelToStory', String(shareReelToStory && targets.includes('instagram')));
+      formData.append('reviewBeforePublish', String(reviewBeforePublish));
 
       const token = localStorage.getItem('token');
       const response = await axios.post('/api/publish/dual', formData, {
@@ -192,6 +244,14 @@ export default function DualPublisher() {
       });
 
       const { jobId } = response.data;
+
+      // Scheduled jobs run later on the server; nothing to follow live
+      if (response.data.scheduledAt) {
+        resetForm();
+        setScheduledMessage(`Scheduled for ${new Date(response.data.scheduledAt).toLocaleString()}. Manage it from the Schedule page.`);
+        return;
+      }
+
       setCurrentJob(jobId);
 
       // Subscribe to job updates
@@ -204,11 +264,36 @@ export default function DualPublisher() {
     }
   };
 
+  const handleRetry = async (platform) => {
+    try {
+      const token = localStorage.getItem('token');
+      await axios.post(`/api/publish/dual/${currentJob}/retry`, { platform }, {
+        headers: {
+          'Authorization': `Bearer ${token}`
+        }
+      });
+
+      setError(null);
+      setIsPublishing(true);
+      setCompletedSteps(prev => new Set([...prev].filter(step => step !== `publish_${platform}`)));
+      // The Story is re-shared along with an Instagram retry
+      setProgress(prev => ({ ...prev, [platform]: null, ...(platform === 'instagram' ? { story: null } : {}) }));
+
+      // Re-join the job room in case the socket reconnected meanwhile
+      socketRef.current.emit('subscribe:job', currentJob);
+    } catch (err) {
+      console.error('[DualPublisher] Retry error:', err);
+      setError(err.response?.data?.error || 'Failed to retry');
+    }
+  };
+
   const resetForm = () => {
     setVideoFile(null);
     setContextText('');
+    setScheduledAt('');
     setIsPublishing(false);
     setCurrentJob(null);
+    setAwaitingReview(false);
     setProgress(null);
     setCompletedSteps(new Set());
     setError(null);
@@ -231,22 +316,44 @@ export default function DualPublisher() {
     }
     
     // Check platform-specific status
-    if (stepName === 'publish_instagram' && progress.instagram) {
-      return progress.instagram.status === 'error' ? 'failed' : progress.instagram.status;
-    }
-    if (stepName === 'publish_youtube' && progress.youtube) {
-      return progress.youtube.status === 'error' ? 'failed' : progress.youtube.status;
+    const result = stepName.startsWith('publish_') && progress[stepPlatform(stepName)];
+    if (result) {
+      return result.status === 'error' ? 'failed' : result.status;
     }
     
     return 'pending';
   };
 
+  const toggleTarget = (platformId) => {
+    setTargets(prev => (prev.includes(platformId) ? prev.filter(id => id !== platformId) : [...prev, platformId]));
+  };
+
+  const platformLabel = (platformId) => platforms.find(platform => platform.id === platformId)?.label || platformId;
+
+  const handleApproved = () => {
+    setAwaitingReview(false);
+    setCompletedSteps(prev => new Set([...prev, REVIEW_STEP]));
+    // Re-join the job room in case the socket reconnected during the review
+    socketRef.current.emit('subscribe:job', currentJob);
+  };
+
+  const stepLabels = {
+    ...STEP_LABELS,
+    ...(reviewBeforePublish ? { [REVIEW_STEP]: 'Reviewing content' } : {}),
+    ...Object.fromEntries(targets.flatMap(platformId => [
+      [`publish_${platformId}`, `Publishing to ${platformLabel(platformId)}`],
+      ...(platformId === 'instagram' && shareReelToStory ? [[STORY_STEP, 'Sharing Reel to Story']] : [])
+    ]))
+  };
+
+  const targetNames = targets.map(platformLabel).join(' + ');
+
   return (
     <div className="max-w-4xl mx-auto p-6">
       <div className="bg-white rounded-lg shadow-lg p-6">
         <h2 className="text-2xl font-bold mb-6">Dual Platform Publisher</h2>
         <p className="text-gray-600 mb-6">
-          Upload a video and let AI generate optimized content for Instagram Reels and YouTube
+          Upload a video and let AI generate optimized content for every platform you publish to
         </p>
 
         {/* API Key Help Section */}
@@ -296,6 +403,103 @@ export default function DualPublisher() {
           />
         </div>
 
+        {/* Schedule */}
+        <div className="mb-6">
+          <label className="block text-sm font-medium text-gray-700 mb-2">
+            Schedule for later (optional)
+          </label>
+          <input
+            type="datetime-local"
+            value={scheduledAt}
+            onChange={(e) => setScheduledAt(e.target.value)}
+            disabled={isPublishing}
+            className="px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500 disabled:opacity-50"
+          />
+          {scheduledMessage && (
+            <p className="mt-2 text-sm text-green-600">✓ {scheduledMessage}</p>
+          )}
+        </div>
+
+        {/* Target platforms */}
+        <div className="mb-6">
+          <label className="block text-sm font-medium text-gray-700 mb-2">
+            Publish to
+          </label>
+          <div className="flex flex-wrap gap-4">
+            {platforms.map(platform => (
+              <label key={platform.id} className={`flex items-center space-x-2 text-sm ${platform.connected ? 'text-gray-700' : 'text-gray-400'}`}>
+                <input
+                  type="checkbox"
+                  checked={targets.includes(platform.id)}
+                  onChange={() => toggleTarget(platform.id)}
+                  disabled={isPublishing || !platform.connected}
+                  className="h-4 w-4"
+                />
+                <span>{platform.label}{!platform.connected && ' (not connected)'}</span>
+              </label>
+            ))}
+          </div>
+          {targets.map(platformId => {
+            const options = accounts.filter(account => account.platform === platformId);
+            if (options.length < 2) {
+              return null;
+            }
+            return (
+              <div key={platformId} className="mt-3 flex items-center space-x-3 text-sm">
+                <span className="w-24 text-gray-600">{platformLabel(platformId)} account</span>
+                <select
+                  value={accountChoice[platformId] || ''}
+                  onChange={(e) => setAccountChoice(prev => ({ ...prev, [platformId]: e.target.value }))}
+                  disabled={isPublishing}
+                  className="flex-1 px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+                >
+                  {options.map(account => (
+                    <option key={account.id} value={account.externalId}>
+                      {account.name}{account.isActive ? ' (active)' : ''}
+                    </option>
+                  ))}
+                </select>
+              </div>
+            );
+          })}
+        </div>
+
+        {/* Story cross-post */}
+        {targets.includes('instagram') && (
+          <div className="mb-6">
+            <label className="flex items-center space-x-2 text-sm text-gray-700">
+              <input
+                type="checkbox"
+                checked={shareReelToStory}
+                onChange={(e) => setShareReelToStory(e.target.checked)}
+                disabled={isPublishing}
+                className="h-4 w-4"
+              />
+              <span>Also share the Reel to my Instagram Story</span>
+            </label>
+            <p className="mt-1 text-xs text-gray-500">
+              A full-screen 9:16 copy (max 60 seconds) is posted to your Story after the Reel goes live.
+            </p>
+          </div>
+        )}
+
+        {/* Review before publishing */}
+        <div className="mb-6">
+          <label className="flex items-center space-x-2 text-sm text-gray-700">
+            <input
+              type="checkbox"
+              checked={reviewBeforePublish}
+              onChange={(e) => setReviewBeforePublish(e.target.checked)}
+              disabled={isPublishing}
+              className="h-4 w-4"
+            />
+            <span>Review the generated content before publishing</span>
+          </label>
+          <p className="mt-1 text-xs text-gray-500">
+            The job pauses after generating titles, captions and tags so you can edit or regenerate them.
+          </p>
+        </div>
+
         {/* AI Provider Selection */}
         <div className="mb-6">
           <h3 className="text-lg font-semibold mb-4">AI Provider Configuration</h3>
@@ -360,6 +564,11 @@ export default function DualPublisher() {
           </div>
         )}
 
+        {/* Content review */}
+        {currentJob && awaitingReview && (
+          <PublishReview jobId={currentJob} onApproved={handleApproved} />
+        )}
+
         {/* Progress Display */}
         {progress && (
           <div className="mb-6 bg-white md:bg-transparent rounded-xl shadow-lg md:shadow-none border border-gray-200 md:border-0 p-4 md:p-0">
@@ -377,30 +586,32 @@ export default function DualPublisher() {
             </div>
 
             <div className="space-y-2">
-              {Object.entries(STEP_LABELS).map(([step, label]) => {
-                const status = getStepStatus(step);
-                return (
-                  <div key={step} className="flex items-center space-x-3">
-                    <div className={`w-6 h-6 rounded-full flex items-center justify-center ${
-                      status === 'completed' ? 'bg-green-500' :
-                      status === 'processing' ? 'bg-blue-500 animate-pulse' :
-                      status === 'failed' ? 'bg-red-500' :
-                      'bg-gray-300'
-                    }`}>
-                      {status === 'completed' && <span className="text-white text-xs">✓</span>}
-                      {status === 'failed' && <span className="text-white text-xs">✗</span>}
+              {Object.entries(stepLabels)
+                .map(([step, label]) => {
+                  const status = getStepStatus(step);
+                  return (
+                    <div key={step} className="flex items-center space-x-3">
+                      <div className={`w-6 h-6 rounded-full flex items-center justify-center ${
+                        status === 'completed' ? 'bg-green-500' :
+                        status === 'processing' ? 'bg-blue-500 animate-pulse' :
+                        status === 'failed' ? 'bg-red-500' :
+                        'bg-gray-300'
+                      }`}>
+                        {status === 'completed' && <span className="text-white text-xs">✓</span>}
+                        {status === 'failed' && <span className="text-white text-xs">✗</span>}
+                      </div>
+                      <span className={`text-sm ${
+                        status === 'processing' ? 'font-semibold text-blue-700' :
+                        status === 'completed' ? 'text-green-700' :
+                        status === 'failed' ? 'text-red-700' :
+                        'text-gray-600'
+                      }`}>
+                        {label}
+                        {status === 'processing' && progress.uploads?.[stepPlatform(step)] !== undefined && ` (${progress.uploads[stepPlatform(step)]}%)`}
+                      </span>
                     </div>
-                    <span className={`text-sm ${
-                      status === 'processing' ? 'font-semibold text-blue-700' :
-                      status === 'completed' ? 'text-green-700' :
-                      status === 'failed' ? 'text-red-700' :
-                      'text-gray-600'
-                    }`}>
-                      {label}
-                    </span>
-                  </div>
-                );
-              })}
+                  );
+                })}
             </div>
 
             {/* Generated Content Preview */}
@@ -429,35 +640,45 @@ export default function DualPublisher() {
             )}
 
             {/* Platform Results */}
-            {progress.data?.instagram && (
-              <div className="mt-4 p-4 bg-green-50 rounded-md">
-                <h4 className="font-medium text-green-800">Instagram Published ✓</h4>
-                {progress.data.instagram.permalink && (
+            {targets.filter(platformId => progress[platformId]?.status === 'completed').map(platformId => (
+              <div key={platformId} className="mt-4 p-4 bg-green-50 rounded-md">
+                <h4 className="font-medium text-green-800">{platformLabel(platformId)} Published ✓</h4>
+                {progress[platformId].url && (
                   <a
-                    href={progress.data.instagram.permalink}
+                    href={progress[platformId].url}
                     target="_blank"
                     rel="noopener noreferrer"
                     className="text-sm text-blue-600 hover:underline"
                   >
-                    View on Instagram →
+                    View on {platformLabel(platformId)} →
                   </a>
                 )}
               </div>
+            ))}
+
+            {progress.story && (
+              <div className={`mt-4 p-4 rounded-md ${progress.story.status === 'completed' ? 'bg-purple-50' : 'bg-yellow-50'}`}>
+                <h4 className={`font-medium ${progress.story.status === 'completed' ? 'text-purple-800' : 'text-yellow-800'}`}>
+                  {progress.story.status === 'completed' ? 'Shared to Story ✓' : 'Story not shared'}
+                </h4>
+                {progress.story.error && (
+                  <p className="text-sm text-yellow-700">{progress.story.error}</p>
+                )}
+              </div>
             )}
 
-            {progress.data?.youtube && (
-              <div className="mt-4 p-4 bg-red-50 rounded-md">
-                <h4 className="font-medium text-red-800">YouTube Published ✓</h4>
-                {progress.data.youtube.url && (
-                  <a
-                    href={progress.data.youtube.url}
-                    target="_blank"
-                    rel="noopener noreferrer"
-                    className="text-sm text-blue-600 hover:underline"
+            {/* Retry failed platforms */}
+            {currentJob && targets.some(platform => progress[platform]?.status === 'error') && (
+              <div className="mt-4 flex space-x-2">
+                {targets.filter(platform => progress[platform]?.status === 'error').map(platform => (
+                  <button
+                    key={platform}
+                    onClick={() => handleRetry(platform)}
+                    className="px-4 py-2 text-sm font-semibold text-white bg-orange-600 hover:bg-orange-700 rounded-md transition-colors"
                   >
-                    View on YouTube →
-                  </a>
-                )}
+                    Retry {platformLabel(platform)}
+                  </button>
+                ))}
               </div>
             )}
           </div>
@@ -468,10 +689,10 @@ export default function DualPublisher() {
           {!isPublishing ? (
             <button
               onClick={handlePublish}
-              disabled={!videoFile || !contextText.trim()}
+              disabled={!videoFile || !contextText.trim() || targets.length === 0}
               className="flex-1 bg-blue-600 text-white py-3 px-6 rounded-md font-semibold hover:bg-blue-700 disabled:bg-gray-300 disabled:cursor-not-allowed transition-colors"
             >
-              Publish to Instagram + YouTube
+              {targets.length === 0 ? 'Choose a platform' : scheduledAt ? `Schedule for ${targetNames}` : `Publish to ${targetNames}`}
             </button>
           ) : (
             <button
@@ -479,7 +700,7 @@ export default function DualPublisher() {
               disabled={progress?.percentage < 100}
               className="flex-1 bg-gray-600 text-white py-3 px-6 rounded-md font-semibold hover:bg-gray-700 disabled:bg-gray-300 disabled:cursor-not-allowed transition-colors"
             >
-              {progress?.percentage === 100 ? 'Start New Job' : 'Publishing...'}
+              {progress?.percentage === 100 ? 'Start New Job' : awaitingReview ? 'Waiting for your review...' : 'Publishing...'}
             </button>
           )}
         </div>
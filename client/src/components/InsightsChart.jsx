@@ -0,0 +1,93 @@
+const WIDTH = 600;
+const HEIGHT = 180;
+const PADDING = { top: 10, right: 10, bottom: 24, left: 44 };
+
+function formatNumber(value) {
+  if (value >= 1000000) return `${(value / 1000000).toFixed(1)}M`;
+  if (value >= 1000) return `${(value / 1000).toFixed(1)}k`;
+  return String(Math.round(value));
+}
+
+/**
+ * Line chart for daily series; days without data leave a gap in the line
+ * @param {Array} data - [{ date: 'YYYY-MM-DD', [field]: number|null }]
+ * @param {Array} lines - [{ key, label, color }]
+ */
+const InsightsChart = ({ data, lines }) => {
+  const values = data.flatMap((day) => lines.map((line) => day[line.key])).filter((value) => value !== null && value !== undefined);
+
+  if (!values.length) {
+    return <p className="text-sm text-gray-500 py-10 text-center">No data collected for this period yet</p>;
+  }
+
+  const max = Math.max(...values, 1);
+  const innerWidth = WIDTH - PADDING.left - PADDING.right;
+  const innerHeight = HEIGHT - PADDING.top - PADDING.bottom;
+  const x = (index) => PADDING.left + (data.length > 1 ? (index / (data.length - 1)) * innerWidth : innerWidth / 2);
+  const y = (value) => PADDING.top + innerHeight - (value / max) * innerHeight;
+
+  // Split each line into segments at missing days
+  const segments = (key) => {
+    const result = [];
+    let current = [];
+    data.forEach((day, index) => {
+      if (day[key] === null || day[key] === undefined) {
+        if (current.length) result.push(current);
+        current = [];
+      } else {
+        current.push(`${x(index).toFixed(1)},${y(day[key]).toFixed(1)}`);
+      }
+    });
+    if (current.length) result.push(current);
+    return result;
+  };
+
+  const labelEvery = Math.max(1, Math.ceil(data.length / 6));
+
+  return (
+    <div>
+      <svg viewBox={`0 0 ${WIDTH} ${HEIGHT}`} className="w-full h-auto">
+        {[0, 0.5, 1].map((ratio) => (
+          <g key={ratio}>
+            <line
+              x1={PADDING.left}
+              x2={WIDTH - PADDING.right}
+              y1={y(max * ratio)}
+              y2={y(max * ratio)}
+              stroke="#e5e7eb"
+              strokeDasharray="4 4"
+            />
+            <text x={PADDING.left - 6} y={y(max * ratio) + 4} textAnchor="end" fontSize="10" fill="#6b7280">
+              {formatNumber(max * ratio)}
+            </text>
+          </g>
+        ))}
+
+        {data.map((day, index) => (index % labelEvery === 0 || index === data.length - 1) && (
+          <text key={day.date} x={x(index)} y={HEIGHT - 6} textAnchor="middle" fontSize="10" fill="#6b7280">
+            {day.date.slice(5)}
+          </text>
+        ))}
+
+        {lines.map((line) => segments(line.key).map((points, index) => (
+          points.length === 1 ? (
+            <circle key={`${line.key}-${index}`} cx={points[0].split(',')[0]} cy={points[0].split(',')[1]} r="3" fill={line.color} />
+          ) : (
+            <polyline key={`${line.key}-${index}`} points={points.join(' ')} fill="none" stroke={line.color} strokeWidth="2" />
+          )
+        )))}
+      </svg>
+
+      <div className="flex flex-wrap gap-4 mt-2">
+        {lines.map((line) => (
+          <span key={line.key} className="flex items-center gap-1.5 text-xs text-gray-600">
+            <span className="w-3 h-3 rounded-full" style={{ backgroundColor: line.color }} />
+            {line.label}
+          </span>
+        ))}
+      </div>
+    </div>
+  );
+};
+
+export default InsightsChart;
@@ -0,0 +1,233 @@
+import { useState, useEffect } from 'react';
+import { mediaStorageAPI } from '../utils/api';
+
+const PROVIDERS = [
+  { value: 'default', label: 'Server default', description: 'Use the hosting configured by the administrator' },
+  { value: 'cloudinary', label: 'Cloudinary', description: 'Your own Cloudinary account' },
+  { value: 's3', label: 'S3-compatible', description: 'AWS S3, MinIO, Cloudflare R2 and similar' },
+  { value: 'local', label: 'This server', description: 'Files are served from this server with expiring links' }
+];
+
+const EMPTY_FORM = {
+  provider: 'default',
+  cloudinary: { cloudName: '', apiKey: '', apiSecret: '' },
+  s3: { endpoint: '', region: '', bucket: '', accessKeyId: '', secretAccessKey: '', publicUrl: '', forcePathStyle: false }
+};
+
+function settingsToForm(settings) {
+  return {
+    provider: settings.provider,
+    cloudinary: { ...EMPTY_FORM.cloudinary, cloudName: settings.cloudinary.cloudName, apiKey: settings.cloudinary.apiKey },
+    s3: {
+      ...EMPTY_FORM.s3,
+      endpoint: settings.s3.endpoint,
+      region: settings.s3.region,
+      bucket: settings.s3.bucket,
+      accessKeyId: settings.s3.accessKeyId,
+      publicUrl: settings.s3.publicUrl,
+      forcePathStyle: settings.s3.forcePathStyle
+    }
+  };
+}
+
+const inputClass = 'w-full px-3 py-2 border border-gray-300 rounded-md text-sm focus:ring-2 focus:ring-blue-500 focus:border-transparent';
+
+const MediaStorageSettings = ({ showSuccess, showError }) => {
+  const [settings, setSettings] = useState(null);
+  const [form, setForm] = useState(EMPTY_FORM);
+  const [saving, setSaving] = useState(false);
+  const [testing, setTesting] = useState(false);
+
+  useEffect(() => {
+    const fetchSettings = async () => {
+      try {
+        const response = await mediaStorageAPI.getSettings();
+        setSettings(response.data.settings);
+        setForm(settingsToForm(response.data.settings));
+      } catch (err) {
+        console.error('[MediaStorageSettings] Failed to load settings:', err);
+      }
+    };
+    fetchSettings();
+  }, []);
+
+  const updateField = (section, field, value) => {
+    setForm((prev) => ({ ...prev, [section]: { ...prev[section], [field]: value } }));
+  };
+
+  const handleSave = async () => {
+    setSaving(true);
+    try {
+      const response = await mediaStorageAPI.saveSettings(form);
+      setSettings(response.data.settings);
+      setForm(settingsToForm(response.data.settings));
+      showSuccess('Media storage settings saved');
+    } catch (err) {
+      showError(err.response?.data?.error || 'Failed to save media storage settings');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleTest = async () => {
+    setTesting(true);
+    try {
+      const response = await mediaStorageAPI.test();
+      showSuccess(response.data.message);
+    } catch (err) {
+      showError(err.response?.data?.error || 'Storage test failed');
+    } finally {
+      setTesting(false);
+    }
+  };
+
+  if (!settings) {
+    return null;
+  }
+
+  return (
+    <div className="border border-gray-200 rounded-lg p-6">
+      <div className="flex items-center space-x-3 mb-4">
+        <div className="w-12 h-12 bg-gradient-to-br from-sky-500 to-indigo-600 rounded-lg flex items-center justify-center">
+          <span className="text-2xl">🗄️</span>
+        </div>
+        <div>
+          <h3 className="text-lg font-semibold text-gray-900">Media Hosting</h3>
+          <p className="text-sm text-gray-500">Where images and videos are hosted for Instagram to fetch</p>
+        </div>
+      </div>
+
+      <div className="grid grid-cols-1 sm:grid-cols-2 gap-3 mb-4">
+        {PROVIDERS.map((provider) => (
+          <label
+            key={provider.value}
+            className={`flex items-start gap-2 p-3 border rounded-md cursor-pointer transition ${
+              form.provider === provider.value ? 'border-blue-500 bg-blue-50' : 'border-gray-200 hover:bg-gray-50'
+            }`}
+          >
+            <input
+              type="radio"
+              name="mediaProvider"
+              value={provider.value}
+              checked={form.provider === provider.value}
+              onChange={() => setForm((prev) => ({ ...prev, provider: provider.value }))}
+              className="mt-1"
+            />
+            <span>
+              <span className="block text-sm font-medium text-gray-900">{provider.label}</span>
+              <span className="block text-xs text-gray-500">
+                {provider.value === 'default' ? `${provider.description} (${settings.serverDefault})` : provider.description}
+              </span>
+            </span>
+          </label>
+        ))}
+      </div>
+
+      {form.provider === 'cloudinary' && (
+        <div className="grid grid-cols-1 sm:grid-cols-3 gap-3 mb-4">
+          <input
+            className={inputClass}
+            placeholder="Cloud name"
+            value={form.cloudinary.cloudName}
+            onChange={(e) => updateField('cloudinary', 'cloudName', e.target.value)}
+          />
+          <input
+            className={inputClass}
+            placeholder="API key"
+            value={form.cloudinary.apiKey}
+            onChange={(e) => updateField('cloudinary', 'apiKey', e.target.value)}
+          />
+          <input
+            type="password"
+            className={inputClass}
+            placeholder={settings.cloudinary.hasApiSecret ? 'API secret (saved)' : 'API secret'}
+            value={form.cloudinary.apiSecret}
+            onChange={(e) => updateField('cloudinary', 'apiSecret', e.target.value)}
+          />
+        </div>
+      )}
+
+      {form.provider === 's3' && (
+        <div className="space-y-3 mb-4">
+          <div className="grid grid-cols-1 sm:grid-cols-2 gap-3">
+            <input
+              className={inputClass}
+              placeholder="Endpoint (empty for AWS, e.g. http://localhost:9000 for MinIO)"
+              value={form.s3.endpoint}
+              onChange={(e) => updateField('s3', 'endpoint', e.target.value)}
+            />
+            <input
+              className={inputClass}
+              placeholder="Region (default us-east-1)"
+              value={form.s3.region}
+              onChange={(e) => updateField('s3', 'region', e.target.value)}
+            />
+            <input
+              className={inputClass}
+              placeholder="Bucket"
+              value={form.s3.bucket}
+              onChange={(e) => updateField('s3', 'bucket', e.target.value)}
+            />
+            <input
+              className={inputClass}
+              placeholder="Public URL (optional CDN or public bucket URL)"
+              value={form.s3.publicUrl}
+              onChange={(e) => updateField('s3', 'publicUrl', e.target.value)}
+            />
+            <input
+              className={inputClass}
+              placeholder="Access key ID"
+              value={form.s3.accessKeyId}
+              onChange={(e) => updateField('s3', 'accessKeyId', e.target.value)}
+            />
+            <input
+              type="password"
+              className={inputClass}
+              placeholder={settings.s3.hasSecretAccessKey ? 'Secret access key (saved)' : 'Secret access key'}
+              value={form.s3.secretAccessKey}
+              onChange={(e) => updateField('s3', 'secretAccessKey', e.target.value)}
+            />
+          </div>
+          <label className="flex items-center gap-2 text-sm text-gray-700">
+            <input
+              type="checkbox"
+              checked={form.s3.forcePathStyle}
+              onChange={(e) => updateField('s3', 'forcePathStyle', e.target.checked)}
+            />
+            Path-style URLs (needed for MinIO)
+          </label>
+          <p className="text-xs text-gray-500">Objects must be publicly readable so Instagram can fetch them.</p>
+        </div>
+      )}
+
+      {form.provider === 'local' && (
+        <p className="text-xs text-gray-500 mb-4">
+          This server must be reachable from the internet for Instagram to fetch the files.
+        </p>
+      )}
+
+      <p className="text-xs text-gray-500 mb-4">
+        Uploaded files are deleted automatically some time after Instagram has fetched them.
+      </p>
+
+      <div className="flex gap-3">
+        <button
+          onClick={handleSave}
+          disabled={saving}
+          className="flex-1 px-4 py-2 bg-blue-600 text-white rounded-md hover:bg-blue-700 disabled:opacity-50 disabled:cursor-not-allowed transition font-medium"
+        >
+          {saving ? 'Saving...' : 'Save'}
+        </button>
+        <button
+          onClick={handleTest}
+          disabled={testing || saving}
+          className="px-4 py-2 border border-gray-300 text-gray-700 rounded-md hover:bg-gray-50 disabled:opacity-50 disabled:cursor-not-allowed transition font-medium"
+        >
+          {testing ? 'Testing...' : 'Test saved settings'}
+        </button>
+      </div>
+    </div>
+  );
+};
+
+export default MediaStorageSettings;
@@ -1,7 +1,8 @@
 import { useState, useEffect } from 'react';
 import { Link, useNavigate } from 'react-router-dom';
 import { motion } from 'framer-motion';
-import { getUser, clearAuth } from '../utils/localStorage';
+import { getUser, clearAuth, getWorkspaceId, setWorkspaceId } from '../utils/localStorage';
+import { workspacesAPI } from '../utils/api';
 import { useApp } from '../context/AppContext';
 
 const Navbar = ({ showBackButton = false }) => {
@@ -9,6 +10,8 @@ const Navbar = ({ showBackButton = false }) => {
   const { toast } = useApp();
   const [user, setUser] = useState(null);
   const [scrolled, setScrolled] = useState(false);
+  const [workspaces, setWorkspaces] = useState([]);
+  const workspaceId = getWorkspaceId() || '';
 
   useEffect(() => {
     const userData = getUser();
@@ -17,6 +20,23 @@ const Navbar = ({ showBackButton = false }) => {
     }
   }, []);
 
+  // Workspaces for the switcher; only shown on the home page
+  useEffect(() => {
+    if (showBackButton) return;
+
+    workspacesAPI.getWorkspaces()
+      .then(response => {
+        const list = response.data.workspaces || [];
+        setWorkspaces(list);
+        // Selected workspace was deleted or we were removed from it
+        if (workspaceId && !list.some(workspace => workspace.id === workspaceId)) {
+          setWorkspaceId(null);
+          window.location.reload();
+        }
+      })
+      .catch(error => console.error('Failed to load workspaces:', error));
+  }, [showBackButton, workspaceId]);
+
   // Handle scroll effect
   useEffect(() => {
     const handleScroll = () => {
@@ -50,6 +70,12 @@ const Navbar = ({ showBackButton = false }) => {
     }
   };
 
+  // Every page reloads its data for the selected account
+  const handleSwitchWorkspace = (event) => {
+    setWorkspaceId(event.target.value || null);
+    window.location.reload();
+  };
+
   const handleBack = () => {
     navigate('/dashboard');
   };
@@ -104,6 +130,21 @@ const Navbar = ({ showBackButton = false }) => {
           {/* Right Side: User Info & Logout (only on home page) */}
           {!showBackButton && (
             <div className="flex items-center space-x-4">
+              {workspaces.length > 0 && (
+                <select
+                  value={workspaceId}
+                  onChange={handleSwitchWorkspace}
+                  className="px-3 py-2 border border-gray-300 rounded-lg text-sm text-gray-700 bg-white focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+                  title="Account you are working on"
+                >
+                  <option value="">Personal</option>
+                  {workspaces.map(workspace => (
+                    <option key={workspace.id} value={workspace.id}>
+                      {workspace.name} ({workspace.role})
+                    </option>
+                  ))}
+                </select>
+              )}
               {user && (
                 <motion.div
                   className="hidden md:block text-right"
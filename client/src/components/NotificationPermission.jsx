@@ -1,6 +1,7 @@
 import { useState, useEffect } from 'react';
 import { motion, AnimatePresence } from 'framer-motion';
-import { requestNotificationPermission, isMobile } from '../utils/pwa';
+import { requestNotificationPermission, subscribeToPush, isMobile } from '../utils/pwa';
+import { notificationsAPI } from '../utils/api';
 
 const NotificationPermission = () => {
   const [showPrompt, setShowPrompt] = useState(false);
@@ -29,6 +30,19 @@ const NotificationPermission = () => {
     const granted = await requestNotificationPermission();
     if (granted) {
       console.log('Notification permission granted');
+
+      // Signed in: register this device for push notifications right away
+      if (localStorage.getItem('token')) {
+        try {
+          const { data } = await notificationsAPI.getSettings();
+          if (data.configured) {
+            const subscription = await subscribeToPush(data.publicKey);
+            await notificationsAPI.subscribe(subscription.toJSON());
+          }
+        } catch (error) {
+          console.error('Push subscription failed:', error);
+        }
+      }
     }
     setShowPrompt(false);
   };
@@ -0,0 +1,220 @@
+import { useState, useEffect, useCallback } from 'react';
+import { notificationsAPI } from '../utils/api';
+import { isPushSupported, getPushSubscription, subscribeToPush, requestNotificationPermission } from '../utils/pwa';
+
+const EVENTS = [
+  { key: 'publishCompleted', label: 'Post published', description: 'A dual-publish job finished on every platform' },
+  { key: 'publishFailed', label: 'Publishing failed', description: 'A job failed, or failed on some platforms' },
+  { key: 'tokenExpiring', label: 'Connection expiring', description: 'An access token expires soon and could not be renewed' },
+  { key: 'automationStopped', label: 'Automation stopped', description: 'Comment automation stopped on an authentication error' },
+  { key: 'commentFlagged', label: 'Flagged comment', description: 'A spam or toxic comment was left in place and needs a look' }
+];
+
+// "Chrome on Windows" style label from a user agent
+function describeDevice(userAgent) {
+  if (!userAgent) return 'Unknown device';
+  const browser = /Edg\//.test(userAgent) ? 'Edge'
+    : /Firefox\//.test(userAgent) ? 'Firefox'
+    : /Chrome\//.test(userAgent) ? 'Chrome'
+    : /Safari\//.test(userAgent) ? 'Safari'
+    : 'Browser';
+  const os = /Android/.test(userAgent) ? 'Android'
+    : /iPhone|iPad/.test(userAgent) ? 'iOS'
+    : /Windows/.test(userAgent) ? 'Windows'
+    : /Mac OS X/.test(userAgent) ? 'macOS'
+    : /Linux/.test(userAgent) ? 'Linux'
+    : 'unknown OS';
+  return `${browser} on ${os}`;
+}
+
+const NotificationSettings = ({ showSuccess, showError }) => {
+  const [settings, setSettings] = useState(null);
+  const [currentEndpoint, setCurrentEndpoint] = useState(null);
+  const [busy, setBusy] = useState(false);
+
+  const fetchSettings = useCallback(async () => {
+    try {
+      const response = await notificationsAPI.getSettings();
+      setSettings(response.data);
+      const subscription = await getPushSubscription();
+      setCurrentEndpoint(subscription?.endpoint || null);
+    } catch (err) {
+      console.error('[NotificationSettings] Failed to load settings:', err);
+    }
+  }, []);
+
+  useEffect(() => {
+    fetchSettings();
+  }, [fetchSettings]);
+
+  const isSubscribed = Boolean(currentEndpoint && settings?.subscriptions.some((s) => s.endpoint === currentEndpoint));
+
+  const handleEnable = async () => {
+    setBusy(true);
+    try {
+      if (!(await requestNotificationPermission())) {
+        throw new Error('Notifications are blocked for this site in the browser settings');
+      }
+      const subscription = await subscribeToPush(settings.publicKey);
+      await notificationsAPI.subscribe(subscription.toJSON());
+      showSuccess('Notifications enabled on this device');
+      await fetchSettings();
+    } catch (err) {
+      showError(err.response?.data?.error || err.message || 'Failed to enable notifications');
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const handleRemove = async (endpoint) => {
+    setBusy(true);
+    try {
+      await notificationsAPI.unsubscribe(endpoint);
+      if (endpoint === currentEndpoint) {
+        const subscription = await getPushSubscription();
+        await subscription?.unsubscribe();
+      }
+      showSuccess(endpoint === currentEndpoint ? 'Notifications disabled on this device' : 'Device removed');
+      await fetchSettings();
+    } catch (err) {
+      showError(err.response?.data?.error || 'Failed to remove device');
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const handleToggle = async (key, enabled) => {
+    const previous = settings.preferences;
+    setSettings((prev) => ({ ...prev, preferences: { ...prev.preferences, [key]: enabled } }));
+    try {
+      const response = await notificationsAPI.updatePreferences({ [key]: enabled });
+      setSettings((prev) => ({ ...prev, preferences: response.data.preferences }));
+    } catch (err) {
+      setSettings((prev) => ({ ...prev, preferences: previous }));
+      showError(err.response?.data?.error || 'Failed to save notification preferences');
+    }
+  };
+
+  const handleTest = async () => {
+    setBusy(true);
+    try {
+      const response = await notificationsAPI.sendTest();
+      showSuccess(response.data.message);
+    } catch (err) {
+      showError(err.response?.data?.error || 'Failed to send test notification');
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  if (!settings) {
+    return null;
+  }
+
+  return (
+    <div className="border border-gray-200 rounded-lg p-6">
+      <div className="flex items-center space-x-3 mb-4">
+        <div className="w-12 h-12 bg-gradient-to-br from-purple-500 to-pink-600 rounded-lg flex items-center justify-center">
+          <span className="text-2xl">🔔</span>
+        </div>
+        <div>
+          <h3 className="text-lg font-semibold text-gray-900">Push Notifications</h3>
+          <p className="text-sm text-gray-500">Get notified about publishing and automation events, even with the app closed</p>
+        </div>
+      </div>
+
+      {!settings.configured ? (
+        <p className="text-sm text-gray-600 bg-gray-50 border border-gray-200 rounded-md p-3">
+          Push notifications are not configured on this server. The administrator needs to set the VAPID keys.
+        </p>
+      ) : (
+        <>
+          <div className="flex flex-wrap items-center justify-between gap-3 mb-4 p-3 bg-gray-50 rounded-md">
+            <span className="text-sm text-gray-700">
+              {!isPushSupported()
+                ? 'This browser does not support push notifications.'
+                : isSubscribed
+                  ? 'This device receives notifications.'
+                  : 'This device does not receive notifications.'}
+            </span>
+            {isPushSupported() && (
+              <div className="flex gap-2">
+                {isSubscribed ? (
+                  <button
+                    onClick={() => handleRemove(currentEndpoint)}
+                    disabled={busy}
+                    className="px-4 py-2 border border-gray-300 text-gray-700 rounded-md hover:bg-white disabled:opacity-50 disabled:cursor-not-allowed transition text-sm font-medium"
+                  >
+                    Disable on this device
+                  </button>
+                ) : (
+                  <button
+                    onClick={handleEnable}
+                    disabled={busy}
+                    className="px-4 py-2 bg-blue-600 text-white rounded-md hover:bg-blue-700 disabled:opacity-50 disabled:cursor-not-allowed transition text-sm font-medium"
+                  >
+                    Enable on this device
+                  </button>
+                )}
+              </div>
+            )}
+          </div>
+
+          <div className="space-y-2 mb-4">
+            {EVENTS.map((event) => (
+              <label key={event.key} className="flex items-start gap-3 p-2 rounded-md hover:bg-gray-50 cursor-pointer">
+                <input
+                  type="checkbox"
+                  checked={settings.preferences[event.key]}
+                  onChange={(e) => handleToggle(event.key, e.target.checked)}
+                  className="mt-1"
+                />
+                <span>
+                  <span className="block text-sm font-medium text-gray-900">{event.label}</span>
+                  <span className="block text-xs text-gray-500">{event.description}</span>
+                </span>
+              </label>
+            ))}
+          </div>
+
+          {settings.subscriptions.length > 0 && (
+            <div className="mb-4">
+              <p className="text-sm font-medium text-gray-700 mb-2">Subscribed devices</p>
+              <ul className="divide-y divide-gray-100 border border-gray-200 rounded-md">
+                {settings.subscriptions.map((subscription) => (
+                  <li key={subscription.id} className="flex items-center justify-between gap-3 px-3 py-2 text-sm">
+                    <span>
+                      <span className="text-gray-900">{describeDevice(subscription.userAgent)}</span>
+                      {subscription.endpoint === currentEndpoint && <span className="ml-2 text-xs text-blue-600">(this device)</span>}
+                      <span className="block text-xs text-gray-500">
+                        Added {new Date(subscription.createdAt).toLocaleDateString()}
+                        {subscription.lastError && ` · last delivery failed (${subscription.lastError})`}
+                      </span>
+                    </span>
+                    <button
+                      onClick={() => handleRemove(subscription.endpoint)}
+                      disabled={busy}
+                      className="text-red-600 hover:text-red-700 text-xs font-medium disabled:opacity-50"
+                    >
+                      Remove
+                    </button>
+                  </li>
+                ))}
+              </ul>
+            </div>
+          )}
+
+          <button
+            onClick={handleTest}
+            disabled={busy || settings.subscriptions.length === 0}
+            className="px-4 py-2 border border-gray-300 text-gray-700 rounded-md hover:bg-gray-50 disabled:opacity-50 disabled:cursor-not-allowed transition font-medium"
+          >
+            Send test notification
+          </button>
+        </>
+      )}
+    </div>
+  );
+};
+
+export default NotificationSettings;
@@ -0,0 +1,129 @@
+import { useState, useEffect } from 'react';
+import { insightsAPI } from '../utils/api';
+
+const METRICS = [
+  { key: 'views', label: 'Views' },
+  { key: 'likes', label: 'Likes' },
+  { key: 'comments', label: 'Comments' }
+];
+
+function formatValue(value) {
+  return value === null || value === undefined ? '—' : value.toLocaleString();
+}
+
+function Cell({ metric }) {
+  const highlight = (platform) => (metric.leader === platform ? 'font-bold text-gray-900' : 'text-gray-500');
+  return (
+    <td className="py-2 px-2 text-right whitespace-nowrap">
+      <span className={highlight('instagram')}>{formatValue(metric.instagram)}</span>
+      <span className="text-gray-300"> / </span>
+      <span className={highlight('youtube')}>{formatValue(metric.youtube)}</span>
+    </td>
+  );
+}
+
+/**
+ * Instagram vs YouTube performance of dual-published videos
+ * @param {Object} range - { from, to } as YYYY-MM-DD
+ * @param {number} reloadKey - Changes after a manual refresh
+ * @param {Function} showError
+ */
+const PlatformComparison = ({ range, reloadKey, showError }) => {
+  const [data, setData] = useState(null);
+
+  useEffect(() => {
+    let cancelled = false;
+    insightsAPI.getComparison(range)
+      .then((response) => {
+        if (!cancelled) setData(response.data);
+      })
+      .catch((err) => {
+        if (!cancelled) showError(err.response?.data?.error || 'Failed to load platform comparison');
+      });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [range, reloadKey, showError]);
+
+  if (!data) {
+    return <p className="text-sm text-gray-500">Loading...</p>;
+  }
+
+  return (
+    <div className="space-y-6">
+      <div className="grid grid-cols-1 sm:grid-cols-3 gap-4">
+        {METRICS.map((metric) => {
+          const instagram = data.totals.instagram[metric.key];
+          const youtube = data.totals.youtube[metric.key];
+          const total = instagram + youtube;
+          return (
+            <div key={metric.key} className="bg-white rounded-2xl shadow p-4 border border-gray-100">
+              <p className="text-xs text-gray-500 mb-2">{metric.label}</p>
+              <div className="flex justify-between text-sm font-semibold">
+                <span className="text-pink-600">Instagram {formatValue(instagram)}</span>
+                <span className="text-red-600">YouTube {formatValue(youtube)}</span>
+              </div>
+              <div className="mt-2 h-2 rounded-full bg-red-500 overflow-hidden">
+                <div
+                  className="h-full bg-pink-500"
+                  style={{ width: `${total ? (instagram / total) * 100 : 50}%` }}
+                />
+              </div>
+            </div>
+          );
+        })}
+      </div>
+
+      <div className="bg-white rounded-2xl shadow-xl p-6 border border-gray-100">
+        <div className="flex flex-wrap items-center justify-between gap-2 mb-4">
+          <h2 className="text-lg font-bold text-gray-900">Dual-published videos</h2>
+          <p className="text-sm text-gray-600">
+            More views on Instagram: <strong>{data.wins.instagram}</strong> · on YouTube: <strong>{data.wins.youtube}</strong>
+          </p>
+        </div>
+
+        {data.items.length ? (
+          <div className="overflow-x-auto">
+            <table className="w-full text-sm">
+              <thead>
+                <tr className="text-left text-xs text-gray-500 border-b">
+                  <th className="py-2 pr-2">Video</th>
+                  {METRICS.map((metric) => (
+                    <th key={metric.key} className="py-2 px-2 text-right">{metric.label} (IG / YT)</th>
+                  ))}
+                  <th className="py-2 pl-2 text-right">Links</th>
+                </tr>
+              </thead>
+              <tbody>
+                {data.items.map((item) => (
+                  <tr key={item.jobId} className="border-b border-gray-50">
+                    <td className="py-2 pr-2 max-w-56">
+                      <p className="truncate text-gray-900">{item.title || item.jobId}</p>
+                      <p className="text-xs text-gray-500">{new Date(item.publishedAt).toLocaleDateString()}</p>
+                    </td>
+                    {METRICS.map((metric) => (
+                      <Cell key={metric.key} metric={item.metrics[metric.key]} />
+                    ))}
+                    <td className="py-2 pl-2 text-right whitespace-nowrap">
+                      {item.instagram.permalink && (
+                        <a href={item.instagram.permalink} target="_blank" rel="noopener noreferrer" className="text-pink-600 hover:underline mr-2">IG ↗</a>
+                      )}
+                      {item.youtube.url && (
+                        <a href={item.youtube.url} target="_blank" rel="noopener noreferrer" className="text-red-600 hover:underline">YT ↗</a>
+                      )}
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        ) : (
+          <p className="text-sm text-gray-500">No videos were published to both Instagram and YouTube in this period.</p>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default PlatformComparison;
@@ -0,0 +1,227 @@
+import { useState, useEffect } from 'react';
+import axios from 'axios';
+
+const PLATFORM_FIELDS = {
+  instagram: { name: 'Instagram', fields: { caption: 'Caption', hashtags: 'Hashtags' } },
+  youtube: { name: 'YouTube', fields: { title: 'Title', description: 'Description', tags: 'Tags' } }
+};
+
+const authHeaders = () => ({ 'Authorization': `Bearer ${localStorage.getItem('token')}` });
+
+function previewToForm(preview) {
+  const form = {};
+  if (preview.instagram) {
+    form.instagram = {
+      caption: preview.instagram.caption,
+      hashtags: preview.instagram.hashtags.join(' ')
+    };
+  }
+  if (preview.youtube) {
+    form.youtube = {
+      title: preview.youtube.title,
+      description: preview.youtube.description,
+      tags: preview.youtube.tags.join(', ')
+    };
+  }
+  return form;
+}
+
+// Live counts while editing, the saved preview has the server's counts
+function liveCounts(platform, values) {
+  if (platform === 'instagram') {
+    const hashtags = values.hashtags.split(/[\s,]+/).filter(Boolean);
+    return {
+      caption: [values.caption.trim(), hashtags.join(' ')].filter(Boolean).join('\n\n').length,
+      hashtags: hashtags.length
+    };
+  }
+  return { title: values.title.length, description: values.description.length };
+}
+
+function Count({ value, max }) {
+  return (
+    <span className={`text-xs ${value > max ? 'text-red-600 font-semibold' : 'text-gray-500'}`}>
+      {value}/{max}
+    </span>
+  );
+}
+
+/**
+ * Review the generated content of a dual-publish job before it goes live
+ */
+export default function PublishReview({ jobId, onApproved }) {
+  const [review, setReview] = useState(null);
+  const [form, setForm] = useState({});
+  const [busyAction, setBusyAction] = useState(null);
+  const [error, setError] = useState(null);
+
+  // Show saved content; a regenerated field only replaces that field so other edits are kept
+  const applyReview = (data, regenerated = null) => {
+    const saved = previewToForm(data.preview);
+    setReview(data);
+    setForm((prev) => (regenerated
+      ? { ...prev, [regenerated.platform]: { ...prev[regenerated.platform], [regenerated.field]: saved[regenerated.platform][regenerated.field] } }
+      : saved));
+  };
+
+  useEffect(() => {
+    axios.get(`/api/publish/dual/${jobId}/review`, { headers: authHeaders() })
+      .then((response) => applyReview(response.data))
+      .catch((err) => setError(err.response?.data?.error || 'Failed to load the generated content'));
+  }, [jobId]);
+
+  // Run an API action, showing the updated content when it returns it
+  const runAction = async (name, action, regenerated = null) => {
+    setBusyAction(name);
+    setError(null);
+    try {
+      const response = await action();
+      if (response.data.preview) {
+        applyReview(response.data, regenerated);
+      }
+      return response.data;
+    } catch (err) {
+      setError(err.response?.data?.error || err.message || 'Something went wrong');
+      return null;
+    } finally {
+      setBusyAction(null);
+    }
+  };
+
+  const handleChange = (platform, field, value) => {
+    setForm((prev) => ({ ...prev, [platform]: { ...prev[platform], [field]: value } }));
+  };
+
+  const handleSave = (platform) => runAction(
+    `save-${platform}`,
+    () => axios.patch(`/api/publish/dual/${jobId}/review`, { platform, fields: form[platform] }, { headers: authHeaders() })
+  );
+
+  const handleRegenerate = (platform, field) => runAction(
+    `${platform}.${field}`,
+    () => axios.post(`/api/publish/dual/${jobId}/review/regenerate`, { platform, field }, { headers: authHeaders() }),
+    { platform, field }
+  );
+
+  const handleApprove = async () => {
+    const result = await runAction(
+      'approve',
+      () => axios.post(`/api/publish/dual/${jobId}/review/approve`, {}, { headers: authHeaders() })
+    );
+    if (result) {
+      onApproved?.();
+    }
+  };
+
+  if (!review) {
+    return (
+      <div className="mb-6 p-4 bg-purple-50 border border-purple-200 rounded-md">
+        <p className={`text-sm ${error ? 'text-red-700' : 'text-purple-800'}`}>{error || 'Loading generated content...'}</p>
+      </div>
+    );
+  }
+
+  const saved = previewToForm(review.preview);
+  const isDirty = (platform) => JSON.stringify(form[platform]) !== JSON.stringify(saved[platform]);
+  const hasUnsavedEdits = Object.keys(form).some(isDirty);
+  const isBusy = busyAction !== null;
+  const buttonClass = 'px-3 py-1.5 text-sm font-medium rounded-md transition-colors disabled:opacity-50 disabled:cursor-not-allowed';
+
+  return (
+    <div className="mb-6 p-4 bg-purple-50 border border-purple-200 rounded-md">
+      <h3 className="text-lg font-semibold text-purple-900">📝 Review before publishing</h3>
+      <p className="text-sm text-purple-800 mb-4">
+        Edit or regenerate the generated content, then approve it to continue publishing.
+        Other platforms publish the generated text as is.
+      </p>
+
+      <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+        {Object.entries(PLATFORM_FIELDS).filter(([platform]) => form[platform]).map(([platform, { name, fields }]) => {
+          const preview = review.preview[platform];
+          const counts = liveCounts(platform, form[platform]);
+
+          return (
+            <div key={platform} className="bg-white border border-gray-200 rounded-md p-4 space-y-3">
+              <h4 className="font-medium text-gray-800">{name}</h4>
+
+              {Object.entries(fields).map(([field, label]) => (
+                <div key={field}>
+                  <div className="flex items-center justify-between mb-1">
+                    <label className="text-sm font-medium text-gray-700">{label}</label>
+                    <div className="flex items-center gap-3">
+                      {counts[field] !== undefined && <Count value={counts[field]} max={preview.limits[field]} />}
+                      <button
+                        onClick={() => handleRegenerate(platform, field)}
+                        disabled={isBusy}
+                        className="text-xs text-purple-600 hover:text-purple-800 disabled:opacity-50"
+                      >
+                        {busyAction === `${platform}.${field}` ? 'Regenerating...' : '🔄 Regenerate'}
+                      </button>
+                    </div>
+                  </div>
+                  <textarea
+                    value={form[platform][field]}
+                    onChange={(e) => handleChange(platform, field, e.target.value)}
+                    rows={field === 'description' || field === 'caption' ? 6 : 2}
+                    className="w-full border border-gray-300 rounded-md p-2 text-sm"
+                  />
+                  {field === 'caption' && (
+                    <p className="text-xs text-gray-500">The count includes the hashtags below.</p>
+                  )}
+                </div>
+              ))}
+
+              {platform === 'youtube' && (
+                <div>
+                  <div className="flex items-center justify-between mb-1">
+                    <span className="text-xs font-medium text-gray-700">Tags sent to YouTube</span>
+                    <Count value={preview.counts.tags} max={preview.limits.tags} />
+                  </div>
+                  <div className="flex flex-wrap gap-1">
+                    {preview.sanitizedTags.map((tag) => (
+                      <span key={tag} className="text-xs px-2 py-0.5 rounded-full bg-gray-100 text-gray-700">{tag}</span>
+                    ))}
+                    {preview.sanitizedTags.length === 0 && <span className="text-xs text-gray-500">No valid tags</span>}
+                  </div>
+                  <p className="text-xs text-gray-500 mt-1">
+                    Only letters, numbers, spaces and hyphens are kept, at most 15 tags. Updated when you save.
+                  </p>
+                </div>
+              )}
+
+              <button
+                onClick={() => handleSave(platform)}
+                disabled={isBusy || !isDirty(platform)}
+                className={`${buttonClass} text-white bg-purple-600 hover:bg-purple-700`}
+              >
+                {busyAction === `save-${platform}` ? 'Saving...' : '💾 Save edits'}
+              </button>
+            </div>
+          );
+        })}
+      </div>
+
+      {Object.keys(form).length === 0 && (
+        <p className="text-sm text-gray-600">None of this job's platforms have content to review.</p>
+      )}
+
+      {error && <p className="mt-4 text-sm text-red-700">{error}</p>}
+      {review.errors.length > 0 && (
+        <ul className="mt-4 text-sm text-red-700 list-disc list-inside">
+          {review.errors.map((message) => <li key={message}>{message}</li>)}
+        </ul>
+      )}
+
+      <div className="mt-4 flex items-center gap-3">
+        <button
+          onClick={handleApprove}
+          disabled={isBusy || hasUnsavedEdits || review.errors.length > 0}
+          className={`${buttonClass} text-white bg-green-600 hover:bg-green-700`}
+        >
+          {busyAction === 'approve' ? 'Approving...' : '🚀 Approve & publish'}
+        </button>
+        {hasUnsavedEdits && <span className="text-xs text-gray-500">Save your edits before approving.</span>}
+      </div>
+    </div>
+  );
+}
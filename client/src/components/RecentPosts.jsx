@@ -80,7 +80,8 @@ const RecentPosts = ({ refreshTrigger }) => {
       published: { color: 'bg-green-100 text-green-800', icon: '✓', label: 'Published' },
       draft: { color: 'bg-gray-100 text-gray-800', icon: '📝', label: 'Draft' },
       failed: { color: 'bg-red-100 text-red-800', icon: '✗', label: 'Failed' },
-      publishing: { color: 'bg-blue-100 text-blue-800', icon: '⏳', label: 'Publishing' }
+      publishing: { color: 'bg-blue-100 text-blue-800', icon: '⏳', label: 'Publishing' },
+      scheduled: { color: 'bg-emerald-100 text-emerald-800', icon: '🗓️', label: 'Scheduled' }
     };
     return badges[status] || badges.draft;
   };
@@ -163,7 +164,8 @@ const getStatusBadge = (status) => {
     published: { color: 'bg-green-100 text-green-800', icon: '✓', label: 'Published' },
     draft: { color: 'bg-gray-100 text-gray-800', icon: '📝', label: 'Draft' },
     failed: { color: 'bg-red-100 text-red-800', icon: '✗', label: 'Failed' },
-    publishing: { color: 'bg-blue-100 text-blue-800', icon: '⏳', label: 'Publishing' }
+    publishing: { color: 'bg-blue-100 text-blue-800', icon: '⏳', label: 'Publishing' },
+    scheduled: { color: 'bg-emerald-100 text-emerald-800', icon: '🗓️', label: 'Scheduled' }
   };
   return badges[status] || badges.draft;
 };
@@ -219,6 +221,11 @@ const PostCard = ({ post, onDelete, isDeleting }) => {
                 <span>{badge.icon}</span>
                 <span>{badge.label}</span>
               </span>
+              {post.mediaType === 'carousel' && (
+                <span className="px-2 py-1 rounded-full text-xs font-medium bg-indigo-100 text-indigo-800">
+                  🎠 {post.slideCount} slides
+                </span>
+              )}
               <span className="text-xs text-gray-500">
                 {formatDate(post.publishedAt || post.createdAt)}
               </span>
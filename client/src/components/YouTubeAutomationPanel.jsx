@@ -0,0 +1,285 @@
+import { useState, useEffect, useCallback } from 'react';
+import { youtubeAutomationAPI } from '../utils/api';
+import { useApp } from '../context/AppContext';
+
+const inputClass = 'w-full px-3 py-2 border border-gray-300 rounded-md text-sm focus:ring-2 focus:ring-red-500 focus:border-transparent';
+
+const MODERATION_ACTIONS = [
+  { value: 'hide', label: 'Hold for review' },
+  { value: 'delete', label: 'Reject' },
+  { value: 'none', label: 'Log only' }
+];
+
+function parseVideoIds(value) {
+  return value.split(/[\s,]+/).map((id) => id.trim()).filter(Boolean);
+}
+
+/**
+ * Start/stop and settings for YouTube comment automation of the connected channel
+ */
+const YouTubeAutomationPanel = () => {
+  const { toast } = useApp();
+  const [channel, setChannel] = useState(null);
+  const [settings, setSettings] = useState(null);
+  const [videoIds, setVideoIds] = useState('');
+  const [status, setStatus] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const [saving, setSaving] = useState(false);
+
+  const fetchStatus = useCallback(async () => {
+    try {
+      const response = await youtubeAutomationAPI.getStatus();
+      setStatus(response.data);
+    } catch (err) {
+      console.error('[YouTubeAutomation] Failed to load status:', err);
+    }
+  }, []);
+
+  useEffect(() => {
+    const fetchSettings = async () => {
+      try {
+        const response = await youtubeAutomationAPI.getSettings();
+        setChannel({ id: response.data.channelId, name: response.data.channelName });
+        setSettings(response.data.settings);
+        setVideoIds(response.data.settings.selectedVideos.join(', '));
+      } catch (err) {
+        console.error('[YouTubeAutomation] Failed to load settings:', err);
+      }
+    };
+    fetchSettings();
+    fetchStatus();
+
+    const interval = setInterval(fetchStatus, 30000);
+    return () => clearInterval(interval);
+  }, [fetchStatus]);
+
+  const updateField = (field, value) => {
+    setSettings((prev) => ({ ...prev, [field]: value }));
+  };
+
+  const updateModeration = (field, value) => {
+    setSettings((prev) => ({ ...prev, moderation: { ...prev.moderation, [field]: value } }));
+  };
+
+  const handleSave = async () => {
+    setSaving(true);
+    try {
+      const response = await youtubeAutomationAPI.saveSettings({
+        ...settings,
+        selectedVideos: parseVideoIds(videoIds)
+      });
+      setSettings(response.data.settings);
+      setVideoIds(response.data.settings.selectedVideos.join(', '));
+      toast.showSuccess('YouTube automation settings saved');
+      await fetchStatus();
+    } catch (err) {
+      toast.showError(err.response?.data?.error || 'Failed to save YouTube automation settings');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleToggle = async () => {
+    setLoading(true);
+    try {
+      if (status?.isRunning) {
+        await youtubeAutomationAPI.stop();
+        toast.showSuccess('YouTube automation stopped');
+      } else {
+        await youtubeAutomationAPI.start();
+        toast.showSuccess('YouTube automation started');
+      }
+      await fetchStatus();
+    } catch (err) {
+      toast.showError(err.response?.data?.error || 'Failed to toggle YouTube automation');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  if (!settings) {
+    return null;
+  }
+
+  if (!channel?.id) {
+    return (
+      <div className="bg-white rounded-lg shadow-md p-6">
+        <h2 className="text-2xl font-bold text-gray-900 mb-2">YouTube Comments</h2>
+        <p className="text-sm text-gray-500">Connect a YouTube channel to reply to and moderate its comments.</p>
+      </div>
+    );
+  }
+
+  return (
+    <div className="bg-white rounded-lg shadow-md p-6 space-y-5">
+      <div className="flex flex-wrap items-center justify-between gap-3">
+        <div>
+          <h2 className="text-2xl font-bold text-gray-900">YouTube Comments</h2>
+          <p className="text-sm text-gray-500">{channel.name || channel.id}</p>
+        </div>
+        <button
+          onClick={handleToggle}
+          disabled={loading}
+          className={`px-6 py-2 rounded-lg text-white font-medium transition disabled:opacity-50 disabled:cursor-not-allowed ${
+            status?.isRunning ? 'bg-red-600 hover:bg-red-700' : 'bg-green-600 hover:bg-green-700'
+          }`}
+        >
+          {loading ? 'Please wait...' : status?.isRunning ? 'Stop' : 'Start'}
+        </button>
+      </div>
+
+      {status?.isRunning && (
+        <div className="grid grid-cols-2 sm:grid-cols-4 gap-3 text-sm">
+          <div className="bg-gray-50 rounded-md p-3">
+            <p className="text-xs text-gray-500">Last check</p>
+            <p className="font-medium text-gray-900">{status.lastCheck ? new Date(status.lastCheck).toLocaleTimeString() : 'Never'}</p>
+          </div>
+          <div className="bg-gray-50 rounded-md p-3">
+            <p className="text-xs text-gray-500">Replies posted</p>
+            <p className="font-medium text-gray-900">{status.commentsProcessed}</p>
+          </div>
+          <div className="bg-gray-50 rounded-md p-3">
+            <p className="text-xs text-gray-500">Checking every</p>
+            <p className="font-medium text-gray-900">{Math.round(status.pollIntervalSeconds / 60)} min</p>
+          </div>
+          {status.quota && (
+            <div className="bg-gray-50 rounded-md p-3">
+              <p className="text-xs text-gray-500">Quota used today</p>
+              <p className="font-medium text-gray-900">{status.quota.used} / {status.quota.dailyBudget} units</p>
+            </div>
+          )}
+        </div>
+      )}
+
+      <div className="grid grid-cols-1 sm:grid-cols-2 gap-4">
+        <label className="text-sm text-gray-700">
+          Check interval (seconds)
+          <input
+            type="number"
+            min="60"
+            className={inputClass}
+            value={settings.pollIntervalSeconds}
+            onChange={(e) => updateField('pollIntervalSeconds', Number(e.target.value))}
+          />
+        </label>
+        <label className="text-sm text-gray-700">
+          Daily quota budget (units)
+          <input
+            type="number"
+            min="100"
+            className={inputClass}
+            value={settings.dailyQuotaBudget}
+            onChange={(e) => updateField('dailyQuotaBudget', Number(e.target.value))}
+          />
+        </label>
+        <label className="text-sm text-gray-700">
+          Max replies per check
+          <input
+            type="number"
+            min="1"
+            className={inputClass}
+            value={settings.maxCommentsPerCheck}
+            onChange={(e) => updateField('maxCommentsPerCheck', Number(e.target.value))}
+          />
+        </label>
+        <label className="text-sm text-gray-700">
+          Replies
+          <select
+            className={inputClass}
+            value={settings.approvalMode}
+            onChange={(e) => updateField('approvalMode', e.target.value)}
+          >
+            <option value="auto">Post automatically</option>
+            <option value="manual">Hold for approval</option>
+          </select>
+        </label>
+      </div>
+      <p className="text-xs text-gray-500">
+        Each reply costs 50 units and each check about one unit per video. The check interval is stretched when needed to stay within the budget.
+      </p>
+
+      <div className="space-y-2">
+        <label className="flex items-center gap-2 text-sm text-gray-700">
+          <input
+            type="checkbox"
+            checked={settings.monitorAll}
+            onChange={(e) => updateField('monitorAll', e.target.checked)}
+          />
+          Monitor the latest uploads
+        </label>
+        {settings.monitorAll ? (
+          <label className="text-sm text-gray-700 block">
+            Number of recent videos
+            <input
+              type="number"
+              min="1"
+              max="50"
+              className={inputClass}
+              value={settings.recentVideos}
+              onChange={(e) => updateField('recentVideos', Number(e.target.value))}
+            />
+          </label>
+        ) : (
+          <label className="text-sm text-gray-700 block">
+            Video IDs
+            <input
+              className={inputClass}
+              placeholder="dQw4w9WgXcQ, ..."
+              value={videoIds}
+              onChange={(e) => setVideoIds(e.target.value)}
+            />
+          </label>
+        )}
+      </div>
+
+      <div className="space-y-2">
+        <label className="flex items-center gap-2 text-sm text-gray-700">
+          <input
+            type="checkbox"
+            checked={settings.moderation.enabled}
+            onChange={(e) => updateModeration('enabled', e.target.checked)}
+          />
+          Moderate spam and toxic comments
+        </label>
+        {settings.moderation.enabled && (
+          <div className="grid grid-cols-1 sm:grid-cols-2 gap-4">
+            <label className="text-sm text-gray-700">
+              Spam
+              <select
+                className={inputClass}
+                value={settings.moderation.spamAction}
+                onChange={(e) => updateModeration('spamAction', e.target.value)}
+              >
+                {MODERATION_ACTIONS.map((action) => (
+                  <option key={action.value} value={action.value}>{action.label}</option>
+                ))}
+              </select>
+            </label>
+            <label className="text-sm text-gray-700">
+              Toxic
+              <select
+                className={inputClass}
+                value={settings.moderation.toxicAction}
+                onChange={(e) => updateModeration('toxicAction', e.target.value)}
+              >
+                {MODERATION_ACTIONS.map((action) => (
+                  <option key={action.value} value={action.value}>{action.label}</option>
+                ))}
+              </select>
+            </label>
+          </div>
+        )}
+      </div>
+
+      <button
+        onClick={handleSave}
+        disabled={saving}
+        className="w-full px-4 py-2 bg-red-600 text-white rounded-md hover:bg-red-700 disabled:opacity-50 disabled:cursor-not-allowed transition font-medium"
+      >
+        {saving ? 'Saving...' : 'Save YouTube settings'}
+      </button>
+    </div>
+  );
+};
+
+export default YouTubeAutomationPanel;
@@ -0,0 +1,172 @@
+import { useState, useEffect } from 'react';
+import InsightsChart from './InsightsChart';
+import { insightsAPI } from '../utils/api';
+
+const SORT_OPTIONS = [
+  { value: 'publishedAt', label: 'Newest' },
+  { value: 'views', label: 'Views' },
+  { value: 'likes', label: 'Likes' },
+  { value: 'comments', label: 'Comments' },
+  { value: 'watchTimeMinutes', label: 'Watch time' }
+];
+
+const VIDEO_LINES = [
+  { key: 'views', label: 'Views', color: '#ef4444' },
+  { key: 'likes', label: 'Likes', color: '#ec4899' },
+  { key: 'comments', label: 'Comments', color: '#f59e0b' },
+  { key: 'watchTimeMinutes', label: 'Watch time (min)', color: '#6366f1' }
+];
+
+function formatValue(value, suffix = '') {
+  return value === null || value === undefined ? '—' : `${value.toLocaleString()}${suffix}`;
+}
+
+/**
+ * Statistics of videos uploaded to YouTube, with a per-video history
+ * @param {Object} range - { from, to } as YYYY-MM-DD
+ * @param {number} reloadKey - Changes after a manual refresh
+ * @param {Function} showError
+ */
+const YouTubeInsights = ({ range, reloadKey, showError }) => {
+  const [sort, setSort] = useState('publishedAt');
+  const [data, setData] = useState(null);
+  const [selected, setSelected] = useState(null);
+  const [detail, setDetail] = useState(null);
+
+  useEffect(() => {
+    let cancelled = false;
+    insightsAPI.getVideos({ ...range, sort })
+      .then((response) => {
+        if (!cancelled) setData(response.data);
+      })
+      .catch((err) => {
+        if (!cancelled) showError(err.response?.data?.error || 'Failed to load YouTube statistics');
+      });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [range, sort, reloadKey, showError]);
+
+  useEffect(() => {
+    if (!selected) {
+      setDetail(null);
+      return;
+    }
+
+    let cancelled = false;
+    insightsAPI.getVideoDetail(selected)
+      .then((response) => {
+        if (!cancelled) setDetail(response.data);
+      })
+      .catch((err) => {
+        if (!cancelled) showError(err.response?.data?.error || 'Failed to load video statistics');
+      });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [selected, reloadKey, showError]);
+
+  return (
+    <div>
+      {data && (
+        <div className="grid grid-cols-2 lg:grid-cols-4 gap-4 mb-6">
+          {[
+            ['Views', data.totals.views],
+            ['Likes', data.totals.likes],
+            ['Comments', data.totals.comments],
+            ['Watch time (min)', data.totals.watchTimeMinutes]
+          ].map(([label, value]) => (
+            <div key={label} className="bg-white rounded-2xl shadow p-4 border border-gray-100">
+              <p className="text-xs text-gray-500">{label}</p>
+              <p className="text-2xl font-bold text-gray-900">{formatValue(value)}</p>
+            </div>
+          ))}
+        </div>
+      )}
+
+      <div className="grid grid-cols-1 lg:grid-cols-3 gap-6">
+        <div className="lg:col-span-2 bg-white rounded-2xl shadow-xl p-6 border border-gray-100">
+          <div className="flex items-center justify-between mb-4">
+            <h2 className="text-lg font-bold text-gray-900">Videos in this period</h2>
+            <select
+              value={sort}
+              onChange={(e) => setSort(e.target.value)}
+              className="px-2 py-1 border border-gray-200 rounded-lg text-sm"
+            >
+              {SORT_OPTIONS.map((option) => (
+                <option key={option.value} value={option.value}>Sort: {option.label}</option>
+              ))}
+            </select>
+          </div>
+
+          {data?.videos?.length ? (
+            <div className="overflow-x-auto">
+              <table className="w-full text-sm">
+                <thead>
+                  <tr className="text-left text-xs text-gray-500 border-b">
+                    <th className="py-2 pr-2">Video</th>
+                    <th className="py-2 px-2 text-right">Views</th>
+                    <th className="py-2 px-2 text-right">Likes</th>
+                    <th className="py-2 px-2 text-right">Comments</th>
+                    <th className="py-2 px-2 text-right">Watch time</th>
+                    <th className="py-2 pl-2 text-right">Avg. view</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {data.videos.map((video) => (
+                    <tr
+                      key={video.videoId}
+                      onClick={() => setSelected(video.videoId)}
+                      className={`border-b border-gray-50 cursor-pointer hover:bg-red-50 ${selected === video.videoId ? 'bg-red-50' : ''}`}
+                    >
+                      <td className="py-2 pr-2 max-w-56">
+                        <p className="truncate text-gray-900">{video.title || video.videoId}</p>
+                        <p className="text-xs text-gray-500">{new Date(video.publishedAt).toLocaleDateString()}</p>
+                      </td>
+                      <td className="py-2 px-2 text-right">{formatValue(video.views)}</td>
+                      <td className="py-2 px-2 text-right">{formatValue(video.likes)}</td>
+                      <td className="py-2 px-2 text-right">{formatValue(video.comments)}</td>
+                      <td className="py-2 px-2 text-right">{formatValue(video.watchTimeMinutes, ' min')}</td>
+                      <td className="py-2 pl-2 text-right">{formatValue(video.averageViewDurationSeconds, 's')}</td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          ) : (
+            <p className="text-sm text-gray-500">
+              No YouTube videos with statistics in this period. Videos uploaded by dual publishing are tracked automatically.
+            </p>
+          )}
+        </div>
+
+        <div className="bg-white rounded-2xl shadow-xl p-6 border border-gray-100">
+          <h2 className="text-lg font-bold text-gray-900 mb-4">Video details</h2>
+          {!selected && <p className="text-sm text-gray-500">Select a video to see how it performed over time.</p>}
+          {selected && !detail && <p className="text-sm text-gray-500">Loading...</p>}
+          {detail && (
+            <div className="space-y-4">
+              <p className="text-sm font-medium text-gray-900">{detail.video.title}</p>
+              <InsightsChart data={detail.series} lines={VIDEO_LINES} />
+              <p className="text-xs text-gray-500">
+                Watch time comes from YouTube Analytics and lags two to three days behind views.
+              </p>
+              <a
+                href={detail.video.url}
+                target="_blank"
+                rel="noopener noreferrer"
+                className="block text-center text-sm text-red-600 hover:underline"
+              >
+                View on YouTube ↗
+              </a>
+            </div>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default YouTubeInsights;
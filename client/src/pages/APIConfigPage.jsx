@@ -2,6 +2,7 @@ import { useState, useEffect } from 'react';
 import { motion, AnimatePresence } from 'framer-motion';
 import Navbar from '../components/Navbar';
 import LoadingSpinner from '../components/LoadingSpinner';
+import { workspaceHeaders } from '../utils/localStorage';
 
 export default function APIConfigPage() {
   const [loading, setLoading] = useState(false);
@@ -97,7 +98,8 @@ export default function APIConfigPage() {
       const token = localStorage.getItem('token');
       const response = await fetch('/api/config/ai-model', {
         headers: {
-          'Authorization': `Bearer ${token}`
+          'Authorization': `Bearer ${token}`,
+          ...workspaceHeaders()
         }
       });
 
@@ -166,7 +168,8 @@ export default function APIConfigPage() {
         method: 'POST',
         headers: {
           'Content-Type': 'application/json',
-          'Authorization': `Bearer ${token}`
+          'Authorization': `Bearer ${token}`,
+          ...workspaceHeaders()
         },
         body: JSON.stringify(config)
       });
@@ -0,0 +1,363 @@
+import { useState, useEffect, useCallback } from 'react';
+import { motion } from 'framer-motion';
+import Navbar from '../components/Navbar';
+import { useApp } from '../context/AppContext';
+import { approvalsAPI, postsAPI } from '../utils/api';
+
+export default function ApprovalQueuePage() {
+  const { toast } = useApp();
+  const { showError } = toast;
+  const [items, setItems] = useState([]);
+  const [total, setTotal] = useState(0);
+  const [loading, setLoading] = useState(true);
+  const [drafts, setDrafts] = useState({});
+  const [options, setOptions] = useState({});
+  const [selected, setSelected] = useState(new Set());
+  const [busy, setBusy] = useState({});
+  const [bulkBusy, setBulkBusy] = useState(false);
+  const [approvalMode, setApprovalMode] = useState('auto');
+  const [postPolicies, setPostPolicies] = useState({});
+  const [posts, setPosts] = useState([]);
+  const [showPolicies, setShowPolicies] = useState(false);
+  const [savingSettings, setSavingSettings] = useState(false);
+
+  const loadQueue = useCallback(async () => {
+    try {
+      const response = await approvalsAPI.getPending({ limit: 100 });
+      const data = response.data;
+      setItems(data.items || []);
+      setTotal(data.total || 0);
+      setDrafts(Object.fromEntries((data.items || []).map((item) => [item.commentId, item.replyText || ''])));
+      setSelected(new Set());
+    } catch (err) {
+      console.error('Error loading approval queue:', err);
+      showError(err.message || 'Failed to load approval queue');
+    } finally {
+      setLoading(false);
+    }
+  }, [showError]);
+
+  const loadSettings = useCallback(async () => {
+    try {
+      const response = await approvalsAPI.getSettings();
+      setApprovalMode(response.data.approvalMode || 'auto');
+      setPostPolicies(response.data.postPolicies || {});
+    } catch (err) {
+      console.error('Error loading approval settings:', err);
+    }
+  }, []);
+
+  useEffect(() => {
+    loadQueue();
+    loadSettings();
+  }, [loadQueue, loadSettings]);
+
+  const loadPosts = async () => {
+    if (posts.length > 0) return;
+    try {
+      const response = await postsAPI.getPosts({ limit: 50 });
+      setPosts(response.data.posts || []);
+    } catch (err) {
+      console.error('Error loading posts:', err);
+    }
+  };
+
+  const saveSettings = async (nextMode, nextPolicies) => {
+    setSavingSettings(true);
+    try {
+      const response = await approvalsAPI.saveSettings({ approvalMode: nextMode, postPolicies: nextPolicies });
+      setApprovalMode(response.data.approvalMode);
+      setPostPolicies(response.data.postPolicies || {});
+      toast.showSuccess('Approval settings saved');
+    } catch (err) {
+      console.error('Error saving approval settings:', err);
+      toast.showError(err.message || 'Failed to save approval settings');
+    } finally {
+      setSavingSettings(false);
+    }
+  };
+
+  const setPostPolicy = (postId, policy) => {
+    const next = { ...postPolicies };
+    if (policy === 'default') {
+      delete next[postId];
+    } else {
+      next[postId] = policy;
+    }
+    saveSettings(approvalMode, next);
+  };
+
+  const removeItem = (commentId) => {
+    setItems((prev) => prev.filter((item) => item.commentId !== commentId));
+    setTotal((prev) => Math.max(prev - 1, 0));
+    setSelected((prev) => {
+      const next = new Set(prev);
+      next.delete(commentId);
+      return next;
+    });
+  };
+
+  const runAction = async (commentId, action) => {
+    setBusy((prev) => ({ ...prev, [commentId]: action }));
+    try {
+      if (action === 'approve') {
+        await approvalsAPI.approve(commentId, drafts[commentId]);
+        toast.showSuccess('Reply posted');
+        removeItem(commentId);
+      } else if (action === 'reject') {
+        await approvalsAPI.reject(commentId);
+        toast.showInfo('Reply rejected');
+        removeItem(commentId);
+      } else if (action === 'regenerate') {
+        const response = await approvalsAPI.regenerate(commentId);
+        setOptions((prev) => ({ ...prev, [commentId]: response.data.replyOptions || [] }));
+        setDrafts((prev) => ({ ...prev, [commentId]: response.data.replyText || prev[commentId] }));
+      }
+    } catch (err) {
+      console.error(`Error running ${action}:`, err);
+      toast.showError(err.message || `Failed to ${action} reply`);
+    } finally {
+      setBusy((prev) => ({ ...prev, [commentId]: null }));
+    }
+  };
+
+  const runBulk = async (action) => {
+    const commentIds = Array.from(selected);
+    if (commentIds.length === 0) return;
+
+    setBulkBusy(true);
+    try {
+      const response = await approvalsAPI.bulk(commentIds, action);
+      const results = response.data.results || [];
+      const failed = results.filter((r) => !r.success);
+
+      results.filter((r) => r.success).forEach((r) => removeItem(r.commentId));
+
+      if (failed.length > 0) {
+        toast.showWarning(`${response.data.message}. ${failed.length} failed.`);
+      } else {
+        toast.showSuccess(response.data.message);
+      }
+    } catch (err) {
+      console.error('Error running bulk action:', err);
+      toast.showError(err.message || 'Bulk action failed');
+    } finally {
+      setBulkBusy(false);
+    }
+  };
+
+  const toggleSelected = (commentId) => {
+    setSelected((prev) => {
+      const next = new Set(prev);
+      if (next.has(commentId)) {
+        next.delete(commentId);
+      } else {
+        next.add(commentId);
+      }
+      return next;
+    });
+  };
+
+  const allSelected = items.length > 0 && selected.size === items.length;
+
+  return (
+    <div className="min-h-screen bg-linear-to-br from-gray-50 via-slate-50 to-zinc-50">
+      <Navbar showBackButton />
+
+      <main className="pt-24 pb-12 px-4 sm:px-6 lg:px-8">
+        <div className="max-w-5xl mx-auto">
+          {/* Header */}
+          <motion.div
+            className="mb-8"
+            initial={{ opacity: 0, y: 10 }}
+            animate={{ opacity: 1, y: 0 }}
+            transition={{ duration: 0.3 }}
+          >
+            <div className="flex items-center space-x-4 mb-4">
+              <div className="w-16 h-16 rounded-2xl bg-linear-to-br from-amber-500 to-orange-600 flex items-center justify-center text-4xl shadow-lg">
+                ✅
+              </div>
+              <div>
+                <h1 className="text-3xl sm:text-4xl font-bold bg-linear-to-r from-amber-600 to-orange-600 bg-clip-text text-transparent">
+                  Reply Approvals
+                </h1>
+                <p className="text-gray-600 mt-1">Review AI replies before they go live</p>
+              </div>
+            </div>
+          </motion.div>
+
+          {/* Approval Settings */}
+          <div className="bg-white rounded-2xl shadow-xl p-6 border border-gray-100 mb-6">
+            <div className="flex flex-col sm:flex-row sm:items-center sm:justify-between gap-4">
+              <div>
+                <h2 className="text-lg font-bold text-gray-900">Default Policy</h2>
+                <p className="text-sm text-gray-600">Applies to every post without its own policy</p>
+              </div>
+              <div className="inline-flex rounded-lg border border-gray-200 overflow-hidden">
+                {[
+                  { value: 'auto', label: 'Post automatically' },
+                  { value: 'manual', label: 'Require approval' }
+                ].map((option) => (
+                  <button
+                    key={option.value}
+                    onClick={() => saveSettings(option.value, postPolicies)}
+                    disabled={savingSettings || approvalMode === option.value}
+                    className={`px-4 py-2 text-sm font-medium transition-colors ${
+                      approvalMode === option.value
+                        ? 'bg-amber-500 text-white'
+                        : 'bg-white text-gray-700 hover:bg-gray-50'
+                    }`}
+                  >
+                    {option.label}
+                  </button>
+                ))}
+              </div>
+            </div>
+
+            <button
+              onClick={() => {
+                setShowPolicies(!showPolicies);
+                loadPosts();
+              }}
+              className="mt-4 text-sm font-medium text-amber-700 hover:text-amber-800"
+            >
+              {showPolicies ? 'Hide per-post policies' : `Per-post policies (${Object.keys(postPolicies).length})`}
+            </button>
+
+            {showPolicies && (
+              <div className="mt-4 space-y-2 max-h-80 overflow-y-auto">
+                {posts.length === 0 && (
+                  <p className="text-sm text-gray-500">No posts found.</p>
+                )}
+                {posts.map((post) => (
+                  <div key={post.id} className="flex items-center justify-between gap-4 p-3 rounded-lg bg-gray-50">
+                    <p className="text-sm text-gray-800 truncate">{post.caption || 'No caption'}</p>
+                    <select
+                      value={postPolicies[post.id] || 'default'}
+                      onChange={(e) => setPostPolicy(post.id, e.target.value)}
+                      disabled={savingSettings}
+                      className="text-sm border border-gray-300 rounded-md px-2 py-1"
+                    >
+                      <option value="default">Default</option>
+                      <option value="auto">Auto</option>
+                      <option value="manual">Approval</option>
+                    </select>
+                  </div>
+                ))}
+              </div>
+            )}
+          </div>
+
+          {/* Queue */}
+          <div className="bg-white rounded-2xl shadow-xl p-6 sm:p-8 border border-gray-100">
+            <div className="flex flex-col sm:flex-row sm:items-center sm:justify-between gap-4 mb-6">
+              <label className="flex items-center space-x-2 text-sm text-gray-700">
+                <input
+                  type="checkbox"
+                  checked={allSelected}
+                  onChange={() => setSelected(allSelected ? new Set() : new Set(items.map((item) => item.commentId)))}
+                  disabled={items.length === 0}
+                />
+                <span>{total} pending</span>
+              </label>
+              <div className="flex gap-2">
+                <button
+                  onClick={() => runBulk('approve')}
+                  disabled={bulkBusy || selected.size === 0}
+                  className="px-4 py-2 rounded-lg text-sm font-semibold text-white bg-green-500 hover:bg-green-600 disabled:bg-green-300"
+                >
+                  Approve selected ({selected.size})
+                </button>
+                <button
+                  onClick={() => runBulk('reject')}
+                  disabled={bulkBusy || selected.size === 0}
+                  className="px-4 py-2 rounded-lg text-sm font-semibold text-white bg-red-500 hover:bg-red-600 disabled:bg-red-300"
+                >
+                  Reject selected
+                </button>
+              </div>
+            </div>
+
+            {loading && <p className="text-gray-500">Loading...</p>}
+
+            {!loading && items.length === 0 && (
+              <p className="text-center text-gray-500 py-12">No replies waiting for approval</p>
+            )}
+
+            <div className="space-y-4">
+              {items.map((item) => (
+                <div key={item.commentId} className="border border-gray-200 rounded-xl p-4">
+                  <div className="flex items-start gap-3">
+                    <input
+                      type="checkbox"
+                      className="mt-1"
+                      checked={selected.has(item.commentId)}
+                      onChange={() => toggleSelected(item.commentId)}
+                    />
+                    <div className="flex-1 min-w-0">
+                      <p className="text-sm text-gray-500">
+                        @{item.username} · {new Date(item.processedAt).toLocaleString()}
+                      </p>
+                      <p className="text-gray-900 mt-1">{item.commentText}</p>
+                      {item.triage?.action === 'escalate' && (
+                        <p className="text-xs text-amber-700 mt-1">Escalated by rule "{item.triage.ruleName}"</p>
+                      )}
+                      {item.postCaption && (
+                        <p className="text-xs text-gray-400 mt-1 truncate">On: {item.postCaption}</p>
+                      )}
+
+                      <textarea
+                        value={drafts[item.commentId] ?? ''}
+                        onChange={(e) => setDrafts((prev) => ({ ...prev, [item.commentId]: e.target.value }))}
+                        rows={2}
+                        className="mt-3 w-full border border-gray-300 rounded-lg p-2 text-sm focus:ring-2 focus:ring-amber-500 focus:border-amber-500"
+                      />
+
+                      {options[item.commentId]?.length > 0 && (
+                        <div className="mt-2 flex flex-wrap gap-2">
+                          {options[item.commentId].map((option) => (
+                            <button
+                              key={option}
+                              onClick={() => setDrafts((prev) => ({ ...prev, [item.commentId]: option }))}
+                              className="px-3 py-1 text-xs rounded-full bg-amber-50 text-amber-800 border border-amber-200 hover:bg-amber-100"
+                            >
+                              {option}
+                            </button>
+                          ))}
+                        </div>
+                      )}
+
+                      <div className="mt-3 flex flex-wrap gap-2">
+                        <button
+                          onClick={() => runAction(item.commentId, 'approve')}
+                          disabled={!!busy[item.commentId] || !drafts[item.commentId]?.trim()}
+                          className="px-3 py-1.5 rounded-lg text-sm font-semibold text-white bg-green-500 hover:bg-green-600 disabled:bg-green-300"
+                        >
+                          {busy[item.commentId] === 'approve' ? 'Posting...' : 'Approve'}
+                        </button>
+                        <button
+                          onClick={() => runAction(item.commentId, 'regenerate')}
+                          disabled={!!busy[item.commentId]}
+                          className="px-3 py-1.5 rounded-lg text-sm font-semibold text-gray-700 bg-gray-100 hover:bg-gray-200 disabled:opacity-50"
+                        >
+                          {busy[item.commentId] === 'regenerate' ? 'Generating...' : 'Regenerate'}
+                        </button>
+                        <button
+                          onClick={() => runAction(item.commentId, 'reject')}
+                          disabled={!!busy[item.commentId]}
+                          className="px-3 py-1.5 rounded-lg text-sm font-semibold text-red-600 bg-red-50 hover:bg-red-100 disabled:opacity-50"
+                        >
+                          Reject
+                        </button>
+                      </div>
+                    </div>
+                  </div>
+                </div>
+              ))}
+            </div>
+          </div>
+        </div>
+      </main>
+    </div>
+  );
+}
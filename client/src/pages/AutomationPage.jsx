@@ -1,5 +1,6 @@
 import { motion } from 'framer-motion';
 import AutomationControl from '../components/AutomationControl';
+import YouTubeAutomationPanel from '../components/YouTubeAutomationPanel';
 import Navbar from '../components/Navbar';
 
 export default function AutomationPage() {
@@ -34,6 +35,10 @@ export default function AutomationPage() {
           <div className="bg-white rounded-2xl shadow-xl p-6 sm:p-8 border border-gray-100">
             <AutomationControl />
           </div>
+
+          <div className="mt-8 bg-white rounded-2xl shadow-xl p-6 sm:p-8 border border-gray-100">
+            <YouTubeAutomationPanel />
+          </div>
         </div>
       </main>
     </div>
@@ -0,0 +1,400 @@
+import { useState, useEffect, useCallback } from 'react';
+import { motion } from 'framer-motion';
+import Navbar from '../components/Navbar';
+import { useApp } from '../context/AppContext';
+import { commentRulesAPI } from '../utils/api';
+
+const ACTION_LABELS = {
+  ai_reply: 'AI reply',
+  template: 'Canned reply',
+  ignore: 'Ignore',
+  hide: 'Hide comment',
+  delete: 'Delete comment',
+  escalate: 'Escalate to human'
+};
+
+const SCRIPTS = ['latin', 'cyrillic', 'greek', 'arabic', 'hebrew', 'devanagari', 'bengali', 'tamil', 'thai', 'hangul', 'japanese', 'han'];
+
+const EMPTY_FORM = {
+  name: '',
+  priority: 100,
+  enabled: true,
+  keywords: '',
+  pattern: '',
+  usernames: '',
+  excludeUsernames: '',
+  emojiOnly: 'any',
+  containsLink: 'any',
+  minLength: '',
+  maxLength: '',
+  scripts: [],
+  actionType: 'ai_reply',
+  template: '',
+  tone: ''
+};
+
+const splitList = (value) => value.split(',').map((v) => v.trim()).filter(Boolean);
+const toFlag = (value) => (value === 'any' ? null : value === 'yes');
+const fromFlag = (value) => (value === true ? 'yes' : value === false ? 'no' : 'any');
+
+function ruleToForm(rule) {
+  const c = rule.conditions || {};
+  return {
+    name: rule.name,
+    priority: rule.priority,
+    enabled: rule.enabled,
+    keywords: (c.keywords || []).join(', '),
+    pattern: c.pattern || '',
+    usernames: (c.usernames || []).join(', '),
+    excludeUsernames: (c.excludeUsernames || []).join(', '),
+    emojiOnly: fromFlag(c.emojiOnly),
+    containsLink: fromFlag(c.containsLink),
+    minLength: c.minLength ?? '',
+    maxLength: c.maxLength ?? '',
+    scripts: c.scripts || [],
+    actionType: rule.action?.type || 'ai_reply',
+    template: rule.action?.template || '',
+    tone: rule.action?.tone || ''
+  };
+}
+
+function formToRule(form) {
+  return {
+    name: form.name,
+    priority: Number(form.priority),
+    enabled: form.enabled,
+    conditions: {
+      keywords: splitList(form.keywords),
+      pattern: form.pattern || null,
+      usernames: splitList(form.usernames),
+      excludeUsernames: splitList(form.excludeUsernames),
+      emojiOnly: toFlag(form.emojiOnly),
+      containsLink: toFlag(form.containsLink),
+      minLength: form.minLength === '' ? null : Number(form.minLength),
+      maxLength: form.maxLength === '' ? null : Number(form.maxLength),
+      scripts: form.scripts
+    },
+    action: {
+      type: form.actionType,
+      template: form.actionType === 'template' ? form.template : null,
+      tone: form.actionType === 'ai_reply' && form.tone ? form.tone : null
+    }
+  };
+}
+
+export default function CommentRulesPage() {
+  const { toast } = useApp();
+  const { showError } = toast;
+  const [rules, setRules] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [form, setForm] = useState(EMPTY_FORM);
+  const [editingId, setEditingId] = useState(null);
+  const [saving, setSaving] = useState(false);
+  const [testText, setTestText] = useState('');
+  const [testUsername, setTestUsername] = useState('');
+  const [testResult, setTestResult] = useState(null);
+
+  const loadRules = useCallback(async () => {
+    try {
+      const response = await commentRulesAPI.getRules();
+      setRules(response.data.rules || []);
+    } catch (err) {
+      console.error('Error loading rules:', err);
+      showError(err.message || 'Failed to load rules');
+    } finally {
+      setLoading(false);
+    }
+  }, [showError]);
+
+  useEffect(() => {
+    loadRules();
+  }, [loadRules]);
+
+  const updateField = (field, value) => setForm((prev) => ({ ...prev, [field]: value }));
+
+  const resetForm = () => {
+    setForm(EMPTY_FORM);
+    setEditingId(null);
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setSaving(true);
+    try {
+      const rule = formToRule(form);
+      if (editingId) {
+        await commentRulesAPI.updateRule(editingId, rule);
+        toast.showSuccess('Rule updated');
+      } else {
+        await commentRulesAPI.createRule(rule);
+        toast.showSuccess('Rule created');
+      }
+      resetForm();
+      await loadRules();
+    } catch (err) {
+      console.error('Error saving rule:', err);
+      toast.showError(err.message || 'Failed to save rule');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const toggleEnabled = async (rule) => {
+    try {
+      await commentRulesAPI.updateRule(rule._id, { ...formToRule(ruleToForm(rule)), enabled: !rule.enabled });
+      await loadRules();
+    } catch (err) {
+      toast.showError(err.message || 'Failed to update rule');
+    }
+  };
+
+  const handleDelete = async (rule) => {
+    if (!window.confirm(`Delete rule "${rule.name}"?`)) return;
+    try {
+      await commentRulesAPI.deleteRule(rule._id);
+      toast.showSuccess('Rule deleted');
+      if (editingId === rule._id) resetForm();
+      await loadRules();
+    } catch (err) {
+      toast.showError(err.message || 'Failed to delete rule');
+    }
+  };
+
+  const handleTest = async () => {
+    try {
+      const response = await commentRulesAPI.testRules(testText, testUsername);
+      setTestResult(response.data);
+    } catch (err) {
+      toast.showError(err.message || 'Failed to test rules');
+    }
+  };
+
+  const inputClass = 'w-full border border-gray-300 rounded-lg px-3 py-2 text-sm focus:ring-2 focus:ring-indigo-500 focus:border-indigo-500';
+
+  return (
+    <div className="min-h-screen bg-linear-to-br from-gray-50 via-slate-50 to-zinc-50">
+      <Navbar showBackButton />
+
+      <main className="pt-24 pb-12 px-4 sm:px-6 lg:px-8">
+        <div className="max-w-6xl mx-auto">
+          {/* Header */}
+          <motion.div
+            className="mb-8"
+            initial={{ opacity: 0, y: 10 }}
+            animate={{ opacity: 1, y: 0 }}
+            transition={{ duration: 0.3 }}
+          >
+            <div className="flex items-center space-x-4 mb-4">
+              <div className="w-16 h-16 rounded-2xl bg-linear-to-br from-indigo-500 to-violet-600 flex items-center justify-center text-4xl shadow-lg">
+                🧭
+              </div>
+              <div>
+                <h1 className="text-3xl sm:text-4xl font-bold bg-linear-to-r from-indigo-600 to-violet-600 bg-clip-text text-transparent">
+                  Comment Rules
+                </h1>
+                <p className="text-gray-600 mt-1">Decide what happens to each comment before AI replies</p>
+              </div>
+            </div>
+          </motion.div>
+
+          <div className="grid grid-cols-1 lg:grid-cols-2 gap-6">
+            {/* Rule Form */}
+            <form onSubmit={handleSubmit} className="bg-white rounded-2xl shadow-xl p-6 border border-gray-100 space-y-4">
+              <h2 className="text-lg font-bold text-gray-900">{editingId ? 'Edit Rule' : 'New Rule'}</h2>
+
+              <div className="grid grid-cols-3 gap-3">
+                <div className="col-span-2">
+                  <label className="block text-sm font-medium text-gray-700 mb-1">Name</label>
+                  <input className={inputClass} value={form.name} onChange={(e) => updateField('name', e.target.value)} required />
+                </div>
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 mb-1">Priority</label>
+                  <input type="number" className={inputClass} value={form.priority} onChange={(e) => updateField('priority', e.target.value)} />
+                </div>
+              </div>
+
+              <p className="text-xs text-gray-500">All filled-in conditions must match. Lower priority runs first.</p>
+
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-1">Keywords (comma separated)</label>
+                <input className={inputClass} value={form.keywords} onChange={(e) => updateField('keywords', e.target.value)} placeholder="price, cost, how much" />
+              </div>
+
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-1">Regex pattern</label>
+                <input className={inputClass} value={form.pattern} onChange={(e) => updateField('pattern', e.target.value)} placeholder="follow\s+me" />
+              </div>
+
+              <div className="grid grid-cols-2 gap-3">
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 mb-1">Only usernames</label>
+                  <input className={inputClass} value={form.usernames} onChange={(e) => updateField('usernames', e.target.value)} />
+                </div>
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 mb-1">Except usernames</label>
+                  <input className={inputClass} value={form.excludeUsernames} onChange={(e) => updateField('excludeUsernames', e.target.value)} />
+                </div>
+              </div>
+
+              <div className="grid grid-cols-2 gap-3">
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 mb-1">Emoji only</label>
+                  <select className={inputClass} value={form.emojiOnly} onChange={(e) => updateField('emojiOnly', e.target.value)}>
+                    <option value="any">Any</option>
+                    <option value="yes">Yes</option>
+                    <option value="no">No</option>
+                  </select>
+                </div>
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 mb-1">Contains link</label>
+                  <select className={inputClass} value={form.containsLink} onChange={(e) => updateField('containsLink', e.target.value)}>
+                    <option value="any">Any</option>
+                    <option value="yes">Yes</option>
+                    <option value="no">No</option>
+                  </select>
+                </div>
+              </div>
+
+              <div className="grid grid-cols-2 gap-3">
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 mb-1">Min length</label>
+                  <input type="number" min="0" className={inputClass} value={form.minLength} onChange={(e) => updateField('minLength', e.target.value)} />
+                </div>
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 mb-1">Max length</label>
+                  <input type="number" min="0" className={inputClass} value={form.maxLength} onChange={(e) => updateField('maxLength', e.target.value)} />
+                </div>
+              </div>
+
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-1">Language (writing system)</label>
+                <div className="flex flex-wrap gap-2">
+                  {SCRIPTS.map((script) => (
+                    <button
+                      type="button"
+                      key={script}
+                      onClick={() => updateField('scripts', form.scripts.includes(script)
+                        ? form.scripts.filter((s) => s !== script)
+                        : [...form.scripts, script])}
+                      className={`px-2 py-1 text-xs rounded-full border ${
+                        form.scripts.includes(script)
+                          ? 'bg-indigo-600 text-white border-indigo-600'
+                          : 'bg-white text-gray-700 border-gray-300'
+                      }`}
+                    >
+                      {script}
+                    </button>
+                  ))}
+                </div>
+              </div>
+
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-1">Action</label>
+                <select className={inputClass} value={form.actionType} onChange={(e) => updateField('actionType', e.target.value)}>
+                  {Object.entries(ACTION_LABELS).map(([value, label]) => (
+                    <option key={value} value={value}>{label}</option>
+                  ))}
+                </select>
+              </div>
+
+              {form.actionType === 'template' && (
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 mb-1">Reply template</label>
+                  <textarea className={inputClass} rows={3} value={form.template} onChange={(e) => updateField('template', e.target.value)} placeholder="Hi {{username}}, we sent you a DM!" />
+                </div>
+              )}
+
+              {form.actionType === 'ai_reply' && (
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 mb-1">Tone</label>
+                  <select className={inputClass} value={form.tone} onChange={(e) => updateField('tone', e.target.value)}>
+                    <option value="">Default</option>
+                    <option value="friendly">Friendly</option>
+                    <option value="formal">Formal</option>
+                    <option value="professional">Professional</option>
+                  </select>
+                </div>
+              )}
+
+              <div className="flex gap-2">
+                <button
+                  type="submit"
+                  disabled={saving}
+                  className="px-4 py-2 rounded-lg text-sm font-semibold text-white bg-indigo-600 hover:bg-indigo-700 disabled:bg-indigo-300"
+                >
+                  {saving ? 'Saving...' : editingId ? 'Update Rule' : 'Create Rule'}
+                </button>
+                {editingId && (
+                  <button type="button" onClick={resetForm} className="px-4 py-2 rounded-lg text-sm font-semibold text-gray-700 bg-gray-100 hover:bg-gray-200">
+                    Cancel
+                  </button>
+                )}
+              </div>
+            </form>
+
+            <div className="space-y-6">
+              {/* Rule List */}
+              <div className="bg-white rounded-2xl shadow-xl p-6 border border-gray-100">
+                <h2 className="text-lg font-bold text-gray-900 mb-4">Rules</h2>
+                {loading && <p className="text-gray-500">Loading...</p>}
+                {!loading && rules.length === 0 && (
+                  <p className="text-sm text-gray-500">No rules yet. Every comment gets an AI reply.</p>
+                )}
+                <div className="space-y-3">
+                  {rules.map((rule) => (
+                    <div key={rule._id} className={`p-3 rounded-lg border ${rule.enabled ? 'border-gray-200' : 'border-gray-100 opacity-60'}`}>
+                      <div className="flex items-center justify-between gap-3">
+                        <div className="min-w-0">
+                          <p className="font-semibold text-gray-900 truncate">{rule.priority}. {rule.name}</p>
+                          <p className="text-xs text-gray-500">
+                            {ACTION_LABELS[rule.action?.type]} · matched {rule.matchCount || 0} times
+                          </p>
+                        </div>
+                        <div className="flex gap-2 shrink-0">
+                          <button onClick={() => toggleEnabled(rule)} className="text-xs font-medium text-gray-600 hover:text-gray-900">
+                            {rule.enabled ? 'Disable' : 'Enable'}
+                          </button>
+                          <button
+                            onClick={() => {
+                              setEditingId(rule._id);
+                              setForm(ruleToForm(rule));
+                            }}
+                            className="text-xs font-medium text-indigo-600 hover:text-indigo-800"
+                          >
+                            Edit
+                          </button>
+                          <button onClick={() => handleDelete(rule)} className="text-xs font-medium text-red-600 hover:text-red-800">
+                            Delete
+                          </button>
+                        </div>
+                      </div>
+                    </div>
+                  ))}
+                </div>
+              </div>
+
+              {/* Rule Tester */}
+              <div className="bg-white rounded-2xl shadow-xl p-6 border border-gray-100 space-y-3">
+                <h2 className="text-lg font-bold text-gray-900">Test a Comment</h2>
+                <input className={inputClass} value={testUsername} onChange={(e) => setTestUsername(e.target.value)} placeholder="username" />
+                <textarea className={inputClass} rows={2} value={testText} onChange={(e) => setTestText(e.target.value)} placeholder="Comment text" />
+                <button onClick={handleTest} className="px-4 py-2 rounded-lg text-sm font-semibold text-white bg-gray-800 hover:bg-gray-900">
+                  Run Rules
+                </button>
+                {testResult && (
+                  <div className="p-3 rounded-lg bg-indigo-50 text-sm text-indigo-900">
+                    <p>
+                      <span className="font-semibold">{ACTION_LABELS[testResult.action]}</span>
+                      {testResult.ruleName ? ` via "${testResult.ruleName}"` : ' (no rule matched)'}
+                    </p>
+                    {testResult.reply && <p className="mt-1">Reply: {testResult.reply}</p>}
+                  </div>
+                )}
+              </div>
+            </div>
+          </div>
+        </div>
+      </main>
+    </div>
+  );
+}
@@ -1,5 +1,6 @@
 import { motion } from 'framer-motion';
 import ConfigurationPanel from '../components/ConfigurationPanel';
+import AccountSelector from '../components/AccountSelector';
 import Navbar from '../components/Navbar';
 
 export default function ConfigurationPage() {
@@ -30,6 +31,16 @@ export default function ConfigurationPage() {
             </div>
           </motion.div>
 
+          {/* Connected accounts */}
+          <div className="mb-8 grid grid-cols-1 lg:grid-cols-2 gap-8">
+            <div className="bg-white rounded-2xl shadow-xl p-6 sm:p-8 border border-gray-100">
+              <AccountSelector platform="instagram" />
+            </div>
+            <div className="bg-white rounded-2xl shadow-xl p-6 sm:p-8 border border-gray-100">
+              <AccountSelector platform="youtube" />
+            </div>
+          </div>
+
           {/* Content */}
           <div className="bg-white rounded-2xl shadow-xl p-6 sm:p-8 border border-gray-100">
             <ConfigurationPanel />
@@ -0,0 +1,271 @@
+import { useState, useEffect, useCallback } from 'react';
+import { motion } from 'framer-motion';
+import Navbar from '../components/Navbar';
+import { useApp } from '../context/AppContext';
+import { dmCampaignsAPI, postsAPI } from '../utils/api';
+
+const EMPTY_FORM = {
+  name: '',
+  keyword: '',
+  postIds: [],
+  link: '',
+  dmTemplate: 'Hey {username}! Here you go: {link}',
+  publicReplyTemplate: '',
+  isActive: true
+};
+
+function campaignToForm(campaign) {
+  return {
+    name: campaign.name,
+    keyword: campaign.keyword,
+    postIds: campaign.postIds || [],
+    link: campaign.link || '',
+    dmTemplate: campaign.dmTemplate,
+    publicReplyTemplate: campaign.publicReplyTemplate || '',
+    isActive: campaign.isActive
+  };
+}
+
+export default function DMCampaignsPage() {
+  const { toast } = useApp();
+  const { showError } = toast;
+  const [campaigns, setCampaigns] = useState([]);
+  const [posts, setPosts] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [form, setForm] = useState(EMPTY_FORM);
+  const [editingId, setEditingId] = useState(null);
+  const [saving, setSaving] = useState(false);
+
+  const loadCampaigns = useCallback(async () => {
+    try {
+      const response = await dmCampaignsAPI.getCampaigns();
+      setCampaigns(response.data.campaigns || []);
+    } catch (err) {
+      console.error('Error loading campaigns:', err);
+      showError(err.message || 'Failed to load campaigns');
+    } finally {
+      setLoading(false);
+    }
+  }, [showError]);
+
+  useEffect(() => {
+    loadCampaigns();
+  }, [loadCampaigns]);
+
+  useEffect(() => {
+    postsAPI.getPosts({ limit: 50 })
+      .then((response) => setPosts(response.data.posts || []))
+      .catch((err) => console.error('Error loading posts:', err));
+  }, []);
+
+  const updateField = (field, value) => setForm((prev) => ({ ...prev, [field]: value }));
+
+  const togglePost = (postId) => {
+    updateField('postIds', form.postIds.includes(postId)
+      ? form.postIds.filter((id) => id !== postId)
+      : [...form.postIds, postId]);
+  };
+
+  const resetForm = () => {
+    setForm(EMPTY_FORM);
+    setEditingId(null);
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setSaving(true);
+    try {
+      if (editingId) {
+        await dmCampaignsAPI.updateCampaign(editingId, form);
+        toast.showSuccess('Campaign updated');
+      } else {
+        await dmCampaignsAPI.createCampaign(form);
+        toast.showSuccess('Campaign created');
+      }
+      resetForm();
+      await loadCampaigns();
+    } catch (err) {
+      console.error('Error saving campaign:', err);
+      toast.showError(err.message || 'Failed to save campaign');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const toggleActive = async (campaign) => {
+    try {
+      await dmCampaignsAPI.updateCampaign(campaign._id, { ...campaignToForm(campaign), isActive: !campaign.isActive });
+      await loadCampaigns();
+    } catch (err) {
+      toast.showError(err.message || 'Failed to update campaign');
+    }
+  };
+
+  const handleDelete = async (campaign) => {
+    if (!window.confirm(`Delete campaign "${campaign.name}" and its delivery history?`)) return;
+    try {
+      await dmCampaignsAPI.deleteCampaign(campaign._id);
+      toast.showSuccess('Campaign deleted');
+      if (editingId === campaign._id) resetForm();
+      await loadCampaigns();
+    } catch (err) {
+      toast.showError(err.message || 'Failed to delete campaign');
+    }
+  };
+
+  const inputClass = 'w-full border border-gray-300 rounded-lg px-3 py-2 text-sm focus:ring-2 focus:ring-fuchsia-500 focus:border-fuchsia-500';
+
+  return (
+    <div className="min-h-screen bg-linear-to-br from-gray-50 via-slate-50 to-zinc-50">
+      <Navbar showBackButton />
+
+      <main className="pt-24 pb-12 px-4 sm:px-6 lg:px-8">
+        <div className="max-w-6xl mx-auto">
+          {/* Header */}
+          <motion.div
+            className="mb-8"
+            initial={{ opacity: 0, y: 10 }}
+            animate={{ opacity: 1, y: 0 }}
+            transition={{ duration: 0.3 }}
+          >
+            <div className="flex items-center space-x-4 mb-4">
+              <div className="w-16 h-16 rounded-2xl bg-linear-to-br from-fuchsia-500 to-pink-600 flex items-center justify-center text-4xl shadow-lg">
+                📨
+              </div>
+              <div>
+                <h1 className="text-3xl sm:text-4xl font-bold bg-linear-to-r from-fuchsia-600 to-pink-600 bg-clip-text text-transparent">
+                  DM Campaigns
+                </h1>
+                <p className="text-gray-600 mt-1">"Comment GUIDE and we'll DM it to you"</p>
+              </div>
+            </div>
+          </motion.div>
+
+          <div className="grid grid-cols-1 lg:grid-cols-2 gap-6">
+            {/* Campaign Form */}
+            <form onSubmit={handleSubmit} className="bg-white rounded-2xl shadow-xl p-6 border border-gray-100 space-y-4">
+              <h2 className="text-lg font-bold text-gray-900">{editingId ? 'Edit Campaign' : 'New Campaign'}</h2>
+
+              <div className="grid grid-cols-2 gap-3">
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 mb-1">Name</label>
+                  <input className={inputClass} value={form.name} onChange={(e) => updateField('name', e.target.value)} required />
+                </div>
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 mb-1">Trigger keyword</label>
+                  <input className={inputClass} value={form.keyword} onChange={(e) => updateField('keyword', e.target.value)} placeholder="GUIDE" required />
+                </div>
+              </div>
+
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-1">Posts ({form.postIds.length} selected)</label>
+                <div className="max-h-48 overflow-y-auto border border-gray-200 rounded-lg divide-y divide-gray-100">
+                  {posts.length === 0 && <p className="p-3 text-sm text-gray-500">No posts found</p>}
+                  {posts.map((post) => (
+                    <label key={post.id} className="flex items-center gap-3 p-2 text-sm cursor-pointer hover:bg-gray-50">
+                      <input type="checkbox" checked={form.postIds.includes(post.id)} onChange={() => togglePost(post.id)} />
+                      {post.thumbnailUrl && <img src={post.thumbnailUrl} alt="" className="w-8 h-8 rounded object-cover" />}
+                      <span className="truncate text-gray-800">{post.caption || 'No caption'}</span>
+                    </label>
+                  ))}
+                </div>
+              </div>
+
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-1">Link</label>
+                <input className={inputClass} value={form.link} onChange={(e) => updateField('link', e.target.value)} placeholder="https://example.com/guide" />
+              </div>
+
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-1">DM message</label>
+                <textarea className={inputClass} rows={3} value={form.dmTemplate} onChange={(e) => updateField('dmTemplate', e.target.value)} required />
+                <p className="text-xs text-gray-500 mt-1">Variables: {'{username}'}, {'{link}'}, {'{keyword}'}. Each person gets it once.</p>
+              </div>
+
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-1">Public reply (optional)</label>
+                <input className={inputClass} value={form.publicReplyTemplate} onChange={(e) => updateField('publicReplyTemplate', e.target.value)} placeholder="Sent you a DM {username}! 📩" />
+              </div>
+
+              <div className="flex gap-2">
+                <button
+                  type="submit"
+                  disabled={saving}
+                  className="px-4 py-2 rounded-lg text-sm font-semibold text-white bg-fuchsia-600 hover:bg-fuchsia-700 disabled:bg-fuchsia-300"
+                >
+                  {saving ? 'Saving...' : editingId ? 'Update Campaign' : 'Create Campaign'}
+                </button>
+                {editingId && (
+                  <button type="button" onClick={resetForm} className="px-4 py-2 rounded-lg text-sm font-semibold text-gray-700 bg-gray-100 hover:bg-gray-200">
+                    Cancel
+                  </button>
+                )}
+              </div>
+            </form>
+
+            {/* Campaign List */}
+            <div className="bg-white rounded-2xl shadow-xl p-6 border border-gray-100">
+              <h2 className="text-lg font-bold text-gray-900 mb-4">Campaigns</h2>
+              {loading && <p className="text-gray-500">Loading...</p>}
+              {!loading && campaigns.length === 0 && (
+                <p className="text-sm text-gray-500">No campaigns yet.</p>
+              )}
+              <div className="space-y-3">
+                {campaigns.map((campaign) => (
+                  <div key={campaign._id} className={`p-3 rounded-lg border ${campaign.isActive ? 'border-gray-200' : 'border-gray-100 opacity-60'}`}>
+                    <div className="flex items-center justify-between gap-3">
+                      <div className="min-w-0">
+                        <p className="font-semibold text-gray-900 truncate">{campaign.name}</p>
+                        <p className="text-xs text-gray-500">
+                          Keyword <span className="font-mono uppercase">{campaign.keyword}</span> · {campaign.postIds.length} post(s)
+                        </p>
+                      </div>
+                      <div className="flex gap-2 shrink-0">
+                        <button onClick={() => toggleActive(campaign)} className="text-xs font-medium text-gray-600 hover:text-gray-900">
+                          {campaign.isActive ? 'Pause' : 'Resume'}
+                        </button>
+                        <button
+                          onClick={() => {
+                            setEditingId(campaign._id);
+                            setForm(campaignToForm(campaign));
+                          }}
+                          className="text-xs font-medium text-fuchsia-600 hover:text-fuchsia-800"
+                        >
+                          Edit
+                        </button>
+                        <button onClick={() => handleDelete(campaign)} className="text-xs font-medium text-red-600 hover:text-red-800">
+                          Delete
+                        </button>
+                      </div>
+                    </div>
+                    <div className="grid grid-cols-4 gap-2 mt-3 text-center">
+                      <div className="p-2 rounded-md bg-gray-50">
+                        <p className="text-lg font-bold text-gray-900">{campaign.stats?.triggers || 0}</p>
+                        <p className="text-xs text-gray-500">Triggers</p>
+                      </div>
+                      <div className="p-2 rounded-md bg-green-50">
+                        <p className="text-lg font-bold text-green-700">{campaign.stats?.dmsSent || 0}</p>
+                        <p className="text-xs text-gray-500">DMs sent</p>
+                      </div>
+                      <div className="p-2 rounded-md bg-amber-50">
+                        <p className="text-lg font-bold text-amber-700">{campaign.stats?.duplicates || 0}</p>
+                        <p className="text-xs text-gray-500">Repeats</p>
+                      </div>
+                      <div className="p-2 rounded-md bg-red-50">
+                        <p className="text-lg font-bold text-red-700">{campaign.stats?.dmsFailed || 0}</p>
+                        <p className="text-xs text-gray-500">Failed</p>
+                      </div>
+                    </div>
+                    {campaign.lastTriggeredAt && (
+                      <p className="text-xs text-gray-400 mt-2">Last triggered {new Date(campaign.lastTriggeredAt).toLocaleString()}</p>
+                    )}
+                  </div>
+                ))}
+              </div>
+            </div>
+          </div>
+        </div>
+      </main>
+    </div>
+  );
+}
@@ -2,7 +2,7 @@ import { useState, useEffect } from 'react';
 import { useNavigate, Link } from 'react-router-dom';
 import { motion, AnimatePresence } from 'framer-motion';
 import LoadingSpinner from '../components/LoadingSpinner';
-import { clearAuth } from '../utils/localStorage';
+import { clearAuth, workspaceHeaders } from '../utils/localStorage';
 import { useApp } from '../context/AppContext';
 
 const DashboardPage = () => {
@@ -53,7 +53,8 @@ const DashboardPage = () => {
         const token = localStorage.getItem('token');
         const response = await fetch('/api/stats/dashboard', {
           headers: {
-            'Authorization': `Bearer ${token}`
+            'Authorization': `Bearer ${token}`,
+            ...workspaceHeaders()
           }
         });
         
@@ -63,7 +64,7 @@ const DashboardPage = () => {
             { label: 'Total Posts', value: data.totalPosts || '0', icon: '📝', color: 'from-blue-500 to-blue-600', change: data.postsChange || '+0%' },
             { label: 'AI Generated', value: data.aiGenerated || '0', icon: '🤖', color: 'from-purple-500 to-purple-600', change: data.aiChange || '+0%' },
             { label: 'Engagement', value: data.engagement || '0%', icon: '❤️', color: 'from-pink-500 to-pink-600', change: data.engagementChange || '+0%' },
-            { label: 'Active Users', value: data.activeUsers || '0', icon: '👥', color: 'from-green-500 to-green-600', change: data.usersChange || '+0%' },
+            { label: 'Followers', value: data.followers || '—', icon: '👥', color: 'from-green-500 to-green-600', change: data.followersChange || '+0' },
           ]);
         } else {
           // Fallback to default values
@@ -71,7 +72,7 @@ const DashboardPage = () => {
             { label: 'Total Posts', value: '0', icon: '📝', color: 'from-blue-500 to-blue-600', change: '+0%' },
             { label: 'AI Generated', value: '0', icon: '🤖', color: 'from-purple-500 to-purple-600', change: '+0%' },
             { label: 'Engagement', value: '0%', icon: '❤️', color: 'from-pink-500 to-pink-600', change: '+0%' },
-            { label: 'Active Users', value: '1', icon: '👥', color: 'from-green-500 to-green-600', change: '+0%' },
+            { label: 'Followers', value: '—', icon: '👥', color: 'from-green-500 to-green-600', change: '+0' },
           ]);
         }
       } catch (error) {
@@ -81,7 +82,7 @@ const DashboardPage = () => {
           { label: 'Total Posts', value: '0', icon: '📝', color: 'from-blue-500 to-blue-600', change: '+0%' },
           { label: 'AI Generated', value: '0', icon: '🤖', color: 'from-purple-500 to-purple-600', change: '+0%' },
           { label: 'Engagement', value: '0%', icon: '❤️', color: 'from-pink-500 to-pink-600', change: '+0%' },
-          { label: 'Active Users', value: '1', icon: '👥', color: 'from-green-500 to-green-600', change: '+0%' },
+          { label: 'Followers', value: '—', icon: '👥', color: 'from-green-500 to-green-600', change: '+0' },
         ]);
       } finally {
         setLoading(false);
@@ -113,6 +114,55 @@ const DashboardPage = () => {
       color: 'from-gray-600 to-slate-700',
       action: () => navigate('/logs')
     },
+    { 
+      title: 'Reply Approvals', 
+      description: 'Review AI replies before posting', 
+      icon: '✅', 
+      color: 'from-amber-500 to-orange-600',
+      action: () => navigate('/approvals')
+    },
+    { 
+      title: 'Comment Rules', 
+      description: 'Triage comments before AI replies', 
+      icon: '🧭', 
+      color: 'from-indigo-500 to-violet-600',
+      action: () => navigate('/comment-rules')
+    },
+    { 
+      title: 'Moderation', 
+      description: 'Filter spam and abusive comments', 
+      icon: '🛡️', 
+      color: 'from-rose-500 to-red-600',
+      action: () => navigate('/moderation')
+    },
+    { 
+      title: 'Messages', 
+      description: 'Reply to Instagram DMs', 
+      icon: '💬', 
+      color: 'from-sky-500 to-blue-600',
+      action: () => navigate('/messages')
+    },
+    { 
+      title: 'DM Campaigns', 
+      description: 'Send a DM when people comment a keyword', 
+      icon: '📨', 
+      color: 'from-fuchsia-500 to-pink-600',
+      action: () => navigate('/dm-campaigns')
+    },
+    { 
+      title: 'Webhooks', 
+      description: 'Send events to Slack, Discord or your own server', 
+      icon: '🪝', 
+      color: 'from-teal-500 to-cyan-600',
+      action: () => navigate('/webhooks')
+    },
+    { 
+      title: 'Workspaces', 
+      description: 'Share accounts with your team', 
+      icon: '👥', 
+      color: 'from-amber-500 to-orange-600',
+      action: () => navigate('/workspaces')
+    },
     { 
       title: 'AI Post Generator', 
       description: 'Create engaging content', 
@@ -127,6 +177,20 @@ const DashboardPage = () => {
       color: 'from-green-500 to-teal-600',
       action: () => navigate('/dual-publish')
     },
+    { 
+      title: 'Schedule', 
+      description: 'Calendar of scheduled posts', 
+      icon: '🗓️', 
+      color: 'from-emerald-500 to-green-600',
+      action: () => navigate('/schedule')
+    },
+    { 
+      title: 'Insights', 
+      description: 'Reach, followers and post performance', 
+      icon: '📊', 
+      color: 'from-indigo-500 to-pink-500',
+      action: () => navigate('/insights')
+    },
     { 
       title: 'API Configuration', 
       description: 'Manage API keys and settings', 
@@ -0,0 +1,151 @@
+import { useState, useEffect } from 'react';
+import { Link, useSearchParams } from 'react-router-dom';
+import { dataDeletionAPI } from '../utils/api';
+
+const STATUS_TEXT = {
+  pending: { label: 'In progress', className: 'bg-blue-100 text-blue-800' },
+  completed: { label: 'Completed', className: 'bg-green-100 text-green-800' },
+  failed: { label: 'Failed - please contact support', className: 'bg-red-100 text-red-800' }
+};
+
+const DELETED_LABELS = {
+  credentials: 'Connected Instagram accounts',
+  comments: 'Processed comments',
+  posts: 'Instagram posts',
+  activityLogs: 'Activity log entries',
+  conversations: 'DM conversations',
+  messages: 'Direct messages',
+  campaignDeliveries: 'DM campaign recipients',
+  insights: 'Insights snapshots'
+};
+
+/**
+ * Public status page for Instagram data deletion requests
+ * Meta links users and reviewers here with ?code=<confirmation code>
+ */
+const DataDeletionStatusPage = () => {
+  const [searchParams, setSearchParams] = useSearchParams();
+  const code = searchParams.get('code') || '';
+  const [input, setInput] = useState(code);
+  const [request, setRequest] = useState(null);
+  const [error, setError] = useState(null);
+  const [loading, setLoading] = useState(false);
+
+  useEffect(() => {
+    if (!code) return;
+
+    setLoading(true);
+    setError(null);
+    setRequest(null);
+    dataDeletionAPI.getStatus(code)
+      .then((response) => setRequest(response.data.request))
+      .catch((err) => setError(err.response?.status === 404
+        ? 'No deletion request was found for this confirmation code.'
+        : err.message))
+      .finally(() => setLoading(false));
+  }, [code]);
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    if (input.trim()) {
+      setSearchParams({ code: input.trim() });
+    }
+  };
+
+  const status = request && (STATUS_TEXT[request.status] || STATUS_TEXT.pending);
+
+  return (
+    <div className="min-h-screen bg-linear-to-br from-blue-50 to-indigo-100">
+      {/* Header */}
+      <header className="bg-white shadow-sm">
+        <div className="max-w-4xl mx-auto px-4 py-6 flex justify-between items-center">
+          <Link to="/" className="text-2xl font-bold text-gray-900">
+            Instagram Automation
+          </Link>
+          <Link
+            to="/login"
+            className="text-blue-600 hover:text-blue-700 font-medium"
+          >
+            Sign In
+          </Link>
+        </div>
+      </header>
+
+      {/* Content */}
+      <main className="max-w-4xl mx-auto px-4 py-12">
+        <div className="bg-white rounded-lg shadow-xl p-8 md:p-12">
+          <h1 className="text-4xl font-bold text-gray-900 mb-4">
+            Data Deletion Status
+          </h1>
+          <p className="text-gray-700 leading-relaxed mb-8">
+            When you remove this app from Instagram and ask for your data to be deleted, we delete your
+            Instagram credentials, processed comments, Instagram posts, direct messages, DM campaign
+            recipients, insights, and related activity logs, and give you a confirmation code. Enter the code to check your request.
+          </p>
+
+          <form onSubmit={handleSubmit} className="flex flex-col sm:flex-row gap-3 mb-8">
+            <input
+              type="text"
+              value={input}
+              onChange={(e) => setInput(e.target.value)}
+              placeholder="Confirmation code"
+              className="flex-1 px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
+            />
+            <button
+              type="submit"
+              disabled={!input.trim() || loading}
+              className="px-6 py-2 bg-blue-600 text-white font-semibold rounded-md hover:bg-blue-700 disabled:bg-gray-300 disabled:cursor-not-allowed"
+            >
+              {loading ? 'Checking...' : 'Check status'}
+            </button>
+          </form>
+
+          {error && (
+            <div className="p-4 bg-red-50 border border-red-200 rounded-md">
+              <p className="text-red-800">{error}</p>
+            </div>
+          )}
+
+          {request && (
+            <div className="border border-gray-200 rounded-md p-6 space-y-4">
+              <div className="flex flex-wrap items-center justify-between gap-2">
+                <span className="font-mono text-sm text-gray-700">{request.confirmationCode}</span>
+                <span className={`text-sm px-3 py-1 rounded-full ${status.className}`}>{status.label}</span>
+              </div>
+              <p className="text-sm text-gray-600">
+                Requested {new Date(request.requestedAt).toLocaleString()}
+                {request.completedAt && ` · completed ${new Date(request.completedAt).toLocaleString()}`}
+              </p>
+              {request.status === 'completed' && (
+                <ul className="text-sm text-gray-700 space-y-1">
+                  {Object.entries(DELETED_LABELS).map(([key, label]) => (
+                    <li key={key}>{label} deleted: {request.deleted?.[key] ?? 0}</li>
+                  ))}
+                </ul>
+              )}
+            </div>
+          )}
+
+          {/* Footer Links */}
+          <div className="mt-12 pt-8 border-t border-gray-200 flex flex-wrap gap-4 justify-center">
+            <Link
+              to="/privacy"
+              className="text-blue-600 hover:text-blue-700 font-medium"
+            >
+              Privacy Policy
+            </Link>
+            <span className="text-gray-400">•</span>
+            <Link
+              to="/terms"
+              className="text-blue-600 hover:text-blue-700 font-medium"
+            >
+              Terms of Service
+            </Link>
+          </div>
+        </div>
+      </main>
+    </div>
+  );
+};
+
+export default DataDeletionStatusPage;
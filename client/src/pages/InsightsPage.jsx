@@ -0,0 +1,376 @@
+import { useState, useEffect, useCallback } from 'react';
+import { motion } from 'framer-motion';
+import Navbar from '../components/Navbar';
+import InsightsChart from '../components/InsightsChart';
+import YouTubeInsights from '../components/YouTubeInsights';
+import PlatformComparison from '../components/PlatformComparison';
+import { useApp } from '../context/AppContext';
+import { insightsAPI } from '../utils/api';
+
+const PRESETS = [7, 30, 90];
+
+const TABS = [
+  { id: 'instagram', label: 'Instagram' },
+  { id: 'youtube', label: 'YouTube' },
+  { id: 'comparison', label: 'Instagram vs YouTube' }
+];
+
+const SORT_OPTIONS = [
+  { value: 'postedAt', label: 'Newest' },
+  { value: 'reach', label: 'Reach' },
+  { value: 'likes', label: 'Likes' },
+  { value: 'comments', label: 'Comments' },
+  { value: 'saves', label: 'Saves' },
+  { value: 'shares', label: 'Shares' },
+  { value: 'plays', label: 'Views' },
+  { value: 'engagementRate', label: 'Engagement' }
+];
+
+const MEDIA_LINES = [
+  { key: 'reach', label: 'Reach', color: '#6366f1' },
+  { key: 'likes', label: 'Likes', color: '#ec4899' },
+  { key: 'comments', label: 'Comments', color: '#f59e0b' },
+  { key: 'saves', label: 'Saves', color: '#10b981' },
+  { key: 'shares', label: 'Shares', color: '#0ea5e9' }
+];
+
+function toDateInput(date) {
+  return date.toISOString().slice(0, 10);
+}
+
+function presetRange(days) {
+  const to = new Date();
+  const from = new Date(to.getTime() - (days - 1) * 24 * 60 * 60 * 1000);
+  return { from: toDateInput(from), to: toDateInput(to) };
+}
+
+function formatValue(value, suffix = '') {
+  return value === null || value === undefined ? '—' : `${value.toLocaleString()}${suffix}`;
+}
+
+export default function InsightsPage() {
+  const { toast } = useApp();
+  const { showError } = toast;
+  const [tab, setTab] = useState('instagram');
+  const [range, setRange] = useState(() => presetRange(30));
+  const [reloadKey, setReloadKey] = useState(0);
+  const [sort, setSort] = useState('postedAt');
+  const [account, setAccount] = useState(null);
+  const [media, setMedia] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [refreshing, setRefreshing] = useState(false);
+  const [selected, setSelected] = useState(null);
+  const [detail, setDetail] = useState(null);
+
+  const loadInsights = useCallback(async () => {
+    setLoading(true);
+    try {
+      const [accountResponse, mediaResponse] = await Promise.all([
+        insightsAPI.getAccount(range),
+        insightsAPI.getMedia({ ...range, sort })
+      ]);
+      setAccount(accountResponse.data);
+      setMedia(mediaResponse.data);
+    } catch (err) {
+      console.error('Error loading insights:', err);
+      showError(err.response?.data?.error || 'Failed to load insights');
+    } finally {
+      setLoading(false);
+    }
+  }, [range, sort, showError]);
+
+  useEffect(() => {
+    loadInsights();
+  }, [loadInsights]);
+
+  useEffect(() => {
+    if (!selected) {
+      setDetail(null);
+      return;
+    }
+
+    let cancelled = false;
+    insightsAPI.getMediaDetail(selected)
+      .then((response) => {
+        if (!cancelled) setDetail(response.data);
+      })
+      .catch((err) => {
+        if (!cancelled) showError(err.response?.data?.error || 'Failed to load post insights');
+      });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [selected, showError]);
+
+  const handleRefresh = async () => {
+    setRefreshing(true);
+    const requests = [];
+    if (tab !== 'youtube') requests.push(insightsAPI.refresh());
+    if (tab !== 'instagram') requests.push(insightsAPI.refreshYouTube());
+
+    const results = await Promise.allSettled(requests);
+    results.forEach((result) => {
+      if (result.status === 'fulfilled') {
+        toast.showSuccess(result.value.data.message);
+      } else {
+        showError(result.reason.response?.data?.error || 'Failed to refresh insights');
+      }
+    });
+
+    setReloadKey((key) => key + 1);
+    if (tab === 'instagram') {
+      await loadInsights();
+    }
+    setRefreshing(false);
+  };
+
+  const cards = account ? [
+    { label: 'Reach', value: formatValue(account.totals.reach), change: account.changes.reach },
+    { label: 'Views', value: formatValue(account.totals.impressions), change: account.changes.impressions },
+    { label: 'Profile views', value: formatValue(account.totals.profileViews), change: account.changes.profileViews },
+    {
+      label: 'Followers',
+      value: formatValue(account.followers.current),
+      change: account.followers.change === null ? '' : `${account.followers.change >= 0 ? '+' : ''}${account.followers.change}`
+    },
+    { label: 'Avg. engagement', value: formatValue(media?.averageEngagementRate, '%'), change: '' }
+  ] : [];
+
+  return (
+    <div className="min-h-screen bg-linear-to-br from-gray-50 via-slate-50 to-zinc-50">
+      <Navbar showBackButton />
+
+      <main className="pt-24 pb-12 px-4 sm:px-6 lg:px-8">
+        <div className="max-w-6xl mx-auto">
+          {/* Header */}
+          <motion.div
+            className="mb-8"
+            initial={{ opacity: 0, y: 10 }}
+            animate={{ opacity: 1, y: 0 }}
+            transition={{ duration: 0.3 }}
+          >
+            <div className="flex flex-wrap items-center justify-between gap-4">
+              <div className="flex items-center space-x-4">
+                <div className="w-16 h-16 rounded-2xl bg-linear-to-br from-indigo-500 to-pink-500 flex items-center justify-center text-4xl shadow-lg">
+                  📊
+                </div>
+                <div>
+                  <h1 className="text-3xl sm:text-4xl font-bold bg-linear-to-r from-indigo-600 to-pink-600 bg-clip-text text-transparent">
+                    Insights
+                  </h1>
+                  <p className="text-gray-600 mt-1">
+                    Reach, followers and post performance on Instagram and YouTube
+                    {account?.lastCollectedAt && ` · updated ${new Date(account.lastCollectedAt).toLocaleString()}`}
+                  </p>
+                </div>
+              </div>
+              <button
+                onClick={handleRefresh}
+                disabled={refreshing}
+                className="px-4 py-2 bg-indigo-600 text-white rounded-lg text-sm font-medium hover:bg-indigo-700 disabled:opacity-50"
+              >
+                {refreshing ? 'Refreshing...' : '↻ Refresh now'}
+              </button>
+            </div>
+          </motion.div>
+
+          {/* Tabs */}
+          <div className="flex gap-2 mb-4 border-b border-gray-200">
+            {TABS.map((item) => (
+              <button
+                key={item.id}
+                onClick={() => setTab(item.id)}
+                className={`px-4 py-2 text-sm font-medium border-b-2 -mb-px ${
+                  tab === item.id ? 'border-indigo-600 text-indigo-600' : 'border-transparent text-gray-600 hover:text-gray-900'
+                }`}
+              >
+                {item.label}
+              </button>
+            ))}
+          </div>
+
+          {/* Date range */}
+          <div className="flex flex-wrap items-center gap-2 mb-6">
+            {PRESETS.map((days) => (
+              <button
+                key={days}
+                onClick={() => setRange(presetRange(days))}
+                className="px-3 py-1.5 rounded-lg text-sm font-medium text-gray-700 bg-white border border-gray-200 hover:bg-gray-100"
+              >
+                Last {days} days
+              </button>
+            ))}
+            <input
+              type="date"
+              value={range.from}
+              max={range.to}
+              onChange={(e) => e.target.value && setRange((prev) => ({ ...prev, from: e.target.value }))}
+              className="px-2 py-1.5 border border-gray-200 rounded-lg text-sm"
+            />
+            <span className="text-gray-500 text-sm">to</span>
+            <input
+              type="date"
+              value={range.to}
+              min={range.from}
+              onChange={(e) => e.target.value && setRange((prev) => ({ ...prev, to: e.target.value }))}
+              className="px-2 py-1.5 border border-gray-200 rounded-lg text-sm"
+            />
+            {loading && <span className="text-sm text-gray-500">Loading...</span>}
+          </div>
+
+          {tab === 'youtube' && <YouTubeInsights range={range} reloadKey={reloadKey} showError={showError} />}
+          {tab === 'comparison' && <PlatformComparison range={range} reloadKey={reloadKey} showError={showError} />}
+
+          {tab === 'instagram' && (
+            <>
+              {/* Summary cards */}
+              <div className="grid grid-cols-2 lg:grid-cols-5 gap-4 mb-6">
+                {cards.map((card) => (
+                  <div key={card.label} className="bg-white rounded-2xl shadow p-4 border border-gray-100">
+                    <p className="text-xs text-gray-500">{card.label}</p>
+                    <p className="text-2xl font-bold text-gray-900">{card.value}</p>
+                    {card.change && (
+                      <p className={`text-xs font-medium ${card.change.startsWith('-') ? 'text-red-600' : 'text-green-600'}`}>
+                        {card.change} vs previous period
+                      </p>
+                    )}
+                  </div>
+                ))}
+              </div>
+
+              {/* Account charts */}
+              {account && (
+                <div className="grid grid-cols-1 lg:grid-cols-2 gap-6 mb-6">
+                  <div className="bg-white rounded-2xl shadow-xl p-6 border border-gray-100">
+                    <h2 className="text-lg font-bold text-gray-900 mb-3">Reach & views</h2>
+                    <InsightsChart
+                      data={account.series}
+                      lines={[
+                        { key: 'reach', label: 'Reach', color: '#6366f1' },
+                        { key: 'impressions', label: 'Views', color: '#ec4899' },
+                        { key: 'profileViews', label: 'Profile views', color: '#f59e0b' }
+                      ]}
+                    />
+                  </div>
+                  <div className="bg-white rounded-2xl shadow-xl p-6 border border-gray-100">
+                    <h2 className="text-lg font-bold text-gray-900 mb-3">Followers</h2>
+                    <InsightsChart
+                      data={account.series}
+                      lines={[{ key: 'followerCount', label: 'Followers', color: '#10b981' }]}
+                    />
+                  </div>
+                </div>
+              )}
+
+              <div className="grid grid-cols-1 lg:grid-cols-3 gap-6">
+                {/* Posts */}
+                <div className="lg:col-span-2 bg-white rounded-2xl shadow-xl p-6 border border-gray-100">
+                  <div className="flex items-center justify-between mb-4">
+                    <h2 className="text-lg font-bold text-gray-900">Posts in this period</h2>
+                    <select
+                      value={sort}
+                      onChange={(e) => setSort(e.target.value)}
+                      className="px-2 py-1 border border-gray-200 rounded-lg text-sm"
+                    >
+                      {SORT_OPTIONS.map((option) => (
+                        <option key={option.value} value={option.value}>Sort: {option.label}</option>
+                      ))}
+                    </select>
+                  </div>
+
+                  {media?.media?.length ? (
+                    <div className="overflow-x-auto">
+                      <table className="w-full text-sm">
+                        <thead>
+                          <tr className="text-left text-xs text-gray-500 border-b">
+                            <th className="py-2 pr-2">Post</th>
+                            <th className="py-2 px-2 text-right">Reach</th>
+                            <th className="py-2 px-2 text-right">Likes</th>
+                            <th className="py-2 px-2 text-right">Comments</th>
+                            <th className="py-2 px-2 text-right">Saves</th>
+                            <th className="py-2 px-2 text-right">Shares</th>
+                            <th className="py-2 px-2 text-right">Views</th>
+                            <th className="py-2 pl-2 text-right">Eng.</th>
+                          </tr>
+                        </thead>
+                        <tbody>
+                          {media.media.map((item) => (
+                            <tr
+                              key={item.mediaId}
+                              onClick={() => setSelected(item.mediaId)}
+                              className={`border-b border-gray-50 cursor-pointer hover:bg-indigo-50 ${selected === item.mediaId ? 'bg-indigo-50' : ''}`}
+                            >
+                              <td className="py-2 pr-2 max-w-56">
+                                <p className="truncate text-gray-900">{item.caption || '(no caption)'}</p>
+                                <p className="text-xs text-gray-500">
+                                  {new Date(item.postedAt).toLocaleDateString()} · {item.mediaProductType === 'REELS' ? 'Reel' : item.mediaType?.toLowerCase().replace('_album', '')}
+                                </p>
+                              </td>
+                              <td className="py-2 px-2 text-right">{formatValue(item.reach)}</td>
+                              <td className="py-2 px-2 text-right">{formatValue(item.likes)}</td>
+                              <td className="py-2 px-2 text-right">{formatValue(item.comments)}</td>
+                              <td className="py-2 px-2 text-right">{formatValue(item.saves)}</td>
+                              <td className="py-2 px-2 text-right">{formatValue(item.shares)}</td>
+                              <td className="py-2 px-2 text-right">{formatValue(item.plays)}</td>
+                              <td className="py-2 pl-2 text-right">{formatValue(item.engagementRate, '%')}</td>
+                            </tr>
+                          ))}
+                        </tbody>
+                      </table>
+                    </div>
+                  ) : (
+                    <p className="text-sm text-gray-500">
+                      No posts with insights in this period. Insights are collected every few hours for posts from the last 30 days.
+                    </p>
+                  )}
+                </div>
+
+                {/* Drill-down */}
+                <div className="bg-white rounded-2xl shadow-xl p-6 border border-gray-100">
+                  <h2 className="text-lg font-bold text-gray-900 mb-4">Post details</h2>
+                  {!selected && <p className="text-sm text-gray-500">Select a post to see how it performed over time.</p>}
+                  {selected && !detail && <p className="text-sm text-gray-500">Loading...</p>}
+                  {detail && (
+                    <div className="space-y-4">
+                      {detail.post?.imageUrl && (
+                        <img src={detail.post.imageUrl} alt="" className="w-full rounded-lg object-cover max-h-48" />
+                      )}
+                      <p className="text-sm text-gray-700 line-clamp-4">{detail.media.caption}</p>
+                      <div className="grid grid-cols-3 gap-2 text-center">
+                        {[
+                          ['Reach', detail.media.reach],
+                          ['Likes', detail.media.likes],
+                          ['Comments', detail.media.comments],
+                          ['Saves', detail.media.saves],
+                          ['Shares', detail.media.shares],
+                          ['Views', detail.media.plays]
+                        ].map(([label, value]) => (
+                          <div key={label} className="bg-gray-50 rounded-lg p-2">
+                            <p className="text-xs text-gray-500">{label}</p>
+                            <p className="font-semibold text-gray-900">{formatValue(value)}</p>
+                          </div>
+                        ))}
+                      </div>
+                      <InsightsChart data={detail.series} lines={MEDIA_LINES} />
+                      {detail.media.permalink && (
+                        <a
+                          href={detail.media.permalink}
+                          target="_blank"
+                          rel="noopener noreferrer"
+                          className="block text-center text-sm text-indigo-600 hover:underline"
+                        >
+                          View on Instagram ↗
+                        </a>
+                      )}
+                    </div>
+                  )}
+                </div>
+              </div>
+            </>
+          )}
+        </div>
+      </main>
+    </div>
+  );
+}
@@ -0,0 +1,482 @@
+import { useState, useEffect, useCallback, useRef } from 'react';
+import { motion } from 'framer-motion';
+import Navbar from '../components/Navbar';
+import { useApp } from '../context/AppContext';
+import { messagesAPI } from '../utils/api';
+import socketService from '../services/socket.service';
+
+const TONES = ['friendly', 'formal', 'professional'];
+
+const EMPTY_RULE = { name: '', keywords: [], pattern: '', reply: '', useAI: false, enabled: true };
+
+function formatRemaining(expiresAt) {
+  const ms = new Date(expiresAt).getTime() - Date.now();
+  if (ms <= 0) return null;
+  const hours = Math.floor(ms / 3600000);
+  const minutes = Math.floor((ms % 3600000) / 60000);
+  return hours > 0 ? `${hours}h ${minutes}m` : `${minutes}m`;
+}
+
+export default function MessagesPage() {
+  const { toast } = useApp();
+  const { showError } = toast;
+  const [conversations, setConversations] = useState([]);
+  const [statusFilter, setStatusFilter] = useState('open');
+  const [selected, setSelected] = useState(null);
+  const [messages, setMessages] = useState([]);
+  const [text, setText] = useState('');
+  const [tone, setTone] = useState('');
+  const [draftOptions, setDraftOptions] = useState([]);
+  const [settings, setSettings] = useState(null);
+  const [showSettings, setShowSettings] = useState(false);
+  const [loading, setLoading] = useState(true);
+  const [sending, setSending] = useState(false);
+  const [drafting, setDrafting] = useState(false);
+  const [syncing, setSyncing] = useState(false);
+  const selectedIdRef = useRef(null);
+  const bottomRef = useRef(null);
+
+  const loadConversations = useCallback(async () => {
+    setLoading(true);
+    try {
+      const response = await messagesAPI.getConversations({ status: statusFilter, limit: 100 });
+      setConversations(response.data.items || []);
+    } catch (err) {
+      console.error('Error loading conversations:', err);
+      showError(err.message || 'Failed to load conversations');
+    } finally {
+      setLoading(false);
+    }
+  }, [statusFilter, showError]);
+
+  useEffect(() => {
+    loadConversations();
+  }, [loadConversations]);
+
+  useEffect(() => {
+    messagesAPI.getSettings()
+      .then((response) => setSettings(response.data.settings))
+      .catch((err) => console.error('Error loading messaging settings:', err));
+  }, []);
+
+  // Live inbox updates
+  useEffect(() => {
+    const token = localStorage.getItem('token');
+    if (!token) return undefined;
+
+    return socketService.subscribeToInbox(token, ({ conversation, message }) => {
+      setConversations((prev) => {
+        const others = prev.filter((c) => c._id !== conversation._id);
+        return statusFilter === 'all' || conversation.status === statusFilter ? [conversation, ...others] : others;
+      });
+
+      if (conversation._id === selectedIdRef.current) {
+        setSelected(conversation);
+        setMessages((prev) => (prev.some((m) => m._id === message._id) ? prev : [...prev, message]));
+      }
+    });
+  }, [statusFilter]);
+
+  useEffect(() => {
+    bottomRef.current?.scrollIntoView({ behavior: 'smooth' });
+  }, [messages]);
+
+  const openConversation = async (conversation) => {
+    selectedIdRef.current = conversation._id;
+    setSelected(conversation);
+    setMessages([]);
+    setDraftOptions([]);
+    setText('');
+    try {
+      const response = await messagesAPI.getMessages(conversation._id);
+      setSelected(response.data.conversation);
+      setMessages(response.data.messages || []);
+      setConversations((prev) => prev.map((c) => (c._id === conversation._id ? response.data.conversation : c)));
+    } catch (err) {
+      console.error('Error loading messages:', err);
+      toast.showError(err.message || 'Failed to load messages');
+    }
+  };
+
+  const handleSend = async () => {
+    if (!text.trim() || !selected) return;
+    setSending(true);
+    try {
+      await messagesAPI.sendMessage(selected._id, text.trim());
+      setText('');
+      setDraftOptions([]);
+    } catch (err) {
+      console.error('Error sending message:', err);
+      toast.showError(err.message || 'Failed to send message');
+    } finally {
+      setSending(false);
+    }
+  };
+
+  const handleDraft = async () => {
+    setDrafting(true);
+    try {
+      const response = await messagesAPI.draftReply(selected._id, tone || undefined);
+      setText(response.data.replyText);
+      setDraftOptions(response.data.replyOptions || []);
+    } catch (err) {
+      console.error('Error drafting reply:', err);
+      toast.showError(err.message || 'Failed to draft reply');
+    } finally {
+      setDrafting(false);
+    }
+  };
+
+  const handleUpdateConversation = async (changes) => {
+    try {
+      const response = await messagesAPI.updateConversation(selected._id, changes);
+      const updated = response.data.conversation;
+      setSelected(updated);
+      setConversations((prev) =>
+        prev
+          .map((c) => (c._id === updated._id ? updated : c))
+          .filter((c) => statusFilter === 'all' || c.status === statusFilter)
+      );
+    } catch (err) {
+      console.error('Error updating conversation:', err);
+      toast.showError(err.message || 'Failed to update conversation');
+    }
+  };
+
+  const handleSync = async () => {
+    setSyncing(true);
+    try {
+      const response = await messagesAPI.sync();
+      toast.showSuccess(`Synced ${response.data.conversations} conversations (${response.data.imported} new messages)`);
+      loadConversations();
+    } catch (err) {
+      console.error('Error syncing conversations:', err);
+      toast.showError(err.message || 'Failed to sync conversations');
+    } finally {
+      setSyncing(false);
+    }
+  };
+
+  const saveSettings = async (changes = {}) => {
+    try {
+      const response = await messagesAPI.saveSettings({ ...settings, ...changes });
+      setSettings(response.data.settings);
+      toast.showSuccess('Messaging settings saved');
+    } catch (err) {
+      console.error('Error saving messaging settings:', err);
+      toast.showError(err.message || 'Failed to save messaging settings');
+    }
+  };
+
+  const updateRule = (index, changes) => {
+    setSettings({
+      ...settings,
+      autoReplyRules: settings.autoReplyRules.map((rule, i) => (i === index ? { ...rule, ...changes } : rule))
+    });
+  };
+
+  const remaining = selected?.canReply ? formatRemaining(selected.windowExpiresAt) : null;
+
+  return (
+    <div className="min-h-screen bg-linear-to-br from-gray-50 via-slate-50 to-zinc-50">
+      <Navbar showBackButton />
+
+      <main className="pt-24 pb-12 px-4 sm:px-6 lg:px-8">
+        <div className="max-w-6xl mx-auto">
+          {/* Header */}
+          <motion.div
+            className="mb-8 flex flex-col sm:flex-row sm:items-center sm:justify-between gap-4"
+            initial={{ opacity: 0, y: 10 }}
+            animate={{ opacity: 1, y: 0 }}
+            transition={{ duration: 0.3 }}
+          >
+            <div className="flex items-center space-x-4">
+              <div className="w-16 h-16 rounded-2xl bg-linear-to-br from-sky-500 to-blue-600 flex items-center justify-center text-4xl shadow-lg">
+                💬
+              </div>
+              <div>
+                <h1 className="text-3xl sm:text-4xl font-bold bg-linear-to-r from-sky-600 to-blue-600 bg-clip-text text-transparent">
+                  Messages
+                </h1>
+                <p className="text-gray-600 mt-1">Instagram DMs with AI-drafted replies</p>
+              </div>
+            </div>
+            <div className="flex gap-2">
+              <button
+                onClick={() => setShowSettings(!showSettings)}
+                className="px-4 py-2 rounded-lg text-sm font-semibold border border-gray-300 bg-white hover:bg-gray-50"
+              >
+                Auto-replies
+              </button>
+              <button
+                onClick={handleSync}
+                disabled={syncing}
+                className="px-4 py-2 rounded-lg text-sm font-semibold text-white bg-blue-600 hover:bg-blue-700 disabled:opacity-50"
+              >
+                {syncing ? 'Syncing...' : 'Sync'}
+              </button>
+            </div>
+          </motion.div>
+
+          {/* Auto-reply settings */}
+          {showSettings && settings && (
+            <div className="bg-white rounded-2xl shadow-xl p-6 border border-gray-100 mb-6 space-y-4">
+              <div className="flex items-center justify-between">
+                <div>
+                  <h2 className="text-lg font-bold text-gray-900">Auto-reply Rules</h2>
+                  <p className="text-sm text-gray-600">
+                    The first matching rule answers a new DM (at most once every 10 minutes per conversation)
+                  </p>
+                </div>
+                <button
+                  onClick={() => saveSettings({ autoReplyEnabled: !settings.autoReplyEnabled })}
+                  className={`px-4 py-2 rounded-lg text-sm font-semibold text-white ${
+                    settings.autoReplyEnabled ? 'bg-green-500 hover:bg-green-600' : 'bg-gray-400 hover:bg-gray-500'
+                  }`}
+                >
+                  {settings.autoReplyEnabled ? 'Enabled' : 'Disabled'}
+                </button>
+              </div>
+
+              {settings.autoReplyRules.map((rule, index) => (
+                <div key={index} className="border border-gray-200 rounded-lg p-4 space-y-2">
+                  <div className="grid grid-cols-1 sm:grid-cols-2 gap-2">
+                    <input
+                      value={rule.name}
+                      onChange={(e) => updateRule(index, { name: e.target.value })}
+                      placeholder="Rule name"
+                      className="border border-gray-300 rounded-lg px-3 py-2 text-sm"
+                    />
+                    <input
+                      value={rule.keywords.join(', ')}
+                      onChange={(e) => updateRule(index, { keywords: e.target.value.split(',').map((k) => k.trim()) })}
+                      placeholder="Keywords (comma separated, empty = any message)"
+                      className="border border-gray-300 rounded-lg px-3 py-2 text-sm"
+                    />
+                  </div>
+                  {!rule.useAI && (
+                    <textarea
+                      value={rule.reply || ''}
+                      onChange={(e) => updateRule(index, { reply: e.target.value })}
+                      placeholder="Reply text, {{username}} is replaced with the sender"
+                      rows={2}
+                      className="w-full border border-gray-300 rounded-lg px-3 py-2 text-sm"
+                    />
+                  )}
+                  <div className="flex items-center gap-4 text-sm text-gray-700">
+                    <label className="flex items-center space-x-2">
+                      <input
+                        type="checkbox"
+                        checked={rule.useAI}
+                        onChange={(e) => updateRule(index, { useAI: e.target.checked })}
+                      />
+                      <span>Draft with AI</span>
+                    </label>
+                    <label className="flex items-center space-x-2">
+                      <input
+                        type="checkbox"
+                        checked={rule.enabled}
+                        onChange={(e) => updateRule(index, { enabled: e.target.checked })}
+                      />
+                      <span>Active</span>
+                    </label>
+                    <button
+                      onClick={() => setSettings({
+                        ...settings,
+                        autoReplyRules: settings.autoReplyRules.filter((_, i) => i !== index)
+                      })}
+                      className="ml-auto text-red-600 hover:text-red-700"
+                    >
+                      Remove
+                    </button>
+                  </div>
+                </div>
+              ))}
+
+              <div className="flex gap-2">
+                <button
+                  onClick={() => setSettings({ ...settings, autoReplyRules: [...settings.autoReplyRules, { ...EMPTY_RULE }] })}
+                  className="px-4 py-2 rounded-lg text-sm font-semibold border border-gray-300 hover:bg-gray-50"
+                >
+                  Add rule
+                </button>
+                <button
+                  onClick={() => saveSettings({
+                    autoReplyRules: settings.autoReplyRules.map((rule) => ({
+                      ...rule,
+                      keywords: rule.keywords.filter(Boolean)
+                    }))
+                  })}
+                  className="px-4 py-2 rounded-lg text-sm font-semibold text-white bg-blue-600 hover:bg-blue-700"
+                >
+                  Save rules
+                </button>
+              </div>
+            </div>
+          )}
+
+          <div className="grid grid-cols-1 md:grid-cols-3 gap-6">
+            {/* Conversation list */}
+            <div className="bg-white rounded-2xl shadow-xl p-4 border border-gray-100 md:col-span-1">
+              <select
+                value={statusFilter}
+                onChange={(e) => setStatusFilter(e.target.value)}
+                className="w-full border border-gray-300 rounded-lg px-3 py-2 text-sm mb-3"
+              >
+                <option value="open">Open</option>
+                <option value="archived">Archived</option>
+                <option value="all">All</option>
+              </select>
+
+              {loading && <p className="text-gray-500 text-sm">Loading...</p>}
+              {!loading && conversations.length === 0 && (
+                <p className="text-center text-gray-500 text-sm py-8">No conversations yet</p>
+              )}
+
+              <div className="space-y-1 max-h-[60vh] overflow-y-auto">
+                {conversations.map((conversation) => (
+                  <button
+                    key={conversation._id}
+                    onClick={() => openConversation(conversation)}
+                    className={`w-full text-left p-3 rounded-lg transition-colors ${
+                      selected?._id === conversation._id ? 'bg-blue-50' : 'hover:bg-gray-50'
+                    }`}
+                  >
+                    <div className="flex items-center justify-between">
+                      <span className="font-semibold text-gray-900 truncate">
+                        {conversation.participantUsername ? `@${conversation.participantUsername}` : conversation.participantId}
+                      </span>
+                      {conversation.unreadCount > 0 && (
+                        <span className="ml-2 px-2 py-0.5 rounded-full bg-blue-600 text-white text-xs">
+                          {conversation.unreadCount}
+                        </span>
+                      )}
+                    </div>
+                    <p className="text-sm text-gray-600 truncate">{conversation.lastMessageText}</p>
+                    {conversation.lastMessageAt && (
+                      <p className="text-xs text-gray-400">{new Date(conversation.lastMessageAt).toLocaleString()}</p>
+                    )}
+                  </button>
+                ))}
+              </div>
+            </div>
+
+            {/* Thread */}
+            <div className="bg-white rounded-2xl shadow-xl p-4 border border-gray-100 md:col-span-2 flex flex-col min-h-[60vh]">
+              {!selected && (
+                <p className="m-auto text-gray-500">Select a conversation</p>
+              )}
+
+              {selected && (
+                <>
+                  <div className="flex flex-wrap items-center justify-between gap-2 pb-3 border-b border-gray-100">
+                    <div>
+                      <h2 className="font-bold text-gray-900">
+                        {selected.participantUsername ? `@${selected.participantUsername}` : selected.participantId}
+                      </h2>
+                      <p className={`text-xs ${remaining ? 'text-green-600' : 'text-red-600'}`}>
+                        {remaining ? `Reply window open for ${remaining}` : 'Reply window closed until they message again'}
+                      </p>
+                    </div>
+                    <div className="flex items-center gap-3 text-sm">
+                      <label className="flex items-center space-x-2 text-gray-700">
+                        <input
+                          type="checkbox"
+                          checked={selected.autoReplyEnabled}
+                          onChange={(e) => handleUpdateConversation({ autoReplyEnabled: e.target.checked })}
+                        />
+                        <span>Auto-reply</span>
+                      </label>
+                      <button
+                        onClick={() => handleUpdateConversation({ status: selected.status === 'archived' ? 'open' : 'archived' })}
+                        className="px-3 py-1 rounded-md border border-gray-300 hover:bg-gray-50"
+                      >
+                        {selected.status === 'archived' ? 'Reopen' : 'Archive'}
+                      </button>
+                    </div>
+                  </div>
+
+                  <div className="flex-1 overflow-y-auto py-4 space-y-2 max-h-[50vh]">
+                    {messages.map((message) => (
+                      <div
+                        key={message._id}
+                        className={`flex ${message.direction === 'outbound' ? 'justify-end' : 'justify-start'}`}
+                      >
+                        <div
+                          className={`max-w-[75%] px-3 py-2 rounded-2xl text-sm ${
+                            message.direction === 'outbound'
+                              ? message.status === 'failed' ? 'bg-red-100 text-red-800' : 'bg-blue-600 text-white'
+                              : 'bg-gray-100 text-gray-900'
+                          }`}
+                        >
+                          <p className="whitespace-pre-wrap">{message.text || '[attachment]'}</p>
+                          <p className="text-[10px] opacity-70 mt-1">
+                            {new Date(message.sentAt).toLocaleTimeString()}
+                            {message.source === 'auto_reply' && ' · auto'}
+                            {message.status === 'failed' && ` · failed: ${message.error}`}
+                          </p>
+                        </div>
+                      </div>
+                    ))}
+                    <div ref={bottomRef} />
+                  </div>
+
+                  {draftOptions.length > 1 && (
+                    <div className="flex flex-wrap gap-2 pb-2">
+                      {draftOptions.map((option, index) => (
+                        <button
+                          key={index}
+                          onClick={() => setText(option)}
+                          className="px-3 py-1 rounded-full text-xs border border-blue-200 text-blue-700 hover:bg-blue-50 max-w-full truncate"
+                        >
+                          {option}
+                        </button>
+                      ))}
+                    </div>
+                  )}
+
+                  <div className="pt-3 border-t border-gray-100 space-y-2">
+                    <textarea
+                      value={text}
+                      onChange={(e) => setText(e.target.value)}
+                      placeholder={selected.canReply ? 'Write a reply...' : 'Reply window closed'}
+                      disabled={!selected.canReply}
+                      rows={3}
+                      className="w-full border border-gray-300 rounded-lg px-3 py-2 text-sm disabled:bg-gray-50"
+                    />
+                    <div className="flex items-center gap-2">
+                      <select
+                        value={tone}
+                        onChange={(e) => setTone(e.target.value)}
+                        className="border border-gray-300 rounded-lg px-3 py-2 text-sm"
+                      >
+                        <option value="">Default tone</option>
+                        {TONES.map((t) => (
+                          <option key={t} value={t}>{t}</option>
+                        ))}
+                      </select>
+                      <button
+                        onClick={handleDraft}
+                        disabled={drafting || !selected.canReply}
+                        className="px-4 py-2 rounded-lg text-sm font-semibold border border-blue-300 text-blue-700 hover:bg-blue-50 disabled:opacity-50"
+                      >
+                        {drafting ? 'Drafting...' : '✨ AI Draft'}
+                      </button>
+                      <button
+                        onClick={handleSend}
+                        disabled={sending || !text.trim() || !selected.canReply}
+                        className="ml-auto px-4 py-2 rounded-lg text-sm font-semibold text-white bg-blue-600 hover:bg-blue-700 disabled:opacity-50"
+                      >
+                        {sending ? 'Sending...' : 'Send'}
+                      </button>
+                    </div>
+                  </div>
+                </>
+              )}
+            </div>
+          </div>
+        </div>
+      </main>
+    </div>
+  );
+}
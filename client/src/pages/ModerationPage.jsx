@@ -0,0 +1,243 @@
+import { useState, useEffect, useCallback } from 'react';
+import { motion } from 'framer-motion';
+import Navbar from '../components/Navbar';
+import { useApp } from '../context/AppContext';
+import { moderationAPI } from '../utils/api';
+
+const LABELS = ['spam', 'toxic', 'question', 'positive', 'neutral'];
+
+const LABEL_STYLES = {
+  spam: 'bg-orange-100 text-orange-800',
+  toxic: 'bg-red-100 text-red-800',
+  question: 'bg-blue-100 text-blue-800',
+  positive: 'bg-green-100 text-green-800',
+  neutral: 'bg-gray-100 text-gray-700'
+};
+
+const ACTION_OPTIONS = [
+  { value: 'hide', label: 'Hide' },
+  { value: 'delete', label: 'Delete' },
+  { value: 'none', label: "Don't reply" }
+];
+
+export default function ModerationPage() {
+  const { toast } = useApp();
+  const { showError } = toast;
+  const [settings, setSettings] = useState(null);
+  const [items, setItems] = useState([]);
+  const [total, setTotal] = useState(0);
+  const [labelFilter, setLabelFilter] = useState('');
+  const [loading, setLoading] = useState(true);
+  const [saving, setSaving] = useState(false);
+
+  const loadItems = useCallback(async () => {
+    setLoading(true);
+    try {
+      const response = await moderationAPI.getClassifications({ label: labelFilter || undefined, limit: 100 });
+      setItems(response.data.items || []);
+      setTotal(response.data.total || 0);
+    } catch (err) {
+      console.error('Error loading classifications:', err);
+      showError(err.message || 'Failed to load classifications');
+    } finally {
+      setLoading(false);
+    }
+  }, [labelFilter, showError]);
+
+  useEffect(() => {
+    loadItems();
+  }, [loadItems]);
+
+  useEffect(() => {
+    moderationAPI.getSettings()
+      .then((response) => setSettings(response.data.settings))
+      .catch((err) => console.error('Error loading moderation settings:', err));
+  }, []);
+
+  const saveSettings = async (changes) => {
+    setSaving(true);
+    try {
+      const response = await moderationAPI.saveSettings({ ...settings, ...changes });
+      setSettings(response.data.settings);
+      toast.showSuccess('Moderation settings saved');
+    } catch (err) {
+      console.error('Error saving moderation settings:', err);
+      toast.showError(err.message || 'Failed to save moderation settings');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleOverride = async (item, label) => {
+    try {
+      const response = await moderationAPI.overrideLabel(item.commentId, label);
+      setItems((prev) => prev.map((i) => (i.commentId === item.commentId ? response.data.item : i)));
+      toast.showSuccess(response.data.message);
+    } catch (err) {
+      console.error('Error overriding label:', err);
+      toast.showError(err.message || 'Failed to update label');
+    }
+  };
+
+  return (
+    <div className="min-h-screen bg-linear-to-br from-gray-50 via-slate-50 to-zinc-50">
+      <Navbar showBackButton />
+
+      <main className="pt-24 pb-12 px-4 sm:px-6 lg:px-8">
+        <div className="max-w-5xl mx-auto">
+          {/* Header */}
+          <motion.div
+            className="mb-8"
+            initial={{ opacity: 0, y: 10 }}
+            animate={{ opacity: 1, y: 0 }}
+            transition={{ duration: 0.3 }}
+          >
+            <div className="flex items-center space-x-4 mb-4">
+              <div className="w-16 h-16 rounded-2xl bg-linear-to-br from-rose-500 to-red-600 flex items-center justify-center text-4xl shadow-lg">
+                🛡️
+              </div>
+              <div>
+                <h1 className="text-3xl sm:text-4xl font-bold bg-linear-to-r from-rose-600 to-red-600 bg-clip-text text-transparent">
+                  Moderation
+                </h1>
+                <p className="text-gray-600 mt-1">Catch spam and abuse before the bot replies</p>
+              </div>
+            </div>
+          </motion.div>
+
+          {/* Settings */}
+          {settings && (
+            <div className="bg-white rounded-2xl shadow-xl p-6 border border-gray-100 mb-6 space-y-4">
+              <div className="flex items-center justify-between">
+                <div>
+                  <h2 className="text-lg font-bold text-gray-900">Automatic Moderation</h2>
+                  <p className="text-sm text-gray-600">Classify every new comment before triage and replies</p>
+                </div>
+                <button
+                  onClick={() => saveSettings({ enabled: !settings.enabled })}
+                  disabled={saving}
+                  className={`px-4 py-2 rounded-lg text-sm font-semibold text-white ${
+                    settings.enabled ? 'bg-green-500 hover:bg-green-600' : 'bg-gray-400 hover:bg-gray-500'
+                  }`}
+                >
+                  {settings.enabled ? 'Enabled' : 'Disabled'}
+                </button>
+              </div>
+
+              <div className="grid grid-cols-1 sm:grid-cols-3 gap-4">
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 mb-1">Spam</label>
+                  <select
+                    value={settings.spamAction}
+                    onChange={(e) => saveSettings({ spamAction: e.target.value })}
+                    disabled={saving}
+                    className="w-full border border-gray-300 rounded-lg px-3 py-2 text-sm"
+                  >
+                    {ACTION_OPTIONS.map((option) => (
+                      <option key={option.value} value={option.value}>{option.label}</option>
+                    ))}
+                  </select>
+                </div>
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 mb-1">Toxic</label>
+                  <select
+                    value={settings.toxicAction}
+                    onChange={(e) => saveSettings({ toxicAction: e.target.value })}
+                    disabled={saving}
+                    className="w-full border border-gray-300 rounded-lg px-3 py-2 text-sm"
+                  >
+                    {ACTION_OPTIONS.map((option) => (
+                      <option key={option.value} value={option.value}>{option.label}</option>
+                    ))}
+                  </select>
+                </div>
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 mb-1">
+                    Min confidence ({Math.round(settings.minConfidence * 100)}%)
+                  </label>
+                  <input
+                    type="range"
+                    min="0.5"
+                    max="1"
+                    step="0.05"
+                    value={settings.minConfidence}
+                    onChange={(e) => setSettings({ ...settings, minConfidence: Number(e.target.value) })}
+                    onMouseUp={() => saveSettings({})}
+                    onTouchEnd={() => saveSettings({})}
+                    className="w-full"
+                  />
+                </div>
+              </div>
+
+              <label className="flex items-center space-x-2 text-sm text-gray-700">
+                <input
+                  type="checkbox"
+                  checked={settings.useAI}
+                  onChange={(e) => saveSettings({ useAI: e.target.checked })}
+                  disabled={saving}
+                />
+                <span>Use AI classification (falls back to built-in rules)</span>
+              </label>
+            </div>
+          )}
+
+          {/* Audit */}
+          <div className="bg-white rounded-2xl shadow-xl p-6 sm:p-8 border border-gray-100">
+            <div className="flex items-center justify-between mb-4">
+              <h2 className="text-lg font-bold text-gray-900">Classified Comments ({total})</h2>
+              <select
+                value={labelFilter}
+                onChange={(e) => setLabelFilter(e.target.value)}
+                className="border border-gray-300 rounded-lg px-3 py-2 text-sm"
+              >
+                <option value="">All labels</option>
+                {LABELS.map((label) => (
+                  <option key={label} value={label}>{label}</option>
+                ))}
+              </select>
+            </div>
+
+            {loading && <p className="text-gray-500">Loading...</p>}
+            {!loading && items.length === 0 && (
+              <p className="text-center text-gray-500 py-12">No classified comments yet</p>
+            )}
+
+            <div className="space-y-3">
+              {items.map((item) => {
+                const effective = item.moderation?.overriddenLabel || item.moderation?.label;
+                return (
+                  <div key={item.commentId} className="flex flex-col sm:flex-row sm:items-center gap-3 p-3 border border-gray-200 rounded-lg">
+                    <div className="flex-1 min-w-0">
+                      <p className="text-sm text-gray-500">
+                        @{item.username} · {new Date(item.processedAt).toLocaleString()} · {item.status.replace('_', ' ')}
+                      </p>
+                      <p className="text-gray-900 truncate">{item.commentText}</p>
+                      <p className="text-xs text-gray-400 mt-1">
+                        {item.moderation?.source} · {Math.round((item.moderation?.confidence || 0) * 100)}%
+                        {item.moderation?.overriddenLabel && ` · originally ${item.moderation.label}`}
+                      </p>
+                    </div>
+                    <div className="flex items-center gap-2 shrink-0">
+                      <span className={`px-2 py-1 rounded-full text-xs font-semibold ${LABEL_STYLES[effective] || LABEL_STYLES.neutral}`}>
+                        {effective}
+                      </span>
+                      <select
+                        value={effective}
+                        onChange={(e) => handleOverride(item, e.target.value)}
+                        className="border border-gray-300 rounded-md px-2 py-1 text-xs"
+                      >
+                        {LABELS.map((label) => (
+                          <option key={label} value={label}>{label}</option>
+                        ))}
+                      </select>
+                    </div>
+                  </div>
+                );
+              })}
+            </div>
+          </div>
+        </div>
+      </main>
+    </div>
+  );
+}
@@ -126,6 +126,12 @@ const PrivacyPolicyPage = () => {
                 data through support or the in-app controls; we honor verified requests promptly and notify Meta
                 when required.
               </p>
+              <p className="text-gray-700 leading-relaxed">
+                If you remove the app from your Instagram settings and request deletion, we delete your Instagram
+                credentials, processed comments, Instagram posts, and related activity logs and give you a
+                confirmation code. You can check the request on
+                our <Link to="/data-deletion-status" className="text-blue-600 hover:text-blue-700">data deletion status page</Link>.
+              </p>
             </section>
 
             <section>
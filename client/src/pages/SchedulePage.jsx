@@ -0,0 +1,265 @@
+import { useState, useEffect, useCallback } from 'react';
+import { motion } from 'framer-motion';
+import Navbar from '../components/Navbar';
+import { useApp } from '../context/AppContext';
+import { scheduleAPI } from '../utils/api';
+
+const WEEKDAYS = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+
+const STATUS_STYLES = {
+  scheduled: 'bg-emerald-100 text-emerald-800',
+  pending: 'bg-blue-100 text-blue-800',
+  processing: 'bg-blue-100 text-blue-800',
+  awaiting_review: 'bg-purple-100 text-purple-800',
+  publishing: 'bg-blue-100 text-blue-800',
+  published: 'bg-gray-100 text-gray-700',
+  completed: 'bg-gray-100 text-gray-700',
+  partial: 'bg-amber-100 text-amber-800',
+  failed: 'bg-red-100 text-red-800',
+  cancelled: 'bg-gray-100 text-gray-400 line-through'
+};
+
+function toInputValue(date) {
+  const local = new Date(date.getTime() - date.getTimezoneOffset() * 60000);
+  return local.toISOString().slice(0, 16);
+}
+
+function itemDate(item) {
+  return new Date(item.scheduledAt || item.publishedAt);
+}
+
+export default function SchedulePage() {
+  const { toast } = useApp();
+  const { showError } = toast;
+  const [month, setMonth] = useState(() => {
+    const now = new Date();
+    return new Date(now.getFullYear(), now.getMonth(), 1);
+  });
+  const [items, setItems] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [selected, setSelected] = useState(null);
+  const [newTime, setNewTime] = useState('');
+  const [saving, setSaving] = useState(false);
+
+  const loadCalendar = useCallback(async () => {
+    setLoading(true);
+    try {
+      const response = await scheduleAPI.getCalendar({
+        from: month.toISOString(),
+        to: new Date(month.getFullYear(), month.getMonth() + 1, 1).toISOString()
+      });
+      setItems(response.data.items || []);
+    } catch (err) {
+      console.error('Error loading schedule:', err);
+      showError(err.message || 'Failed to load schedule');
+    } finally {
+      setLoading(false);
+    }
+  }, [month, showError]);
+
+  useEffect(() => {
+    loadCalendar();
+  }, [loadCalendar]);
+
+  const changeMonth = (offset) => {
+    setSelected(null);
+    setMonth((prev) => new Date(prev.getFullYear(), prev.getMonth() + offset, 1));
+  };
+
+  const selectItem = (item) => {
+    setSelected(item);
+    setNewTime(toInputValue(itemDate(item)));
+  };
+
+  const typePath = (item) => (item.type === 'post' ? 'posts' : 'jobs');
+
+  const handleReschedule = async () => {
+    if (!selected || !newTime) return;
+    setSaving(true);
+    try {
+      await scheduleAPI.reschedule(typePath(selected), selected.id, new Date(newTime).toISOString());
+      toast.showSuccess('Rescheduled');
+      setSelected(null);
+      await loadCalendar();
+    } catch (err) {
+      toast.showError(err.message || 'Failed to reschedule');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleCancel = async () => {
+    if (!selected) return;
+    const question = selected.type === 'post'
+      ? 'Cancel this scheduled post? It will be moved back to drafts.'
+      : 'Cancel this publishing job? The uploaded video will be deleted.';
+    if (!window.confirm(question)) return;
+
+    setSaving(true);
+    try {
+      await scheduleAPI.cancel(typePath(selected), selected.id);
+      toast.showSuccess('Schedule cancelled');
+      setSelected(null);
+      await loadCalendar();
+    } catch (err) {
+      toast.showError(err.message || 'Failed to cancel');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  // Leading blanks for the first weekday, then one cell per day
+  const daysInMonth = new Date(month.getFullYear(), month.getMonth() + 1, 0).getDate();
+  const cells = [
+    ...Array(month.getDay()).fill(null),
+    ...Array.from({ length: daysInMonth }, (_, i) => i + 1)
+  ];
+  const itemsForDay = (day) => items.filter((item) => {
+    const date = itemDate(item);
+    return date.getMonth() === month.getMonth() && date.getDate() === day;
+  });
+  const today = new Date();
+  const isToday = (day) => today.getFullYear() === month.getFullYear()
+    && today.getMonth() === month.getMonth()
+    && today.getDate() === day;
+
+  const scheduledCount = items.filter((item) => item.status === 'scheduled').length;
+
+  return (
+    <div className="min-h-screen bg-linear-to-br from-gray-50 via-slate-50 to-zinc-50">
+      <Navbar showBackButton />
+
+      <main className="pt-24 pb-12 px-4 sm:px-6 lg:px-8">
+        <div className="max-w-6xl mx-auto">
+          {/* Header */}
+          <motion.div
+            className="mb-8"
+            initial={{ opacity: 0, y: 10 }}
+            animate={{ opacity: 1, y: 0 }}
+            transition={{ duration: 0.3 }}
+          >
+            <div className="flex items-center space-x-4 mb-4">
+              <div className="w-16 h-16 rounded-2xl bg-linear-to-br from-emerald-500 to-green-600 flex items-center justify-center text-4xl shadow-lg">
+                🗓️
+              </div>
+              <div>
+                <h1 className="text-3xl sm:text-4xl font-bold bg-linear-to-r from-emerald-600 to-green-600 bg-clip-text text-transparent">
+                  Schedule
+                </h1>
+                <p className="text-gray-600 mt-1">Scheduled AI posts and publishing jobs</p>
+              </div>
+            </div>
+          </motion.div>
+
+          <div className="grid grid-cols-1 lg:grid-cols-3 gap-6">
+            {/* Calendar */}
+            <div className="lg:col-span-2 bg-white rounded-2xl shadow-xl p-6 border border-gray-100">
+              <div className="flex items-center justify-between mb-4">
+                <button onClick={() => changeMonth(-1)} className="px-3 py-1 rounded-lg text-sm font-medium text-gray-700 bg-gray-100 hover:bg-gray-200">
+                  ←
+                </button>
+                <h2 className="text-lg font-bold text-gray-900">
+                  {month.toLocaleDateString(undefined, { month: 'long', year: 'numeric' })}
+                </h2>
+                <button onClick={() => changeMonth(1)} className="px-3 py-1 rounded-lg text-sm font-medium text-gray-700 bg-gray-100 hover:bg-gray-200">
+                  →
+                </button>
+              </div>
+
+              <div className="grid grid-cols-7 gap-1 text-center text-xs font-semibold text-gray-500 mb-1">
+                {WEEKDAYS.map((day) => <div key={day}>{day}</div>)}
+              </div>
+              <div className="grid grid-cols-7 gap-1">
+                {cells.map((day, index) => (
+                  <div
+                    key={index}
+                    className={`min-h-24 p-1 rounded-lg border ${day ? 'border-gray-100' : 'border-transparent'} ${day && isToday(day) ? 'bg-emerald-50' : ''}`}
+                  >
+                    {day && (
+                      <>
+                        <p className="text-xs text-gray-500 mb-1">{day}</p>
+                        <div className="space-y-1">
+                          {itemsForDay(day).map((item) => (
+                            <button
+                              key={`${item.type}-${item.id}`}
+                              onClick={() => selectItem(item)}
+                              className={`w-full text-left truncate text-xs px-1.5 py-0.5 rounded ${STATUS_STYLES[item.status] || 'bg-gray-100 text-gray-700'} ${selected?.id === item.id ? 'ring-2 ring-emerald-500' : ''}`}
+                              title={item.title}
+                            >
+                              {item.type === 'post' ? '📸' : '🎬'} {itemDate(item).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' })}
+                            </button>
+                          ))}
+                        </div>
+                      </>
+                    )}
+                  </div>
+                ))}
+              </div>
+              {loading && <p className="text-sm text-gray-500 mt-3">Loading...</p>}
+            </div>
+
+            {/* Details */}
+            <div className="bg-white rounded-2xl shadow-xl p-6 border border-gray-100">
+              <h2 className="text-lg font-bold text-gray-900 mb-1">Details</h2>
+              <p className="text-xs text-gray-500 mb-4">{scheduledCount} scheduled this month</p>
+
+              {!selected && (
+                <p className="text-sm text-gray-500">Select an item in the calendar to reschedule or cancel it.</p>
+              )}
+
+              {selected && (
+                <div className="space-y-4">
+                  {selected.imageUrl && (
+                    <img src={selected.imageUrl} alt="" className="w-full h-40 object-cover rounded-lg" />
+                  )}
+                  <div>
+                    <p className="text-xs text-gray-500">{selected.type === 'post' ? 'AI post · Instagram' : 'Video · Instagram + YouTube'}</p>
+                    <p className="text-sm text-gray-900 mt-1">{selected.title}</p>
+                  </div>
+                  <span className={`inline-block text-xs px-2 py-0.5 rounded ${STATUS_STYLES[selected.status] || 'bg-gray-100 text-gray-700'}`}>
+                    {selected.status}
+                  </span>
+                  {selected.error && <p className="text-xs text-red-600">{selected.error}</p>}
+
+                  {selected.status === 'scheduled' ? (
+                    <>
+                      <div>
+                        <label className="block text-sm font-medium text-gray-700 mb-1">Publish at</label>
+                        <input
+                          type="datetime-local"
+                          value={newTime}
+                          onChange={(e) => setNewTime(e.target.value)}
+                          className="w-full border border-gray-300 rounded-lg px-3 py-2 text-sm focus:ring-2 focus:ring-emerald-500 focus:border-emerald-500"
+                        />
+                      </div>
+                      <div className="flex gap-2">
+                        <button
+                          onClick={handleReschedule}
+                          disabled={saving}
+                          className="px-4 py-2 rounded-lg text-sm font-semibold text-white bg-emerald-600 hover:bg-emerald-700 disabled:bg-emerald-300"
+                        >
+                          {saving ? 'Saving...' : 'Reschedule'}
+                        </button>
+                        <button
+                          onClick={handleCancel}
+                          disabled={saving}
+                          className="px-4 py-2 rounded-lg text-sm font-semibold text-red-700 bg-red-50 hover:bg-red-100 disabled:opacity-50"
+                        >
+                          Cancel
+                        </button>
+                      </div>
+                    </>
+                  ) : (
+                    <p className="text-xs text-gray-500">
+                      {selected.publishedAt ? `Published ${new Date(selected.publishedAt).toLocaleString()}` : `Was scheduled for ${itemDate(selected).toLocaleString()}`}
+                    </p>
+                  )}
+                </div>
+              )}
+            </div>
+          </div>
+        </div>
+      </main>
+    </div>
+  );
+}
@@ -0,0 +1,438 @@
+import { useState, useEffect, useCallback } from 'react';
+import { motion } from 'framer-motion';
+import Navbar from '../components/Navbar';
+import { useApp } from '../context/AppContext';
+import { webhooksAPI } from '../utils/api';
+
+const EVENT_LABELS = {
+  'publish.completed': 'Post published',
+  'publish.failed': 'Publishing failed',
+  'comment.replied': 'Reply posted',
+  'comment.flagged': 'Comment flagged',
+  'token.expiring': 'Connection expiring',
+  'automation.stopped': 'Automation stopped',
+  'webhook.test': 'Test event'
+};
+
+const FORMATS = [
+  { value: 'slack', label: 'Slack', placeholder: 'https://hooks.slack.com/services/...' },
+  { value: 'discord', label: 'Discord', placeholder: 'https://discord.com/api/webhooks/...' },
+  { value: 'json', label: 'JSON (signed)', placeholder: 'https://example.com/webhooks/social' }
+];
+
+const EMPTY_FORM = {
+  name: '',
+  url: '',
+  format: 'slack',
+  events: ['publish.completed', 'publish.failed', 'token.expiring', 'automation.stopped'],
+  isActive: true
+};
+
+const STATUS_CLASSES = {
+  delivered: 'bg-green-100 text-green-700',
+  failed: 'bg-red-100 text-red-700',
+  pending: 'bg-amber-100 text-amber-700',
+  sending: 'bg-blue-100 text-blue-700'
+};
+
+function webhookToForm(webhook) {
+  return {
+    name: webhook.name,
+    url: webhook.url,
+    format: webhook.format,
+    events: webhook.events,
+    isActive: webhook.isActive
+  };
+}
+
+function errorMessage(err, fallback) {
+  return err.response?.data?.error || err.message || fallback;
+}
+
+export default function WebhooksPage() {
+  const { toast } = useApp();
+  const { showError } = toast;
+  const [webhooks, setWebhooks] = useState([]);
+  const [events, setEvents] = useState(Object.keys(EVENT_LABELS).filter((event) => event !== 'webhook.test'));
+  const [loading, setLoading] = useState(true);
+  const [form, setForm] = useState(EMPTY_FORM);
+  const [editingId, setEditingId] = useState(null);
+  const [saving, setSaving] = useState(false);
+  const [busyId, setBusyId] = useState(null);
+  // Shown once after creating an endpoint or rotating its secret
+  const [revealedSecret, setRevealedSecret] = useState(null);
+  const [logWebhookId, setLogWebhookId] = useState(null);
+  const [deliveries, setDeliveries] = useState([]);
+
+  const loadWebhooks = useCallback(async () => {
+    try {
+      const response = await webhooksAPI.getWebhooks();
+      setWebhooks(response.data.endpoints || []);
+      if (response.data.events) setEvents(response.data.events);
+    } catch (err) {
+      console.error('Error loading webhooks:', err);
+      showError(errorMessage(err, 'Failed to load webhooks'));
+    } finally {
+      setLoading(false);
+    }
+  }, [showError]);
+
+  const loadDeliveries = useCallback(async (webhookId) => {
+    try {
+      const response = await webhooksAPI.getDeliveries(webhookId, { limit: 50 });
+      setDeliveries(response.data.deliveries || []);
+    } catch (err) {
+      console.error('Error loading deliveries:', err);
+      showError(errorMessage(err, 'Failed to load deliveries'));
+    }
+  }, [showError]);
+
+  useEffect(() => {
+    loadWebhooks();
+  }, [loadWebhooks]);
+
+  useEffect(() => {
+    if (logWebhookId) loadDeliveries(logWebhookId);
+  }, [logWebhookId, loadDeliveries]);
+
+  const updateField = (field, value) => setForm((prev) => ({ ...prev, [field]: value }));
+
+  const toggleEvent = (event) => {
+    updateField('events', form.events.includes(event)
+      ? form.events.filter((e) => e !== event)
+      : [...form.events, event]);
+  };
+
+  const resetForm = () => {
+    setForm(EMPTY_FORM);
+    setEditingId(null);
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setSaving(true);
+    try {
+      if (editingId) {
+        await webhooksAPI.updateWebhook(editingId, form);
+        toast.showSuccess('Webhook updated');
+      } else {
+        const response = await webhooksAPI.createWebhook(form);
+        setRevealedSecret({ webhookId: response.data.endpoint.id, secret: response.data.secret });
+        toast.showSuccess('Webhook created');
+      }
+      resetForm();
+      await loadWebhooks();
+    } catch (err) {
+      console.error('Error saving webhook:', err);
+      toast.showError(errorMessage(err, 'Failed to save webhook'));
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const toggleActive = async (webhook) => {
+    try {
+      await webhooksAPI.updateWebhook(webhook.id, { isActive: !webhook.isActive });
+      await loadWebhooks();
+    } catch (err) {
+      toast.showError(errorMessage(err, 'Failed to update webhook'));
+    }
+  };
+
+  const handleDelete = async (webhook) => {
+    if (!window.confirm(`Delete webhook "${webhook.name}" and its delivery log?`)) return;
+    try {
+      await webhooksAPI.deleteWebhook(webhook.id);
+      toast.showSuccess('Webhook deleted');
+      if (editingId === webhook.id) resetForm();
+      if (logWebhookId === webhook.id) setLogWebhookId(null);
+      await loadWebhooks();
+    } catch (err) {
+      toast.showError(errorMessage(err, 'Failed to delete webhook'));
+    }
+  };
+
+  const handleTest = async (webhook) => {
+    setBusyId(webhook.id);
+    try {
+      const response = await webhooksAPI.sendTest(webhook.id);
+      if (response.data.success) {
+        toast.showSuccess(response.data.message);
+      } else {
+        toast.showError(response.data.message);
+      }
+      await loadWebhooks();
+      if (logWebhookId === webhook.id) await loadDeliveries(webhook.id);
+    } catch (err) {
+      toast.showError(errorMessage(err, 'Failed to send test event'));
+    } finally {
+      setBusyId(null);
+    }
+  };
+
+  const handleRotate = async (webhook) => {
+    if (!window.confirm(`Replace the signing secret of "${webhook.name}"? Requests signed with the old secret stop verifying.`)) return;
+    try {
+      const response = await webhooksAPI.rotateSecret(webhook.id);
+      setRevealedSecret({ webhookId: webhook.id, secret: response.data.secret });
+      toast.showSuccess('Signing secret replaced');
+    } catch (err) {
+      toast.showError(errorMessage(err, 'Failed to rotate signing secret'));
+    }
+  };
+
+  const handleRedeliver = async (delivery) => {
+    try {
+      const response = await webhooksAPI.redeliver(delivery.id);
+      if (response.data.delivery.status === 'delivered') {
+        toast.showSuccess(response.data.message);
+      } else {
+        toast.showError(response.data.message);
+      }
+      await loadDeliveries(logWebhookId);
+    } catch (err) {
+      toast.showError(errorMessage(err, 'Failed to redeliver event'));
+    }
+  };
+
+  const copySecret = async () => {
+    try {
+      await navigator.clipboard.writeText(revealedSecret.secret);
+      toast.showSuccess('Secret copied');
+    } catch {
+      toast.showError('Copy failed, select the secret and copy it manually');
+    }
+  };
+
+  const inputClass = 'w-full border border-gray-300 rounded-lg px-3 py-2 text-sm focus:ring-2 focus:ring-teal-500 focus:border-teal-500';
+  const selectedFormat = FORMATS.find((format) => format.value === form.format) || FORMATS[0];
+  const logWebhook = webhooks.find((webhook) => webhook.id === logWebhookId);
+
+  return (
+    <div className="min-h-screen bg-linear-to-br from-gray-50 via-slate-50 to-zinc-50">
+      <Navbar showBackButton />
+
+      <main className="pt-24 pb-12 px-4 sm:px-6 lg:px-8">
+        <div className="max-w-6xl mx-auto">
+          {/* Header */}
+          <motion.div
+            className="mb-8"
+            initial={{ opacity: 0, y: 10 }}
+            animate={{ opacity: 1, y: 0 }}
+            transition={{ duration: 0.3 }}
+          >
+            <div className="flex items-center space-x-4 mb-4">
+              <div className="w-16 h-16 rounded-2xl bg-linear-to-br from-teal-500 to-cyan-600 flex items-center justify-center text-4xl shadow-lg">
+                🪝
+              </div>
+              <div>
+                <h1 className="text-3xl sm:text-4xl font-bold bg-linear-to-r from-teal-600 to-cyan-600 bg-clip-text text-transparent">
+                  Webhooks
+                </h1>
+                <p className="text-gray-600 mt-1">Send publishing and automation events to Slack, Discord or your own server</p>
+              </div>
+            </div>
+          </motion.div>
+
+          {revealedSecret && (
+            <div className="mb-6 p-4 rounded-2xl border border-amber-200 bg-amber-50">
+              <p className="text-sm font-semibold text-amber-900">Signing secret</p>
+              <p className="text-xs text-amber-800 mb-2">
+                Copy it now, it is not shown again. Verify the <span className="font-mono">X-Webhook-Signature</span> header:
+                HMAC-SHA256 of <span className="font-mono">{'{X-Webhook-Timestamp}.{body}'}</span> with this secret.
+              </p>
+              <div className="flex flex-wrap items-center gap-2">
+                <code className="px-2 py-1 rounded bg-white border border-amber-200 text-sm break-all">{revealedSecret.secret}</code>
+                <button onClick={copySecret} className="text-xs font-medium text-amber-900 hover:underline">Copy</button>
+                <button onClick={() => setRevealedSecret(null)} className="text-xs font-medium text-gray-600 hover:underline">Done</button>
+              </div>
+            </div>
+          )}
+
+          <div className="grid grid-cols-1 lg:grid-cols-2 gap-6">
+            {/* Webhook Form */}
+            <form onSubmit={handleSubmit} className="bg-white rounded-2xl shadow-xl p-6 border border-gray-100 space-y-4">
+              <h2 className="text-lg font-bold text-gray-900">{editingId ? 'Edit Webhook' : 'New Webhook'}</h2>
+
+              <div className="grid grid-cols-2 gap-3">
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 mb-1">Name</label>
+                  <input className={inputClass} value={form.name} onChange={(e) => updateField('name', e.target.value)} placeholder="#social-team" required />
+                </div>
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 mb-1">Format</label>
+                  <select className={inputClass} value={form.format} onChange={(e) => updateField('format', e.target.value)}>
+                    {FORMATS.map((format) => (
+                      <option key={format.value} value={format.value}>{format.label}</option>
+                    ))}
+                  </select>
+                </div>
+              </div>
+
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-1">URL</label>
+                <input className={inputClass} type="url" value={form.url} onChange={(e) => updateField('url', e.target.value)} placeholder={selectedFormat.placeholder} required />
+                <p className="text-xs text-gray-500 mt-1">
+                  {form.format === 'json'
+                    ? 'Receives { id, event, createdAt, data } with a signature header.'
+                    : `Paste the incoming webhook URL from ${selectedFormat.label}. Events arrive as formatted messages.`}
+                </p>
+              </div>
+
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-1">Events ({form.events.length} selected)</label>
+                <div className="grid grid-cols-1 sm:grid-cols-2 gap-1 border border-gray-200 rounded-lg p-2">
+                  {events.map((event) => (
+                    <label key={event} className="flex items-center gap-2 p-1 text-sm cursor-pointer hover:bg-gray-50 rounded">
+                      <input type="checkbox" checked={form.events.includes(event)} onChange={() => toggleEvent(event)} />
+                      <span className="text-gray-800">{EVENT_LABELS[event] || event}</span>
+                      <span className="text-xs text-gray-400 font-mono">{event}</span>
+                    </label>
+                  ))}
+                </div>
+              </div>
+
+              <div className="flex gap-2">
+                <button
+                  type="submit"
+                  disabled={saving || form.events.length === 0}
+                  className="px-4 py-2 rounded-lg text-sm font-semibold text-white bg-teal-600 hover:bg-teal-700 disabled:bg-teal-300"
+                >
+                  {saving ? 'Saving...' : editingId ? 'Update Webhook' : 'Create Webhook'}
+                </button>
+                {editingId && (
+                  <button type="button" onClick={resetForm} className="px-4 py-2 rounded-lg text-sm font-semibold text-gray-700 bg-gray-100 hover:bg-gray-200">
+                    Cancel
+                  </button>
+                )}
+              </div>
+            </form>
+
+            {/* Webhook List */}
+            <div className="bg-white rounded-2xl shadow-xl p-6 border border-gray-100">
+              <h2 className="text-lg font-bold text-gray-900 mb-4">Endpoints</h2>
+              {loading && <p className="text-gray-500">Loading...</p>}
+              {!loading && webhooks.length === 0 && (
+                <p className="text-sm text-gray-500">No webhooks yet.</p>
+              )}
+              <div className="space-y-3">
+                {webhooks.map((webhook) => (
+                  <div key={webhook.id} className={`p-3 rounded-lg border ${webhook.isActive ? 'border-gray-200' : 'border-gray-100 opacity-60'}`}>
+                    <div className="flex items-center justify-between gap-3">
+                      <div className="min-w-0">
+                        <p className="font-semibold text-gray-900 truncate">{webhook.name}</p>
+                        <p className="text-xs text-gray-500 truncate">
+                          {FORMATS.find((format) => format.value === webhook.format)?.label} · {webhook.url}
+                        </p>
+                      </div>
+                      <div className="flex flex-wrap justify-end gap-2 shrink-0">
+                        <button
+                          onClick={() => handleTest(webhook)}
+                          disabled={busyId === webhook.id}
+                          className="text-xs font-medium text-teal-600 hover:text-teal-800 disabled:opacity-50"
+                        >
+                          {busyId === webhook.id ? 'Sending...' : 'Test'}
+                        </button>
+                        <button onClick={() => setLogWebhookId(logWebhookId === webhook.id ? null : webhook.id)} className="text-xs font-medium text-gray-600 hover:text-gray-900">
+                          {logWebhookId === webhook.id ? 'Hide log' : 'Log'}
+                        </button>
+                        <button onClick={() => toggleActive(webhook)} className="text-xs font-medium text-gray-600 hover:text-gray-900">
+                          {webhook.isActive ? 'Pause' : 'Resume'}
+                        </button>
+                        <button
+                          onClick={() => {
+                            setEditingId(webhook.id);
+                            setForm(webhookToForm(webhook));
+                          }}
+                          className="text-xs font-medium text-teal-600 hover:text-teal-800"
+                        >
+                          Edit
+                        </button>
+                        <button onClick={() => handleRotate(webhook)} className="text-xs font-medium text-gray-600 hover:text-gray-900">
+                          New secret
+                        </button>
+                        <button onClick={() => handleDelete(webhook)} className="text-xs font-medium text-red-600 hover:text-red-800">
+                          Delete
+                        </button>
+                      </div>
+                    </div>
+                    <div className="flex flex-wrap gap-1 mt-2">
+                      {webhook.events.map((event) => (
+                        <span key={event} className="px-2 py-0.5 rounded-full bg-gray-100 text-xs text-gray-600">{EVENT_LABELS[event] || event}</span>
+                      ))}
+                    </div>
+                    {webhook.lastDeliveryAt && (
+                      <p className={`text-xs mt-2 ${webhook.lastDeliveryStatus === 'failed' ? 'text-red-600' : 'text-gray-400'}`}>
+                        Last delivery {new Date(webhook.lastDeliveryAt).toLocaleString()}
+                        {webhook.lastDeliveryStatus === 'failed' ? ` failed (${webhook.lastError})` : ' succeeded'}
+                      </p>
+                    )}
+                  </div>
+                ))}
+              </div>
+            </div>
+          </div>
+
+          {/* Delivery Log */}
+          {logWebhook && (
+            <div className="mt-6 bg-white rounded-2xl shadow-xl p-6 border border-gray-100">
+              <div className="flex items-center justify-between mb-4">
+                <h2 className="text-lg font-bold text-gray-900">Deliveries · {logWebhook.name}</h2>
+                <button onClick={() => loadDeliveries(logWebhook.id)} className="text-xs font-medium text-teal-600 hover:text-teal-800">
+                  Refresh
+                </button>
+              </div>
+              {deliveries.length === 0 ? (
+                <p className="text-sm text-gray-500">No deliveries in the last 30 days.</p>
+              ) : (
+                <div className="overflow-x-auto">
+                  <table className="min-w-full text-sm">
+                    <thead>
+                      <tr className="text-left text-xs text-gray-500 border-b border-gray-100">
+                        <th className="py-2 pr-4 font-medium">Time</th>
+                        <th className="py-2 pr-4 font-medium">Event</th>
+                        <th className="py-2 pr-4 font-medium">Status</th>
+                        <th className="py-2 pr-4 font-medium">Attempts</th>
+                        <th className="py-2 pr-4 font-medium">Response</th>
+                        <th className="py-2 font-medium"></th>
+                      </tr>
+                    </thead>
+                    <tbody className="divide-y divide-gray-50">
+                      {deliveries.map((delivery) => (
+                        <tr key={delivery.id} className="align-top">
+                          <td className="py-2 pr-4 text-gray-600 whitespace-nowrap">{new Date(delivery.createdAt).toLocaleString()}</td>
+                          <td className="py-2 pr-4 text-gray-900">{EVENT_LABELS[delivery.event] || delivery.event}</td>
+                          <td className="py-2 pr-4">
+                            <span className={`px-2 py-0.5 rounded-full text-xs font-medium ${STATUS_CLASSES[delivery.status]}`}>{delivery.status}</span>
+                            {delivery.nextAttemptAt && (
+                              <span className="block text-xs text-gray-400 mt-1">retry {new Date(delivery.nextAttemptAt).toLocaleTimeString()}</span>
+                            )}
+                          </td>
+                          <td className="py-2 pr-4 text-gray-600">{delivery.attempts}/{delivery.maxAttempts}</td>
+                          <td className="py-2 pr-4 text-gray-600 max-w-xs">
+                            {delivery.error || (delivery.responseStatus ? `HTTP ${delivery.responseStatus}` : '—')}
+                            {delivery.durationMs !== null && <span className="text-xs text-gray-400"> · {delivery.durationMs} ms</span>}
+                            {delivery.responseBody && (
+                              <span className="block text-xs text-gray-400 font-mono truncate" title={delivery.responseBody}>{delivery.responseBody}</span>
+                            )}
+                          </td>
+                          <td className="py-2 text-right">
+                            {['delivered', 'failed'].includes(delivery.status) && (
+                              <button onClick={() => handleRedeliver(delivery)} className="text-xs font-medium text-teal-600 hover:text-teal-800">
+                                Redeliver
+                              </button>
+                            )}
+                          </td>
+                        </tr>
+                      ))}
+                    </tbody>
+                  </table>
+                </div>
+              )}
+            </div>
+          )}
+        </div>
+      </main>
+    </div>
+  );
+}
@@ -0,0 +1,496 @@
+import { useState, useEffect, useCallback } from 'react';
+import { useSearchParams } from 'react-router-dom';
+import { motion } from 'framer-motion';
+import Navbar from '../components/Navbar';
+import { useApp } from '../context/AppContext';
+import { workspacesAPI } from '../utils/api';
+import { getUser, getWorkspaceId, setWorkspaceId } from '../utils/localStorage';
+
+const ROLE_DESCRIPTIONS = {
+  owner: 'Everything, including members and connected accounts',
+  editor: 'Creates and changes posts, schedules and automation',
+  approver: 'Approves replies and publishing jobs',
+  viewer: 'Reads everything, changes nothing'
+};
+
+const ROLE_CLASSES = {
+  owner: 'bg-amber-100 text-amber-800',
+  editor: 'bg-blue-100 text-blue-700',
+  approver: 'bg-green-100 text-green-700',
+  viewer: 'bg-gray-100 text-gray-600'
+};
+
+const PLATFORM_LABELS = {
+  instagram: 'Instagram',
+  youtube: 'YouTube',
+  twitter: 'X',
+  linkedin: 'LinkedIn',
+  threads: 'Threads',
+  facebook: 'Facebook'
+};
+
+function errorMessage(err, fallback) {
+  return err.response?.data?.error || err.message || fallback;
+}
+
+export default function WorkspacesPage() {
+  const { toast } = useApp();
+  const { showError } = toast;
+  const currentUser = getUser();
+  const activeWorkspaceId = getWorkspaceId();
+  // Set by the invitation link
+  const [searchParams, setSearchParams] = useSearchParams();
+  const linkWorkspaceId = searchParams.get('invitation');
+  const linkToken = searchParams.get('token');
+  const [workspaces, setWorkspaces] = useState([]);
+  const [invitations, setInvitations] = useState([]);
+  const [roles, setRoles] = useState(Object.keys(ROLE_DESCRIPTIONS));
+  const [loading, setLoading] = useState(true);
+  const [newName, setNewName] = useState('');
+  const [creating, setCreating] = useState(false);
+  const [selectedId, setSelectedId] = useState(activeWorkspaceId);
+  const [workspace, setWorkspace] = useState(null);
+  const [auditEntries, setAuditEntries] = useState([]);
+  const [invite, setInvite] = useState({ email: '', role: 'editor' });
+  const [inviteUrl, setInviteUrl] = useState(null);
+  const [rename, setRename] = useState('');
+
+  const loadWorkspaces = useCallback(async () => {
+    try {
+      const response = await workspacesAPI.getWorkspaces();
+      setWorkspaces(response.data.workspaces || []);
+      setInvitations(response.data.invitations || []);
+      if (response.data.roles) setRoles(response.data.roles);
+    } catch (err) {
+      console.error('Error loading workspaces:', err);
+      showError(errorMessage(err, 'Failed to load workspaces'));
+    } finally {
+      setLoading(false);
+    }
+  }, [showError]);
+
+  const loadWorkspace = useCallback(async (workspaceId) => {
+    try {
+      const [details, audit] = await Promise.all([
+        workspacesAPI.getWorkspace(workspaceId),
+        workspacesAPI.getAuditTrail(workspaceId, { limit: 50 })
+      ]);
+      setWorkspace(details.data.workspace);
+      setRename(details.data.workspace.name);
+      setAuditEntries(audit.data.entries || []);
+    } catch (err) {
+      console.error('Error loading workspace:', err);
+      showError(errorMessage(err, 'Failed to load workspace'));
+      setSelectedId(null);
+    }
+  }, [showError]);
+
+  useEffect(() => {
+    loadWorkspaces();
+  }, [loadWorkspaces]);
+
+  useEffect(() => {
+    setInviteUrl(null);
+    if (selectedId) {
+      loadWorkspace(selectedId);
+    } else {
+      setWorkspace(null);
+    }
+  }, [selectedId, loadWorkspace]);
+
+  // Every page reloads its data for the selected account
+  const switchTo = (workspaceId) => {
+    setWorkspaceId(workspaceId);
+    window.location.reload();
+  };
+
+  const handleCreate = async (e) => {
+    e.preventDefault();
+    setCreating(true);
+    try {
+      const response = await workspacesAPI.createWorkspace(newName);
+      toast.showSuccess(response.data.message);
+      setNewName('');
+      setSelectedId(response.data.workspace.id);
+      await loadWorkspaces();
+    } catch (err) {
+      toast.showError(errorMessage(err, 'Failed to create workspace'));
+    } finally {
+      setCreating(false);
+    }
+  };
+
+  const handleInvitation = async (invitation, accept) => {
+    try {
+      const response = accept
+        ? await workspacesAPI.acceptInvitation(invitation.workspaceId, linkToken)
+        : await workspacesAPI.declineInvitation(invitation.workspaceId, linkToken);
+      toast.showSuccess(response.data.message);
+      setSearchParams({}, { replace: true });
+      await loadWorkspaces();
+      if (accept) setSelectedId(invitation.workspaceId);
+    } catch (err) {
+      toast.showError(errorMessage(err, 'Failed to answer invitation'));
+    }
+  };
+
+  const handleInvite = async (e) => {
+    e.preventDefault();
+    try {
+      const response = await workspacesAPI.invite(workspace.id, invite);
+      toast.showSuccess(response.data.message);
+      setInviteUrl({ email: invite.email, url: response.data.inviteUrl });
+      setInvite({ email: '', role: invite.role });
+      await loadWorkspace(workspace.id);
+    } catch (err) {
+      toast.showError(errorMessage(err, 'Failed to send invitation'));
+    }
+  };
+
+  const copyInviteUrl = async () => {
+    try {
+      await navigator.clipboard.writeText(inviteUrl.url);
+      toast.showSuccess('Invitation link copied');
+    } catch {
+      toast.showError('Copy failed, select the link and copy it manually');
+    }
+  };
+
+  const handleRevoke = async (email) => {
+    try {
+      await workspacesAPI.revokeInvitation(workspace.id, email);
+      toast.showSuccess('Invitation withdrawn');
+      await loadWorkspace(workspace.id);
+    } catch (err) {
+      toast.showError(errorMessage(err, 'Failed to withdraw invitation'));
+    }
+  };
+
+  const handleRoleChange = async (member, role) => {
+    try {
+      await workspacesAPI.updateMemberRole(workspace.id, member.userId, role);
+      toast.showSuccess(`${member.name} is now ${role === 'owner' ? 'an' : 'a'} ${role}`);
+      await loadWorkspace(workspace.id);
+    } catch (err) {
+      toast.showError(errorMessage(err, 'Failed to update role'));
+    }
+  };
+
+  const handleRemove = async (member) => {
+    const leaving = member.userId === currentUser?.id;
+    if (!window.confirm(leaving ? `Leave "${workspace.name}"?` : `Remove ${member.name} from "${workspace.name}"?`)) return;
+    try {
+      const response = await workspacesAPI.removeMember(workspace.id, member.userId);
+      toast.showSuccess(response.data.message);
+      if (leaving) {
+        if (activeWorkspaceId === workspace.id) switchTo(null);
+        setSelectedId(null);
+        await loadWorkspaces();
+      } else {
+        await loadWorkspace(workspace.id);
+      }
+    } catch (err) {
+      toast.showError(errorMessage(err, 'Failed to remove member'));
+    }
+  };
+
+  const handleRename = async (e) => {
+    e.preventDefault();
+    try {
+      await workspacesAPI.renameWorkspace(workspace.id, rename);
+      toast.showSuccess('Workspace renamed');
+      await Promise.all([loadWorkspaces(), loadWorkspace(workspace.id)]);
+    } catch (err) {
+      toast.showError(errorMessage(err, 'Failed to rename workspace'));
+    }
+  };
+
+  const handleDelete = async () => {
+    if (!window.confirm(`Delete "${workspace.name}"? Its posts, jobs and settings are no longer reachable.`)) return;
+    try {
+      await workspacesAPI.deleteWorkspace(workspace.id);
+      toast.showSuccess('Workspace deleted');
+      if (activeWorkspaceId === workspace.id) switchTo(null);
+      setSelectedId(null);
+      await loadWorkspaces();
+    } catch (err) {
+      toast.showError(errorMessage(err, 'Failed to delete workspace'));
+    }
+  };
+
+  const inputClass = 'w-full border border-gray-300 rounded-lg px-3 py-2 text-sm focus:ring-2 focus:ring-amber-500 focus:border-amber-500';
+  const isOwner = workspace?.role === 'owner';
+
+  return (
+    <div className="min-h-screen bg-linear-to-br from-gray-50 via-slate-50 to-zinc-50">
+      <Navbar showBackButton />
+
+      <main className="pt-24 pb-12 px-4 sm:px-6 lg:px-8">
+        <div className="max-w-6xl mx-auto">
+          {/* Header */}
+          <motion.div
+            className="mb-8"
+            initial={{ opacity: 0, y: 10 }}
+            animate={{ opacity: 1, y: 0 }}
+            transition={{ duration: 0.3 }}
+          >
+            <div className="flex items-center space-x-4 mb-4">
+              <div className="w-16 h-16 rounded-2xl bg-linear-to-br from-amber-500 to-orange-600 flex items-center justify-center text-4xl shadow-lg">
+                👥
+              </div>
+              <div>
+                <h1 className="text-3xl sm:text-4xl font-bold bg-linear-to-r from-amber-600 to-orange-600 bg-clip-text text-transparent">
+                  Workspaces
+                </h1>
+                <p className="text-gray-600 mt-1">Share connected accounts with your team and decide who can change what</p>
+              </div>
+            </div>
+          </motion.div>
+
+          {/* Pending Invitations */}
+          {invitations.length > 0 && (
+            <div className="mb-6 p-4 rounded-2xl border border-amber-200 bg-amber-50 space-y-2">
+              <p className="text-sm font-semibold text-amber-900">Invitations</p>
+              {invitations.map((invitation) => (
+                <div key={invitation.workspaceId} className="flex flex-wrap items-center justify-between gap-2">
+                  <p className="text-sm text-amber-900">
+                    {invitation.invitedBy || 'Someone'} invited you to <span className="font-semibold">{invitation.name}</span> as {invitation.role}
+                    <span className="text-xs text-amber-700"> · expires {new Date(invitation.expiresAt).toLocaleDateString()}</span>
+                  </p>
+                  {invitation.workspaceId === linkWorkspaceId && linkToken ? (
+                    <div className="flex gap-2">
+                      <button onClick={() => handleInvitation(invitation, true)} className="px-3 py-1 rounded-lg text-xs font-semibold text-white bg-amber-600 hover:bg-amber-700">
+                        Accept
+                      </button>
+                      <button onClick={() => handleInvitation(invitation, false)} className="px-3 py-1 rounded-lg text-xs font-semibold text-gray-700 bg-white hover:bg-gray-100">
+                        Decline
+                      </button>
+                    </div>
+                  ) : (
+                    <p className="text-xs text-amber-700">Open the invitation link you were sent to answer</p>
+                  )}
+                </div>
+              ))}
+            </div>
+          )}
+
+          <div className="grid grid-cols-1 lg:grid-cols-3 gap-6">
+            {/* Workspace List */}
+            <div className="bg-white rounded-2xl shadow-xl p-6 border border-gray-100 space-y-4">
+              <h2 className="text-lg font-bold text-gray-900">Your Workspaces</h2>
+
+              <div className={`p-3 rounded-lg border ${!activeWorkspaceId ? 'border-amber-300 bg-amber-50' : 'border-gray-200'}`}>
+                <div className="flex items-center justify-between gap-2">
+                  <div>
+                    <p className="font-semibold text-gray-900">Personal</p>
+                    <p className="text-xs text-gray-500">Only you</p>
+                  </div>
+                  {activeWorkspaceId ? (
+                    <button onClick={() => switchTo(null)} className="text-xs font-medium text-amber-600 hover:text-amber-800">Switch</button>
+                  ) : (
+                    <span className="text-xs font-medium text-amber-700">Active</span>
+                  )}
+                </div>
+              </div>
+
+              {loading && <p className="text-gray-500">Loading...</p>}
+              {workspaces.map((item) => (
+                <div
+                  key={item.id}
+                  className={`p-3 rounded-lg border cursor-pointer ${activeWorkspaceId === item.id ? 'border-amber-300 bg-amber-50' : selectedId === item.id ? 'border-gray-400' : 'border-gray-200 hover:border-gray-300'}`}
+                  onClick={() => setSelectedId(item.id)}
+                >
+                  <div className="flex items-center justify-between gap-2">
+                    <div className="min-w-0">
+                      <p className="font-semibold text-gray-900 truncate">{item.name}</p>
+                      <p className="text-xs text-gray-500">
+                        <span className={`px-1.5 py-0.5 rounded ${ROLE_CLASSES[item.role]}`}>{item.role}</span>
+                        {' '}· {item.memberCount} {item.memberCount === 1 ? 'member' : 'members'}
+                      </p>
+                    </div>
+                    {activeWorkspaceId === item.id ? (
+                      <span className="text-xs font-medium text-amber-700">Active</span>
+                    ) : (
+                      <button
+                        onClick={(e) => {
+                          e.stopPropagation();
+                          switchTo(item.id);
+                        }}
+                        className="text-xs font-medium text-amber-600 hover:text-amber-800"
+                      >
+                        Switch
+                      </button>
+                    )}
+                  </div>
+                </div>
+              ))}
+
+              <form onSubmit={handleCreate} className="pt-2 border-t border-gray-100 space-y-2">
+                <label className="block text-sm font-medium text-gray-700">New workspace</label>
+                <input className={inputClass} value={newName} onChange={(e) => setNewName(e.target.value)} placeholder="Acme social team" maxLength={100} required />
+                <button
+                  type="submit"
+                  disabled={creating}
+                  className="px-4 py-2 rounded-lg text-sm font-semibold text-white bg-amber-600 hover:bg-amber-700 disabled:bg-amber-300"
+                >
+                  {creating ? 'Creating...' : 'Create Workspace'}
+                </button>
+                <p className="text-xs text-gray-500">
+                  A workspace has its own connected accounts. Switch to it, then connect accounts from Configuration.
+                </p>
+              </form>
+            </div>
+
+            {/* Workspace Details */}
+            <div className="lg:col-span-2 space-y-6">
+              {!workspace ? (
+                <div className="bg-white rounded-2xl shadow-xl p-6 border border-gray-100">
+                  <p className="text-sm text-gray-500">Select a workspace to see its members and changes.</p>
+                </div>
+              ) : (
+                <>
+                  <div className="bg-white rounded-2xl shadow-xl p-6 border border-gray-100 space-y-4">
+                    <div className="flex flex-wrap items-start justify-between gap-3">
+                      <div>
+                        <h2 className="text-lg font-bold text-gray-900">{workspace.name}</h2>
+                        <p className="text-xs text-gray-500">
+                          Connected: {workspace.connectedAccounts.length > 0
+                            ? workspace.connectedAccounts.map((platform) => PLATFORM_LABELS[platform] || platform).join(', ')
+                            : 'no accounts yet'}
+                        </p>
+                      </div>
+                      {isOwner && (
+                        <form onSubmit={handleRename} className="flex gap-2">
+                          <input className={inputClass} value={rename} onChange={(e) => setRename(e.target.value)} maxLength={100} required />
+                          <button type="submit" disabled={rename === workspace.name} className="px-3 py-2 rounded-lg text-xs font-semibold text-gray-700 bg-gray-100 hover:bg-gray-200 disabled:opacity-50">
+                            Rename
+                          </button>
+                        </form>
+                      )}
+                    </div>
+
+                    {/* Members */}
+                    <div className="divide-y divide-gray-100">
+                      {workspace.members.map((member) => (
+                        <div key={member.userId} className="flex flex-wrap items-center justify-between gap-2 py-2">
+                          <div className="min-w-0">
+                            <p className="text-sm font-medium text-gray-900 truncate">
+                              {member.name}{member.userId === currentUser?.id && <span className="text-gray-400"> (you)</span>}
+                            </p>
+                            <p className="text-xs text-gray-500 truncate">{member.email}</p>
+                          </div>
+                          <div className="flex items-center gap-3">
+                            {isOwner ? (
+                              <select
+                                value={member.role}
+                                onChange={(e) => handleRoleChange(member, e.target.value)}
+                                className="border border-gray-300 rounded-lg px-2 py-1 text-xs"
+                                title={ROLE_DESCRIPTIONS[member.role]}
+                              >
+                                {roles.map((role) => (
+                                  <option key={role} value={role}>{role}</option>
+                                ))}
+                              </select>
+                            ) : (
+                              <span className={`px-2 py-0.5 rounded-full text-xs font-medium ${ROLE_CLASSES[member.role]}`}>{member.role}</span>
+                            )}
+                            {(isOwner || member.userId === currentUser?.id) && (
+                              <button onClick={() => handleRemove(member)} className="text-xs font-medium text-red-600 hover:text-red-800">
+                                {member.userId === currentUser?.id ? 'Leave' : 'Remove'}
+                              </button>
+                            )}
+                          </div>
+                        </div>
+                      ))}
+                    </div>
+
+                    {/* Invitations */}
+                    {isOwner && (
+                      <div className="pt-2 border-t border-gray-100 space-y-3">
+                        <form onSubmit={handleInvite} className="flex flex-wrap gap-2">
+                          <input
+                            className={`${inputClass} flex-1 min-w-48`}
+                            type="email"
+                            value={invite.email}
+                            onChange={(e) => setInvite({ ...invite, email: e.target.value })}
+                            placeholder="teammate@example.com"
+                            required
+                          />
+                          <select className="border border-gray-300 rounded-lg px-2 py-2 text-sm" value={invite.role} onChange={(e) => setInvite({ ...invite, role: e.target.value })}>
+                            {roles.map((role) => (
+                              <option key={role} value={role}>{role}</option>
+                            ))}
+                          </select>
+                          <button type="submit" className="px-4 py-2 rounded-lg text-sm font-semibold text-white bg-amber-600 hover:bg-amber-700">
+                            Invite
+                          </button>
+                        </form>
+                        <p className="text-xs text-gray-500">{ROLE_DESCRIPTIONS[invite.role]}. Invitees accept with the invitation link after signing in with this email.</p>
+                        {inviteUrl && (
+                          <div className="p-3 rounded-lg border border-amber-200 bg-amber-50 space-y-2">
+                            <p className="text-xs text-amber-800">
+                              Send this link to {inviteUrl.email}. Copy it now, it is not shown again; inviting again makes a new one.
+                            </p>
+                            <div className="flex flex-wrap items-center gap-2">
+                              <code className="px-2 py-1 rounded bg-white border border-amber-200 text-xs break-all">{inviteUrl.url}</code>
+                              <button onClick={copyInviteUrl} className="text-xs font-medium text-amber-900 hover:underline">Copy</button>
+                              <button onClick={() => setInviteUrl(null)} className="text-xs font-medium text-gray-600 hover:underline">Done</button>
+                            </div>
+                          </div>
+                        )}
+                        {workspace.invitations.map((invitation) => (
+                          <div key={invitation.email} className="flex items-center justify-between gap-2 text-sm">
+                            <span className={invitation.expired ? 'text-gray-400 line-through' : 'text-gray-700'}>
+                              {invitation.email} · {invitation.role}
+                              <span className="text-xs text-gray-400"> · {invitation.expired ? 'expired' : `pending until ${new Date(invitation.expiresAt).toLocaleDateString()}`}</span>
+                            </span>
+                            <button onClick={() => handleRevoke(invitation.email)} className="text-xs font-medium text-gray-600 hover:text-gray-900">
+                              Withdraw
+                            </button>
+                          </div>
+                        ))}
+                      </div>
+                    )}
+
+                    {isOwner && (
+                      <div className="pt-2 border-t border-gray-100">
+                        <button onClick={handleDelete} className="text-xs font-medium text-red-600 hover:text-red-800">
+                          Delete workspace
+                        </button>
+                      </div>
+                    )}
+                  </div>
+
+                  {/* Audit Trail */}
+                  <div className="bg-white rounded-2xl shadow-xl p-6 border border-gray-100">
+                    <div className="flex items-center justify-between mb-4">
+                      <h2 className="text-lg font-bold text-gray-900">Changes</h2>
+                      <button onClick={() => loadWorkspace(workspace.id)} className="text-xs font-medium text-amber-600 hover:text-amber-800">
+                        Refresh
+                      </button>
+                    </div>
+                    {auditEntries.length === 0 ? (
+                      <p className="text-sm text-gray-500">No changes yet.</p>
+                    ) : (
+                      <div className="divide-y divide-gray-50">
+                        {auditEntries.map((entry) => (
+                          <div key={entry.id} className="py-2 text-sm">
+                            <p className="text-gray-900">{entry.message}</p>
+                            <p className="text-xs text-gray-400">
+                              {new Date(entry.timestamp).toLocaleString()}
+                              {entry.area && ` · ${entry.area}`}
+                            </p>
+                          </div>
+                        ))}
+                      </div>
+                    )}
+                  </div>
+                </>
+              )}
+            </div>
+          </div>
+        </div>
+      </main>
+    </div>
+  );
+}
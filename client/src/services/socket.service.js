@@ -1,4 +1,5 @@
 import { io } from 'socket.io-client';
+import { getWorkspaceId } from '../utils/localStorage';
 
 class SocketService {
   constructor() {
@@ -109,6 +110,24 @@ class SocketService {
       this.off(event, callback);
     };
   }
+
+  // Subscribe to DM inbox updates; the server joins the room after verifying the token
+  subscribeToInbox(token, callback) {
+    // Members of a team workspace follow the shared account's inbox
+    const workspaceId = getWorkspaceId();
+    const join = () => this.socket.emit('subscribe:inbox', token, workspaceId);
+    if (!this.socket) {
+      this.connect();
+    }
+    join();
+    // Rooms are lost on reconnect
+    this.on('connect', join);
+    this.on('inbox:message', callback);
+    return () => {
+      this.off('connect', join);
+      this.off('inbox:message', callback);
+    };
+  }
 }
 
 export default new SocketService();
@@ -17,6 +17,11 @@ api.interceptors.request.use(
     if (token) {
       config.headers.Authorization = `Bearer ${token}`;
     }
+    // Act on the selected team workspace
+    const workspaceId = localStorage.getItem('workspaceId');
+    if (workspaceId) {
+      config.headers['X-Workspace-Id'] = workspaceId;
+    }
     return config;
   },
   (error) => {
@@ -48,6 +53,13 @@ api.interceptors.response.use(
             window.location.href = '/login';
           }
           break;
+        case 403:
+          error.message = data.error || 'You do not have permission to do this';
+          // Removed from the selected workspace: fall back to the personal account
+          if (data.code === 'WORKSPACE_ACCESS') {
+            localStorage.removeItem('workspaceId');
+          }
+          break;
         case 404:
           error.message = 'Resource not found';
           break;
@@ -76,6 +88,8 @@ export const configAPI = {
   deleteInstagramConfig: () => api.delete('/api/config/instagram'),
   saveTone: (tone) => api.post('/api/config/tone', { tone }),
   getTone: () => api.get('/api/config/tone'),
+  saveCommentSource: (commentSource) => api.post('/api/config/comment-source', { commentSource }),
+  getCommentSource: () => api.get('/api/config/comment-source'),
   validateApiKey: (apiKey) => api.post('/api/config/validate-api-key', { apiKey }),
 };
 
@@ -85,6 +99,14 @@ export const automationAPI = {
   getStatus: () => api.get('/api/automation/status'),
 };
 
+export const youtubeAutomationAPI = {
+  start: () => api.post('/api/automation/youtube/start'),
+  stop: () => api.post('/api/automation/youtube/stop'),
+  getStatus: () => api.get('/api/automation/youtube/status'),
+  getSettings: () => api.get('/api/automation/youtube/settings'),
+  saveSettings: (settings) => api.put('/api/automation/youtube/settings', settings),
+};
+
 export const logsAPI = {
   getLogs: (params) => api.get('/api/logs', { params }),
   exportLogs: () => api.get('/api/logs/export'),
@@ -96,12 +118,125 @@ export const healthAPI = {
   check: () => api.get('/api/health'),
 };
 
+export const dataDeletionAPI = {
+  getStatus: (code) => api.get(`/api/oauth/instagram/data-deletion/${encodeURIComponent(code)}`),
+};
+
 export const postsAPI = {
   getPosts: (params) => api.get('/api/posts', { params }),
   getSelectedPosts: () => api.get('/api/posts/selected'),
   saveSelectedPosts: (postIds, monitorAll = false) => api.post('/api/posts/selected', { postIds, monitorAll }),
 };
 
+export const approvalsAPI = {
+  getPending: (params) => api.get('/api/approvals', { params }),
+  approve: (commentId, replyText) => api.post(`/api/approvals/${commentId}/approve`, replyText ? { replyText } : {}),
+  reject: (commentId) => api.post(`/api/approvals/${commentId}/reject`),
+  regenerate: (commentId, tone) => api.post(`/api/approvals/${commentId}/regenerate`, tone ? { tone } : {}, { timeout: 120000 }),
+  bulk: (commentIds, action) => api.post('/api/approvals/bulk', { commentIds, action }, { timeout: 120000 }),
+  getSettings: () => api.get('/api/approvals/settings'),
+  saveSettings: (data) => api.put('/api/approvals/settings', data),
+};
+
+export const commentRulesAPI = {
+  getRules: () => api.get('/api/comment-rules'),
+  createRule: (rule) => api.post('/api/comment-rules', rule),
+  updateRule: (ruleId, rule) => api.put(`/api/comment-rules/${ruleId}`, rule),
+  deleteRule: (ruleId) => api.delete(`/api/comment-rules/${ruleId}`),
+  testRules: (text, username) => api.post('/api/comment-rules/test', { text, username }),
+};
+
+export const dmCampaignsAPI = {
+  getCampaigns: () => api.get('/api/dm-campaigns'),
+  createCampaign: (campaign) => api.post('/api/dm-campaigns', campaign),
+  updateCampaign: (campaignId, campaign) => api.put(`/api/dm-campaigns/${campaignId}`, campaign),
+  deleteCampaign: (campaignId) => api.delete(`/api/dm-campaigns/${campaignId}`),
+  getDeliveries: (campaignId, params) => api.get(`/api/dm-campaigns/${campaignId}/deliveries`, { params }),
+};
+
+export const moderationAPI = {
+  getClassifications: (params) => api.get('/api/moderation', { params }),
+  overrideLabel: (commentId, label) => api.post(`/api/moderation/${commentId}/override`, { label }),
+  getSettings: () => api.get('/api/moderation/settings'),
+  saveSettings: (settings) => api.put('/api/moderation/settings', settings),
+};
+
+export const messagesAPI = {
+  getConversations: (params) => api.get('/api/messages/conversations', { params }),
+  getMessages: (conversationId) => api.get(`/api/messages/conversations/${conversationId}/messages`),
+  sendMessage: (conversationId, text) => api.post(`/api/messages/conversations/${conversationId}/messages`, { text }),
+  draftReply: (conversationId, tone) => api.post(`/api/messages/conversations/${conversationId}/draft`, tone ? { tone } : {}, { timeout: 120000 }),
+  updateConversation: (conversationId, changes) => api.patch(`/api/messages/conversations/${conversationId}`, changes),
+  sync: () => api.post('/api/messages/sync', {}, { timeout: 120000 }),
+  getSettings: () => api.get('/api/messages/settings'),
+  saveSettings: (settings) => api.put('/api/messages/settings', settings),
+};
+
+export const scheduleAPI = {
+  getCalendar: (params) => api.get('/api/schedule', { params }),
+  schedulePost: (postId, scheduledAt) => api.post(`/api/schedule/posts/${postId}`, { scheduledAt }),
+  reschedule: (type, id, scheduledAt) => api.put(`/api/schedule/${type}/${id}`, { scheduledAt }),
+  cancel: (type, id) => api.delete(`/api/schedule/${type}/${id}`),
+};
+
+export const insightsAPI = {
+  getAccount: (params) => api.get('/api/insights/account', { params }),
+  getMedia: (params) => api.get('/api/insights/media', { params }),
+  getMediaDetail: (mediaId, params) => api.get(`/api/insights/media/${mediaId}`, { params }),
+  refresh: () => api.post('/api/insights/refresh', {}, { timeout: 120000 }),
+  getVideos: (params) => api.get('/api/insights/youtube', { params }),
+  getVideoDetail: (videoId, params) => api.get(`/api/insights/youtube/${videoId}`, { params }),
+  refreshYouTube: () => api.post('/api/insights/youtube/refresh', {}, { timeout: 120000 }),
+  getComparison: (params) => api.get('/api/insights/comparison', { params }),
+};
+
+export const mediaStorageAPI = {
+  getSettings: () => api.get('/api/media-storage'),
+  saveSettings: (settings) => api.put('/api/media-storage', settings),
+  test: () => api.post('/api/media-storage/test', {}, { timeout: 60000 }),
+};
+
+export const notificationsAPI = {
+  getSettings: () => api.get('/api/notifications'),
+  updatePreferences: (preferences) => api.put('/api/notifications/preferences', preferences),
+  subscribe: (subscription) => api.post('/api/notifications/subscriptions', { subscription }),
+  unsubscribe: (endpoint) => api.delete('/api/notifications/subscriptions', { data: { endpoint } }),
+  sendTest: () => api.post('/api/notifications/test'),
+};
+
+export const webhooksAPI = {
+  getWebhooks: () => api.get('/api/webhooks'),
+  createWebhook: (webhook) => api.post('/api/webhooks', webhook),
+  updateWebhook: (webhookId, webhook) => api.put(`/api/webhooks/${webhookId}`, webhook),
+  deleteWebhook: (webhookId) => api.delete(`/api/webhooks/${webhookId}`),
+  rotateSecret: (webhookId) => api.post(`/api/webhooks/${webhookId}/rotate-secret`),
+  sendTest: (webhookId) => api.post(`/api/webhooks/${webhookId}/test`),
+  getDeliveries: (webhookId, params) => api.get(`/api/webhooks/${webhookId}/deliveries`, { params }),
+  redeliver: (deliveryId) => api.post(`/api/webhooks/deliveries/${deliveryId}/redeliver`),
+};
+
+export const workspacesAPI = {
+  getWorkspaces: () => api.get('/api/workspaces'),
+  createWorkspace: (name) => api.post('/api/workspaces', { name }),
+  getWorkspace: (workspaceId) => api.get(`/api/workspaces/${workspaceId}`),
+  renameWorkspace: (workspaceId, name) => api.put(`/api/workspaces/${workspaceId}`, { name }),
+  deleteWorkspace: (workspaceId) => api.delete(`/api/workspaces/${workspaceId}`),
+  invite: (workspaceId, invitation) => api.post(`/api/workspaces/${workspaceId}/invitations`, invitation),
+  revokeInvitation: (workspaceId, email) => api.delete(`/api/workspaces/${workspaceId}/invitations`, { data: { email } }),
+  acceptInvitation: (workspaceId, token) => api.post(`/api/workspaces/${workspaceId}/invitations/accept`, { token }),
+  declineInvitation: (workspaceId, token) => api.post(`/api/workspaces/${workspaceId}/invitations/decline`, { token }),
+  updateMemberRole: (workspaceId, userId, role) => api.put(`/api/workspaces/${workspaceId}/members/${userId}`, { role }),
+  removeMember: (workspaceId, userId) => api.delete(`/api/workspaces/${workspaceId}/members/${userId}`),
+  getAuditTrail: (workspaceId, params) => api.get(`/api/workspaces/${workspaceId}/audit`, { params }),
+};
+
+export const accountsAPI = {
+  getAccounts: () => api.get('/api/accounts'),
+  switchAccount: (accountId) => api.post(`/api/accounts/${accountId}/switch`),
+  removeAccount: (accountId) => api.delete(`/api/accounts/${accountId}`),
+  getConnectUrl: (platform) => api.get(`/api/oauth/${platform}/auth-url`),
+};
+
 export const aiPostAPI = {
   generate: (data) => api.post('/api/ai-post/generate', data, { timeout: 120000 }), // 120 seconds (2 minutes) for AI generation + publishing
   getHistory: () => api.get('/api/ai-post/history'), // Correct endpoint
@@ -112,6 +247,12 @@ export const aiPostAPI = {
   deletePost: (postId) => api.delete(`/api/ai-post/posts/${postId}`),
   saveApiKey: (apiKey) => api.post('/api/ai-post/api-key', { apiKey }),
   getApiKeyStatus: () => api.get('/api/ai-post/api-key'),
+  getDrafts: (params) => api.get('/api/ai-post/drafts', { params }),
+  getPost: (postId) => api.get(`/api/ai-post/posts/${postId}`),
+  updatePost: (postId, changes) => api.patch(`/api/ai-post/posts/${postId}`, changes),
+  regeneratePart: (postId, part, options = {}) => api.post(`/api/ai-post/posts/${postId}/regenerate`, { part, ...options }, { timeout: 120000 }),
+  restoreVersion: (postId, versionId) => api.post(`/api/ai-post/posts/${postId}/versions/${versionId}/restore`),
+  publishDraft: (postId) => api.post(`/api/ai-post/posts/${postId}/publish`, {}, { timeout: 120000 }),
 };
 
 export default api;
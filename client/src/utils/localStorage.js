@@ -50,6 +50,41 @@ export const setToken = (token) => {
   }
 };
 
+/**
+ * Get the selected team workspace, null for the personal account
+ */
+export const getWorkspaceId = () => {
+  try {
+    return localStorage.getItem('workspaceId');
+  } catch (error) {
+    console.error('Error getting workspace from localStorage:', error);
+    return null;
+  }
+};
+
+/**
+ * Select a team workspace, or the personal account with null
+ */
+export const setWorkspaceId = (workspaceId) => {
+  try {
+    if (workspaceId) {
+      localStorage.setItem('workspaceId', workspaceId);
+    } else {
+      localStorage.removeItem('workspaceId');
+    }
+  } catch (error) {
+    console.error('Error saving workspace to localStorage:', error);
+  }
+};
+
+/**
+ * Header that makes a raw fetch() act on the selected workspace
+ */
+export const workspaceHeaders = () => {
+  const workspaceId = getWorkspaceId();
+  return workspaceId ? { 'X-Workspace-Id': workspaceId } : {};
+};
+
 /**
  * Clear all auth data from localStorage
  */
@@ -57,6 +92,7 @@ export const clearAuth = () => {
   try {
     localStorage.removeItem('user');
     localStorage.removeItem('token');
+    localStorage.removeItem('workspaceId');
   } catch (error) {
     console.error('Error clearing auth from localStorage:', error);
   }
@@ -22,6 +22,43 @@ export const requestNotificationPermission = async () => {
   return false;
 };
 
+// VAPID keys are base64url, PushManager wants the raw bytes
+const urlBase64ToUint8Array = (base64String) => {
+  const padding = '='.repeat((4 - (base64String.length % 4)) % 4);
+  const base64 = (base64String + padding).replace(/-/g, '+').replace(/_/g, '/');
+  return Uint8Array.from(window.atob(base64), (char) => char.charCodeAt(0));
+};
+
+export const isPushSupported = () => {
+  return 'serviceWorker' in navigator && 'PushManager' in window && 'Notification' in window;
+};
+
+export const getPushSubscription = async () => {
+  if (!isPushSupported()) {
+    return null;
+  }
+  const registration = await navigator.serviceWorker.ready;
+  return registration.pushManager.getSubscription();
+};
+
+// Subscribe this browser with the server's VAPID public key
+// A subscription made with an older key is replaced
+export const subscribeToPush = async (publicKey) => {
+  const registration = await navigator.serviceWorker.ready;
+  const applicationServerKey = urlBase64ToUint8Array(publicKey);
+  const existing = await registration.pushManager.getSubscription();
+
+  if (existing) {
+    const currentKey = existing.options?.applicationServerKey;
+    if (currentKey && new Uint8Array(currentKey).join() === applicationServerKey.join()) {
+      return existing;
+    }
+    await existing.unsubscribe();
+  }
+
+  return registration.pushManager.subscribe({ userVisibleOnly: true, applicationServerKey });
+};
+
 export const showNotification = (title, options = {}) => {
   if ('serviceWorker' in navigator && 'Notification' in window) {
     if (Notification.permission === 'granted') {
@@ -0,0 +1,98 @@
+const User = require('../models/User');
+const connectedAccounts = require('../services/connected-accounts.service');
+
+/**
+ * AccountsController - Connected Instagram accounts and YouTube channels
+ * Requires the automation controller to block switches while automation runs
+ */
+class AccountsController {
+  constructor(automationController) {
+    this.automationController = automationController;
+  }
+
+  /**
+   * GET /api/accounts - Connected accounts of every platform
+   */
+  async listAccounts(req, res) {
+    try {
+      const user = await this.loadUser(req);
+      const accounts = await connectedAccounts.list(user);
+
+      res.json({ success: true, accounts });
+    } catch (error) {
+      this.handleError(res, error, 'Failed to load connected accounts');
+    }
+  }
+
+  /**
+   * POST /api/accounts/:id/switch - Make an account the active one of its platform
+   */
+  async switchAccount(req, res) {
+    try {
+      const user = await this.loadUser(req);
+      const account = await connectedAccounts.switchTo(
+        user,
+        req.params.id,
+        this.automationController.getRunningPlatforms(user._id)
+      );
+      this.automationController.resetWorkflows(user._id);
+
+      res.json({
+        success: true,
+        message: `Switched to ${account.name}`,
+        account
+      });
+    } catch (error) {
+      this.handleError(res, error, 'Failed to switch account');
+    }
+  }
+
+  /**
+   * DELETE /api/accounts/:id - Disconnect an account
+   */
+  async removeAccount(req, res) {
+    try {
+      const user = await this.loadUser(req);
+      const activeAccount = await connectedAccounts.remove(
+        user,
+        req.params.id,
+        this.automationController.getRunningPlatforms(user._id)
+      );
+      this.automationController.resetWorkflows(user._id);
+
+      res.json({
+        success: true,
+        message: 'Account disconnected',
+        activeAccount
+      });
+    } catch (error) {
+      this.handleError(res, error, 'Failed to disconnect account');
+    }
+  }
+
+  /**
+   * @private
+   */
+  async loadUser(req) {
+    const user = await User.findById(req.userId || req.user?._id);
+    if (!user) {
+      const error = new Error('User not found');
+      error.statusCode = 404;
+      throw error;
+    }
+    return user;
+  }
+
+  /**
+   * @private
+   */
+  handleError(res, error, fallbackMessage) {
+    console.error(`[AccountsController] ${fallbackMessage}:`, error.message);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      error: error.statusCode ? error.message : fallbackMessage
+    });
+  }
+}
+
+module.exports = AccountsController;
@@ -1,19 +1,26 @@
 const AIPostGeneratorService = require('../services/ai-post-generator.service');
 const ImageGeneratorService = require('../services/image-generator.service');
 const InstagramPublisherService = require('../services/instagram-publisher.service');
+const MediaStorageService = require('../services/media-storage.service');
 const { EncryptionService } = require('../services/encryption.service');
+const PublishScheduler = require('../services/publish-scheduler.service');
+const PostDraftService = require('../services/post-draft.service');
+const { uploadStoryImage, publishPostStory } = require('../services/story-variant');
+const { getPostNetwork, publishPostToNetwork } = require('../services/post-networks');
+const { POST_PLATFORMS } = require('../services/post-draft');
+const connectedAccounts = require('../services/connected-accounts.service');
 
 class AIPostController {
   constructor() {
     this.aiPostGenerator = new AIPostGeneratorService();
     this.imageGenerator = new ImageGeneratorService();
-    this.instagramPublisher = new InstagramPublisherService();
     this.encryptionService = new EncryptionService();
+    this.draftService = new PostDraftService();
     this.activeGenerations = new Map(); // Track ongoing generations
   }
 
   /**
-   * Generate and publish AI post to Instagram
+   * Generate and publish AI post to Instagram, the connected Facebook Page or X
    */
   async generateAndPublishPost(req, res) {
     try {
@@ -37,8 +44,15 @@ class AIPostController {
         brandVoice,
         topics,
         additionalContext,
-        autoPublish = true
+        autoPublish = true,
+        scheduledAt,
+        postType = 'image',
+        slideCount,
+        platform = 'instagram',
+        accountId = null
       } = req.body;
+      // Stories are only shared for Instagram posts
+      const shareToStory = platform === 'instagram' && Boolean(req.body.shareToStory);
 
       // Validate required fields
       if (!accountType || !targetAudience || !brandVoice) {
@@ -48,6 +62,25 @@ class AIPostController {
         });
       }
 
+      if (!['image', 'carousel'].includes(postType)) {
+        return res.status(400).json({
+          success: false,
+          error: 'postType must be "image" or "carousel"'
+        });
+      }
+      const isCarousel = postType === 'carousel';
+
+      if (!POST_PLATFORMS.includes(platform)) {
+        return res.status(400).json({
+          success: false,
+          error: `platform must be one of: ${POST_PLATFORMS.join(', ')}`
+        });
+      }
+      // Instagram has its own publishing path; other networks come from the post network registry
+      const network = getPostNetwork(platform);
+      const isInstagram = !network;
+      const platformName = network?.name || 'Instagram';
+
       // Check if generation is already in progress for this user
       if (this.activeGenerations.has(userId)) {
         return res.status(429).json({
@@ -68,12 +101,39 @@ class AIPostController {
         });
       }
 
-      // Get user's Instagram credentials from User model
+      // Get user's credentials from User model
       const User = require('../models/User');
       const user = await User.findById(userId);
 
+      // Other networks need their account connected, Instagram posts the Instagram account
+      if (network && (!user || !network.isConnected(user))) {
+        this.activeGenerations.delete(userId);
+        return res.json({
+          success: false,
+          needsConfig: true,
+          error: `${platformName} not connected. Please connect it in the Configuration tab.`
+        });
+      }
+
+      // The Instagram account chosen for this post, the active one otherwise
+      let instagramCredentials = user?.instagramCredentials;
+      if (isInstagram && user && accountId) {
+        try {
+          const account = await connectedAccounts.getAccount(user, 'instagram', accountId);
+          if (account) {
+            instagramCredentials = account.credentials;
+          }
+        } catch (accountError) {
+          this.activeGenerations.delete(userId);
+          return res.status(accountError.statusCode).json({
+            success: false,
+            error: accountError.message
+          });
+        }
+      }
+
       // Check if Instagram is configured
-      if (!user || !user.instagramCredentials) {
+      if (isInstagram && (!user || !instagramCredentials)) {
         this.activeGenerations.delete(userId);
         return res.json({
           success: false,
@@ -82,7 +142,7 @@ class AIPostController {
         });
       }
 
-      if (!user.instagramCredentials.accessToken) {
+      if (isInstagram && !instagramCredentials.accessToken) {
         this.activeGenerations.delete(userId);
         return res.json({
           success: false,
@@ -92,12 +152,12 @@ class AIPostController {
       }
 
       // Decrypt credentials
-      const accessToken = this.encryptionService.decrypt(user.instagramCredentials.accessToken);
+      const accessToken = !isInstagram ? null : this.encryptionService.decrypt(instagramCredentials.accessToken);
       // Sanitize token - remove ALL whitespace characters
       const cleanToken = accessToken?.replace(/\s+/g, '').trim();
-      const instagramAccountId = user.instagramCredentials.accountId;
+      const instagramAccountId = instagramCredentials?.accountId;
 
-      if (!cleanToken || !instagramAccountId) {
+      if (isInstagram && (!cleanToken || !instagramAccountId)) {
         this.activeGenerations.delete(userId);
         return res.status(400).json({
           success: false,
@@ -105,6 +165,24 @@ class AIPostController {
         });
       }
 
+      // Scheduled posts are generated now and published later by the publish scheduler
+      let scheduleDate = null;
+      if (scheduledAt) {
+        try {
+          scheduleDate = await PublishScheduler.validateSchedule(userId, scheduledAt, {
+            instagramLimit: isInstagram,
+            accountId: isInstagram ? String(instagramAccountId) : null
+          });
+        } catch (scheduleError) {
+          this.activeGenerations.delete(userId);
+          return res.status(scheduleError.statusCode || 500).json({
+            success: false,
+            error: scheduleError.message
+          });
+        }
+      }
+      const shouldPublishNow = autoPublish && !scheduleDate;
+
       // Get Gemini API key from user or environment
       const geminiApiKey = user.geminiApiKey || process.env.GEMINI_API_KEY;
 
@@ -141,7 +219,13 @@ class AIPostController {
       // Initialize services with user's Gemini API key (same key for both content and images)
       await this.aiPostGenerator.initialize(geminiApiKey);
       this.imageGenerator.initialize(geminiApiKey);
-      this.instagramPublisher.initialize(cleanToken, instagramAccountId);
+      // One publisher per request: it holds this user's token and media storage
+      const instagramPublisher = new InstagramPublisherService();
+      if (isInstagram) {
+        instagramPublisher.initialize(cleanToken, instagramAccountId);
+      }
+      // Also used for image uploads of posts to other networks
+      instagramPublisher.useMediaStorage(await MediaStorageService.forUser(userId));
 
       // Step 1: Generate post content with personalized context
       console.log('[AIPostController] Generating post content...');
@@ -150,14 +234,16 @@ class AIPostController {
       if (io) {
         io.emit(`post-generation:${userId}`, {
           status: 'generating-content',
-          message: 'Generating caption with AI...',
+          message: isCarousel ? 'Outlining carousel slides with AI...' : 'Generating caption with AI...',
           progress: 20
         });
       }
 
       let postContent;
       try {
-        postContent = await this.aiPostGenerator.generatePost(finalContext);
+        postContent = isCarousel
+          ? await this.aiPostGenerator.generateCarousel(finalContext, { slideCount })
+          : await this.aiPostGenerator.generatePost(finalContext);
         console.log('[AIPostController] Post content generated successfully');
 
         if (io) {
@@ -196,14 +282,19 @@ class AIPostController {
       }
 
       let imageBuffer;
+      let slides = [];
       try {
-        imageBuffer = await this.imageGenerator.generateImage(postContent.imagePrompt);
+        if (isCarousel) {
+          ({ slides, coverBuffer: imageBuffer } = await this.generateSlideImages(instagramPublisher, postContent.slides, io, userId));
+        } else {
+          imageBuffer = await this.imageGenerator.generateImage(postContent.imagePrompt);
+        }
         console.log('[AIPostController] Image generated successfully');
 
         if (io) {
           io.emit(`post-generation:${userId}`, {
             status: 'image-generated',
-            message: 'Image created successfully!',
+            message: isCarousel ? 'Slide images created successfully!' : 'Image created successfully!',
             progress: 70
           });
         }
@@ -230,25 +321,48 @@ class AIPostController {
       }
 
       // Upload image to get public URL (needed for both draft and publish)
-      console.log('[AIPostController] Uploading image to get public URL...');
+      // Carousel slides were uploaded as they were generated; the first slide is the cover
       let imageUrl = null;
-      try {
-        imageUrl = await this.instagramPublisher.uploadImageToPublicServer(imageBuffer, `post-${Date.now()}.jpg`);
-        console.log('[AIPostController] Image uploaded:', imageUrl);
-      } catch (uploadError) {
-        console.error('[AIPostController] Image upload failed:', uploadError.message);
-        // Continue anyway - we can still save the post without the image URL
+      if (isCarousel) {
+        imageUrl = slides[0]?.imageUrl || null;
+      } else {
+        console.log('[AIPostController] Uploading image to get public URL...');
+        try {
+          imageUrl = await instagramPublisher.uploadImageToPublicServer(imageBuffer, `post-${Date.now()}.jpg`);
+          console.log('[AIPostController] Image uploaded:', imageUrl);
+        } catch (uploadError) {
+          console.error('[AIPostController] Image upload failed:', uploadError.message);
+          // Continue anyway - we can still save the post without the image URL
+        }
       }
+      const hasAllImages = isCarousel ? slides.every(slide => slide.imageUrl) : Boolean(imageUrl);
+
+      // 9:16 Story version of the cover image, shared after the feed post is published
+      const storyImageUrl = shareToStory && imageBuffer
+        ? await uploadStoryImage(instagramPublisher, imageBuffer)
+        : null;
 
       // Save generated content to database for review
+      // A scheduled post without a public image URL falls back to a draft
+      const isScheduled = Boolean(scheduleDate && hasAllImages);
       const Post = require('../models/post.model');
-      const generatedPost = await Post.create({
+      const generatedPost = new Post({
         userId,
-        platform: 'instagram',
+        platform,
+        // Drafts and scheduled posts go to the account they were made for
+        accountId: isInstagram ? String(instagramAccountId) : null,
+        mediaType: postType,
         caption: postContent.fullCaption,
         imagePrompt: postContent.imagePrompt,
         imageUrl: imageUrl, // Save image URL even for drafts
-        status: autoPublish ? 'publishing' : 'draft',
+        slides,
+        story: {
+          enabled: Boolean(shareToStory),
+          imageUrl: storyImageUrl || undefined
+        },
+        status: shouldPublishNow ? 'publishing' : isScheduled ? 'scheduled' : 'draft',
+        scheduledAt: isScheduled ? scheduleDate : undefined,
+        error: scheduleDate && !hasAllImages ? 'Image upload failed, so the post could not be scheduled' : undefined,
         metadata: {
           accountType,
           targetAudience,
@@ -257,16 +371,18 @@ class AIPostController {
           generatedAt: new Date()
         }
       });
+      generatedPost.addVersion('generated');
+      await generatedPost.save();
 
-      // Step 3: Publish to Instagram (if autoPublish is true)
+      // Step 3: Publish to the post's platform (if autoPublish is true)
       let publishResult = null;
-      if (autoPublish) {
-        console.log('[AIPostController] Publishing to Instagram...');
+      if (shouldPublishNow) {
+        console.log(`[AIPostController] Publishing to ${platformName}...`);
 
         if (io) {
           io.emit(`post-generation:${userId}`, {
             status: 'publishing',
-            message: 'Publishing to Instagram...',
+            message: `Publishing to ${platformName}...`,
             progress: 80
           });
         }
@@ -274,21 +390,36 @@ class AIPostController {
         try {
           // Create media container and publish (location disabled for now)
           // To enable location: Get valid location_id from Instagram's location search API
-          const containerId = await this.instagramPublisher.createMediaContainer(imageUrl, postContent.fullCaption);
-          await this.instagramPublisher.waitForContainerReady(containerId);
-          const mediaId = await this.instagramPublisher.publishMediaContainer(containerId);
+          const mediaId = network
+            ? await publishPostToNetwork(generatedPost)
+            : isCarousel
+              ? await instagramPublisher.publishCarousel(generatedPost.getImageUrls(), postContent.fullCaption)
+              : await instagramPublisher.publishImageFromUrl(imageUrl, postContent.fullCaption);
+
+          if (generatedPost.story.enabled && io) {
+            io.emit(`post-generation:${userId}`, {
+              status: 'publishing',
+              message: 'Sharing to your Story...',
+              progress: 90
+            });
+          }
+          const storyMediaId = await publishPostStory(instagramPublisher, generatedPost);
 
           publishResult = {
             success: true,
             mediaId,
             imageUrl,
-            message: 'Post published successfully to Instagram'
+            storyMediaId,
+            storyError: generatedPost.story.error,
+            message: `Post published successfully to ${platformName}`
           };
 
           // Update post status
           generatedPost.status = 'published';
           generatedPost.publishedAt = new Date();
-          generatedPost.instagramMediaId = mediaId;
+          if (isInstagram) {
+            generatedPost.instagramMediaId = mediaId;
+          }
           await generatedPost.save();
 
           console.log('[AIPostController] Post published successfully');
@@ -316,7 +447,7 @@ class AIPostController {
             publishError.message.includes('Cannot parse access token');
 
           const userMessage = isAuthError
-            ? 'Publishing failed: Your Instagram connection has expired or is invalid. Please go to the Configuration tab and reconnect your Instagram account.'
+            ? `Publishing failed: Your ${platformName} connection has expired or is invalid. Please go to the Configuration tab and reconnect your ${platformName} account.`
             : `Publishing failed: ${publishError.message}`;
 
           // Update post status to failed
@@ -351,7 +482,9 @@ class AIPostController {
         if (io) {
           io.emit(`post-generation:${userId}`, {
             status: 'completed',
-            message: 'Post saved as draft!',
+            message: isScheduled
+              ? `Post scheduled for ${scheduleDate.toLocaleString()}`
+              : 'Post saved as draft!',
             progress: 100,
             data: {
               postId: generatedPost._id
@@ -366,16 +499,23 @@ class AIPostController {
       // Return success response
       return res.json({
         success: true,
-        message: autoPublish ? 'Post generated and published successfully' : 'Post generated successfully',
+        message: shouldPublishNow
+          ? 'Post generated and published successfully'
+          : isScheduled ? 'Post generated and scheduled' : 'Post generated successfully',
         post: {
           id: generatedPost._id,
+          platform: generatedPost.platform,
+          mediaType: generatedPost.mediaType,
           caption: postContent.caption,
           fullCaption: postContent.fullCaption,
           imagePrompt: postContent.imagePrompt,
           hashtags: postContent.hashtags,
           status: generatedPost.status,
           publishedAt: generatedPost.publishedAt,
-          imageUrl: generatedPost.imageUrl || imageUrl // Use saved imageUrl
+          scheduledAt: generatedPost.scheduledAt,
+          imageUrl: generatedPost.imageUrl || imageUrl, // Use saved imageUrl
+          slides: generatedPost.slides,
+          story: generatedPost.story
         },
         publishResult
       });
@@ -407,6 +547,42 @@ class AIPostController {
     }
   }
 
+  /**
+   * Generate and upload one image per carousel slide, in order
+   * A failed upload leaves the slide without an image so it can be regenerated from the draft
+   * @param {InstagramPublisherService} instagramPublisher - Publisher of the request, used for uploads
+   * @returns {Promise<{ slides: Array, coverBuffer: Buffer }>} Slides and the first slide's image
+   * @private
+   */
+  async generateSlideImages(instagramPublisher, outlineSlides, io, userId) {
+    const slides = [];
+    let coverBuffer = null;
+
+    for (const [index, slide] of outlineSlides.entries()) {
+      if (io) {
+        io.emit(`post-generation:${userId}`, {
+          status: 'generating-image',
+          message: `Creating slide ${index + 1} of ${outlineSlides.length}...`,
+          progress: 50 + Math.floor((20 * index) / outlineSlides.length)
+        });
+      }
+
+      const imageBuffer = await this.imageGenerator.generateImage(slide.imagePrompt);
+      coverBuffer = coverBuffer || imageBuffer;
+
+      let imageUrl = null;
+      try {
+        imageUrl = await instagramPublisher.uploadImageToPublicServer(imageBuffer, `slide-${Date.now()}-${index + 1}.jpg`);
+      } catch (uploadError) {
+        console.error(`[AIPostController] Slide ${index + 1} upload failed:`, uploadError.message);
+      }
+
+      slides.push({ imageUrl, imagePrompt: slide.imagePrompt, caption: slide.caption });
+    }
+
+    return { slides, coverBuffer };
+  }
+
   /**
    * Get generation status
    */
@@ -459,8 +635,10 @@ class AIPostController {
         success: true,
         posts: posts.map(post => ({
           id: post._id,
+          mediaType: post.mediaType,
           caption: post.caption,
           imageUrl: post.imageUrl,
+          slideCount: post.slides.length,
           status: post.status,
           publishedAt: post.publishedAt,
           createdAt: post.createdAt,
@@ -656,10 +834,11 @@ class AIPostController {
 
       const instagramAccountId = user.instagramCredentials.accountId;
 
-      this.instagramPublisher.initialize(cleanToken, instagramAccountId);
+      const instagramPublisher = new InstagramPublisherService();
+      instagramPublisher.initialize(cleanToken, instagramAccountId);
 
       try {
-        const limitInfo = await this.instagramPublisher.checkPublishingLimit();
+        const limitInfo = await instagramPublisher.checkPublishingLimit();
 
         return res.json({
           success: true,
@@ -877,6 +1056,128 @@ class AIPostController {
       });
     }
   }
+
+  /**
+   * List drafts, failed and scheduled posts for review
+   */
+  async getDrafts(req, res) {
+    try {
+      const posts = await this.draftService.listDrafts(req.user?.id, req.query.status || null);
+
+      return res.json({
+        success: true,
+        posts
+      });
+    } catch (error) {
+      return this.sendDraftError(res, error, 'Failed to fetch drafts');
+    }
+  }
+
+  /**
+   * Get a post with its version history
+   */
+  async getPost(req, res) {
+    try {
+      const post = await this.draftService.getPost(req.user?.id, req.params.postId);
+
+      return res.json({
+        success: true,
+        post
+      });
+    } catch (error) {
+      return this.sendDraftError(res, error, 'Failed to fetch post');
+    }
+  }
+
+  /**
+   * Edit a draft's caption text, hashtags or image prompt
+   */
+  async updatePost(req, res) {
+    try {
+      const { text, hashtags, imagePrompt, slideCaptions, shareToStory, platform } = req.body || {};
+      const post = await this.draftService.updatePost(req.user?.id, req.params.postId, {
+        text,
+        hashtags,
+        imagePrompt,
+        slideCaptions,
+        shareToStory,
+        platform
+      });
+
+      return res.json({
+        success: true,
+        post
+      });
+    } catch (error) {
+      return this.sendDraftError(res, error, 'Failed to update post');
+    }
+  }
+
+  /**
+   * Regenerate the caption, hashtags or image (or one carousel slide image) of a draft
+   */
+  async regeneratePart(req, res) {
+    try {
+      const { part, imagePrompt, slideIndex } = req.body || {};
+      const post = await this.draftService.regenerate(req.user?.id, req.params.postId, part, {
+        imagePrompt,
+        slideIndex: Number(slideIndex) || 0
+      });
+
+      return res.json({
+        success: true,
+        post
+      });
+    } catch (error) {
+      return this.sendDraftError(res, error, 'Failed to regenerate post');
+    }
+  }
+
+  /**
+   * Restore an earlier version of a draft
+   */
+  async restoreVersion(req, res) {
+    try {
+      const post = await this.draftService.restoreVersion(req.user?.id, req.params.postId, req.params.versionId);
+
+      return res.json({
+        success: true,
+        post
+      });
+    } catch (error) {
+      return this.sendDraftError(res, error, 'Failed to restore version');
+    }
+  }
+
+  /**
+   * Publish a draft to Instagram now
+   */
+  async publishDraft(req, res) {
+    try {
+      const post = await this.draftService.publish(req.user?.id, req.params.postId);
+
+      return res.json({
+        success: true,
+        message: 'Post published successfully to Instagram',
+        post
+      });
+    } catch (error) {
+      return this.sendDraftError(res, error, 'Failed to publish post');
+    }
+  }
+
+  /**
+   * @private
+   */
+  sendDraftError(res, error, fallbackMessage) {
+    console.error(`[AIPostController] ${fallbackMessage}:`, error.message);
+
+    return res.status(error.statusCode || 500).json({
+      success: false,
+      error: error.statusCode ? error.message : fallbackMessage,
+      details: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
 }
 
 module.exports = AIPostController;
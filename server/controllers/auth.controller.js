@@ -141,7 +141,7 @@ class AuthController {
 
       // Find user
       const user = await User.findOne({ email: email.toLowerCase() });
-      if (!user) {
+      if (!user || user.accountType === 'workspace') {
         return res.status(401).json({
           success: false,
           error: 'Invalid email or password'
@@ -4,18 +4,37 @@ const AIReplyService = require('../services/ai-reply.service');
 const AutomationWorkflow = require('../services/automation-workflow.service');
 const { EncryptionService } = require('../services/encryption.service');
 const UserCredentialsModel = require('../models/user-credentials.model');
+const User = require('../models/User');
+const { getYouTubeCommentsServiceForUser } = require('../services/youtube-client');
+
+const YOUTUBE_SETTING_FIELDS = [
+  'pollIntervalSeconds',
+  'maxCommentsPerCheck',
+  'recentVideos',
+  'monitorAll',
+  'selectedVideos',
+  'approvalMode',
+  'moderation',
+  'dailyQuotaBudget'
+];
 
 /**
  * AutomationController - Handles automation workflow control
  */
 class AutomationController {
   constructor() {
-    this.storageService = new StorageService();
     this.encryptionService = new EncryptionService();
-    this.credentialsModel = new UserCredentialsModel(this.storageService, this.encryptionService);
-    this.instagramService = null;
-    this.aiReplyService = null;
-    this.automationWorkflow = null;
+    // One workflow per user, keyed by user ID
+    this.workflows = new Map();
+    // YouTube comment workflows, keyed by user ID (one connected channel per user)
+    this.youtubeWorkflows = new Map();
+  }
+
+  /**
+   * Get the workflow for a user, if initialized
+   */
+  getWorkflow(userId) {
+    return userId ? this.workflows.get(userId.toString()) || null : null;
   }
 
   /**
@@ -27,11 +46,13 @@ class AutomationController {
         throw new Error('User ID is required to initialize services');
       }
 
-      // Set userId for storage service
-      this.storageService.setUserId(userId);
+      // Each user gets their own storage scope
+      const storageService = new StorageService();
+      storageService.setUserId(userId);
+      const credentialsModel = new UserCredentialsModel(storageService, this.encryptionService);
       
       // Get Instagram credentials from new credentials model
-      const credentials = await this.credentialsModel.getCredentials(userId, 'instagram');
+      const credentials = await credentialsModel.getCredentials(userId, 'instagram');
 
       if (!credentials || !credentials.accessToken || !credentials.accountId) {
         throw new Error('Instagram credentials not configured. Please add your access token and account ID.');
@@ -50,14 +71,15 @@ class AutomationController {
 
       // Initialize Instagram Graph API service (Official API)
       // Credentials are already decrypted by the model
-      this.instagramService = new InstagramGraphService();
-      await this.instagramService.initialize(
+      const instagramService = new InstagramGraphService();
+      await instagramService.initialize(
         credentials.accessToken,
         credentials.accountId
       );
+      storageService.setAccount(credentials.accountId);
 
       // Initialize AI Reply service
-      this.aiReplyService = new AIReplyService(geminiApiKey.trim());
+      const aiReplyService = new AIReplyService(geminiApiKey.trim());
 
       // Get user settings for selected posts
       const User = require('../models/User');
@@ -66,51 +88,159 @@ class AutomationController {
       const monitorAll = user?.automationSettings?.monitorAll || false;
 
       // Get configuration from storage
-      const config = await this.storageService.getConfig() || {};
+      const config = await storageService.getConfig() || {};
       
       // Get reply tone and poll interval
       const replyTone = config.replyTone || user?.automationSettings?.replyTone || 'friendly';
       const pollIntervalSeconds = config.automation?.pollIntervalSeconds || user?.automationSettings?.pollIntervalSeconds || 30;
+      const commentSource = user?.automationSettings?.commentSource || 'polling';
+      const reconciliationIntervalSeconds = user?.automationSettings?.reconciliationIntervalSeconds || 900;
+      const approvalMode = user?.automationSettings?.approvalMode || 'auto';
+      const postApprovalPolicies = Object.fromEntries(user?.automationSettings?.postApprovalPolicies || []);
+      const moderation = user?.automationSettings?.moderation || {};
 
       // Initialize Automation Workflow
-      this.automationWorkflow = new AutomationWorkflow(
-        this.instagramService,
-        this.aiReplyService,
-        this.storageService,
+      const automationWorkflow = new AutomationWorkflow(
+        instagramService,
+        aiReplyService,
+        storageService,
         {
           replyTone,
           pollIntervalSeconds,
           maxCommentsPerCheck: 10,
           selectedPostIds,
-          monitorAll
+          monitorAll,
+          commentSource,
+          reconciliationIntervalSeconds,
+          approvalMode,
+          postApprovalPolicies,
+          moderation
         }
       );
 
+      this.workflows.set(userId.toString(), automationWorkflow);
+
       // Restore automation state from storage
-      const shouldResume = await this.automationWorkflow.restoreState();
+      const shouldResume = await automationWorkflow.restoreState();
       
       // If automation was active before restart, resume it
       if (shouldResume) {
         console.log('[AutomationController] Resuming automation from previous session');
-        await this.automationWorkflow.start();
+        await automationWorkflow.start();
         
         // Log the resume
-        await this.storageService.appendLog({
+        await storageService.appendLog({
           type: 'info',
           message: 'Automation resumed after server restart',
           details: {
-            stats: this.automationWorkflow.getState().stats
+            stats: automationWorkflow.getState().stats
           }
         });
       }
 
-      return true;
+      return automationWorkflow;
     } catch (error) {
       console.error('Error initializing services:', error);
       throw error;
     }
   }
 
+  /**
+   * Initialize the YouTube comment workflow for the user's connected channel
+   */
+  async initializeYouTubeServices(userId) {
+    const user = await User.findById(userId).select('automationSettings youtubeCredentials youtubeAutomation');
+    if (!user?.youtubeCredentials?.accessToken) {
+      throw new Error('YouTube account not connected. Please connect YouTube first.');
+    }
+
+    const geminiApiKey = process.env.GEMINI_API_KEY;
+    if (!geminiApiKey || typeof geminiApiKey !== 'string' || geminiApiKey.trim() === '') {
+      throw new Error('GEMINI_API_KEY environment variable not set or invalid');
+    }
+
+    const settings = this.getYouTubeSettings(user, user.youtubeCredentials.channelId);
+    const youtubeService = await getYouTubeCommentsServiceForUser(userId, {
+      dailyQuotaBudget: settings.dailyQuotaBudget
+    });
+
+    const storageService = new StorageService();
+    storageService.setUserId(userId);
+    storageService.setPlatform('youtube', youtubeService.channelId);
+
+    const automationWorkflow = new AutomationWorkflow(
+      youtubeService,
+      new AIReplyService(geminiApiKey.trim()),
+      storageService,
+      {
+        platform: 'youtube',
+        // Same tone as Instagram replies
+        replyTone: user.automationSettings?.replyTone || 'friendly',
+        pollIntervalSeconds: settings.pollIntervalSeconds,
+        maxCommentsPerCheck: settings.maxCommentsPerCheck,
+        recentPostsLimit: settings.recentVideos,
+        selectedPostIds: settings.selectedVideos,
+        monitorAll: settings.monitorAll,
+        approvalMode: settings.approvalMode,
+        moderation: settings.moderation
+      }
+    );
+
+    this.youtubeWorkflows.set(userId.toString(), automationWorkflow);
+
+    if (await automationWorkflow.restoreState()) {
+      console.log('[AutomationController] Resuming YouTube automation from previous session');
+      await automationWorkflow.start();
+    }
+
+    return automationWorkflow;
+  }
+
+  /**
+   * YouTube automation settings of a channel, with defaults for channels never configured
+   * @private
+   */
+  getYouTubeSettings(user, channelId) {
+    const stored = channelId ? user.youtubeAutomation?.get(channelId) : null;
+    if (stored) {
+      return stored.toObject();
+    }
+
+    // Builds a throwaway entry so the schema defaults apply
+    const defaults = new User({ youtubeAutomation: { [channelId || 'default']: {} } });
+    return defaults.youtubeAutomation.get(channelId || 'default').toObject();
+  }
+
+  /**
+   * Route comment events from the Meta webhook to the matching workflow
+   * @param {EventEmitter} emitter - Global event emitter used by the webhook router
+   */
+  registerWebhookListeners(emitter) {
+    emitter.on('instagram:comment', (event) => {
+      try {
+        if (!event?.accountId || !event.commentId) {
+          return;
+        }
+
+        const comment = {
+          id: event.commentId,
+          postId: event.mediaId,
+          username: event.from?.username || 'unknown',
+          text: event.text || '',
+          timestamp: new Date(event.timestamp || Date.now()).toISOString()
+        };
+
+        for (const workflow of this.workflows.values()) {
+          if (workflow.instagramService?.instagramAccountId === event.accountId) {
+            workflow.enqueueWebhookComment(comment);
+          }
+        }
+      } catch (error) {
+        console.error('[AutomationController] Error routing webhook comment:', error.message);
+      }
+    });
+  }
+
   /**
    * POST /api/automation/start - Start automation
    */
@@ -125,27 +255,29 @@ class AutomationController {
         });
       }
 
+      let automationWorkflow = this.getWorkflow(userId);
+
       // Check if already running
-      if (this.automationWorkflow && this.automationWorkflow.getState().isRunning) {
+      if (automationWorkflow && automationWorkflow.getState().isRunning) {
         return res.json({
           success: true,
           message: 'Automation is already running',
-          status: this.automationWorkflow.getState()
+          status: automationWorkflow.getState()
         });
       }
 
       // Initialize services if not already initialized
-      if (!this.automationWorkflow) {
-        await this.initializeServices(userId);
+      if (!automationWorkflow) {
+        automationWorkflow = await this.initializeServices(userId);
       }
 
       // Start the workflow
-      await this.automationWorkflow.start();
+      await automationWorkflow.start();
 
       res.json({
         success: true,
         message: 'Automation started successfully',
-        status: this.automationWorkflow.getState()
+        status: automationWorkflow.getState()
       });
     } catch (error) {
       console.error('Error starting automation:', error);
@@ -161,7 +293,9 @@ class AutomationController {
    */
   async stopAutomation(req, res) {
     try {
-      if (!this.automationWorkflow) {
+      const automationWorkflow = this.getWorkflow(req.userId || req.user?._id);
+
+      if (!automationWorkflow) {
         return res.json({
           success: true,
           message: 'Automation is not running'
@@ -169,12 +303,12 @@ class AutomationController {
       }
 
       // Stop the workflow
-      await this.automationWorkflow.stop();
+      await automationWorkflow.stop();
 
       res.json({
         success: true,
         message: 'Automation stopped successfully',
-        status: this.automationWorkflow.getState()
+        status: automationWorkflow.getState()
       });
     } catch (error) {
       console.error('Error stopping automation:', error);
@@ -190,7 +324,9 @@ class AutomationController {
    */
   async getAutomationStatus(req, res) {
     try {
-      if (!this.automationWorkflow) {
+      const automationWorkflow = this.getWorkflow(req.userId || req.user?._id);
+
+      if (!automationWorkflow) {
         return res.json({
           success: true,
           isRunning: false,
@@ -203,7 +339,7 @@ class AutomationController {
         });
       }
 
-      const status = this.automationWorkflow.getState();
+      const status = automationWorkflow.getState();
 
       // Map backend fields to frontend expected fields
       res.json({
@@ -215,6 +351,7 @@ class AutomationController {
         pendingCommentsCount: status.pendingCommentsCount || 0,
         processedCommentsCount: status.processedCommentsCount || 0,
         isProcessing: status.isProcessing || false,
+        commentSource: status.commentSource,
         stats: status.stats // Keep full stats for debugging
       });
     } catch (error) {
@@ -227,11 +364,264 @@ class AutomationController {
   }
 
   /**
-   * Update automation configuration (tone, interval)
+   * POST /api/automation/youtube/start - Start YouTube comment automation
    */
-  async updateAutomationConfig(config) {
-    if (this.automationWorkflow) {
-      this.automationWorkflow.updateConfig(config);
+  async startYouTubeAutomation(req, res) {
+    try {
+      const userId = req.userId || req.user?._id;
+      let automationWorkflow = this.youtubeWorkflows.get(userId.toString());
+
+      if (automationWorkflow && automationWorkflow.getState().isRunning) {
+        return res.json({
+          success: true,
+          message: 'YouTube automation is already running',
+          status: automationWorkflow.getState()
+        });
+      }
+
+      if (!automationWorkflow) {
+        automationWorkflow = await this.initializeYouTubeServices(userId);
+      }
+
+      await automationWorkflow.start();
+
+      res.json({
+        success: true,
+        message: 'YouTube automation started successfully',
+        status: automationWorkflow.getState()
+      });
+    } catch (error) {
+      console.error('Error starting YouTube automation:', error);
+      res.status(500).json({
+        success: false,
+        error: error.message || 'Failed to start YouTube automation'
+      });
+    }
+  }
+
+  /**
+   * POST /api/automation/youtube/stop - Stop YouTube comment automation
+   */
+  async stopYouTubeAutomation(req, res) {
+    try {
+      const userId = req.userId || req.user?._id;
+      const automationWorkflow = this.youtubeWorkflows.get(userId.toString());
+
+      if (!automationWorkflow) {
+        return res.json({
+          success: true,
+          message: 'YouTube automation is not running'
+        });
+      }
+
+      await automationWorkflow.stop();
+
+      res.json({
+        success: true,
+        message: 'YouTube automation stopped successfully',
+        status: automationWorkflow.getState()
+      });
+    } catch (error) {
+      console.error('Error stopping YouTube automation:', error);
+      res.status(500).json({
+        success: false,
+        error: error.message || 'Failed to stop YouTube automation'
+      });
+    }
+  }
+
+  /**
+   * GET /api/automation/youtube/status - YouTube automation status and quota use
+   */
+  async getYouTubeAutomationStatus(req, res) {
+    try {
+      const userId = req.userId || req.user?._id;
+      const automationWorkflow = this.youtubeWorkflows.get(userId.toString());
+
+      if (!automationWorkflow) {
+        return res.json({
+          success: true,
+          isRunning: false,
+          lastCheck: null,
+          commentsProcessed: 0,
+          errors: 0,
+          quota: null
+        });
+      }
+
+      const status = automationWorkflow.getState();
+      const quota = automationWorkflow.instagramService.quota;
+
+      res.json({
+        success: true,
+        isRunning: status.isRunning,
+        lastCheck: status.lastCheckTime,
+        commentsProcessed: status.stats?.repliesPosted || 0,
+        errors: status.stats?.errorCount || 0,
+        pollIntervalSeconds: status.pollIntervalSeconds,
+        channel: {
+          id: automationWorkflow.instagramService.channelId,
+          title: automationWorkflow.instagramService.channelTitle
+        },
+        quota: {
+          dailyBudget: quota.dailyBudget,
+          used: quota.dailyBudget - quota.remaining(),
+          remaining: quota.remaining()
+        },
+        stats: status.stats
+      });
+    } catch (error) {
+      console.error('Error getting YouTube automation status:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to retrieve YouTube automation status'
+      });
+    }
+  }
+
+  /**
+   * GET /api/automation/youtube/settings - Settings of the connected channel
+   */
+  async getYouTubeAutomationSettings(req, res) {
+    try {
+      const userId = req.userId || req.user?._id;
+      const user = await User.findById(userId).select('youtubeCredentials.channelId youtubeCredentials.channelName youtubeAutomation');
+      const channelId = user?.youtubeCredentials?.channelId || null;
+
+      res.json({
+        success: true,
+        channelId,
+        channelName: user?.youtubeCredentials?.channelName || null,
+        settings: this.getYouTubeSettings(user, channelId)
+      });
+    } catch (error) {
+      console.error('Error getting YouTube automation settings:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to load YouTube automation settings'
+      });
+    }
+  }
+
+  /**
+   * PUT /api/automation/youtube/settings - Update settings of the connected channel
+   */
+  async updateYouTubeAutomationSettings(req, res) {
+    try {
+      const userId = req.userId || req.user?._id;
+      const user = await User.findById(userId);
+      const channelId = user?.youtubeCredentials?.channelId;
+
+      if (!channelId) {
+        return res.status(400).json({
+          success: false,
+          error: 'YouTube account not connected'
+        });
+      }
+
+      const settings = this.getYouTubeSettings(user, channelId);
+      for (const field of YOUTUBE_SETTING_FIELDS) {
+        if (req.body[field] !== undefined) {
+          settings[field] = field === 'moderation'
+            ? { ...settings.moderation, ...req.body.moderation }
+            : req.body[field];
+        }
+      }
+      user.youtubeAutomation.set(channelId, settings);
+
+      try {
+        await user.save();
+      } catch (error) {
+        if (error.name === 'ValidationError') {
+          return res.status(400).json({
+            success: false,
+            error: Object.values(error.errors).map(e => e.message).join(', ')
+          });
+        }
+        throw error;
+      }
+
+      const saved = this.getYouTubeSettings(user, channelId);
+      const automationWorkflow = this.youtubeWorkflows.get(userId.toString());
+      if (automationWorkflow) {
+        automationWorkflow.updateConfig({
+          pollIntervalSeconds: saved.pollIntervalSeconds,
+          maxCommentsPerCheck: saved.maxCommentsPerCheck,
+          recentPostsLimit: saved.recentVideos,
+          monitorAll: saved.monitorAll,
+          selectedPostIds: saved.selectedVideos,
+          approvalMode: saved.approvalMode,
+          moderation: saved.moderation,
+          dailyQuotaBudget: saved.dailyQuotaBudget
+        });
+      }
+
+      res.json({
+        success: true,
+        message: 'YouTube automation settings saved',
+        channelId,
+        settings: saved
+      });
+    } catch (error) {
+      console.error('Error saving YouTube automation settings:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to save YouTube automation settings'
+      });
+    }
+  }
+
+  /**
+   * Update automation configuration (tone, interval, comment source)
+   */
+  async updateAutomationConfig(userId, config) {
+    const automationWorkflow = this.getWorkflow(userId);
+    if (automationWorkflow) {
+      automationWorkflow.updateConfig(config);
+    }
+
+    // The reply tone is shared with YouTube
+    const youtubeWorkflow = userId ? this.youtubeWorkflows.get(userId.toString()) : null;
+    if (youtubeWorkflow && config.replyTone) {
+      youtubeWorkflow.updateConfig({ replyTone: config.replyTone });
+    }
+  }
+
+  /**
+   * Platforms whose automation is running for a user
+   */
+  getRunningPlatforms(userId) {
+    const key = userId?.toString();
+    const running = [];
+    if (this.workflows.get(key)?.getState().isRunning) {
+      running.push('instagram');
+    }
+    if (this.youtubeWorkflows.get(key)?.getState().isRunning) {
+      running.push('youtube');
+    }
+    return running;
+  }
+
+  /**
+   * Drop a user's idle workflows so the next start uses the active account
+   */
+  resetWorkflows(userId) {
+    const key = userId?.toString();
+    for (const workflows of [this.workflows, this.youtubeWorkflows]) {
+      if (workflows.has(key) && !workflows.get(key).getState().isRunning) {
+        workflows.delete(key);
+      }
+    }
+  }
+
+  /**
+   * Stop every running workflow (used on shutdown)
+   */
+  async stopAll() {
+    for (const workflow of [...this.workflows.values(), ...this.youtubeWorkflows.values()]) {
+      if (workflow.getState().isRunning) {
+        await workflow.stop();
+      }
     }
   }
 }
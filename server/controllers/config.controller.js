@@ -1,6 +1,7 @@
 const User = require('../models/User');
 const { EncryptionService } = require('../services/encryption.service');
 const AIReplyService = require('../services/ai-reply.service');
+const connectedAccounts = require('../services/connected-accounts.service');
 
 /**
  * ConfigController - Handles configuration management
@@ -43,6 +44,7 @@ class ConfigController {
 
       // Encrypt the access token
       const encryptedToken = this.encryptionService.encrypt(accessToken);
+      const previousAccountId = await connectedAccounts.stash(user, 'instagram');
 
       user.instagramCredentials = {
         accessToken: encryptedToken,
@@ -53,6 +55,7 @@ class ConfigController {
         lastUpdated: new Date()
       };
 
+      await connectedAccounts.adopt(user, 'instagram', previousAccountId);
       await user.save();
 
       res.json({
@@ -130,7 +133,8 @@ class ConfigController {
         });
       }
 
-      user.instagramCredentials = undefined;
+      // Another connected Instagram account becomes active, if there is one
+      await connectedAccounts.removeActive(user, 'instagram');
       await user.save();
 
       res.json({
@@ -229,6 +233,102 @@ class ConfigController {
     }
   }
 
+  /**
+   * POST /api/config/comment-source - Choose how comments are detected
+   */
+  async setCommentSource(req, res) {
+    try {
+      const userId = req.userId || req.user?._id;
+      
+      if (!userId) {
+        return res.status(401).json({
+          success: false,
+          error: 'User not authenticated'
+        });
+      }
+
+      const { commentSource, reconciliationIntervalSeconds } = req.body;
+
+      if (!commentSource || !['polling', 'webhook'].includes(commentSource)) {
+        return res.status(400).json({
+          success: false,
+          error: 'Invalid comment source. Must be polling or webhook'
+        });
+      }
+
+      if (reconciliationIntervalSeconds !== undefined &&
+          (!Number.isInteger(reconciliationIntervalSeconds) || reconciliationIntervalSeconds < 60 || reconciliationIntervalSeconds > 86400)) {
+        return res.status(400).json({
+          success: false,
+          error: 'Reconciliation interval must be between 60 and 86400 seconds'
+        });
+      }
+
+      const user = await User.findById(userId);
+      if (!user) {
+        return res.status(404).json({
+          success: false,
+          error: 'User not found'
+        });
+      }
+
+      user.automationSettings.commentSource = commentSource;
+      if (reconciliationIntervalSeconds !== undefined) {
+        user.automationSettings.reconciliationIntervalSeconds = reconciliationIntervalSeconds;
+      }
+      await user.save();
+
+      res.json({
+        success: true,
+        message: 'Comment source updated successfully',
+        commentSource,
+        reconciliationIntervalSeconds: user.automationSettings.reconciliationIntervalSeconds
+      });
+    } catch (error) {
+      console.error('Error setting comment source:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to update comment source'
+      });
+    }
+  }
+
+  /**
+   * GET /api/config/comment-source - Get comment source
+   */
+  async getCommentSource(req, res) {
+    try {
+      const userId = req.userId || req.user?._id;
+      
+      if (!userId) {
+        return res.status(401).json({
+          success: false,
+          error: 'User not authenticated'
+        });
+      }
+
+      const user = await User.findById(userId);
+      if (!user) {
+        return res.status(404).json({
+          success: false,
+          error: 'User not found'
+        });
+      }
+
+      res.json({
+        success: true,
+        commentSource: user.automationSettings?.commentSource || 'polling',
+        reconciliationIntervalSeconds: user.automationSettings?.reconciliationIntervalSeconds || 900
+      });
+    } catch (error) {
+      console.error('Error getting comment source:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to retrieve comment source'
+      });
+    }
+  }
+
   /**
    * POST /api/config/validate-api-key - Validate Gemini API key
    */
@@ -1,5 +1,9 @@
 const DualPublisherService = require('../services/dual-publisher.service');
 const User = require('../models/User');
+const { listPublishers } = require('../services/publishers');
+const { parseAccountChoice } = require('../services/account-settings');
+const connectedAccounts = require('../services/connected-accounts.service');
+const PublishScheduler = require('../services/publish-scheduler.service');
 const multer = require('multer');
 const path = require('path');
 
@@ -21,20 +25,46 @@ const upload = multer({
 });
 
 class DualPublishController {
-  constructor(io) {
+  constructor(io, publishQueue) {
     this.io = io;
+    this.publishQueue = publishQueue;
     this.publisherService = new DualPublisherService(io);
     this.upload = upload;
   }
 
+  /**
+   * GET /api/publish/platforms
+   * Platforms a job can publish to, with whether the user connected them
+   */
+  async getPlatforms(req, res) {
+    try {
+      const user = await User.findById(req.user.id);
+
+      res.json({
+        success: true,
+        platforms: listPublishers(user)
+      });
+
+    } catch (error) {
+      console.error('[DualPublish] Get platforms error:', error);
+      res.status(500).json({
+        success: false,
+        error: error.message
+      });
+    }
+  }
+
   /**
    * POST /api/publish/dual
-   * Start a dual-platform publishing job
+   * Start a publishing job for the chosen platforms (all connected platforms by default)
    */
   async startPublishJob(req, res) {
     try {
       const userId = req.user.id;
-      const { contextText } = req.body;
+      const { contextText, scheduledAt } = req.body;
+      // Multipart form fields arrive as strings
+      const shareReelToStory = req.body.shareReelToStory === true || req.body.shareReelToStory === 'true';
+      const reviewBeforePublish = req.body.reviewBeforePublish === true || req.body.reviewBeforePublish === 'true';
       const videoFile = req.file;
 
       // Parse aiProviders from JSON string
@@ -50,6 +80,19 @@ class DualPublishController {
         });
       }
 
+      // Parse target platforms from JSON string
+      let requestedTargets;
+      try {
+        requestedTargets = typeof req.body.platforms === 'string'
+          ? JSON.parse(req.body.platforms)
+          : req.body.platforms;
+      } catch (parseError) {
+        return res.status(400).json({
+          success: false,
+          error: 'Invalid platforms format'
+        });
+      }
+
       // Validation
       if (!videoFile) {
         return res.status(400).json({
@@ -101,11 +144,48 @@ class DualPublishController {
         });
       }
 
-      // Check for Instagram credentials
-      if (!user.instagramCredentials?.accessToken) {
+      // Every target must be a connected platform
+      const platforms = listPublishers(user);
+      const connected = platforms.filter(platform => platform.connected).map(platform => platform.id);
+      const targets = requestedTargets === undefined || requestedTargets === null
+        ? connected
+        : [...new Set(requestedTargets)];
+
+      if (!Array.isArray(targets) || targets.length === 0) {
         return res.status(400).json({
           success: false,
-          error: 'Instagram credentials not configured'
+          error: connected.length ? 'Choose at least one platform' : 'Connect at least one platform to publish to'
+        });
+      }
+
+      for (const target of targets) {
+        const platform = platforms.find(p => p.id === target);
+        if (!platform) {
+          return res.status(400).json({
+            success: false,
+            error: `Unknown platform: ${target}`
+          });
+        }
+        if (!platform.connected) {
+          return res.status(400).json({
+            success: false,
+            error: `${platform.label} account not connected`
+          });
+        }
+      }
+
+      // Connected accounts chosen per platform; the job keeps the active ones otherwise,
+      // so switching accounts later does not move a scheduled job
+      let accounts;
+      try {
+        accounts = {
+          ...connectedAccounts.activeIds(user, targets),
+          ...parseAccountChoice(req.body.accounts, targets)
+        };
+      } catch (accountsError) {
+        return res.status(accountsError.statusCode).json({
+          success: false,
+          error: accountsError.message
         });
       }
 
@@ -123,105 +203,67 @@ class DualPublishController {
         }
       }
 
-      // Decrypt credentials
-      const { EncryptionService } = require('../services/encryption.service');
-      const encryptionService = new EncryptionService();
-      
-      // Decrypt and immediately sanitize token
-      let instagramToken = encryptionService.decrypt(user.instagramCredentials.accessToken);
-      if (instagramToken) {
-        instagramToken = instagramToken
-          .replace(/[\s\n\r\t]+/g, '')  // Remove all whitespace
-          .replace(/%20/g, '')           // Remove URL-encoded spaces
-          .trim();
-      }
-      let youtubeToken = null;
-
-      // Check and refresh YouTube token if needed
-      if (user.youtubeCredentials?.accessToken) {
-        const tokenExpiresAt = user.youtubeCredentials.tokenExpiresAt;
-        const now = new Date();
-        
-        // Check if token is expired or will expire in next 5 minutes
-        if (!tokenExpiresAt || tokenExpiresAt <= new Date(now.getTime() + 5 * 60 * 1000)) {
-          console.log('[DualPublish] YouTube token expired or expiring soon, refreshing...');
-          
-          // Refresh the token
-          const YouTubeOAuthService = require('../services/oauth-youtube.service');
-          const youtubeOAuth = new YouTubeOAuthService();
-          
-          const clientId = encryptionService.decrypt(user.youtubeCredentials.clientId);
-          const clientSecret = encryptionService.decrypt(user.youtubeCredentials.clientSecret);
-          const refreshToken = encryptionService.decrypt(user.youtubeCredentials.refreshToken);
-          
-          const refreshResult = await youtubeOAuth.refreshAccessToken(
-            clientId,
-            clientSecret,
-            refreshToken
-          );
-          
-          if (refreshResult.success) {
-            console.log('[DualPublish] YouTube token refreshed successfully');
-            
-            // Update user with new token
-            const encryptedToken = encryptionService.encrypt(refreshResult.accessToken);
-            user.youtubeCredentials.accessToken = encryptedToken;
-            user.youtubeCredentials.tokenExpiresAt = new Date(refreshResult.expiresIn);
-            user.youtubeCredentials.lastUpdated = new Date();
-            await user.save();
-            
-            youtubeToken = refreshResult.accessToken;
-          } else {
-            console.error('[DualPublish] YouTube token refresh failed:', refreshResult.error);
-            return res.status(400).json({
-              success: false,
-              error: `YouTube token refresh failed: ${refreshResult.error}. Please reconnect your YouTube account.`
-            });
-          }
-        } else {
-          // Token is still valid
-          youtubeToken = encryptionService.decrypt(user.youtubeCredentials.accessToken);
+      // Validate the publish time against the Instagram quota
+      let scheduleDate = null;
+      if (scheduledAt) {
+        try {
+          scheduleDate = await PublishScheduler.validateSchedule(userId, scheduledAt, {
+            instagramLimit: targets.includes('instagram'),
+            accountId: accounts.instagram
+          });
+        } catch (scheduleError) {
+          return res.status(scheduleError.statusCode || 500).json({
+            success: false,
+            error: scheduleError.message
+          });
         }
       }
 
-      // Log credential status
-      console.log('[DualPublish] Credentials status:', {
-        instagram: !!instagramToken,
-        youtube: !!youtubeToken,
-        youtubeConfigured: !!user.youtubeCredentials?.accessToken,
-        youtubeChannelId: user.youtubeCredentials?.channelId || 'not set',
-        youtubeTokenExpiry: user.youtubeCredentials?.tokenExpiresAt
-      });
-
-      // Warn if YouTube not configured
-      if (!youtubeToken) {
-        console.warn('[DualPublish] YouTube credentials not configured. YouTube upload will be skipped.');
+      // Check the credentials work now (refreshes the YouTube token if needed);
+      // a separate publisher so users never share connections
+      const credentialCheck = new DualPublisherService(this.io);
+      await credentialCheck.connect(userId, { accounts }, targets);
+      const failedTarget = targets.find(target => credentialCheck.connectionErrors.has(target));
+      if (failedTarget) {
+        return res.status(400).json({
+          success: false,
+          error: credentialCheck.connectionErrors.get(failedTarget)
+        });
       }
 
-      // Initialize services with credentials
-      this.publisherService.initialize(
-        instagramToken,
-        user.instagramCredentials.accountId,
-        youtubeToken
-      );
+      console.log('[DualPublish] Publishing to:', targets.join(', '));
 
-      // Create job
-      const { jobId, job } = await this.publisherService.createJob(
+      // Create job (scheduled jobs wait for the publish scheduler to release them)
+      const { jobId } = await this.publisherService.createJob(
         userId,
         videoFile.buffer,
         contextText,
-        aiProviders
+        aiProviders,
+        {
+          scheduledAt: scheduleDate,
+          shareReelToStory: shareReelToStory && targets.includes('instagram'),
+          reviewBeforePublish,
+          targets,
+          accounts
+        }
       );
 
-      // Start execution in background
-      this.publisherService.executeJob(jobId).catch(error => {
-        console.error('[DualPublish] Job execution error:', error);
-      });
+      if (scheduleDate) {
+        return res.json({
+          success: true,
+          jobId,
+          scheduledAt: scheduleDate,
+          message: `Publishing job scheduled for ${scheduleDate.toISOString()}`
+        });
+      }
+
+      // A queue worker picks the job up and survives server restarts
+      this.publishQueue.notify();
 
       res.json({
         success: true,
         jobId,
-        message: 'Publishing job started'
+        message: 'Publishing job queued'
       });
 
     } catch (error) {
@@ -298,6 +340,167 @@ class DualPublishController {
     }
   }
 
+  /**
+   * POST /api/publish/dual/:jobId/retry
+   * Re-publish the platforms that failed on a partial or failed job
+   */
+  async retryJob(req, res) {
+    try {
+      const userId = req.user.id;
+      const { platform } = req.body || {};
+
+      const job = await this.publisherService.prepareRetry(req.params.jobId, userId, platform || null);
+      this.publishQueue.notify();
+
+      res.json({
+        success: true,
+        jobId: job.jobId,
+        message: platform ? `Retrying ${platform}` : 'Retrying failed platforms'
+      });
+
+    } catch (error) {
+      console.error('[DualPublish] Retry job error:', error);
+      res.status(error.statusCode || 500).json({
+        success: false,
+        error: error.message
+      });
+    }
+  }
+
+  /**
+   * GET /api/publish/dual/:jobId/review
+   * Previews of the generated content of a job awaiting review
+   */
+  async getReview(req, res) {
+    try {
+      const review = await this.publisherService.getReview(req.params.jobId, req.user.id);
+
+      res.json({
+        success: true,
+        ...review
+      });
+
+    } catch (error) {
+      console.error('[DualPublish] Get review error:', error);
+      res.status(error.statusCode || 500).json({
+        success: false,
+        error: error.message
+      });
+    }
+  }
+
+  /**
+   * PATCH /api/publish/dual/:jobId/review
+   * Edit the generated content of one platform, body: { platform, fields }
+   */
+  async updateReview(req, res) {
+    try {
+      const { platform, fields } = req.body || {};
+
+      if (!platform || !fields || typeof fields !== 'object') {
+        return res.status(400).json({
+          success: false,
+          error: 'platform and fields are required'
+        });
+      }
+
+      const review = await this.publisherService.updateReview(req.params.jobId, req.user.id, platform, fields);
+
+      res.json({
+        success: true,
+        ...review
+      });
+
+    } catch (error) {
+      console.error('[DualPublish] Update review error:', error);
+      res.status(error.statusCode || 500).json({
+        success: false,
+        error: error.message
+      });
+    }
+  }
+
+  /**
+   * POST /api/publish/dual/:jobId/review/regenerate
+   * Regenerate one field with AI, body: { platform, field }
+   */
+  async regenerateReviewField(req, res) {
+    try {
+      const { platform, field } = req.body || {};
+
+      if (!platform || !field) {
+        return res.status(400).json({
+          success: false,
+          error: 'platform and field are required'
+        });
+      }
+
+      const review = await this.publisherService.regenerateReviewField(req.params.jobId, req.user.id, platform, field);
+
+      res.json({
+        success: true,
+        ...review
+      });
+
+    } catch (error) {
+      console.error('[DualPublish] Regenerate review field error:', error);
+      res.status(error.statusCode || 500).json({
+        success: false,
+        error: error.message
+      });
+    }
+  }
+
+  /**
+   * POST /api/publish/dual/:jobId/review/approve
+   * Approve the reviewed content and continue publishing
+   */
+  async approveReview(req, res) {
+    try {
+      const job = await this.publisherService.approveReview(req.params.jobId, req.user.id);
+      this.publishQueue.notify();
+
+      res.json({
+        success: true,
+        jobId: job.jobId,
+        message: 'Content approved, publishing job queued'
+      });
+
+    } catch (error) {
+      console.error('[DualPublish] Approve review error:', error);
+      res.status(error.statusCode || 500).json({
+        success: false,
+        error: error.message
+      });
+    }
+  }
+
+  /**
+   * GET /api/publish/dual/:jobId/platforms/:platform
+   * Ask the platform for the current state of the published post
+   */
+  async getPlatformStatus(req, res) {
+    try {
+      const userId = req.user.id;
+      const { jobId, platform } = req.params;
+
+      const publisherService = new DualPublisherService(this.io);
+      const status = await publisherService.getPlatformStatus(jobId, userId, platform);
+
+      res.json({
+        success: true,
+        status
+      });
+
+    } catch (error) {
+      console.error('[DualPublish] Get platform status error:', error);
+      res.status(error.statusCode || 500).json({
+        success: false,
+        error: error.message
+      });
+    }
+  }
+
   /**
    * POST /api/publish/dual/:jobId/subscribe
    * Subscribe to job updates via Socket.IO
@@ -0,0 +1,166 @@
+const InsightsService = require('../services/insights.service');
+const YouTubeInsightsService = require('../services/youtube-insights.service');
+
+/**
+ * InsightsController - Instagram Insights and YouTube statistics time series,
+ * per-post drill-down, cross-platform comparison and manual refresh
+ */
+class InsightsController {
+  constructor(insightsCollector, youtubeInsightsCollector) {
+    this.insightsCollector = insightsCollector;
+    this.youtubeInsightsCollector = youtubeInsightsCollector;
+    this.insightsService = new InsightsService();
+    this.youtubeInsightsService = new YouTubeInsightsService();
+  }
+
+  /**
+   * GET /api/insights/account?from=&to= - Daily account metrics (last 30 days by default)
+   */
+  async getAccount(req, res) {
+    try {
+      const userId = req.userId || req.user?._id;
+      const overview = await this.insightsService.getAccountOverview(userId, req.query);
+
+      res.json({
+        success: true,
+        ...overview
+      });
+    } catch (error) {
+      this.handleError(res, error, 'Failed to load account insights');
+    }
+  }
+
+  /**
+   * GET /api/insights/media?from=&to=&sort=&limit= - Media posted in the range with their latest metrics
+   */
+  async getMedia(req, res) {
+    try {
+      const userId = req.userId || req.user?._id;
+      const result = await this.insightsService.getMediaList(userId, req.query);
+
+      res.json({
+        success: true,
+        ...result
+      });
+    } catch (error) {
+      this.handleError(res, error, 'Failed to load media insights');
+    }
+  }
+
+  /**
+   * GET /api/insights/media/:mediaId?from=&to= - Daily history of one post
+   */
+  async getMediaDetail(req, res) {
+    try {
+      const userId = req.userId || req.user?._id;
+      const detail = await this.insightsService.getMediaDetail(userId, req.params.mediaId, req.query);
+
+      res.json({
+        success: true,
+        ...detail
+      });
+    } catch (error) {
+      this.handleError(res, error, 'Failed to load post insights');
+    }
+  }
+
+  /**
+   * POST /api/insights/refresh - Collect insights now
+   */
+  async refresh(req, res) {
+    try {
+      const userId = req.userId || req.user?._id;
+      const result = await this.insightsCollector.refreshForUser(userId);
+
+      res.json({
+        success: true,
+        message: `Insights refreshed (${result.media} posts)`,
+        media: result.media
+      });
+    } catch (error) {
+      this.handleError(res, error, 'Failed to refresh insights');
+    }
+  }
+
+  /**
+   * GET /api/insights/youtube?from=&to=&sort=&limit= - Uploaded videos with their latest statistics
+   */
+  async getVideos(req, res) {
+    try {
+      const userId = req.userId || req.user?._id;
+      const result = await this.youtubeInsightsService.getVideoList(userId, req.query);
+
+      res.json({
+        success: true,
+        ...result
+      });
+    } catch (error) {
+      this.handleError(res, error, 'Failed to load YouTube statistics');
+    }
+  }
+
+  /**
+   * GET /api/insights/youtube/:videoId?from=&to= - Daily history of one video
+   */
+  async getVideoDetail(req, res) {
+    try {
+      const userId = req.userId || req.user?._id;
+      const detail = await this.youtubeInsightsService.getVideoDetail(userId, req.params.videoId, req.query);
+
+      res.json({
+        success: true,
+        ...detail
+      });
+    } catch (error) {
+      this.handleError(res, error, 'Failed to load video statistics');
+    }
+  }
+
+  /**
+   * POST /api/insights/youtube/refresh - Collect YouTube statistics now
+   */
+  async refreshYouTube(req, res) {
+    try {
+      const userId = req.userId || req.user?._id;
+      const result = await this.youtubeInsightsCollector.refreshForUser(userId);
+
+      res.json({
+        success: true,
+        message: `YouTube statistics refreshed (${result.videos} videos)`,
+        videos: result.videos
+      });
+    } catch (error) {
+      this.handleError(res, error, 'Failed to refresh YouTube statistics');
+    }
+  }
+
+  /**
+   * GET /api/insights/comparison?from=&to= - Instagram vs YouTube for dual-published videos
+   */
+  async getComparison(req, res) {
+    try {
+      const userId = req.userId || req.user?._id;
+      const result = await this.youtubeInsightsService.getComparison(userId, req.query);
+
+      res.json({
+        success: true,
+        ...result
+      });
+    } catch (error) {
+      this.handleError(res, error, 'Failed to load platform comparison');
+    }
+  }
+
+  /**
+   * @private
+   */
+  handleError(res, error, fallbackMessage) {
+    console.error(`[InsightsController] ${fallbackMessage}:`, error.message);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      error: error.statusCode ? error.message : fallbackMessage
+    });
+  }
+}
+
+module.exports = InsightsController;
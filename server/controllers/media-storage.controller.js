@@ -0,0 +1,173 @@
+const User = require('../models/User');
+const { EncryptionService } = require('../services/encryption.service');
+const MediaStorageService = require('../services/media-storage.service');
+
+function createError(message, statusCode) {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+}
+
+function trimmed(value) {
+  return typeof value === 'string' ? value.trim() : '';
+}
+
+/**
+ * MediaStorageController - Per-user media hosting backend settings
+ */
+class MediaStorageController {
+  constructor() {
+    this.encryptionService = new EncryptionService();
+  }
+
+  /**
+   * GET /api/media-storage - Current settings (secrets are never returned)
+   */
+  async getSettings(req, res) {
+    try {
+      const userId = req.userId || req.user?._id;
+      const user = await User.findById(userId).select('mediaStorage');
+      if (!user) {
+        throw createError('User not found', 404);
+      }
+
+      res.json({
+        success: true,
+        settings: this.formatSettings(user.mediaStorage)
+      });
+    } catch (error) {
+      this.handleError(res, error, 'Failed to load media storage settings');
+    }
+  }
+
+  /**
+   * PUT /api/media-storage - Select a provider and save its credentials
+   * Leaving a secret empty keeps the saved one
+   */
+  async updateSettings(req, res) {
+    try {
+      const userId = req.userId || req.user?._id;
+      const { provider, cloudinary = {}, s3 = {} } = req.body || {};
+
+      if (!MediaStorageService.PROVIDERS.includes(provider)) {
+        throw createError(`Provider must be one of: ${MediaStorageService.PROVIDERS.join(', ')}`, 400);
+      }
+
+      const user = await User.findById(userId).select('mediaStorage');
+      if (!user) {
+        throw createError('User not found', 404);
+      }
+
+      const current = user.mediaStorage || {};
+      const settings = {
+        provider,
+        cloudinary: {
+          cloudName: trimmed(cloudinary.cloudName),
+          apiKey: trimmed(cloudinary.apiKey),
+          apiSecret: trimmed(cloudinary.apiSecret)
+            ? this.encryptionService.encrypt(trimmed(cloudinary.apiSecret))
+            : current.cloudinary?.apiSecret
+        },
+        s3: {
+          endpoint: trimmed(s3.endpoint).replace(/\/+$/, ''),
+          region: trimmed(s3.region),
+          bucket: trimmed(s3.bucket),
+          accessKeyId: trimmed(s3.accessKeyId),
+          secretAccessKey: trimmed(s3.secretAccessKey)
+            ? this.encryptionService.encrypt(trimmed(s3.secretAccessKey))
+            : current.s3?.secretAccessKey,
+          publicUrl: trimmed(s3.publicUrl).replace(/\/+$/, ''),
+          forcePathStyle: !!s3.forcePathStyle
+        },
+        lastUpdated: new Date()
+      };
+
+      if (provider === 'cloudinary' && !(settings.cloudinary.cloudName && settings.cloudinary.apiKey && settings.cloudinary.apiSecret)) {
+        throw createError('Cloudinary needs a cloud name, API key and API secret', 400);
+      }
+      if (provider === 's3' && !(settings.s3.bucket && settings.s3.accessKeyId && settings.s3.secretAccessKey)) {
+        throw createError('S3 storage needs a bucket, access key ID and secret access key', 400);
+      }
+      for (const url of [settings.s3.endpoint, settings.s3.publicUrl].filter(Boolean)) {
+        if (!/^https?:\/\//.test(url)) {
+          throw createError('S3 endpoint and public URL must start with http:// or https://', 400);
+        }
+      }
+
+      user.mediaStorage = settings;
+      await user.save();
+
+      console.log(`[MediaStorageController] User ${userId} switched media storage to ${provider}`);
+
+      res.json({
+        success: true,
+        message: 'Media storage settings saved',
+        settings: this.formatSettings(user.mediaStorage)
+      });
+    } catch (error) {
+      this.handleError(res, error, 'Failed to save media storage settings');
+    }
+  }
+
+  /**
+   * POST /api/media-storage/test - Upload and delete a small test image
+   */
+  async testSettings(req, res) {
+    try {
+      const userId = req.userId || req.user?._id;
+      const storage = await MediaStorageService.forUser(userId);
+      const result = await storage.test().catch(error => {
+        throw createError(`Storage test failed: ${error.message}`, 400);
+      });
+
+      res.json({
+        success: true,
+        message: `Uploaded and deleted a test image with ${result.provider}`,
+        provider: result.provider
+      });
+    } catch (error) {
+      this.handleError(res, error, 'Failed to test media storage');
+    }
+  }
+
+  /**
+   * @private
+   */
+  formatSettings(mediaStorage = {}) {
+    const cloudinary = mediaStorage?.cloudinary || {};
+    const s3 = mediaStorage?.s3 || {};
+
+    return {
+      provider: mediaStorage?.provider || 'default',
+      serverDefault: process.env.MEDIA_STORAGE_PROVIDER || 'cloudinary',
+      cloudinary: {
+        cloudName: cloudinary.cloudName || '',
+        apiKey: cloudinary.apiKey || '',
+        hasApiSecret: !!cloudinary.apiSecret
+      },
+      s3: {
+        endpoint: s3.endpoint || '',
+        region: s3.region || '',
+        bucket: s3.bucket || '',
+        accessKeyId: s3.accessKeyId || '',
+        publicUrl: s3.publicUrl || '',
+        forcePathStyle: !!s3.forcePathStyle,
+        hasSecretAccessKey: !!s3.secretAccessKey
+      },
+      lastUpdated: mediaStorage?.lastUpdated || null
+    };
+  }
+
+  /**
+   * @private
+   */
+  handleError(res, error, fallbackMessage) {
+    console.error(`[MediaStorageController] ${fallbackMessage}:`, error.message);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      error: error.statusCode ? error.message : fallbackMessage
+    });
+  }
+}
+
+module.exports = MediaStorageController;
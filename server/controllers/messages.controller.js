@@ -0,0 +1,333 @@
+const jwt = require('jsonwebtoken');
+const DirectMessageService = require('../services/direct-message.service');
+const User = require('../models/User');
+const workspaces = require('../services/workspace.service');
+const { findUnsafePattern } = require('../services/comment-triage');
+
+const TONES = ['friendly', 'formal', 'professional'];
+const MAX_PATTERN_LENGTH = 200;
+const MAX_MESSAGE_LENGTH = 1000;
+
+/**
+ * MessagesController - Instagram DM inbox
+ */
+class MessagesController {
+  constructor(io) {
+    this.io = io;
+    this.messageService = new DirectMessageService(io);
+  }
+
+  /**
+   * GET /api/messages/conversations - List conversations
+   */
+  async getConversations(req, res) {
+    try {
+      const userId = req.userId || req.user?._id;
+      const status = req.query.status === 'all' ? null : (req.query.status || 'open');
+      const limit = Math.min(parseInt(req.query.limit) || 50, 100);
+      const skip = parseInt(req.query.skip) || 0;
+
+      const { items, total } = await this.messageService.listConversations(userId, { status, limit, skip });
+
+      res.json({
+        success: true,
+        items,
+        total
+      });
+    } catch (error) {
+      this.handleError(res, error, 'Failed to retrieve conversations');
+    }
+  }
+
+  /**
+   * GET /api/messages/conversations/:conversationId/messages - Thread history (marks it read)
+   */
+  async getMessages(req, res) {
+    try {
+      const userId = req.userId || req.user?._id;
+      const limit = Math.min(parseInt(req.query.limit) || 50, 200);
+
+      const { conversation, messages } = await this.messageService.getMessages(userId, req.params.conversationId, limit);
+
+      res.json({
+        success: true,
+        conversation,
+        messages
+      });
+    } catch (error) {
+      this.handleError(res, error, 'Failed to retrieve messages');
+    }
+  }
+
+  /**
+   * POST /api/messages/conversations/:conversationId/messages - Send a reply
+   */
+  async sendMessage(req, res) {
+    try {
+      const userId = req.userId || req.user?._id;
+      const { text } = req.body || {};
+
+      if (typeof text !== 'string' || text.trim().length === 0) {
+        return res.status(400).json({
+          success: false,
+          error: 'Message text cannot be empty'
+        });
+      }
+
+      if (text.length > MAX_MESSAGE_LENGTH) {
+        return res.status(400).json({
+          success: false,
+          error: `Message must be at most ${MAX_MESSAGE_LENGTH} characters`
+        });
+      }
+
+      const message = await this.messageService.sendMessage(userId, req.params.conversationId, text);
+
+      res.json({
+        success: true,
+        message
+      });
+    } catch (error) {
+      this.handleError(res, error, 'Failed to send message');
+    }
+  }
+
+  /**
+   * POST /api/messages/conversations/:conversationId/draft - AI reply options
+   */
+  async draftReply(req, res) {
+    try {
+      const userId = req.userId || req.user?._id;
+      const { tone } = req.body || {};
+
+      if (tone !== undefined && tone !== null && !TONES.includes(tone)) {
+        return res.status(400).json({
+          success: false,
+          error: `Tone must be one of: ${TONES.join(', ')}`
+        });
+      }
+
+      const draft = await this.messageService.draftReply(userId, req.params.conversationId, tone);
+
+      res.json({
+        success: true,
+        ...draft
+      });
+    } catch (error) {
+      this.handleError(res, error, 'Failed to draft reply');
+    }
+  }
+
+  /**
+   * PATCH /api/messages/conversations/:conversationId - Archive/reopen or toggle auto-reply
+   */
+  async updateConversation(req, res) {
+    try {
+      const userId = req.userId || req.user?._id;
+      const { status, autoReplyEnabled } = req.body || {};
+
+      const conversation = await this.messageService.updateConversation(userId, req.params.conversationId, {
+        status,
+        autoReplyEnabled
+      });
+
+      res.json({
+        success: true,
+        conversation
+      });
+    } catch (error) {
+      this.handleError(res, error, 'Failed to update conversation');
+    }
+  }
+
+  /**
+   * POST /api/messages/sync - Import recent conversations from Instagram
+   */
+  async sync(req, res) {
+    try {
+      const userId = req.userId || req.user?._id;
+      const result = await this.messageService.syncConversations(userId);
+
+      res.json({
+        success: true,
+        ...result
+      });
+    } catch (error) {
+      this.handleError(res, error, 'Failed to sync conversations');
+    }
+  }
+
+  /**
+   * GET /api/messages/settings - Auto-reply settings
+   */
+  async getSettings(req, res) {
+    try {
+      const userId = req.userId || req.user?._id;
+      const user = await User.findById(userId);
+
+      if (!user) {
+        return res.status(404).json({
+          success: false,
+          error: 'User not found'
+        });
+      }
+
+      res.json({
+        success: true,
+        settings: this.formatSettings(user)
+      });
+    } catch (error) {
+      this.handleError(res, error, 'Failed to retrieve messaging settings');
+    }
+  }
+
+  /**
+   * PUT /api/messages/settings - Update auto-reply settings
+   */
+  async updateSettings(req, res) {
+    try {
+      const userId = req.userId || req.user?._id;
+      const { autoReplyEnabled, autoReplyRules } = req.body || {};
+
+      if (autoReplyRules !== undefined) {
+        if (!Array.isArray(autoReplyRules)) {
+          return res.status(400).json({
+            success: false,
+            error: 'Auto-reply rules must be an array'
+          });
+        }
+
+        const errors = autoReplyRules.flatMap((rule, index) =>
+          this.validateAutoReplyRule(rule).map(message => `Rule ${index + 1}: ${message}`)
+        );
+        if (errors.length > 0) {
+          return res.status(400).json({
+            success: false,
+            error: errors.join('; ')
+          });
+        }
+      }
+
+      const user = await User.findById(userId);
+      if (!user) {
+        return res.status(404).json({
+          success: false,
+          error: 'User not found'
+        });
+      }
+
+      if (autoReplyEnabled !== undefined) {
+        user.automationSettings.messaging.autoReplyEnabled = !!autoReplyEnabled;
+      }
+      if (autoReplyRules !== undefined) {
+        user.automationSettings.messaging.autoReplyRules = autoReplyRules.map(rule => ({
+          name: rule.name.trim(),
+          keywords: (rule.keywords || []).map(keyword => String(keyword).trim()).filter(Boolean),
+          pattern: rule.pattern || null,
+          reply: rule.reply || null,
+          useAI: !!rule.useAI,
+          enabled: rule.enabled !== false
+        }));
+      }
+      await user.save();
+
+      res.json({
+        success: true,
+        message: 'Messaging settings updated successfully',
+        settings: this.formatSettings(user)
+      });
+    } catch (error) {
+      this.handleError(res, error, 'Failed to update messaging settings');
+    }
+  }
+
+  /**
+   * Join the caller's inbox room after verifying their JWT
+   */
+  async subscribeToInbox(socket, token, workspaceId) {
+    let decoded;
+    try {
+      decoded = jwt.verify(token, process.env.JWT_SECRET);
+    } catch {
+      socket.emit('inbox:error', { error: 'Invalid or expired token' });
+      return;
+    }
+
+    try {
+      // Members of a workspace follow the shared account's inbox
+      const inboxId = workspaceId
+        ? (await workspaces.resolveContext(decoded.userId, workspaceId)).account._id
+        : decoded.userId;
+
+      socket.join(`inbox:${inboxId}`);
+      console.log(`[Messages] Client ${socket.id} subscribed to inbox ${inboxId}`);
+    } catch (error) {
+      socket.emit('inbox:error', { error: error.statusCode ? error.message : 'Failed to subscribe to inbox' });
+    }
+  }
+
+  /**
+   * @private
+   */
+  validateAutoReplyRule(rule) {
+    const errors = [];
+
+    if (!rule || typeof rule !== 'object') {
+      return ['Rule must be an object'];
+    }
+
+    if (!rule.name || typeof rule.name !== 'string' || !rule.name.trim()) {
+      errors.push('Rule name is required');
+    }
+
+    if (!rule.useAI && (!rule.reply || !String(rule.reply).trim())) {
+      errors.push('Reply text is required unless the rule uses AI');
+    }
+
+    if (rule.keywords !== undefined && !Array.isArray(rule.keywords)) {
+      errors.push('Keywords must be an array');
+    }
+
+    if (rule.pattern) {
+      if (String(rule.pattern).length > MAX_PATTERN_LENGTH) {
+        errors.push(`Pattern must be at most ${MAX_PATTERN_LENGTH} characters`);
+      } else {
+        try {
+          new RegExp(rule.pattern, 'iu');
+          const unsafe = findUnsafePattern(String(rule.pattern));
+          if (unsafe) {
+            errors.push(`Pattern is too slow to check: ${unsafe}`);
+          }
+        } catch (error) {
+          errors.push(`Invalid pattern: ${error.message}`);
+        }
+      }
+    }
+
+    return errors;
+  }
+
+  /**
+   * @private
+   */
+  formatSettings(user) {
+    const messaging = user.automationSettings?.messaging || {};
+    return {
+      autoReplyEnabled: !!messaging.autoReplyEnabled,
+      autoReplyRules: messaging.autoReplyRules || []
+    };
+  }
+
+  /**
+   * @private
+   */
+  handleError(res, error, fallbackMessage) {
+    console.error(`[MessagesController] ${fallbackMessage}:`, error.message);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      error: error.statusCode ? error.message : fallbackMessage
+    });
+  }
+}
+
+module.exports = MessagesController;
@@ -0,0 +1,222 @@
+const ProcessedComment = require('../models/ProcessedComment');
+const ActivityLog = require('../models/ActivityLog');
+const User = require('../models/User');
+const { LABELS, isFlagged } = require('../services/moderation-heuristics');
+const { getInstagramServiceForUser } = require('../services/instagram-client');
+const { getYouTubeCommentsServiceForUser } = require('../services/youtube-client');
+
+const MODERATION_ACTIONS = ['none', 'hide', 'delete'];
+
+/**
+ * ModerationController - Moderation settings and audit of comment classifications
+ */
+class ModerationController {
+  constructor(automationController) {
+    this.automationController = automationController;
+  }
+
+  /**
+   * GET /api/moderation - List classified comments
+   */
+  async getClassifications(req, res) {
+    try {
+      const userId = req.userId || req.user?._id;
+      const limit = Math.min(parseInt(req.query.limit) || 50, 100);
+      const skip = parseInt(req.query.skip) || 0;
+      const { label } = req.query;
+
+      const query = { userId, 'moderation.label': { $ne: null } };
+      if (label) {
+        if (!LABELS.includes(label)) {
+          return res.status(400).json({
+            success: false,
+            error: `Label must be one of: ${LABELS.join(', ')}`
+          });
+        }
+        // Effective label: the override when present, otherwise the classifier's label
+        query.$or = [
+          { 'moderation.overriddenLabel': label },
+          { 'moderation.overriddenLabel': null, 'moderation.label': label }
+        ];
+      }
+
+      const [items, total] = await Promise.all([
+        ProcessedComment.find(query).sort({ processedAt: -1 }).skip(skip).limit(limit).lean(),
+        ProcessedComment.countDocuments(query)
+      ]);
+
+      res.json({
+        success: true,
+        items,
+        total
+      });
+    } catch (error) {
+      console.error('[ModerationController] Error listing classifications:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to retrieve classifications'
+      });
+    }
+  }
+
+  /**
+   * POST /api/moderation/:commentId/override - Correct a classification
+   * Unhides the comment when a hidden comment is marked as not spam/toxic
+   */
+  async overrideLabel(req, res) {
+    try {
+      const userId = req.userId || req.user?._id;
+      const { commentId } = req.params;
+      const { label } = req.body || {};
+
+      if (!LABELS.includes(label)) {
+        return res.status(400).json({
+          success: false,
+          error: `Label must be one of: ${LABELS.join(', ')}`
+        });
+      }
+
+      const record = await ProcessedComment.findOne({ userId, commentId });
+      if (!record || !record.moderation?.label) {
+        return res.status(404).json({
+          success: false,
+          error: 'Classified comment not found'
+        });
+      }
+
+      let unhidden = false;
+      if (record.status === 'hidden' && !isFlagged(label)) {
+        const commentService = record.platform === 'youtube'
+          ? await getYouTubeCommentsServiceForUser(userId)
+          : await getInstagramServiceForUser(userId);
+        await commentService.hideComment(commentId, false);
+        record.status = 'skipped';
+        unhidden = true;
+      }
+
+      const previousLabel = record.moderation.overriddenLabel || record.moderation.label;
+      record.moderation.overriddenLabel = label;
+      record.moderation.overriddenAt = new Date();
+      await record.save();
+
+      await ActivityLog.log(userId, 'info', 'moderation', `Moderation label for comment from @${record.username} changed to ${label}`, {
+        commentId,
+        previousLabel,
+        label,
+        unhidden
+      }, req);
+
+      res.json({
+        success: true,
+        message: unhidden ? 'Label updated and comment unhidden' : 'Label updated',
+        item: record,
+        unhidden
+      });
+    } catch (error) {
+      console.error('[ModerationController] Error overriding label:', error.message);
+      res.status(error.statusCode || 500).json({
+        success: false,
+        error: error.message || 'Failed to override label'
+      });
+    }
+  }
+
+  /**
+   * GET /api/moderation/settings - Get moderation settings
+   */
+  async getSettings(req, res) {
+    try {
+      const userId = req.userId || req.user?._id;
+      const user = await User.findById(userId).lean();
+
+      if (!user) {
+        return res.status(404).json({
+          success: false,
+          error: 'User not found'
+        });
+      }
+
+      res.json({
+        success: true,
+        settings: this.formatSettings(user.automationSettings?.moderation)
+      });
+    } catch (error) {
+      console.error('[ModerationController] Error getting settings:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to retrieve moderation settings'
+      });
+    }
+  }
+
+  /**
+   * PUT /api/moderation/settings - Update moderation settings
+   */
+  async updateSettings(req, res) {
+    try {
+      const userId = req.userId || req.user?._id;
+      const { enabled, useAI, spamAction, toxicAction, minConfidence } = req.body || {};
+
+      if ((spamAction !== undefined && !MODERATION_ACTIONS.includes(spamAction)) ||
+          (toxicAction !== undefined && !MODERATION_ACTIONS.includes(toxicAction))) {
+        return res.status(400).json({
+          success: false,
+          error: `Actions must be one of: ${MODERATION_ACTIONS.join(', ')}`
+        });
+      }
+
+      if (minConfidence !== undefined && (typeof minConfidence !== 'number' || minConfidence < 0 || minConfidence > 1)) {
+        return res.status(400).json({
+          success: false,
+          error: 'minConfidence must be a number between 0 and 1'
+        });
+      }
+
+      const user = await User.findById(userId);
+      if (!user) {
+        return res.status(404).json({
+          success: false,
+          error: 'User not found'
+        });
+      }
+
+      const moderation = user.automationSettings.moderation;
+      if (typeof enabled === 'boolean') moderation.enabled = enabled;
+      if (typeof useAI === 'boolean') moderation.useAI = useAI;
+      if (spamAction !== undefined) moderation.spamAction = spamAction;
+      if (toxicAction !== undefined) moderation.toxicAction = toxicAction;
+      if (minConfidence !== undefined) moderation.minConfidence = minConfidence;
+      await user.save();
+
+      const settings = this.formatSettings(moderation);
+      this.automationController.updateAutomationConfig(userId, { moderation: settings });
+
+      res.json({
+        success: true,
+        message: 'Moderation settings updated successfully',
+        settings
+      });
+    } catch (error) {
+      console.error('[ModerationController] Error updating settings:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to update moderation settings'
+      });
+    }
+  }
+
+  /**
+   * @private
+   */
+  formatSettings(moderation = {}) {
+    return {
+      enabled: moderation?.enabled === true,
+      useAI: moderation?.useAI !== false,
+      spamAction: moderation?.spamAction || 'hide',
+      toxicAction: moderation?.toxicAction || 'hide',
+      minConfidence: moderation?.minConfidence ?? 0.7
+    };
+  }
+}
+
+module.exports = ModerationController;
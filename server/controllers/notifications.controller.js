@@ -0,0 +1,152 @@
+const User = require('../models/User');
+const pushNotifications = require('../services/push-notification.service');
+const { resolvePreferences, mergePreferences } = require('../services/notification-events');
+
+function createError(message, statusCode) {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+}
+
+/**
+ * NotificationsController - Web Push subscriptions and per-event preferences
+ */
+class NotificationsController {
+  /**
+   * GET /api/notifications - Server key, preferences and subscribed devices
+   */
+  async getSettings(req, res) {
+    try {
+      const userId = req.userId || req.user?._id;
+      const user = await User.findById(userId).select('notificationPreferences').lean();
+      if (!user) {
+        throw createError('User not found', 404);
+      }
+
+      const subscriptions = await pushNotifications.listSubscriptions(userId);
+
+      res.json({
+        success: true,
+        configured: pushNotifications.isConfigured(),
+        publicKey: pushNotifications.getPublicKey(),
+        preferences: resolvePreferences(user.notificationPreferences),
+        subscriptions: subscriptions.map(subscription => this.formatSubscription(subscription))
+      });
+    } catch (error) {
+      this.handleError(res, error, 'Failed to load notification settings');
+    }
+  }
+
+  /**
+   * PUT /api/notifications/preferences - Turn events on or off, e.g. { publishCompleted: false }
+   */
+  async updatePreferences(req, res) {
+    try {
+      const userId = req.userId || req.user?._id;
+      const user = await User.findById(userId).select('notificationPreferences');
+      if (!user) {
+        throw createError('User not found', 404);
+      }
+
+      user.notificationPreferences = mergePreferences(user.notificationPreferences, req.body || {});
+      await user.save();
+
+      res.json({
+        success: true,
+        message: 'Notification preferences saved',
+        preferences: resolvePreferences(user.notificationPreferences)
+      });
+    } catch (error) {
+      this.handleError(res, error, 'Failed to save notification preferences');
+    }
+  }
+
+  /**
+   * POST /api/notifications/subscriptions - Register this browser's PushSubscription
+   */
+  async subscribe(req, res) {
+    try {
+      const userId = req.userId || req.user?._id;
+      const subscription = await pushNotifications.subscribe(userId, req.body?.subscription, req.headers['user-agent']);
+
+      console.log(`[NotificationsController] User ${userId} subscribed a device to push notifications`);
+
+      res.status(201).json({
+        success: true,
+        subscription: this.formatSubscription(subscription)
+      });
+    } catch (error) {
+      this.handleError(res, error, 'Failed to save push subscription');
+    }
+  }
+
+  /**
+   * DELETE /api/notifications/subscriptions - Remove a device by its endpoint
+   */
+  async unsubscribe(req, res) {
+    try {
+      const userId = req.userId || req.user?._id;
+      if (!req.body?.endpoint) {
+        throw createError('endpoint is required', 400);
+      }
+
+      const removed = await pushNotifications.unsubscribe(userId, req.body.endpoint);
+      if (!removed) {
+        throw createError('Subscription not found', 404);
+      }
+
+      res.json({ success: true, message: 'Device unsubscribed' });
+    } catch (error) {
+      this.handleError(res, error, 'Failed to remove push subscription');
+    }
+  }
+
+  /**
+   * POST /api/notifications/test - Send a test notification to every device
+   */
+  async sendTest(req, res) {
+    try {
+      const userId = req.userId || req.user?._id;
+      const result = await pushNotifications.sendTest(userId);
+
+      if (result.sent === 0) {
+        throw createError('The push service did not accept the test notification', 502);
+      }
+
+      res.json({
+        success: true,
+        message: `Test notification sent to ${result.sent} device(s)`,
+        ...result
+      });
+    } catch (error) {
+      this.handleError(res, error, 'Failed to send test notification');
+    }
+  }
+
+  /**
+   * @private
+   */
+  formatSubscription(subscription) {
+    return {
+      id: subscription._id,
+      endpoint: subscription.endpoint,
+      userAgent: subscription.userAgent || null,
+      createdAt: subscription.createdAt,
+      lastSuccessAt: subscription.lastSuccessAt || null,
+      lastError: subscription.lastError || null
+    };
+  }
+
+  /**
+   * @private
+   */
+  handleError(res, error, fallbackMessage) {
+    console.error(`[NotificationsController] ${fallbackMessage}:`, error.message);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      error: error.statusCode ? error.message : fallbackMessage
+    });
+  }
+}
+
+module.exports = NotificationsController;
@@ -1,11 +1,26 @@
 const InstagramOAuthService = require('../services/oauth-instagram.service');
 const YouTubeOAuthService = require('../services/oauth-youtube.service');
+const FacebookOAuthService = require('../services/oauth-facebook.service');
+const TwitterOAuthService = require('../services/oauth-twitter.service');
+const LinkedInOAuthService = require('../services/oauth-linkedin.service');
+const ThreadsOAuthService = require('../services/oauth-threads.service');
+const InstagramDataDeletionService = require('../services/instagram-data-deletion.service');
 const User = require('../models/User');
+const connectedAccounts = require('../services/connected-accounts.service');
 const { EncryptionService } = require('../services/encryption.service');
+const { parseSignedRequest } = require('../services/meta-signed-request');
 
 const encryptionService = new EncryptionService();
 const instagramOAuth = new InstagramOAuthService();
 const youtubeOAuth = new YouTubeOAuthService();
+const facebookOAuth = new FacebookOAuthService();
+const twitterOAuth = new TwitterOAuthService();
+const linkedinOAuth = new LinkedInOAuthService();
+const threadsOAuth = new ThreadsOAuthService();
+const instagramDataDeletion = new InstagramDataDeletionService();
+
+// Signs the deauthorize and data deletion callbacks, same secret as the Meta webhooks
+const getMetaAppSecret = () => process.env.INSTAGRAM_CLIENT_SECRET || process.env.INSTAGRAM_APP_SECRET;
 
 const getRedirectBaseUrl = () => {
   const raw = process.env.OAUTH_REDIRECT_BASE_URL || process.env.APP_URL || 'http://localhost:3000';
@@ -273,6 +288,9 @@ class OAuthController {
         : new Date(Date.now() + (longLivedResult.expiresIn || 5184000) * 1000); // Default 60 days
       const issuedAt = new Date();
 
+      // Connecting another account keeps the current one as a connected account
+      const previousAccountId = await connectedAccounts.stash(user, 'instagram');
+
       // Initialize instagramCredentials if not exists
       if (!user.instagramCredentials) {
         user.instagramCredentials = {};
@@ -296,6 +314,7 @@ class OAuthController {
       user.instagramCredentials.isActive = true;
       user.instagramCredentials.lastUpdated = new Date();
 
+      await connectedAccounts.adopt(user, 'instagram', previousAccountId);
       await user.save();
 
       // Clear OAuth session data after successful completion
@@ -541,6 +560,9 @@ class OAuthController {
       const encryptedRefreshToken = encryptionService.encrypt(tokenResult.refreshToken);
       const expiresAt = new Date(tokenResult.expiresIn);
 
+      // Connecting another channel keeps the current one as a connected account
+      const previousChannelId = await connectedAccounts.stash(user, 'youtube');
+
       // Initialize youtubeCredentials if not exists
       if (!user.youtubeCredentials) {
         user.youtubeCredentials = {};
@@ -556,6 +578,7 @@ class OAuthController {
       user.youtubeCredentials.isActive = true;
       user.youtubeCredentials.lastUpdated = new Date();
 
+      await connectedAccounts.adopt(user, 'youtube', previousChannelId);
       await user.save();
 
       // Clear OAuth session data after successful completion
@@ -584,6 +607,608 @@ class OAuthController {
     }
   }
 
+  /**
+   * GET /api/oauth/facebook/auth-url
+   * Generate Facebook Login URL for connecting a Page
+   */
+  async getFacebookAuthUrl(req, res) {
+    try {
+      const userId = req.userId || req.user?._id;
+
+      const clientId = process.env.FACEBOOK_APP_ID;
+      if (!clientId || !process.env.FACEBOOK_APP_SECRET) {
+        return res.status(400).json({
+          success: false,
+          error: 'Facebook OAuth not configured by administrator. Please set FACEBOOK_APP_ID and FACEBOOK_APP_SECRET in backend .env file.'
+        });
+      }
+
+      const user = await User.findById(userId);
+      if (!user) {
+        return res.status(404).json({
+          success: false,
+          error: 'User not found'
+        });
+      }
+
+      const stateParam = await this.createOAuthState(user, 'facebookCredentials');
+      const { url } = facebookOAuth.generateAuthUrl(clientId, buildRedirectUri('/api/oauth/facebook/callback'), stateParam);
+
+      res.json({
+        success: true,
+        authUrl: url,
+        state: stateParam
+      });
+    } catch (error) {
+      console.error('[OAuth] Get Facebook auth URL error:', error);
+      res.status(500).json({
+        success: false,
+        error: error.message
+      });
+    }
+  }
+
+  /**
+   * GET /api/oauth/facebook/callback
+   * Handle Facebook Login callback; the Page is selected automatically when the user manages only one
+   */
+  async handleFacebookCallback(req, res) {
+    const frontendUrl = process.env.FRONTEND_URL || 'http://localhost:5173';
+    const redirectWith = (params) => res.redirect(`${frontendUrl}/configuration?${new URLSearchParams(params).toString()}`);
+
+    try {
+      const { code, state, error_description: deniedReason } = req.query;
+
+      if (!code) {
+        return redirectWith({ facebook: 'error', message: deniedReason || 'Authorization code not provided' });
+      }
+
+      const { user, error: stateError } = await this.verifyOAuthState(state, 'facebookCredentials');
+      if (stateError) {
+        return redirectWith({ facebook: 'error', message: stateError });
+      }
+
+      const clientId = process.env.FACEBOOK_APP_ID;
+      const clientSecret = process.env.FACEBOOK_APP_SECRET;
+      if (!clientId || !clientSecret) {
+        return redirectWith({ facebook: 'error', message: 'Facebook OAuth not configured by administrator' });
+      }
+
+      const tokenResult = await facebookOAuth.exchangeCodeForToken(
+        clientId,
+        clientSecret,
+        code,
+        buildRedirectUri('/api/oauth/facebook/callback')
+      );
+      if (!tokenResult.success) {
+        return redirectWith({ facebook: 'error', message: tokenResult.error });
+      }
+
+      const longLivedResult = await facebookOAuth.getLongLivedToken(clientId, clientSecret, tokenResult.accessToken);
+      if (!longLivedResult.success) {
+        return redirectWith({ facebook: 'error', message: longLivedResult.error });
+      }
+
+      const profile = await facebookOAuth.getUserProfile(longLivedResult.accessToken);
+      const pages = await facebookOAuth.getPages(longLivedResult.accessToken);
+
+      if (pages.length === 0) {
+        return redirectWith({ facebook: 'error', message: 'No Facebook Pages found that you can publish to' });
+      }
+
+      user.facebookCredentials = {
+        accessToken: encryptionService.encrypt(longLivedResult.accessToken),
+        userId: profile.id,
+        userName: profile.name,
+        tokenExpiresAt: new Date(Date.now() + longLivedResult.expiresIn * 1000),
+        tokenScopes: facebookOAuth.requiredScopes.join(','),
+        isActive: true,
+        lastUpdated: new Date()
+      };
+      if (pages.length === 1) {
+        this.applyFacebookPage(user, pages[0]);
+      }
+      await user.save();
+
+      console.log(`[OAuth] Facebook connected for user ${user._id}: ${profile.name}, ${pages.length} page(s)`);
+
+      redirectWith(pages.length === 1
+        ? { facebook: 'success', page: pages[0].name }
+        : { facebook: 'select-page' });
+    } catch (error) {
+      console.error('[OAuth] Facebook callback error:', error);
+      redirectWith({ facebook: 'error', message: error.message });
+    }
+  }
+
+  /**
+   * GET /api/oauth/facebook/pages
+   * Pages the connected Facebook user can publish to
+   */
+  async getFacebookPages(req, res) {
+    try {
+      const userId = req.userId || req.user?._id;
+      const user = await User.findById(userId);
+
+      if (!user?.facebookCredentials?.accessToken) {
+        return res.status(400).json({
+          success: false,
+          error: 'Facebook account not connected'
+        });
+      }
+
+      const pages = await facebookOAuth.getPages(encryptionService.decrypt(user.facebookCredentials.accessToken));
+
+      res.json({
+        success: true,
+        selectedPageId: user.facebookCredentials.pageId || null,
+        pages: pages.map(({ accessToken, ...page }) => page)
+      });
+    } catch (error) {
+      console.error('[OAuth] Get Facebook pages error:', error);
+      res.status(500).json({
+        success: false,
+        error: error.message
+      });
+    }
+  }
+
+  /**
+   * POST /api/oauth/facebook/page
+   * Select the Page posts are published to
+   */
+  async selectFacebookPage(req, res) {
+    try {
+      const userId = req.userId || req.user?._id;
+      const { pageId } = req.body;
+
+      if (!pageId) {
+        return res.status(400).json({
+          success: false,
+          error: 'pageId is required'
+        });
+      }
+
+      const user = await User.findById(userId);
+      if (!user?.facebookCredentials?.accessToken) {
+        return res.status(400).json({
+          success: false,
+          error: 'Facebook account not connected'
+        });
+      }
+
+      const pages = await facebookOAuth.getPages(encryptionService.decrypt(user.facebookCredentials.accessToken));
+      const page = pages.find(candidate => candidate.id === pageId);
+      if (!page) {
+        return res.status(404).json({
+          success: false,
+          error: 'Page not found or you cannot publish to it'
+        });
+      }
+
+      this.applyFacebookPage(user, page);
+      await user.save();
+
+      console.log(`[OAuth] Facebook page selected for user ${userId}: ${page.name}`);
+
+      res.json({
+        success: true,
+        page: { id: page.id, name: page.name }
+      });
+    } catch (error) {
+      console.error('[OAuth] Select Facebook page error:', error);
+      res.status(500).json({
+        success: false,
+        error: error.message
+      });
+    }
+  }
+
+  /**
+   * Keep a random state on the user until the OAuth callback
+   * @param {string} field - Credentials field, e.g. 'facebookCredentials'
+   * @returns {Promise<string>} State parameter for the authorization URL
+   * @private
+   */
+  async createOAuthState(user, field) {
+    const random = require('crypto').randomBytes(16).toString('hex');
+    user.set(`${field}.pendingAuth`, { state: random, createdAt: new Date() });
+    await user.save();
+
+    return Buffer.from(JSON.stringify({ random, userId: user._id.toString(), timestamp: Date.now() })).toString('base64url');
+  }
+
+  /**
+   * Find the user who started the login the state parameter belongs to
+   * The userId in the state is only trusted when the random part matches the one stored on that user
+   * @returns {Promise<{user: Object}|{error: string}>}
+   * @private
+   */
+  async verifyOAuthState(state, field) {
+    let stateData;
+    try {
+      stateData = JSON.parse(Buffer.from(state || '', 'base64url').toString('utf-8'));
+    } catch (error) {
+      return { error: 'Invalid OAuth state' };
+    }
+
+    // Validate state is not too old (15 minutes)
+    if (!stateData?.userId || !stateData.random || Date.now() - stateData.timestamp > 15 * 60 * 1000) {
+      return { error: 'OAuth session expired - please try again' };
+    }
+
+    const user = await User.findById(stateData.userId);
+    if (!user) {
+      return { error: 'User not found' };
+    }
+
+    const pendingAuth = user[field]?.pendingAuth;
+    if (!pendingAuth?.state || pendingAuth.state !== String(stateData.random)) {
+      console.error(`[OAuth] ${field} state mismatch - possible CSRF attack`);
+      return { error: 'Invalid state parameter' };
+    }
+
+    // One login per state; saved with the new credentials
+    user.set(`${field}.pendingAuth`, undefined);
+    return { user };
+  }
+
+  /**
+   * Store a Page and its access token on the user's Facebook credentials
+   * @private
+   */
+  applyFacebookPage(user, page) {
+    user.facebookCredentials.pageId = page.id;
+    user.facebookCredentials.pageName = page.name;
+    user.facebookCredentials.pageAccessToken = encryptionService.encrypt(page.accessToken);
+    user.facebookCredentials.lastUpdated = new Date();
+  }
+
+  /**
+   * GET /api/oauth/linkedin/auth-url
+   * Generate LinkedIn authorization URL
+   */
+  async getLinkedInAuthUrl(req, res) {
+    try {
+      const userId = req.userId || req.user?._id;
+
+      const clientId = process.env.LINKEDIN_CLIENT_ID;
+      if (!clientId || !process.env.LINKEDIN_CLIENT_SECRET) {
+        return res.status(400).json({
+          success: false,
+          error: 'LinkedIn OAuth not configured by administrator. Please set LINKEDIN_CLIENT_ID and LINKEDIN_CLIENT_SECRET in backend .env file.'
+        });
+      }
+
+      const user = await User.findById(userId);
+      if (!user) {
+        return res.status(404).json({
+          success: false,
+          error: 'User not found'
+        });
+      }
+
+      const stateParam = await this.createOAuthState(user, 'linkedinCredentials');
+      const { url } = linkedinOAuth.generateAuthUrl(clientId, buildRedirectUri('/api/oauth/linkedin/callback'), stateParam);
+
+      res.json({
+        success: true,
+        authUrl: url,
+        state: stateParam
+      });
+    } catch (error) {
+      console.error('[OAuth] Get LinkedIn auth URL error:', error);
+      res.status(500).json({
+        success: false,
+        error: error.message
+      });
+    }
+  }
+
+  /**
+   * GET /api/oauth/linkedin/callback
+   * Handle LinkedIn OAuth callback
+   */
+  async handleLinkedInCallback(req, res) {
+    const frontendUrl = process.env.FRONTEND_URL || 'http://localhost:5173';
+    const redirectWith = (params) => res.redirect(`${frontendUrl}/configuration?${new URLSearchParams(params).toString()}`);
+
+    try {
+      const { code, state, error_description: deniedReason } = req.query;
+
+      if (!code) {
+        return redirectWith({ linkedin: 'error', message: deniedReason || 'Authorization code not provided' });
+      }
+
+      const { user, error: stateError } = await this.verifyOAuthState(state, 'linkedinCredentials');
+      if (stateError) {
+        return redirectWith({ linkedin: 'error', message: stateError });
+      }
+
+      const clientId = process.env.LINKEDIN_CLIENT_ID;
+      const clientSecret = process.env.LINKEDIN_CLIENT_SECRET;
+      if (!clientId || !clientSecret) {
+        return redirectWith({ linkedin: 'error', message: 'LinkedIn OAuth not configured by administrator' });
+      }
+
+      const tokenResult = await linkedinOAuth.exchangeCodeForToken(
+        clientId,
+        clientSecret,
+        code,
+        buildRedirectUri('/api/oauth/linkedin/callback')
+      );
+      if (!tokenResult.success) {
+        return redirectWith({ linkedin: 'error', message: tokenResult.error });
+      }
+
+      const member = await linkedinOAuth.getMember(tokenResult.accessToken);
+
+      user.linkedinCredentials = {
+        accessToken: encryptionService.encrypt(tokenResult.accessToken),
+        refreshToken: tokenResult.refreshToken ? encryptionService.encrypt(tokenResult.refreshToken) : undefined,
+        memberId: member.id,
+        memberName: member.name,
+        tokenExpiresAt: new Date(Date.now() + tokenResult.expiresIn * 1000),
+        tokenScopes: tokenResult.scope,
+        isActive: true,
+        lastUpdated: new Date()
+      };
+      await user.save();
+
+      console.log(`[OAuth] LinkedIn connected for user ${user._id}: ${member.name}`);
+
+      redirectWith({ linkedin: 'success', account: member.name });
+    } catch (error) {
+      console.error('[OAuth] LinkedIn callback error:', error);
+      redirectWith({ linkedin: 'error', message: error.response?.data?.message || error.message });
+    }
+  }
+
+  /**
+   * GET /api/oauth/threads/auth-url
+   * Generate Threads authorization URL
+   */
+  async getThreadsAuthUrl(req, res) {
+    try {
+      const userId = req.userId || req.user?._id;
+
+      const clientId = process.env.THREADS_APP_ID;
+      if (!clientId || !process.env.THREADS_APP_SECRET) {
+        return res.status(400).json({
+          success: false,
+          error: 'Threads OAuth not configured by administrator. Please set THREADS_APP_ID and THREADS_APP_SECRET in backend .env file.'
+        });
+      }
+
+      const user = await User.findById(userId);
+      if (!user) {
+        return res.status(404).json({
+          success: false,
+          error: 'User not found'
+        });
+      }
+
+      const stateParam = await this.createOAuthState(user, 'threadsCredentials');
+      const { url } = threadsOAuth.generateAuthUrl(clientId, buildRedirectUri('/api/oauth/threads/callback'), stateParam);
+
+      res.json({
+        success: true,
+        authUrl: url,
+        state: stateParam
+      });
+    } catch (error) {
+      console.error('[OAuth] Get Threads auth URL error:', error);
+      res.status(500).json({
+        success: false,
+        error: error.message
+      });
+    }
+  }
+
+  /**
+   * GET /api/oauth/threads/callback
+   * Handle Threads OAuth callback; the short-lived token is exchanged for a long-lived one
+   */
+  async handleThreadsCallback(req, res) {
+    const frontendUrl = process.env.FRONTEND_URL || 'http://localhost:5173';
+    const redirectWith = (params) => res.redirect(`${frontendUrl}/configuration?${new URLSearchParams(params).toString()}`);
+
+    try {
+      const { code, state, error_description: deniedReason } = req.query;
+
+      if (!code) {
+        return redirectWith({ threads: 'error', message: deniedReason || 'Authorization code not provided' });
+      }
+
+      const { user, error: stateError } = await this.verifyOAuthState(state, 'threadsCredentials');
+      if (stateError) {
+        return redirectWith({ threads: 'error', message: stateError });
+      }
+
+      const clientId = process.env.THREADS_APP_ID;
+      const clientSecret = process.env.THREADS_APP_SECRET;
+      if (!clientId || !clientSecret) {
+        return redirectWith({ threads: 'error', message: 'Threads OAuth not configured by administrator' });
+      }
+
+      // Threads appends #_ to the code in the redirect
+      const tokenResult = await threadsOAuth.exchangeCodeForToken(
+        clientId,
+        clientSecret,
+        code.replace(/#_$/, ''),
+        buildRedirectUri('/api/oauth/threads/callback')
+      );
+      if (!tokenResult.success) {
+        return redirectWith({ threads: 'error', message: tokenResult.error });
+      }
+
+      const longLivedResult = await threadsOAuth.getLongLivedToken(clientSecret, tokenResult.accessToken);
+      if (!longLivedResult.success) {
+        return redirectWith({ threads: 'error', message: longLivedResult.error });
+      }
+
+      const profile = await threadsOAuth.getProfile(longLivedResult.accessToken);
+
+      user.threadsCredentials = {
+        accessToken: encryptionService.encrypt(longLivedResult.accessToken),
+        userId: profile.id || tokenResult.userId,
+        username: profile.username,
+        tokenExpiresAt: new Date(Date.now() + longLivedResult.expiresIn * 1000),
+        tokenScopes: threadsOAuth.requiredScopes.join(','),
+        isActive: true,
+        lastUpdated: new Date()
+      };
+      await user.save();
+
+      console.log(`[OAuth] Threads connected for user ${user._id}: @${profile.username}`);
+
+      redirectWith({ threads: 'success', account: profile.username });
+    } catch (error) {
+      console.error('[OAuth] Threads callback error:', error);
+      redirectWith({ threads: 'error', message: error.response?.data?.error?.message || error.message });
+    }
+  }
+
+  /**
+   * GET /api/oauth/twitter/auth-url
+   * Generate X authorization URL; the PKCE verifier is kept on the user until the callback
+   */
+  async getTwitterAuthUrl(req, res) {
+    try {
+      const userId = req.userId || req.user?._id;
+
+      const clientId = process.env.TWITTER_CLIENT_ID;
+      if (!clientId) {
+        return res.status(400).json({
+          success: false,
+          error: 'X OAuth not configured by administrator. Please set TWITTER_CLIENT_ID and TWITTER_CLIENT_SECRET in backend .env file.'
+        });
+      }
+
+      const user = await User.findById(userId);
+      if (!user) {
+        return res.status(404).json({
+          success: false,
+          error: 'User not found'
+        });
+      }
+
+      const stateData = {
+        random: require('crypto').randomBytes(16).toString('hex'),
+        userId: userId.toString(),
+        timestamp: Date.now()
+      };
+      const stateParam = Buffer.from(JSON.stringify(stateData)).toString('base64url');
+      const { codeVerifier, codeChallenge } = twitterOAuth.generatePkce();
+
+      user.set('twitterCredentials.pendingAuth', {
+        state: stateData.random,
+        codeVerifier: encryptionService.encrypt(codeVerifier),
+        createdAt: new Date()
+      });
+      await user.save();
+
+      const { url } = twitterOAuth.generateAuthUrl(
+        clientId,
+        buildRedirectUri('/api/oauth/twitter/callback'),
+        stateParam,
+        codeChallenge
+      );
+
+      res.json({
+        success: true,
+        authUrl: url,
+        state: stateParam
+      });
+    } catch (error) {
+      console.error('[OAuth] Get X auth URL error:', error);
+      res.status(500).json({
+        success: false,
+        error: error.message
+      });
+    }
+  }
+
+  /**
+   * GET /api/oauth/twitter/callback
+   * Handle X OAuth callback
+   */
+  async handleTwitterCallback(req, res) {
+    const frontendUrl = process.env.FRONTEND_URL || 'http://localhost:5173';
+    const redirectWith = (params) => res.redirect(`${frontendUrl}/configuration?${new URLSearchParams(params).toString()}`);
+
+    try {
+      const { code, state, error: deniedReason } = req.query;
+
+      if (!code) {
+        return redirectWith({ twitter: 'error', message: deniedReason || 'Authorization code not provided' });
+      }
+
+      let stateData;
+      try {
+        stateData = JSON.parse(Buffer.from(state || '', 'base64url').toString('utf-8'));
+      } catch (error) {
+        return redirectWith({ twitter: 'error', message: 'Invalid OAuth state' });
+      }
+
+      // Validate state is not too old (15 minutes)
+      if (!stateData?.userId || Date.now() - stateData.timestamp > 15 * 60 * 1000) {
+        return redirectWith({ twitter: 'error', message: 'OAuth session expired - please try again' });
+      }
+
+      const user = await User.findById(stateData.userId);
+      if (!user) {
+        return redirectWith({ twitter: 'error', message: 'User not found' });
+      }
+
+      // The verifier only exists for the login this user started, which also guards against CSRF
+      const pendingAuth = user.twitterCredentials?.pendingAuth;
+      if (!pendingAuth?.codeVerifier || pendingAuth.state !== stateData.random) {
+        console.error('[OAuth] X state mismatch - possible CSRF attack');
+        return redirectWith({ twitter: 'error', message: 'Invalid state parameter' });
+      }
+
+      const clientId = process.env.TWITTER_CLIENT_ID;
+      const clientSecret = process.env.TWITTER_CLIENT_SECRET;
+      if (!clientId) {
+        return redirectWith({ twitter: 'error', message: 'X OAuth not configured by administrator' });
+      }
+
+      const tokenResult = await twitterOAuth.exchangeCodeForToken(
+        clientId,
+        clientSecret,
+        code,
+        buildRedirectUri('/api/oauth/twitter/callback'),
+        encryptionService.decrypt(pendingAuth.codeVerifier)
+      );
+      if (!tokenResult.success) {
+        return redirectWith({ twitter: 'error', message: tokenResult.error });
+      }
+
+      const account = await twitterOAuth.getUser(tokenResult.accessToken);
+
+      user.twitterCredentials = {
+        accessToken: encryptionService.encrypt(tokenResult.accessToken),
+        refreshToken: tokenResult.refreshToken ? encryptionService.encrypt(tokenResult.refreshToken) : undefined,
+        accountId: account.id,
+        username: account.username,
+        name: account.name,
+        scope: tokenResult.scope,
+        tokenExpiresAt: new Date(Date.now() + tokenResult.expiresIn * 1000),
+        isActive: true,
+        lastUpdated: new Date()
+      };
+      await user.save();
+
+      console.log(`[OAuth] X connected for user ${user._id}: @${account.username}`);
+
+      redirectWith({ twitter: 'success', account: account.username });
+    } catch (error) {
+      console.error('[OAuth] X callback error:', error);
+      redirectWith({ twitter: 'error', message: error.response?.data?.detail || error.message });
+    }
+  }
+
   /**
    * POST /api/oauth/instagram/refresh
    * Refresh Instagram access token
@@ -648,23 +1273,21 @@ class OAuthController {
 
   /**
    * POST /api/oauth/instagram/deauthorize
-   * Handle Instagram deauthorization callback (required by Meta)
+   * Meta calls this when a user removes the app; forgets their Instagram credentials
    */
   async handleInstagramDeauthorize(req, res) {
     try {
-      const signedRequest = req.body.signed_request;
-      console.log('[OAuth] Instagram deauthorize callback received:', { signedRequest });
+      const { user_id: instagramUserId } = parseSignedRequest(req.body?.signed_request, getMetaAppSecret());
+      const disconnected = await instagramDataDeletion.deauthorize(instagramUserId);
+
+      console.log(`[OAuth] Instagram user ${instagramUserId} deauthorized the app (${disconnected} account(s) disconnected)`);
 
-      // Parse signed request if needed (Meta sends user_id)
-      // For now, just acknowledge receipt
-      
       res.json({
-        success: true,
-        message: 'Deauthorization received'
+        success: true
       });
     } catch (error) {
-      console.error('[OAuth] Instagram deauthorize error:', error);
-      res.status(500).json({
+      console.error('[OAuth] Instagram deauthorize error:', error.message);
+      res.status(error.statusCode || 500).json({
         success: false,
         error: error.message
       });
@@ -673,26 +1296,51 @@ class OAuthController {
 
   /**
    * POST /api/oauth/instagram/data-deletion
-   * Handle Instagram data deletion request (required by Meta for GDPR)
+   * Meta data deletion callback: deletes the user's Instagram data and returns
+   * a status URL and confirmation code in the format Meta expects
    */
   async handleInstagramDataDeletion(req, res) {
     try {
-      const signedRequest = req.body.signed_request;
-      console.log('[OAuth] Instagram data deletion request received:', { signedRequest });
+      const { user_id: instagramUserId } = parseSignedRequest(req.body?.signed_request, getMetaAppSecret());
+      const request = await instagramDataDeletion.requestDeletion(instagramUserId);
 
-      // Parse signed request to get user_id
-      // Delete user's Instagram credentials from database
-      // Return confirmation URL and code
-      
-      const confirmationCode = `deletion_${Date.now()}`;
-      const statusUrl = `${process.env.APP_URL || 'https://social-media-automaton.onrender.com'}/data-deletion-status?code=${confirmationCode}`;
+      console.log(`[OAuth] Instagram data deletion ${request.confirmationCode} for user ${instagramUserId}: ${request.status}`);
+
+      const frontendUrl = process.env.FRONTEND_URL || 'http://localhost:5173';
+      res.json({
+        url: `${frontendUrl}/data-deletion-status?code=${request.confirmationCode}`,
+        confirmation_code: request.confirmationCode
+      });
+    } catch (error) {
+      console.error('[OAuth] Instagram data deletion error:', error.message);
+      res.status(error.statusCode || 500).json({
+        success: false,
+        error: error.message
+      });
+    }
+  }
+
+  /**
+   * GET /api/oauth/instagram/data-deletion/:code
+   * Public status of a data deletion request, shown on the status page
+   */
+  async getDataDeletionStatus(req, res) {
+    try {
+      const status = await instagramDataDeletion.getStatus(req.params.code);
+
+      if (!status) {
+        return res.status(404).json({
+          success: false,
+          error: 'No deletion request found for this confirmation code'
+        });
+      }
 
       res.json({
-        url: statusUrl,
-        confirmation_code: confirmationCode
+        success: true,
+        request: status
       });
     } catch (error) {
-      console.error('[OAuth] Instagram data deletion error:', error);
+      console.error('[OAuth] Data deletion status error:', error);
       res.status(500).json({
         success: false,
         error: error.message
@@ -0,0 +1,260 @@
+const ReplyApprovalService = require('../services/reply-approval.service');
+const User = require('../models/User');
+
+const APPROVAL_MODES = ['auto', 'manual'];
+const MAX_BULK_ITEMS = 50;
+
+/**
+ * ReplyApprovalController - Review queue for AI generated comment replies
+ */
+class ReplyApprovalController {
+  constructor(automationController) {
+    this.automationController = automationController;
+    this.approvalService = new ReplyApprovalService();
+  }
+
+  /**
+   * GET /api/approvals - List replies waiting for approval
+   */
+  async getPending(req, res) {
+    try {
+      const userId = req.userId || req.user?._id;
+      const limit = Math.min(parseInt(req.query.limit) || 50, 100);
+      const skip = parseInt(req.query.skip) || 0;
+
+      const { items, total } = await this.approvalService.listPending(userId, {
+        postId: req.query.postId || null,
+        limit,
+        skip
+      });
+
+      res.json({
+        success: true,
+        items,
+        total
+      });
+    } catch (error) {
+      console.error('[ReplyApprovalController] Error listing pending replies:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to retrieve pending replies'
+      });
+    }
+  }
+
+  /**
+   * POST /api/approvals/:commentId/approve - Approve (optionally edited) reply and post it
+   */
+  async approve(req, res) {
+    try {
+      const userId = req.userId || req.user?._id;
+      const { replyText } = req.body || {};
+
+      if (replyText !== undefined && (typeof replyText !== 'string' || replyText.trim().length === 0)) {
+        return res.status(400).json({
+          success: false,
+          error: 'Reply text cannot be empty'
+        });
+      }
+
+      const result = await this.approvalService.approve(userId, req.params.commentId, replyText);
+
+      res.json({
+        success: true,
+        message: 'Reply approved and posted',
+        ...result
+      });
+    } catch (error) {
+      this.handleError(res, error, 'Failed to post approved reply');
+    }
+  }
+
+  /**
+   * POST /api/approvals/:commentId/reject - Reject a pending reply
+   */
+  async reject(req, res) {
+    try {
+      const userId = req.userId || req.user?._id;
+      const result = await this.approvalService.reject(userId, req.params.commentId);
+
+      res.json({
+        success: true,
+        message: 'Reply rejected',
+        ...result
+      });
+    } catch (error) {
+      this.handleError(res, error, 'Failed to reject reply');
+    }
+  }
+
+  /**
+   * POST /api/approvals/:commentId/regenerate - Generate new reply options
+   */
+  async regenerate(req, res) {
+    try {
+      const userId = req.userId || req.user?._id;
+      const { tone } = req.body || {};
+
+      if (tone && !['friendly', 'formal', 'professional'].includes(tone)) {
+        return res.status(400).json({
+          success: false,
+          error: 'Invalid tone. Must be friendly, formal, or professional'
+        });
+      }
+
+      const result = await this.approvalService.regenerate(userId, req.params.commentId, tone);
+
+      res.json({
+        success: true,
+        ...result
+      });
+    } catch (error) {
+      this.handleError(res, error, 'Failed to regenerate reply');
+    }
+  }
+
+  /**
+   * POST /api/approvals/bulk - Approve or reject several replies at once
+   */
+  async bulk(req, res) {
+    try {
+      const userId = req.userId || req.user?._id;
+      const { commentIds, action } = req.body || {};
+
+      if (!['approve', 'reject'].includes(action)) {
+        return res.status(400).json({
+          success: false,
+          error: 'Action must be approve or reject'
+        });
+      }
+
+      if (!Array.isArray(commentIds) || commentIds.length === 0 || commentIds.length > MAX_BULK_ITEMS) {
+        return res.status(400).json({
+          success: false,
+          error: `commentIds must contain between 1 and ${MAX_BULK_ITEMS} IDs`
+        });
+      }
+
+      const results = await this.approvalService.bulk(userId, commentIds, action);
+      const succeeded = results.filter(r => r.success).length;
+
+      res.json({
+        success: true,
+        message: `${succeeded} of ${results.length} replies ${action === 'approve' ? 'approved' : 'rejected'}`,
+        results
+      });
+    } catch (error) {
+      this.handleError(res, error, 'Failed to process bulk action');
+    }
+  }
+
+  /**
+   * GET /api/approvals/settings - Get approval mode and per-post policies
+   */
+  async getSettings(req, res) {
+    try {
+      const userId = req.userId || req.user?._id;
+      const user = await User.findById(userId);
+
+      if (!user) {
+        return res.status(404).json({
+          success: false,
+          error: 'User not found'
+        });
+      }
+
+      res.json({
+        success: true,
+        approvalMode: user.automationSettings?.approvalMode || 'auto',
+        postPolicies: Object.fromEntries(user.automationSettings?.postApprovalPolicies || [])
+      });
+    } catch (error) {
+      console.error('[ReplyApprovalController] Error getting approval settings:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to retrieve approval settings'
+      });
+    }
+  }
+
+  /**
+   * PUT /api/approvals/settings - Update approval mode and per-post policies
+   */
+  async updateSettings(req, res) {
+    try {
+      const userId = req.userId || req.user?._id;
+      const { approvalMode, postPolicies } = req.body || {};
+
+      if (approvalMode !== undefined && !APPROVAL_MODES.includes(approvalMode)) {
+        return res.status(400).json({
+          success: false,
+          error: 'Invalid approval mode. Must be auto or manual'
+        });
+      }
+
+      if (postPolicies !== undefined) {
+        const valid = postPolicies && typeof postPolicies === 'object' && !Array.isArray(postPolicies) &&
+          Object.values(postPolicies).every(policy => APPROVAL_MODES.includes(policy));
+
+        if (!valid) {
+          return res.status(400).json({
+            success: false,
+            error: 'Post policies must map post IDs to auto or manual'
+          });
+        }
+      }
+
+      const user = await User.findById(userId);
+      if (!user) {
+        return res.status(404).json({
+          success: false,
+          error: 'User not found'
+        });
+      }
+
+      if (approvalMode) {
+        user.automationSettings.approvalMode = approvalMode;
+      }
+      if (postPolicies) {
+        user.automationSettings.postApprovalPolicies = postPolicies;
+      }
+      await user.save();
+
+      const settings = {
+        approvalMode: user.automationSettings.approvalMode,
+        postPolicies: Object.fromEntries(user.automationSettings.postApprovalPolicies || [])
+      };
+
+      // Apply to the running workflow right away
+      this.automationController.updateAutomationConfig(userId, {
+        approvalMode: settings.approvalMode,
+        postApprovalPolicies: settings.postPolicies
+      });
+
+      res.json({
+        success: true,
+        message: 'Approval settings updated successfully',
+        ...settings
+      });
+    } catch (error) {
+      console.error('[ReplyApprovalController] Error updating approval settings:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to update approval settings'
+      });
+    }
+  }
+
+  /**
+   * @private
+   */
+  handleError(res, error, fallbackMessage) {
+    console.error(`[ReplyApprovalController] ${fallbackMessage}:`, error.message);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      error: error.message || fallbackMessage
+    });
+  }
+}
+
+module.exports = ReplyApprovalController;
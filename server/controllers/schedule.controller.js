@@ -0,0 +1,128 @@
+const TYPES = { posts: 'post', jobs: 'job' };
+const MAX_RANGE_MS = 62 * 24 * 60 * 60 * 1000;
+
+/**
+ * ScheduleController - Publishing calendar, reschedule and cancel
+ */
+class ScheduleController {
+  constructor(publishScheduler) {
+    this.publishScheduler = publishScheduler;
+  }
+
+  /**
+   * GET /api/schedule?from=&to= - Calendar items (defaults to the current month)
+   */
+  async getCalendar(req, res) {
+    try {
+      const userId = req.userId || req.user?._id;
+      const now = new Date();
+      const from = req.query.from ? new Date(req.query.from) : new Date(now.getFullYear(), now.getMonth(), 1);
+      const to = req.query.to ? new Date(req.query.to) : new Date(now.getFullYear(), now.getMonth() + 1, 1);
+
+      if (Number.isNaN(from.getTime()) || Number.isNaN(to.getTime()) || to <= from) {
+        return res.status(400).json({
+          success: false,
+          error: 'from and to must be valid dates with from before to'
+        });
+      }
+
+      if (to - from > MAX_RANGE_MS) {
+        return res.status(400).json({
+          success: false,
+          error: 'Date range cannot exceed 62 days'
+        });
+      }
+
+      const items = await this.publishScheduler.getCalendar(userId, from, to);
+
+      res.json({
+        success: true,
+        items
+      });
+    } catch (error) {
+      this.handleError(res, error, 'Failed to retrieve schedule');
+    }
+  }
+
+  /**
+   * POST /api/schedule/posts/:postId - Schedule a draft or failed post
+   */
+  async schedulePost(req, res) {
+    try {
+      const userId = req.userId || req.user?._id;
+      const post = await this.publishScheduler.schedulePost(userId, req.params.postId, req.body?.scheduledAt);
+
+      res.json({
+        success: true,
+        message: 'Post scheduled',
+        scheduledAt: post.scheduledAt
+      });
+    } catch (error) {
+      this.handleError(res, error, 'Failed to schedule post');
+    }
+  }
+
+  /**
+   * PUT /api/schedule/:type/:id - Reschedule a post or publish job
+   */
+  async reschedule(req, res) {
+    try {
+      const userId = req.userId || req.user?._id;
+      const type = this.getType(req.params.type);
+      const item = await this.publishScheduler.reschedule(userId, type, req.params.id, req.body?.scheduledAt);
+
+      res.json({
+        success: true,
+        message: 'Rescheduled',
+        scheduledAt: item.scheduledAt
+      });
+    } catch (error) {
+      this.handleError(res, error, 'Failed to reschedule');
+    }
+  }
+
+  /**
+   * DELETE /api/schedule/:type/:id - Cancel a scheduled post or publish job
+   */
+  async cancel(req, res) {
+    try {
+      const userId = req.userId || req.user?._id;
+      const type = this.getType(req.params.type);
+      await this.publishScheduler.cancel(userId, type, req.params.id);
+
+      res.json({
+        success: true,
+        message: type === 'post' ? 'Schedule cancelled, post moved to drafts' : 'Publishing job cancelled'
+      });
+    } catch (error) {
+      this.handleError(res, error, 'Failed to cancel');
+    }
+  }
+
+  /**
+   * @private
+   */
+  getType(param) {
+    const type = TYPES[param];
+    if (!type) {
+      const error = new Error('Type must be posts or jobs');
+      error.statusCode = 400;
+      throw error;
+    }
+    return type;
+  }
+
+  /**
+   * @private
+   */
+  handleError(res, error, fallbackMessage) {
+    console.error(`[ScheduleController] ${fallbackMessage}:`, error.message);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      error: error.statusCode ? error.message : fallbackMessage,
+      nextAvailableAt: error.nextAvailableAt
+    });
+  }
+}
+
+module.exports = ScheduleController;
@@ -0,0 +1,206 @@
+const webhooks = require('../services/webhook.service');
+const { WEBHOOK_EVENTS, WEBHOOK_FORMATS } = require('../services/webhook-payloads');
+
+/**
+ * WebhooksController - Outgoing webhook endpoints and their delivery log
+ */
+class WebhooksController {
+  /**
+   * GET /api/webhooks - Endpoints of the user and the events they can subscribe to
+   */
+  async listEndpoints(req, res) {
+    try {
+      const userId = req.userId || req.user?._id;
+      const endpoints = await webhooks.listEndpoints(userId);
+
+      res.json({
+        success: true,
+        events: WEBHOOK_EVENTS,
+        formats: WEBHOOK_FORMATS,
+        endpoints: endpoints.map(endpoint => this.formatEndpoint(endpoint))
+      });
+    } catch (error) {
+      this.handleError(res, error, 'Failed to load webhooks');
+    }
+  }
+
+  /**
+   * POST /api/webhooks - Register an endpoint; the response holds the signing secret
+   */
+  async createEndpoint(req, res) {
+    try {
+      const userId = req.userId || req.user?._id;
+      const { endpoint, secret } = await webhooks.createEndpoint(userId, req.body || {});
+
+      console.log(`[WebhooksController] User ${userId} added webhook ${endpoint._id} (${endpoint.format})`);
+
+      res.status(201).json({
+        success: true,
+        message: 'Webhook created. Copy the signing secret now, it is not shown again.',
+        endpoint: this.formatEndpoint(endpoint),
+        secret
+      });
+    } catch (error) {
+      this.handleError(res, error, 'Failed to create webhook');
+    }
+  }
+
+  /**
+   * PUT /api/webhooks/:id - Change name, URL, format, events or pause the endpoint
+   */
+  async updateEndpoint(req, res) {
+    try {
+      const userId = req.userId || req.user?._id;
+      const endpoint = await webhooks.updateEndpoint(userId, req.params.id, req.body || {});
+
+      res.json({
+        success: true,
+        message: 'Webhook saved',
+        endpoint: this.formatEndpoint(endpoint)
+      });
+    } catch (error) {
+      this.handleError(res, error, 'Failed to save webhook');
+    }
+  }
+
+  /**
+   * DELETE /api/webhooks/:id
+   */
+  async deleteEndpoint(req, res) {
+    try {
+      const userId = req.userId || req.user?._id;
+      await webhooks.deleteEndpoint(userId, req.params.id);
+
+      res.json({ success: true, message: 'Webhook deleted' });
+    } catch (error) {
+      this.handleError(res, error, 'Failed to delete webhook');
+    }
+  }
+
+  /**
+   * POST /api/webhooks/:id/rotate-secret - Replace the signing secret
+   */
+  async rotateSecret(req, res) {
+    try {
+      const userId = req.userId || req.user?._id;
+      const secret = await webhooks.rotateSecret(userId, req.params.id);
+
+      res.json({
+        success: true,
+        message: 'Signing secret replaced. Update your receiver before the next event.',
+        secret
+      });
+    } catch (error) {
+      this.handleError(res, error, 'Failed to rotate signing secret');
+    }
+  }
+
+  /**
+   * POST /api/webhooks/:id/test - Send a test event and report the response
+   */
+  async sendTest(req, res) {
+    try {
+      const userId = req.userId || req.user?._id;
+      const delivery = await webhooks.sendTest(userId, req.params.id);
+
+      res.json({
+        success: delivery.status === 'delivered',
+        message: delivery.status === 'delivered'
+          ? `Test event delivered (HTTP ${delivery.responseStatus})`
+          : `Test event failed: ${delivery.error}`,
+        delivery: this.formatDelivery(delivery)
+      });
+    } catch (error) {
+      this.handleError(res, error, 'Failed to send test event');
+    }
+  }
+
+  /**
+   * GET /api/webhooks/:id/deliveries - Recent deliveries, newest first
+   */
+  async listDeliveries(req, res) {
+    try {
+      const userId = req.userId || req.user?._id;
+      const deliveries = await webhooks.listDeliveries(userId, req.params.id, { limit: req.query.limit });
+
+      res.json({
+        success: true,
+        deliveries: deliveries.map(delivery => this.formatDelivery(delivery))
+      });
+    } catch (error) {
+      this.handleError(res, error, 'Failed to load deliveries');
+    }
+  }
+
+  /**
+   * POST /api/webhooks/deliveries/:deliveryId/redeliver - Send a logged event again
+   */
+  async redeliver(req, res) {
+    try {
+      const userId = req.userId || req.user?._id;
+      const delivery = await webhooks.redeliver(userId, req.params.deliveryId);
+
+      res.json({
+        success: true,
+        message: delivery.status === 'delivered'
+          ? 'Event delivered'
+          : `Delivery failed: ${delivery.error}${delivery.status === 'pending' ? ', it will be retried' : ''}`,
+        delivery: this.formatDelivery(delivery)
+      });
+    } catch (error) {
+      this.handleError(res, error, 'Failed to redeliver event');
+    }
+  }
+
+  /**
+   * @private
+   */
+  formatEndpoint(endpoint) {
+    return {
+      id: endpoint._id,
+      name: endpoint.name,
+      url: endpoint.url,
+      format: endpoint.format,
+      events: endpoint.events,
+      isActive: endpoint.isActive,
+      createdAt: endpoint.createdAt,
+      lastDeliveryAt: endpoint.lastDeliveryAt || null,
+      lastDeliveryStatus: endpoint.lastDeliveryStatus || null,
+      lastError: endpoint.lastError || null
+    };
+  }
+
+  /**
+   * @private
+   */
+  formatDelivery(delivery) {
+    return {
+      id: delivery._id,
+      eventId: delivery.eventId,
+      event: delivery.event,
+      status: delivery.status,
+      attempts: delivery.attempts,
+      maxAttempts: delivery.maxAttempts,
+      nextAttemptAt: delivery.status === 'pending' ? delivery.nextAttemptAt : null,
+      responseStatus: delivery.responseStatus || null,
+      responseBody: delivery.responseBody || null,
+      error: delivery.error || null,
+      durationMs: delivery.durationMs ?? null,
+      createdAt: delivery.createdAt,
+      deliveredAt: delivery.deliveredAt || null
+    };
+  }
+
+  /**
+   * @private
+   */
+  handleError(res, error, fallbackMessage) {
+    console.error(`[WebhooksController] ${fallbackMessage}:`, error.message);
+    res.status(error.statusCode || (error.name === 'ValidationError' ? 400 : 500)).json({
+      success: false,
+      error: error.statusCode || error.name === 'ValidationError' ? error.message : fallbackMessage
+    });
+  }
+}
+
+module.exports = WebhooksController;
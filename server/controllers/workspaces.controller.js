@@ -0,0 +1,203 @@
+const workspaces = require('../services/workspace.service');
+const { WORKSPACE_ROLES } = require('../services/workspace-roles');
+
+/**
+ * WorkspacesController - Team workspaces, members, invitations and the audit trail
+ * Always acts on the signed-in person (workspace routes ignore X-Workspace-Id)
+ */
+class WorkspacesController {
+  /**
+   * GET /api/workspaces - Workspaces of the user and invitations waiting for them
+   */
+  async listWorkspaces(req, res) {
+    try {
+      const { workspaces: list, invitations } = await workspaces.listForUser(req.user);
+
+      res.json({
+        success: true,
+        roles: WORKSPACE_ROLES,
+        workspaces: list,
+        invitations
+      });
+    } catch (error) {
+      this.handleError(res, error, 'Failed to load workspaces');
+    }
+  }
+
+  /**
+   * POST /api/workspaces - Create a workspace owned by the user
+   */
+  async createWorkspace(req, res) {
+    try {
+      const workspace = await workspaces.createWorkspace(req.user, req.body?.name, req);
+
+      res.status(201).json({
+        success: true,
+        message: 'Workspace created',
+        workspace: { id: workspace._id, name: workspace.name, role: 'owner', memberCount: 1 }
+      });
+    } catch (error) {
+      this.handleError(res, error, 'Failed to create workspace');
+    }
+  }
+
+  /**
+   * GET /api/workspaces/:id - Members, invitations and connected accounts
+   */
+  async getWorkspace(req, res) {
+    try {
+      const workspace = await workspaces.getWorkspace(req.user._id, req.params.id);
+      res.json({ success: true, workspace });
+    } catch (error) {
+      this.handleError(res, error, 'Failed to load workspace');
+    }
+  }
+
+  /**
+   * PUT /api/workspaces/:id - Rename
+   */
+  async updateWorkspace(req, res) {
+    try {
+      const workspace = await workspaces.renameWorkspace(req.user, req.params.id, req.body?.name, req);
+      res.json({ success: true, message: 'Workspace renamed', name: workspace.name });
+    } catch (error) {
+      this.handleError(res, error, 'Failed to rename workspace');
+    }
+  }
+
+  /**
+   * DELETE /api/workspaces/:id
+   */
+  async deleteWorkspace(req, res) {
+    try {
+      await workspaces.deleteWorkspace(req.user, req.params.id);
+      res.json({ success: true, message: 'Workspace deleted' });
+    } catch (error) {
+      this.handleError(res, error, 'Failed to delete workspace');
+    }
+  }
+
+  /**
+   * POST /api/workspaces/:id/invitations - Invite { email, role }
+   */
+  async invite(req, res) {
+    try {
+      const { invitation, token } = await workspaces.invite(req.user, req.params.id, req.body || {}, req);
+      const frontendUrl = process.env.FRONTEND_URL || 'http://localhost:5173';
+
+      res.status(201).json({
+        success: true,
+        message: `Invited ${invitation.email}. Send them the invitation link; they accept it after signing in with that address.`,
+        invitation: { email: invitation.email, role: invitation.role, expiresAt: invitation.expiresAt },
+        // Shown once; only its hash is stored
+        inviteUrl: `${frontendUrl}/workspaces?${new URLSearchParams({ invitation: req.params.id, token })}`
+      });
+    } catch (error) {
+      this.handleError(res, error, 'Failed to send invitation');
+    }
+  }
+
+  /**
+   * DELETE /api/workspaces/:id/invitations - Withdraw the invitation for { email }
+   */
+  async revokeInvitation(req, res) {
+    try {
+      await workspaces.revokeInvitation(req.user, req.params.id, req.body?.email, req);
+      res.json({ success: true, message: 'Invitation withdrawn' });
+    } catch (error) {
+      this.handleError(res, error, 'Failed to withdraw invitation');
+    }
+  }
+
+  /**
+   * POST /api/workspaces/:id/invitations/accept - { token } from the invitation link
+   */
+  async acceptInvitation(req, res) {
+    try {
+      const workspace = await workspaces.acceptInvitation(req.user, req.params.id, req.body?.token, req);
+      res.json({ success: true, message: `You joined ${workspace.name}` });
+    } catch (error) {
+      this.handleError(res, error, 'Failed to accept invitation');
+    }
+  }
+
+  /**
+   * POST /api/workspaces/:id/invitations/decline - { token } from the invitation link
+   */
+  async declineInvitation(req, res) {
+    try {
+      await workspaces.declineInvitation(req.user, req.params.id, req.body?.token, req);
+      res.json({ success: true, message: 'Invitation declined' });
+    } catch (error) {
+      this.handleError(res, error, 'Failed to decline invitation');
+    }
+  }
+
+  /**
+   * PUT /api/workspaces/:id/members/:userId - Change a member's { role }
+   */
+  async updateMember(req, res) {
+    try {
+      const member = await workspaces.updateMemberRole(req.user, req.params.id, req.params.userId, req.body?.role, req);
+      res.json({ success: true, message: 'Role updated', role: member.role });
+    } catch (error) {
+      this.handleError(res, error, 'Failed to update member');
+    }
+  }
+
+  /**
+   * DELETE /api/workspaces/:id/members/:userId - Remove a member, or leave with your own ID
+   */
+  async removeMember(req, res) {
+    try {
+      await workspaces.removeMember(req.user, req.params.id, req.params.userId, req);
+      res.json({
+        success: true,
+        message: String(req.params.userId) === String(req.user._id) ? 'You left the workspace' : 'Member removed'
+      });
+    } catch (error) {
+      this.handleError(res, error, 'Failed to remove member');
+    }
+  }
+
+  /**
+   * GET /api/workspaces/:id/audit - Changes members made, newest first
+   */
+  async getAuditTrail(req, res) {
+    try {
+      const entries = await workspaces.getAuditTrail(req.user._id, req.params.id, {
+        limit: req.query.limit,
+        skip: req.query.skip,
+        actorId: req.query.actorId
+      });
+
+      res.json({
+        success: true,
+        entries: entries.map(entry => ({
+          id: entry._id,
+          action: entry.action,
+          message: entry.message,
+          actorId: entry.actorId,
+          actorName: entry.details?.actorName || null,
+          area: entry.details?.area || null,
+          timestamp: entry.timestamp
+        }))
+      });
+    } catch (error) {
+      this.handleError(res, error, 'Failed to load audit trail');
+    }
+  }
+
+  /**
+   * @private
+   */
+  handleError(res, error, fallbackMessage) {
+    console.error(`[WorkspacesController] ${fallbackMessage}:`, error.message);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      error: error.statusCode ? error.message : fallbackMessage
+    });
+  }
+}
+
+module.exports = WorkspacesController;
@@ -5,6 +5,7 @@ const cookieParser = require('cookie-parser');
 const session = require('express-session');
 const MongoStore = require('connect-mongo');
 const http = require('http');
+const EventEmitter = require('events');
 const { Server } = require('socket.io');
 
 // Import database
@@ -15,6 +16,24 @@ const ConfigController = require('./controllers/config.controller');
 const AutomationController = require('./controllers/automation.controller');
 const LogsController = require('./controllers/logs.controller');
 const DualPublishController = require('./controllers/dual-publish.controller');
+const ReplyApprovalController = require('./controllers/reply-approval.controller');
+const ModerationController = require('./controllers/moderation.controller');
+const MessagesController = require('./controllers/messages.controller');
+const ScheduleController = require('./controllers/schedule.controller');
+const MediaStorageController = require('./controllers/media-storage.controller');
+const InsightsController = require('./controllers/insights.controller');
+const NotificationsController = require('./controllers/notifications.controller');
+const WebhooksController = require('./controllers/webhooks.controller');
+const WorkspacesController = require('./controllers/workspaces.controller');
+const AccountsController = require('./controllers/accounts.controller');
+
+// Import services
+const PublishQueue = require('./services/publish-queue.service');
+const PublishScheduler = require('./services/publish-scheduler.service');
+const MediaCleanupService = require('./services/media-cleanup.service');
+const webhookService = require('./services/webhook.service');
+const InsightsCollector = require('./services/insights-collector.service');
+const YouTubeInsightsCollector = require('./services/youtube-insights-collector.service');
 
 // Import routes
 const authRoutes = require('./routes/auth.routes');
@@ -22,6 +41,19 @@ const credentialsRoutes = require('./routes/credentials.routes');
 const postsRoutes = require('./routes/posts.routes');
 const aiPostRoutes = require('./routes/ai-post.routes');
 const createDualPublishRoutes = require('./routes/dual-publish.routes');
+const createReplyApprovalRoutes = require('./routes/reply-approval.routes');
+const commentRulesRoutes = require('./routes/comment-rules.routes');
+const dmCampaignsRoutes = require('./routes/dm-campaigns.routes');
+const createModerationRoutes = require('./routes/moderation.routes');
+const createMessagesRoutes = require('./routes/messages.routes');
+const createScheduleRoutes = require('./routes/schedule.routes');
+const createMediaStorageRoutes = require('./routes/media-storage.routes');
+const mediaRoutes = require('./routes/media.routes');
+const createInsightsRoutes = require('./routes/insights.routes');
+const createNotificationsRoutes = require('./routes/notifications.routes');
+const createWebhooksRoutes = require('./routes/webhooks.routes');
+const createWorkspacesRoutes = require('./routes/workspaces.routes');
+const createAccountsRoutes = require('./routes/accounts.routes');
 const oauthRoutes = require('./routes/oauth.routes');
 const instagramStatusRoutes = require('./routes/instagram-status.routes');
 const statsRoutes = require('./routes/stats.routes');
@@ -64,11 +96,36 @@ const PORT = process.env.PORT || 3000;
 // Make io accessible to controllers
 app.set('io', io);
 
+// Shared event bus (webhook router emits platform events on it)
+global.eventEmitter = new EventEmitter();
+
+// Persistent worker queue for dual-publish jobs
+const publishQueue = new PublishQueue(io);
+
 // Initialize controllers
 const configController = new ConfigController();
 const automationController = new AutomationController();
 const logsController = new LogsController();
-const dualPublishController = new DualPublishController(io);
+const dualPublishController = new DualPublishController(io, publishQueue);
+const replyApprovalController = new ReplyApprovalController(automationController);
+const moderationController = new ModerationController(automationController);
+const messagesController = new MessagesController(io);
+const publishScheduler = new PublishScheduler(io, publishQueue);
+const scheduleController = new ScheduleController(publishScheduler);
+const mediaStorageController = new MediaStorageController();
+const mediaCleanup = new MediaCleanupService();
+const insightsCollector = new InsightsCollector();
+const youtubeInsightsCollector = new YouTubeInsightsCollector();
+const insightsController = new InsightsController(insightsCollector, youtubeInsightsCollector);
+const notificationsController = new NotificationsController();
+const webhooksController = new WebhooksController();
+const workspacesController = new WorkspacesController();
+const accountsController = new AccountsController(automationController);
+
+// Feed webhook comment events into running automation workflows
+automationController.registerWebhookListeners(global.eventEmitter);
+// Store incoming DMs and run auto-replies
+messagesController.messageService.registerWebhookListeners(global.eventEmitter);
 
 // Middleware
 app.use(express.json({
@@ -173,6 +230,66 @@ app.use('/api/ai-post', authMiddleware, aiPostRoutes);
 // ============================================
 app.use('/api/publish', authMiddleware, createDualPublishRoutes(dualPublishController));
 
+// ============================================
+// Reply Approval Routes (Protected)
+// ============================================
+app.use('/api/approvals', authMiddleware, createReplyApprovalRoutes(replyApprovalController));
+
+// ============================================
+// Comment Triage Rules Routes (Protected)
+// ============================================
+app.use('/api/comment-rules', authMiddleware, commentRulesRoutes);
+
+// ============================================
+// Comment-to-DM Campaign Routes (Protected)
+// ============================================
+app.use('/api/dm-campaigns', authMiddleware, dmCampaignsRoutes);
+
+// ============================================
+// Comment Moderation Routes (Protected)
+// ============================================
+app.use('/api/moderation', authMiddleware, createModerationRoutes(moderationController));
+
+// ============================================
+// Direct Messages Routes (Protected)
+// ============================================
+app.use('/api/messages', authMiddleware, createMessagesRoutes(messagesController));
+
+// ============================================
+// Publishing Schedule Routes (Protected)
+// ============================================
+app.use('/api/schedule', authMiddleware, createScheduleRoutes(scheduleController));
+
+// ============================================
+// Media Storage Settings Routes (Protected)
+// ============================================
+app.use('/api/media-storage', authMiddleware, createMediaStorageRoutes(mediaStorageController));
+
+// ============================================
+// Push Notification Routes (Protected)
+// ============================================
+app.use('/api/notifications', authMiddleware, createNotificationsRoutes(notificationsController));
+
+// ============================================
+// Outgoing Webhook Routes (Protected)
+// ============================================
+app.use('/api/webhooks', authMiddleware, createWebhooksRoutes(webhooksController));
+
+// ============================================
+// Team Workspace Routes (Protected)
+// ============================================
+app.use('/api/workspaces', authMiddleware, createWorkspacesRoutes(workspacesController));
+
+// ============================================
+// Connected Accounts Routes (Protected)
+// ============================================
+app.use('/api/accounts', authMiddleware, createAccountsRoutes(accountsController));
+
+// ============================================
+// Local Media Files (Public - signed expiring links, fetched by Instagram)
+// ============================================
+app.use('/media', mediaRoutes);
+
 // ============================================
 // OAuth Routes (Partially Protected - callbacks are public)
 // ============================================
@@ -188,6 +305,11 @@ app.use('/api/instagram', authMiddleware, instagramStatusRoutes);
 // ============================================
 app.use('/api/stats', authMiddleware, statsRoutes);
 
+// ============================================
+// Instagram Insights Routes (Protected)
+// ============================================
+app.use('/api/insights', authMiddleware, createInsightsRoutes(insightsController));
+
 // ============================================
 // API Configuration Routes (Protected)
 // ============================================
@@ -231,7 +353,7 @@ app.post('/api/config/tone', authMiddleware, async (req, res) => {
 
   // Update automation workflow if running
   if (req.body.tone) {
-    automationController.updateAutomationConfig({ replyTone: req.body.tone });
+    automationController.updateAutomationConfig(req.userId, { replyTone: req.body.tone });
   }
 });
 
@@ -239,6 +361,23 @@ app.get('/api/config/tone', authMiddleware, (req, res) => {
   configController.getReplyTone(req, res);
 });
 
+// Comment source (polling or webhook)
+app.post('/api/config/comment-source', authMiddleware, async (req, res) => {
+  await configController.setCommentSource(req, res);
+
+  // Update automation workflow if running
+  if (req.body.commentSource && res.statusCode < 400) {
+    automationController.updateAutomationConfig(req.userId, {
+      commentSource: req.body.commentSource,
+      reconciliationIntervalSeconds: req.body.reconciliationIntervalSeconds
+    });
+  }
+});
+
+app.get('/api/config/comment-source', authMiddleware, (req, res) => {
+  configController.getCommentSource(req, res);
+});
+
 // API key validation
 app.post('/api/config/validate-api-key', authMiddleware, (req, res) => {
   configController.validateApiKey(req, res);
@@ -260,6 +399,26 @@ app.get('/api/automation/status', authMiddleware, (req, res) => {
   automationController.getAutomationStatus(req, res);
 });
 
+app.post('/api/automation/youtube/start', authMiddleware, (req, res) => {
+  automationController.startYouTubeAutomation(req, res);
+});
+
+app.post('/api/automation/youtube/stop', authMiddleware, (req, res) => {
+  automationController.stopYouTubeAutomation(req, res);
+});
+
+app.get('/api/automation/youtube/status', authMiddleware, (req, res) => {
+  automationController.getYouTubeAutomationStatus(req, res);
+});
+
+app.get('/api/automation/youtube/settings', authMiddleware, (req, res) => {
+  automationController.getYouTubeAutomationSettings(req, res);
+});
+
+app.put('/api/automation/youtube/settings', authMiddleware, (req, res) => {
+  automationController.updateYouTubeAutomationSettings(req, res);
+});
+
 // ============================================
 // Logs Routes (Protected)
 // ============================================
@@ -450,6 +609,11 @@ io.on('connection', (socket) => {
     dualPublishController.unsubscribeFromJob(socket, jobId);
   });
 
+  // Subscribe to the DM inbox (authenticated with the JWT)
+  socket.on('subscribe:inbox', (token, workspaceId) => {
+    messagesController.subscribeToInbox(socket, token, workspaceId);
+  });
+
   socket.on('disconnect', () => {
     console.log(`[Socket.IO] Client disconnected: ${socket.id}`);
   });
@@ -469,6 +633,24 @@ server.listen(PORT, async () => {
     const tokenRefreshService = require('./services/token-refresh.service');
     tokenRefreshService.start();
     console.log('[TokenRefresh] Automatic token refresh service started');
+
+    // Send queued outgoing webhook deliveries (and retries left by a restart)
+    webhookService.start();
+
+    // Run queued publish jobs (resumes jobs interrupted by a restart)
+    publishQueue.start();
+
+    // Publish scheduled posts and jobs (also picks up items due while the server was down)
+    publishScheduler.start();
+
+    // Delete hosted media Instagram has already fetched
+    mediaCleanup.start();
+
+    // Collect Instagram Insights time series
+    insightsCollector.start();
+
+    // Collect statistics of videos uploaded to YouTube
+    youtubeInsightsCollector.start();
   } catch (error) {
     console.error('Failed to connect to MongoDB. Server will continue but database features will not work.');
   }
@@ -490,10 +672,17 @@ server.listen(PORT, async () => {
   console.log('  DELETE /api/config/instagram');
   console.log('  POST   /api/config/tone');
   console.log('  GET    /api/config/tone');
+  console.log('  POST   /api/config/comment-source');
+  console.log('  GET    /api/config/comment-source');
   console.log('  POST   /api/config/validate-api-key');
   console.log('  POST   /api/automation/start');
   console.log('  POST   /api/automation/stop');
   console.log('  GET    /api/automation/status');
+  console.log('  POST   /api/automation/youtube/start');
+  console.log('  POST   /api/automation/youtube/stop');
+  console.log('  GET    /api/automation/youtube/status');
+  console.log('  GET    /api/automation/youtube/settings');
+  console.log('  PUT    /api/automation/youtube/settings');
   console.log('  GET    /api/logs');
   console.log('  GET    /api/logs/export');
   console.log('  DELETE /api/logs');
@@ -508,12 +697,13 @@ process.on('SIGTERM', async () => {
   console.log('SIGTERM received, shutting down gracefully...');
 
   // Stop automation if running
-  if (automationController.automationWorkflow) {
-    await automationController.stopAutomation({ body: {} }, {
-      json: () => { },
-      status: () => ({ json: () => { } })
-    });
-  }
+  await automationController.stopAll();
+  publishScheduler.stop();
+  mediaCleanup.stop();
+  insightsCollector.stop();
+  youtubeInsightsCollector.stop();
+  webhookService.stop();
+  await publishQueue.stop();
 
   process.exit(0);
 });
@@ -522,12 +712,13 @@ process.on('SIGINT', async () => {
   console.log('\nSIGINT received, shutting down gracefully...');
 
   // Stop automation if running
-  if (automationController.automationWorkflow) {
-    await automationController.stopAutomation({ body: {} }, {
-      json: () => { },
-      status: () => ({ json: () => { } })
-    });
-  }
+  await automationController.stopAll();
+  publishScheduler.stop();
+  mediaCleanup.stop();
+  insightsCollector.stop();
+  youtubeInsightsCollector.stop();
+  webhookService.stop();
+  await publishQueue.stop();
 
   process.exit(0);
 });
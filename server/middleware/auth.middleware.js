@@ -1,5 +1,64 @@
 const jwt = require('jsonwebtoken');
 const User = require('../models/User');
+const ActivityLog = require('../models/ActivityLog');
+const workspaces = require('../services/workspace.service');
+const { isPersonalRoute, isAllowed, requiredRole, describeChange } = require('../services/workspace-roles');
+
+const WRITE_METHODS = ['POST', 'PUT', 'PATCH', 'DELETE'];
+
+/**
+ * Act on a workspace instead of the signed-in person when the client sent X-Workspace-Id
+ * req.user / req.userId become the workspace account, so every route works on the
+ * shared accounts and data; req.actor is the member and req.workspace their role.
+ * Changes are written to the workspace's audit trail once the response is sent.
+ * @returns {Promise<boolean>} false when the request was rejected
+ */
+async function applyWorkspace(req, res, user) {
+  const workspaceId = req.headers['x-workspace-id'];
+  if (!workspaceId || isPersonalRoute(req.originalUrl)) {
+    return true;
+  }
+
+  let context;
+  try {
+    context = await workspaces.resolveContext(user._id, workspaceId);
+  } catch (error) {
+    if (!error.statusCode) {
+      throw error;
+    }
+    res.status(403).json({
+      success: false,
+      code: 'WORKSPACE_ACCESS',
+      error: 'You are not a member of this workspace'
+    });
+    return false;
+  }
+
+  const { workspace, role, account } = context;
+  if (!isAllowed(role, req.method, req.originalUrl)) {
+    res.status(403).json({
+      success: false,
+      error: `Your role (${role}) cannot do this. It needs the ${requiredRole(req.method, req.originalUrl)} role.`
+    });
+    return false;
+  }
+
+  req.actor = user;
+  req.workspace = { id: workspace._id, name: workspace.name, role };
+  req.user = account;
+  req.userId = account._id;
+
+  if (WRITE_METHODS.includes(req.method)) {
+    const url = req.originalUrl;
+    res.on('finish', () => {
+      if (res.statusCode >= 400) return;
+      const { message, details } = describeChange({ method: req.method, url, statusCode: res.statusCode }, { name: user.name, email: user.email, role });
+      ActivityLog.audit(account._id, user, 'workspace_change', message, details, req);
+    });
+  }
+
+  return true;
+}
 
 /**
  * Authentication Middleware
@@ -45,6 +104,10 @@ const authMiddleware = async (req, res, next) => {
     req.user = user;
     req.userId = user._id;
 
+    if (!(await applyWorkspace(req, res, user))) {
+      return;
+    }
+
     next();
   } catch (error) {
     if (error.name === 'JsonWebTokenError') {
@@ -100,6 +163,7 @@ const optionalAuth = async (req, res, next) => {
 
 /**
  * Admin only middleware
+ * Checks the signed-in person, also when acting on a workspace
  */
 const adminOnly = (req, res, next) => {
   if (!req.user) {
@@ -109,7 +173,7 @@ const adminOnly = (req, res, next) => {
     });
   }
 
-  if (req.user.role !== 'admin') {
+  if ((req.actor || req.user).role !== 'admin') {
     return res.status(403).json({
       success: false,
       error: 'Admin access required'
@@ -23,7 +23,8 @@ const activityLogSchema = new mongoose.Schema({
       'reply_posted',
       'error',
       'info',
-      'warning'
+      'warning',
+      'audit'
     ],
     index: true
   },
@@ -39,6 +40,12 @@ const activityLogSchema = new mongoose.Schema({
     type: mongoose.Schema.Types.Mixed,
     default: {}
   },
+  // Workspace member who made the change; null for personal accounts and background work
+  actorId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
   ipAddress: {
     type: String,
     default: null
@@ -74,6 +81,7 @@ activityLogSchema.statics.log = async function(userId, type, action, message, de
       action,
       message,
       details,
+      actorId: req?.actor?._id || null,
       ipAddress: req?.ip || req?.connection?.remoteAddress || null,
       userAgent: req?.get('user-agent') || null
     };
@@ -84,6 +92,28 @@ activityLogSchema.statics.log = async function(userId, type, action, message, de
   }
 };
 
+/**
+ * Record a change a workspace member made in the workspace's audit trail
+ * @param {string} userId - Workspace account
+ * @param {Object} actor - Member's User document
+ */
+activityLogSchema.statics.audit = async function(userId, actor, action, message, details = {}, req = null) {
+  try {
+    await this.create({
+      userId,
+      type: 'audit',
+      action,
+      message,
+      details: { ...details, actorName: actor.name, actorEmail: actor.email },
+      actorId: actor._id,
+      ipAddress: req?.ip || req?.connection?.remoteAddress || null,
+      userAgent: req?.get('user-agent') || null
+    });
+  } catch (error) {
+    console.error('Failed to create audit log:', error);
+  }
+};
+
 /**
  * Get logs for a user
  */
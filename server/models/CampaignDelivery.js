@@ -0,0 +1,69 @@
+const mongoose = require('mongoose');
+
+/**
+ * Campaign Delivery Schema
+ * One row per campaign and recipient; the unique index guarantees a single DM per user
+ */
+const campaignDeliverySchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  campaignId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'DMCampaign',
+    required: true
+  },
+  // Lowercased Instagram username of the commenter
+  recipient: {
+    type: String,
+    required: true
+  },
+  commentId: {
+    type: String,
+    required: true
+  },
+  status: {
+    type: String,
+    enum: ['pending', 'sent', 'failed'],
+    default: 'pending'
+  },
+  error: {
+    type: String,
+    default: null
+  },
+  sentAt: {
+    type: Date,
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+campaignDeliverySchema.index({ campaignId: 1, recipient: 1 }, { unique: true });
+campaignDeliverySchema.index({ campaignId: 1, createdAt: -1 });
+
+/**
+ * Reserve the recipient for a campaign before sending
+ * Failed deliveries can be claimed again by a later comment
+ * @returns {Promise<boolean>} - false when the user already got (or is getting) the DM
+ */
+campaignDeliverySchema.statics.claim = async function(userId, campaignId, recipient, commentId) {
+  try {
+    await this.create({ userId, campaignId, recipient, commentId });
+    return true;
+  } catch (error) {
+    if (error.code !== 11000) {
+      throw error;
+    }
+  }
+
+  const retried = await this.findOneAndUpdate(
+    { campaignId, recipient, status: 'failed' },
+    { $set: { status: 'pending', commentId, error: null } }
+  );
+  return !!retried;
+};
+
+module.exports = mongoose.model('CampaignDelivery', campaignDeliverySchema);
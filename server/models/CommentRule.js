@@ -0,0 +1,127 @@
+const mongoose = require('mongoose');
+
+/**
+ * Comment Rule Schema
+ * Per-user triage rules evaluated before a comment gets an AI reply.
+ * Every condition that is set must match (AND); unset conditions are ignored.
+ */
+const commentRuleSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    index: true
+  },
+  name: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: 100
+  },
+  enabled: {
+    type: Boolean,
+    default: true
+  },
+  // Lower numbers are evaluated first, the first matching rule wins
+  priority: {
+    type: Number,
+    default: 100
+  },
+  conditions: {
+    // Matches if any keyword appears in the comment (case-insensitive)
+    keywords: {
+      type: [String],
+      default: []
+    },
+    // Regular expression source, matched case-insensitively
+    pattern: {
+      type: String,
+      default: null
+    },
+    // Rule only applies to these usernames
+    usernames: {
+      type: [String],
+      default: []
+    },
+    // Rule never applies to these usernames
+    excludeUsernames: {
+      type: [String],
+      default: []
+    },
+    emojiOnly: {
+      type: Boolean,
+      default: null
+    },
+    containsLink: {
+      type: Boolean,
+      default: null
+    },
+    minLength: {
+      type: Number,
+      default: null,
+      min: 0
+    },
+    maxLength: {
+      type: Number,
+      default: null,
+      min: 0
+    },
+    // Writing systems detected from the text (latin, cyrillic, arabic, devanagari, ...)
+    scripts: {
+      type: [String],
+      default: []
+    }
+  },
+  action: {
+    type: {
+      type: String,
+      enum: ['ignore', 'template', 'ai_reply', 'hide', 'delete', 'escalate'],
+      required: true
+    },
+    // Canned reply for 'template', supports {{username}}
+    template: {
+      type: String,
+      default: null,
+      maxlength: 2200
+    },
+    // Tone override for 'ai_reply'
+    tone: {
+      type: String,
+      enum: ['friendly', 'formal', 'professional', null],
+      default: null
+    }
+  },
+  matchCount: {
+    type: Number,
+    default: 0
+  },
+  lastMatchedAt: {
+    type: Date,
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+commentRuleSchema.index({ userId: 1, priority: 1 });
+
+/**
+ * Get enabled rules for a user in evaluation order
+ */
+commentRuleSchema.statics.getActiveRules = async function(userId) {
+  return await this.find({ userId, enabled: true })
+    .sort({ priority: 1, createdAt: 1 })
+    .lean();
+};
+
+/**
+ * Record that a rule matched a comment
+ */
+commentRuleSchema.statics.recordMatch = async function(ruleId) {
+  await this.updateOne(
+    { _id: ruleId },
+    { $inc: { matchCount: 1 }, $set: { lastMatchedAt: new Date() } }
+  );
+};
+
+module.exports = mongoose.model('CommentRule', commentRuleSchema);
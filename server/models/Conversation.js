@@ -0,0 +1,98 @@
+const mongoose = require('mongoose');
+
+/**
+ * Conversation Schema
+ * One Instagram DM thread between the connected account and a participant
+ */
+const conversationSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    index: true
+  },
+  platform: {
+    type: String,
+    enum: ['instagram'],
+    default: 'instagram'
+  },
+  // Instagram account that owns the thread
+  accountId: {
+    type: String,
+    required: true
+  },
+  // Instagram-scoped ID (IGSID) of the other participant
+  participantId: {
+    type: String,
+    required: true
+  },
+  participantUsername: {
+    type: String,
+    default: null
+  },
+  // Graph API conversation ID, known once the thread has been synced
+  externalId: {
+    type: String,
+    default: null
+  },
+  lastMessageText: {
+    type: String,
+    default: null
+  },
+  lastMessageAt: {
+    type: Date,
+    default: null
+  },
+  // Meta only allows standard replies within 24 hours of the participant's last message
+  lastInboundAt: {
+    type: Date,
+    default: null
+  },
+  unreadCount: {
+    type: Number,
+    default: 0
+  },
+  autoReplyEnabled: {
+    type: Boolean,
+    default: true
+  },
+  lastAutoReplyAt: {
+    type: Date,
+    default: null
+  },
+  status: {
+    type: String,
+    enum: ['open', 'archived'],
+    default: 'open'
+  }
+}, {
+  timestamps: true
+});
+
+conversationSchema.index({ userId: 1, accountId: 1, participantId: 1 }, { unique: true });
+conversationSchema.index({ userId: 1, lastMessageAt: -1 });
+
+// Messaging window length in milliseconds
+conversationSchema.statics.MESSAGING_WINDOW_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Whether a standard reply can still be sent
+ */
+conversationSchema.methods.isWithinMessagingWindow = function(now = new Date()) {
+  if (!this.lastInboundAt) {
+    return false;
+  }
+  return now.getTime() - new Date(this.lastInboundAt).getTime() < this.constructor.MESSAGING_WINDOW_MS;
+};
+
+/**
+ * When the messaging window closes (null if it never opened)
+ */
+conversationSchema.methods.getWindowExpiresAt = function() {
+  if (!this.lastInboundAt) {
+    return null;
+  }
+  return new Date(new Date(this.lastInboundAt).getTime() + this.constructor.MESSAGING_WINDOW_MS);
+};
+
+module.exports = mongoose.model('Conversation', conversationSchema);
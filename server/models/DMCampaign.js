@@ -0,0 +1,90 @@
+const mongoose = require('mongoose');
+
+/**
+ * DM Campaign Schema
+ * "Comment KEYWORD and we DM you": commenters on the selected posts who use the
+ * trigger keyword get a private reply, at most once per campaign
+ */
+const dmCampaignSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    index: true
+  },
+  name: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: 100
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  // Instagram media IDs the campaign runs on
+  postIds: {
+    type: [String],
+    default: []
+  },
+  // Stored without # and lowercased
+  keyword: {
+    type: String,
+    required: true,
+    lowercase: true,
+    trim: true
+  },
+  link: {
+    type: String,
+    default: null
+  },
+  // Private reply; supports {username}, {link} and {keyword}
+  dmTemplate: {
+    type: String,
+    required: true,
+    maxlength: 1000
+  },
+  // Optional public reply to the triggering comment
+  publicReplyTemplate: {
+    type: String,
+    default: null
+  },
+  stats: {
+    triggers: { type: Number, default: 0 },
+    dmsSent: { type: Number, default: 0 },
+    dmsFailed: { type: Number, default: 0 },
+    duplicates: { type: Number, default: 0 },
+    publicReplies: { type: Number, default: 0 }
+  },
+  lastTriggeredAt: {
+    type: Date,
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+/**
+ * Get active campaigns for a user
+ */
+dmCampaignSchema.statics.getActiveCampaigns = async function(userId) {
+  return await this.find({ userId, isActive: true }).sort({ createdAt: 1 }).lean();
+};
+
+/**
+ * Increment campaign counters
+ * @param {Object} counters - e.g. { triggers: 1, dmsSent: 1 }
+ */
+dmCampaignSchema.statics.incrementStats = async function(campaignId, counters) {
+  const $inc = {};
+  for (const [key, value] of Object.entries(counters)) {
+    $inc[`stats.${key}`] = value;
+  }
+
+  await this.updateOne(
+    { _id: campaignId },
+    { $inc, $set: { lastTriggeredAt: new Date() } }
+  );
+};
+
+module.exports = mongoose.model('DMCampaign', dmCampaignSchema);
@@ -0,0 +1,77 @@
+const mongoose = require('mongoose');
+
+/**
+ * Direct Message Schema
+ * A single message in an Instagram DM conversation
+ */
+const directMessageSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    index: true
+  },
+  conversationId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Conversation',
+    required: true
+  },
+  // Instagram message ID (mid), used to de-duplicate webhook deliveries
+  messageId: {
+    type: String,
+    default: null
+  },
+  direction: {
+    type: String,
+    enum: ['inbound', 'outbound'],
+    required: true
+  },
+  text: {
+    type: String,
+    default: ''
+  },
+  attachments: {
+    type: [mongoose.Schema.Types.Mixed],
+    default: []
+  },
+  // How an outbound message was produced
+  source: {
+    type: String,
+    enum: ['webhook', 'sync', 'manual', 'auto_reply', 'campaign'],
+    default: 'webhook'
+  },
+  status: {
+    type: String,
+    enum: ['received', 'sent', 'failed'],
+    default: 'received'
+  },
+  error: {
+    type: String,
+    default: null
+  },
+  sentAt: {
+    type: Date,
+    default: Date.now
+  }
+}, {
+  timestamps: true
+});
+
+directMessageSchema.index({ conversationId: 1, sentAt: 1 });
+directMessageSchema.index(
+  { userId: 1, messageId: 1 },
+  { unique: true, partialFilterExpression: { messageId: { $type: 'string' } } }
+);
+
+/**
+ * Get the latest messages of a conversation in chronological order
+ */
+directMessageSchema.statics.getThread = async function(conversationId, limit = 50) {
+  const messages = await this.find({ conversationId })
+    .sort({ sentAt: -1 })
+    .limit(limit)
+    .lean();
+  return messages.reverse();
+};
+
+module.exports = mongoose.model('DirectMessage', directMessageSchema);
@@ -20,6 +20,17 @@ const processedCommentSchema = new mongoose.Schema({
     type: String,
     required: true
   },
+  // Where the comment was posted; postId is a YouTube video ID for 'youtube'
+  platform: {
+    type: String,
+    enum: ['instagram', 'youtube'],
+    default: 'instagram'
+  },
+  // Instagram account the comment was processed for; null for YouTube and older records
+  accountId: {
+    type: String,
+    default: null
+  },
   username: {
     type: String,
     required: true
@@ -36,11 +47,49 @@ const processedCommentSchema = new mongoose.Schema({
     type: String,
     default: null
   },
+  // Post context kept so replies can be regenerated from the review queue
+  postCaption: {
+    type: String,
+    default: null
+  },
+  postType: {
+    type: String,
+    default: null
+  },
+  replyOptions: {
+    type: [String],
+    default: []
+  },
   status: {
     type: String,
-    enum: ['detected', 'reply_generated', 'reply_posted', 'failed', 'skipped'],
+    enum: ['detected', 'reply_generated', 'pending_approval', 'posting', 'reply_posted', 'dm_sent', 'rejected', 'hidden', 'deleted', 'failed', 'skipped'],
     default: 'detected'
   },
+  // Moderation classification; overriddenLabel records a human correction
+  moderation: {
+    label: { type: String, enum: ['spam', 'toxic', 'neutral', 'positive', 'question', null], default: null },
+    confidence: { type: Number, default: null },
+    source: { type: String, enum: ['ai', 'heuristic', null], default: null },
+    action: { type: String, default: null },
+    overriddenLabel: { type: String, enum: ['spam', 'toxic', 'neutral', 'positive', 'question', null], default: null },
+    overriddenAt: { type: Date, default: null }
+  },
+  // Triage rule that decided how this comment was handled
+  triage: {
+    ruleId: { type: mongoose.Schema.Types.ObjectId, ref: 'CommentRule', default: null },
+    ruleName: { type: String, default: null },
+    action: { type: String, default: null }
+  },
+  // Comment-to-DM campaign that answered this comment
+  campaign: {
+    campaignId: { type: mongoose.Schema.Types.ObjectId, ref: 'DMCampaign', default: null },
+    campaignName: { type: String, default: null },
+    dmStatus: { type: String, enum: ['sent', 'failed', 'duplicate', null], default: null }
+  },
+  reviewedAt: {
+    type: Date,
+    default: null
+  },
   processedAt: {
     type: Date,
     default: Date.now
@@ -61,6 +110,8 @@ const processedCommentSchema = new mongoose.Schema({
 processedCommentSchema.index({ userId: 1, commentId: 1 }, { unique: true });
 processedCommentSchema.index({ userId: 1, processedAt: -1 });
 processedCommentSchema.index({ userId: 1, status: 1 });
+processedCommentSchema.index({ userId: 1, accountId: 1 });
+processedCommentSchema.index({ userId: 1, 'moderation.label': 1, processedAt: -1 });
 
 // TTL index - delete processed comments older than 30 days
 processedCommentSchema.index({ processedAt: 1 }, { expireAfterSeconds: 2592000 }); // 30 days
@@ -82,10 +133,17 @@ processedCommentSchema.statics.markProcessed = async function(userId, commentDat
       userId,
       commentId: commentData.id,
       postId: commentData.postId,
+      platform: commentData.platform || 'instagram',
+      accountId: commentData.accountId || null,
       username: commentData.username,
       commentText: commentData.text,
       replyText: commentData.reply || null,
       replyId: commentData.replyId || null,
+      postCaption: commentData.postCaption || null,
+      postType: commentData.postType || null,
+      triage: commentData.triage || undefined,
+      moderation: commentData.moderation || undefined,
+      campaign: commentData.campaign || undefined,
       status: commentData.status || 'detected'
     });
     return true;
@@ -120,6 +178,28 @@ processedCommentSchema.statics.getUserComments = async function(userId, options
     .lean();
 };
 
+/**
+ * Get replies waiting for human approval, oldest first
+ */
+processedCommentSchema.statics.getPendingApprovals = async function(userId, options = {}) {
+  const {
+    postId = null,
+    limit = 50,
+    skip = 0
+  } = options;
+
+  const query = { userId, status: 'pending_approval' };
+  if (postId) {
+    query.postId = postId;
+  }
+
+  return await this.find(query)
+    .sort({ processedAt: 1 })
+    .limit(limit)
+    .skip(skip)
+    .lean();
+};
+
 /**
  * Get statistics
  */
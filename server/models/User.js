@@ -1,6 +1,62 @@
 const mongoose = require('mongoose');
 const bcrypt = require('bcryptjs');
 
+/**
+ * YouTube comment automation settings for one channel
+ */
+const youtubeAutomationSchema = new mongoose.Schema({
+  pollIntervalSeconds: {
+    type: Number,
+    default: 600,
+    min: 60,
+    max: 86400
+  },
+  maxCommentsPerCheck: {
+    type: Number,
+    default: 5,
+    min: 1,
+    max: 50
+  },
+  // Uploads checked per cycle when monitorAll is on
+  recentVideos: {
+    type: Number,
+    default: 5,
+    min: 1,
+    max: 50
+  },
+  monitorAll: {
+    type: Boolean,
+    default: true
+  },
+  selectedVideos: {
+    type: [String],
+    default: []
+  },
+  approvalMode: {
+    type: String,
+    enum: ['auto', 'manual'],
+    default: 'auto'
+  },
+  moderation: {
+    enabled: { type: Boolean, default: false },
+    useAI: { type: Boolean, default: true },
+    spamAction: { type: String, enum: ['none', 'hide', 'delete'], default: 'hide' },
+    toxicAction: { type: String, enum: ['none', 'hide', 'delete'], default: 'hide' },
+    minConfidence: { type: Number, default: 0.7, min: 0, max: 1 }
+  },
+  // Data API units the automation may spend per day (replies cost 50, reads 1)
+  dailyQuotaBudget: {
+    type: Number,
+    default: 3000,
+    min: 100,
+    max: 1000000
+  },
+  isActive: {
+    type: Boolean,
+    default: false
+  }
+}, { _id: false });
+
 /**
  * User Schema
  * Stores user authentication and profile information
@@ -28,6 +84,12 @@ const userSchema = new mongoose.Schema({
     enum: ['user', 'admin'],
     default: 'user'
   },
+  // workspace: holds the shared accounts and data of a Workspace, nobody signs in as it
+  accountType: {
+    type: String,
+    enum: ['personal', 'workspace'],
+    default: 'personal'
+  },
   isActive: {
     type: Boolean,
     default: true
@@ -56,6 +118,83 @@ const userSchema = new mongoose.Schema({
     },
     lastTokenError: String, // Last error message
     lastTokenErrorAt: Date, // Last error timestamp
+    expiryNotifiedFor: Date, // tokenExpiresAt the "expires soon" push notification was sent for
+    isActive: {
+      type: Boolean,
+      default: true
+    },
+    lastUpdated: Date
+  },
+  facebookCredentials: {
+    accessToken: String, // Long-lived user access token (encrypted, ~60 days)
+    userId: String, // Facebook user ID
+    userName: String, // Facebook user name
+    pageId: String, // Page posts are published to
+    pageName: String,
+    pageAccessToken: String, // Page access token (encrypted, does not expire)
+    tokenExpiresAt: Date, // User token expiration date
+    tokenScopes: String, // Granted scopes (comma-separated)
+    // Login in progress, matched by the state parameter
+    pendingAuth: {
+      state: String,
+      createdAt: Date
+    },
+    isActive: {
+      type: Boolean,
+      default: true
+    },
+    lastUpdated: Date
+  },
+  twitterCredentials: {
+    accessToken: String, // OAuth 2.0 access token (encrypted, expires in 2 hours)
+    refreshToken: String, // Refresh token (encrypted, rotated on every refresh)
+    accountId: String, // X user ID
+    username: String, // Handle without @
+    name: String,
+    scope: String, // Granted scopes (space-separated)
+    tokenExpiresAt: Date,
+    // PKCE verifier of the login in progress, matched by the state parameter
+    pendingAuth: {
+      state: String,
+      codeVerifier: String, // encrypted
+      createdAt: Date
+    },
+    isActive: {
+      type: Boolean,
+      default: true
+    },
+    lastUpdated: Date
+  },
+  linkedinCredentials: {
+    accessToken: String, // Access token (encrypted, ~60 days)
+    refreshToken: String, // Only issued to approved partner apps (encrypted)
+    memberId: String, // Posts are authored as urn:li:person:{memberId}
+    memberName: String,
+    tokenExpiresAt: Date,
+    tokenScopes: String, // Granted scopes (comma-separated)
+    // Login in progress, matched by the state parameter
+    pendingAuth: {
+      state: String,
+      createdAt: Date
+    },
+    isActive: {
+      type: Boolean,
+      default: true
+    },
+    lastUpdated: Date
+  },
+  threadsCredentials: {
+    accessToken: String, // Long-lived access token (encrypted, ~60 days)
+    userId: String, // Threads user ID
+    username: String,
+    tokenExpiresAt: Date,
+    tokenScopes: String, // Granted scopes (comma-separated)
+    expiryNotifiedFor: Date, // tokenExpiresAt the "expires soon" push notification was sent for
+    // Login in progress, matched by the state parameter
+    pendingAuth: {
+      state: String,
+      createdAt: Date
+    },
     isActive: {
       type: Boolean,
       default: true
@@ -78,6 +217,40 @@ const userSchema = new mongoose.Schema({
     },
     lastUpdated: Date
   },
+  // Where images and videos are hosted for Instagram to fetch
+  mediaStorage: {
+    provider: {
+      type: String,
+      enum: ['default', 'cloudinary', 's3', 'local'],
+      default: 'default'
+    },
+    cloudinary: {
+      cloudName: String,
+      apiKey: String,
+      apiSecret: String // encrypted
+    },
+    s3: {
+      endpoint: String, // empty for AWS, e.g. http://minio:9000 for MinIO
+      region: String,
+      bucket: String,
+      accessKeyId: String,
+      secretAccessKey: String, // encrypted
+      publicUrl: String, // optional CDN / public bucket URL
+      forcePathStyle: {
+        type: Boolean,
+        default: false
+      }
+    },
+    lastUpdated: Date
+  },
+  // Push notifications per event, see services/notification-events.js
+  notificationPreferences: {
+    publishCompleted: { type: Boolean, default: true },
+    publishFailed: { type: Boolean, default: true },
+    tokenExpiring: { type: Boolean, default: true },
+    automationStopped: { type: Boolean, default: true },
+    commentFlagged: { type: Boolean, default: true }
+  },
   automationSettings: {
     replyTone: {
       type: String,
@@ -104,11 +277,107 @@ const userSchema = new mongoose.Schema({
       type: [String],
       default: []
     },
+    commentSource: {
+      type: String,
+      enum: ['polling', 'webhook'],
+      default: 'polling'
+    },
+    reconciliationIntervalSeconds: {
+      type: Number,
+      default: 900,
+      min: 60,
+      max: 86400
+    },
+    // 'manual' holds generated replies in the review queue instead of posting them
+    approvalMode: {
+      type: String,
+      enum: ['auto', 'manual'],
+      default: 'auto'
+    },
+    // Spam / toxicity moderation before replies
+    moderation: {
+      enabled: {
+        type: Boolean,
+        default: false
+      },
+      useAI: {
+        type: Boolean,
+        default: true
+      },
+      spamAction: {
+        type: String,
+        enum: ['none', 'hide', 'delete'],
+        default: 'hide'
+      },
+      toxicAction: {
+        type: String,
+        enum: ['none', 'hide', 'delete'],
+        default: 'hide'
+      },
+      minConfidence: {
+        type: Number,
+        default: 0.7,
+        min: 0,
+        max: 1
+      }
+    },
+    // Per-post overrides of approvalMode, keyed by Instagram media ID
+    postApprovalPolicies: {
+      type: Map,
+      of: {
+        type: String,
+        enum: ['auto', 'manual']
+      },
+      default: {}
+    },
+    // Instagram DM inbox
+    messaging: {
+      autoReplyEnabled: {
+        type: Boolean,
+        default: false
+      },
+      // First enabled rule matching an inbound message answers it
+      autoReplyRules: [{
+        name: {
+          type: String,
+          required: true,
+          trim: true
+        },
+        keywords: {
+          type: [String],
+          default: []
+        },
+        pattern: {
+          type: String,
+          default: null
+        },
+        // Canned reply; supports {{username}}
+        reply: {
+          type: String,
+          default: null
+        },
+        // Draft the reply with AI instead of using the canned text
+        useAI: {
+          type: Boolean,
+          default: false
+        },
+        enabled: {
+          type: Boolean,
+          default: true
+        }
+      }]
+    },
     isActive: {
       type: Boolean,
       default: false
     }
   },
+  // YouTube comment automation settings, keyed by channel ID (reply tone is shared with Instagram)
+  youtubeAutomation: {
+    type: Map,
+    of: youtubeAutomationSchema,
+    default: {}
+  },
   lastLogin: {
     type: Date,
     default: null
@@ -0,0 +1,36 @@
+const mongoose = require('mongoose');
+
+/**
+ * AccountInsight Schema
+ * Daily account-level Instagram Insights, one document per account per UTC day
+ */
+const accountInsightSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  accountId: {
+    type: String,
+    required: true
+  },
+  // Start of the UTC day
+  date: {
+    type: Date,
+    required: true
+  },
+  reach: Number,
+  impressions: Number, // "views" since Graph API v22
+  profileViews: Number,
+  // Profile snapshot taken when the day was last collected
+  followerCount: Number,
+  followsCount: Number,
+  mediaCount: Number,
+  collectedAt: Date
+}, {
+  timestamps: true
+});
+
+accountInsightSchema.index({ userId: 1, accountId: 1, date: 1 }, { unique: true });
+
+module.exports = mongoose.model('AccountInsight', accountInsightSchema);
@@ -0,0 +1,60 @@
+const mongoose = require('mongoose');
+const { ACCOUNT_PLATFORMS } = require('../services/account-settings');
+
+/**
+ * ConnectedAccount Schema
+ * Every Instagram account and YouTube channel a user connected. The active one per
+ * platform is also loaded into User.<platform>Credentials, which stays the source of
+ * truth for it; the others are kept here until the user switches to them.
+ */
+const connectedAccountSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    index: true
+  },
+  platform: {
+    type: String,
+    enum: Object.keys(ACCOUNT_PLATFORMS),
+    required: true
+  },
+  // Instagram account ID or YouTube channel ID
+  externalId: {
+    type: String,
+    required: true
+  },
+  name: {
+    type: String,
+    default: ''
+  },
+  // Copy of User.<platform>Credentials, tokens encrypted
+  credentials: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {}
+  },
+  // Instagram automation settings of this account, see services/account-settings.js
+  settings: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {}
+  },
+  // Loaded into User.<platform>Credentials
+  isActive: {
+    type: Boolean,
+    default: false
+  },
+  connectedAt: {
+    type: Date,
+    default: Date.now
+  },
+  lastUsedAt: Date
+}, {
+  timestamps: true
+});
+
+connectedAccountSchema.index({ userId: 1, platform: 1, externalId: 1 }, { unique: true });
+
+// Token refresh looks up the accounts that are not active
+connectedAccountSchema.index({ platform: 1, isActive: 1 });
+
+module.exports = mongoose.model('ConnectedAccount', connectedAccountSchema);
@@ -0,0 +1,52 @@
+const mongoose = require('mongoose');
+
+/**
+ * DataDeletionRequest Schema
+ * A data deletion request Meta sent on behalf of a platform user. The
+ * confirmation code is returned to Meta and shown on the public status page.
+ */
+const dataDeletionRequestSchema = new mongoose.Schema({
+  confirmationCode: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  platform: {
+    type: String,
+    enum: ['instagram'],
+    default: 'instagram'
+  },
+  // App-scoped user ID from the signed request
+  platformUserId: {
+    type: String,
+    required: true,
+    index: true
+  },
+  // Accounts that had connected this platform user; empty when none did
+  userIds: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }],
+  status: {
+    type: String,
+    enum: ['pending', 'completed', 'failed'],
+    default: 'pending'
+  },
+  // Number of records removed per kind
+  deleted: {
+    credentials: { type: Number, default: 0 },
+    comments: { type: Number, default: 0 },
+    posts: { type: Number, default: 0 },
+    activityLogs: { type: Number, default: 0 },
+    conversations: { type: Number, default: 0 },
+    messages: { type: Number, default: 0 },
+    campaignDeliveries: { type: Number, default: 0 },
+    insights: { type: Number, default: 0 }
+  },
+  error: String,
+  completedAt: Date
+}, {
+  timestamps: true
+});
+
+module.exports = mongoose.model('DataDeletionRequest', dataDeletionRequestSchema);
@@ -0,0 +1,69 @@
+const mongoose = require('mongoose');
+
+/**
+ * MediaAsset Schema
+ * Tracks files uploaded to a media storage backend so they can be deleted
+ * once Instagram has fetched them
+ */
+const mediaAssetSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    index: true
+  },
+  provider: {
+    type: String,
+    enum: ['cloudinary', 's3', 'local', 'imgbb'],
+    required: true
+  },
+  // Provider-specific key used for deletion (object key, Cloudinary public id, file path)
+  key: {
+    type: String,
+    required: true
+  },
+  // URL returned by the upload, as stored on posts and sent to Instagram
+  url: {
+    type: String,
+    required: true
+  },
+  contentType: String,
+  size: Number,
+  status: {
+    type: String,
+    enum: ['active', 'consumed', 'deleted', 'delete_failed'],
+    default: 'active'
+  },
+  // Set when a container using the asset was published
+  consumedAt: Date,
+  deleteAfter: Date,
+  deletedAt: Date,
+  error: String
+}, {
+  timestamps: true
+});
+
+mediaAssetSchema.index({ status: 1, deleteAfter: 1 });
+mediaAssetSchema.index({ url: 1 });
+
+/**
+ * Mark the assets behind these URLs as fetched by Instagram
+ * @param {string[]} urls
+ * @param {Date} deleteAfter - When the cleanup may delete them
+ */
+mediaAssetSchema.statics.markConsumed = function(urls, deleteAfter) {
+  return this.updateMany(
+    { url: { $in: urls }, status: 'active' },
+    { $set: { status: 'consumed', consumedAt: new Date(), deleteAfter } }
+  );
+};
+
+/**
+ * Assets whose retention period is over
+ */
+mediaAssetSchema.statics.findExpired = function(limit = 50) {
+  return this.find({ status: 'consumed', deleteAfter: { $lte: new Date() } })
+    .sort({ deleteAfter: 1 })
+    .limit(limit);
+};
+
+module.exports = mongoose.model('MediaAsset', mediaAssetSchema);
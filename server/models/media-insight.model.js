@@ -0,0 +1,49 @@
+const mongoose = require('mongoose');
+
+/**
+ * MediaInsight Schema
+ * Daily snapshots of per-media Instagram Insights (cumulative totals as of that day)
+ */
+const mediaInsightSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  accountId: String,
+  mediaId: {
+    type: String,
+    required: true
+  },
+  // Our post, when the media was published from an AI post
+  postId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Post',
+    default: null
+  },
+  mediaType: String, // IMAGE | VIDEO | CAROUSEL_ALBUM
+  mediaProductType: String, // FEED | REELS
+  permalink: String,
+  caption: String,
+  postedAt: Date,
+  // Start of the UTC day of the snapshot
+  date: {
+    type: Date,
+    required: true
+  },
+  likes: Number,
+  comments: Number,
+  saves: Number,
+  shares: Number,
+  plays: Number, // "views" since Graph API v22
+  reach: Number,
+  collectedAt: Date
+}, {
+  timestamps: true
+});
+
+mediaInsightSchema.index({ mediaId: 1, date: 1 }, { unique: true });
+mediaInsightSchema.index({ userId: 1, postedAt: -1 });
+mediaInsightSchema.index({ userId: 1, mediaId: 1, date: -1 });
+
+module.exports = mongoose.model('MediaInsight', mediaInsightSchema);
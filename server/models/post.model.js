@@ -1,5 +1,12 @@
 const mongoose = require('mongoose');
 
+// One carousel slide; array order is the order slides appear in
+const slideSchema = new mongoose.Schema({
+  imageUrl: String,
+  imagePrompt: String,
+  caption: String
+}, { _id: false });
+
 const postSchema = new mongoose.Schema({
   userId: {
     type: mongoose.Schema.Types.ObjectId,
@@ -12,6 +19,11 @@ const postSchema = new mongoose.Schema({
     enum: ['instagram', 'facebook', 'twitter'],
     default: 'instagram'
   },
+  mediaType: {
+    type: String,
+    enum: ['image', 'carousel'],
+    default: 'image'
+  },
   caption: {
     type: String,
     required: true
@@ -19,17 +31,55 @@ const postSchema = new mongoose.Schema({
   imagePrompt: {
     type: String
   },
+  // Cover image; for carousels this is the first slide
   imageUrl: {
     type: String
   },
+  // Carousel slides, empty for single-image posts
+  slides: {
+    type: [slideSchema],
+    default: []
+  },
+  // Instagram account to publish to; null publishes to the active account
+  accountId: {
+    type: String,
+    default: null
+  },
   instagramMediaId: {
     type: String
   },
+  // Page post ID when the post targets Facebook
+  facebookPostId: {
+    type: String
+  },
+  // First post of the thread when the post targets X
+  twitterPostId: {
+    type: String
+  },
+  // Story variant shared after the feed post is published
+  story: {
+    enabled: { type: Boolean, default: false },
+    imageUrl: String, // 9:16 version of the cover image; the cover is used when missing
+    status: { type: String, enum: ['pending', 'published', 'failed'], default: 'pending' },
+    mediaId: String,
+    error: String,
+    publishedAt: Date
+  },
   status: {
     type: String,
-    enum: ['draft', 'publishing', 'published', 'failed'],
+    enum: ['draft', 'scheduled', 'publishing', 'published', 'failed'],
     default: 'draft'
   },
+  // When the scheduler should publish the post
+  scheduledAt: {
+    type: Date,
+    default: null
+  },
+  // Set when the scheduler claims the post, used to detect interrupted publishes
+  publishStartedAt: {
+    type: Date,
+    default: null
+  },
   publishedAt: {
     type: Date
   },
@@ -38,13 +88,56 @@ const postSchema = new mongoose.Schema({
   },
   metadata: {
     type: mongoose.Schema.Types.Mixed
-  }
+  },
+  // Snapshot after generation and after every edit or regeneration
+  versions: [{
+    caption: String,
+    imageUrl: String,
+    imagePrompt: String,
+    slides: [slideSchema],
+    source: {
+      type: String,
+      enum: ['generated', 'edit', 'regenerate_caption', 'regenerate_hashtags', 'regenerate_image', 'restore']
+    },
+    createdAt: { type: Date, default: Date.now }
+  }]
 }, {
   timestamps: true
 });
 
+const MAX_VERSIONS = 50;
+
+/**
+ * Image URLs in publishing order: every slide for carousels, the single image otherwise
+ * @returns {string[]}
+ */
+postSchema.methods.getImageUrls = function() {
+  return this.mediaType === 'carousel'
+    ? this.slides.map(slide => slide.imageUrl)
+    : [this.imageUrl].filter(Boolean);
+};
+
+/**
+ * Record the current caption and image as a new version
+ * @param {string} source - What produced this version
+ */
+postSchema.methods.addVersion = function(source) {
+  this.versions.push({
+    caption: this.caption,
+    imageUrl: this.imageUrl,
+    imagePrompt: this.imagePrompt,
+    slides: this.slides.map(slide => slide.toObject()),
+    source
+  });
+
+  if (this.versions.length > MAX_VERSIONS) {
+    this.versions.splice(0, this.versions.length - MAX_VERSIONS);
+  }
+};
+
 // Index for efficient queries
 postSchema.index({ userId: 1, createdAt: -1 });
 postSchema.index({ userId: 1, status: 1 });
+postSchema.index({ status: 1, scheduledAt: 1 });
 
 module.exports = mongoose.model('Post', postSchema);
@@ -1,8 +1,23 @@
 const mongoose = require('mongoose');
 
+/**
+ * Publish result on one target platform
+ */
+const platformResultSchema = new mongoose.Schema({
+  status: { type: String, enum: ['pending', 'processing', 'completed', 'failed'], default: 'pending' },
+  // ID of the post on the platform (Instagram media ID, YouTube video ID, ...)
+  postId: String,
+  url: String,
+  error: String,
+  publishedAt: Date,
+  apiResponse: mongoose.Schema.Types.Mixed,
+  // Platform-specific extras, e.g. the Instagram media type
+  details: mongoose.Schema.Types.Mixed
+}, { _id: false });
+
 /**
  * PublishJob Schema
- * Tracks dual-platform publishing jobs with real-time progress
+ * Tracks multi-platform publishing jobs with real-time progress
  */
 const publishJobSchema = new mongoose.Schema({
   userId: {
@@ -19,17 +34,60 @@ const publishJobSchema = new mongoose.Schema({
   },
   status: {
     type: String,
-    enum: ['pending', 'processing', 'completed', 'failed', 'partial'],
+    // awaiting_review: content is generated and waits for the user to approve it
+    enum: ['pending', 'scheduled', 'processing', 'awaiting_review', 'completed', 'failed', 'partial', 'cancelled'],
     default: 'pending'
   },
+  // When the scheduler should start the job
+  scheduledAt: {
+    type: Date,
+    default: null
+  },
   videoFilename: {
     type: String,
     required: true
   },
+  // Platforms chosen for this job, see services/publishers
+  targets: [String],
+  // Connected account per platform, e.g. { instagram: '17841...' }; missing platforms use the active account
+  accounts: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {}
+  },
+  // Processed files in server/processed per platform, e.g. { instagram: { video, cover } },
+  // kept so a resumed or retried job can skip processing
+  artifacts: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {}
+  },
+  filesCleanedAt: Date,
+  // Queue state: a worker holds the lease while running and renews it with heartbeats
+  lease: {
+    owner: String,
+    expiresAt: Date
+  },
+  attempts: {
+    type: Number,
+    default: 0
+  },
+  maxAttempts: {
+    type: Number,
+    default: 3
+  },
+  nextAttemptAt: {
+    type: Date,
+    default: null
+  },
   contextText: {
     type: String,
     required: true
   },
+  options: {
+    // Also publish the Reel video as an Instagram Story
+    shareReelToStory: { type: Boolean, default: false },
+    // Pause after content generation until the user approves the content
+    reviewBeforePublish: { type: Boolean, default: false }
+  },
   aiProviders: {
     title: { provider: String, model: String },
     description: { provider: String, model: String },
@@ -40,25 +98,21 @@ const publishJobSchema = new mongoose.Schema({
     title: String,
     description: String,
     keywords: [String],
-    hashtags: [String]
+    hashtags: [String],
+    platformPayloads: mongoose.Schema.Types.Mixed
   },
+  // Publish result per target platform
   platforms: {
-    instagram: {
-      status: { type: String, enum: ['pending', 'processing', 'completed', 'failed'], default: 'pending' },
-      mediaId: String,
-      permalink: String,
-      error: String,
-      publishedAt: Date,
-      apiResponse: mongoose.Schema.Types.Mixed
-    },
-    youtube: {
-      status: { type: String, enum: ['pending', 'processing', 'completed', 'failed'], default: 'pending' },
-      videoId: String,
-      url: String,
-      error: String,
-      publishedAt: Date,
-      apiResponse: mongoose.Schema.Types.Mixed
-    }
+    type: Map,
+    of: platformResultSchema,
+    default: {}
+  },
+  // Story cross-post of the Reel, only used when options.shareReelToStory is set
+  story: {
+    status: { type: String, enum: ['pending', 'processing', 'completed', 'failed'], default: 'pending' },
+    mediaId: String,
+    error: String,
+    publishedAt: Date
   },
   progress: {
     currentStep: String,
@@ -81,5 +135,7 @@ const publishJobSchema = new mongoose.Schema({
 publishJobSchema.index({ userId: 1, createdAt: -1 });
 publishJobSchema.index({ jobId: 1 });
 publishJobSchema.index({ status: 1 });
+publishJobSchema.index({ status: 1, scheduledAt: 1 });
+publishJobSchema.index({ status: 1, nextAttemptAt: 1 });
 
 module.exports = mongoose.model('PublishJob', publishJobSchema);
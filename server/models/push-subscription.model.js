@@ -0,0 +1,34 @@
+const mongoose = require('mongoose');
+
+/**
+ * PushSubscription Schema
+ * A browser or device that receives Web Push notifications for a user.
+ * The endpoint is unique: subscribing again from the same browser updates the record.
+ */
+const pushSubscriptionSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    index: true
+  },
+  // Push service URL the encrypted messages are posted to
+  endpoint: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  keys: {
+    p256dh: { type: String, required: true }, // browser public key (base64url)
+    auth: { type: String, required: true } // authentication secret (base64url)
+  },
+  // Shown in settings to tell devices apart
+  userAgent: String,
+  lastSuccessAt: Date,
+  lastFailureAt: Date,
+  lastError: String
+}, {
+  timestamps: true
+});
+
+module.exports = mongoose.model('PushSubscription', pushSubscriptionSchema);
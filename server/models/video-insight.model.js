@@ -0,0 +1,46 @@
+const mongoose = require('mongoose');
+
+/**
+ * VideoInsight Schema
+ * Daily snapshots of YouTube video statistics (cumulative totals as of that day)
+ */
+const videoInsightSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  channelId: String,
+  videoId: {
+    type: String,
+    required: true
+  },
+  // The dual-publish job that uploaded the video
+  jobId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'PublishJob',
+    default: null
+  },
+  title: String,
+  publishedAt: Date,
+  // Start of the UTC day of the snapshot
+  date: {
+    type: Date,
+    required: true
+  },
+  views: Number,
+  likes: Number,
+  comments: Number,
+  // From the YouTube Analytics API, which lags two to three days behind
+  watchTimeMinutes: Number,
+  averageViewDurationSeconds: Number,
+  collectedAt: Date
+}, {
+  timestamps: true
+});
+
+videoInsightSchema.index({ videoId: 1, date: 1 }, { unique: true });
+videoInsightSchema.index({ userId: 1, publishedAt: -1 });
+videoInsightSchema.index({ userId: 1, videoId: 1, date: -1 });
+
+module.exports = mongoose.model('VideoInsight', videoInsightSchema);
@@ -0,0 +1,65 @@
+const mongoose = require('mongoose');
+
+/**
+ * WebhookDelivery Schema
+ * One event sent to one endpoint, with its retries.
+ * Deliveries double as the queue the dispatcher works through and as the
+ * delivery log shown per endpoint; they expire after 30 days.
+ */
+const webhookDeliverySchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    index: true
+  },
+  endpointId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'WebhookEndpoint',
+    required: true
+  },
+  // Same for every endpoint the event went to and for every retry, so receivers can deduplicate
+  eventId: {
+    type: String,
+    required: true
+  },
+  event: {
+    type: String,
+    required: true
+  },
+  // Rendered request body; the signature is computed per attempt
+  body: {
+    type: String,
+    required: true
+  },
+  status: {
+    type: String,
+    enum: ['pending', 'sending', 'delivered', 'failed'],
+    default: 'pending'
+  },
+  attempts: {
+    type: Number,
+    default: 0
+  },
+  maxAttempts: {
+    type: Number,
+    default: 6
+  },
+  nextAttemptAt: Date,
+  // Set while a worker is sending; an expired lease means the worker died
+  leaseExpiresAt: Date,
+  responseStatus: Number,
+  // Start of the response body, for troubleshooting
+  responseBody: String,
+  error: String,
+  durationMs: Number,
+  deliveredAt: Date
+}, {
+  timestamps: true
+});
+
+webhookDeliverySchema.index({ status: 1, nextAttemptAt: 1 });
+webhookDeliverySchema.index({ endpointId: 1, createdAt: -1 });
+webhookDeliverySchema.index({ createdAt: 1 }, { expireAfterSeconds: 30 * 24 * 60 * 60 });
+
+module.exports = mongoose.model('WebhookDelivery', webhookDeliverySchema);
@@ -0,0 +1,57 @@
+const mongoose = require('mongoose');
+const { WEBHOOK_EVENTS, WEBHOOK_FORMATS } = require('../services/webhook-payloads');
+
+/**
+ * WebhookEndpoint Schema
+ * A URL that receives signed POST requests for the events a user picked,
+ * as raw JSON or as a Slack / Discord message
+ */
+const webhookEndpointSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    index: true
+  },
+  name: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: 100
+  },
+  url: {
+    type: String,
+    required: true
+  },
+  format: {
+    type: String,
+    enum: WEBHOOK_FORMATS,
+    default: 'json'
+  },
+  events: {
+    type: [{ type: String, enum: WEBHOOK_EVENTS }],
+    validate: [events => events.length > 0, 'Select at least one event']
+  },
+  // HMAC signing secret (encrypted), shown to the user once
+  secret: {
+    type: String,
+    required: true
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  lastDeliveryAt: Date,
+  lastDeliveryStatus: {
+    type: String,
+    enum: ['delivered', 'failed']
+  },
+  lastError: String
+}, {
+  timestamps: true
+});
+
+// Fan-out looks up the active endpoints of a user subscribed to an event
+webhookEndpointSchema.index({ userId: 1, isActive: 1, events: 1 });
+
+module.exports = mongoose.model('WebhookEndpoint', webhookEndpointSchema);
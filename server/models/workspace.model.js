@@ -0,0 +1,91 @@
+const mongoose = require('mongoose');
+const { WORKSPACE_ROLES } = require('../services/workspace-roles');
+
+/**
+ * Workspace member
+ */
+const memberSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  role: {
+    type: String,
+    enum: WORKSPACE_ROLES,
+    required: true
+  },
+  addedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  joinedAt: {
+    type: Date,
+    default: Date.now
+  }
+}, { _id: false });
+
+/**
+ * Invitation waiting for the person with this email to accept it with the invitation link
+ */
+const invitationSchema = new mongoose.Schema({
+  email: {
+    type: String,
+    required: true,
+    lowercase: true,
+    trim: true
+  },
+  // SHA-256 of the one-time token in the invitation link
+  tokenHash: {
+    type: String
+  },
+  role: {
+    type: String,
+    enum: WORKSPACE_ROLES,
+    required: true
+  },
+  invitedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  }
+}, { _id: false, timestamps: { createdAt: true, updatedAt: false } });
+
+/**
+ * Workspace Schema
+ * A team sharing connected social accounts. The accounts, settings, jobs and
+ * logs belong to the workspace account (a User with accountType 'workspace'),
+ * so they stay with the workspace when members come and go.
+ */
+const workspaceSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: 100
+  },
+  accountId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    unique: true
+  },
+  members: {
+    type: [memberSchema],
+    default: []
+  },
+  invitations: {
+    type: [invitationSchema],
+    default: []
+  }
+}, {
+  timestamps: true
+});
+
+workspaceSchema.index({ 'members.userId': 1 });
+workspaceSchema.index({ 'invitations.email': 1 });
+
+module.exports = mongoose.model('Workspace', workspaceSchema);
@@ -0,0 +1,25 @@
+const express = require('express');
+
+/**
+ * Connected Accounts Routes
+ * Requires controller to be initialized with the automation controller
+ */
+function createAccountsRoutes(controller) {
+  const router = express.Router();
+
+  router.get('/', (req, res) => {
+    controller.listAccounts(req, res);
+  });
+
+  router.post('/:id/switch', (req, res) => {
+    controller.switchAccount(req, res);
+  });
+
+  router.delete('/:id', (req, res) => {
+    controller.removeAccount(req, res);
+  });
+
+  return router;
+}
+
+module.exports = createAccountsRoutes;
@@ -70,6 +70,54 @@ router.delete('/posts/:postId', (req, res) => {
   aiPostController.deletePost(req, res);
 });
 
+/**
+ * GET /api/ai-post/drafts
+ * List drafts, failed and scheduled posts for review
+ */
+router.get('/drafts', (req, res) => {
+  aiPostController.getDrafts(req, res);
+});
+
+/**
+ * GET /api/ai-post/posts/:postId
+ * Get a post with its version history
+ */
+router.get('/posts/:postId', (req, res) => {
+  aiPostController.getPost(req, res);
+});
+
+/**
+ * PATCH /api/ai-post/posts/:postId
+ * Edit caption text, hashtags or image prompt of a draft
+ */
+router.patch('/posts/:postId', (req, res) => {
+  aiPostController.updatePost(req, res);
+});
+
+/**
+ * POST /api/ai-post/posts/:postId/regenerate
+ * Regenerate only the caption, hashtags or image
+ */
+router.post('/posts/:postId/regenerate', (req, res) => {
+  aiPostController.regeneratePart(req, res);
+});
+
+/**
+ * POST /api/ai-post/posts/:postId/versions/:versionId/restore
+ * Restore an earlier version
+ */
+router.post('/posts/:postId/versions/:versionId/restore', (req, res) => {
+  aiPostController.restoreVersion(req, res);
+});
+
+/**
+ * POST /api/ai-post/posts/:postId/publish
+ * Publish a draft to Instagram now
+ */
+router.post('/posts/:postId/publish', (req, res) => {
+  aiPostController.publishDraft(req, res);
+});
+
 /**
  * POST /api/ai-post/api-key
  * Save and validate Gemini API key
@@ -0,0 +1,224 @@
+const express = require('express');
+const router = express.Router();
+const mongoose = require('mongoose');
+const CommentRule = require('../models/CommentRule');
+const { triageComment, validateRule } = require('../services/comment-triage');
+
+const MAX_RULES_PER_USER = 100;
+
+/**
+ * Pick the editable fields from a request body
+ */
+function buildRule(body = {}) {
+  const conditions = body.conditions || {};
+  const toList = (value) => (Array.isArray(value) ? value.map(v => String(v).trim()).filter(Boolean) : []);
+  const toNumber = (value) => (value === null || value === undefined || value === '' ? null : Number(value));
+  const toFlag = (value) => (typeof value === 'boolean' ? value : null);
+
+  return {
+    name: typeof body.name === 'string' ? body.name.trim() : body.name,
+    enabled: body.enabled !== false,
+    priority: Number.isFinite(Number(body.priority)) ? Number(body.priority) : 100,
+    conditions: {
+      keywords: toList(conditions.keywords),
+      pattern: conditions.pattern ? String(conditions.pattern) : null,
+      usernames: toList(conditions.usernames),
+      excludeUsernames: toList(conditions.excludeUsernames),
+      emojiOnly: toFlag(conditions.emojiOnly),
+      containsLink: toFlag(conditions.containsLink),
+      minLength: toNumber(conditions.minLength),
+      maxLength: toNumber(conditions.maxLength),
+      scripts: toList(conditions.scripts)
+    },
+    action: {
+      type: body.action?.type,
+      template: body.action?.template || null,
+      tone: body.action?.tone || null
+    }
+  };
+}
+
+/**
+ * GET /api/comment-rules - List the user's triage rules
+ */
+router.get('/', async (req, res) => {
+  try {
+    const userId = req.userId || req.user?._id;
+    const rules = await CommentRule.find({ userId }).sort({ priority: 1, createdAt: 1 }).lean();
+
+    res.json({
+      success: true,
+      rules
+    });
+  } catch (error) {
+    console.error('Error fetching comment rules:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch comment rules'
+    });
+  }
+});
+
+/**
+ * POST /api/comment-rules - Create a triage rule
+ */
+router.post('/', async (req, res) => {
+  try {
+    const userId = req.userId || req.user?._id;
+    const rule = buildRule(req.body);
+    const errors = validateRule(rule);
+
+    if (errors.length > 0) {
+      return res.status(400).json({
+        success: false,
+        error: errors.join('. ')
+      });
+    }
+
+    const count = await CommentRule.countDocuments({ userId });
+    if (count >= MAX_RULES_PER_USER) {
+      return res.status(400).json({
+        success: false,
+        error: `You can have at most ${MAX_RULES_PER_USER} rules`
+      });
+    }
+
+    const created = await CommentRule.create({ ...rule, userId });
+
+    res.status(201).json({
+      success: true,
+      message: 'Rule created successfully',
+      rule: created
+    });
+  } catch (error) {
+    console.error('Error creating comment rule:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message || 'Failed to create comment rule'
+    });
+  }
+});
+
+/**
+ * POST /api/comment-rules/test - Preview which rule a comment would match
+ */
+router.post('/test', async (req, res) => {
+  try {
+    const userId = req.userId || req.user?._id;
+    const { text, username } = req.body;
+
+    if (typeof text !== 'string') {
+      return res.status(400).json({
+        success: false,
+        error: 'text is required'
+      });
+    }
+
+    const rules = await CommentRule.getActiveRules(userId);
+    const decision = triageComment({ text, username: username || '' }, rules);
+
+    res.json({
+      success: true,
+      action: decision.action,
+      ruleId: decision.rule?._id || null,
+      ruleName: decision.rule?.name || null,
+      tone: decision.tone,
+      reply: decision.reply
+    });
+  } catch (error) {
+    console.error('Error testing comment rules:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to test comment rules'
+    });
+  }
+});
+
+/**
+ * PUT /api/comment-rules/:ruleId - Update a triage rule
+ */
+router.put('/:ruleId', async (req, res) => {
+  try {
+    const userId = req.userId || req.user?._id;
+
+    if (!mongoose.isValidObjectId(req.params.ruleId)) {
+      return res.status(404).json({
+        success: false,
+        error: 'Rule not found'
+      });
+    }
+
+    const rule = buildRule(req.body);
+    const errors = validateRule(rule);
+
+    if (errors.length > 0) {
+      return res.status(400).json({
+        success: false,
+        error: errors.join('. ')
+      });
+    }
+
+    const updated = await CommentRule.findOneAndUpdate(
+      { _id: req.params.ruleId, userId },
+      { $set: rule },
+      { new: true, runValidators: true }
+    );
+
+    if (!updated) {
+      return res.status(404).json({
+        success: false,
+        error: 'Rule not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Rule updated successfully',
+      rule: updated
+    });
+  } catch (error) {
+    console.error('Error updating comment rule:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message || 'Failed to update comment rule'
+    });
+  }
+});
+
+/**
+ * DELETE /api/comment-rules/:ruleId - Delete a triage rule
+ */
+router.delete('/:ruleId', async (req, res) => {
+  try {
+    const userId = req.userId || req.user?._id;
+
+    if (!mongoose.isValidObjectId(req.params.ruleId)) {
+      return res.status(404).json({
+        success: false,
+        error: 'Rule not found'
+      });
+    }
+
+    const result = await CommentRule.deleteOne({ _id: req.params.ruleId, userId });
+
+    if (result.deletedCount === 0) {
+      return res.status(404).json({
+        success: false,
+        error: 'Rule not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Rule deleted successfully'
+    });
+  } catch (error) {
+    console.error('Error deleting comment rule:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to delete comment rule'
+    });
+  }
+});
+
+module.exports = router;
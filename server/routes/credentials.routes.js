@@ -4,6 +4,7 @@ const User = require('../models/User');
 const { EncryptionService } = require('../services/encryption.service');
 const InstagramGraphService = require('../services/instagram-graph.service');
 const YouTubePublisherService = require('../services/youtube-publisher.service');
+const connectedAccounts = require('../services/connected-accounts.service');
 const { authMiddleware } = require('../middleware/auth.middleware');
 
 const encryptionService = new EncryptionService();
@@ -39,6 +40,30 @@ router.get('/', async (req, res) => {
           accountName: user.instagramCredentials?.accountName || null,
           isActive: user.instagramCredentials?.isActive !== false
         },
+        facebook: {
+          configured: !!(user.facebookCredentials?.pageAccessToken),
+          // Logged in, but the Page to publish to has not been picked yet
+          needsPageSelection: !!(user.facebookCredentials?.accessToken && !user.facebookCredentials?.pageAccessToken),
+          userName: user.facebookCredentials?.userName || null,
+          pageId: user.facebookCredentials?.pageId || null,
+          pageName: user.facebookCredentials?.pageName || null
+        },
+        twitter: {
+          configured: !!(user.twitterCredentials?.accessToken),
+          accountId: user.twitterCredentials?.accountId || null,
+          username: user.twitterCredentials?.username || null,
+          name: user.twitterCredentials?.name || null
+        },
+        linkedin: {
+          configured: !!(user.linkedinCredentials?.accessToken),
+          memberName: user.linkedinCredentials?.memberName || null,
+          tokenExpiresAt: user.linkedinCredentials?.tokenExpiresAt || null
+        },
+        threads: {
+          configured: !!(user.threadsCredentials?.accessToken),
+          userId: user.threadsCredentials?.userId || null,
+          username: user.threadsCredentials?.username || null
+        },
         youtube: {
           configured: !!(user.youtubeCredentials?.accessToken),
           channelId: user.youtubeCredentials?.channelId || null,
@@ -92,6 +117,7 @@ router.post('/instagram', async (req, res) => {
 
     // Encrypt the access token
     const encryptedToken = encryptionService.encrypt(accessToken);
+    const previousAccountId = await connectedAccounts.stash(user, 'instagram');
 
     user.instagramCredentials = {
       accessToken: encryptedToken,
@@ -102,6 +128,7 @@ router.post('/instagram', async (req, res) => {
       lastUpdated: new Date()
     };
 
+    await connectedAccounts.adopt(user, 'instagram', previousAccountId);
     await user.save();
 
     res.json({
@@ -189,7 +216,8 @@ router.delete('/instagram', async (req, res) => {
       });
     }
 
-    user.instagramCredentials = undefined;
+    // Another connected Instagram account becomes active, if there is one
+    await connectedAccounts.removeActive(user, 'instagram');
     await user.save();
 
     res.json({
@@ -205,6 +233,158 @@ router.delete('/instagram', async (req, res) => {
   }
 });
 
+/**
+ * DELETE /api/credentials/facebook - Delete Facebook Page credentials
+ */
+router.delete('/facebook', async (req, res) => {
+  try {
+    const userId = req.userId || req.user?._id;
+
+    if (!userId) {
+      return res.status(401).json({
+        success: false,
+        error: 'User not authenticated'
+      });
+    }
+
+    const user = await User.findById(userId);
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        error: 'User not found'
+      });
+    }
+
+    user.facebookCredentials = undefined;
+    await user.save();
+
+    res.json({
+      success: true,
+      message: 'Facebook credentials deleted successfully'
+    });
+  } catch (error) {
+    console.error('Error deleting Facebook credentials:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to delete Facebook credentials'
+    });
+  }
+});
+
+/**
+ * DELETE /api/credentials/twitter - Delete X credentials
+ */
+router.delete('/twitter', async (req, res) => {
+  try {
+    const userId = req.userId || req.user?._id;
+
+    if (!userId) {
+      return res.status(401).json({
+        success: false,
+        error: 'User not authenticated'
+      });
+    }
+
+    const user = await User.findById(userId);
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        error: 'User not found'
+      });
+    }
+
+    user.twitterCredentials = undefined;
+    await user.save();
+
+    res.json({
+      success: true,
+      message: 'X credentials deleted successfully'
+    });
+  } catch (error) {
+    console.error('Error deleting X credentials:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to delete X credentials'
+    });
+  }
+});
+
+/**
+ * DELETE /api/credentials/linkedin - Delete LinkedIn credentials
+ */
+router.delete('/linkedin', async (req, res) => {
+  try {
+    const userId = req.userId || req.user?._id;
+
+    if (!userId) {
+      return res.status(401).json({
+        success: false,
+        error: 'User not authenticated'
+      });
+    }
+
+    const user = await User.findById(userId);
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        error: 'User not found'
+      });
+    }
+
+    user.linkedinCredentials = undefined;
+    await user.save();
+
+    res.json({
+      success: true,
+      message: 'LinkedIn credentials deleted successfully'
+    });
+  } catch (error) {
+    console.error('Error deleting LinkedIn credentials:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to delete LinkedIn credentials'
+    });
+  }
+});
+
+/**
+ * DELETE /api/credentials/threads - Delete Threads credentials
+ */
+router.delete('/threads', async (req, res) => {
+  try {
+    const userId = req.userId || req.user?._id;
+
+    if (!userId) {
+      return res.status(401).json({
+        success: false,
+        error: 'User not authenticated'
+      });
+    }
+
+    const user = await User.findById(userId);
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        error: 'User not found'
+      });
+    }
+
+    user.threadsCredentials = undefined;
+    await user.save();
+
+    res.json({
+      success: true,
+      message: 'Threads credentials deleted successfully'
+    });
+  } catch (error) {
+    console.error('Error deleting Threads credentials:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to delete Threads credentials'
+    });
+  }
+});
+
 module.exports = router;
 
 
@@ -242,6 +422,7 @@ router.post('/youtube', async (req, res) => {
     // Encrypt the access token
     const encryptedToken = encryptionService.encrypt(accessToken);
     const encryptedRefreshToken = refreshToken ? encryptionService.encrypt(refreshToken) : null;
+    const previousChannelId = await connectedAccounts.stash(user, 'youtube');
 
     user.youtubeCredentials = {
       accessToken: encryptedToken,
@@ -252,6 +433,7 @@ router.post('/youtube', async (req, res) => {
       lastUpdated: new Date()
     };
 
+    await connectedAccounts.adopt(user, 'youtube', previousChannelId);
     await user.save();
 
     res.json({
@@ -380,7 +562,8 @@ router.delete('/youtube', async (req, res) => {
       });
     }
 
-    user.youtubeCredentials = undefined;
+    // Another connected YouTube channel becomes active, if there is one
+    await connectedAccounts.removeActive(user, 'youtube');
     await user.save();
 
     res.json({
@@ -0,0 +1,208 @@
+const express = require('express');
+const router = express.Router();
+const mongoose = require('mongoose');
+const DMCampaign = require('../models/DMCampaign');
+const CampaignDelivery = require('../models/CampaignDelivery');
+const { validateCampaign, normalizeKeyword } = require('../services/dm-campaign');
+
+const MAX_CAMPAIGNS_PER_USER = 50;
+
+/**
+ * Pick the editable fields from a request body
+ */
+function buildCampaign(body = {}) {
+  return {
+    name: typeof body.name === 'string' ? body.name.trim() : body.name,
+    isActive: body.isActive !== false,
+    postIds: Array.isArray(body.postIds) ? [...new Set(body.postIds.map(id => String(id).trim()).filter(Boolean))] : body.postIds,
+    keyword: normalizeKeyword(body.keyword),
+    link: body.link ? String(body.link).trim() : null,
+    dmTemplate: typeof body.dmTemplate === 'string' ? body.dmTemplate.trim() : body.dmTemplate,
+    publicReplyTemplate: body.publicReplyTemplate ? String(body.publicReplyTemplate).trim() : null
+  };
+}
+
+/**
+ * GET /api/dm-campaigns - List the user's campaigns with their stats
+ */
+router.get('/', async (req, res) => {
+  try {
+    const userId = req.userId || req.user?._id;
+    const campaigns = await DMCampaign.find({ userId }).sort({ createdAt: -1 }).lean();
+
+    res.json({
+      success: true,
+      campaigns
+    });
+  } catch (error) {
+    console.error('Error fetching DM campaigns:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch DM campaigns'
+    });
+  }
+});
+
+/**
+ * POST /api/dm-campaigns - Create a campaign
+ */
+router.post('/', async (req, res) => {
+  try {
+    const userId = req.userId || req.user?._id;
+    const campaign = buildCampaign(req.body);
+    const errors = validateCampaign(campaign);
+
+    if (errors.length > 0) {
+      return res.status(400).json({
+        success: false,
+        error: errors.join('. ')
+      });
+    }
+
+    const count = await DMCampaign.countDocuments({ userId });
+    if (count >= MAX_CAMPAIGNS_PER_USER) {
+      return res.status(400).json({
+        success: false,
+        error: `You can have at most ${MAX_CAMPAIGNS_PER_USER} campaigns`
+      });
+    }
+
+    const created = await DMCampaign.create({ ...campaign, userId });
+
+    res.status(201).json({
+      success: true,
+      message: 'Campaign created successfully',
+      campaign: created
+    });
+  } catch (error) {
+    console.error('Error creating DM campaign:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message || 'Failed to create DM campaign'
+    });
+  }
+});
+
+/**
+ * PUT /api/dm-campaigns/:campaignId - Update a campaign
+ */
+router.put('/:campaignId', async (req, res) => {
+  try {
+    const userId = req.userId || req.user?._id;
+
+    if (!mongoose.isValidObjectId(req.params.campaignId)) {
+      return res.status(404).json({
+        success: false,
+        error: 'Campaign not found'
+      });
+    }
+
+    const campaign = buildCampaign(req.body);
+    const errors = validateCampaign(campaign);
+
+    if (errors.length > 0) {
+      return res.status(400).json({
+        success: false,
+        error: errors.join('. ')
+      });
+    }
+
+    const updated = await DMCampaign.findOneAndUpdate(
+      { _id: req.params.campaignId, userId },
+      { $set: campaign },
+      { new: true, runValidators: true }
+    );
+
+    if (!updated) {
+      return res.status(404).json({
+        success: false,
+        error: 'Campaign not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Campaign updated successfully',
+      campaign: updated
+    });
+  } catch (error) {
+    console.error('Error updating DM campaign:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message || 'Failed to update DM campaign'
+    });
+  }
+});
+
+/**
+ * GET /api/dm-campaigns/:campaignId/deliveries - Recent DMs sent by a campaign
+ */
+router.get('/:campaignId/deliveries', async (req, res) => {
+  try {
+    const userId = req.userId || req.user?._id;
+    const limit = Math.min(parseInt(req.query.limit) || 50, 200);
+
+    if (!mongoose.isValidObjectId(req.params.campaignId)) {
+      return res.status(404).json({
+        success: false,
+        error: 'Campaign not found'
+      });
+    }
+
+    const deliveries = await CampaignDelivery.find({ userId, campaignId: req.params.campaignId })
+      .sort({ createdAt: -1 })
+      .limit(limit)
+      .lean();
+
+    res.json({
+      success: true,
+      deliveries
+    });
+  } catch (error) {
+    console.error('Error fetching campaign deliveries:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch campaign deliveries'
+    });
+  }
+});
+
+/**
+ * DELETE /api/dm-campaigns/:campaignId - Delete a campaign and its delivery history
+ */
+router.delete('/:campaignId', async (req, res) => {
+  try {
+    const userId = req.userId || req.user?._id;
+
+    if (!mongoose.isValidObjectId(req.params.campaignId)) {
+      return res.status(404).json({
+        success: false,
+        error: 'Campaign not found'
+      });
+    }
+
+    const result = await DMCampaign.deleteOne({ _id: req.params.campaignId, userId });
+
+    if (result.deletedCount === 0) {
+      return res.status(404).json({
+        success: false,
+        error: 'Campaign not found'
+      });
+    }
+
+    await CampaignDelivery.deleteMany({ userId, campaignId: req.params.campaignId });
+
+    res.json({
+      success: true,
+      message: 'Campaign deleted successfully'
+    });
+  } catch (error) {
+    console.error('Error deleting DM campaign:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to delete DM campaign'
+    });
+  }
+});
+
+module.exports = router;
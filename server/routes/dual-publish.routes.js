@@ -6,19 +6,51 @@ const router = express.Router();
  * Requires controller to be initialized with Socket.IO instance
  */
 function createDualPublishRoutes(controller) {
+  // Platforms a job can publish to
+  router.get('/platforms', (req, res) => {
+    controller.getPlatforms(req, res);
+  });
+
   // Start publishing job
   router.post('/dual', controller.upload.single('video'), (req, res) => {
     controller.startPublishJob(req, res);
   });
 
+  // Get user's jobs (registered before /dual/:jobId so "jobs" is not read as an id)
+  router.get('/dual/jobs', (req, res) => {
+    controller.getUserJobs(req, res);
+  });
+
   // Get job status
   router.get('/dual/:jobId', (req, res) => {
     controller.getJobStatus(req, res);
   });
 
-  // Get user's jobs
-  router.get('/dual/jobs', (req, res) => {
-    controller.getUserJobs(req, res);
+  // Retry failed platforms of a partial or failed job
+  router.post('/dual/:jobId/retry', (req, res) => {
+    controller.retryJob(req, res);
+  });
+
+  // Review generated content before a job publishes
+  router.get('/dual/:jobId/review', (req, res) => {
+    controller.getReview(req, res);
+  });
+
+  router.patch('/dual/:jobId/review', (req, res) => {
+    controller.updateReview(req, res);
+  });
+
+  router.post('/dual/:jobId/review/regenerate', (req, res) => {
+    controller.regenerateReviewField(req, res);
+  });
+
+  router.post('/dual/:jobId/review/approve', (req, res) => {
+    controller.approveReview(req, res);
+  });
+
+  // Current state of the post on one platform
+  router.get('/dual/:jobId/platforms/:platform', (req, res) => {
+    controller.getPlatformStatus(req, res);
   });
 
   return router;
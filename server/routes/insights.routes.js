@@ -0,0 +1,46 @@
+const express = require('express');
+
+/**
+ * Insights Routes
+ * Stored Instagram Insights and YouTube statistics for charts, per-post drill-down
+ * and the Instagram vs YouTube comparison
+ */
+function createInsightsRoutes(controller) {
+  const router = express.Router();
+
+  router.get('/account', (req, res) => {
+    controller.getAccount(req, res);
+  });
+
+  router.get('/media', (req, res) => {
+    controller.getMedia(req, res);
+  });
+
+  router.get('/media/:mediaId', (req, res) => {
+    controller.getMediaDetail(req, res);
+  });
+
+  router.post('/refresh', (req, res) => {
+    controller.refresh(req, res);
+  });
+
+  router.get('/youtube', (req, res) => {
+    controller.getVideos(req, res);
+  });
+
+  router.post('/youtube/refresh', (req, res) => {
+    controller.refreshYouTube(req, res);
+  });
+
+  router.get('/youtube/:videoId', (req, res) => {
+    controller.getVideoDetail(req, res);
+  });
+
+  router.get('/comparison', (req, res) => {
+    controller.getComparison(req, res);
+  });
+
+  return router;
+}
+
+module.exports = createInsightsRoutes;
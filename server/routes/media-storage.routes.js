@@ -0,0 +1,25 @@
+const express = require('express');
+
+/**
+ * Media Storage Routes
+ * Per-user media hosting backend settings
+ */
+function createMediaStorageRoutes(controller) {
+  const router = express.Router();
+
+  router.get('/', (req, res) => {
+    controller.getSettings(req, res);
+  });
+
+  router.put('/', (req, res) => {
+    controller.updateSettings(req, res);
+  });
+
+  router.post('/test', (req, res) => {
+    controller.testSettings(req, res);
+  });
+
+  return router;
+}
+
+module.exports = createMediaStorageRoutes;
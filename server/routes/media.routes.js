@@ -0,0 +1,41 @@
+const express = require('express');
+const { verifyMediaSignature } = require('../services/media-signing');
+const { resolveLocalMediaPath } = require('../services/media-storage-adapters');
+const router = express.Router();
+
+/**
+ * GET /media/:userId/:filename?expires=&signature=
+ * Serves files of the local disk media storage (public, signed expiring links)
+ */
+router.get('/:userId/:filename', (req, res) => {
+  const key = `${req.params.userId}/${req.params.filename}`;
+  const secret = process.env.MEDIA_SIGNING_SECRET || process.env.JWT_SECRET;
+
+  if (!secret || !verifyMediaSignature(key, req.query.expires, req.query.signature, secret)) {
+    return res.status(403).json({
+      success: false,
+      error: 'Invalid or expired media link'
+    });
+  }
+
+  let filePath;
+  try {
+    filePath = resolveLocalMediaPath(key);
+  } catch {
+    return res.status(400).json({
+      success: false,
+      error: 'Invalid media path'
+    });
+  }
+
+  res.sendFile(filePath, { maxAge: '1h' }, (error) => {
+    if (error && !res.headersSent) {
+      res.status(error.statusCode || 404).json({
+        success: false,
+        error: 'Media not found'
+      });
+    }
+  });
+});
+
+module.exports = router;
@@ -0,0 +1,45 @@
+const express = require('express');
+
+/**
+ * Messages Routes
+ * Instagram DM inbox
+ */
+function createMessagesRoutes(controller) {
+  const router = express.Router();
+
+  router.get('/settings', (req, res) => {
+    controller.getSettings(req, res);
+  });
+
+  router.put('/settings', (req, res) => {
+    controller.updateSettings(req, res);
+  });
+
+  router.post('/sync', (req, res) => {
+    controller.sync(req, res);
+  });
+
+  router.get('/conversations', (req, res) => {
+    controller.getConversations(req, res);
+  });
+
+  router.patch('/conversations/:conversationId', (req, res) => {
+    controller.updateConversation(req, res);
+  });
+
+  router.get('/conversations/:conversationId/messages', (req, res) => {
+    controller.getMessages(req, res);
+  });
+
+  router.post('/conversations/:conversationId/messages', (req, res) => {
+    controller.sendMessage(req, res);
+  });
+
+  router.post('/conversations/:conversationId/draft', (req, res) => {
+    controller.draftReply(req, res);
+  });
+
+  return router;
+}
+
+module.exports = createMessagesRoutes;
@@ -0,0 +1,30 @@
+const express = require('express');
+
+/**
+ * Moderation Routes
+ * Requires controller to be initialized with the automation controller
+ */
+function createModerationRoutes(controller) {
+  const router = express.Router();
+
+  router.get('/settings', (req, res) => {
+    controller.getSettings(req, res);
+  });
+
+  router.put('/settings', (req, res) => {
+    controller.updateSettings(req, res);
+  });
+
+  // Classification audit
+  router.get('/', (req, res) => {
+    controller.getClassifications(req, res);
+  });
+
+  router.post('/:commentId/override', (req, res) => {
+    controller.overrideLabel(req, res);
+  });
+
+  return router;
+}
+
+module.exports = createModerationRoutes;
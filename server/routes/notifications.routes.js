@@ -0,0 +1,33 @@
+const express = require('express');
+
+/**
+ * Notifications Routes
+ * Web Push subscriptions and notification preferences
+ */
+function createNotificationsRoutes(controller) {
+  const router = express.Router();
+
+  router.get('/', (req, res) => {
+    controller.getSettings(req, res);
+  });
+
+  router.put('/preferences', (req, res) => {
+    controller.updatePreferences(req, res);
+  });
+
+  router.post('/subscriptions', (req, res) => {
+    controller.subscribe(req, res);
+  });
+
+  router.delete('/subscriptions', (req, res) => {
+    controller.unsubscribe(req, res);
+  });
+
+  router.post('/test', (req, res) => {
+    controller.sendTest(req, res);
+  });
+
+  return router;
+}
+
+module.exports = createNotificationsRoutes;
@@ -20,15 +20,71 @@ router.post('/instagram/refresh', authMiddleware, (req, res) => {
   oauthController.refreshInstagramToken(req, res);
 });
 
-// Instagram compliance endpoints (required by Meta) - no auth needed
-router.post('/instagram/deauthorize', (req, res) => {
+// Instagram compliance endpoints (required by Meta) - no auth needed,
+// requests are verified with the signed_request Meta posts as a form field
+const metaCallbackBody = express.urlencoded({ extended: false });
+
+router.post('/instagram/deauthorize', metaCallbackBody, (req, res) => {
   oauthController.handleInstagramDeauthorize(req, res);
 });
 
-router.post('/instagram/data-deletion', (req, res) => {
+router.post('/instagram/data-deletion', metaCallbackBody, (req, res) => {
   oauthController.handleInstagramDataDeletion(req, res);
 });
 
+// Status page for Meta reviewers and users who requested deletion
+router.get('/instagram/data-deletion/:code', (req, res) => {
+  oauthController.getDataDeletionStatus(req, res);
+});
+
+// Facebook Page OAuth routes
+router.get('/facebook/auth-url', authMiddleware, (req, res) => {
+  oauthController.getFacebookAuthUrl(req, res);
+});
+
+// Callback does NOT require auth middleware (userId comes from the state parameter)
+router.get('/facebook/callback', (req, res) => {
+  oauthController.handleFacebookCallback(req, res);
+});
+
+router.get('/facebook/pages', authMiddleware, (req, res) => {
+  oauthController.getFacebookPages(req, res);
+});
+
+router.post('/facebook/page', authMiddleware, (req, res) => {
+  oauthController.selectFacebookPage(req, res);
+});
+
+// X OAuth routes
+router.get('/twitter/auth-url', authMiddleware, (req, res) => {
+  oauthController.getTwitterAuthUrl(req, res);
+});
+
+// Callback does NOT require auth middleware (userId comes from the state parameter)
+router.get('/twitter/callback', (req, res) => {
+  oauthController.handleTwitterCallback(req, res);
+});
+
+// LinkedIn OAuth routes
+router.get('/linkedin/auth-url', authMiddleware, (req, res) => {
+  oauthController.getLinkedInAuthUrl(req, res);
+});
+
+// Callback does NOT require auth middleware (userId comes from the state parameter)
+router.get('/linkedin/callback', (req, res) => {
+  oauthController.handleLinkedInCallback(req, res);
+});
+
+// Threads OAuth routes
+router.get('/threads/auth-url', authMiddleware, (req, res) => {
+  oauthController.getThreadsAuthUrl(req, res);
+});
+
+// Callback does NOT require auth middleware (userId comes from the state parameter)
+router.get('/threads/callback', (req, res) => {
+  oauthController.handleThreadsCallback(req, res);
+});
+
 // YouTube OAuth routes
 // Auth URL generation requires authentication
 router.get('/youtube/auth-url', authMiddleware, (req, res) => {
@@ -0,0 +1,43 @@
+const express = require('express');
+
+/**
+ * Reply Approval Routes
+ * Requires controller to be initialized with the automation controller
+ */
+function createReplyApprovalRoutes(controller) {
+  const router = express.Router();
+
+  // Approval mode and per-post policies
+  router.get('/settings', (req, res) => {
+    controller.getSettings(req, res);
+  });
+
+  router.put('/settings', (req, res) => {
+    controller.updateSettings(req, res);
+  });
+
+  // Review queue
+  router.get('/', (req, res) => {
+    controller.getPending(req, res);
+  });
+
+  router.post('/bulk', (req, res) => {
+    controller.bulk(req, res);
+  });
+
+  router.post('/:commentId/approve', (req, res) => {
+    controller.approve(req, res);
+  });
+
+  router.post('/:commentId/reject', (req, res) => {
+    controller.reject(req, res);
+  });
+
+  router.post('/:commentId/regenerate', (req, res) => {
+    controller.regenerate(req, res);
+  });
+
+  return router;
+}
+
+module.exports = createReplyApprovalRoutes;
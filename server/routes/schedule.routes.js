@@ -0,0 +1,29 @@
+const express = require('express');
+
+/**
+ * Schedule Routes
+ * Publishing calendar for scheduled AI posts and dual-publish jobs
+ */
+function createScheduleRoutes(controller) {
+  const router = express.Router();
+
+  router.get('/', (req, res) => {
+    controller.getCalendar(req, res);
+  });
+
+  router.post('/posts/:postId', (req, res) => {
+    controller.schedulePost(req, res);
+  });
+
+  router.put('/:type/:id', (req, res) => {
+    controller.reschedule(req, res);
+  });
+
+  router.delete('/:type/:id', (req, res) => {
+    controller.cancel(req, res);
+  });
+
+  return router;
+}
+
+module.exports = createScheduleRoutes;
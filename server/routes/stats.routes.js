@@ -1,82 +1,46 @@
 const express = require('express');
 const router = express.Router();
-const ActivityLog = require('../models/ActivityLog');
-const Post = require('../models/post.model');
+const InsightsService = require('../services/insights.service');
 const { authMiddleware } = require('../middleware/auth.middleware');
 
-// Get dashboard stats
+const insightsService = new InsightsService();
+
+// Get dashboard stats (last 30 days compared with the 30 days before)
 router.get('/dashboard', authMiddleware, async (req, res) => {
   try {
     const userId = req.userId || req.user._id;
     console.log('[Stats] Fetching stats for userId:', userId);
 
-    // Get actual posts count from Post model
-    const totalPosts = await Post.countDocuments({ userId });
-    console.log('[Stats] Total posts found:', totalPosts);
-    
-    // Get published posts count
-    const publishedPosts = await Post.countDocuments({ 
-      userId,
-      status: 'published'
-    });
-
-    // Get posts from last 30 days
-    const thirtyDaysAgo = new Date();
-    thirtyDaysAgo.setDate(thirtyDaysAgo.getDate() - 30);
-
-    const recentPosts = await Post.countDocuments({
-      userId,
-      createdAt: { $gte: thirtyDaysAgo }
-    });
-
-    // Get posts from last 7 days for engagement calculation
-    const sevenDaysAgo = new Date();
-    sevenDaysAgo.setDate(sevenDaysAgo.getDate() - 7);
-
-    const weeklyPosts = await Post.countDocuments({
-      userId,
-      createdAt: { $gte: sevenDaysAgo }
-    });
-    
-    // Calculate stats
-    const activeUsers = 1; // Current user
-
-    // Calculate changes
-    const postsChange = recentPosts > 0 && totalPosts > 0 
-      ? `+${Math.min(100, Math.round((recentPosts / totalPosts) * 100))}%` 
-      : '+0%';
-    
-    const aiChange = publishedPosts > 0 
-      ? `+${Math.min(100, Math.round((publishedPosts / Math.max(totalPosts, 1)) * 100))}%` 
-      : '+0%';
-
-    // Calculate engagement rate (published vs total)
-    const engagementRate = totalPosts > 0 
-      ? Math.round((publishedPosts / totalPosts) * 100) 
-      : 0;
+    const summary = await insightsService.getDashboardSummary(userId);
 
     res.json({
-      totalPosts: totalPosts.toString(),
-      aiGenerated: publishedPosts.toString(),
-      engagement: `${engagementRate}%`,
-      activeUsers: activeUsers.toString(),
-      postsChange,
-      aiChange,
-      engagementChange: weeklyPosts > 0 ? `+${weeklyPosts}` : '+0%',
-      usersChange: '+0%'
+      totalPosts: summary.totalPosts.toString(),
+      aiGenerated: summary.publishedPosts.toString(),
+      engagement: summary.engagementRate !== null ? `${summary.engagementRate}%` : '—',
+      followers: summary.followers !== null ? summary.followers.toString() : '—',
+      reach: summary.reach.toString(),
+      postsChange: summary.postsChange,
+      aiChange: summary.publishedChange,
+      engagementChange: summary.engagementChange,
+      followersChange: summary.followersChange !== null
+        ? `${summary.followersChange >= 0 ? '+' : ''}${summary.followersChange}`
+        : '+0',
+      reachChange: summary.reachChange
     });
   } catch (error) {
     console.error('Error fetching dashboard stats:', error);
-    res.status(500).json({ 
+    res.status(500).json({
       error: 'Failed to fetch stats',
       totalPosts: '0',
       aiGenerated: '0',
-      engagement: '0%',
-      activeUsers: '1',
+      engagement: '—',
+      followers: '—',
+      reach: '0',
       postsChange: '+0%',
       aiChange: '+0%',
       engagementChange: '+0%',
-      usersChange: '+0%'
+      followersChange: '+0',
+      reachChange: '+0%'
     });
   }
 });
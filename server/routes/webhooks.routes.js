@@ -0,0 +1,45 @@
+const express = require('express');
+
+/**
+ * Webhooks Routes
+ * Outgoing webhook endpoints, test events and the delivery log
+ */
+function createWebhooksRoutes(controller) {
+  const router = express.Router();
+
+  router.get('/', (req, res) => {
+    controller.listEndpoints(req, res);
+  });
+
+  router.post('/', (req, res) => {
+    controller.createEndpoint(req, res);
+  });
+
+  router.post('/deliveries/:deliveryId/redeliver', (req, res) => {
+    controller.redeliver(req, res);
+  });
+
+  router.put('/:id', (req, res) => {
+    controller.updateEndpoint(req, res);
+  });
+
+  router.delete('/:id', (req, res) => {
+    controller.deleteEndpoint(req, res);
+  });
+
+  router.post('/:id/rotate-secret', (req, res) => {
+    controller.rotateSecret(req, res);
+  });
+
+  router.post('/:id/test', (req, res) => {
+    controller.sendTest(req, res);
+  });
+
+  router.get('/:id/deliveries', (req, res) => {
+    controller.listDeliveries(req, res);
+  });
+
+  return router;
+}
+
+module.exports = createWebhooksRoutes;
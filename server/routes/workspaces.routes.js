@@ -0,0 +1,61 @@
+const express = require('express');
+
+/**
+ * Workspaces Routes
+ * Team workspaces, members, invitations and the audit trail
+ */
+function createWorkspacesRoutes(controller) {
+  const router = express.Router();
+
+  router.get('/', (req, res) => {
+    controller.listWorkspaces(req, res);
+  });
+
+  router.post('/', (req, res) => {
+    controller.createWorkspace(req, res);
+  });
+
+  router.get('/:id', (req, res) => {
+    controller.getWorkspace(req, res);
+  });
+
+  router.put('/:id', (req, res) => {
+    controller.updateWorkspace(req, res);
+  });
+
+  router.delete('/:id', (req, res) => {
+    controller.deleteWorkspace(req, res);
+  });
+
+  router.get('/:id/audit', (req, res) => {
+    controller.getAuditTrail(req, res);
+  });
+
+  router.post('/:id/invitations', (req, res) => {
+    controller.invite(req, res);
+  });
+
+  router.delete('/:id/invitations', (req, res) => {
+    controller.revokeInvitation(req, res);
+  });
+
+  router.post('/:id/invitations/accept', (req, res) => {
+    controller.acceptInvitation(req, res);
+  });
+
+  router.post('/:id/invitations/decline', (req, res) => {
+    controller.declineInvitation(req, res);
+  });
+
+  router.put('/:id/members/:userId', (req, res) => {
+    controller.updateMember(req, res);
+  });
+
+  router.delete('/:id/members/:userId', (req, res) => {
+    controller.removeMember(req, res);
+  });
+
+  return router;
+}
+
+module.exports = createWorkspacesRoutes;
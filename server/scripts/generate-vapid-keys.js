@@ -0,0 +1,18 @@
+#!/usr/bin/env node
+
+/**
+ * Generate VAPID Keys
+ *
+ * Prints a new key pair for Web Push notifications, ready to paste into .env.
+ * Changing the keys invalidates every existing browser subscription.
+ *
+ * Usage: node scripts/generate-vapid-keys.js
+ */
+
+const { generateVapidKeys } = require('../services/web-push');
+
+const { publicKey, privateKey } = generateVapidKeys();
+
+console.log(`VAPID_PUBLIC_KEY=${publicKey}`);
+console.log(`VAPID_PRIVATE_KEY=${privateKey}`);
+console.log('VAPID_SUBJECT=mailto:you@example.com');
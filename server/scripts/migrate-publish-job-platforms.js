@@ -0,0 +1,74 @@
+#!/usr/bin/env node
+
+/**
+ * Publish Job Platforms Migration
+ *
+ * Moves publish jobs created before publisher plugins to the per-platform layout:
+ * - sets `targets` to the platforms the job had steps for
+ * - renames platforms.instagram.mediaId/permalink and platforms.youtube.videoId to postId/url
+ * - groups processed files per platform in `artifacts`
+ *
+ * Safe to run more than once. Usage: node scripts/migrate-publish-job-platforms.js
+ */
+
+require('dotenv').config();
+const mongoose = require('mongoose');
+
+const LEGACY_PLATFORMS = ['instagram', 'youtube'];
+
+function migrateJob(job) {
+  const steps = (job.progress?.steps || []).map(step => step.name);
+  const targets = LEGACY_PLATFORMS.filter(platform => steps.includes(`publish_${platform}`));
+  const $set = { targets: targets.length ? targets : LEGACY_PLATFORMS };
+
+  const instagram = job.platforms?.instagram || {};
+  const youtube = job.platforms?.youtube || {};
+  $set['platforms.instagram.postId'] = instagram.mediaId || null;
+  $set['platforms.instagram.url'] = instagram.permalink || null;
+  $set['platforms.youtube.postId'] = youtube.videoId || null;
+
+  const artifacts = job.artifacts || {};
+  if (typeof artifacts.instagram === 'string' || typeof artifacts.youtube === 'string') {
+    $set.artifacts = {
+      instagram: {
+        ...(artifacts.instagram && { video: artifacts.instagram }),
+        ...(artifacts.thumbnail && { cover: artifacts.thumbnail }),
+        ...(artifacts.story && { story: artifacts.story })
+      },
+      youtube: artifacts.youtube ? { video: artifacts.youtube } : {}
+    };
+  }
+
+  return {
+    $set,
+    $unset: {
+      'platforms.instagram.mediaId': 1,
+      'platforms.instagram.permalink': 1,
+      'platforms.youtube.videoId': 1
+    }
+  };
+}
+
+async function migrate() {
+  await mongoose.connect(process.env.MONGODB_URI);
+  console.log('✅ Connected to MongoDB');
+
+  // Read the raw documents, the current schema no longer has the old fields
+  const collection = mongoose.connection.collection('publishjobs');
+  const cursor = collection.find({ targets: { $exists: false } });
+  let migrated = 0;
+
+  for await (const job of cursor) {
+    await collection.updateOne({ _id: job._id }, migrateJob(job));
+    migrated++;
+  }
+
+  console.log(`✅ Migrated ${migrated} publish jobs`);
+  await mongoose.disconnect();
+}
+
+migrate().catch(async (error) => {
+  console.error('❌ Migration failed:', error.message);
+  await mongoose.disconnect();
+  process.exit(1);
+});
@@ -0,0 +1,147 @@
+/**
+ * Connected Account Settings
+ *
+ * A user can connect several Instagram accounts and YouTube channels. One account per
+ * platform is active: its credentials are loaded into User.<platform>Credentials, which
+ * every route and background service reads. The Instagram automation settings that
+ * belong to an account travel with it when the active account changes; YouTube
+ * automation settings are already kept per channel in User.youtubeAutomation.
+ */
+
+const ACCOUNT_PLATFORMS = {
+  instagram: { label: 'Instagram', field: 'instagramCredentials', idField: 'accountId', nameField: 'accountName' },
+  youtube: { label: 'YouTube', field: 'youtubeCredentials', idField: 'channelId', nameField: 'channelName' }
+};
+
+// automationSettings fields that belong to one Instagram account; the reply tone,
+// DM rules and whether automation runs stay shared
+const INSTAGRAM_ACCOUNT_SETTINGS = [
+  'pollIntervalSeconds',
+  'maxCommentsPerCheck',
+  'monitorAll',
+  'selectedPosts',
+  'commentSource',
+  'reconciliationIntervalSeconds',
+  'approvalMode',
+  'moderation',
+  'postApprovalPolicies'
+];
+
+// An account connected for the first time starts without post-specific settings
+const NEW_ACCOUNT_SETTINGS = {
+  monitorAll: false,
+  selectedPosts: [],
+  postApprovalPolicies: {}
+};
+
+function createError(message, statusCode) {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+}
+
+function isAccountPlatform(platform) {
+  return Object.prototype.hasOwnProperty.call(ACCOUNT_PLATFORMS, platform);
+}
+
+/**
+ * External ID and display name of stored credentials
+ * @param {string} platform - instagram or youtube
+ * @param {Object} credentials - User.<platform>Credentials or a stored copy
+ * @returns {{externalId: string, name: string}|null} null when nothing is connected
+ */
+function describeAccount(platform, credentials) {
+  const { idField, nameField } = ACCOUNT_PLATFORMS[platform];
+  if (!credentials?.accessToken || !credentials[idField]) {
+    return null;
+  }
+
+  return {
+    externalId: String(credentials[idField]),
+    name: credentials[nameField] || String(credentials[idField])
+  };
+}
+
+const toPlain = value => (value instanceof Map ? Object.fromEntries(value) : value);
+
+/**
+ * Instagram automation settings of the active account, as plain JSON for storing
+ * @param {Object} automationSettings - User.automationSettings (document or plain object)
+ */
+function pickAccountSettings(automationSettings = {}) {
+  const settings = {};
+  for (const key of INSTAGRAM_ACCOUNT_SETTINGS) {
+    const value = toPlain(automationSettings?.[key]);
+    if (value !== undefined) {
+      settings[key] = JSON.parse(JSON.stringify(value));
+    }
+  }
+  return settings;
+}
+
+/**
+ * Settings to load when an account becomes active
+ * @param {Object|null} saved - What pickAccountSettings() stored for the account, null if never stored
+ */
+function accountSettingsFor(saved) {
+  if (!saved || Object.keys(saved).length === 0) {
+    return { ...NEW_ACCOUNT_SETTINGS, selectedPosts: [], postApprovalPolicies: {} };
+  }
+
+  return Object.fromEntries(
+    INSTAGRAM_ACCOUNT_SETTINGS
+      .filter(key => saved[key] !== undefined)
+      .map(key => [key, saved[key]])
+  );
+}
+
+/**
+ * Account chosen per platform for a publish, e.g. { instagram: '17841...' }
+ * Accepts an object or, from multipart forms, a JSON string
+ * @param {Object|string} value
+ * @param {string[]} [platforms] - Platforms being published to; others are dropped
+ * @returns {Object} Empty when the active accounts are used
+ */
+function parseAccountChoice(value, platforms = Object.keys(ACCOUNT_PLATFORMS)) {
+  if (value === undefined || value === null || value === '') {
+    return {};
+  }
+
+  let choice = value;
+  if (typeof value === 'string') {
+    try {
+      choice = JSON.parse(value);
+    } catch {
+      throw createError('Invalid accounts format', 400);
+    }
+  }
+
+  if (!choice || typeof choice !== 'object' || Array.isArray(choice)) {
+    throw createError('Invalid accounts format', 400);
+  }
+
+  const accounts = {};
+  for (const [platform, externalId] of Object.entries(choice)) {
+    if (!isAccountPlatform(platform)) {
+      throw createError(`Accounts can only be chosen for ${Object.keys(ACCOUNT_PLATFORMS).join(' and ')}`, 400);
+    }
+    if (externalId === null || externalId === '' || !platforms.includes(platform)) {
+      continue;
+    }
+    if (typeof externalId !== 'string' && typeof externalId !== 'number') {
+      throw createError(`Invalid ${ACCOUNT_PLATFORMS[platform].label} account`, 400);
+    }
+    accounts[platform] = String(externalId);
+  }
+  return accounts;
+}
+
+module.exports = {
+  ACCOUNT_PLATFORMS,
+  INSTAGRAM_ACCOUNT_SETTINGS,
+  isAccountPlatform,
+  describeAccount,
+  pickAccountSettings,
+  accountSettingsFor,
+  parseAccountChoice
+};
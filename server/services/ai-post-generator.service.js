@@ -1,6 +1,7 @@
 const { ChatGoogleGenerativeAI } = require('@langchain/google-genai');
 const { StateGraph, Annotation } = require('@langchain/langgraph');
 const { MemorySaver } = require('@langchain/langgraph');
+const { clampSlideCount, parseCarouselOutline, formatSlideCaption } = require('./carousel-outline');
 
 /**
  * AI Post Generator Service (Friendly + Emoji Enhanced)
@@ -59,19 +60,197 @@ class AIPostGeneratorService {
 
     // 🧠 Step 1: Generate base caption (technical & educational)
     const generateBaseCaption = async (state) => {
-      const topicsText = state.topics?.length
-        ? `Focus on these topics: ${state.topics.join(', ')}.`
-        : '';
+      const caption = await this.writeBaseCaption(state);
+      return { ...state, caption };
+    };
+
+    // 😎 Step 2: Add emojis + friendly human tone
+    const addEmojisToCaption = async (state) => {
+      const enhancedCaption = await this.addEmojis(state.caption);
+      return { ...state, enhancedCaption };
+    };
+
+    // 🖼️ Step 3: Generate image prompt (for AI Image Generator)
+    const generateImagePrompt = async (state) => {
+      const imagePrompt = await this.writeImagePrompt(state, state.enhancedCaption);
+      return { ...state, imagePrompt };
+    };
+
+    // 🔖 Step 4: Generate hashtags
+    const generateHashtags = async (state) => {
+      const hashtags = await this.writeHashtags(state.enhancedCaption);
+      return { ...state, hashtags };
+    };
+
+    // Graph setup
+    workflow.addNode('generateBaseCaption', generateBaseCaption);
+    workflow.addNode('addEmojisToCaption', addEmojisToCaption);
+    workflow.addNode('generateImagePrompt', generateImagePrompt);
+    workflow.addNode('generateHashtags', generateHashtags);
+
+    workflow.setEntryPoint('generateBaseCaption');
+    workflow.addEdge('generateBaseCaption', 'addEmojisToCaption');
+    workflow.addEdge('addEmojisToCaption', 'generateImagePrompt');
+    workflow.addEdge('generateImagePrompt', 'generateHashtags');
+    workflow.addEdge('generateHashtags', '__end__');
+
+    // Run workflow
+    const app = workflow.compile({ checkpointer: new MemorySaver() });
+    const initialState = { accountType, targetAudience, brandVoice, topics, additionalContext };
+    const result = await app.invoke(initialState, {
+      configurable: { thread_id: Date.now().toString() }
+    });
+
+    console.log('[AIPostGeneratorService] Post generated successfully 🎉');
+
+    return {
+      caption: result.enhancedCaption,
+      imagePrompt: result.imagePrompt,
+      hashtags: result.hashtags,
+      fullCaption: `${result.enhancedCaption}\n\n${result.hashtags}`
+    };
+  }
+
+  /**
+   * Generate a carousel: slide-by-slide outline with one image prompt per slide,
+   * then a post caption and hashtags for the whole carousel
+   * @param {Object} context - Same context as generatePost
+   * @param {Object} [options]
+   * @param {number} [options.slideCount=5] - 2 to 10 slides
+   */
+  async generateCarousel(context, { slideCount } = {}) {
+    if (!this.initialized) throw new Error('Service not initialized. Call initialize() first.');
+
+    const {
+      accountType = 'tech personal brand',
+      targetAudience = 'developers and computer science learners',
+      brandVoice = 'friendly, modern, educational',
+      topics = [],
+      additionalContext = ''
+    } = context;
+
+    const StateAnnotation = Annotation.Root({
+      accountType: Annotation,
+      targetAudience: Annotation,
+      brandVoice: Annotation,
+      topics: Annotation,
+      additionalContext: Annotation,
+      slideCount: Annotation,
+      outline: Annotation,
+      caption: Annotation,
+      enhancedCaption: Annotation,
+      hashtags: Annotation
+    });
+
+    const workflow = new StateGraph(StateAnnotation);
+
+    // 🗂️ Step 1: Outline the slides, one image prompt each
+    const generateOutline = async (state) => {
+      const outline = await this.writeCarouselOutline(state, state.slideCount);
+      return { ...state, outline };
+    };
+
+    // 🧠 Step 2: Caption for the whole carousel
+    const generateCaption = async (state) => {
+      const caption = await this.writeCarouselCaption(state, state.outline.slides);
+      return { ...state, caption };
+    };
+
+    // 😎 Step 3: Add emojis + friendly human tone
+    const addEmojisToCaption = async (state) => {
+      const enhancedCaption = await this.addEmojis(state.caption);
+      return { ...state, enhancedCaption };
+    };
+
+    // 🔖 Step 4: Generate hashtags
+    const generateHashtags = async (state) => {
+      const hashtags = await this.writeHashtags(state.enhancedCaption);
+      return { ...state, hashtags };
+    };
+
+    workflow.addNode('generateOutline', generateOutline);
+    workflow.addNode('generateCaption', generateCaption);
+    workflow.addNode('addEmojisToCaption', addEmojisToCaption);
+    workflow.addNode('generateHashtags', generateHashtags);
+
+    workflow.setEntryPoint('generateOutline');
+    workflow.addEdge('generateOutline', 'generateCaption');
+    workflow.addEdge('generateCaption', 'addEmojisToCaption');
+    workflow.addEdge('addEmojisToCaption', 'generateHashtags');
+    workflow.addEdge('generateHashtags', '__end__');
+
+    const app = workflow.compile({ checkpointer: new MemorySaver() });
+    const initialState = {
+      accountType,
+      targetAudience,
+      brandVoice,
+      topics,
+      additionalContext,
+      slideCount: clampSlideCount(slideCount)
+    };
+    const result = await app.invoke(initialState, {
+      configurable: { thread_id: Date.now().toString() }
+    });
+
+    console.log(`[AIPostGeneratorService] Carousel generated with ${result.outline.slides.length} slides 🎉`);
+
+    return {
+      caption: result.enhancedCaption,
+      imagePrompt: result.outline.slides[0].imagePrompt,
+      hashtags: result.hashtags,
+      fullCaption: `${result.enhancedCaption}\n\n${result.hashtags}`,
+      hook: result.outline.hook,
+      slides: result.outline.slides.map(slide => ({
+        caption: formatSlideCaption(slide),
+        imagePrompt: slide.imagePrompt
+      }))
+    };
+  }
 
-      const prompt = `
+  /**
+   * Regenerate the caption for an existing carousel from its slides
+   * @param {Array<{ caption: string }>} slides
+   * @returns {Promise<string>}
+   */
+  async regenerateCarouselCaption(context, slides) {
+    if (!this.initialized) throw new Error('Service not initialized. Call initialize() first.');
+    const caption = await this.writeCarouselCaption(context, slides);
+    return await this.addEmojis(caption);
+  }
+
+  /**
+   * Regenerate only the caption text (base caption + friendly rewrite)
+   * @returns {Promise<string>}
+   */
+  async regenerateCaption(context) {
+    if (!this.initialized) throw new Error('Service not initialized. Call initialize() first.');
+    const baseCaption = await this.writeBaseCaption(context);
+    return await this.addEmojis(baseCaption);
+  }
+
+  /**
+   * Regenerate only the hashtags for a caption
+   * @returns {Promise<string>} Space-separated hashtags
+   */
+  async regenerateHashtags(caption) {
+    if (!this.initialized) throw new Error('Service not initialized. Call initialize() first.');
+    return await this.writeHashtags(caption);
+  }
+
+  async writeBaseCaption({ accountType, targetAudience, brandVoice, topics = [], additionalContext = '' }) {
+    const topicsText = topics?.length
+      ? `Focus on these topics: ${topics.join(', ')}.`
+      : '';
+
+    const prompt = `
 You are a senior software engineer and AI content creator.
 Write a clear, technical Instagram caption for a post.
 
-Account Type: ${state.accountType}
-Target Audience: ${state.targetAudience}
-Brand Voice: ${state.brandVoice}
+Account Type: ${accountType}
+Target Audience: ${targetAudience}
+Brand Voice: ${brandVoice}
 ${topicsText}
-Additional Context: ${state.additionalContext}
+Additional Context: ${additionalContext}
 
 Requirements:
 - 100–130 words.
@@ -82,16 +261,73 @@ Requirements:
 Output only the plain caption text:
 `;
 
-      const response = await this.model.invoke(prompt);
-      const caption = (response?.content || '').trim();
-      return { ...state, caption };
-    };
+    const response = await this.model.invoke(prompt);
+    return (response?.content || '').trim();
+  }
 
-    // 😎 Step 2: Add emojis + friendly human tone
-    const addEmojisToCaption = async (state) => {
-      const prompt = `
+  async writeCarouselOutline({ accountType, targetAudience, brandVoice, topics = [], additionalContext = '' }, slideCount) {
+    const topicsText = topics?.length
+      ? `Focus on these topics: ${topics.join(', ')}.`
+      : '';
+
+    const prompt = `
+You are a senior software engineer and AI content creator.
+Plan an educational Instagram carousel with exactly ${slideCount} slides.
+
+Account Type: ${accountType}
+Target Audience: ${targetAudience}
+Brand Voice: ${brandVoice}
+${topicsText}
+Additional Context: ${additionalContext}
+
+Requirements:
+- Slide 1 is a hook that makes people swipe.
+- Middle slides each teach one concrete point, building on the previous slide.
+- The last slide is a short recap with a call-to-action.
+- Each slide has a title (max 8 words) and text (max 30 words).
+- Each slide has an image prompt (150–200 characters) for an AI image generator:
+  developer realism (screens, dashboards, diagrams, code editors), consistent visual style across slides,
+  no readable text in the image.
+
+Output ONLY valid JSON in this shape, with no markdown:
+{"hook": "...", "slides": [{"title": "...", "text": "...", "imagePrompt": "..."}]}
+`;
+
+    const response = await this.model.invoke(prompt);
+    return parseCarouselOutline(response?.content, slideCount);
+  }
+
+  async writeCarouselCaption({ accountType, targetAudience, brandVoice }, slides) {
+    const slidesText = slides
+      .map((slide, index) => `${index + 1}. ${slide.caption || formatSlideCaption(slide)}`)
+      .join('\n');
+
+    const prompt = `
+You are a senior software engineer and AI content creator.
+Write the Instagram caption for a carousel post with these slides:
+${slidesText}
+
+Account Type: ${accountType}
+Target Audience: ${targetAudience}
+Brand Voice: ${brandVoice}
+
+Requirements:
+- 60–100 words.
+- Tease what the reader learns by swiping, without repeating every slide.
+- No emojis or slang.
+- End with a one-line call-to-action like “Save this for later and follow for more!”
+
+Output only the plain caption text:
+`;
+
+    const response = await this.model.invoke(prompt);
+    return (response?.content || '').trim();
+  }
+
+  async addEmojis(caption) {
+    const prompt = `
 Take this technical Instagram caption and rewrite it with a friendly, human tone and natural emojis.
-Caption: "${state.caption}"
+Caption: "${caption}"
 
 Rules:
 - Keep it professional yet conversational.
@@ -110,29 +346,28 @@ Rules:
 Output the improved caption:
 `;
 
-      const response = await this.model.invoke(prompt);
-      let enhancedCaption = (response?.content || '').trim();
-      
-      // Remove any intro lines that might have been added
-      enhancedCaption = enhancedCaption
-        .replace(/^Here'?s? (your|the) (rewritten |improved |enhanced )?caption.*?:/i, '')
-        .replace(/^Here'?s? (a|an) (rewritten |improved |enhanced )?version.*?:/i, '')
-        .replace(/^(Rewritten |Improved |Enhanced )?caption.*?:/i, '')
-        .trim();
-      
-      return { ...state, enhancedCaption };
-    };
+    const response = await this.model.invoke(prompt);
+    let enhancedCaption = (response?.content || '').trim();
 
-    // 🖼️ Step 3: Generate image prompt (for AI Image Generator)
-    const generateImagePrompt = async (state) => {
-      const topicsText = state.topics?.join(', ') || 'software development, AI, engineering';
-      const prompt = `
+    // Remove any intro lines that might have been added
+    enhancedCaption = enhancedCaption
+      .replace(/^Here'?s? (your|the) (rewritten |improved |enhanced )?caption.*?:/i, '')
+      .replace(/^Here'?s? (a|an) (rewritten |improved |enhanced )?version.*?:/i, '')
+      .replace(/^(Rewritten |Improved |Enhanced )?caption.*?:/i, '')
+      .trim();
+
+    return enhancedCaption;
+  }
+
+  async writeImagePrompt({ accountType, brandVoice, topics }, caption) {
+    const topicsText = topics?.join(', ') || 'software development, AI, engineering';
+    const prompt = `
 Create a vivid, detailed AI image generation prompt for a post about:
-"${state.enhancedCaption}"
+"${caption}"
 
 Context:
-- Account Type: ${state.accountType}
-- Brand Voice: ${state.brandVoice}
+- Account Type: ${accountType}
+- Brand Voice: ${brandVoice}
 - Topics: ${topicsText}
 
 Guidelines:
@@ -145,54 +380,22 @@ Guidelines:
 Output only the image prompt:
 `;
 
-      const response = await this.model.invoke(prompt);
-      const imagePrompt = (response?.content || '').trim();
-      return { ...state, imagePrompt };
-    };
+    const response = await this.model.invoke(prompt);
+    return (response?.content || '').trim();
+  }
 
-    // 🔖 Step 4: Generate hashtags
-    const generateHashtags = async (state) => {
-      const prompt = `
+  async writeHashtags(caption) {
+    const prompt = `
 Generate 12–15 Instagram hashtags based on this caption:
-"${state.enhancedCaption}"
+"${caption}"
 
 Focus on: AI, programming, system design, cloud, dev life, coding.
 Mix of broad and niche tags.
 Format: space-separated, all lowercase, no numbering.
 `;
 
-      const response = await this.model.invoke(prompt);
-      const hashtags = (response?.content || '').trim();
-      return { ...state, hashtags };
-    };
-
-    // Graph setup
-    workflow.addNode('generateBaseCaption', generateBaseCaption);
-    workflow.addNode('addEmojisToCaption', addEmojisToCaption);
-    workflow.addNode('generateImagePrompt', generateImagePrompt);
-    workflow.addNode('generateHashtags', generateHashtags);
-
-    workflow.setEntryPoint('generateBaseCaption');
-    workflow.addEdge('generateBaseCaption', 'addEmojisToCaption');
-    workflow.addEdge('addEmojisToCaption', 'generateImagePrompt');
-    workflow.addEdge('generateImagePrompt', 'generateHashtags');
-    workflow.addEdge('generateHashtags', '__end__');
-
-    // Run workflow
-    const app = workflow.compile({ checkpointer: new MemorySaver() });
-    const initialState = { accountType, targetAudience, brandVoice, topics, additionalContext };
-    const result = await app.invoke(initialState, {
-      configurable: { thread_id: Date.now().toString() }
-    });
-
-    console.log('[AIPostGeneratorService] Post generated successfully 🎉');
-
-    return {
-      caption: result.enhancedCaption,
-      imagePrompt: result.imagePrompt,
-      hashtags: result.hashtags,
-      fullCaption: `${result.enhancedCaption}\n\n${result.hashtags}`
-    };
+    const response = await this.model.invoke(prompt);
+    return (response?.content || '').trim();
   }
 
   static async validateApiKey(apiKey) {
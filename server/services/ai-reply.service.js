@@ -34,7 +34,7 @@ class AIReplyService {
       try {
         console.log(`[AIReplyService] Attempt ${attempt}/${this.MAX_RETRIES}`);
         
-        const prompt = this.buildPrompt(commentText, context);
+        const prompt = this.buildPrompt(commentText, context, tone);
         const response = await this.model.invoke(prompt);
         let raw = this.extract(response);
 
@@ -74,7 +74,7 @@ class AIReplyService {
   async generateReplyOptions(commentText, tone = this.DEFAULT_TONE, context = null) {
     if (!commentText) throw new Error("Comment is required");
 
-    const prompt = this.buildPrompt(commentText, context);
+    const prompt = this.buildPrompt(commentText, context, tone);
 
     for (let i = 1; i <= this.MAX_RETRIES; i++) {
       try {
@@ -94,7 +94,13 @@ class AIReplyService {
     return this.defaultReplies(commentText);
   }
 
-  buildPrompt(commentText, context) {
+  buildPrompt(commentText, context, tone = this.DEFAULT_TONE) {
+    const toneHints = {
+      friendly: "Casual and warm.",
+      formal: "Polite and formal. No slang, at most one emoji.",
+      professional: "Professional brand voice. Clear and helpful, no slang, no emojis."
+    };
+
     return `
 You are a *SUPER FRIENDLY + ENGAGING + CURIOUS* Instagram creator.
 Your job: Generate **5 different** human-like, warm, natural Instagram comment replies.
@@ -113,6 +119,8 @@ Your job: Generate **5 different** human-like, warm, natural Instagram comment r
 "${commentText}"
 
 ${context?.caption ? `Post Caption: "${context.caption}"` : ""}
+${context?.conversation ? `This is a private direct message, not a public comment. Recent conversation (oldest first):\n${context.conversation}` : ""}
+${toneHints[tone] ? `🎯 TONE (overrides the style rules above): ${toneHints[tone]}` : ""}
 
 ✨ OUTPUT FORMAT (VERY IMPORTANT):
 Write EXACTLY like this:
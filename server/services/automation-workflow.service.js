@@ -1,9 +1,19 @@
 const { StateGraph, END } = require('@langchain/langgraph');
 const { ErrorHandler, ErrorAction } = require('./error-handler.service');
+const { triageComment } = require('./comment-triage');
+const { isFlagged } = require('./moderation-heuristics');
+const { findCampaign, renderCampaignTemplate } = require('./dm-campaign');
+const CommentModerationService = require('./comment-moderation.service');
+const { minPollIntervalSeconds } = require('./youtube-quota');
+const pushNotifications = require('./push-notification.service');
+const webhooks = require('./webhook.service');
 
 /**
- * AutomationWorkflow - Manages the Instagram comment automation workflow using LangGraph
+ * AutomationWorkflow - Manages the comment automation workflow using LangGraph
  * Orchestrates comment detection, AI reply generation, and posting
+ *
+ * The comment source is an InstagramGraphService, or a YouTubeCommentsService
+ * when config.platform is 'youtube' (same methods, no DMs or webhooks).
  */
 class AutomationWorkflow {
   constructor(instagramService, aiReplyService, storageService, config = {}) {
@@ -23,11 +33,23 @@ class AutomationWorkflow {
     this.errorHandler = new ErrorHandler(storageService);
 
     // Configuration
+    this.platform = config.platform === 'youtube' ? 'youtube' : 'instagram';
     this.pollIntervalSeconds = config.pollIntervalSeconds || 30;
     this.maxCommentsPerCheck = config.maxCommentsPerCheck || 10;
     this.replyTone = config.replyTone || 'friendly';
     this.selectedPostIds = config.selectedPostIds || [];
     this.monitorAll = config.monitorAll || false;
+    // Recent posts checked per cycle when monitoring all posts
+    this.recentPostsLimit = config.recentPostsLimit || null;
+    // 'webhook' mode processes comments pushed by Meta and only polls as a reconciliation sweep
+    this.commentSource = config.commentSource === 'webhook' && this.platform === 'instagram' ? 'webhook' : 'polling';
+    this.reconciliationIntervalSeconds = config.reconciliationIntervalSeconds || 900;
+    // 'manual' queues generated replies for review; per-post policies override the default
+    this.approvalMode = config.approvalMode === 'manual' ? 'manual' : 'auto';
+    this.postApprovalPolicies = config.postApprovalPolicies || {};
+    // Spam / toxicity moderation, runs before triage
+    this.moderation = this.normalizeModerationConfig(config.moderation);
+    this.moderationService = null;
 
     // Workflow state
     this.state = {
@@ -48,6 +70,14 @@ class AutomationWorkflow {
     this.pollTimer = null;
     this.isProcessing = false;
 
+    // Comments received from the Meta webhook, waiting for the next webhook cycle
+    this.webhookQueue = [];
+    this.botUsername = null;
+
+    // Triage rules and DM campaigns, reloaded at the start of every cycle
+    this.triageRules = null;
+    this.dmCampaigns = null;
+
     // Initialize LangGraph workflow
     this.graph = null;
     this.initializeGraph();
@@ -69,14 +99,22 @@ class AutomationWorkflow {
         stats: null,
         currentComment: null,
         currentReply: null,
-        shouldContinue: null
+        shouldContinue: null,
+        source: null,
+        triage: null,
+        moderation: null,
+        campaign: null
       }
     });
 
     // Add nodes to the graph
     workflow.addNode('detectComments', this.detectCommentsNode.bind(this));
+    workflow.addNode('moderateComment', this.moderateCommentNode.bind(this));
+    workflow.addNode('runCampaign', this.runCampaignNode.bind(this));
+    workflow.addNode('triageComment', this.triageCommentNode.bind(this));
     workflow.addNode('generateReply', this.generateReplyNode.bind(this));
     workflow.addNode('postReply', this.postReplyNode.bind(this));
+    workflow.addNode('queueForApproval', this.queueForApprovalNode.bind(this));
     workflow.addNode('errorHandling', this.errorHandlingNode.bind(this));
 
     // Define the workflow edges
@@ -87,21 +125,60 @@ class AutomationWorkflow {
       'detectComments',
       this.routeAfterDetection.bind(this),
       {
-        'generateReply': 'generateReply',
+        'moderateComment': 'moderateComment',
         'end': END
       }
     );
 
+    // Flagged comments are hidden/deleted and skipped, the rest go to DM campaigns
+    workflow.addConditionalEdges(
+      'moderateComment',
+      this.routeAfterModeration.bind(this),
+      {
+        'runCampaign': 'runCampaign',
+        'detectComments': 'detectComments',
+        'errorHandling': 'errorHandling'
+      }
+    );
+
+    // Comments with a campaign keyword get the campaign DM, the rest go to triage
+    workflow.addConditionalEdges(
+      'runCampaign',
+      this.routeAfterCampaign.bind(this),
+      {
+        'triageComment': 'triageComment',
+        'detectComments': 'detectComments',
+        'errorHandling': 'errorHandling'
+      }
+    );
+
+    // Triage decides between AI reply, canned reply, moderation or skipping
+    workflow.addConditionalEdges(
+      'triageComment',
+      this.routeAfterTriage.bind(this),
+      {
+        'generateReply': 'generateReply',
+        'postReply': 'postReply',
+        'queueForApproval': 'queueForApproval',
+        'detectComments': 'detectComments',
+        'errorHandling': 'errorHandling'
+      }
+    );
+
     // Edge from generateReply to postReply or errorHandling
     workflow.addConditionalEdges(
       'generateReply',
       this.routeAfterGeneration.bind(this),
       {
         'postReply': 'postReply',
+        'queueForApproval': 'queueForApproval',
         'errorHandling': 'errorHandling'
       }
     );
 
+    // Queued replies wait for review, move on to the next comment
+    workflow.addEdge('queueForApproval', 'detectComments');
+
     // Edge from postReply back to detectComments or errorHandling
     workflow.addConditionalEdges(
       'postReply',
@@ -124,6 +201,10 @@ class AutomationWorkflow {
    * @private
    */
   async detectCommentsNode(state) {
+    if (state.source === 'webhook') {
+      return this.drainWebhookQueue(state);
+    }
+
     try {
       console.log('[AutomationWorkflow] ========== Starting Comment Detection ==========');
       console.log('[AutomationWorkflow] Current time:', new Date().toISOString());
@@ -133,7 +214,13 @@ class AutomationWorkflow {
 
       // Get posts to monitor (either selected posts or recent posts)
       let posts;
-      if (!this.monitorAll && this.selectedPostIds && this.selectedPostIds.length > 0) {
+      if (this.platform === 'youtube' && !this.monitorAll && this.selectedPostIds.length > 0) {
+        // Videos can be looked up by ID in one request, older uploads included
+        posts = await this.errorHandler.executeWithRetry(
+          () => this.instagramService.getVideos(this.selectedPostIds),
+          { operation: 'getVideos', node: 'detectComments' }
+        );
+      } else if (!this.monitorAll && this.selectedPostIds && this.selectedPostIds.length > 0) {
         console.log(`[AutomationWorkflow] Monitoring ${this.selectedPostIds.length} selected posts`);
         // For selected posts, we need to fetch them individually
         // For now, get all posts and filter
@@ -146,19 +233,37 @@ class AutomationWorkflow {
       } else {
         // Get recent posts from the authenticated user with error handling
         console.log('[AutomationWorkflow] Fetching recent posts (monitoring all posts)...');
-        const fetchLimit = this.monitorAll ? 25 : 5;
+        const fetchLimit = this.recentPostsLimit || (this.monitorAll ? 25 : 5);
         posts = await this.errorHandler.executeWithRetry(
           () => this.instagramService.getAccountPosts(fetchLimit),
           { operation: 'getAccountPosts', node: 'detectComments' }
         );
       }
       
+      // Campaign posts are watched even when they aren't monitored for AI replies
+      const dmCampaigns = await this.getDMCampaigns();
+      const campaignPostIds = [...new Set(dmCampaigns.flatMap(campaign => campaign.postIds || []))];
+      for (const postId of campaignPostIds) {
+        if (posts.some(post => post.id === postId)) {
+          continue;
+        }
+        try {
+          const post = await this.errorHandler.executeWithRetry(
+            () => this.instagramService.getMediaById(postId),
+            { operation: 'getMediaById', node: 'detectComments', postId }
+          );
+          posts.push({ ...post, campaignOnly: true });
+        } catch (error) {
+          console.warn(`[AutomationWorkflow] Could not fetch campaign post ${postId}:`, error.message);
+        }
+      }
+
       console.log(`[AutomationWorkflow] Checking ${posts.length} posts for comments`);
       
       const newComments = [];
 
       // Get bot's own username to filter out self-replies
-      const botUsername = await this.instagramService.getAccountInfo().then(info => info.username).catch(() => null);
+      const botUsername = await this.getBotUsername();
       console.log(`[AutomationWorkflow] Bot username: @${botUsername}`);
 
       // Fetch comments for each post
@@ -194,7 +299,8 @@ class AutomationWorkflow {
             newComments.push({
               ...comment,
               postCaption: post.caption,
-              postType: post.type
+              postType: post.type,
+              campaignOnly: post.campaignOnly === true
             });
 
             // Log comment detection
@@ -225,8 +331,15 @@ class AutomationWorkflow {
         }
       }
 
-      // Limit to max comments per check
-      const commentsToProcess = newComments.slice(0, this.maxCommentsPerCheck);
+      // Limit to max comments per check (and, on YouTube, to the replies today's quota allows)
+      let limit = this.maxCommentsPerCheck;
+      if (this.platform === 'youtube') {
+        limit = Math.min(limit, this.instagramService.getAffordableReplies());
+        if (limit < Math.min(newComments.length, this.maxCommentsPerCheck)) {
+          console.log(`[AutomationWorkflow] YouTube quota budget allows ${limit} more replies today`);
+        }
+      }
+      const commentsToProcess = newComments.slice(0, limit);
 
       state.pendingComments = commentsToProcess;
       state.stats.commentsDetected += commentsToProcess.length;
@@ -254,13 +367,530 @@ class AutomationWorkflow {
       
       // If authentication error, stop the workflow
       if (errorResult.shouldStop) {
-        await this.stop();
+        await this.stopAfterAuthError(error);
       }
       
       return state;
     }
   }
 
+  /**
+   * Detection for webhook cycles: pull comments pushed by Meta instead of polling the Graph API
+   * @private
+   */
+  async drainWebhookQueue(state) {
+    try {
+      state.lastCheckTime = new Date();
+
+      const queued = this.webhookQueue.splice(0, this.webhookQueue.length);
+      const pending = [...(state.pendingComments || [])];
+      const botUsername = await this.getBotUsername();
+
+      for (const comment of queued) {
+        if (botUsername && comment.username === botUsername) {
+          continue;
+        }
+
+        if (pending.some(p => p.id === comment.id)) {
+          continue;
+        }
+
+        const isProcessed = await this.storageService.isCommentProcessed(comment.id);
+        if (isProcessed) {
+          console.log(`[AutomationWorkflow] Skipping already processed webhook comment ${comment.id}`);
+          continue;
+        }
+
+        // Overflow from a previous cycle already carries its post context
+        if (comment.postCaption !== undefined) {
+          pending.push(comment);
+          continue;
+        }
+
+        // Webhook payloads don't include the caption, fetch it for reply context
+        let post = null;
+        try {
+          post = await this.errorHandler.executeWithRetry(
+            () => this.instagramService.getMediaById(comment.postId),
+            { operation: 'getMediaById', node: 'detectComments', postId: comment.postId }
+          );
+        } catch (error) {
+          console.warn(`[AutomationWorkflow] Could not fetch media ${comment.postId} for webhook comment:`, error.message);
+        }
+
+        pending.push({
+          ...comment,
+          postCaption: post?.caption || '',
+          postType: post?.type || null
+        });
+        state.stats.commentsDetected++;
+
+        await this.storageService.appendLog({
+          type: 'comment_detected',
+          message: `New comment received via webhook from @${comment.username}`,
+          details: {
+            commentId: comment.id,
+            postId: comment.postId,
+            username: comment.username,
+            text: comment.text,
+            source: 'webhook'
+          }
+        });
+      }
+
+      state.pendingComments = pending.slice(0, this.maxCommentsPerCheck);
+
+      // Anything over the per-cycle limit goes back to the queue for the next cycle
+      if (pending.length > this.maxCommentsPerCheck) {
+        this.webhookQueue.unshift(...pending.slice(this.maxCommentsPerCheck));
+      }
+
+      console.log(`[AutomationWorkflow] ${state.pendingComments.length} webhook comments ready to process`);
+      return state;
+    } catch (error) {
+      console.error('[AutomationWorkflow] Error draining webhook queue:', error.message);
+
+      state.errors.push({
+        node: 'detectComments',
+        error: error.message,
+        timestamp: new Date()
+      });
+
+      return state;
+    }
+  }
+
+  /**
+   * Username of the connected account, cached to avoid a lookup on every cycle
+   * @private
+   */
+  async getBotUsername() {
+    if (!this.botUsername) {
+      this.botUsername = await this.instagramService.getAccountInfo().then(info => info.username).catch(() => null);
+    }
+    return this.botUsername;
+  }
+
+  /**
+   * Node: Classify the next pending comment and act on spam / toxic ones
+   * @private
+   */
+  async moderateCommentNode(state) {
+    const comment = state.pendingComments[0];
+    state.moderation = null;
+
+    if (!this.moderation.enabled || comment.moderation) {
+      return state;
+    }
+
+    if (!this.moderationService) {
+      this.moderationService = new CommentModerationService(this.storageService.getUserId(), {
+        useAI: this.moderation.useAI
+      });
+    }
+
+    const classification = await this.moderationService.classify(comment.text);
+    comment.moderation = {
+      label: classification.label,
+      confidence: classification.confidence,
+      source: classification.source
+    };
+
+    const flagged = isFlagged(classification.label) && classification.confidence >= this.moderation.minConfidence;
+    const action = !flagged
+      ? 'none'
+      : classification.label === 'spam' ? this.moderation.spamAction : this.moderation.toxicAction;
+
+    await this.storageService.appendLog({
+      type: flagged ? 'warning' : 'info',
+      action: 'moderation',
+      message: flagged
+        ? `Comment from @${comment.username} classified as ${classification.label} (${action === 'none' ? 'not replying' : action})`
+        : `Comment from @${comment.username} classified as ${classification.label}`,
+      details: {
+        commentId: comment.id,
+        postId: comment.postId,
+        text: comment.text,
+        ...comment.moderation,
+        reasons: classification.reasons,
+        action
+      }
+    });
+
+    if (!flagged) {
+      return state;
+    }
+
+    state.moderation = { handled: true, action };
+    const record = {
+      postId: comment.postId,
+      username: comment.username,
+      text: comment.text,
+      postCaption: comment.postCaption,
+      postType: comment.postType,
+      moderation: { ...comment.moderation, action }
+    };
+
+    try {
+      if (action === 'hide') {
+        await this.errorHandler.executeWithRetry(
+          () => this.instagramService.hideComment(comment.id, true),
+          { operation: 'hideComment', node: 'moderateComment', commentId: comment.id }
+        );
+        await this.storageService.markCommentProcessed(comment.id, { ...record, status: 'hidden' });
+      } else if (action === 'delete') {
+        await this.errorHandler.executeWithRetry(
+          () => this.instagramService.deleteComment(comment.id),
+          { operation: 'deleteComment', node: 'moderateComment', commentId: comment.id }
+        );
+        await this.storageService.markCommentProcessed(comment.id, { ...record, status: 'deleted' });
+      } else {
+        // Flagged but left in place: just don't reply to it
+        await this.storageService.markCommentProcessed(comment.id, { ...record, status: 'skipped' });
+      }
+    } catch (error) {
+      console.error(`[AutomationWorkflow] Moderation action ${action} failed:`, error.message);
+
+      state.errors.push({
+        node: 'moderateComment',
+        error: error.message,
+        comment,
+        timestamp: new Date()
+      });
+      state.moderation.failed = true;
+
+      try {
+        await this.storageService.markCommentProcessed(comment.id, { ...record, status: 'failed' });
+      } catch (markError) {
+        console.error('[AutomationWorkflow] Failed to mark comment after moderation error:', markError.message);
+      }
+    }
+
+    // Hidden and deleted comments are dealt with, the others need a look
+    if (action === 'none' || state.moderation.failed) {
+      await pushNotifications.notify(this.storageService.getUserId(), 'commentFlagged', {
+        commentId: comment.id,
+        username: comment.username,
+        text: comment.text,
+        label: classification.label
+      });
+      await webhooks.dispatch(this.storageService.getUserId(), 'comment.flagged', {
+        commentId: comment.id,
+        postId: comment.postId,
+        platform: this.platform,
+        username: comment.username,
+        text: comment.text,
+        label: classification.label,
+        confidence: classification.confidence,
+        action: state.moderation.failed ? 'failed' : action
+      });
+    }
+
+    state.processedComments.add(comment.id);
+    state.pendingComments.shift();
+
+    return state;
+  }
+
+  /**
+   * Node: Send the campaign DM when a comment contains a campaign's trigger keyword
+   * Campaign messages are written by the user, so they skip the approval queue
+   * @private
+   */
+  async runCampaignNode(state) {
+    const comment = state.pendingComments[0];
+    state.campaign = null;
+
+    const campaign = findCampaign(comment, await this.getDMCampaigns());
+
+    if (!campaign) {
+      // Posts watched only for a campaign don't get AI replies
+      if (comment.campaignOnly) {
+        state.campaign = { handled: true };
+        try {
+          await this.storageService.markCommentProcessed(comment.id, {
+            postId: comment.postId,
+            username: comment.username,
+            text: comment.text,
+            moderation: comment.moderation,
+            status: 'skipped'
+          });
+        } catch (error) {
+          console.error('[AutomationWorkflow] Failed to mark campaign-only comment:', error.message);
+        }
+        state.processedComments.add(comment.id);
+        state.pendingComments.shift();
+      }
+      return state;
+    }
+
+    state.campaign = { handled: true, campaignId: campaign._id };
+    const record = {
+      postId: comment.postId,
+      username: comment.username,
+      text: comment.text,
+      postCaption: comment.postCaption,
+      postType: comment.postType,
+      moderation: comment.moderation,
+      campaign: { campaignId: campaign._id, campaignName: campaign.name }
+    };
+    // Without a username there is nothing to de-duplicate on, fall back to the comment itself
+    const username = String(comment.username || '').replace(/^@/, '').toLowerCase();
+    const recipient = username && username !== 'unknown' ? username : `comment:${comment.id}`;
+    const vars = { username: comment.username, link: campaign.link, keyword: campaign.keyword };
+
+    try {
+      const claimed = await this.storageService.claimCampaignDelivery(campaign._id, recipient, comment.id);
+
+      if (!claimed) {
+        await this.storageService.recordCampaignStats(campaign._id, { triggers: 1, duplicates: 1 });
+        await this.storageService.markCommentProcessed(comment.id, {
+          ...record,
+          campaign: { ...record.campaign, dmStatus: 'duplicate' },
+          status: 'skipped'
+        });
+        await this.storageService.appendLog({
+          type: 'info',
+          action: 'dm_campaign',
+          message: `@${comment.username} already received the "${campaign.name}" DM`,
+          details: { commentId: comment.id, postId: comment.postId, campaignId: campaign._id }
+        });
+      } else {
+        const message = renderCampaignTemplate(campaign.dmTemplate, vars);
+
+        try {
+          await this.errorHandler.executeWithRetry(
+            () => this.instagramService.sendPrivateReply(comment.id, message),
+            { operation: 'sendPrivateReply', node: 'runCampaign', commentId: comment.id }
+          );
+        } catch (error) {
+          await this.storageService.completeCampaignDelivery(campaign._id, recipient, { status: 'failed', error: error.message });
+          await this.storageService.recordCampaignStats(campaign._id, { triggers: 1, dmsFailed: 1 });
+          record.campaign.dmStatus = 'failed';
+          throw error;
+        }
+
+        await this.storageService.completeCampaignDelivery(campaign._id, recipient, { status: 'sent' });
+
+        let publicReply = null;
+        let replyId = null;
+        if (campaign.publicReplyTemplate) {
+          publicReply = renderCampaignTemplate(campaign.publicReplyTemplate, vars);
+          try {
+            const result = await this.errorHandler.executeWithRetry(
+              () => this.instagramService.replyToComment(comment.id, publicReply),
+              { operation: 'replyToComment', node: 'runCampaign', commentId: comment.id }
+            );
+            replyId = result?.id || null;
+          } catch (error) {
+            // The DM went out, a missing acknowledgement isn't worth failing the comment
+            console.warn(`[AutomationWorkflow] Campaign public reply failed for ${comment.id}:`, error.message);
+            publicReply = null;
+          }
+        }
+
+        await this.storageService.recordCampaignStats(campaign._id, {
+          triggers: 1,
+          dmsSent: 1,
+          publicReplies: publicReply ? 1 : 0
+        });
+        await this.storageService.markCommentProcessed(comment.id, {
+          ...record,
+          campaign: { ...record.campaign, dmStatus: 'sent' },
+          reply: publicReply,
+          replyId,
+          status: publicReply ? 'reply_posted' : 'dm_sent'
+        });
+        if (publicReply) {
+          state.stats.repliesPosted++;
+        }
+
+        await this.storageService.appendLog({
+          type: 'reply_posted',
+          action: 'dm_campaign',
+          message: `Sent "${campaign.name}" DM to @${comment.username}`,
+          details: {
+            commentId: comment.id,
+            postId: comment.postId,
+            campaignId: campaign._id,
+            message,
+            publicReply
+          }
+        });
+      }
+    } catch (error) {
+      console.error(`[AutomationWorkflow] Campaign "${campaign.name}" failed:`, error.message);
+
+      state.errors.push({
+        node: 'runCampaign',
+        error: error.message,
+        comment,
+        timestamp: new Date()
+      });
+      state.campaign.failed = true;
+
+      try {
+        await this.storageService.markCommentProcessed(comment.id, { ...record, status: 'failed' });
+      } catch (markError) {
+        console.error('[AutomationWorkflow] Failed to mark comment after campaign error:', markError.message);
+      }
+    }
+
+    state.processedComments.add(comment.id);
+    state.pendingComments.shift();
+
+    return state;
+  }
+
+  /**
+   * Load DM campaigns once per cycle
+   * @private
+   */
+  async getDMCampaigns() {
+    // Campaigns answer with Instagram DMs
+    if (this.platform !== 'instagram') {
+      return [];
+    }
+    if (!this.dmCampaigns) {
+      this.dmCampaigns = await this.storageService.getDMCampaigns();
+    }
+    return this.dmCampaigns;
+  }
+
+  /**
+   * Fill in moderation defaults
+   * @private
+   */
+  normalizeModerationConfig(moderation = {}) {
+    const actions = ['none', 'hide', 'delete'];
+    return {
+      enabled: moderation.enabled === true,
+      useAI: moderation.useAI !== false,
+      spamAction: actions.includes(moderation.spamAction) ? moderation.spamAction : 'hide',
+      toxicAction: actions.includes(moderation.toxicAction) ? moderation.toxicAction : 'hide',
+      minConfidence: typeof moderation.minConfidence === 'number' ? moderation.minConfidence : 0.7
+    };
+  }
+
+  /**
+   * Node: Apply the user's triage rules to the next pending comment
+   * @private
+   */
+  async triageCommentNode(state) {
+    const comment = state.pendingComments[0];
+    state.currentComment = comment;
+    state.currentReply = null;
+
+    const rules = await this.getTriageRules();
+    const decision = triageComment(comment, rules);
+    const triage = {
+      ruleId: decision.rule?._id || null,
+      ruleName: decision.rule?.name || null,
+      action: decision.action,
+      tone: decision.tone
+    };
+    state.triage = triage;
+
+    if (decision.rule) {
+      await this.storageService.recordRuleMatch(decision.rule._id);
+    }
+
+    await this.storageService.appendLog({
+      type: 'info',
+      action: 'triage',
+      message: decision.rule
+        ? `Rule "${decision.rule.name}" matched comment from @${comment.username}: ${decision.action}`
+        : `No rule matched comment from @${comment.username}, using AI reply`,
+      details: {
+        commentId: comment.id,
+        postId: comment.postId,
+        text: comment.text,
+        ruleId: triage.ruleId,
+        ruleName: triage.ruleName,
+        decision: decision.action
+      }
+    });
+
+    const record = {
+      postId: comment.postId,
+      username: comment.username,
+      text: comment.text,
+      postCaption: comment.postCaption,
+      postType: comment.postType,
+      moderation: comment.moderation,
+      triage: { ruleId: triage.ruleId, ruleName: triage.ruleName, action: triage.action }
+    };
+
+    try {
+      switch (decision.action) {
+        case 'ai_reply':
+          return state;
+
+        case 'template':
+          state.currentReply = decision.reply;
+          state.stats.repliesGenerated++;
+          return state;
+
+        case 'hide':
+          await this.errorHandler.executeWithRetry(
+            () => this.instagramService.hideComment(comment.id, true),
+            { operation: 'hideComment', node: 'triageComment', commentId: comment.id }
+          );
+          await this.storageService.markCommentProcessed(comment.id, { ...record, status: 'hidden' });
+          break;
+
+        case 'delete':
+          await this.errorHandler.executeWithRetry(
+            () => this.instagramService.deleteComment(comment.id),
+            { operation: 'deleteComment', node: 'triageComment', commentId: comment.id }
+          );
+          await this.storageService.markCommentProcessed(comment.id, { ...record, status: 'deleted' });
+          break;
+
+        case 'escalate':
+          // Lands in the approval queue without a draft so a human writes the reply
+          await this.storageService.markCommentProcessed(comment.id, { ...record, status: 'pending_approval' });
+          break;
+
+        default:
+          await this.storageService.markCommentProcessed(comment.id, { ...record, status: 'skipped' });
+      }
+    } catch (error) {
+      console.error(`[AutomationWorkflow] Triage action ${decision.action} failed:`, error.message);
+
+      state.errors.push({
+        node: 'triageComment',
+        error: error.message,
+        comment,
+        timestamp: new Date()
+      });
+      triage.failed = true;
+
+      try {
+        await this.storageService.markCommentProcessed(comment.id, { ...record, status: 'failed' });
+      } catch (markError) {
+        console.error('[AutomationWorkflow] Failed to mark comment after triage error:', markError.message);
+      }
+    }
+
+    state.processedComments.add(comment.id);
+    state.pendingComments.shift();
+    state.currentComment = null;
+
+    return state;
+  }
+
+  /**
+   * Load triage rules once per cycle
+   * @private
+   */
+  async getTriageRules() {
+    if (!this.triageRules) {
+      this.triageRules = await this.storageService.getCommentRules();
+    }
+    return this.triageRules;
+  }
+
   /**
    * Node: Generate AI reply for a comment
    * @private
@@ -277,13 +907,16 @@ class AutomationWorkflow {
       const comment = state.pendingComments[0];
       state.currentComment = comment;
 
+      // A matching triage rule may override the default tone
+      const tone = state.triage?.tone || this.replyTone;
+
       console.log(`[AutomationWorkflow] Generating reply for comment: "${comment.text}"`);
 
       // Generate reply using AI service with error handling and retry
       const reply = await this.errorHandler.executeWithRetry(
         () => this.aiReplyService.generateReply(
           comment.text,
-          this.replyTone,
+          tone,
           {
             caption: comment.postCaption,
             postType: comment.postType
@@ -304,6 +937,7 @@ class AutomationWorkflow {
           postId: comment.postId,
           username: comment.username,
           text: comment.text,
+          moderation: comment.moderation,
           reply: null,
           status: 'skipped'
         });
@@ -324,7 +958,7 @@ class AutomationWorkflow {
           commentId: comment.id,
           commentText: comment.text,
           reply: trimmedReply,
-          tone: this.replyTone
+          tone
         }
       });
 
@@ -396,8 +1030,10 @@ class AutomationWorkflow {
         postId: comment.postId,
         username: comment.username,
         text: comment.text,
+        moderation: comment.moderation,
         reply: reply,
         replyId: replyResult?.id || null,
+        triage: state.triage?.ruleId ? { ruleId: state.triage.ruleId, ruleName: state.triage.ruleName, action: state.triage.action } : null,
         status: 'reply_posted'
       });
       state.processedComments.add(comment.id);
@@ -419,6 +1055,16 @@ class AutomationWorkflow {
           replyType: replyType
         }
       });
+      await webhooks.dispatch(this.storageService.getUserId(), 'comment.replied', {
+        commentId: comment.id,
+        postId: comment.postId,
+        platform: this.platform,
+        username: comment.username,
+        text: comment.text,
+        reply,
+        replyType,
+        approved: false
+      });
 
       console.log(`[AutomationWorkflow] Successfully posted reply`);
 
@@ -458,6 +1104,7 @@ class AutomationWorkflow {
             postId: state.currentComment.postId,
             username: state.currentComment.username,
             text: state.currentComment.text,
+            moderation: state.currentComment.moderation,
             reply: state.currentReply || null,
             status: errorResult.action === ErrorAction.SKIP_AND_CONTINUE ? 'failed' : 'skipped'
           });
@@ -476,13 +1123,75 @@ class AutomationWorkflow {
       
       // If authentication error, stop the workflow
       if (errorResult.shouldStop) {
-        await this.stop();
+        await this.stopAfterAuthError(error);
       }
 
       return state;
     }
   }
 
+  /**
+   * Node: Store the generated reply as pending approval instead of posting it
+   * @private
+   */
+  async queueForApprovalNode(state) {
+    const comment = state.currentComment;
+    const reply = state.currentReply;
+
+    try {
+      await this.storageService.markCommentProcessed(comment.id, {
+        postId: comment.postId,
+        username: comment.username,
+        text: comment.text,
+        moderation: comment.moderation,
+        reply,
+        postCaption: comment.postCaption,
+        postType: comment.postType,
+        triage: state.triage?.ruleId ? { ruleId: state.triage.ruleId, ruleName: state.triage.ruleName, action: state.triage.action } : null,
+        status: 'pending_approval'
+      });
+      state.processedComments.add(comment.id);
+
+      await this.storageService.appendLog({
+        type: 'info',
+        message: `Reply to @${comment.username} is waiting for approval`,
+        details: {
+          commentId: comment.id,
+          postId: comment.postId,
+          reply
+        }
+      });
+
+      console.log(`[AutomationWorkflow] Reply for comment ${comment.id} queued for approval`);
+    } catch (error) {
+      console.error('[AutomationWorkflow] Error queueing reply for approval:', error.message);
+      state.errors.push({
+        node: 'queueForApproval',
+        error: error.message,
+        comment,
+        timestamp: new Date()
+      });
+    }
+
+    state.pendingComments.shift();
+    state.currentComment = null;
+    state.currentReply = null;
+
+    return state;
+  }
+
+  /**
+   * Whether replies on a post need human approval before posting
+   * @private
+   */
+  requiresApproval(postId) {
+    const policies = this.postApprovalPolicies instanceof Map
+      ? Object.fromEntries(this.postApprovalPolicies)
+      : this.postApprovalPolicies;
+    const policy = (postId && policies[postId]) || this.approvalMode;
+    return policy === 'manual';
+  }
+
   /**
    * Node: Handle errors and log them
    * @private
@@ -526,22 +1235,77 @@ class AutomationWorkflow {
    * @private
    */
   routeAfterDetection(state) {
-    // If there are pending comments, proceed to generate reply
+    // If there are pending comments, moderate the next one
     if (state.pendingComments && state.pendingComments.length > 0) {
-      return 'generateReply';
+      return 'moderateComment';
     }
     // Otherwise, end this cycle
     return 'end';
   }
 
+  /**
+   * Routing function after moderation
+   * @private
+   */
+  routeAfterModeration(state) {
+    if (state.moderation?.failed) {
+      return 'errorHandling';
+    }
+
+    if (state.moderation?.handled) {
+      return 'detectComments';
+    }
+
+    return 'runCampaign';
+  }
+
+  /**
+   * Routing function after DM campaigns
+   * @private
+   */
+  routeAfterCampaign(state) {
+    if (state.campaign?.failed) {
+      return 'errorHandling';
+    }
+
+    if (state.campaign?.handled) {
+      return 'detectComments';
+    }
+
+    return 'triageComment';
+  }
+
+  /**
+   * Routing function after triage
+   * @private
+   */
+  routeAfterTriage(state) {
+    const triage = state.triage;
+
+    if (triage?.failed) {
+      return 'errorHandling';
+    }
+
+    if (triage?.action === 'ai_reply') {
+      return 'generateReply';
+    }
+
+    // Canned replies follow the same approval policy as AI replies
+    if (triage?.action === 'template' && state.currentReply) {
+      return this.requiresApproval(state.currentComment?.postId) ? 'queueForApproval' : 'postReply';
+    }
+
+    return 'detectComments';
+  }
+
   /**
    * Routing function after reply generation
    * @private
    */
   routeAfterGeneration(state) {
-    // If reply was generated successfully, post it
+    // If reply was generated successfully, post it (or hold it for review)
     if (state.currentReply) {
-      return 'postReply';
+      return this.requiresApproval(state.currentComment?.postId) ? 'queueForApproval' : 'postReply';
     }
     // Otherwise, handle the error
     return 'errorHandling';
@@ -587,7 +1351,9 @@ class AutomationWorkflow {
       type: 'info',
       message: 'Automation workflow started',
       details: {
-        pollIntervalSeconds: this.pollIntervalSeconds,
+        platform: this.platform,
+        pollIntervalSeconds: this.getEffectivePollInterval(),
+        commentSource: this.commentSource,
         replyTone: this.replyTone
       }
     });
@@ -624,6 +1390,26 @@ class AutomationWorkflow {
     });
   }
 
+  /**
+   * Stop after an authentication error and tell the user, who has to reconnect the account
+   * @private
+   * @param {Error} error - The authentication error
+   */
+  async stopAfterAuthError(error) {
+    const wasRunning = this.state.isRunning;
+    await this.stop();
+
+    if (wasRunning) {
+      await pushNotifications.notify(this.storageService.getUserId(), 'automationStopped', {
+        platform: this.platform
+      });
+      await webhooks.dispatch(this.storageService.getUserId(), 'automation.stopped', {
+        platform: this.platform,
+        reason: error?.message
+      });
+    }
+  }
+
   /**
    * Start the polling mechanism
    * @private
@@ -635,14 +1421,67 @@ class AutomationWorkflow {
     // Execute workflow immediately
     this.executeWorkflowCycle();
 
-    // Set up recurring polling
+    // Set up recurring polling (a low-frequency reconciliation sweep in webhook mode)
+    const intervalSeconds = this.getEffectivePollInterval();
     this.pollTimer = setInterval(() => {
       if (this.state.isRunning && !this.isProcessing) {
         this.executeWorkflowCycle();
       }
-    }, this.pollIntervalSeconds * 1000);
+    }, intervalSeconds * 1000);
 
-    console.log(`[AutomationWorkflow] Polling started with ${this.pollIntervalSeconds}s interval`);
+    console.log(`[AutomationWorkflow] Polling started with ${intervalSeconds}s interval (${this.commentSource} mode)`);
+  }
+
+  /**
+   * Poll interval in seconds for the current comment source
+   * @private
+   */
+  getEffectivePollInterval() {
+    if (this.platform === 'youtube') {
+      // Never poll faster than the quota budget allows
+      const videos = this.monitorAll || this.selectedPostIds.length === 0
+        ? this.recentPostsLimit || 5
+        : this.selectedPostIds.length;
+      return Math.max(this.pollIntervalSeconds, minPollIntervalSeconds(this.instagramService.quota.dailyBudget, videos));
+    }
+
+    return this.commentSource === 'webhook'
+      ? this.reconciliationIntervalSeconds
+      : this.pollIntervalSeconds;
+  }
+
+  /**
+   * Queue a comment pushed by the Meta webhook and process it right away
+   * @param {Object} comment - Normalized comment ({ id, postId, username, text, timestamp })
+   * @returns {boolean} True if the comment was queued
+   */
+  enqueueWebhookComment(comment) {
+    if (!this.state.isRunning || this.commentSource !== 'webhook') {
+      return false;
+    }
+
+    if (!comment?.id || !comment.postId) {
+      return false;
+    }
+
+    // Respect the post selection, same as the polling path
+    if (!this.monitorAll && this.selectedPostIds.length > 0 && !this.selectedPostIds.includes(comment.postId)) {
+      console.log(`[AutomationWorkflow] Ignoring webhook comment ${comment.id} on unmonitored post ${comment.postId}`);
+      return false;
+    }
+
+    if (this.webhookQueue.some(queued => queued.id === comment.id)) {
+      return false;
+    }
+
+    this.webhookQueue.push(comment);
+
+    // If a cycle is running, the queue is drained once it finishes
+    if (!this.isProcessing) {
+      this.executeWorkflowCycle('webhook');
+    }
+
+    return true;
   }
 
   /**
@@ -661,16 +1500,20 @@ class AutomationWorkflow {
    * Execute one cycle of the workflow
    * @private
    */
-  async executeWorkflowCycle() {
+  async executeWorkflowCycle(source = 'poll') {
     if (this.isProcessing) {
       console.log('[AutomationWorkflow] Already processing, skipping cycle');
       return;
     }
 
     this.isProcessing = true;
+    this.state.source = source;
+    this.triageRules = null;
+    this.dmCampaigns = null;
+    this.moderationService = null;
 
     try {
-      console.log('[AutomationWorkflow] Executing workflow cycle...');
+      console.log(`[AutomationWorkflow] Executing ${source} workflow cycle...`);
 
       // Invoke the LangGraph workflow
       const result = await this.graph.invoke(this.state);
@@ -697,6 +1540,11 @@ class AutomationWorkflow {
       });
     } finally {
       this.isProcessing = false;
+
+      // Webhook comments that arrived mid-cycle
+      if (this.state.isRunning && this.webhookQueue.length > 0) {
+        setImmediate(() => this.executeWorkflowCycle('webhook'));
+      }
     }
   }
 
@@ -705,13 +1553,18 @@ class AutomationWorkflow {
    */
   getState() {
     return {
+      platform: this.platform,
       isRunning: this.state.isRunning,
       lastCheckTime: this.state.lastCheckTime,
       stats: this.state.stats,
       pendingCommentsCount: this.state.pendingComments.length,
       processedCommentsCount: this.state.processedComments.size,
       errorCount: this.state.errors.length,
-      isProcessing: this.isProcessing
+      isProcessing: this.isProcessing,
+      commentSource: this.commentSource,
+      approvalMode: this.approvalMode,
+      pollIntervalSeconds: this.getEffectivePollInterval(),
+      queuedWebhookComments: this.webhookQueue.length
     };
   }
 
@@ -724,14 +1577,65 @@ class AutomationWorkflow {
       console.log(`[AutomationWorkflow] Reply tone updated to: ${this.replyTone}`);
     }
 
+    let restartPolling = false;
+
     if (config.pollIntervalSeconds) {
       this.pollIntervalSeconds = config.pollIntervalSeconds;
       console.log(`[AutomationWorkflow] Poll interval updated to: ${this.pollIntervalSeconds}s`);
-      
-      // Restart polling with new interval if running
-      if (this.state.isRunning) {
-        this.startPolling();
-      }
+      restartPolling = true;
+    }
+
+    if (config.approvalMode) {
+      this.approvalMode = config.approvalMode === 'manual' ? 'manual' : 'auto';
+      console.log(`[AutomationWorkflow] Approval mode updated to: ${this.approvalMode}`);
+    }
+
+    if (config.postApprovalPolicies) {
+      this.postApprovalPolicies = config.postApprovalPolicies;
+    }
+
+    if (config.moderation) {
+      this.moderation = this.normalizeModerationConfig(config.moderation);
+      console.log(`[AutomationWorkflow] Moderation ${this.moderation.enabled ? 'enabled' : 'disabled'}`);
+    }
+
+    if (config.monitorAll !== undefined) {
+      this.monitorAll = config.monitorAll;
+    }
+
+    if (config.selectedPostIds) {
+      this.selectedPostIds = config.selectedPostIds;
+    }
+
+    if (config.maxCommentsPerCheck) {
+      this.maxCommentsPerCheck = config.maxCommentsPerCheck;
+    }
+
+    if (config.recentPostsLimit) {
+      this.recentPostsLimit = config.recentPostsLimit;
+      restartPolling = true;
+    }
+
+    if (config.dailyQuotaBudget && this.platform === 'youtube') {
+      this.instagramService.quota.dailyBudget = config.dailyQuotaBudget;
+      console.log(`[AutomationWorkflow] YouTube quota budget updated to: ${config.dailyQuotaBudget} units/day`);
+      restartPolling = true;
+    }
+
+    if (config.commentSource && this.platform === 'instagram') {
+      this.commentSource = config.commentSource === 'webhook' ? 'webhook' : 'polling';
+      console.log(`[AutomationWorkflow] Comment source updated to: ${this.commentSource}`);
+      restartPolling = true;
+    }
+
+    if (config.reconciliationIntervalSeconds) {
+      this.reconciliationIntervalSeconds = config.reconciliationIntervalSeconds;
+      restartPolling = true;
+    }
+
+    // Restart polling with new interval if running
+    if (restartPolling && this.state.isRunning) {
+      this.startPolling();
     }
   }
 
@@ -0,0 +1,94 @@
+/**
+ * Carousel Outline
+ *
+ * Helpers for slide-by-slide carousel generation. The AI model is asked for a
+ * JSON outline with one title, text and image prompt per slide; these helpers
+ * turn its raw answer into a clean, ordered slide list within Instagram's
+ * carousel limits.
+ */
+
+const MIN_SLIDES = 2;
+const MAX_SLIDES = 10;
+const DEFAULT_SLIDES = 5;
+
+/**
+ * Clamp a requested slide count to what Instagram accepts
+ * @param {number|string} count
+ * @returns {number}
+ */
+function clampSlideCount(count) {
+  const value = parseInt(count, 10);
+  if (Number.isNaN(value)) return DEFAULT_SLIDES;
+  return Math.min(MAX_SLIDES, Math.max(MIN_SLIDES, value));
+}
+
+/**
+ * Pull the JSON object out of a model answer that may be wrapped in
+ * markdown fences or surrounded by extra text
+ * @param {string} raw
+ * @returns {Object}
+ */
+function extractJson(raw) {
+  const text = String(raw || '').replace(/```(?:json)?/gi, '');
+  const start = text.indexOf('{');
+  const end = text.lastIndexOf('}');
+
+  if (start === -1 || end <= start) {
+    throw new Error('Carousel outline is not valid JSON');
+  }
+
+  try {
+    return JSON.parse(text.slice(start, end + 1));
+  } catch (error) {
+    throw new Error(`Carousel outline is not valid JSON: ${error.message}`);
+  }
+}
+
+/**
+ * Parse the model's outline into ordered slides
+ * Slides without an image prompt are dropped; extra slides are cut off
+ * @param {string} raw - Model output
+ * @param {number} [slideCount] - Number of slides requested
+ * @returns {{ hook: string, slides: Array<{ title: string, text: string, imagePrompt: string }> }}
+ */
+function parseCarouselOutline(raw, slideCount = DEFAULT_SLIDES) {
+  const outline = extractJson(raw);
+  const rawSlides = Array.isArray(outline.slides) ? outline.slides : [];
+
+  const slides = rawSlides
+    .map(slide => ({
+      title: String(slide?.title || '').trim(),
+      text: String(slide?.text || slide?.caption || '').trim(),
+      imagePrompt: String(slide?.imagePrompt || slide?.image_prompt || '').trim()
+    }))
+    .filter(slide => slide.imagePrompt)
+    .slice(0, clampSlideCount(slideCount));
+
+  if (slides.length < MIN_SLIDES) {
+    throw new Error(`Carousel outline needs at least ${MIN_SLIDES} slides with image prompts (got ${slides.length})`);
+  }
+
+  return {
+    hook: String(outline.hook || slides[0].title || '').trim(),
+    slides
+  };
+}
+
+/**
+ * Text shown for a slide: its title and body on separate lines
+ * @param {{ title?: string, text?: string }} slide
+ * @returns {string}
+ */
+function formatSlideCaption(slide) {
+  return [slide.title, slide.text].map(part => String(part || '').trim()).filter(Boolean).join('\n');
+}
+
+// Export functions
+module.exports = {
+  MIN_SLIDES,
+  MAX_SLIDES,
+  DEFAULT_SLIDES,
+  clampSlideCount,
+  parseCarouselOutline,
+  formatSlideCaption
+};
@@ -0,0 +1,94 @@
+const AIConfigService = require('./ai-config.service');
+const MultiProviderAIService = require('./multi-provider-ai.service');
+const {
+  classifyHeuristic,
+  buildClassificationPrompt,
+  parseClassification
+} = require('./moderation-heuristics');
+
+const DEFAULT_GEMINI_MODEL = 'gemini-2.5-flash';
+
+/**
+ * CommentModerationService - Classifies comments as spam / toxic / neutral / positive / question
+ * Uses the user's configured AI provider, then the server Gemini key, then local heuristics
+ */
+class CommentModerationService {
+  constructor(userId, options = {}) {
+    this.userId = userId;
+    this.useAI = options.useAI !== false;
+    this.aiService = new MultiProviderAIService();
+    this.aiConfig = undefined;
+  }
+
+  /**
+   * Classify a comment
+   * @param {string} text - Comment text
+   * @returns {Promise<{label: string, confidence: number, source: string, reasons: Array<string>}>}
+   */
+  async classify(text) {
+    if (this.useAI) {
+      const config = await this.getAIConfig();
+
+      if (config) {
+        try {
+          const raw = await this.aiService.generate(
+            config.provider,
+            config.model,
+            buildClassificationPrompt(text),
+            config.apiKey
+          );
+          const parsed = parseClassification(raw);
+
+          if (parsed) {
+            return { ...parsed, source: 'ai', reasons: [`${config.provider}/${config.model}`] };
+          }
+
+          console.warn('[CommentModeration] Unusable AI classification, using heuristics');
+        } catch (error) {
+          console.warn('[CommentModeration] AI classification failed, using heuristics:', error.message);
+        }
+      }
+    }
+
+    return { ...classifyHeuristic(text), source: 'heuristic' };
+  }
+
+  /**
+   * Resolve the AI provider once per service instance
+   * @private
+   */
+  async getAIConfig() {
+    if (this.aiConfig !== undefined) {
+      return this.aiConfig;
+    }
+
+    this.aiConfig = null;
+
+    try {
+      if (this.userId && await AIConfigService.isAIConfigured(this.userId)) {
+        const config = await AIConfigService.getUserAIConfig(this.userId);
+        const provider = config.provider === 'google' ? 'gemini' : config.provider;
+
+        if (this.aiService.providers[provider]) {
+          this.aiConfig = { ...config, provider };
+          return this.aiConfig;
+        }
+      }
+    } catch (error) {
+      console.warn('[CommentModeration] Could not load user AI config:', error.message);
+    }
+
+    const geminiApiKey = process.env.GEMINI_API_KEY;
+    if (geminiApiKey && geminiApiKey.trim()) {
+      this.aiConfig = {
+        provider: 'gemini',
+        model: DEFAULT_GEMINI_MODEL,
+        apiKey: geminiApiKey.trim()
+      };
+    }
+
+    return this.aiConfig;
+  }
+}
+
+module.exports = CommentModerationService;
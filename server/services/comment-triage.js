@@ -0,0 +1,350 @@
+/**
+ * Comment Triage
+ *
+ * Evaluates per-user rules against a comment and decides what the
+ * automation should do with it:
+ * - ignore, template, ai_reply, hide, delete, escalate
+ *
+ * Rules are checked in priority order and the first match wins.
+ * Comments that match no rule get a regular AI reply.
+ */
+
+const vm = require('vm');
+
+const ACTIONS = ['ignore', 'template', 'ai_reply', 'hide', 'delete', 'escalate'];
+const TONES = ['friendly', 'formal', 'professional'];
+const MAX_PATTERN_LENGTH = 200;
+// Longest a rule pattern may run against one comment before it counts as no match
+const PATTERN_TIMEOUT_MS = 50;
+
+const LINK_REGEX = /(https?:\/\/|www\.)\S+|\b[a-z0-9-]+\.(com|net|org|io|co|me|ly|link|shop|store|xyz)\b/i;
+const EMOJI_REGEX = /\p{Extended_Pictographic}/u;
+// Emoji plus the joiners/modifiers that glue them together
+const EMOJI_ONLY_REGEX = /^[\p{Extended_Pictographic}\p{Emoji_Modifier}\p{Emoji_Component}️‍\s]+$/u;
+
+const SCRIPT_PATTERNS = {
+  latin: /\p{Script=Latin}/gu,
+  cyrillic: /\p{Script=Cyrillic}/gu,
+  greek: /\p{Script=Greek}/gu,
+  arabic: /\p{Script=Arabic}/gu,
+  hebrew: /\p{Script=Hebrew}/gu,
+  devanagari: /\p{Script=Devanagari}/gu,
+  bengali: /\p{Script=Bengali}/gu,
+  tamil: /\p{Script=Tamil}/gu,
+  thai: /\p{Script=Thai}/gu,
+  hangul: /\p{Script=Hangul}/gu,
+  japanese: /[\p{Script=Hiragana}\p{Script=Katakana}]/gu,
+  han: /\p{Script=Han}/gu
+};
+
+// Patterns run in a separate context so a runaway one can be interrupted
+const patternContext = vm.createContext({});
+const patternTest = new vm.Script('regex.test(text)');
+
+/**
+ * Why a pattern could backtrack catastrophically, or null when it is safe
+ * Rejects repeated groups that contain a repeat or an alternation, e.g. (a+)+ or (a|ab)*,
+ * and backreferences
+ * @param {string} pattern
+ * @returns {string|null}
+ */
+function findUnsafePattern(pattern) {
+  // One frame per open group: whether it contains a repeat or an alternation
+  const groups = [{ repeats: false, alternates: false }];
+
+  // Quantifier at position i that can repeat more than once, and its length
+  const readRepeat = (i) => {
+    const char = pattern[i];
+    if (char === '*' || char === '+') {
+      return 1;
+    }
+    const counted = /^\{(\d+)(,(\d*))?\}/.exec(pattern.slice(i));
+    if (counted && (counted[2] ? counted[3] === '' || Number(counted[3]) > 1 : Number(counted[1]) > 1)) {
+      return counted[0].length;
+    }
+    return 0;
+  };
+
+  for (let i = 0; i < pattern.length; i++) {
+    const char = pattern[i];
+    const frame = groups[groups.length - 1];
+    let atomGroup = null;
+
+    if (char === '\\') {
+      if (/[1-9k]/.test(pattern[i + 1] || '')) {
+        return 'Backreferences are not allowed';
+      }
+      i++;
+    } else if (char === '[') {
+      // Character class: skip to its closing bracket
+      for (i++; i < pattern.length && pattern[i] !== ']'; i++) {
+        if (pattern[i] === '\\') {
+          i++;
+        }
+      }
+    } else if (char === '(') {
+      groups.push({ repeats: false, alternates: false });
+      continue;
+    } else if (char === ')') {
+      atomGroup = groups.length > 1 ? groups.pop() : null;
+    } else if (char === '|') {
+      frame.alternates = true;
+      continue;
+    }
+
+    const parent = groups[groups.length - 1];
+    const repeatLength = readRepeat(i + 1);
+    if (repeatLength > 0) {
+      if (atomGroup && (atomGroup.repeats || atomGroup.alternates)) {
+        return 'Repeated groups cannot contain another repeat or an alternation, e.g. (a+)+';
+      }
+      parent.repeats = true;
+      i += repeatLength;
+    }
+    if (atomGroup?.repeats) {
+      parent.repeats = true;
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Test a rule pattern with a time limit
+ * @returns {boolean} false when the pattern runs too long
+ */
+function testPattern(regex, text) {
+  patternContext.regex = regex;
+  patternContext.text = text;
+  try {
+    return patternTest.runInContext(patternContext, { timeout: PATTERN_TIMEOUT_MS });
+  } catch {
+    return false;
+  } finally {
+    patternContext.regex = null;
+    patternContext.text = null;
+  }
+}
+
+/**
+ * Detect the dominant writing system of a text
+ * @param {string} text
+ * @returns {string|null} - Script name, or null when the text has no letters
+ */
+function detectScript(text) {
+  if (!text) return null;
+
+  let best = null;
+  let bestCount = 0;
+
+  for (const [script, regex] of Object.entries(SCRIPT_PATTERNS)) {
+    const count = (text.match(regex) || []).length;
+    if (count > bestCount) {
+      best = script;
+      bestCount = count;
+    }
+  }
+
+  // Kana mixed with kanji is still Japanese
+  if (best === 'han' && (text.match(SCRIPT_PATTERNS.japanese) || []).length > 0) {
+    return 'japanese';
+  }
+
+  return best;
+}
+
+/**
+ * Whether a comment consists of emoji only
+ * @param {string} text
+ * @returns {boolean}
+ */
+function isEmojiOnly(text) {
+  if (!text || !text.trim()) return false;
+  return EMOJI_REGEX.test(text) && EMOJI_ONLY_REGEX.test(text);
+}
+
+/**
+ * Whether a comment contains a URL or bare domain
+ * @param {string} text
+ * @returns {boolean}
+ */
+function containsLink(text) {
+  return !!text && LINK_REGEX.test(text);
+}
+
+function normalizeUsername(username) {
+  return String(username || '').replace(/^@/, '').trim().toLowerCase();
+}
+
+/**
+ * Check a single rule's conditions against a comment
+ * @param {Object} comment - { text, username }
+ * @param {Object} rule - Rule with a conditions object
+ * @returns {boolean}
+ */
+function matchesRule(comment, rule) {
+  const conditions = rule.conditions || {};
+  const text = comment.text || '';
+  const lowerText = text.toLowerCase();
+  const username = normalizeUsername(comment.username);
+
+  if (conditions.excludeUsernames?.length > 0 &&
+      conditions.excludeUsernames.map(normalizeUsername).includes(username)) {
+    return false;
+  }
+
+  if (conditions.usernames?.length > 0 &&
+      !conditions.usernames.map(normalizeUsername).includes(username)) {
+    return false;
+  }
+
+  if (conditions.keywords?.length > 0 &&
+      !conditions.keywords.some(keyword => keyword && lowerText.includes(keyword.toLowerCase()))) {
+    return false;
+  }
+
+  if (conditions.pattern) {
+    let regex;
+    try {
+      regex = new RegExp(conditions.pattern, 'iu');
+    } catch {
+      // Invalid patterns never match
+      return false;
+    }
+    if (!testPattern(regex, text)) {
+      return false;
+    }
+  }
+
+  if (typeof conditions.emojiOnly === 'boolean' && isEmojiOnly(text) !== conditions.emojiOnly) {
+    return false;
+  }
+
+  if (typeof conditions.containsLink === 'boolean' && containsLink(text) !== conditions.containsLink) {
+    return false;
+  }
+
+  const length = [...text.trim()].length;
+  if (typeof conditions.minLength === 'number' && length < conditions.minLength) {
+    return false;
+  }
+  if (typeof conditions.maxLength === 'number' && length > conditions.maxLength) {
+    return false;
+  }
+
+  if (conditions.scripts?.length > 0 && !conditions.scripts.includes(detectScript(text))) {
+    return false;
+  }
+
+  return true;
+}
+
+/**
+ * Decide what to do with a comment
+ * @param {Object} comment - { text, username }
+ * @param {Array<Object>} rules - Enabled rules sorted by priority
+ * @returns {{ action: string, rule: Object|null, tone: string|null, reply: string|null }}
+ */
+function triageComment(comment, rules = []) {
+  for (const rule of rules) {
+    if (rule.enabled === false) continue;
+
+    if (matchesRule(comment, rule)) {
+      const action = rule.action?.type;
+      return {
+        action,
+        rule,
+        tone: action === 'ai_reply' ? rule.action.tone || null : null,
+        reply: action === 'template' ? renderTemplate(rule.action.template, comment) : null
+      };
+    }
+  }
+
+  return { action: 'ai_reply', rule: null, tone: null, reply: null };
+}
+
+/**
+ * Fill a canned reply template
+ * @param {string} template - Supports {{username}}
+ * @param {Object} comment
+ * @returns {string}
+ */
+function renderTemplate(template, comment) {
+  return String(template || '')
+    .replace(/\{\{\s*username\s*\}\}/g, `@${normalizeUsername(comment.username)}`)
+    .trim();
+}
+
+/**
+ * Validate a rule before saving it
+ * @param {Object} rule
+ * @returns {Array<string>} - Validation errors, empty when valid
+ */
+function validateRule(rule) {
+  const errors = [];
+
+  if (!rule || typeof rule !== 'object') {
+    return ['Rule must be an object'];
+  }
+
+  if (!rule.name || typeof rule.name !== 'string' || !rule.name.trim()) {
+    errors.push('Rule name is required');
+  }
+
+  const action = rule.action?.type;
+  if (!ACTIONS.includes(action)) {
+    errors.push(`Action must be one of: ${ACTIONS.join(', ')}`);
+  }
+
+  if (action === 'template' && (!rule.action.template || !rule.action.template.trim())) {
+    errors.push('Template action requires reply text');
+  }
+
+  if (rule.action?.tone && !TONES.includes(rule.action.tone)) {
+    errors.push(`Tone must be one of: ${TONES.join(', ')}`);
+  }
+
+  const conditions = rule.conditions || {};
+
+  if (conditions.pattern) {
+    if (conditions.pattern.length > MAX_PATTERN_LENGTH) {
+      errors.push(`Pattern must be at most ${MAX_PATTERN_LENGTH} characters`);
+    } else {
+      try {
+        new RegExp(conditions.pattern, 'iu');
+        const unsafe = findUnsafePattern(conditions.pattern);
+        if (unsafe) {
+          errors.push(`Pattern is too slow to check: ${unsafe}`);
+        }
+      } catch (error) {
+        errors.push(`Invalid pattern: ${error.message}`);
+      }
+    }
+  }
+
+  if (typeof conditions.minLength === 'number' && typeof conditions.maxLength === 'number' &&
+      conditions.minLength > conditions.maxLength) {
+    errors.push('Minimum length cannot be greater than maximum length');
+  }
+
+  const unknownScripts = (conditions.scripts || []).filter(script => !SCRIPT_PATTERNS[script]);
+  if (unknownScripts.length > 0) {
+    errors.push(`Unknown scripts: ${unknownScripts.join(', ')}`);
+  }
+
+  return errors;
+}
+
+// Export functions
+module.exports = {
+  ACTIONS,
+  SCRIPTS: Object.keys(SCRIPT_PATTERNS),
+  triageComment,
+  matchesRule,
+  renderTemplate,
+  validateRule,
+  findUnsafePattern,
+  detectScript,
+  isEmojiOnly,
+  containsLink
+};
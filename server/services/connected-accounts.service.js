@@ -0,0 +1,313 @@
+const mongoose = require('mongoose');
+const ConnectedAccount = require('../models/connected-account.model');
+const User = require('../models/User');
+const {
+  ACCOUNT_PLATFORMS,
+  isAccountPlatform,
+  describeAccount,
+  pickAccountSettings,
+  accountSettingsFor
+} = require('./account-settings');
+
+function createError(message, statusCode) {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+}
+
+/**
+ * Connected Accounts Service
+ * Keeps every Instagram account and YouTube channel of a user and switches the active
+ * one, whose credentials live in User.<platform>Credentials (see services/account-settings.js)
+ */
+class ConnectedAccountsService {
+  /**
+   * Store the active account of a platform and mark it active
+   * Picks up token refreshes and setting changes made while it was active
+   * @param {Object} user - User document
+   * @returns {Promise<Object|null>} ConnectedAccount, null when nothing is connected
+   */
+  async capture(user, platform) {
+    const { field } = ACCOUNT_PLATFORMS[platform];
+    const credentials = user.toObject()[field];
+    const summary = describeAccount(platform, credentials);
+    if (!summary) {
+      return null;
+    }
+
+    const update = {
+      name: summary.name,
+      credentials,
+      isActive: true,
+      lastUsedAt: new Date()
+    };
+    if (platform === 'instagram') {
+      update.settings = pickAccountSettings(user.automationSettings);
+    }
+
+    const account = await ConnectedAccount.findOneAndUpdate(
+      { userId: user._id, platform, externalId: summary.externalId },
+      { $set: update, $setOnInsert: { connectedAt: new Date() } },
+      { upsert: true, new: true }
+    );
+
+    await ConnectedAccount.updateMany(
+      { userId: user._id, platform, _id: { $ne: account._id }, isActive: true },
+      { $set: { isActive: false } }
+    );
+
+    return account;
+  }
+
+  /**
+   * Keep the active account before new credentials overwrite it
+   * @returns {Promise<string|null>} External ID of the account that was active
+   */
+  async stash(user, platform) {
+    const account = await this.capture(user, platform);
+    return account ? account.externalId : null;
+  }
+
+  /**
+   * Record credentials just written to the user as the active account
+   * Loads the account's own automation settings when it replaces a different account.
+   * Call before saving the user.
+   * @param {string|null} previousId - What stash() returned
+   */
+  async adopt(user, platform, previousId) {
+    const summary = describeAccount(platform, user[ACCOUNT_PLATFORMS[platform].field]);
+    if (!summary) {
+      return;
+    }
+
+    if (platform === 'instagram' && previousId !== summary.externalId) {
+      const saved = await ConnectedAccount.findOne({ userId: user._id, platform, externalId: summary.externalId })
+        .select('settings')
+        .lean();
+      this.applySettings(user, saved?.settings);
+    }
+
+    await this.capture(user, platform);
+    console.log(`[ConnectedAccounts] ${ACCOUNT_PLATFORMS[platform].label} account ${summary.name} connected for user ${user._id}`);
+  }
+
+  /**
+   * Accounts of a user, active ones first
+   * @param {Object} user - User document
+   */
+  async list(user) {
+    // Users who connected before accounts were stored separately
+    for (const platform of Object.keys(ACCOUNT_PLATFORMS)) {
+      await this.capture(user, platform);
+    }
+
+    const accounts = await ConnectedAccount.find({ userId: user._id })
+      .sort({ platform: 1, isActive: -1, name: 1 })
+      .lean();
+
+    return accounts.map(account => this.toSummary(account));
+  }
+
+  /**
+   * Make an account the active one of its platform
+   * @param {string[]} runningPlatforms - Platforms whose automation is running for the user
+   */
+  async switchTo(user, accountId, runningPlatforms = []) {
+    const account = await this.findAccount(user, accountId);
+    const { field, label } = ACCOUNT_PLATFORMS[account.platform];
+
+    if (describeAccount(account.platform, user[field])?.externalId === account.externalId) {
+      return this.toSummary(await this.capture(user, account.platform));
+    }
+
+    if (runningPlatforms.includes(account.platform)) {
+      throw createError(`Stop ${label} automation before switching accounts`, 409);
+    }
+
+    // The outgoing account keeps its latest tokens and settings
+    await this.capture(user, account.platform);
+
+    user.set(field, account.credentials);
+    if (account.platform === 'instagram') {
+      this.applySettings(user, account.settings);
+    }
+    await user.save();
+
+    console.log(`[ConnectedAccounts] User ${user._id} switched ${label} to ${account.name}`);
+    return this.toSummary(await this.capture(user, account.platform));
+  }
+
+  /**
+   * Disconnect an account; removing the active one activates the next
+   * @param {string[]} runningPlatforms - Platforms whose automation is running for the user
+   * @returns {Promise<Object|null>} The account that became active
+   */
+  async remove(user, accountId, runningPlatforms = []) {
+    const account = await this.findAccount(user, accountId);
+
+    if (!account.isActive) {
+      await account.deleteOne();
+      return null;
+    }
+
+    if (runningPlatforms.includes(account.platform)) {
+      throw createError(`Stop ${ACCOUNT_PLATFORMS[account.platform].label} automation before disconnecting this account`, 409);
+    }
+
+    const next = await this.removeActive(user, account.platform);
+    await user.save();
+    return next ? this.toSummary(next) : null;
+  }
+
+  /**
+   * Forget the active account and load the most recently used other one
+   * Call instead of clearing User.<platform>Credentials; the caller saves the user.
+   * @returns {Promise<Object|null>} The account that became active
+   */
+  async removeActive(user, platform) {
+    const { field } = ACCOUNT_PLATFORMS[platform];
+    const active = describeAccount(platform, user[field]);
+    if (active) {
+      await ConnectedAccount.deleteOne({ userId: user._id, platform, externalId: active.externalId });
+    }
+
+    const next = await ConnectedAccount.findOne({ userId: user._id, platform }).sort({ lastUsedAt: -1 });
+    if (!next) {
+      user[field] = undefined;
+      return null;
+    }
+
+    user.set(field, next.credentials);
+    if (platform === 'instagram') {
+      this.applySettings(user, next.settings);
+    }
+    next.isActive = true;
+    next.lastUsedAt = new Date();
+    await next.save();
+    return next;
+  }
+
+  /**
+   * External IDs of the active accounts, to pin a scheduled publish to them
+   * @param {string[]} platforms - Platforms published to
+   * @returns {Object} e.g. { instagram: '17841...' }
+   */
+  activeIds(user, platforms) {
+    const ids = {};
+    for (const platform of platforms.filter(isAccountPlatform)) {
+      const active = describeAccount(platform, user[ACCOUNT_PLATFORMS[platform].field]);
+      if (active) {
+        ids[platform] = active.externalId;
+      }
+    }
+    return ids;
+  }
+
+  /**
+   * Account to publish with when the user picked one that is not active
+   * @param {Object} user - User document
+   * @param {string} [externalId] - Instagram account ID or YouTube channel ID
+   * @returns {Promise<Object|null>} ConnectedAccount, null to use the active account
+   */
+  async getAccount(user, platform, externalId) {
+    if (!externalId || !isAccountPlatform(platform)) {
+      return null;
+    }
+
+    const { field, label } = ACCOUNT_PLATFORMS[platform];
+    if (describeAccount(platform, user[field])?.externalId === String(externalId)) {
+      return null;
+    }
+
+    const account = await ConnectedAccount.findOne({ userId: user._id, platform, externalId: String(externalId) });
+    if (!account) {
+      throw createError(`The chosen ${label} account is no longer connected`, 400);
+    }
+    return account;
+  }
+
+  /**
+   * Delete the stored copies of an account for every user, e.g. when Meta deauthorizes it
+   * @returns {Promise<number>} Deleted count
+   */
+  async forgetExternal(platform, externalId) {
+    const result = await ConnectedAccount.deleteMany({ platform, externalId: String(externalId), isActive: false });
+    return result.deletedCount;
+  }
+
+  /**
+   * Users that connected an account, as the active or a standby one
+   * @returns {Promise<Array>} User IDs
+   */
+  async findUserIds(platform, externalId) {
+    const { field, idField } = ACCOUNT_PLATFORMS[platform];
+    const [active, stored] = await Promise.all([
+      User.find({ [`${field}.${idField}`]: String(externalId) }).distinct('_id'),
+      ConnectedAccount.find({ platform, externalId: String(externalId) }).distinct('userId')
+    ]);
+
+    const ids = new Map([...active, ...stored].map(id => [id.toString(), id]));
+    return [...ids.values()];
+  }
+
+  /**
+   * Whether a user has connected another account of the platform
+   */
+  async hasOtherAccounts(user, platform, externalId) {
+    const active = describeAccount(platform, user[ACCOUNT_PLATFORMS[platform].field]);
+    if (active && active.externalId !== String(externalId)) {
+      return true;
+    }
+    return Boolean(await ConnectedAccount.exists({ userId: user._id, platform, externalId: { $ne: String(externalId) } }));
+  }
+
+  /**
+   * Accounts that are not active, for token refresh
+   */
+  async listStandby(platform) {
+    return await ConnectedAccount.find({ platform, isActive: false });
+  }
+
+  /**
+   * @private
+   */
+  async findAccount(user, accountId) {
+    const account = mongoose.isValidObjectId(accountId)
+      ? await ConnectedAccount.findOne({ _id: accountId, userId: user._id })
+      : null;
+
+    if (!account) {
+      throw createError('Account not found', 404);
+    }
+    return account;
+  }
+
+  /**
+   * @private
+   */
+  applySettings(user, saved) {
+    for (const [key, value] of Object.entries(accountSettingsFor(saved))) {
+      user.set(`automationSettings.${key}`, value);
+    }
+  }
+
+  /**
+   * @private
+   */
+  toSummary(account) {
+    return {
+      id: account._id,
+      platform: account.platform,
+      externalId: account.externalId,
+      name: account.name,
+      isActive: account.isActive,
+      tokenExpiresAt: account.credentials?.tokenExpiresAt || null,
+      connectedAt: account.connectedAt,
+      lastUsedAt: account.lastUsedAt || null
+    };
+  }
+}
+
+// Export singleton instance
+const connectedAccountsService = new ConnectedAccountsService();
+module.exports = connectedAccountsService;
@@ -1,6 +1,8 @@
 const { StateGraph } = require('@langchain/langgraph');
 const MultiProviderAIService = require('./multi-provider-ai.service');
 const ActivityLog = require('../models/ActivityLog');
+const { MAX_HASHTAGS, splitIntoThread } = require('./tweet-thread');
+const { buildLinkedInText, buildThreadsText } = require('./platform-captions');
 
 /**
  * Content Generation Graph Service
@@ -620,6 +622,40 @@ Return as JSON:
         }
       };
 
+      // Facebook payload - Reels show the caption as the description
+      const facebookPayload = {
+        description: `${state.shortCaption}\n\n${state.selectedHashtags.join(' ')}`,
+        metadata: {
+          title: state.selectedTopic
+        }
+      };
+
+      // X payload - a few hashtags only, split into a thread when over the limit
+      const twitterHashtags = state.selectedHashtags.slice(0, MAX_HASHTAGS);
+      const twitterText = [state.shortCaption, twitterHashtags.join(' ')].filter(Boolean).join('\n\n');
+      const twitterPayload = {
+        text: twitterText,
+        thread: splitIntoThread(twitterText),
+        hashtags: twitterHashtags,
+        metadata: {
+          title: state.selectedTopic
+        }
+      };
+
+      // LinkedIn payload - long-form description with a few hashtags
+      const linkedinPayload = {
+        text: buildLinkedInText(state.description || state.shortCaption, state.selectedHashtags),
+        title: state.selectedTopic
+      };
+
+      // Threads payload - short caption with one topic tag, at most 500 characters
+      const threadsPayload = {
+        ...buildThreadsText(state.shortCaption, state.selectedHashtags),
+        metadata: {
+          title: state.selectedTopic
+        }
+      };
+
       // YouTube payload
       const youtubePayload = {
         title: state.selectedTopic,
@@ -636,6 +672,10 @@ Return as JSON:
 
       const platformPayloads = {
         instagram: instagramPayload,
+        facebook: facebookPayload,
+        twitter: twitterPayload,
+        linkedin: linkedinPayload,
+        threads: threadsPayload,
         youtube: youtubePayload
       };
 
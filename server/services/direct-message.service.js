@@ -0,0 +1,416 @@
+const Conversation = require('../models/Conversation');
+const DirectMessage = require('../models/DirectMessage');
+const ActivityLog = require('../models/ActivityLog');
+const User = require('../models/User');
+const AIReplyService = require('./ai-reply.service');
+const { getInstagramServiceForUser } = require('./instagram-client');
+const { matchesRule, renderTemplate } = require('./comment-triage');
+
+// Don't auto-reply to the same participant more often than this
+const AUTO_REPLY_COOLDOWN_MS = 10 * 60 * 1000;
+const DRAFT_CONTEXT_MESSAGES = 10;
+
+/**
+ * DirectMessageService - Instagram DM inbox: persistence, sending, AI drafts and auto-replies
+ * Pushes inbox updates to the owner's Socket.IO room (inbox:<userId>)
+ */
+class DirectMessageService {
+  constructor(io = null) {
+    this.io = io;
+  }
+
+  /**
+   * Listen for DM webhooks on the shared event bus
+   */
+  registerWebhookListeners(emitter) {
+    emitter.on('instagram:message', (event) => {
+      this.handleWebhookMessage(event).catch((error) => {
+        console.error('[DirectMessage] Error handling webhook message:', error.message);
+      });
+    });
+  }
+
+  /**
+   * Store a webhook message and run auto-reply rules for inbound ones
+   * Echoes (messages sent by the account itself) are stored as outbound
+   */
+  async handleWebhookMessage(event) {
+    if (!event?.accountId || !event.message) {
+      return;
+    }
+
+    const user = await User.findOne({ 'instagramCredentials.accountId': event.accountId });
+    if (!user) {
+      console.warn(`[DirectMessage] No user for Instagram account ${event.accountId}`);
+      return;
+    }
+
+    const isEcho = event.message.is_echo === true;
+    const participantId = isEcho ? event.recipientId : event.senderId;
+    if (!participantId) {
+      return;
+    }
+
+    const result = await this.recordMessage(user._id, event.accountId, {
+      participantId,
+      messageId: event.message.mid || null,
+      direction: isEcho ? 'outbound' : 'inbound',
+      text: event.message.text || '',
+      attachments: event.message.attachments || [],
+      status: isEcho ? 'sent' : 'received',
+      source: 'webhook',
+      sentAt: event.raw?.timestamp ? new Date(event.raw.timestamp) : new Date(event.timestamp || Date.now())
+    });
+
+    if (result && !isEcho) {
+      await this.runAutoReply(user, result.conversation, result.message);
+    }
+  }
+
+  /**
+   * Persist a message and update its conversation
+   * @returns {Promise<{conversation, message}|null>} - null for duplicates
+   */
+  async recordMessage(userId, accountId, data) {
+    if (data.messageId && await DirectMessage.exists({ userId, messageId: data.messageId })) {
+      return null;
+    }
+
+    const sentAt = data.sentAt || new Date();
+    const inbound = data.direction === 'inbound';
+    const update = {
+      $set: {
+        lastMessageText: data.text || '[attachment]',
+        lastMessageAt: sentAt
+      },
+      $setOnInsert: { userId, accountId, participantId: data.participantId }
+    };
+
+    if (data.participantUsername) {
+      update.$set.participantUsername = data.participantUsername;
+    }
+    if (inbound) {
+      update.$set.lastInboundAt = sentAt;
+      update.$set.status = 'open';
+      update.$inc = { unreadCount: 1 };
+    }
+
+    const conversation = await Conversation.findOneAndUpdate(
+      { userId, accountId, participantId: data.participantId },
+      update,
+      { new: true, upsert: true }
+    );
+
+    let message;
+    try {
+      message = await DirectMessage.create({
+        userId,
+        conversationId: conversation._id,
+        messageId: data.messageId || null,
+        direction: data.direction,
+        text: data.text || '',
+        attachments: data.attachments || [],
+        source: data.source,
+        status: data.status,
+        error: data.error || null,
+        sentAt
+      });
+    } catch (error) {
+      // A concurrent delivery of the same webhook already stored it
+      if (error.code === 11000) {
+        return null;
+      }
+      throw error;
+    }
+
+    this.emit(userId, 'inbox:message', {
+      conversation: this.formatConversation(conversation),
+      message: message.toObject()
+    });
+
+    return { conversation, message };
+  }
+
+  /**
+   * Send a reply in a conversation
+   * @throws {Error} 409 when the 24-hour messaging window has closed
+   */
+  async sendMessage(userId, conversationId, text, source = 'manual') {
+    const value = String(text || '').trim();
+    if (!value) {
+      throw this.createError('Message text cannot be empty', 400);
+    }
+
+    const conversation = await this.getConversation(userId, conversationId);
+    if (!conversation.isWithinMessagingWindow()) {
+      throw this.createError('The 24-hour messaging window has closed. You can reply once the user messages you again.', 409);
+    }
+
+    const instagramService = await getInstagramServiceForUser(userId);
+
+    let result;
+    try {
+      result = await instagramService.sendDirectMessage(conversation.participantId, value);
+    } catch (error) {
+      await this.recordMessage(userId, conversation.accountId, {
+        participantId: conversation.participantId,
+        direction: 'outbound',
+        text: value,
+        source,
+        status: 'failed',
+        error: error.message
+      });
+      throw this.createError(error.message, 502);
+    }
+
+    // The webhook echo of this message carries the same mid and will be skipped
+    const recorded = await this.recordMessage(userId, conversation.accountId, {
+      participantId: conversation.participantId,
+      messageId: result?.message_id || null,
+      direction: 'outbound',
+      text: value,
+      source,
+      status: 'sent'
+    });
+
+    console.log(`[DirectMessage] Sent ${source} message in conversation ${conversation._id}`);
+
+    return recorded?.message || null;
+  }
+
+  /**
+   * Draft reply options for the latest inbound message using the comment tone settings
+   */
+  async draftReply(userId, conversationId, tone = null) {
+    const conversation = await this.getConversation(userId, conversationId);
+    const messages = await DirectMessage.getThread(conversation._id, DRAFT_CONTEXT_MESSAGES);
+    const lastInbound = [...messages].reverse().find(message => message.direction === 'inbound' && message.text);
+
+    if (!lastInbound) {
+      throw this.createError('No incoming message to reply to', 400);
+    }
+
+    const geminiApiKey = process.env.GEMINI_API_KEY;
+    if (!geminiApiKey || geminiApiKey.trim() === '') {
+      throw this.createError('GEMINI_API_KEY environment variable not set or invalid', 500);
+    }
+
+    let replyTone = tone;
+    if (!replyTone) {
+      const user = await User.findById(userId).select('automationSettings.replyTone').lean();
+      replyTone = user?.automationSettings?.replyTone || 'friendly';
+    }
+
+    const name = conversation.participantUsername ? `@${conversation.participantUsername}` : 'Them';
+    const history = messages
+      .filter(message => message.text)
+      .map(message => `${message.direction === 'inbound' ? name : 'You'}: ${message.text}`)
+      .join('\n');
+
+    const aiReplyService = new AIReplyService(geminiApiKey.trim());
+    const options = await aiReplyService.generateReplyOptions(lastInbound.text, replyTone, {
+      conversation: history
+    });
+
+    if (!options || options.length === 0) {
+      throw this.createError('AI did not return any reply options', 502);
+    }
+
+    return { replyText: options[0], replyOptions: options, tone: replyTone };
+  }
+
+  /**
+   * Answer an inbound message with the first matching auto-reply rule
+   */
+  async runAutoReply(user, conversation, message) {
+    const settings = user.automationSettings?.messaging;
+    if (!settings?.autoReplyEnabled || !conversation.autoReplyEnabled || !message.text) {
+      return;
+    }
+
+    if (conversation.lastAutoReplyAt &&
+        Date.now() - conversation.lastAutoReplyAt.getTime() < AUTO_REPLY_COOLDOWN_MS) {
+      return;
+    }
+
+    const sender = { text: message.text, username: conversation.participantUsername };
+    const rule = (settings.autoReplyRules || []).find(candidate =>
+      candidate.enabled !== false &&
+      matchesRule(sender, { conditions: { keywords: candidate.keywords, pattern: candidate.pattern } })
+    );
+
+    if (!rule) {
+      return;
+    }
+
+    try {
+      let text;
+      if (rule.useAI) {
+        const draft = await this.draftReply(user._id, conversation._id);
+        text = draft.replyText;
+      } else {
+        text = renderTemplate(rule.reply, sender);
+      }
+
+      if (!text) {
+        return;
+      }
+
+      await this.sendMessage(user._id, conversation._id, text, 'auto_reply');
+      await Conversation.updateOne({ _id: conversation._id }, { $set: { lastAutoReplyAt: new Date() } });
+
+      await ActivityLog.log(user._id, 'reply_posted', 'dm_auto_reply', `Auto-replied to DM with rule "${rule.name}"`, {
+        conversationId: conversation._id.toString(),
+        rule: rule.name,
+        reply: text
+      });
+    } catch (error) {
+      console.error(`[DirectMessage] Auto-reply failed for conversation ${conversation._id}:`, error.message);
+      await ActivityLog.log(user._id, 'error', 'dm_auto_reply', `DM auto-reply failed: ${error.message}`, {
+        conversationId: conversation._id.toString(),
+        rule: rule.name
+      });
+    }
+  }
+
+  /**
+   * Import recent conversations from the Graph API
+   * Messages already stored are skipped
+   */
+  async syncConversations(userId, limit = 20) {
+    const instagramService = await getInstagramServiceForUser(userId);
+    const accountId = instagramService.instagramAccountId;
+    const threads = await instagramService.getConversations(limit);
+
+    let imported = 0;
+
+    for (const thread of threads || []) {
+      const participant = (thread.participants?.data || []).find(p => p.id !== accountId);
+      if (!participant) continue;
+
+      // Graph API returns newest first
+      const messages = [...(thread.messages?.data || [])].reverse();
+
+      for (const item of messages) {
+        const inbound = item.from?.id !== accountId;
+        const result = await this.recordMessage(userId, accountId, {
+          participantId: participant.id,
+          participantUsername: participant.username,
+          messageId: item.id,
+          direction: inbound ? 'inbound' : 'outbound',
+          text: item.message || '',
+          source: 'sync',
+          status: inbound ? 'received' : 'sent',
+          sentAt: new Date(item.created_time)
+        });
+        if (result) imported++;
+      }
+
+      await Conversation.updateOne(
+        { userId, accountId, participantId: participant.id },
+        { $set: { externalId: thread.id, participantUsername: participant.username || null } }
+      );
+    }
+
+    console.log(`[DirectMessage] Synced ${threads?.length || 0} conversations, ${imported} new messages`);
+
+    return { conversations: threads?.length || 0, imported };
+  }
+
+  /**
+   * List conversations, most recent first
+   */
+  async listConversations(userId, { status = 'open', limit = 50, skip = 0 } = {}) {
+    const query = { userId };
+    if (status) {
+      query.status = status;
+    }
+
+    const [conversations, total] = await Promise.all([
+      Conversation.find(query).sort({ lastMessageAt: -1 }).skip(skip).limit(limit),
+      Conversation.countDocuments(query)
+    ]);
+
+    return { items: conversations.map(conversation => this.formatConversation(conversation)), total };
+  }
+
+  /**
+   * Get a conversation's messages and mark it read
+   */
+  async getMessages(userId, conversationId, limit = 50) {
+    const conversation = await this.getConversation(userId, conversationId);
+    const messages = await DirectMessage.getThread(conversation._id, limit);
+
+    if (conversation.unreadCount > 0) {
+      conversation.unreadCount = 0;
+      await conversation.save();
+    }
+
+    return { conversation: this.formatConversation(conversation), messages };
+  }
+
+  /**
+   * Archive/reopen a conversation or toggle its auto-replies
+   */
+  async updateConversation(userId, conversationId, changes = {}) {
+    const conversation = await this.getConversation(userId, conversationId);
+
+    if (changes.status !== undefined) {
+      if (!['open', 'archived'].includes(changes.status)) {
+        throw this.createError('Status must be open or archived', 400);
+      }
+      conversation.status = changes.status;
+    }
+    if (changes.autoReplyEnabled !== undefined) {
+      conversation.autoReplyEnabled = !!changes.autoReplyEnabled;
+    }
+
+    await conversation.save();
+    return this.formatConversation(conversation);
+  }
+
+  /**
+   * @private
+   */
+  async getConversation(userId, conversationId) {
+    const conversation = await Conversation.findOne({ _id: conversationId, userId });
+
+    if (!conversation) {
+      throw this.createError('Conversation not found', 404);
+    }
+
+    return conversation;
+  }
+
+  /**
+   * Conversation with its messaging window state
+   * @private
+   */
+  formatConversation(conversation) {
+    return {
+      ...conversation.toObject(),
+      canReply: conversation.isWithinMessagingWindow(),
+      windowExpiresAt: conversation.getWindowExpiresAt()
+    };
+  }
+
+  /**
+   * @private
+   */
+  emit(userId, event, payload) {
+    if (this.io) {
+      this.io.to(`inbox:${userId}`).emit(event, payload);
+    }
+  }
+
+  /**
+   * @private
+   */
+  createError(message, statusCode) {
+    const error = new Error(message);
+    error.statusCode = statusCode;
+    return error;
+  }
+}
+
+module.exports = DirectMessageService;
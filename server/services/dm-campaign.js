@@ -0,0 +1,122 @@
+/**
+ * DM Campaign Matching
+ *
+ * Pure helpers for "comment KEYWORD and we DM you" campaigns:
+ * trigger matching, message templating and validation.
+ *
+ * Template variables: {username}, {link}, {keyword}
+ */
+
+const MAX_KEYWORD_LENGTH = 50;
+// Instagram rejects private replies over 1000 characters
+const MAX_MESSAGE_LENGTH = 1000;
+
+function escapeRegExp(value) {
+  return value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+function normalizeKeyword(keyword) {
+  return String(keyword || '').trim().replace(/^#/, '').toLowerCase();
+}
+
+/**
+ * Whether a comment contains the trigger keyword as a whole word
+ * "guide", "GUIDE!", "#guide please" match; "guidelines" does not
+ * @param {string} text
+ * @param {string} keyword
+ * @returns {boolean}
+ */
+function matchesTrigger(text, keyword) {
+  const value = normalizeKeyword(keyword);
+  if (!text || !value) return false;
+
+  const regex = new RegExp(`(^|[^\\p{L}\\p{N}_])#?${escapeRegExp(value)}(?=$|[^\\p{L}\\p{N}_])`, 'iu');
+  return regex.test(text);
+}
+
+/**
+ * Find the first active campaign on the comment's post whose keyword it contains
+ * @param {Object} comment - { text, postId }
+ * @param {Array<Object>} campaigns
+ * @returns {Object|null}
+ */
+function findCampaign(comment, campaigns = []) {
+  return campaigns.find(campaign =>
+    campaign.isActive !== false &&
+    (campaign.postIds || []).includes(comment.postId) &&
+    matchesTrigger(comment.text, campaign.keyword)
+  ) || null;
+}
+
+/**
+ * Fill a campaign message template
+ * @param {string} template
+ * @param {Object} vars - { username, link, keyword }
+ * @returns {string}
+ */
+function renderCampaignTemplate(template, vars = {}) {
+  const values = {
+    username: vars.username ? `@${String(vars.username).replace(/^@/, '')}` : '',
+    link: vars.link || '',
+    keyword: vars.keyword || ''
+  };
+
+  return String(template || '')
+    .replace(/\{\s*(username|link|keyword)\s*\}/g, (_, name) => values[name])
+    .trim();
+}
+
+/**
+ * Validate a campaign before saving it
+ * @param {Object} campaign
+ * @returns {Array<string>} - Validation errors, empty when valid
+ */
+function validateCampaign(campaign) {
+  const errors = [];
+
+  if (!campaign || typeof campaign !== 'object') {
+    return ['Campaign must be an object'];
+  }
+
+  if (!campaign.name || typeof campaign.name !== 'string' || !campaign.name.trim()) {
+    errors.push('Campaign name is required');
+  }
+
+  const keyword = normalizeKeyword(campaign.keyword);
+  if (!keyword) {
+    errors.push('Trigger keyword is required');
+  } else if (keyword.length > MAX_KEYWORD_LENGTH) {
+    errors.push(`Trigger keyword must be at most ${MAX_KEYWORD_LENGTH} characters`);
+  } else if (/\s/.test(keyword)) {
+    errors.push('Trigger keyword must be a single word');
+  }
+
+  if (!Array.isArray(campaign.postIds) || campaign.postIds.length === 0) {
+    errors.push('Select at least one post');
+  }
+
+  if (!campaign.dmTemplate || !String(campaign.dmTemplate).trim()) {
+    errors.push('DM message is required');
+  } else if (String(campaign.dmTemplate).length > MAX_MESSAGE_LENGTH) {
+    errors.push(`DM message must be at most ${MAX_MESSAGE_LENGTH} characters`);
+  }
+
+  if (/\{\s*link\s*\}/.test(campaign.dmTemplate || '') && !campaign.link) {
+    errors.push('The DM message uses {link} but no link is set');
+  }
+
+  if (campaign.link && !/^https?:\/\/\S+$/i.test(campaign.link)) {
+    errors.push('Link must be a valid http(s) URL');
+  }
+
+  return errors;
+}
+
+// Export functions
+module.exports = {
+  matchesTrigger,
+  findCampaign,
+  renderCampaignTemplate,
+  validateCampaign,
+  normalizeKeyword
+};
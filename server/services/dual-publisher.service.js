@@ -1,27 +1,63 @@
 const ContentGenerationGraphService = require('./content-generation-graph.service');
-const InstagramPublisherService = require('./instagram-publisher.service');
-const YouTubePublisherService = require('./youtube-publisher.service');
 const FFmpegService = require('./ffmpeg.service');
 const PublishJob = require('../models/publish-job.model');
-const { EncryptionService } = require('./encryption.service');
+const User = require('../models/User');
+const { createPublisher, getPublisherIds } = require('./publishers');
+const connectedAccounts = require('./connected-accounts.service');
+const {
+  REVIEW_STEP,
+  publishStep,
+  buildJobSteps,
+  getResumePlan,
+  computeBackoff,
+  isRetryableError
+} = require('./publish-job-steps');
+const {
+  REVIEW_FIELDS,
+  REGENERATE_NODES,
+  buildReviewPreview,
+  applyReviewEdits,
+  validateReview
+} = require('./review-content');
 const fs = require('fs');
 const path = require('path');
 const crypto = require('crypto');
 
-const encryptionService = new EncryptionService();
+// Attempts per step before the step fails
+const STEP_MAX_ATTEMPTS = 3;
+const STEP_BACKOFF = { baseMs: 5000, maxMs: 60000 };
+
+function createError(message, statusCode) {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+}
+
+// Another worker runs the job now; this run stops without writing anything
+function createLeaseLostError(jobId) {
+  const error = new Error(`Lost the lease on job ${jobId}`);
+  error.leaseLost = true;
+  error.retryable = false;
+  return error;
+}
 
 /**
  * Dual Publisher Service
- * Orchestrates content generation and publishing to Instagram + YouTube
+ * Orchestrates content generation and publishing to the target platforms of a job.
+ * Platforms are publisher plugins (see services/publishers), the orchestrator
+ * only knows the plugin interface.
  */
 class DualPublisherService {
   constructor(io) {
     this.io = io; // Socket.IO instance
-    this.instagramService = new InstagramPublisherService();
-    this.youtubeService = new YouTubePublisherService();
     this.ffmpegService = new FFmpegService();
     this.uploadDir = path.join(__dirname, '../uploads');
     this.processedDir = path.join(__dirname, '../processed');
+    // Connected plugins and connection failures, keyed by platform ID
+    this.publishers = new Map();
+    this.connectionErrors = new Map();
+    // { owner, signal } while a queue worker runs a job under a lease
+    this.lease = null;
 
     // Ensure directories exist
     if (!fs.existsSync(this.uploadDir)) {
@@ -33,33 +69,72 @@ class DualPublisherService {
   }
 
   /**
-   * Initialize with user credentials
-   * Sanitizes tokens to remove whitespace
+   * Connect the publisher plugins of the platforms a user has linked
+   * A platform that cannot connect (e.g. a revoked token) only fails its own publish step
+   * @param {string} userId
+   * @param {Object} options - Passed to every plugin, e.g. { mediaStorage }
+   * @param {Object} [options.accounts] - Connected account per platform, e.g. { youtube: 'UC...' }; active ones otherwise
+   * @param {string[]} platforms - Platforms to connect, all registered ones by default
    */
-  initialize(instagramToken, instagramAccountId, youtubeToken) {
-    if (instagramToken && instagramAccountId) {
-      // Sanitize Instagram token - remove ALL whitespace characters
-      const cleanInstagramToken = instagramToken?.replace(/\s+/g, '').trim();
-      this.instagramService.initialize(cleanInstagramToken, instagramAccountId);
+  async connect(userId, { accounts = {}, ...options } = {}, platforms = getPublisherIds()) {
+    const user = await User.findById(userId);
+    if (!user) {
+      throw createError('User not found', 404);
     }
-    if (youtubeToken) {
-      // Sanitize YouTube token - remove ALL whitespace characters
-      const cleanYoutubeToken = youtubeToken?.replace(/\s+/g, '').trim();
-      this.youtubeService.initialize(cleanYoutubeToken);
+
+    for (const id of platforms) {
+      const publisher = createPublisher(id);
+      if (!publisher.isConnected(user)) {
+        continue;
+      }
+
+      try {
+        const account = await connectedAccounts.getAccount(user, id, accounts[id]);
+        await publisher.connect(user, { ...options, account });
+        this.publishers.set(id, publisher);
+      } catch (error) {
+        console.error(`[DualPublisher] Could not connect ${id}:`, error.message);
+        this.connectionErrors.set(id, error.message);
+      }
     }
   }
 
+  /**
+   * Connected plugin of a platform
+   * @private
+   */
+  getConnectedPublisher(platform) {
+    const publisher = this.publishers.get(platform);
+    if (publisher) {
+      return publisher;
+    }
+
+    const error = new Error(this.connectionErrors.get(platform) || `${createPublisher(platform).label} account not connected`);
+    error.retryable = false;
+    throw error;
+  }
+
   /**
    * Create a new publish job
+   * @param {Object} options
+   * @param {string[]} options.targets - Platforms to publish to
+   * @param {boolean} [options.reviewBeforePublish] - Wait for the user to approve the generated content
+   * @param {Object} [options.accounts] - Connected account per platform; active ones otherwise
    */
-  async createJob(userId, videoFile, contextText, aiProviders) {
+  async createJob(userId, videoFile, contextText, aiProviders, { scheduledAt = null, shareReelToStory = false, reviewBeforePublish = false, targets, accounts = {} } = {}) {
     const jobId = crypto.randomBytes(16).toString('hex');
+    const options = { shareReelToStory, reviewBeforePublish };
 
     // Save video file temporarily
     const videoFilename = `${jobId}_${Date.now()}.mp4`;
     const videoPath = path.join(this.uploadDir, videoFilename);
     fs.writeFileSync(videoPath, videoFile);
 
+    const extraSteps = {};
+    for (const platform of targets) {
+      extraSteps[platform] = createPublisher(platform).getExtraSteps({ options });
+    }
+
     // Create job in database
     const job = await PublishJob.create({
       userId,
@@ -67,16 +142,16 @@ class DualPublisherService {
       videoFilename,
       contextText,
       aiProviders,
+      status: scheduledAt ? 'scheduled' : 'pending',
+      scheduledAt,
+      options,
+      targets,
+      accounts,
+      platforms: Object.fromEntries(targets.map(platform => [platform, { status: 'pending' }])),
       progress: {
         currentStep: 'initializing',
         percentage: 0,
-        steps: [
-          { name: 'validate_video', status: 'pending' },
-          { name: 'process_video', status: 'pending' },
-          { name: 'generate_content', status: 'pending' },
-          { name: 'publish_instagram', status: 'pending' },
-          { name: 'publish_youtube', status: 'pending' }
-        ]
+        steps: buildJobSteps(targets, extraSteps, { review: reviewBeforePublish }).map(name => ({ name, status: 'pending' }))
       }
     });
 
@@ -87,7 +162,7 @@ class DualPublisherService {
    * Update job progress and emit to client
    */
   async updateProgress(jobId, stepName, status, data = {}) {
-    const job = await PublishJob.findOne({ jobId });
+    const job = await this.findJob(jobId);
     if (!job) return;
 
     // Update step status
@@ -114,16 +189,18 @@ class DualPublisherService {
     if (data.description) job.generatedContent.description = data.description;
     if (data.keywords) job.generatedContent.keywords = data.keywords;
     if (data.hashtags) job.generatedContent.hashtags = data.hashtags;
+    if (data.platformPayloads) job.generatedContent.platformPayloads = data.platformPayloads;
 
-    // Update platform status if provided
-    if (data.instagram) {
-      job.platforms.instagram = { ...job.platforms.instagram, ...data.instagram };
+    // Update platform results if provided
+    for (const [platform, result] of Object.entries(data.platforms || {})) {
+      const current = job.platforms.get(platform);
+      job.platforms.set(platform, { ...(current ? current.toObject() : {}), ...result });
     }
-    if (data.youtube) {
-      job.platforms.youtube = { ...job.platforms.youtube, ...data.youtube };
+    if (data.story) {
+      job.story = { ...job.story, ...data.story };
     }
 
-    await job.save();
+    await this.saveJob(job);
 
     // Emit progress to client via Socket.IO
     this.io.to(`job:${jobId}`).emit('job:progress', {
@@ -138,281 +215,642 @@ class DualPublisherService {
   }
 
   /**
-   * Execute the full publishing workflow
+   * Execute the publishing workflow
+   * Resumes from the last completed step and only publishes platforms that are not done yet.
+   * Jobs created with reviewBeforePublish stop after content generation in awaiting_review.
+   * @param {Object} [options]
+   * @param {{owner: string, signal: AbortSignal}} [options.lease] - Queue lease; the run stops when the signal aborts
+   *   and only writes to the job while the lease is held
    */
-  async executeJob(jobId) {
-    let job = await PublishJob.findOne({ jobId });
+  async executeJob(jobId, { lease = null } = {}) {
+    this.lease = lease;
+
+    let job = await this.findJob(jobId);
     if (!job) {
       throw new Error('Job not found');
     }
+    if (job.targets.length === 0) {
+      // Jobs from before publisher plugins need scripts/migrate-publish-job-platforms.js
+      const error = new Error('Job has no target platforms');
+      error.retryable = false;
+      throw error;
+    }
+
+    const videoPath = path.join(this.uploadDir, job.videoFilename);
+    let artifacts = this.getArtifactPaths(job);
+    let payloads = job.generatedContent?.platformPayloads;
 
-    const filesToCleanup = [];
+    const plan = getResumePlan({
+      steps: job.progress.steps,
+      targets: job.targets,
+      platforms: Object.fromEntries(job.platforms),
+      platformPayloads: payloads
+    }, Object.fromEntries(job.targets.map(platform => [platform, Boolean(artifacts[platform]?.video)])));
 
     try {
       job.status = 'processing';
-      await job.save();
+      job.error = undefined;
+      await this.saveJob(job);
+
+      if (plan.process && !fs.existsSync(videoPath)) {
+        const error = new Error('The uploaded video is no longer available. Please upload it again.');
+        error.retryable = false;
+        throw error;
+      }
 
-      const videoPath = path.join(this.uploadDir, job.videoFilename);
-      filesToCleanup.push(videoPath);
+      // Platforms the video cannot go to, with the reason
+      const rejected = new Map();
 
       // Step 1: Validate video
-      await this.updateProgress(jobId, 'validate_video', 'processing');
+      if (plan.validate) {
+        await this.updateProgress(jobId, 'validate_video', 'processing');
+
+        const validation = await this.ffmpegService.validateVideo(videoPath);
 
-      const validation = await this.ffmpegService.validateVideo(videoPath);
+        if (!validation.valid) {
+          const error = new Error(`Video validation failed: ${validation.errors.join(', ')}`);
+          error.retryable = false;
+          throw error;
+        }
+
+        // Platform limits only rule out that platform
+        for (const platform of plan.publish) {
+          const errors = createPublisher(platform).validate(validation.metadata);
+          if (errors.length > 0) {
+            rejected.set(platform, errors.join(', '));
+          }
+        }
 
-      if (!validation.valid) {
-        throw new Error(`Video validation failed: ${validation.errors.join(', ')}`);
+        await this.updateProgress(jobId, 'validate_video', 'completed', {
+          metadata: validation.metadata,
+          warnings: validation.warnings
+        });
       }
 
-      await this.updateProgress(jobId, 'validate_video', 'completed', {
-        metadata: validation.metadata,
-        warnings: validation.warnings
-      });
+      // Step 2: Process video for the platforms that still need publishing
+      if (plan.process) {
+        await this.updateProgress(jobId, 'process_video', 'processing');
+
+        const savedArtifacts = { ...job.artifacts };
+        const warnings = [];
+
+        for (const platform of plan.publish.filter(name => !rejected.has(name))) {
+          const publisher = createPublisher(platform);
+          try {
+            const files = await publisher.transformMedia(this.ffmpegService, videoPath, this.processedDir, job);
+            savedArtifacts[platform] = Object.fromEntries(
+              Object.entries(files).map(([kind, filePath]) => [kind, path.basename(filePath)])
+            );
+          } catch (error) {
+            warnings.push(`${publisher.label} conversion: ${error.message}`);
+          }
+        }
 
-      // Step 2: Process video for both platforms
-      await this.updateProgress(jobId, 'process_video', 'processing');
+        if (warnings.length > 0) {
+          // Emit errors via websocket but continue if we have at least one successful conversion
+          this.io.to(`job:${jobId}`).emit('job:warning', {
+            jobId,
+            warnings
+          });
+        }
 
-      const processOptions = {
-        convertInstagram: true,
-        convertYouTube: true,
-        generateThumbnail: true,
-        generatePreview: false
-      };
+        // Remember processed files so a restart or retry can skip this step
+        const saved = await PublishJob.updateOne({ jobId, ...this.leaseFilter() }, { $set: { artifacts: savedArtifacts } });
+        if (saved.matchedCount === 0) {
+          throw createLeaseLostError(jobId);
+        }
+        artifacts = this.getArtifactPaths({ artifacts: savedArtifacts });
 
-      const processed = await this.ffmpegService.processVideo(
-        videoPath,
-        this.processedDir,
-        processOptions
-      );
-
-      // Track processed files for cleanup
-      if (processed.instagram) filesToCleanup.push(processed.instagram.outputPath);
-      if (processed.youtube) filesToCleanup.push(processed.youtube.outputPath);
-      if (processed.thumbnail) filesToCleanup.push(processed.thumbnail.outputPath);
-      if (processed.preview) filesToCleanup.push(processed.preview.outputPath);
-
-      if (processed.errors.length > 0) {
-        // Emit errors via websocket but continue if we have at least one successful conversion
-        this.io.to(`job:${jobId}`).emit('job:warning', {
-          jobId,
-          warnings: processed.errors
+        if (!plan.publish.some(platform => artifacts[platform]?.video)) {
+          throw new Error('Video processing failed for every platform');
+        }
+
+        await this.updateProgress(jobId, 'process_video', 'completed', {
+          processed: Object.fromEntries(plan.publish.map(platform => [platform, artifacts[platform]?.video ? 'ready' : 'failed']))
         });
       }
 
-      if (!processed.instagram && !processed.youtube) {
-        throw new Error('Video processing failed for both platforms');
-      }
+      // Step 3: Execute LangGraph workflow for content generation
+      if (plan.generate) {
+        await this.updateProgress(jobId, 'generate_content', 'processing');
 
-      await this.updateProgress(jobId, 'process_video', 'completed', {
-        instagram: processed.instagram ? 'ready' : 'failed',
-        youtube: processed.youtube ? 'ready' : 'failed',
-        thumbnail: processed.thumbnail ? 'ready' : 'failed'
-      });
+        const graphResult = await this.runWithRetry(jobId, 'generate_content', async () => {
+          const contentGraph = new ContentGenerationGraphService(job.userId);
+          const result = await contentGraph.execute(job.contextText, job.aiProviders);
 
-      // Execute LangGraph workflow for content generation
-      await this.updateProgress(jobId, 'generate_content', 'processing');
+          if (result.errors.length > 0) {
+            throw new Error(`Content generation failed: ${result.errors.map(e => e.error).join(', ')}`);
+          }
 
-      const contentGraph = new ContentGenerationGraphService(job.userId);
-      const graphResult = await contentGraph.execute(job.contextText, job.aiProviders);
+          return result;
+        });
+
+        payloads = graphResult.platformPayloads;
 
-      if (graphResult.errors.length > 0) {
-        throw new Error(`Content generation failed: ${graphResult.errors.map(e => e.error).join(', ')}`);
+        // Update progress with generated content
+        await this.updateProgress(jobId, 'generate_content', 'completed', {
+          title: graphResult.selectedTopic,
+          description: graphResult.description,
+          keywords: graphResult.keywords,
+          hashtags: graphResult.selectedHashtags,
+          platformPayloads: graphResult.platformPayloads
+        });
       }
 
-      // Update progress with generated content
-      await this.updateProgress(jobId, 'generate_content', 'completed', {
-        title: graphResult.selectedTopic,
-        description: graphResult.description,
-        keywords: graphResult.keywords,
-        hashtags: graphResult.selectedHashtags,
-        platformPayloads: graphResult.platformPayloads
-      });
+      // Step 4: Wait for the user to approve the content; approveReview() queues the job again
+      if (plan.review) {
+        job = await this.updateProgress(jobId, REVIEW_STEP, 'processing');
+        job.status = 'awaiting_review';
+        await this.saveJob(job);
 
-      // Use platform payloads from graph
-      const instagramCaption = graphResult.platformPayloads.instagram.caption;
-      const youtubeDescription = graphResult.platformPayloads.youtube.description;
-
-      // Publish to both platforms simultaneously
-      const publishPromises = [];
-
-      // Instagram Reels
-      if (processed.instagram) {
-        publishPromises.push(
-          (async () => {
-            try {
-              await this.updateProgress(jobId, 'publish_instagram', 'processing');
-
-              const igVideoPath = processed.instagram.outputPath;
-              const videoBuffer = fs.readFileSync(igVideoPath);
-
-              // Use cover image if available
-              let coverUrl = null;
-              if (processed.thumbnail) {
-                try {
-                  const thumbnailBuffer = fs.readFileSync(processed.thumbnail.outputPath);
-                  coverUrl = await this.instagramService.uploadImageToPublicServer(
-                    thumbnailBuffer,
-                    path.basename(processed.thumbnail.outputPath)
-                  );
-                } catch (err) {
-                  console.error('[DualPublisher] Thumbnail upload failed:', err.message);
-                  // Continue without cover image
-                }
-              }
-
-              // Publish as Instagram Reel
-              const result = await this.instagramService.publishReel(
-                videoBuffer,
-                instagramCaption,
-                path.basename(igVideoPath),
-                coverUrl
-              );
-
-              await this.updateProgress(jobId, 'publish_instagram', 'completed', {
-                instagram: {
-                  status: 'completed',
-                  mediaId: result.id,
-                  permalink: result.permalink,
-                  mediaType: result.mediaType,
-                  publishedAt: new Date(),
-                  apiResponse: result.publishResponse
-                }
-              });
-
-              // Emit socket event for successful Instagram publish
-              this.io.to(`job:${jobId}`).emit('publish:instagram:done', {
-                jobId,
-                mediaId: result.id,
-                permalink: result.permalink,
-                mediaType: result.mediaType
-              });
-
-            } catch (error) {
-              await this.updateProgress(jobId, 'publish_instagram', 'failed', {
-                instagram: {
-                  status: 'failed',
-                  error: error.message
-                }
-              });
-
-              // Emit socket event for failed Instagram publish
-              this.io.to(`job:${jobId}`).emit('publish:instagram:error', {
-                jobId,
-                error: error.message
-              });
-            }
-          })()
-        );
-      }
+        this.io.to(`job:${jobId}`).emit('job:review', {
+          jobId,
+          preview: buildReviewPreview(payloads, job.targets),
+          errors: validateReview(payloads, job.targets)
+        });
 
-      // YouTube
-      if (processed.youtube) {
-        publishPromises.push(
-          (async () => {
-            try {
-              await this.updateProgress(jobId, 'publish_youtube', 'processing');
-
-              const ytVideoPath = processed.youtube.outputPath;
-              const youtubePayload = graphResult.platformPayloads.youtube;
-
-              // Upload with progress tracking
-              const result = await this.youtubeService.uploadVideo(
-                ytVideoPath,
-                {
-                  title: youtubePayload.title,
-                  description: youtubePayload.description,
-                  tags: youtubePayload.tags,
-                  categoryId: youtubePayload.categoryId,
-                  privacyStatus: youtubePayload.privacy
-                },
-                // Progress callback
-                (bytesUploaded, totalBytes, percentage) => {
-                  // Emit progress event every 5%
-                  if (percentage % 5 === 0 || percentage === 100) {
-                    this.io.to(`job:${jobId}`).emit('publish:youtube:progress', {
-                      jobId,
-                      bytesUploaded,
-                      totalBytes,
-                      percentage,
-                      sizeMB: (totalBytes / 1024 / 1024).toFixed(2)
-                    });
-                  }
-                }
-              );
-
-              await this.updateProgress(jobId, 'publish_youtube', 'completed', {
-                youtube: {
-                  status: 'completed',
-                  videoId: result.videoId,
-                  url: result.url,
-                  publishedAt: new Date(),
-                  apiResponse: result.apiResponse
-                }
-              });
-
-              // Emit socket event for successful YouTube publish
-              this.io.to(`job:${jobId}`).emit('publish:youtube:done', {
-                jobId,
-                videoId: result.videoId,
-                url: result.url,
-                title: result.title
-              });
-
-            } catch (error) {
-              await this.updateProgress(jobId, 'publish_youtube', 'failed', {
-                youtube: {
-                  status: 'failed',
-                  error: error.message
-                }
-              });
-
-              // Emit socket event for failed YouTube publish
-              this.io.to(`job:${jobId}`).emit('publish:youtube:error', {
-                jobId,
-                error: error.message
-              });
-            }
-          })()
-        );
+        return job;
       }
 
-      // Wait for both to complete
-      await Promise.all(publishPromises);
+      const content = {
+        ...(await PublishJob.findOne({ jobId }).select('generatedContent').lean()).generatedContent,
+        platformPayloads: payloads
+      };
+
+      // Publish to the remaining platforms simultaneously
+      await Promise.all(plan.publish.map(platform =>
+        this.publishTo(job, platform, artifacts[platform], content, rejected.get(platform))
+      ));
 
       // Update final job status
-      job = await PublishJob.findOne({ jobId });
-      const instagramSuccess = job.platforms.instagram.status === 'completed';
-      const youtubeSuccess = job.platforms.youtube.status === 'completed';
+      job = await this.findJob(jobId);
+      const published = job.targets.filter(platform => job.platforms.get(platform)?.status === 'completed');
 
-      if (instagramSuccess && youtubeSuccess) {
+      if (published.length === job.targets.length) {
         job.status = 'completed';
-      } else if (instagramSuccess || youtubeSuccess) {
+      } else if (published.length > 0) {
         job.status = 'partial';
       } else {
         job.status = 'failed';
       }
 
       job.completedAt = new Date();
-      await job.save();
+      await this.saveJob(job);
+
+      this.io.to(`job:${jobId}`).emit('job:completed', {
+        jobId,
+        status: job.status
+      });
+
+      // Failed platforms keep their files for a retry; the queue sweeps them later
+      if (job.status === 'completed') {
+        await this.cleanupJobFiles(job);
+      }
 
       return job;
 
     } catch (error) {
+      if (error.leaseLost) {
+        throw error;
+      }
+
       console.error('[DualPublisher] Job execution error:', error);
       job.status = 'failed';
       job.error = error.message;
-      await job.save();
+      await this.saveJob(job);
       throw error;
-    } finally {
-      // Cleanup video files
+    }
+  }
+
+  /**
+   * Load a job to change it; under a lease only the lease holder finds and saves it
+   * @private
+   */
+  async findJob(jobId) {
+    this.checkLease(jobId);
+
+    const job = await PublishJob.findOne({ jobId, ...this.leaseFilter() });
+    if (this.lease) {
+      if (!job) {
+        throw createLeaseLostError(jobId);
+      }
+      // save() matches the job only while the lease is still held
+      job.$where = this.leaseFilter();
+    }
+    return job;
+  }
+
+  /** @private */
+  async saveJob(job) {
+    try {
+      await job.save();
+    } catch (error) {
+      throw this.lease && error.name === 'DocumentNotFoundError' ? createLeaseLostError(job.jobId) : error;
+    }
+  }
+
+  /** @private */
+  leaseFilter() {
+    return this.lease ? { 'lease.owner': this.lease.owner } : {};
+  }
+
+  /**
+   * Stop between steps once the queue reports the lease lost
+   * @private
+   */
+  checkLease(jobId) {
+    if (this.lease?.signal?.aborted) {
+      throw createLeaseLostError(jobId);
+    }
+  }
+
+  /**
+   * Publish the processed files to one platform
+   * A failed platform does not fail the other platforms of the job
+   * @param {string} [rejection] - Why validation ruled this platform out
+   * @private
+   */
+  async publishTo(job, platform, files, content, rejection = null) {
+    const { jobId } = job;
+    const step = publishStep(platform);
+    const context = this.createPublishContext(job, platform);
+    let publisher;
+    let result;
+
+    try {
+      await this.updateProgress(jobId, step, 'processing', {
+        platforms: { [platform]: { status: 'processing' } }
+      });
+
+      if (rejection) {
+        throw new Error(rejection);
+      }
+      if (!files?.video) {
+        throw new Error('Video conversion failed for this platform');
+      }
+
+      publisher = this.getConnectedPublisher(platform);
+      const payload = publisher.buildPayload(content);
+
+      result = await this.runWithRetry(jobId, step, () => publisher.publish(files, payload, context));
+
+      await this.updateProgress(jobId, step, 'completed', {
+        platforms: {
+          [platform]: {
+            status: 'completed',
+            postId: result.postId,
+            url: result.url,
+            error: undefined,
+            publishedAt: new Date(),
+            apiResponse: result.apiResponse,
+            details: result.details
+          }
+        }
+      });
+
+      context.emit(`publish:${platform}:done`, {
+        platform,
+        postId: result.postId,
+        url: result.url,
+        ...result.details
+      });
+    } catch (error) {
+      await this.updateProgress(jobId, step, 'failed', {
+        error: error.message,
+        platforms: { [platform]: { status: 'failed', error: error.message } }
+      });
+
+      context.emit(`publish:${platform}:error`, {
+        platform,
+        error: error.message
+      });
+      return;
+    }
+
+    if (publisher.afterPublish) {
+      await publisher.afterPublish(files, result, context);
+    }
+  }
+
+  /**
+   * Orchestrator helpers handed to a plugin while it publishes
+   * @private
+   */
+  createPublishContext(job, platform) {
+    const { jobId } = job;
+    const room = this.io.to(`job:${jobId}`);
+
+    return {
+      job,
+      updateProgress: (step, status, data) => this.updateProgress(jobId, step, status, data),
+      runWithRetry: (step, fn) => this.runWithRetry(jobId, step, fn),
+      emit: (event, data = {}) => room.emit(event, { jobId, ...data }),
+      reportProgress: (percentage, extra = {}) => room.emit(`publish:${platform}:progress`, {
+        jobId,
+        platform,
+        percentage,
+        ...extra
+      })
+    };
+  }
+
+  /**
+   * Run a step, retrying transient failures with exponential backoff
+   * @private
+   */
+  async runWithRetry(jobId, stepName, fn) {
+    for (let attempt = 1; ; attempt++) {
+      // Never start a publish another worker may be running too
+      this.checkLease(jobId);
+
       try {
-        if (filesToCleanup.length > 0) {
-          await this.ffmpegService.cleanup(filesToCleanup);
+        return await fn();
+      } catch (error) {
+        if (attempt >= STEP_MAX_ATTEMPTS || !isRetryableError(error)) {
+          throw error;
+        }
+
+        const delayMs = computeBackoff(attempt, STEP_BACKOFF);
+        console.warn(`[DualPublisher] ${stepName} failed (attempt ${attempt}/${STEP_MAX_ATTEMPTS}), retrying in ${delayMs}ms:`, error.message);
+
+        this.io.to(`job:${jobId}`).emit('job:retry', {
+          jobId,
+          step: stepName,
+          attempt,
+          delayMs,
+          error: error.message
+        });
+
+        await new Promise(resolve => setTimeout(resolve, delayMs));
+      }
+    }
+  }
+
+  /**
+   * Absolute paths of processed files that still exist, per platform
+   * @private
+   */
+  getArtifactPaths(job) {
+    const paths = {};
+    for (const [platform, files] of Object.entries(job.artifacts || {})) {
+      paths[platform] = {};
+      for (const [kind, filename] of Object.entries(files || {})) {
+        const filePath = path.join(this.processedDir, filename);
+        if (fs.existsSync(filePath)) {
+          paths[platform][kind] = filePath;
         }
-      } catch (err) {
-        console.error('[DualPublisher] Failed to cleanup video files:', err);
       }
     }
+    return paths;
+  }
+
+  /**
+   * Delete a job's uploaded and processed files
+   */
+  async cleanupJobFiles(job) {
+    const files = [path.join(this.uploadDir, job.videoFilename)];
+    for (const platformFiles of Object.values(job.artifacts || {})) {
+      for (const filename of Object.values(platformFiles || {})) {
+        files.push(path.join(this.processedDir, filename));
+      }
+    }
+
+    try {
+      await this.ffmpegService.cleanup([...new Set(files)]);
+    } catch (err) {
+      console.error('[DualPublisher] Failed to cleanup video files:', err);
+    }
+
+    await PublishJob.updateOne({ _id: job._id }, { $set: { filesCleanedAt: new Date() } });
+  }
+
+  /**
+   * Queue a partial or failed job again, re-publishing only platforms that failed
+   * @param {string} [platform] - Limit the retry to one platform
+   * @throws {Error} With statusCode when the job cannot be retried
+   */
+  async prepareRetry(jobId, userId, platform = null) {
+    const job = await PublishJob.findOne({ jobId, userId });
+
+    if (!job) {
+      throw createError('Job not found', 404);
+    }
+    if (!['partial', 'failed'].includes(job.status)) {
+      throw createError(`Only partial or failed jobs can be retried (job is ${job.status})`, 409);
+    }
+    if (job.filesCleanedAt) {
+      throw createError('The video files for this job have expired. Please upload the video again.', 410);
+    }
+    if (platform && !job.targets.includes(platform)) {
+      throw createError(`This job does not publish to ${platform}`, 400);
+    }
+
+    const failedPlatforms = job.targets.filter(name => job.platforms.get(name)?.status !== 'completed');
+    const platforms = platform ? [platform] : failedPlatforms;
+
+    if (platforms.length === 0 || platforms.some(name => !failedPlatforms.includes(name))) {
+      throw createError('This platform has already been published', 409);
+    }
+
+    // Failed earlier steps are re-run by the resume plan; reset the platforms to publish
+    for (const name of platforms) {
+      const publisher = createPublisher(name);
+      job.platforms.set(name, { status: 'pending' });
+
+      for (const stepName of [publishStep(name), ...publisher.getExtraSteps(job)]) {
+        const step = job.progress.steps.find(s => s.name === stepName);
+        if (step && step.status !== 'completed') {
+          step.status = 'pending';
+          step.error = undefined;
+        }
+      }
+
+      if (publisher.prepareRetry) {
+        publisher.prepareRetry(job);
+      }
+    }
+
+    job.status = 'pending';
+    job.error = undefined;
+    job.completedAt = undefined;
+    job.attempts = 0;
+    job.nextAttemptAt = null;
+    await job.save();
+
+    return job;
+  }
+
+  /**
+   * Job of a user that waits for its content to be reviewed
+   * @private
+   * @throws {Error} With statusCode when there is nothing to review
+   */
+  async findReviewJob(jobId, userId) {
+    const job = await PublishJob.findOne({ jobId, userId });
+
+    if (!job) {
+      throw createError('Job not found', 404);
+    }
+    if (job.status !== 'awaiting_review') {
+      throw createError(`Only jobs awaiting review can be reviewed (job is ${job.status})`, 409);
+    }
+
+    return job;
+  }
+
+  /**
+   * Previews of a job's reviewable content and what blocks its approval
+   * @private
+   */
+  getReviewState(job) {
+    const payloads = job.generatedContent?.platformPayloads || {};
+
+    return {
+      jobId: job.jobId,
+      preview: buildReviewPreview(payloads, job.targets),
+      errors: validateReview(payloads, job.targets)
+    };
+  }
+
+  /** @private */
+  async saveReviewedPayloads(job, payloads) {
+    job.generatedContent.platformPayloads = payloads;
+    job.markModified('generatedContent.platformPayloads');
+    await job.save();
+  }
+
+  /** @private */
+  checkReviewField(job, platform, fields) {
+    if (!job.targets.includes(platform)) {
+      throw createError(`This job does not publish to ${platform}`, 400);
+    }
+    if (!REVIEW_FIELDS[platform]) {
+      throw createError(`${createPublisher(platform).label} content cannot be reviewed`, 400);
+    }
+
+    const unknown = fields.filter(field => !REVIEW_FIELDS[platform].includes(field));
+    if (unknown.length > 0) {
+      throw createError(`Unknown ${platform} field: ${unknown.join(', ')}`, 400);
+    }
+  }
+
+  /**
+   * Generated content of a job waiting for review
+   * @returns {Promise<{jobId: string, preview: Object, errors: string[]}>}
+   */
+  async getReview(jobId, userId) {
+    return this.getReviewState(await this.findReviewJob(jobId, userId));
+  }
+
+  /**
+   * Save edited fields of one platform
+   * Invalid content is saved too; its errors block approval
+   * @param {Object} fields - e.g. { caption, hashtags } or { title, description, tags }
+   */
+  async updateReview(jobId, userId, platform, fields = {}) {
+    const job = await this.findReviewJob(jobId, userId);
+    this.checkReviewField(job, platform, Object.keys(fields));
+
+    const { payloads } = applyReviewEdits(job.generatedContent.platformPayloads, platform, fields);
+    await this.saveReviewedPayloads(job, payloads);
+
+    return this.getReviewState(job);
+  }
+
+  /**
+   * Regenerate one field with the graph node that generated it
+   */
+  async regenerateReviewField(jobId, userId, platform, field) {
+    const job = await this.findReviewJob(jobId, userId);
+    this.checkReviewField(job, platform, [field]);
+
+    const { node, output } = REGENERATE_NODES[platform][field];
+    const content = job.generatedContent;
+    const payloads = content.platformPayloads;
+
+    const contentGraph = new ContentGenerationGraphService(job.userId);
+    const result = await contentGraph.executeSingleNode(node, {
+      contextText: job.contextText,
+      videoMetadata: {},
+      nodeConfigs: job.aiProviders,
+      // Nodes build on the reviewed title rather than the generated one
+      selectedTopic: payloads.youtube?.title || payloads.instagram?.metadata?.title || content.title,
+      description: payloads.youtube?.description || content.description,
+      keywords: content.keywords || [],
+      nodeLogs: [],
+      errors: []
+    });
+
+    if (result.errors.length > 0) {
+      throw createError(`Could not regenerate ${field}: ${result.errors.map(e => e.error).join(', ')}`, 502);
+    }
+
+    const edit = applyReviewEdits(payloads, platform, { [field]: result[output] });
+    await this.saveReviewedPayloads(job, edit.payloads);
+
+    return this.getReviewState(job);
+  }
+
+  /**
+   * Approve the reviewed content and queue the job for publishing
+   * @throws {Error} With statusCode when the content cannot be published
+   */
+  async approveReview(jobId, userId) {
+    const job = await this.findReviewJob(jobId, userId);
+
+    if (job.filesCleanedAt) {
+      throw createError('The video files for this job have expired. Please upload the video again.', 410);
+    }
+
+    const errors = validateReview(job.generatedContent?.platformPayloads, job.targets);
+    if (errors.length > 0) {
+      throw createError(errors.join('; '), 400);
+    }
+
+    // Complete the step first so the worker that claims the job publishes right away
+    await this.updateProgress(jobId, REVIEW_STEP, 'completed');
+
+    const result = await PublishJob.updateOne(
+      { jobId, status: 'awaiting_review' },
+      { $set: { status: 'pending', attempts: 0, nextAttemptAt: null } }
+    );
+    if (result.matchedCount === 0) {
+      throw createError('This job has already been approved', 409);
+    }
+
+    return job;
+  }
+
+  /**
+   * Current state of a job's post on a platform, as reported by the platform
+   * @throws {Error} With statusCode when nothing was published there
+   */
+  async getPlatformStatus(jobId, userId, platform) {
+    const job = await PublishJob.findOne({ jobId, userId });
+
+    if (!job) {
+      throw createError('Job not found', 404);
+    }
+
+    const result = job.platforms.get(platform);
+    if (!result?.postId) {
+      throw createError(`Nothing has been published to ${platform} for this job`, 404);
+    }
+
+    await this.connect(userId, { accounts: job.accounts }, [platform]);
+
+    let publisher;
+    try {
+      publisher = this.getConnectedPublisher(platform);
+    } catch (error) {
+      throw createError(error.message, 400);
+    }
+
+    return {
+      platform,
+      postId: result.postId,
+      ...(await publisher.fetchStatus(result.postId))
+    };
   }
 
   /**
@@ -0,0 +1,212 @@
+const axios = require('axios');
+const MediaStorageService = require('./media-storage.service');
+
+/**
+ * Facebook Page Publisher Service
+ *
+ * REQUIREMENTS:
+ *  - Page access token with pages_manage_posts
+ *  - Page ID the token belongs to
+ *
+ * Media is handed to Facebook as hosted URLs from the user's media storage,
+ * the same way Instagram publishing works.
+ */
+class FacebookPublisherService {
+  constructor() {
+    this.apiVersion = 'v24.0';
+    this.graphApiUrl = `https://graph.facebook.com/${this.apiVersion}`;
+    this.reelsUploadUrl = `https://rupload.facebook.com/video-upload/${this.apiVersion}`;
+    this.accessToken = null;
+    this.pageId = null;
+    this.mediaStorage = null;
+  }
+
+  /**
+   * Initialize with a Page access token and the Page ID
+   */
+  initialize(pageAccessToken, pageId) {
+    this.accessToken = pageAccessToken
+      ? pageAccessToken.replace(/[\s\n\r\t]+/g, '').replace(/%20/g, '').trim()
+      : null;
+    this.pageId = pageId;
+    return this;
+  }
+
+  /**
+   * Use a user's media storage backend for uploads
+   * @param {MediaStorageService} mediaStorage - From MediaStorageService.forUser()
+   */
+  useMediaStorage(mediaStorage) {
+    this.mediaStorage = mediaStorage;
+    return this;
+  }
+
+  /** @private */
+  _getMediaStorage() {
+    if (!this.mediaStorage) {
+      this.mediaStorage = MediaStorageService.fromEnv();
+    }
+    return this.mediaStorage;
+  }
+
+  /** @private */
+  _getToken() {
+    if (!this.accessToken || !this.pageId) {
+      throw new Error('Facebook Page not connected');
+    }
+    return this.accessToken;
+  }
+
+  /** @private */
+  _apiError(action, error) {
+    return new Error(`${action}: ${error.response?.data?.error?.message || error.message}`);
+  }
+
+  // -----------------------------------------------------------
+  // PHOTOS
+  // -----------------------------------------------------------
+
+  /**
+   * Publish a single photo to the Page feed
+   * @returns {Promise<string>} Page post ID
+   */
+  async publishPhoto(imageUrl, caption) {
+    const url = await this._getMediaStorage().getFetchableUrl(imageUrl);
+
+    try {
+      const res = await axios.post(`${this.graphApiUrl}/${this.pageId}/photos`, null, {
+        params: { url, caption: caption || '', access_token: this._getToken() }
+      });
+
+      await MediaStorageService.markConsumed([url]);
+      return res.data.post_id || res.data.id;
+    } catch (error) {
+      throw this._apiError('Failed to publish photo', error);
+    }
+  }
+
+  /**
+   * Publish several photos as one multi-photo Page post, in order
+   * @returns {Promise<string>} Page post ID
+   */
+  async publishPhotos(imageUrls, caption) {
+    const token = this._getToken();
+    const urls = [];
+    const attachedMedia = [];
+
+    try {
+      // Photos are uploaded unpublished, then attached to a single feed post
+      for (const imageUrl of imageUrls) {
+        const url = await this._getMediaStorage().getFetchableUrl(imageUrl);
+        const res = await axios.post(`${this.graphApiUrl}/${this.pageId}/photos`, null, {
+          params: { url, published: false, access_token: token }
+        });
+        urls.push(url);
+        attachedMedia.push({ media_fbid: res.data.id });
+      }
+
+      const res = await axios.post(`${this.graphApiUrl}/${this.pageId}/feed`, {
+        message: caption || '',
+        attached_media: attachedMedia
+      }, {
+        params: { access_token: token }
+      });
+
+      await MediaStorageService.markConsumed(urls);
+      return res.data.id;
+    } catch (error) {
+      throw this._apiError('Failed to publish photos', error);
+    }
+  }
+
+  // -----------------------------------------------------------
+  // REELS
+  // -----------------------------------------------------------
+
+  /**
+   * Publish a vertical video as a Page Reel
+   * Facebook fetches the file from the hosted URL
+   * @returns {Promise<string>} Video ID of the Reel
+   */
+  async publishReel(videoBuffer, description, filename = 'reel.mp4') {
+    const token = this._getToken();
+    const hostedUrl = await this._getMediaStorage().upload(videoBuffer, { filename, contentType: 'video/mp4' });
+    const fileUrl = await this._getMediaStorage().getFetchableUrl(hostedUrl);
+
+    try {
+      const start = await axios.post(`${this.graphApiUrl}/${this.pageId}/video_reels`, null, {
+        params: { upload_phase: 'start', access_token: token }
+      });
+      const videoId = start.data.video_id;
+
+      await axios.post(`${this.reelsUploadUrl}/${videoId}`, null, {
+        headers: { Authorization: `OAuth ${token}`, file_url: fileUrl }
+      });
+
+      await axios.post(`${this.graphApiUrl}/${this.pageId}/video_reels`, null, {
+        params: {
+          upload_phase: 'finish',
+          video_id: videoId,
+          video_state: 'PUBLISHED',
+          description: description || '',
+          access_token: token
+        }
+      });
+
+      // Kept for the retention period, long enough for Facebook to finish processing
+      await MediaStorageService.markConsumed([fileUrl]);
+      return videoId;
+    } catch (error) {
+      throw this._apiError('Failed to publish Reel', error);
+    }
+  }
+
+  /**
+   * Processing state of a Reel
+   * @returns {Promise<{status: string, permalinkUrl: string|null}>} status is processing, ready, error or removed
+   */
+  async getReelStatus(videoId) {
+    try {
+      const res = await axios.get(`${this.graphApiUrl}/${videoId}`, {
+        params: { fields: 'status,permalink_url', access_token: this._getToken() }
+      });
+
+      const videoStatus = res.data.status?.video_status;
+      return {
+        status: videoStatus === 'ready' ? 'ready' : videoStatus === 'error' ? 'error' : 'processing',
+        permalinkUrl: res.data.permalink_url
+          ? new URL(res.data.permalink_url, 'https://www.facebook.com').toString()
+          : null
+      };
+    } catch (error) {
+      if (error.response?.status === 404 || error.response?.data?.error?.code === 100) {
+        return { status: 'removed', permalinkUrl: null };
+      }
+      throw this._apiError('Failed to get Reel status', error);
+    }
+  }
+
+  /**
+   * Page post details
+   * @returns {Promise<{id: string, permalinkUrl: string|null, createdTime: string}|null>} null when deleted
+   */
+  async getPost(postId) {
+    try {
+      const res = await axios.get(`${this.graphApiUrl}/${postId}`, {
+        params: { fields: 'id,permalink_url,created_time', access_token: this._getToken() }
+      });
+      return {
+        id: res.data.id,
+        permalinkUrl: res.data.permalink_url || null,
+        createdTime: res.data.created_time
+      };
+    } catch (error) {
+      if (error.response?.status === 404 || error.response?.data?.error?.code === 100) {
+        return null;
+      }
+      throw this._apiError('Failed to get post', error);
+    }
+  }
+}
+
+module.exports = FacebookPublisherService;
@@ -27,6 +27,67 @@ class FFmpegService {
         audioBitrate: '128k',
         resolution: '1080:1920'
       },
+      instagramStory: {
+        // Stories: full-screen 9:16, max 60 seconds, nothing cropped away
+        aspectRatio: '9:16',
+        maxDuration: 60,
+        minDuration: 1,
+        maxSize: 100 * 1024 * 1024,
+        videoCodec: 'libx264',
+        audioCodec: 'aac',
+        videoBitrate: '3500k',
+        audioBitrate: '128k',
+        resolution: '1080:1920',
+        frameRate: 30
+      },
+      facebook: {
+        // Facebook Page Reels: 9:16, 3 to 90 seconds
+        aspectRatio: '9:16',
+        maxDuration: 90,
+        minDuration: 3,
+        maxSize: 1024 * 1024 * 1024,
+        videoCodec: 'libx264',
+        audioCodec: 'aac',
+        videoBitrate: '3500k',
+        audioBitrate: '128k',
+        resolution: '1080:1920'
+      },
+      twitter: {
+        // X video posts: up to 140 seconds, at most 1280 pixels on the long side
+        aspectRatio: '9:16',
+        maxDuration: 140,
+        minDuration: 1,
+        maxSize: 512 * 1024 * 1024,
+        videoCodec: 'libx264',
+        audioCodec: 'aac',
+        videoBitrate: '2500k',
+        audioBitrate: '128k',
+        resolution: '720:1280'
+      },
+      linkedin: {
+        // LinkedIn feed videos: 3 seconds to 10 minutes, vertical is shown full height on mobile
+        aspectRatio: '9:16',
+        maxDuration: 600,
+        minDuration: 3,
+        maxSize: 5 * 1024 * 1024 * 1024,
+        videoCodec: 'libx264',
+        audioCodec: 'aac',
+        videoBitrate: '3500k',
+        audioBitrate: '128k',
+        resolution: '1080:1920'
+      },
+      threads: {
+        // Threads video posts: up to 5 minutes
+        aspectRatio: '9:16',
+        maxDuration: 300,
+        minDuration: 1,
+        maxSize: 1024 * 1024 * 1024,
+        videoCodec: 'libx264',
+        audioCodec: 'aac',
+        videoBitrate: '3500k',
+        audioBitrate: '128k',
+        resolution: '1080:1920'
+      },
       youtube: {
         // YouTube Shorts specifications (9:16 vertical)
         aspectRatio: '9:16',
@@ -149,9 +210,45 @@ class FFmpegService {
    * Convert video for Instagram (9:16 vertical)
    */
   async convertForInstagram(inputPath, outputPath) {
+    return await this.convertToReel(inputPath, outputPath, 'instagram');
+  }
+
+  /**
+   * Convert video for a Facebook Page Reel (9:16 vertical)
+   */
+  async convertForFacebook(inputPath, outputPath) {
+    return await this.convertToReel(inputPath, outputPath, 'facebook');
+  }
+
+  /**
+   * Convert video for an X post (9:16 vertical)
+   */
+  async convertForTwitter(inputPath, outputPath) {
+    return await this.convertToReel(inputPath, outputPath, 'twitter');
+  }
+
+  /**
+   * Convert video for a LinkedIn feed post (9:16 vertical)
+   */
+  async convertForLinkedIn(inputPath, outputPath) {
+    return await this.convertToReel(inputPath, outputPath, 'linkedin');
+  }
+
+  /**
+   * Convert video for a Threads post (9:16 vertical)
+   */
+  async convertForThreads(inputPath, outputPath) {
+    return await this.convertToReel(inputPath, outputPath, 'threads');
+  }
+
+  /**
+   * Convert video to a 9:16 Reel using a platform's specification
+   * @param {string} platform - Key of this.platforms
+   */
+  async convertToReel(inputPath, outputPath, platform) {
     try {
       const metadata = await this.getVideoMetadata(inputPath);
-      const spec = this.platforms.instagram;
+      const spec = this.platforms[platform];
       
       // Determine if we need to crop or pad
       const targetAspect = 9 / 16;
@@ -190,10 +287,86 @@ class FFmpegService {
       return {
         success: true,
         outputPath,
-        platform: 'instagram'
+        platform
+      };
+    } catch (error) {
+      const name = platform.charAt(0).toUpperCase() + platform.slice(1);
+      throw new Error(`${name} conversion failed: ${error.message}`);
+    }
+  }
+
+  /**
+   * Filter that fills a 9:16 frame without cropping: the video is scaled to fit
+   * and the empty space is filled with a blurred, zoomed copy of itself
+   */
+  buildStoryFilter(resolution) {
+    return `[0:v]scale=${resolution}:force_original_aspect_ratio=decrease[fg];` +
+      `[0:v]scale=${resolution}:force_original_aspect_ratio=increase,crop=${resolution},boxblur=20:5[bg];` +
+      `[bg][fg]overlay=(W-w)/2:(H-h)/2,setsar=1`;
+  }
+
+  /**
+   * Convert video for Instagram Stories (exact 1080x1920, max 60 seconds)
+   */
+  async convertForStory(inputPath, outputPath) {
+    try {
+      const spec = this.platforms.instagramStory;
+      const metadata = await this.getVideoMetadata(inputPath);
+
+      const command = `ffmpeg -i "${inputPath}" \
+        -filter_complex "${this.buildStoryFilter(spec.resolution)}" \
+        -c:v ${spec.videoCodec} \
+        -preset medium \
+        -profile:v high \
+        -r ${spec.frameRate} \
+        -b:v ${spec.videoBitrate} \
+        -maxrate ${spec.videoBitrate} \
+        -bufsize ${parseInt(spec.videoBitrate) * 2}k \
+        -c:a ${spec.audioCodec} \
+        -b:a ${spec.audioBitrate} \
+        -ar 44100 \
+        -movflags +faststart \
+        -pix_fmt yuv420p \
+        -t ${spec.maxDuration} \
+        -y "${outputPath}"`;
+
+      await execAsync(command);
+
+      if (metadata.duration > spec.maxDuration) {
+        console.warn(`[FFmpeg] Story video trimmed from ${Math.round(metadata.duration)}s to ${spec.maxDuration}s`);
+      }
+
+      return {
+        success: true,
+        outputPath,
+        platform: 'instagram_story',
+        trimmed: metadata.duration > spec.maxDuration
       };
     } catch (error) {
-      throw new Error(`Instagram conversion failed: ${error.message}`);
+      throw new Error(`Story conversion failed: ${error.message}`);
+    }
+  }
+
+  /**
+   * Convert an image into a 1080x1920 Story image
+   */
+  async convertImageForStory(inputPath, outputPath) {
+    try {
+      const spec = this.platforms.instagramStory;
+      const command = `ffmpeg -i "${inputPath}" \
+        -filter_complex "${this.buildStoryFilter(spec.resolution)}" \
+        -frames:v 1 \
+        -q:v 2 \
+        -y "${outputPath}"`;
+
+      await execAsync(command);
+
+      return {
+        success: true,
+        outputPath
+      };
+    } catch (error) {
+      throw new Error(`Story image conversion failed: ${error.message}`);
     }
   }
 
@@ -308,6 +481,7 @@ class FFmpegService {
       validation: null,
       instagram: null,
       youtube: null,
+      story: null,
       thumbnail: null,
       preview: null,
       errors: []
@@ -343,6 +517,16 @@ class FFmpegService {
         }
       }
 
+      // Generate Instagram Story version (opt-in)
+      if (options.convertStory) {
+        try {
+          const storyPath = path.join(outputDir, `${basename}_story.mp4`);
+          results.story = await this.convertForStory(inputPath, storyPath);
+        } catch (error) {
+          results.errors.push(`Story conversion: ${error.message}`);
+        }
+      }
+
       // Generate thumbnail
       if (options.generateThumbnail !== false) {
         try {
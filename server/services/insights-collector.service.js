@@ -0,0 +1,249 @@
+const User = require('../models/User');
+const Post = require('../models/post.model');
+const AccountInsight = require('../models/account-insight.model');
+const MediaInsight = require('../models/media-insight.model');
+const { EncryptionService } = require('./encryption.service');
+const InstagramOAuthService = require('./oauth-instagram.service');
+const {
+  DAY_MS,
+  ACCOUNT_METRICS,
+  MEDIA_METRICS,
+  toDayBucket,
+  parseInsightValues,
+  mapAccountInsights,
+  mapMediaInsights
+} = require('./insights-metrics');
+
+const DEFAULT_INTERVAL_HOURS = 6;
+const DEFAULT_MEDIA_DAYS = 30;
+const MAX_MEDIA_PER_RUN = 100;
+// Manual refreshes are limited to one per user in this window
+const MIN_REFRESH_GAP_MS = 10 * 60 * 1000;
+// Graph API "invalid parameter", returned when one of the requested metrics is not supported
+const INVALID_METRIC_CODE = 100;
+
+function createError(message, statusCode) {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+}
+
+/**
+ * InsightsCollector - Periodically stores Instagram Insights time series
+ *
+ * Every run saves, per connected account, today's and yesterday's account
+ * metrics with a follower snapshot, and a daily snapshot of the metrics of
+ * every media posted in the last INSIGHTS_MEDIA_DAYS days.
+ */
+class InsightsCollector {
+  constructor() {
+    this.instagramOAuth = new InstagramOAuthService();
+    this.encryptionService = new EncryptionService();
+    this.timer = null;
+    this.isRunning = false;
+    this.lastCollectedAt = new Map();
+  }
+
+  start() {
+    if (this.timer) {
+      return;
+    }
+
+    const hours = parseFloat(process.env.INSIGHTS_INTERVAL_HOURS) || DEFAULT_INTERVAL_HOURS;
+    console.log(`[InsightsCollector] Started (collecting every ${hours}h)`);
+    this.timer = setInterval(() => this.run(), hours * 60 * 60 * 1000);
+    this.run();
+  }
+
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+      console.log('[InsightsCollector] Stopped');
+    }
+  }
+
+  /**
+   * Collect insights for every user with an active Instagram connection
+   */
+  async run() {
+    if (this.isRunning) {
+      return;
+    }
+
+    this.isRunning = true;
+
+    try {
+      const users = await User.find({
+        'instagramCredentials.isActive': true,
+        'instagramCredentials.accessToken': { $exists: true, $ne: null }
+      }).select('_id');
+
+      for (const user of users) {
+        try {
+          await this.collectForUser(user._id);
+        } catch (error) {
+          console.error(`[InsightsCollector] Collection for user ${user._id} failed:`, error.message);
+        }
+      }
+    } catch (error) {
+      console.error('[InsightsCollector] Run failed:', error.message);
+    } finally {
+      this.isRunning = false;
+    }
+  }
+
+  /**
+   * Collect now for one user (manual refresh from the dashboard)
+   * @param {string} userId
+   */
+  async refreshForUser(userId) {
+    const last = this.lastCollectedAt.get(String(userId));
+    if (last && Date.now() - last < MIN_REFRESH_GAP_MS) {
+      throw createError('Insights were refreshed a few minutes ago, try again later', 429);
+    }
+    return await this.collectForUser(userId);
+  }
+
+  /**
+   * Collect account and media insights for one user
+   * @param {string} userId
+   * @returns {Promise<{ accountId: string, media: number }>}
+   */
+  async collectForUser(userId) {
+    const user = await User.findById(userId).select('instagramCredentials');
+    const credentials = user?.instagramCredentials;
+    if (!credentials?.accessToken || !credentials?.accountId) {
+      throw createError('Instagram account not connected', 400);
+    }
+
+    const accessToken = this.encryptionService.decrypt(credentials.accessToken);
+    const accountId = credentials.accountId;
+    const now = new Date();
+
+    this.lastCollectedAt.set(String(userId), now.getTime());
+
+    await this.collectAccount(userId, accessToken, accountId, now);
+    const media = await this.collectMedia(userId, accessToken, accountId, now);
+
+    console.log(`[InsightsCollector] Collected insights for user ${userId} (${media} media)`);
+    return { accountId, media };
+  }
+
+  /**
+   * @private
+   */
+  async collectAccount(userId, accessToken, accountId, now) {
+    const today = toDayBucket(now);
+    const yesterday = new Date(today.getTime() - DAY_MS);
+
+    const profile = await this.instagramOAuth.getAccountProfile(accessToken, accountId);
+    if (!profile.success) {
+      throw createError(profile.error, profile.errorCode === 190 ? 401 : 502);
+    }
+
+    // Yesterday is complete, today's numbers are refined on every run
+    for (const [day, until] of [[yesterday, today], [today, now]]) {
+      const values = await this.fetchMetrics(
+        metrics => this.instagramOAuth.getInsights(accessToken, accountId, metrics, {
+          metricType: 'total_value',
+          since: day,
+          until
+        }),
+        ACCOUNT_METRICS
+      );
+
+      const update = { ...mapAccountInsights(values), collectedAt: now };
+      if (day === today) {
+        update.followerCount = profile.profile.followers_count;
+        update.followsCount = profile.profile.follows_count;
+        update.mediaCount = profile.profile.media_count;
+      }
+
+      await AccountInsight.updateOne(
+        { userId, accountId, date: day },
+        { $set: update },
+        { upsert: true }
+      );
+    }
+  }
+
+  /**
+   * @private
+   */
+  async collectMedia(userId, accessToken, accountId, now) {
+    const days = parseInt(process.env.INSIGHTS_MEDIA_DAYS, 10) || DEFAULT_MEDIA_DAYS;
+    const result = await this.instagramOAuth.getRecentMedia(accessToken, accountId, {
+      since: new Date(now.getTime() - days * DAY_MS),
+      limit: MAX_MEDIA_PER_RUN
+    });
+    if (!result.success) {
+      throw createError(result.error, result.errorCode === 190 ? 401 : 502);
+    }
+
+    const mediaIds = result.media.map(media => media.id);
+    const posts = await Post.find({ userId, instagramMediaId: { $in: mediaIds } }).select('_id instagramMediaId');
+    const postIds = new Map(posts.map(post => [post.instagramMediaId, post._id]));
+    const date = toDayBucket(now);
+    let collected = 0;
+
+    for (const media of result.media) {
+      try {
+        const values = await this.fetchMetrics(
+          metrics => this.instagramOAuth.getMediaInsights(accessToken, media.id, metrics),
+          MEDIA_METRICS
+        );
+
+        await MediaInsight.updateOne(
+          { mediaId: media.id, date },
+          {
+            $set: {
+              userId,
+              accountId,
+              postId: postIds.get(media.id) || null,
+              mediaType: media.media_type,
+              mediaProductType: media.media_product_type,
+              permalink: media.permalink,
+              caption: (media.caption || '').slice(0, 300),
+              postedAt: media.timestamp ? new Date(media.timestamp) : null,
+              ...mapMediaInsights(values, media),
+              collectedAt: now
+            }
+          },
+          { upsert: true }
+        );
+        collected++;
+      } catch (error) {
+        console.warn(`[InsightsCollector] Skipping media ${media.id}:`, error.message);
+      }
+    }
+
+    return collected;
+  }
+
+  /**
+   * Request several metrics at once; when the API rejects one of them,
+   * request them one by one and keep those that work
+   * @private
+   */
+  async fetchMetrics(request, metrics) {
+    const result = await request(metrics);
+    if (result.success) {
+      return parseInsightValues(result.insights);
+    }
+    if (result.errorCode !== INVALID_METRIC_CODE) {
+      throw createError(result.error, result.errorCode === 190 ? 401 : 502);
+    }
+
+    const values = {};
+    for (const metric of metrics) {
+      const single = await request([metric]);
+      if (single.success) {
+        Object.assign(values, parseInsightValues(single.insights));
+      }
+    }
+    return values;
+  }
+}
+
+module.exports = InsightsCollector;
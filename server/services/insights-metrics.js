@@ -0,0 +1,237 @@
+/**
+ * Insights Metrics
+ *
+ * Helpers for Instagram Insights ingestion and reporting: parsing Graph API
+ * insight responses, mapping them to stored fields, daily buckets, date
+ * ranges and the numbers shown on the dashboard.
+ */
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const DEFAULT_RANGE_DAYS = 30;
+const MAX_RANGE_DAYS = 366;
+
+// Instagram replaced "impressions" and "plays" with "views" (Graph API v22+)
+const ACCOUNT_METRICS = ['reach', 'views', 'profile_views'];
+const MEDIA_METRICS = ['reach', 'likes', 'comments', 'saved', 'shares', 'views'];
+
+const ACCOUNT_FIELDS = ['reach', 'impressions', 'profileViews'];
+const MEDIA_FIELDS = ['likes', 'comments', 'saves', 'shares', 'plays', 'reach'];
+
+function createError(message, statusCode) {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+}
+
+/**
+ * Start of the UTC day a date falls in
+ * @param {Date|string|number} date
+ * @returns {Date}
+ */
+function toDayBucket(date) {
+  const d = new Date(date);
+  return new Date(Date.UTC(d.getUTCFullYear(), d.getUTCMonth(), d.getUTCDate()));
+}
+
+/**
+ * Turn a Graph API insights "data" array into { metricName: number }
+ * Handles both total_value responses and time series (last value wins)
+ * @param {Array} data
+ * @returns {Object}
+ */
+function parseInsightValues(data) {
+  const values = {};
+
+  for (const metric of Array.isArray(data) ? data : []) {
+    if (!metric?.name) continue;
+
+    let value = metric.total_value?.value;
+    if (value === undefined && Array.isArray(metric.values) && metric.values.length) {
+      value = metric.values[metric.values.length - 1]?.value;
+    }
+
+    const number = Number(value);
+    if (value !== undefined && value !== null && !Number.isNaN(number)) {
+      values[metric.name] = number;
+    }
+  }
+
+  return values;
+}
+
+function firstNumber(...candidates) {
+  for (const candidate of candidates) {
+    if (candidate !== undefined && candidate !== null && !Number.isNaN(Number(candidate))) {
+      return Number(candidate);
+    }
+  }
+  return null;
+}
+
+/**
+ * Map account insights and profile fields to stored account metrics
+ * @param {Object} values - From parseInsightValues
+ * @returns {{ reach: number|null, impressions: number|null, profileViews: number|null }}
+ */
+function mapAccountInsights(values = {}) {
+  return {
+    reach: firstNumber(values.reach),
+    impressions: firstNumber(values.impressions, values.views),
+    profileViews: firstNumber(values.profile_views)
+  };
+}
+
+/**
+ * Map media insights to stored media metrics
+ * Like and comment counts from the media object fill in when insights lack them
+ * @param {Object} values - From parseInsightValues
+ * @param {Object} [media] - Graph API media object
+ * @returns {{ likes, comments, saves, shares, plays, reach }}
+ */
+function mapMediaInsights(values = {}, media = {}) {
+  return {
+    likes: firstNumber(values.likes, media.like_count),
+    comments: firstNumber(values.comments, media.comments_count),
+    saves: firstNumber(values.saved),
+    shares: firstNumber(values.shares),
+    plays: firstNumber(values.plays, values.views),
+    reach: firstNumber(values.reach)
+  };
+}
+
+/**
+ * Interactions per account reached, as a percentage with two decimals
+ * @param {{ likes, comments, saves, shares, reach }} metrics
+ * @returns {number|null} null when reach is unknown
+ */
+function engagementRate(metrics = {}) {
+  if (!metrics.reach) return null;
+
+  const interactions = ['likes', 'comments', 'saves', 'shares']
+    .reduce((sum, field) => sum + (Number(metrics[field]) || 0), 0);
+
+  return Math.round((interactions / metrics.reach) * 10000) / 100;
+}
+
+/**
+ * Average engagement rate of several media, ignoring media without reach
+ * @param {Array} mediaMetrics
+ * @returns {number|null}
+ */
+function averageEngagementRate(mediaMetrics) {
+  const rates = mediaMetrics.map(engagementRate).filter(rate => rate !== null);
+  if (!rates.length) return null;
+  return Math.round((rates.reduce((sum, rate) => sum + rate, 0) / rates.length) * 100) / 100;
+}
+
+/**
+ * Sum fields over documents, skipping missing values
+ * @param {Array} docs
+ * @param {string[]} fields
+ * @returns {Object}
+ */
+function sumFields(docs, fields) {
+  const totals = {};
+  for (const field of fields) {
+    totals[field] = docs.reduce((sum, doc) => sum + (Number(doc[field]) || 0), 0);
+  }
+  return totals;
+}
+
+/**
+ * One entry per day from "from" to "to" (inclusive), null where nothing was collected
+ * @param {Array} docs - Documents with a "date" day bucket
+ * @param {Date} from
+ * @param {Date} to
+ * @param {string[]} fields
+ * @returns {Array<Object>} [{ date: 'YYYY-MM-DD', ...fields }]
+ */
+function buildDailySeries(docs, from, to, fields) {
+  const byDay = new Map(docs.map(doc => [toDayBucket(doc.date).getTime(), doc]));
+  const series = [];
+
+  for (let day = toDayBucket(from).getTime(); day <= toDayBucket(to).getTime(); day += DAY_MS) {
+    const doc = byDay.get(day);
+    const entry = { date: new Date(day).toISOString().slice(0, 10) };
+    for (const field of fields) {
+      entry[field] = doc && doc[field] !== undefined && doc[field] !== null ? doc[field] : null;
+    }
+    series.push(entry);
+  }
+
+  return series;
+}
+
+/**
+ * Change between two periods, formatted like the dashboard cards ("+12%")
+ * @param {number|null} current
+ * @param {number|null} previous
+ * @returns {string}
+ */
+function formatChange(current, previous) {
+  if (current === null || current === undefined || previous === null || previous === undefined) {
+    return '+0%';
+  }
+  if (previous === 0) {
+    return current > 0 ? '+100%' : '+0%';
+  }
+
+  const change = Math.round(((current - previous) / previous) * 100);
+  return `${change >= 0 ? '+' : ''}${change}%`;
+}
+
+/**
+ * Parse ?from=&to= into whole UTC days
+ * Defaults to the last 30 days; ranges are limited to a year
+ * @param {string} [fromParam]
+ * @param {string} [toParam]
+ * @param {Date} [now]
+ * @returns {{ from: Date, to: Date, days: number }}
+ */
+function parseDateRange(fromParam, toParam, now = new Date()) {
+  const to = toDayBucket(toParam ? new Date(toParam) : now);
+  const from = toDayBucket(fromParam ? new Date(fromParam) : new Date(to.getTime() - (DEFAULT_RANGE_DAYS - 1) * DAY_MS));
+
+  if (Number.isNaN(from.getTime()) || Number.isNaN(to.getTime())) {
+    throw createError('from and to must be valid dates', 400);
+  }
+  if (from > to) {
+    throw createError('from must be before to', 400);
+  }
+
+  const days = Math.round((to - from) / DAY_MS) + 1;
+  if (days > MAX_RANGE_DAYS) {
+    throw createError(`Date range cannot exceed ${MAX_RANGE_DAYS} days`, 400);
+  }
+
+  return { from, to, days };
+}
+
+/**
+ * The range of the same length right before the given one
+ * @param {{ from: Date, days: number }} range
+ * @returns {{ from: Date, to: Date, days: number }}
+ */
+function previousRange({ from, days }) {
+  const to = new Date(from.getTime() - DAY_MS);
+  return { from: new Date(to.getTime() - (days - 1) * DAY_MS), to, days };
+}
+
+module.exports = {
+  DAY_MS,
+  ACCOUNT_METRICS,
+  MEDIA_METRICS,
+  ACCOUNT_FIELDS,
+  MEDIA_FIELDS,
+  toDayBucket,
+  parseInsightValues,
+  mapAccountInsights,
+  mapMediaInsights,
+  engagementRate,
+  averageEngagementRate,
+  sumFields,
+  buildDailySeries,
+  formatChange,
+  parseDateRange,
+  previousRange
+};
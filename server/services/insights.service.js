@@ -0,0 +1,239 @@
+const mongoose = require('mongoose');
+const Post = require('../models/post.model');
+const AccountInsight = require('../models/account-insight.model');
+const MediaInsight = require('../models/media-insight.model');
+const {
+  DAY_MS,
+  ACCOUNT_FIELDS,
+  MEDIA_FIELDS,
+  engagementRate,
+  averageEngagementRate,
+  sumFields,
+  buildDailySeries,
+  formatChange,
+  parseDateRange,
+  previousRange
+} = require('./insights-metrics');
+
+const MEDIA_SORT_FIELDS = ['postedAt', 'reach', 'likes', 'comments', 'saves', 'shares', 'plays', 'engagementRate'];
+
+function createError(message, statusCode) {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+}
+
+function toObjectId(id) {
+  return new mongoose.Types.ObjectId(String(id));
+}
+
+function formatMedia(doc) {
+  return {
+    mediaId: doc.mediaId,
+    postId: doc.postId || null,
+    mediaType: doc.mediaType,
+    mediaProductType: doc.mediaProductType,
+    permalink: doc.permalink,
+    caption: doc.caption,
+    postedAt: doc.postedAt,
+    likes: doc.likes ?? null,
+    comments: doc.comments ?? null,
+    saves: doc.saves ?? null,
+    shares: doc.shares ?? null,
+    plays: doc.plays ?? null,
+    reach: doc.reach ?? null,
+    engagementRate: engagementRate(doc),
+    collectedAt: doc.collectedAt
+  };
+}
+
+/**
+ * InsightsService - Reads stored Instagram Insights for the stats API
+ */
+class InsightsService {
+  /**
+   * Account metrics per day with period totals and changes
+   * @param {string} userId
+   * @param {{ from?: string, to?: string }} query
+   */
+  async getAccountOverview(userId, query = {}) {
+    const range = parseDateRange(query.from, query.to);
+    const previous = previousRange(range);
+
+    const [docs, previousDocs] = await Promise.all([
+      this.findAccountDocs(userId, range),
+      this.findAccountDocs(userId, previous)
+    ]);
+
+    const totals = sumFields(docs, ACCOUNT_FIELDS);
+    const previousTotals = sumFields(previousDocs, ACCOUNT_FIELDS);
+    const withFollowers = docs.filter(doc => doc.followerCount !== undefined && doc.followerCount !== null);
+    const firstFollowers = withFollowers[0]?.followerCount ?? null;
+    const lastFollowers = withFollowers[withFollowers.length - 1]?.followerCount ?? null;
+
+    return {
+      from: range.from,
+      to: range.to,
+      series: buildDailySeries(docs, range.from, range.to, [...ACCOUNT_FIELDS, 'followerCount']),
+      totals,
+      changes: Object.fromEntries(ACCOUNT_FIELDS.map(field => [
+        field,
+        formatChange(totals[field], previousDocs.length ? previousTotals[field] : null)
+      ])),
+      followers: {
+        current: lastFollowers,
+        change: lastFollowers !== null && firstFollowers !== null ? lastFollowers - firstFollowers : null
+      },
+      lastCollectedAt: docs.reduce((latest, doc) => (doc.collectedAt > latest ? doc.collectedAt : latest), null)
+    };
+  }
+
+  /**
+   * Latest metrics of every media posted in the range
+   * @param {string} userId
+   * @param {{ from?: string, to?: string, sort?: string, limit?: string }} query
+   */
+  async getMediaList(userId, query = {}) {
+    const range = parseDateRange(query.from, query.to);
+    const sort = MEDIA_SORT_FIELDS.includes(query.sort) ? query.sort : 'postedAt';
+    const limit = Math.min(Math.max(parseInt(query.limit, 10) || 50, 1), 200);
+
+    const media = (await this.findLatestMedia(userId, range)).map(formatMedia);
+    media.sort((a, b) => {
+      const av = sort === 'postedAt' ? new Date(a.postedAt).getTime() : a[sort];
+      const bv = sort === 'postedAt' ? new Date(b.postedAt).getTime() : b[sort];
+      return (bv ?? -1) - (av ?? -1);
+    });
+
+    return {
+      from: range.from,
+      to: range.to,
+      sort,
+      media: media.slice(0, limit),
+      totals: sumFields(media, MEDIA_FIELDS),
+      averageEngagementRate: averageEngagementRate(media)
+    };
+  }
+
+  /**
+   * Daily history of one media object, for the per-post drill-down
+   * @param {string} userId
+   * @param {string} mediaId
+   * @param {{ from?: string, to?: string }} query
+   */
+  async getMediaDetail(userId, mediaId, query = {}) {
+    const latest = await MediaInsight.findOne({ userId, mediaId }).sort({ date: -1 }).lean();
+    if (!latest) {
+      throw createError('No insights collected for this media yet', 404);
+    }
+
+    // By default, show the media's life from the day it was posted (up to a year)
+    const postedRecently = latest.postedAt && Date.now() - latest.postedAt < 365 * DAY_MS;
+    const range = parseDateRange(query.from || (!query.to && postedRecently ? latest.postedAt : undefined), query.to);
+    const docs = await MediaInsight.find({
+      userId,
+      mediaId,
+      date: { $gte: range.from, $lte: range.to }
+    }).sort({ date: 1 }).lean();
+
+    const post = latest.postId
+      ? await Post.findOne({ _id: latest.postId, userId }).select('caption imageUrl mediaType publishedAt').lean()
+      : null;
+
+    return {
+      from: range.from,
+      to: range.to,
+      media: formatMedia(latest),
+      post: post ? {
+        id: post._id,
+        caption: post.caption,
+        imageUrl: post.imageUrl,
+        mediaType: post.mediaType,
+        publishedAt: post.publishedAt
+      } : null,
+      series: buildDailySeries(docs, range.from, range.to, MEDIA_FIELDS).map(day => ({
+        ...day,
+        engagementRate: day.reach === null ? null : engagementRate(day)
+      }))
+    };
+  }
+
+  /**
+   * Numbers for the dashboard cards: posts, engagement and followers over the last 30 days
+   * @param {string} userId
+   */
+  async getDashboardSummary(userId) {
+    const range = parseDateRange();
+    const previous = previousRange(range);
+    const rangeEnd = new Date(range.to.getTime() + DAY_MS);
+
+    const [
+      totalPosts,
+      publishedPosts,
+      recentPosts,
+      previousPosts,
+      recentPublished,
+      previousPublished,
+      media,
+      previousMedia,
+      account
+    ] = await Promise.all([
+      Post.countDocuments({ userId }),
+      Post.countDocuments({ userId, status: 'published' }),
+      Post.countDocuments({ userId, createdAt: { $gte: range.from, $lt: rangeEnd } }),
+      Post.countDocuments({ userId, createdAt: { $gte: previous.from, $lt: range.from } }),
+      Post.countDocuments({ userId, status: 'published', publishedAt: { $gte: range.from, $lt: rangeEnd } }),
+      Post.countDocuments({ userId, status: 'published', publishedAt: { $gte: previous.from, $lt: range.from } }),
+      this.findLatestMedia(userId, range),
+      this.findLatestMedia(userId, previous),
+      this.getAccountOverview(userId)
+    ]);
+
+    const engagement = averageEngagementRate(media);
+    const previousEngagement = averageEngagementRate(previousMedia);
+
+    return {
+      totalPosts,
+      publishedPosts,
+      postsChange: formatChange(recentPosts, previousPosts),
+      publishedChange: formatChange(recentPublished, previousPublished),
+      engagementRate: engagement,
+      engagementChange: formatChange(engagement, previousEngagement),
+      followers: account.followers.current,
+      followersChange: account.followers.change,
+      reach: account.totals.reach,
+      reachChange: account.changes.reach
+    };
+  }
+
+  /**
+   * @private
+   */
+  findAccountDocs(userId, range) {
+    return AccountInsight.find({
+      userId,
+      date: { $gte: range.from, $lte: range.to }
+    }).sort({ date: 1 }).lean();
+  }
+
+  /**
+   * Latest snapshot of each media posted in the range
+   * @private
+   */
+  async findLatestMedia(userId, range) {
+    const docs = await MediaInsight.aggregate([
+      {
+        $match: {
+          userId: toObjectId(userId),
+          postedAt: { $gte: range.from, $lt: new Date(range.to.getTime() + DAY_MS) }
+        }
+      },
+      { $sort: { date: -1 } },
+      { $group: { _id: '$mediaId', doc: { $first: '$$ROOT' } } },
+      { $replaceRoot: { newRoot: '$doc' } }
+    ]);
+    return docs;
+  }
+}
+
+module.exports = InsightsService;
@@ -0,0 +1,32 @@
+const StorageService = require('./storage.service');
+const InstagramGraphService = require('./instagram-graph.service');
+const { EncryptionService } = require('./encryption.service');
+const UserCredentialsModel = require('../models/user-credentials.model');
+
+const encryptionService = new EncryptionService();
+
+/**
+ * Build an authenticated Instagram Graph client from a user's stored credentials
+ * @param {string} userId
+ * @returns {Promise<InstagramGraphService>}
+ */
+async function getInstagramServiceForUser(userId) {
+  const storageService = new StorageService();
+  storageService.setUserId(userId);
+  const credentialsModel = new UserCredentialsModel(storageService, encryptionService);
+  const credentials = await credentialsModel.getCredentials(userId, 'instagram');
+
+  if (!credentials || !credentials.accessToken || !credentials.accountId) {
+    const error = new Error('Instagram credentials not configured. Please add your access token and account ID.');
+    error.statusCode = 400;
+    throw error;
+  }
+
+  const instagramService = new InstagramGraphService();
+  await instagramService.initialize(credentials.accessToken, credentials.accountId);
+  return instagramService;
+}
+
+module.exports = {
+  getInstagramServiceForUser
+};
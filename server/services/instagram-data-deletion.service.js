@@ -0,0 +1,195 @@
+const crypto = require('crypto');
+const User = require('../models/User');
+const Post = require('../models/post.model');
+const ProcessedComment = require('../models/ProcessedComment');
+const ActivityLog = require('../models/ActivityLog');
+const Conversation = require('../models/Conversation');
+const DirectMessage = require('../models/DirectMessage');
+const DMCampaign = require('../models/DMCampaign');
+const CampaignDelivery = require('../models/CampaignDelivery');
+const MediaInsight = require('../models/media-insight.model');
+const AccountInsight = require('../models/account-insight.model');
+const DataDeletionRequest = require('../models/data-deletion-request.model');
+const connectedAccounts = require('./connected-accounts.service');
+
+// Records from before the platform field existed are Instagram ones
+const INSTAGRAM_ONLY = { $in: ['instagram', null] };
+
+/**
+ * Instagram Data Deletion Service
+ * Handles Meta's deauthorize and data deletion callbacks for an Instagram user.
+ * The user is identified by the app-scoped ID stored in instagramCredentials.accountId,
+ * or kept in a connected account that is not active.
+ * Only records of that account are deleted; users keep their other Instagram accounts.
+ */
+class InstagramDataDeletionService {
+  /**
+   * Accounts that connected an Instagram user, as their active or a standby Instagram account
+   * @private
+   */
+  async findUsers(instagramUserId) {
+    const userIds = await connectedAccounts.findUserIds('instagram', instagramUserId);
+    return userIds.length > 0 ? await User.find({ _id: { $in: userIds } }) : [];
+  }
+
+  /**
+   * Whether the Instagram user is the account a user has active
+   * @private
+   */
+  isActiveAccount(user, instagramUserId) {
+    return String(user.instagramCredentials?.accountId || '') === String(instagramUserId);
+  }
+
+  /**
+   * The user removed the app on Instagram: forget the credentials
+   * @returns {Promise<number>} Number of accounts disconnected
+   */
+  async deauthorize(instagramUserId) {
+    const users = (await this.findUsers(instagramUserId)).filter(user => this.isActiveAccount(user, instagramUserId));
+
+    for (const user of users) {
+      // Another connected Instagram account takes over
+      await connectedAccounts.removeActive(user, 'instagram');
+      await user.save();
+
+      await ActivityLog.log(user._id, 'auth', 'instagram_deauthorized',
+        'Instagram access was removed from the Instagram app', { platform: 'instagram' });
+    }
+
+    // Standby copies of the account
+    return users.length + await connectedAccounts.forgetExternal('instagram', instagramUserId);
+  }
+
+  /**
+   * Record a deletion request and delete the Instagram data right away
+   * A failed deletion is kept on the record so the status page reports it
+   * @returns {Promise<DataDeletionRequest>}
+   */
+  async requestDeletion(instagramUserId) {
+    const request = await DataDeletionRequest.create({
+      confirmationCode: crypto.randomBytes(10).toString('hex'),
+      platform: 'instagram',
+      platformUserId: String(instagramUserId)
+    });
+
+    try {
+      await this.deleteUserData(request);
+    } catch (error) {
+      console.error(`[DataDeletion] Request ${request.confirmationCode} failed:`, error.message);
+      request.status = 'failed';
+      request.error = error.message;
+      await request.save();
+    }
+
+    return request;
+  }
+
+  /**
+   * Delete credentials, comments, posts, DMs, campaign recipients, insights and
+   * related activity of every account that connected the Instagram user
+   * @private
+   */
+  async deleteUserData(request) {
+    const users = await this.findUsers(request.platformUserId);
+    const deleted = {
+      credentials: 0,
+      comments: 0,
+      posts: 0,
+      activityLogs: 0,
+      conversations: 0,
+      messages: 0,
+      campaignDeliveries: 0,
+      insights: 0
+    };
+
+    const accountId = String(request.platformUserId);
+
+    for (const user of users) {
+      // Records without an account predate multiple accounts per user; they go with the user's only account
+      const onlyAccount = !await connectedAccounts.hasOtherAccounts(user, 'instagram', accountId);
+      const ofAccount = onlyAccount ? { $in: [accountId, null] } : accountId;
+      const commentQuery = { userId: user._id, platform: INSTAGRAM_ONLY, accountId: ofAccount };
+      const postQuery = { userId: user._id, platform: INSTAGRAM_ONLY, accountId: ofAccount };
+
+      const comments = await ProcessedComment.find(commentQuery)
+        .select('commentId postId')
+        .lean();
+      const posts = await Post.find(postQuery)
+        .select('_id instagramMediaId')
+        .lean();
+      const commentIds = comments.map(comment => comment.commentId);
+      const mediaIds = [...comments.map(comment => comment.postId), ...posts.map(post => post.instagramMediaId).filter(Boolean)];
+
+      // Activity mentioning the deleted comments and posts, and Instagram DM automation of the account
+      const logs = await ActivityLog.deleteMany({
+        userId: user._id,
+        $or: [
+          { 'details.accountId': accountId },
+          { 'details.commentId': { $in: commentIds } },
+          { 'details.postId': { $in: [...posts.map(post => post._id.toString()), ...mediaIds] } },
+          ...(onlyAccount ? [{ 'details.platform': 'instagram' }, { action: 'dm_auto_reply' }] : [])
+        ]
+      });
+      deleted.activityLogs += logs.deletedCount;
+
+      deleted.comments += (await ProcessedComment.deleteMany(commentQuery)).deletedCount;
+      deleted.posts += (await Post.deleteMany(postQuery)).deletedCount;
+
+      // DM threads of the account with third parties
+      const conversationIds = await Conversation.find({ userId: user._id, accountId }).distinct('_id');
+      deleted.messages += (await DirectMessage.deleteMany({ userId: user._id, conversationId: { $in: conversationIds } })).deletedCount;
+      deleted.conversations += (await Conversation.deleteMany({ _id: { $in: conversationIds } })).deletedCount;
+
+      // Commenters DM campaigns wrote to on the account's posts
+      const campaignIds = await DMCampaign.find(onlyAccount ? { userId: user._id } : { userId: user._id, postIds: { $in: mediaIds } })
+        .distinct('_id');
+      deleted.campaignDeliveries += (await CampaignDelivery.deleteMany({
+        $or: [
+          { campaignId: { $in: campaignIds } },
+          { userId: user._id, commentId: { $in: commentIds } }
+        ]
+      })).deletedCount;
+
+      deleted.insights += (await MediaInsight.deleteMany({ userId: user._id, accountId: ofAccount })).deletedCount;
+      deleted.insights += (await AccountInsight.deleteMany({ userId: user._id, accountId: ofAccount })).deletedCount;
+
+      // Standby copies are removed below for every user
+      if (this.isActiveAccount(user, accountId)) {
+        await connectedAccounts.removeActive(user, 'instagram');
+        await user.save();
+        deleted.credentials++;
+      }
+    }
+    deleted.credentials += await connectedAccounts.forgetExternal('instagram', request.platformUserId);
+
+    request.userIds = users.map(user => user._id);
+    request.deleted = deleted;
+    request.status = 'completed';
+    request.completedAt = new Date();
+    await request.save();
+
+    console.log(`[DataDeletion] Request ${request.confirmationCode} completed for ${users.length} account(s):`, deleted);
+  }
+
+  /**
+   * Public status of a deletion request, without any user details
+   * @returns {Promise<Object|null>} null for an unknown code
+   */
+  async getStatus(confirmationCode) {
+    const request = await DataDeletionRequest.findOne({ confirmationCode: String(confirmationCode) }).lean();
+    if (!request) {
+      return null;
+    }
+
+    return {
+      confirmationCode: request.confirmationCode,
+      platform: request.platform,
+      status: request.status,
+      requestedAt: request.createdAt,
+      completedAt: request.completedAt || null,
+      deleted: request.deleted
+    };
+  }
+}
+
+module.exports = InstagramDataDeletionService;
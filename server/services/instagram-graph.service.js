@@ -117,6 +117,41 @@ class InstagramGraphService {
     }
   }
 
+  /**
+   * Get a single media post by ID
+   * @param {string} mediaId - Instagram media ID
+   */
+  async getMediaById(mediaId) {
+    this._ensureAuthenticated();
+    
+    try {
+      const response = await axios.get(
+        `${this.baseUrl}/${mediaId}`,
+        {
+          params: {
+            access_token: this.accessToken,
+            fields: 'id,caption,media_type,media_url,thumbnail_url,permalink,timestamp,like_count,comments_count'
+          }
+        }
+      );
+      
+      const post = response.data;
+      return {
+        id: post.id,
+        caption: post.caption || '',
+        type: post.media_type,
+        mediaUrl: post.media_url,
+        thumbnailUrl: post.thumbnail_url || post.media_url,
+        url: post.permalink,
+        timestamp: new Date(post.timestamp),
+        commentCount: post.comments_count || 0,
+        likeCount: post.like_count || 0
+      };
+    } catch (error) {
+      throw new Error(`Failed to fetch media: ${error.response?.data?.error?.message || error.message}`);
+    }
+  }
+
   /**
    * Get comments on a specific media post
    * @param {string} mediaId - Instagram media ID
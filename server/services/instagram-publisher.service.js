@@ -2,7 +2,7 @@
 
 const axios = require('axios');
 const FormData = require('form-data');
-const crypto = require('crypto');
+const MediaStorageService = require('./media-storage.service');
 
 /**
  * Instagram Content Publisher Service
@@ -20,6 +20,9 @@ class InstagramPublisherService {
     this.instagramAccountId = null;
     this.maxRetries = 3;
     this.retryDelay = 2000;
+    this.mediaStorage = null;
+    // containerId -> hosted media URLs, cleared when the container is published
+    this.containerMedia = new Map();
   }
 
   /**
@@ -61,56 +64,39 @@ class InstagramPublisherService {
   }
 
   // -----------------------------------------------------------
-  // IMAGE UPLOAD HELPERS
+  // MEDIA UPLOAD HELPERS
   // -----------------------------------------------------------
 
-  /** Upload to Cloudinary */
-  async uploadToCloudinary(imageBuffer, filename) {
-    const { CLOUDINARY_CLOUD_NAME, CLOUDINARY_API_KEY, CLOUDINARY_API_SECRET } = process.env;
-    if (!CLOUDINARY_CLOUD_NAME || !CLOUDINARY_API_KEY || !CLOUDINARY_API_SECRET) {
-      throw new Error('Cloudinary credentials not configured.');
-    }
-
-    try {
-      const timestamp = Math.round(Date.now() / 1000);
-      const signature = crypto.createHash('sha1').update(`timestamp=${timestamp}${CLOUDINARY_API_SECRET}`).digest('hex');
-
-      const formData = new FormData();
-      formData.append('file', imageBuffer, filename);
-      formData.append('timestamp', timestamp);
-      formData.append('api_key', CLOUDINARY_API_KEY);
-      formData.append('signature', signature);
-
-      const res = await axios.post(
-        `https://api.cloudinary.com/v1_1/${CLOUDINARY_CLOUD_NAME}/image/upload`,
-        formData,
-        { headers: formData.getHeaders() }
-      );
+  /**
+   * Use a user's media storage backend for uploads
+   * @param {MediaStorageService} mediaStorage - From MediaStorageService.forUser()
+   */
+  useMediaStorage(mediaStorage) {
+    this.mediaStorage = mediaStorage;
+    return this;
+  }
 
-      return res.data.secure_url;
-    } catch (err) {
-      throw new Error('Cloudinary upload failed: ' + err.message);
+  /** Storage from useMediaStorage(), or the environment configuration */
+  _getMediaStorage() {
+    if (!this.mediaStorage) {
+      this.mediaStorage = MediaStorageService.fromEnv();
     }
+    return this.mediaStorage;
   }
 
-  /** Upload using Cloudinary + fallback to imgbb */
+  /** Upload an image to the configured media storage */
   async uploadImageToPublicServer(imageBuffer, filename) {
-    try {
-      return await this.uploadToCloudinary(imageBuffer, filename);
-    } catch {
-      console.warn('Cloudinary failed. Trying imgbb...');
-      try {
-        const formData = new FormData();
-        formData.append('image', imageBuffer.toString('base64'));
-        const res = await axios.post('https://api.imgbb.com/1/upload', formData, {
-          params: { key: process.env.IMGBB_API_KEY },
-          headers: formData.getHeaders()
-        });
-        return res.data.data.url;
-      } catch {
-        throw new Error('Both Cloudinary and imgbb upload failed.');
-      }
-    }
+    return await this._getMediaStorage().upload(imageBuffer, { filename });
+  }
+
+  /** Stored URLs may be expiring links, get one Instagram can fetch now */
+  async _resolveMediaUrl(url) {
+    return await this._getMediaStorage().getFetchableUrl(url);
+  }
+
+  /** Remember which hosted files a container uses, to release them once published */
+  _trackContainer(containerId, urls) {
+    this.containerMedia.set(containerId, urls.filter(Boolean));
   }
 
   /** Validate image URL */
@@ -130,6 +116,7 @@ class InstagramPublisherService {
 
   /** 1) Create Container */
   async createMediaContainer(imageUrl, caption) {
+    imageUrl = await this._resolveMediaUrl(imageUrl);
     await this.validateImageUrl(imageUrl);
     const token = this._getCleanToken();
 
@@ -144,6 +131,7 @@ class InstagramPublisherService {
         formData,
         { headers: formData.getHeaders() }
       );
+      this._trackContainer(res.data.id, [imageUrl]);
       return res.data.id;
     } catch (error) {
       throw new Error('Failed to create container: ' + (error.response?.data?.error?.message || error.message));
@@ -182,12 +170,27 @@ class InstagramPublisherService {
         formData,
         { headers: formData.getHeaders() }
       );
+
+      // Instagram has fetched the media, the hosted copies can be cleaned up
+      const mediaUrls = this.containerMedia.get(containerId);
+      if (mediaUrls) {
+        this.containerMedia.delete(containerId);
+        await MediaStorageService.markConsumed(mediaUrls);
+      }
+
       return res.data.id;
     } catch (error) {
       throw new Error('Failed to publish image: ' + (error.response?.data?.error?.message || error.message));
     }
   }
 
+  /** Publish a single image that is already hosted at a public URL */
+  async publishImageFromUrl(imageUrl, caption) {
+    const containerId = await this.createMediaContainer(imageUrl, caption);
+    await this.waitForContainerReady(containerId);
+    return await this.publishMediaContainer(containerId);
+  }
+
   /** Main Publish Function */
   async publishPost(imageBuffer, caption, filename = 'post.jpg') {
     const imageUrl = await this.uploadImageToPublicServer(imageBuffer, filename);
@@ -198,34 +201,145 @@ class InstagramPublisherService {
   }
 
   // -----------------------------------------------------------
-  // REELS (VIDEO) PUBLISH FLOW
+  // CAROUSEL PUBLISH FLOW
   // -----------------------------------------------------------
 
-  async uploadVideoToPublicServer(videoBuffer, filename) {
+  /** 1) Create one child container per slide (no caption on children) */
+  async createCarouselItemContainer(imageUrl) {
+    imageUrl = await this._resolveMediaUrl(imageUrl);
+    await this.validateImageUrl(imageUrl);
+    const token = this._getCleanToken();
+
+    const formData = new FormData();
+    formData.append('image_url', imageUrl);
+    formData.append('is_carousel_item', 'true');
+    formData.append('access_token', token);
+
     try {
-      const { CLOUDINARY_CLOUD_NAME, CLOUDINARY_API_KEY, CLOUDINARY_API_SECRET } = process.env;
-      const timestamp = Math.round(Date.now() / 1000);
-      const signature = crypto.createHash('sha1').update(`timestamp=${timestamp}${CLOUDINARY_API_SECRET}`).digest('hex');
+      const res = await axios.post(
+        `${this.graphApiUrl}/${this.instagramAccountId}/media`,
+        formData,
+        { headers: formData.getHeaders() }
+      );
+      this._trackContainer(res.data.id, [imageUrl]);
+      return res.data.id;
+    } catch (error) {
+      throw new Error('Failed to create carousel item: ' + (error.response?.data?.error?.message || error.message));
+    }
+  }
 
-      const formData = new FormData();
-      formData.append('file', videoBuffer, filename);
-      formData.append('api_key', CLOUDINARY_API_KEY);
-      formData.append('timestamp', timestamp);
-      formData.append('signature', signature);
+  /** 2) Create the parent CAROUSEL container from child container ids */
+  async createCarouselContainer(childIds, caption) {
+    const token = this._getCleanToken();
+
+    const formData = new FormData();
+    formData.append('media_type', 'CAROUSEL');
+    formData.append('children', childIds.join(','));
+    formData.append('caption', caption || '');
+    formData.append('access_token', token);
 
+    try {
       const res = await axios.post(
-        `https://api.cloudinary.com/v1_1/${CLOUDINARY_CLOUD_NAME}/video/upload`,
+        `${this.graphApiUrl}/${this.instagramAccountId}/media`,
         formData,
         { headers: formData.getHeaders() }
       );
+      this._trackContainer(res.data.id, childIds.flatMap(id => this.containerMedia.get(id) || []));
+      childIds.forEach(id => this.containerMedia.delete(id));
+      return res.data.id;
+    } catch (error) {
+      throw new Error('Failed to create carousel container: ' + (error.response?.data?.error?.message || error.message));
+    }
+  }
 
-      return res.data.secure_url;
-    } catch (err) {
-      throw new Error('Video upload failed: ' + err.message);
+  /**
+   * Publish a carousel from public image URLs, in slide order
+   * @param {string[]} imageUrls - 2 to 10 image URLs
+   * @returns {Promise<string>} Published media id
+   */
+  async publishCarousel(imageUrls, caption) {
+    if (!Array.isArray(imageUrls) || imageUrls.length < 2 || imageUrls.length > 10) {
+      throw new Error('A carousel needs between 2 and 10 images.');
+    }
+
+    const childIds = [];
+    for (const imageUrl of imageUrls) {
+      const childId = await this.createCarouselItemContainer(imageUrl);
+      await this.waitForContainerReady(childId);
+      childIds.push(childId);
+    }
+
+    const containerId = await this.createCarouselContainer(childIds, caption);
+    await this.waitForContainerReady(containerId);
+    return await this.publishMediaContainer(containerId);
+  }
+
+  // -----------------------------------------------------------
+  // STORIES PUBLISH FLOW
+  // -----------------------------------------------------------
+
+  /** Create a STORIES container from a public image or video URL */
+  async createStoryContainer({ imageUrl, videoUrl }) {
+    if (!imageUrl && !videoUrl) throw new Error('A story needs an image or video URL');
+    const mediaUrl = await this._resolveMediaUrl(videoUrl || imageUrl);
+    if (!videoUrl) await this.validateImageUrl(mediaUrl);
+    const token = this._getCleanToken();
+
+    const formData = new FormData();
+    formData.append('media_type', 'STORIES');
+    formData.append(videoUrl ? 'video_url' : 'image_url', mediaUrl);
+    formData.append('access_token', token);
+
+    try {
+      const res = await axios.post(
+        `${this.graphApiUrl}/${this.instagramAccountId}/media`,
+        formData,
+        { headers: formData.getHeaders() }
+      );
+      this._trackContainer(res.data.id, [mediaUrl]);
+      return res.data.id;
+    } catch (error) {
+      throw new Error('Failed to create story container: ' + (error.response?.data?.error?.message || error.message));
     }
   }
 
+  /**
+   * Publish an image or video story that is already hosted at a public URL
+   * Stories have no caption
+   * @param {{ imageUrl?: string, videoUrl?: string }} media
+   * @returns {Promise<string>} Published story media id
+   */
+  async publishStory({ imageUrl, videoUrl }) {
+    const containerId = await this.createStoryContainer({ imageUrl, videoUrl });
+    await this.waitForContainerReady(containerId);
+    return await this.publishMediaContainer(containerId);
+  }
+
+  /** Upload and publish an image story */
+  async publishStoryImage(imageBuffer, filename = 'story.jpg') {
+    const imageUrl = await this.uploadImageToPublicServer(imageBuffer, filename);
+    const mediaId = await this.publishStory({ imageUrl });
+    return { mediaId, imageUrl };
+  }
+
+  /** Upload and publish a video story (use FFmpegService.convertForStory first) */
+  async publishStoryVideo(videoBuffer, filename = 'story.mp4') {
+    const videoUrl = await this.uploadVideoToPublicServer(videoBuffer, filename);
+    const mediaId = await this.publishStory({ videoUrl });
+    return { mediaId, videoUrl };
+  }
+
+  // -----------------------------------------------------------
+  // REELS (VIDEO) PUBLISH FLOW
+  // -----------------------------------------------------------
+
+  /** Upload a video to the configured media storage */
+  async uploadVideoToPublicServer(videoBuffer, filename) {
+    return await this._getMediaStorage().upload(videoBuffer, { filename, contentType: 'video/mp4' });
+  }
+
   async createReelsContainer(videoUrl, caption) {
+    videoUrl = await this._resolveMediaUrl(videoUrl);
     const token = this._getCleanToken();
     const formData = new FormData();
     formData.append('media_type', 'REELS');
@@ -239,6 +353,7 @@ class InstagramPublisherService {
         formData,
         { headers: formData.getHeaders() }
       );
+      this._trackContainer(res.data.id, [videoUrl]);
       return res.data.id;
     } catch (e) {
       throw new Error('Failed to create Reels container: ' + e.message);
@@ -0,0 +1,184 @@
+const axios = require('axios');
+
+/**
+ * LinkedIn Publisher Service
+ *
+ * REQUIREMENTS:
+ *  - Member access token with w_member_social
+ *  - Member ID from the OpenID userinfo endpoint
+ *
+ * Uses the versioned REST API (Videos and Posts). Like X, LinkedIn does not
+ * fetch media from URLs: videos are uploaded in parts to signed upload URLs.
+ */
+class LinkedInPublisherService {
+  constructor() {
+    this.apiUrl = 'https://api.linkedin.com/rest';
+    // Versions are supported for a year; bump together with any API changes
+    this.apiVersion = '202609';
+    this.accessToken = null;
+    this.authorUrn = null;
+    this.statusPollInterval = 5000;
+    this.statusMaxAttempts = 60;
+  }
+
+  /**
+   * Initialize with a member access token and member ID
+   */
+  initialize(accessToken, memberId) {
+    this.accessToken = accessToken
+      ? accessToken.replace(/[\s\n\r\t]+/g, '').replace(/%20/g, '').trim()
+      : null;
+    this.authorUrn = memberId ? `urn:li:person:${memberId}` : null;
+    return this;
+  }
+
+  /** @private */
+  _headers(extra = {}) {
+    if (!this.accessToken || !this.authorUrn) {
+      throw new Error('LinkedIn account not connected');
+    }
+    return {
+      Authorization: `Bearer ${this.accessToken}`,
+      'LinkedIn-Version': this.apiVersion,
+      'X-Restli-Protocol-Version': '2.0.0',
+      ...extra
+    };
+  }
+
+  /** @private */
+  _apiError(action, error) {
+    const apiError = new Error(`${action}: ${error.response?.data?.message || error.message}`);
+    apiError.statusCode = error.response?.status;
+    return apiError;
+  }
+
+  // -----------------------------------------------------------
+  // VIDEOS
+  // -----------------------------------------------------------
+
+  /**
+   * Upload a video in the parts LinkedIn asks for and wait until it is available
+   * @returns {Promise<string>} Video URN
+   */
+  async uploadVideo(buffer) {
+    try {
+      const init = await axios.post(`${this.apiUrl}/videos?action=initializeUpload`, {
+        initializeUploadRequest: {
+          owner: this.authorUrn,
+          fileSizeBytes: buffer.length,
+          uploadCaptions: false,
+          uploadThumbnail: false
+        }
+      }, { headers: this._headers() });
+
+      const { video, uploadInstructions, uploadToken } = init.data.value;
+      const uploadedPartIds = [];
+
+      for (const instruction of uploadInstructions) {
+        const res = await axios.put(
+          instruction.uploadUrl,
+          buffer.subarray(instruction.firstByte, instruction.lastByte + 1),
+          { headers: { 'Content-Type': 'application/octet-stream' }, maxBodyLength: Infinity }
+        );
+        uploadedPartIds.push(res.headers.etag);
+      }
+
+      await axios.post(`${this.apiUrl}/videos?action=finalizeUpload`, {
+        finalizeUploadRequest: { video, uploadToken: uploadToken || '', uploadedPartIds }
+      }, { headers: this._headers() });
+
+      await this.waitForVideo(video);
+      return video;
+    } catch (error) {
+      if (error.response) {
+        throw this._apiError('Failed to upload video', error);
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Poll the video until LinkedIn has processed it
+   * @private
+   */
+  async waitForVideo(videoUrn) {
+    for (let attempt = 0; attempt < this.statusMaxAttempts; attempt++) {
+      const res = await axios.get(`${this.apiUrl}/videos/${encodeURIComponent(videoUrn)}`, {
+        headers: this._headers()
+      });
+
+      if (res.data.status === 'AVAILABLE') {
+        return;
+      }
+      if (res.data.status === 'PROCESSING_FAILED') {
+        throw new Error(`LinkedIn could not process the video: ${res.data.processingFailureReason || 'unknown error'}`);
+      }
+
+      await new Promise(resolve => setTimeout(resolve, this.statusPollInterval));
+    }
+
+    throw new Error('Timed out waiting for LinkedIn to process the video');
+  }
+
+  // -----------------------------------------------------------
+  // POSTS
+  // -----------------------------------------------------------
+
+  /**
+   * Create a public feed post
+   * @param {string} commentary - Escaped with toLinkedInCommentary()
+   * @param {Object} [media] - { id: video or image URN, title }
+   * @returns {Promise<string>} Post URN
+   */
+  async createPost(commentary, media = null) {
+    const body = {
+      author: this.authorUrn,
+      commentary: commentary || '',
+      visibility: 'PUBLIC',
+      distribution: {
+        feedDistribution: 'MAIN_FEED',
+        targetEntities: [],
+        thirdPartyDistributionChannels: []
+      },
+      lifecycleState: 'PUBLISHED',
+      isReshareDisabledByAuthor: false
+    };
+    if (media) {
+      body.content = { media };
+    }
+
+    try {
+      const res = await axios.post(`${this.apiUrl}/posts`, body, { headers: this._headers() });
+      return res.headers['x-restli-id'];
+    } catch (error) {
+      throw this._apiError('Failed to create post', error);
+    }
+  }
+
+  /**
+   * Post details
+   * @returns {Promise<{id: string, lifecycleState: string}|null>} null when deleted
+   */
+  async getPost(postUrn) {
+    try {
+      const res = await axios.get(`${this.apiUrl}/posts/${encodeURIComponent(postUrn)}`, {
+        headers: this._headers()
+      });
+      return { id: res.data.id, lifecycleState: res.data.lifecycleState };
+    } catch (error) {
+      if (error.response?.status === 404) {
+        return null;
+      }
+      throw this._apiError('Failed to get post', error);
+    }
+  }
+
+  /**
+   * Public URL of a post
+   */
+  getPostUrl(postUrn) {
+    return `https://www.linkedin.com/feed/update/${postUrn}/`;
+  }
+}
+
+module.exports = LinkedInPublisherService;
@@ -0,0 +1,49 @@
+const MediaStorageService = require('./media-storage.service');
+
+const CLEANUP_INTERVAL_MS = 15 * 60 * 1000;
+
+/**
+ * MediaCleanup - Periodically deletes hosted media Instagram has already fetched
+ */
+class MediaCleanupService {
+  constructor() {
+    this.timer = null;
+    this.isRunning = false;
+  }
+
+  start() {
+    if (this.timer) {
+      return;
+    }
+
+    console.log(`[MediaCleanup] Started (checking every ${CLEANUP_INTERVAL_MS / 60000}m)`);
+    this.timer = setInterval(() => this.run(), CLEANUP_INTERVAL_MS);
+    this.run();
+  }
+
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+      console.log('[MediaCleanup] Stopped');
+    }
+  }
+
+  async run() {
+    if (this.isRunning) {
+      return;
+    }
+
+    this.isRunning = true;
+
+    try {
+      await MediaStorageService.cleanup();
+    } catch (error) {
+      console.error('[MediaCleanup] Cleanup failed:', error.message);
+    } finally {
+      this.isRunning = false;
+    }
+  }
+}
+
+module.exports = MediaCleanupService;
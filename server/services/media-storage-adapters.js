@@ -0,0 +1,267 @@
+const axios = require('axios');
+const FormData = require('form-data');
+const crypto = require('crypto');
+const fs = require('fs').promises;
+const path = require('path');
+const { sha256Hex, signS3Request, createSignedMediaPath } = require('./media-signing');
+
+/**
+ * Media Storage Adapters
+ *
+ * Every adapter hosts files at a URL Instagram can fetch and implements:
+ *  - upload(buffer, { key, filename, contentType }) -> { url, key }
+ *  - delete(key)
+ *  - getFetchableUrl(url) -> url Instagram can fetch right now
+ *  - canDelete: whether delete() actually removes the file
+ */
+
+const LOCAL_MEDIA_ROOT = path.join(__dirname, '../storage/media');
+
+function isVideo(contentType) {
+  return String(contentType || '').startsWith('video/');
+}
+
+function encodeKey(key) {
+  return key.split('/').map(encodeURIComponent).join('/');
+}
+
+/**
+ * Cloudinary (signed uploads with the account's API secret)
+ */
+class CloudinaryAdapter {
+  constructor({ cloudName, apiKey, apiSecret }) {
+    if (!cloudName || !apiKey || !apiSecret) {
+      throw new Error('Cloudinary credentials not configured.');
+    }
+    this.name = 'cloudinary';
+    this.canDelete = true;
+    this.cloudName = cloudName;
+    this.apiKey = apiKey;
+    this.apiSecret = apiSecret;
+  }
+
+  sign(params) {
+    const toSign = Object.keys(params).sort().map(name => `${name}=${params[name]}`).join('&');
+    return crypto.createHash('sha1').update(`${toSign}${this.apiSecret}`).digest('hex');
+  }
+
+  async upload(buffer, { filename, contentType }) {
+    const resourceType = isVideo(contentType) ? 'video' : 'image';
+    const timestamp = Math.round(Date.now() / 1000);
+
+    const formData = new FormData();
+    formData.append('file', buffer, filename);
+    formData.append('timestamp', timestamp);
+    formData.append('api_key', this.apiKey);
+    formData.append('signature', this.sign({ timestamp }));
+
+    try {
+      const res = await axios.post(
+        `https://api.cloudinary.com/v1_1/${this.cloudName}/${resourceType}/upload`,
+        formData,
+        { headers: formData.getHeaders(), maxBodyLength: Infinity }
+      );
+
+      // Keep the resource type with the public id, destroy needs both
+      return { url: res.data.secure_url, key: `${resourceType}:${res.data.public_id}` };
+    } catch (err) {
+      throw new Error('Cloudinary upload failed: ' + (err.response?.data?.error?.message || err.message));
+    }
+  }
+
+  async delete(key) {
+    const [resourceType, publicId] = key.split(/:(.+)/);
+    const timestamp = Math.round(Date.now() / 1000);
+
+    const formData = new FormData();
+    formData.append('public_id', publicId);
+    formData.append('timestamp', timestamp);
+    formData.append('api_key', this.apiKey);
+    formData.append('signature', this.sign({ public_id: publicId, timestamp }));
+
+    const res = await axios.post(
+      `https://api.cloudinary.com/v1_1/${this.cloudName}/${resourceType}/destroy`,
+      formData,
+      { headers: formData.getHeaders() }
+    );
+
+    if (!['ok', 'not found'].includes(res.data?.result)) {
+      throw new Error(`Cloudinary delete failed: ${res.data?.result || 'unknown result'}`);
+    }
+  }
+
+  async getFetchableUrl(url) {
+    return url;
+  }
+}
+
+/**
+ * imgbb (legacy image-only fallback, has no delete API)
+ */
+class ImgbbAdapter {
+  constructor({ apiKey }) {
+    if (!apiKey) throw new Error('imgbb API key not configured.');
+    this.name = 'imgbb';
+    this.canDelete = false;
+    this.apiKey = apiKey;
+  }
+
+  async upload(buffer, { contentType }) {
+    if (isVideo(contentType)) throw new Error('imgbb only hosts images.');
+
+    const formData = new FormData();
+    formData.append('image', buffer.toString('base64'));
+
+    try {
+      const res = await axios.post('https://api.imgbb.com/1/upload', formData, {
+        params: { key: this.apiKey },
+        headers: formData.getHeaders()
+      });
+      return { url: res.data.data.url, key: res.data.data.id };
+    } catch (err) {
+      throw new Error('imgbb upload failed: ' + err.message);
+    }
+  }
+
+  async delete() {}
+
+  async getFetchableUrl(url) {
+    return url;
+  }
+}
+
+/**
+ * S3-compatible object storage (AWS S3, MinIO, Cloudflare R2, ...)
+ * Objects must be publicly readable, through a bucket policy or publicUrl (CDN)
+ */
+class S3Adapter {
+  constructor({ endpoint, region, bucket, accessKeyId, secretAccessKey, publicUrl, forcePathStyle }) {
+    if (!bucket || !accessKeyId || !secretAccessKey) {
+      throw new Error('S3 bucket and access keys not configured.');
+    }
+    this.name = 's3';
+    this.canDelete = true;
+    this.region = region || 'us-east-1';
+    this.endpoint = (endpoint || `https://s3.${this.region}.amazonaws.com`).replace(/\/+$/, '');
+    this.bucket = bucket;
+    this.accessKeyId = accessKeyId;
+    this.secretAccessKey = secretAccessKey;
+    this.publicUrl = publicUrl ? publicUrl.replace(/\/+$/, '') : null;
+    // MinIO and most self-hosted stores need path-style URLs
+    this.forcePathStyle = !!forcePathStyle;
+  }
+
+  objectUrl(key) {
+    if (this.forcePathStyle) {
+      return `${this.endpoint}/${this.bucket}/${encodeKey(key)}`;
+    }
+    const endpoint = new URL(this.endpoint);
+    return `${endpoint.protocol}//${this.bucket}.${endpoint.host}/${encodeKey(key)}`;
+  }
+
+  async request(method, key, { body, contentType } = {}) {
+    const url = this.objectUrl(key);
+    const { headers } = signS3Request({
+      method,
+      url,
+      headers: contentType ? { 'content-type': contentType } : {},
+      payloadHash: body ? sha256Hex(body) : undefined,
+      region: this.region,
+      accessKeyId: this.accessKeyId,
+      secretAccessKey: this.secretAccessKey
+    });
+
+    try {
+      return await axios({ method, url, headers, data: body, maxBodyLength: Infinity });
+    } catch (err) {
+      const code = String(err.response?.data || '').match(/<Code>([^<]+)<\/Code>/)?.[1];
+      throw new Error(`S3 ${method} failed: ${code || err.message}`);
+    }
+  }
+
+  async upload(buffer, { key, contentType }) {
+    await this.request('PUT', key, { body: buffer, contentType });
+    return {
+      url: this.publicUrl ? `${this.publicUrl}/${encodeKey(key)}` : this.objectUrl(key),
+      key
+    };
+  }
+
+  async delete(key) {
+    await this.request('DELETE', key);
+  }
+
+  async getFetchableUrl(url) {
+    return url;
+  }
+}
+
+/**
+ * Local disk, served by this server under /media with signed expiring links
+ * APP_URL (or MEDIA_PUBLIC_URL) must be reachable by Instagram
+ */
+class LocalDiskAdapter {
+  constructor({ baseUrl, secret, linkTtlHours, root = LOCAL_MEDIA_ROOT }) {
+    if (!secret) throw new Error('MEDIA_SIGNING_SECRET or JWT_SECRET is required for local media links.');
+    this.name = 'local';
+    this.canDelete = true;
+    this.baseUrl = (baseUrl || 'http://localhost:3000').replace(/\/+$/, '');
+    this.secret = secret;
+    this.linkTtlSeconds = Math.round((linkTtlHours || 168) * 3600);
+    this.root = root;
+  }
+
+  filePath(key) {
+    return resolveLocalMediaPath(key, this.root);
+  }
+
+  signedUrl(key) {
+    const expires = Math.floor(Date.now() / 1000) + this.linkTtlSeconds;
+    return `${this.baseUrl}${createSignedMediaPath(key, expires, this.secret)}`;
+  }
+
+  async upload(buffer, { key }) {
+    const filePath = this.filePath(key);
+    await fs.mkdir(path.dirname(filePath), { recursive: true });
+    await fs.writeFile(filePath, buffer);
+    return { url: this.signedUrl(key), key };
+  }
+
+  async delete(key) {
+    await fs.unlink(this.filePath(key)).catch(error => {
+      if (error.code !== 'ENOENT') throw error;
+    });
+  }
+
+  /** Links stored on posts may have expired by publish time, so sign them again */
+  async getFetchableUrl(url) {
+    const prefix = `${this.baseUrl}/media/`;
+    if (!url || !url.startsWith(prefix)) return url;
+
+    const key = decodeURIComponent(new URL(url).pathname.slice('/media/'.length));
+    return this.signedUrl(key);
+  }
+}
+
+/**
+ * Resolve a storage key to a file under the media root, rejecting path traversal
+ * @param {string} key - "<userId>/<filename>"
+ * @param {string} [root]
+ * @returns {string}
+ */
+function resolveLocalMediaPath(key, root = LOCAL_MEDIA_ROOT) {
+  const filePath = path.resolve(root, key);
+  if (!filePath.startsWith(path.resolve(root) + path.sep)) {
+    throw new Error('Invalid media key');
+  }
+  return filePath;
+}
+
+module.exports = {
+  LOCAL_MEDIA_ROOT,
+  CloudinaryAdapter,
+  ImgbbAdapter,
+  S3Adapter,
+  LocalDiskAdapter,
+  resolveLocalMediaPath
+};
@@ -0,0 +1,329 @@
+const crypto = require('crypto');
+const path = require('path');
+const User = require('../models/User');
+const MediaAsset = require('../models/media-asset.model');
+const { EncryptionService } = require('./encryption.service');
+const {
+  CloudinaryAdapter,
+  ImgbbAdapter,
+  S3Adapter,
+  LocalDiskAdapter
+} = require('./media-storage-adapters');
+
+const encryptionService = new EncryptionService();
+
+const PROVIDERS = ['default', 'cloudinary', 's3', 'local'];
+const DEFAULT_RETENTION_HOURS = 24;
+
+const CONTENT_TYPES = {
+  '.jpg': 'image/jpeg',
+  '.jpeg': 'image/jpeg',
+  '.png': 'image/png',
+  '.webp': 'image/webp',
+  '.mp4': 'video/mp4',
+  '.mov': 'video/quicktime'
+};
+
+// 1x1 PNG used to check a storage configuration
+const TEST_IMAGE = Buffer.from(
+  'iVBORw0KGgoAAAANSUhEUgAAAAEAAAABCAYAAAAfFcSJAAAADUlEQVR42mP8z8BQDwAEhQGAhKmMIQAAAABJRU5ErkJggg==',
+  'base64'
+);
+
+function stripQuery(url) {
+  return String(url || '').split('?')[0];
+}
+
+/**
+ * MediaStorageService - Hosts images and videos at public URLs for Instagram
+ *
+ * Users pick a backend in their settings ("default" uses the server's env
+ * configuration, Cloudinary with imgbb fallback unless MEDIA_STORAGE_PROVIDER
+ * says otherwise). Uploads are recorded as MediaAssets; once Instagram has
+ * fetched them they are deleted after MEDIA_RETENTION_HOURS.
+ */
+class MediaStorageService {
+  /**
+   * @param {Array} adapters - Tried in order until one upload succeeds
+   * @param {Object} [options]
+   * @param {string} [options.userId] - Owner of uploaded assets
+   */
+  constructor(adapters, { userId = null } = {}) {
+    this.adapters = adapters;
+    this.userId = userId;
+  }
+
+  /**
+   * Storage configured by environment variables
+   */
+  static fromEnv(userId = null) {
+    const provider = process.env.MEDIA_STORAGE_PROVIDER || 'cloudinary';
+
+    if (provider !== 'cloudinary') {
+      const adapter = MediaStorageService.createAdapter(provider, MediaStorageService.envConfig(provider));
+      return new MediaStorageService([adapter], { userId });
+    }
+
+    // Legacy behaviour: Cloudinary first, imgbb as fallback, whichever is configured
+    const adapters = [];
+    for (const [name, config] of [
+      ['cloudinary', MediaStorageService.envConfig('cloudinary')],
+      ['imgbb', { apiKey: process.env.IMGBB_API_KEY }]
+    ]) {
+      try {
+        adapters.push(MediaStorageService.createAdapter(name, config));
+      } catch (error) {
+        console.warn(`[MediaStorage] ${name} not available:`, error.message);
+      }
+    }
+    return new MediaStorageService(adapters, { userId });
+  }
+
+  /**
+   * Storage selected in a user's settings
+   * @param {string} userId
+   */
+  static async forUser(userId) {
+    const user = userId ? await User.findById(userId).select('mediaStorage') : null;
+    const settings = user?.mediaStorage;
+
+    if (!settings?.provider || settings.provider === 'default') {
+      return MediaStorageService.fromEnv(userId);
+    }
+
+    const config = MediaStorageService.userConfig(settings);
+    return new MediaStorageService([MediaStorageService.createAdapter(settings.provider, config)], { userId });
+  }
+
+  /**
+   * Build an adapter
+   * @param {string} provider - cloudinary | s3 | local | imgbb
+   * @param {Object} config
+   */
+  static createAdapter(provider, config) {
+    switch (provider) {
+      case 'cloudinary':
+        return new CloudinaryAdapter(config);
+      case 's3':
+        return new S3Adapter(config);
+      case 'local':
+        return new LocalDiskAdapter(config);
+      case 'imgbb':
+        return new ImgbbAdapter(config);
+      default:
+        throw new Error(`Unknown media storage provider: ${provider}`);
+    }
+  }
+
+  /**
+   * Adapter config from environment variables
+   * @param {string} provider
+   */
+  static envConfig(provider) {
+    const env = process.env;
+
+    if (provider === 'cloudinary') {
+      return {
+        cloudName: env.CLOUDINARY_CLOUD_NAME,
+        apiKey: env.CLOUDINARY_API_KEY,
+        apiSecret: env.CLOUDINARY_API_SECRET
+      };
+    }
+
+    if (provider === 's3') {
+      return {
+        endpoint: env.MEDIA_S3_ENDPOINT,
+        region: env.MEDIA_S3_REGION,
+        bucket: env.MEDIA_S3_BUCKET,
+        accessKeyId: env.MEDIA_S3_ACCESS_KEY_ID,
+        secretAccessKey: env.MEDIA_S3_SECRET_ACCESS_KEY,
+        publicUrl: env.MEDIA_S3_PUBLIC_URL,
+        forcePathStyle: env.MEDIA_S3_FORCE_PATH_STYLE === 'true'
+      };
+    }
+
+    if (provider === 'local') {
+      return {
+        baseUrl: env.MEDIA_PUBLIC_URL || env.APP_URL,
+        secret: env.MEDIA_SIGNING_SECRET || env.JWT_SECRET,
+        linkTtlHours: parseFloat(env.MEDIA_LINK_TTL_HOURS) || undefined
+      };
+    }
+
+    return {};
+  }
+
+  /**
+   * Adapter config from a user's mediaStorage settings (secrets decrypted)
+   * Local disk always uses the server's own configuration
+   */
+  static userConfig(settings) {
+    if (settings.provider === 'cloudinary') {
+      const { cloudName, apiKey, apiSecret } = settings.cloudinary || {};
+      return {
+        cloudName,
+        apiKey,
+        apiSecret: apiSecret ? encryptionService.decrypt(apiSecret) : null
+      };
+    }
+
+    if (settings.provider === 's3') {
+      const s3 = settings.s3 || {};
+      return {
+        endpoint: s3.endpoint,
+        region: s3.region,
+        bucket: s3.bucket,
+        accessKeyId: s3.accessKeyId,
+        secretAccessKey: s3.secretAccessKey ? encryptionService.decrypt(s3.secretAccessKey) : null,
+        publicUrl: s3.publicUrl,
+        forcePathStyle: s3.forcePathStyle
+      };
+    }
+
+    return MediaStorageService.envConfig(settings.provider);
+  }
+
+  /**
+   * Upload a file and record it for cleanup
+   * @param {Buffer} buffer
+   * @param {Object} [options]
+   * @param {string} [options.filename]
+   * @param {string} [options.contentType] - Guessed from the filename when missing
+   * @returns {Promise<string>} Public URL
+   */
+  async upload(buffer, { filename = 'media.jpg', contentType } = {}) {
+    if (!this.adapters.length) {
+      throw new Error('No media storage configured. Set up Cloudinary, S3 or local storage.');
+    }
+
+    const extension = path.extname(filename).toLowerCase();
+    const type = contentType || CONTENT_TYPES[extension] || 'application/octet-stream';
+    const safeName = path.basename(filename).replace(/[^a-zA-Z0-9._-]/g, '_');
+    const key = `${this.userId || 'shared'}/${Date.now()}-${crypto.randomBytes(4).toString('hex')}-${safeName}`;
+
+    const errors = [];
+    for (const adapter of this.adapters) {
+      try {
+        const result = await adapter.upload(buffer, { key, filename: safeName, contentType: type });
+        await this.recordAsset(adapter, result, type, buffer.length);
+        return result.url;
+      } catch (error) {
+        console.warn(`[MediaStorage] ${adapter.name} upload failed:`, error.message);
+        errors.push(`${adapter.name}: ${error.message}`);
+      }
+    }
+
+    throw new Error(`Media upload failed (${errors.join('; ')})`);
+  }
+
+  /**
+   * Track an uploaded file; a failure here should not fail the upload
+   * @private
+   */
+  async recordAsset(adapter, { url, key }, contentType, size) {
+    if (!adapter.canDelete) return;
+
+    try {
+      await MediaAsset.create({
+        userId: this.userId,
+        provider: adapter.name,
+        key,
+        url: stripQuery(url),
+        contentType,
+        size
+      });
+    } catch (error) {
+      console.warn('[MediaStorage] Could not record media asset:', error.message);
+    }
+  }
+
+  /**
+   * URL Instagram can fetch right now (re-signs expiring local links)
+   * @param {string} url
+   */
+  async getFetchableUrl(url) {
+    let fetchable = url;
+    for (const adapter of this.adapters) {
+      fetchable = await adapter.getFetchableUrl(fetchable);
+    }
+    return fetchable;
+  }
+
+  /**
+   * Upload and delete a small image to check the configuration
+   * @returns {Promise<{ provider: string, url: string }>}
+   */
+  async test() {
+    const adapter = this.adapters[0];
+    if (!adapter) {
+      throw new Error('No media storage configured. Set up Cloudinary, S3 or local storage.');
+    }
+
+    const key = `${this.userId || 'shared'}/storage-test-${Date.now()}.png`;
+    const result = await adapter.upload(TEST_IMAGE, { key, filename: 'storage-test.png', contentType: 'image/png' });
+    await adapter.delete(result.key);
+
+    return { provider: adapter.name, url: result.url };
+  }
+
+  /**
+   * Schedule deletion of assets Instagram has fetched
+   * @param {string[]} urls - Media URLs of a published container
+   */
+  static async markConsumed(urls) {
+    const hours = parseFloat(process.env.MEDIA_RETENTION_HOURS);
+    const retentionHours = Number.isNaN(hours) ? DEFAULT_RETENTION_HOURS : hours;
+    const deleteAfter = new Date(Date.now() + retentionHours * 60 * 60 * 1000);
+
+    try {
+      await MediaAsset.markConsumed(urls.filter(Boolean).map(stripQuery), deleteAfter);
+    } catch (error) {
+      console.warn('[MediaStorage] Could not mark media as consumed:', error.message);
+    }
+  }
+
+  /**
+   * Delete consumed assets whose retention period is over
+   * @returns {Promise<{ deleted: number, failed: number }>}
+   */
+  static async cleanup(limit = 50) {
+    const assets = await MediaAsset.findExpired(limit);
+    const storages = new Map();
+    let deleted = 0;
+    let failed = 0;
+
+    for (const asset of assets) {
+      try {
+        const userKey = String(asset.userId || '');
+        if (!storages.has(userKey)) {
+          storages.set(userKey, await MediaStorageService.forUser(asset.userId));
+        }
+
+        // The user may have switched providers since the upload
+        const adapter = storages.get(userKey).adapters.find(a => a.name === asset.provider) ||
+          MediaStorageService.createAdapter(asset.provider, MediaStorageService.envConfig(asset.provider));
+
+        await adapter.delete(asset.key);
+        asset.status = 'deleted';
+        asset.deletedAt = new Date();
+        asset.error = undefined;
+        deleted++;
+      } catch (error) {
+        console.error(`[MediaStorage] Could not delete ${asset.provider} asset ${asset.key}:`, error.message);
+        asset.status = 'delete_failed';
+        asset.error = error.message;
+        failed++;
+      }
+      await asset.save();
+    }
+
+    if (deleted || failed) {
+      console.log(`[MediaStorage] Cleanup deleted ${deleted} asset(s), ${failed} failed`);
+    }
+    return { deleted, failed };
+  }
+}
+
+MediaStorageService.PROVIDERS = PROVIDERS;
+
+module.exports = MediaStorageService;
@@ -0,0 +1,74 @@
+/**
+ * Meta Signed Request
+ *
+ * Parses the `signed_request` Meta posts to the deauthorize and data
+ * deletion callbacks: "<signature>.<payload>", both base64url encoded,
+ * where the signature is the HMAC-SHA256 of the encoded payload keyed
+ * with the app secret.
+ */
+
+const crypto = require('crypto');
+
+function createError(message, statusCode) {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+}
+
+/**
+ * Decode base64url, tolerating standard base64 and missing padding
+ * @param {string} value
+ * @returns {Buffer}
+ */
+function base64UrlDecode(value) {
+  return Buffer.from(String(value).replace(/-/g, '+').replace(/_/g, '/'), 'base64');
+}
+
+/**
+ * Verify and decode a signed request
+ * @param {string} signedRequest
+ * @param {string} appSecret
+ * @returns {Object} Payload, e.g. { algorithm, issued_at, user_id }
+ * @throws {Error} With statusCode 400 when the request is malformed or the signature does not match
+ */
+function parseSignedRequest(signedRequest, appSecret) {
+  if (!appSecret) {
+    throw createError('App secret is not configured', 500);
+  }
+
+  const parts = typeof signedRequest === 'string' ? signedRequest.split('.') : [];
+  if (parts.length !== 2 || !parts[0] || !parts[1]) {
+    throw createError('Malformed signed_request', 400);
+  }
+
+  const [encodedSignature, encodedPayload] = parts;
+
+  let payload;
+  try {
+    payload = JSON.parse(base64UrlDecode(encodedPayload).toString('utf8'));
+  } catch {
+    throw createError('Malformed signed_request payload', 400);
+  }
+
+  if (String(payload?.algorithm).toUpperCase() !== 'HMAC-SHA256') {
+    throw createError(`Unsupported signed_request algorithm: ${payload?.algorithm}`, 400);
+  }
+
+  const expected = crypto.createHmac('sha256', appSecret).update(encodedPayload).digest();
+  const received = base64UrlDecode(encodedSignature);
+
+  if (expected.length !== received.length || !crypto.timingSafeEqual(expected, received)) {
+    throw createError('Invalid signed_request signature', 400);
+  }
+
+  if (!payload.user_id) {
+    throw createError('signed_request has no user_id', 400);
+  }
+
+  return payload;
+}
+
+module.exports = {
+  base64UrlDecode,
+  parseSignedRequest
+};
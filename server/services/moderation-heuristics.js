@@ -0,0 +1,155 @@
+/**
+ * Moderation Heuristics
+ *
+ * Local comment classifier used when no AI provider is available,
+ * plus parsing of AI classification responses.
+ *
+ * Labels: spam, toxic, neutral, positive, question
+ */
+
+const LABELS = ['spam', 'toxic', 'neutral', 'positive', 'question'];
+const FLAGGED_LABELS = ['spam', 'toxic'];
+
+const SPAM_PATTERNS = [
+  /check\s+(out\s+)?my\s+(profile|page|bio|account|story)/i,
+  /\b(dm|message|inbox)\s+(me|us)\b/i,
+  /\bfollow\s+(me|back|for\s+follow)\b/i,
+  /\blink\s+in\s+(my\s+)?bio\b/i,
+  /\b(crypto|bitcoin|btc|usdt|forex|nft|binary\s+options?)\b/i,
+  /\b(invest(ment)?|trading)\s+(with|in|platform|account)\b/i,
+  /\b(earn|make)\s+\$?\d+/i,
+  /\bfree\s+(followers|likes|views|iphone|gift)\b/i,
+  /\bpromote\s+(it|this|your)\b/i,
+  /\b(whatsapp|telegram)\b.*\+?\d{6,}/i,
+  /\b(sugar\s*(daddy|mommy)|onlyfans)\b/i,
+  /(https?:\/\/|www\.)\S+/i
+];
+
+const TOXIC_PATTERNS = [
+  /\b(idiot|moron|stupid|dumb|retard(ed)?|loser|pathetic|worthless)\b/i,
+  /\b(trash|garbage|disgusting)\b/i,
+  /\b(shut\s+up|go\s+die|kill\s+yourself|kys)\b/i,
+  /\b(fuck|f\*+k|shit|bitch|bastard|asshole|cunt|dick)\w*/i,
+  /\bi\s+hate\s+(you|this|u)\b/i,
+  /\b(ugly|fat)\s+(ass|pig|cow)\b/i
+];
+
+const POSITIVE_PATTERNS = [
+  /\b(love|loved|loving|amazing|awesome|beautiful|gorgeous|great|nice|cool|wow|perfect|incredible|fantastic|brilliant|congrats|congratulations|thank(s| you))\b/i,
+  /[❤️😍🔥👏🙌💯😊🥰💕✨👍]/u
+];
+
+const QUESTION_START = /^(what|how|where|when|why|who|which|can|could|does|do|is|are|will|would|should|any)\b/i;
+
+/**
+ * Classify a comment with local rules
+ * @param {string} text
+ * @returns {{ label: string, confidence: number, reasons: Array<string> }}
+ */
+function classifyHeuristic(text) {
+  const value = String(text || '').trim();
+
+  if (!value) {
+    return { label: 'neutral', confidence: 0.5, reasons: ['empty comment'] };
+  }
+
+  const toxicHits = TOXIC_PATTERNS.filter(pattern => pattern.test(value));
+  if (toxicHits.length > 0) {
+    return {
+      label: 'toxic',
+      confidence: Math.min(0.6 + toxicHits.length * 0.15, 0.95),
+      reasons: toxicHits.map(pattern => `matched ${pattern.source}`)
+    };
+  }
+
+  const spamHits = SPAM_PATTERNS.filter(pattern => pattern.test(value));
+  // Long runs of the same character are a common spam tell
+  if (/(.)\1{7,}/u.test(value)) {
+    spamHits.push(/repeated characters/);
+  }
+  if (spamHits.length > 0) {
+    return {
+      label: 'spam',
+      confidence: Math.min(0.6 + spamHits.length * 0.15, 0.95),
+      reasons: spamHits.map(pattern => `matched ${pattern.source}`)
+    };
+  }
+
+  if (value.includes('?') || QUESTION_START.test(value)) {
+    return { label: 'question', confidence: 0.7, reasons: ['question form'] };
+  }
+
+  if (POSITIVE_PATTERNS.some(pattern => pattern.test(value))) {
+    return { label: 'positive', confidence: 0.7, reasons: ['positive wording'] };
+  }
+
+  return { label: 'neutral', confidence: 0.5, reasons: ['no signals'] };
+}
+
+/**
+ * Build the classification prompt for an AI provider
+ * @param {string} text
+ * @returns {string}
+ */
+function buildClassificationPrompt(text) {
+  return `You moderate comments on a brand's Instagram account.
+Classify the comment into exactly one label:
+- spam: self-promotion, "check my profile", scams, crypto/investment offers, bots
+- toxic: insults, harassment, hate, threats, sexual harassment
+- question: asks something the account could answer
+- positive: compliments, praise, excitement
+- neutral: anything else
+
+Comment: """${String(text || '').slice(0, 1000)}"""
+
+Respond with JSON only: {"label": "<label>", "confidence": <0 to 1>}`;
+}
+
+/**
+ * Parse an AI classification response
+ * @param {string} raw - Model output
+ * @returns {{ label: string, confidence: number }|null} - null when unusable
+ */
+function parseClassification(raw) {
+  if (!raw) return null;
+
+  const text = String(raw);
+  const jsonMatch = text.match(/\{[\s\S]*?\}/);
+
+  if (jsonMatch) {
+    try {
+      const parsed = JSON.parse(jsonMatch[0]);
+      const label = String(parsed.label || '').toLowerCase().trim();
+      if (LABELS.includes(label)) {
+        const confidence = Number(parsed.confidence);
+        return {
+          label,
+          confidence: Number.isFinite(confidence) ? Math.min(Math.max(confidence, 0), 1) : 0.7
+        };
+      }
+    } catch {
+      // Fall through to plain-text matching
+    }
+  }
+
+  const word = text.toLowerCase().match(/\b(spam|toxic|neutral|positive|question)\b/);
+  return word ? { label: word[1], confidence: 0.6 } : null;
+}
+
+/**
+ * Whether a label should be moderated
+ * @param {string} label
+ * @returns {boolean}
+ */
+function isFlagged(label) {
+  return FLAGGED_LABELS.includes(label);
+}
+
+// Export functions
+module.exports = {
+  LABELS,
+  classifyHeuristic,
+  buildClassificationPrompt,
+  parseClassification,
+  isFlagged
+};
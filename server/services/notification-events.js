@@ -0,0 +1,145 @@
+/**
+ * Notification Events
+ *
+ * Events that can be sent as push notifications, the per-user preference
+ * for each, and the notification shown for an event.
+ */
+
+// Preference key per event; every event is on until the user turns it off
+const NOTIFICATION_EVENTS = ['publishCompleted', 'publishFailed', 'tokenExpiring', 'automationStopped', 'commentFlagged'];
+
+const PLATFORM_NAMES = {
+  instagram: 'Instagram',
+  youtube: 'YouTube',
+  facebook: 'Facebook',
+  twitter: 'X',
+  linkedin: 'LinkedIn',
+  threads: 'Threads'
+};
+
+const MAX_BODY_LENGTH = 180;
+
+function platformName(platform) {
+  return PLATFORM_NAMES[platform] || platform || 'Account';
+}
+
+function truncate(text, maxLength = MAX_BODY_LENGTH) {
+  const value = String(text || '').replace(/\s+/g, ' ').trim();
+  return value.length > maxLength ? `${value.slice(0, maxLength - 1)}…` : value;
+}
+
+/**
+ * Preferences with every event present
+ * @param {Object} [stored] - Saved preferences, possibly missing events
+ * @returns {Object} { [event]: boolean }
+ */
+function resolvePreferences(stored = {}) {
+  return Object.fromEntries(NOTIFICATION_EVENTS.map(event => [event, stored?.[event] !== false]));
+}
+
+/**
+ * Apply a preference update, ignoring unknown events and non-boolean values
+ * @param {Object} stored - Saved preferences
+ * @param {Object} changes - { [event]: boolean }
+ * @returns {Object} Complete preferences
+ */
+function mergePreferences(stored, changes = {}) {
+  const preferences = resolvePreferences(stored);
+
+  for (const event of NOTIFICATION_EVENTS) {
+    if (typeof changes?.[event] === 'boolean') {
+      preferences[event] = changes[event];
+    }
+  }
+
+  return preferences;
+}
+
+/**
+ * Whether the user wants push notifications for an event
+ * The test notification is always sent
+ */
+function isEventEnabled(preferences, event) {
+  if (event === 'test') {
+    return true;
+  }
+  return NOTIFICATION_EVENTS.includes(event) && resolvePreferences(preferences)[event];
+}
+
+/**
+ * Notification shown by the service worker for an event
+ * @param {string} event - One of NOTIFICATION_EVENTS, or 'test'
+ * @param {Object} data - Event details
+ * @returns {{ title: string, body: string, url: string, tag: string }}
+ * The tag makes a newer notification for the same job / token / comment replace the older one
+ */
+function buildNotification(event, data = {}) {
+  switch (event) {
+    case 'publishCompleted':
+      return {
+        title: 'Post published',
+        body: truncate(data.platforms?.length
+          ? `Your post is live on ${data.platforms.map(platformName).join(', ')}.`
+          : 'Your publishing job finished.'),
+        url: '/schedule',
+        tag: `publish-${data.jobId}`
+      };
+
+    case 'publishFailed':
+      return {
+        title: data.status === 'partial' ? 'Post published with errors' : 'Publishing failed',
+        body: truncate(data.failedPlatforms?.length
+          ? `Failed on ${data.failedPlatforms.map(platformName).join(', ')}${data.error ? `: ${data.error}` : '.'}`
+          : data.error || 'Your publishing job failed.'),
+        url: '/schedule',
+        tag: `publish-${data.jobId}`
+      };
+
+    case 'tokenExpiring': {
+      const expiresAt = data.expiresAt ? new Date(data.expiresAt) : null;
+      const when = expiresAt && !isNaN(expiresAt) ? `on ${expiresAt.toISOString().slice(0, 10)}` : 'soon';
+      return {
+        title: `${platformName(data.platform)} connection expires soon`,
+        body: `Your ${platformName(data.platform)} access expires ${when} and could not be renewed. Reconnect the account to keep automation and publishing running.`,
+        url: '/configuration',
+        tag: `token-${data.platform}`
+      };
+    }
+
+    case 'automationStopped':
+      return {
+        title: `${platformName(data.platform)} automation stopped`,
+        body: 'Comment automation stopped after an authentication error. Reconnect the account and start it again.',
+        url: '/automation',
+        tag: `automation-${data.platform}`
+      };
+
+    case 'commentFlagged':
+      return {
+        title: `Comment flagged as ${data.label || 'inappropriate'}`,
+        body: truncate(`@${data.username || 'unknown'}: ${data.text || ''}`),
+        url: '/moderation',
+        tag: `comment-${data.commentId}`
+      };
+
+    case 'test':
+      return {
+        title: 'Notifications are on',
+        body: 'This device will be notified about publishing and automation events.',
+        url: '/configuration',
+        tag: 'test'
+      };
+
+    default:
+      throw new Error(`Unknown notification event: ${event}`);
+  }
+}
+
+module.exports = {
+  NOTIFICATION_EVENTS,
+  platformName,
+  resolvePreferences,
+  mergePreferences,
+  isEventEnabled,
+  buildNotification
+};
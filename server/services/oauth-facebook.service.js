@@ -0,0 +1,150 @@
+const axios = require('axios');
+const crypto = require('crypto');
+
+/**
+ * Facebook OAuth Service
+ * Handles Facebook Login for publishing to Facebook Pages
+ *
+ * FLOW:
+ * 1. User clicks "Login with Facebook" → Frontend calls GET /api/oauth/facebook/auth-url
+ * 2. User approves the Page permissions on facebook.com
+ * 3. Facebook redirects to /api/oauth/facebook/callback?code=ABC123
+ * 4. Backend exchanges the code for a user token, then for a long-lived user token (≈60 days)
+ * 5. Backend lists the Pages the user manages; the user picks the Page to publish to
+ * 6. The Page access token is stored (Page tokens from a long-lived user token do not expire)
+ */
+class FacebookOAuthService {
+  constructor() {
+    this.apiVersion = 'v24.0';
+    this.authUrl = `https://www.facebook.com/${this.apiVersion}/dialog/oauth`;
+    this.graphApiUrl = `https://graph.facebook.com/${this.apiVersion}`;
+    this.tokenUrl = `${this.graphApiUrl}/oauth/access_token`;
+
+    this.requiredScopes = [
+      'pages_show_list',        // List the Pages the user manages
+      'pages_read_engagement',  // Read Page posts and their permalinks
+      'pages_manage_posts'      // Publish photos, videos and Reels to the Page
+    ];
+  }
+
+  /**
+   * Generate OAuth authorization URL
+   */
+  generateAuthUrl(clientId, redirectUri, state = null) {
+    const stateParam = state || crypto.randomBytes(16).toString('hex');
+
+    const params = new URLSearchParams({
+      client_id: clientId,
+      redirect_uri: redirectUri,
+      scope: this.requiredScopes.join(','),
+      response_type: 'code',
+      state: stateParam
+    });
+
+    return {
+      url: `${this.authUrl}?${params.toString()}`,
+      state: stateParam
+    };
+  }
+
+  /**
+   * Exchange authorization code for a short-lived user access token
+   */
+  async exchangeCodeForToken(clientId, clientSecret, code, redirectUri) {
+    try {
+      const response = await axios.get(this.tokenUrl, {
+        params: {
+          client_id: clientId,
+          client_secret: clientSecret,
+          redirect_uri: redirectUri,
+          code
+        }
+      });
+
+      console.log('[FacebookOAuth] Token exchange successful');
+
+      return {
+        success: true,
+        accessToken: response.data.access_token?.replace(/\s+/g, '').trim()
+      };
+    } catch (error) {
+      console.error('[FacebookOAuth] Token exchange error:', error.response?.data || error.message);
+      return {
+        success: false,
+        error: error.response?.data?.error?.message || error.message
+      };
+    }
+  }
+
+  /**
+   * Exchange a short-lived user token for a long-lived one (60 days)
+   */
+  async getLongLivedToken(clientId, clientSecret, shortLivedToken) {
+    try {
+      const response = await axios.get(this.tokenUrl, {
+        params: {
+          grant_type: 'fb_exchange_token',
+          client_id: clientId,
+          client_secret: clientSecret,
+          fb_exchange_token: shortLivedToken
+        }
+      });
+
+      console.log('[FacebookOAuth] Long-lived token exchange successful');
+
+      return {
+        success: true,
+        accessToken: response.data.access_token?.replace(/\s+/g, '').trim(),
+        expiresIn: response.data.expires_in || 5184000
+      };
+    } catch (error) {
+      console.error('[FacebookOAuth] Long-lived token error:', error.response?.data || error.message);
+      return {
+        success: false,
+        error: error.response?.data?.error?.message || error.message
+      };
+    }
+  }
+
+  /**
+   * Facebook user the token belongs to
+   * @returns {Promise<{id: string, name: string}>}
+   */
+  async getUserProfile(accessToken) {
+    const response = await axios.get(`${this.graphApiUrl}/me`, {
+      params: { fields: 'id,name', access_token: accessToken }
+    });
+    return response.data;
+  }
+
+  /**
+   * Pages the user manages, with a Page access token each
+   * Pages the user cannot publish to (no CREATE_CONTENT task) are left out
+   * @returns {Promise<Array<{id: string, name: string, category: string, accessToken: string, pictureUrl: string|null}>>}
+   */
+  async getPages(accessToken) {
+    try {
+      const response = await axios.get(`${this.graphApiUrl}/me/accounts`, {
+        params: {
+          fields: 'id,name,category,access_token,tasks,picture{url}',
+          limit: 100,
+          access_token: accessToken
+        }
+      });
+
+      return (response.data.data || [])
+        .filter(page => !page.tasks || page.tasks.includes('CREATE_CONTENT'))
+        .map(page => ({
+          id: page.id,
+          name: page.name,
+          category: page.category,
+          accessToken: page.access_token,
+          pictureUrl: page.picture?.data?.url || null
+        }));
+    } catch (error) {
+      throw new Error(`Failed to list Facebook Pages: ${error.response?.data?.error?.message || error.message}`);
+    }
+  }
+}
+
+module.exports = FacebookOAuthService;
@@ -960,18 +960,50 @@ class InstagramOAuthService {
   }
 
   /**
-   * Get Instagram Insights (analytics)
-   * Uses consistent v24.0 API endpoint
+   * Get account insights (graph.instagram.com, Instagram Login tokens)
+   * @param {string[]} metrics - e.g. reach, views, profile_views
+   * @param {Object} [options]
+   * @param {string} [options.period] - Defaults to day
+   * @param {string} [options.metricType] - total_value or time_series
+   * @param {Date} [options.since]
+   * @param {Date} [options.until]
    */
-  async getInsights(accessToken, igAccountId, metrics = ['impressions', 'reach', 'profile_views']) {
+  async getInsights(accessToken, igAccountId, metrics = ['reach', 'views', 'profile_views'], options = {}) {
     try {
       // Sanitize token
       const cleanToken = accessToken?.replace(/\s+/g, '').trim();
 
-      const response = await axios.get(`${this.graphApiUrl}/${igAccountId}/insights`, {
+      const params = {
+        metric: metrics.join(','),
+        period: options.period || 'day',
+        access_token: cleanToken
+      };
+      if (options.metricType) params.metric_type = options.metricType;
+      if (options.since) params.since = Math.floor(new Date(options.since).getTime() / 1000);
+      if (options.until) params.until = Math.floor(new Date(options.until).getTime() / 1000);
+
+      const response = await axios.get(`${this.graphInstagramApiUrl}/${igAccountId}/insights`, { params });
+
+      return {
+        success: true,
+        insights: response.data.data
+      };
+    } catch (error) {
+      return this.insightsError('Get insights', error);
+    }
+  }
+
+  /**
+   * Get lifetime insights of one media object
+   * @param {string[]} metrics - e.g. reach, likes, comments, saved, shares, views
+   */
+  async getMediaInsights(accessToken, mediaId, metrics) {
+    try {
+      const cleanToken = accessToken?.replace(/\s+/g, '').trim();
+
+      const response = await axios.get(`${this.graphInstagramApiUrl}/${mediaId}/insights`, {
         params: {
           metric: metrics.join(','),
-          period: 'day',
           access_token: cleanToken
         }
       });
@@ -981,23 +1013,96 @@ class InstagramOAuthService {
         insights: response.data.data
       };
     } catch (error) {
-      console.error('[InstagramOAuth] Get insights error:', error.response?.data || error.message);
+      return this.insightsError('Get media insights', error);
+    }
+  }
 
-      // Handle error code 190 specifically
-      if (error.response?.data?.error?.code === 190) {
-        return {
-          success: false,
-          error: 'Your connection appears broken. Please reconnect your Instagram Business account.',
-          errorCode: 190
-        };
+  /**
+   * Get follower, following and media counts of the account
+   */
+  async getAccountProfile(accessToken, igAccountId) {
+    try {
+      const cleanToken = accessToken?.replace(/\s+/g, '').trim();
+
+      const response = await axios.get(`${this.graphInstagramApiUrl}/${igAccountId}`, {
+        params: {
+          fields: 'followers_count,follows_count,media_count',
+          access_token: cleanToken
+        }
+      });
+
+      return {
+        success: true,
+        profile: response.data
+      };
+    } catch (error) {
+      return this.insightsError('Get account profile', error);
+    }
+  }
+
+  /**
+   * Get the account's media published since a date, newest first
+   * @param {Object} [options]
+   * @param {Date} [options.since]
+   * @param {number} [options.limit] - Maximum number of media
+   */
+  async getRecentMedia(accessToken, igAccountId, { since, limit = 100 } = {}) {
+    try {
+      const cleanToken = accessToken?.replace(/\s+/g, '').trim();
+      const media = [];
+
+      let url = `${this.graphInstagramApiUrl}/${igAccountId}/media`;
+      let params = {
+        fields: 'id,caption,media_type,media_product_type,permalink,timestamp,like_count,comments_count',
+        limit: Math.min(limit, 50),
+        access_token: cleanToken
+      };
+
+      while (url && media.length < limit) {
+        const response = await axios.get(url, { params });
+        const page = response.data.data || [];
+
+        for (const item of page) {
+          if (since && new Date(item.timestamp) < since) {
+            return { success: true, media };
+          }
+          media.push(item);
+        }
+
+        // The next link already carries every parameter
+        url = response.data.paging?.next;
+        params = undefined;
       }
 
+      return {
+        success: true,
+        media: media.slice(0, limit)
+      };
+    } catch (error) {
+      return this.insightsError('Get recent media', error);
+    }
+  }
+
+  /**
+   * @private
+   */
+  insightsError(action, error) {
+    console.error(`[InstagramOAuth] ${action} error:`, error.response?.data || error.message);
+
+    // Handle error code 190 specifically
+    if (error.response?.data?.error?.code === 190) {
       return {
         success: false,
-        error: error.response?.data?.error?.message || error.message,
-        errorCode: error.response?.data?.error?.code
+        error: 'Your connection appears broken. Please reconnect your Instagram Business account.',
+        errorCode: 190
       };
     }
+
+    return {
+      success: false,
+      error: error.response?.data?.error?.message || error.message,
+      errorCode: error.response?.data?.error?.code
+    };
   }
 }
 
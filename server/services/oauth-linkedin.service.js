@@ -0,0 +1,102 @@
+const axios = require('axios');
+const crypto = require('crypto');
+
+/**
+ * LinkedIn OAuth Service
+ * Handles the 3-legged OAuth flow for posting to a member's feed
+ *
+ * FLOW:
+ * 1. User clicks "Login with LinkedIn" → Frontend calls GET /api/oauth/linkedin/auth-url
+ * 2. User approves "Sign In with LinkedIn using OpenID Connect" and "Share on LinkedIn"
+ * 3. LinkedIn redirects to /api/oauth/linkedin/callback?code=ABC123
+ * 4. Backend exchanges the code for an access token (60 days; refresh tokens are only
+ *    issued to approved partner apps, so members reconnect when it expires)
+ * 5. Backend reads the member ID from /v2/userinfo; posts are authored as urn:li:person:{id}
+ */
+class LinkedInOAuthService {
+  constructor() {
+    this.authUrl = 'https://www.linkedin.com/oauth/v2/authorization';
+    this.tokenUrl = 'https://www.linkedin.com/oauth/v2/accessToken';
+    this.apiUrl = 'https://api.linkedin.com/v2';
+
+    this.requiredScopes = [
+      'openid',         // Member ID
+      'profile',        // Name and picture
+      'w_member_social' // Post, comment and like on the member's behalf
+    ];
+  }
+
+  /**
+   * Generate OAuth authorization URL
+   */
+  generateAuthUrl(clientId, redirectUri, state = null) {
+    const stateParam = state || crypto.randomBytes(16).toString('hex');
+
+    const params = new URLSearchParams({
+      response_type: 'code',
+      client_id: clientId,
+      redirect_uri: redirectUri,
+      scope: this.requiredScopes.join(' '),
+      state: stateParam
+    });
+
+    return {
+      url: `${this.authUrl}?${params.toString().replace(/\+/g, '%20')}`,
+      state: stateParam
+    };
+  }
+
+  /**
+   * Exchange authorization code for an access token
+   */
+  async exchangeCodeForToken(clientId, clientSecret, code, redirectUri) {
+    try {
+      const params = new URLSearchParams({
+        grant_type: 'authorization_code',
+        code,
+        redirect_uri: redirectUri,
+        client_id: clientId,
+        client_secret: clientSecret
+      });
+
+      const response = await axios.post(this.tokenUrl, params, {
+        headers: { 'Content-Type': 'application/x-www-form-urlencoded' }
+      });
+
+      console.log('[LinkedInOAuth] Token exchange successful');
+
+      return {
+        success: true,
+        accessToken: response.data.access_token,
+        expiresIn: response.data.expires_in || 5184000,
+        refreshToken: response.data.refresh_token || null,
+        refreshTokenExpiresIn: response.data.refresh_token_expires_in || null,
+        scope: response.data.scope || this.requiredScopes.join(',')
+      };
+    } catch (error) {
+      console.error('[LinkedInOAuth] Token exchange error:', error.response?.data || error.message);
+      return {
+        success: false,
+        error: error.response?.data?.error_description || error.response?.data?.error || error.message
+      };
+    }
+  }
+
+  /**
+   * Member the token belongs to
+   * @returns {Promise<{id: string, name: string, pictureUrl: string|null}>}
+   */
+  async getMember(accessToken) {
+    const response = await axios.get(`${this.apiUrl}/userinfo`, {
+      headers: { Authorization: `Bearer ${accessToken}` }
+    });
+
+    return {
+      id: response.data.sub,
+      name: response.data.name || [response.data.given_name, response.data.family_name].filter(Boolean).join(' '),
+      pictureUrl: response.data.picture || null
+    };
+  }
+}
+
+module.exports = LinkedInOAuthService;
@@ -0,0 +1,157 @@
+const axios = require('axios');
+const crypto = require('crypto');
+
+/**
+ * Threads OAuth Service
+ * Handles Threads Login for publishing to a Threads profile
+ *
+ * FLOW:
+ * 1. User clicks "Login with Threads" → Frontend calls GET /api/oauth/threads/auth-url
+ * 2. User approves on threads.net
+ * 3. Threads redirects to /api/oauth/threads/callback?code=ABC123
+ * 4. Backend exchanges the code for a short-lived token, then for a long-lived one (60 days)
+ * 5. Long-lived tokens older than 24 hours are refreshed by the token refresh service
+ */
+class ThreadsOAuthService {
+  constructor() {
+    this.apiVersion = 'v1.0';
+    this.authUrl = 'https://threads.net/oauth/authorize';
+    this.graphUrl = 'https://graph.threads.net';
+    this.apiUrl = `${this.graphUrl}/${this.apiVersion}`;
+
+    this.requiredScopes = [
+      'threads_basic',           // Profile
+      'threads_content_publish'  // Publish posts
+    ];
+  }
+
+  /**
+   * Generate OAuth authorization URL
+   */
+  generateAuthUrl(clientId, redirectUri, state = null) {
+    const stateParam = state || crypto.randomBytes(16).toString('hex');
+
+    const params = new URLSearchParams({
+      client_id: clientId,
+      redirect_uri: redirectUri,
+      scope: this.requiredScopes.join(','),
+      response_type: 'code',
+      state: stateParam
+    });
+
+    return {
+      url: `${this.authUrl}?${params.toString()}`,
+      state: stateParam
+    };
+  }
+
+  /**
+   * Exchange authorization code for a short-lived access token (1 hour)
+   */
+  async exchangeCodeForToken(clientId, clientSecret, code, redirectUri) {
+    try {
+      const params = new URLSearchParams({
+        client_id: clientId,
+        client_secret: clientSecret,
+        grant_type: 'authorization_code',
+        redirect_uri: redirectUri,
+        code
+      });
+
+      const response = await axios.post(`${this.graphUrl}/oauth/access_token`, params, {
+        headers: { 'Content-Type': 'application/x-www-form-urlencoded' }
+      });
+
+      console.log('[ThreadsOAuth] Token exchange successful');
+
+      return {
+        success: true,
+        accessToken: response.data.access_token?.replace(/\s+/g, '').trim(),
+        userId: String(response.data.user_id)
+      };
+    } catch (error) {
+      console.error('[ThreadsOAuth] Token exchange error:', error.response?.data || error.message);
+      return {
+        success: false,
+        error: error.response?.data?.error?.message || error.response?.data?.error_message || error.message
+      };
+    }
+  }
+
+  /**
+   * Exchange a short-lived token for a long-lived one (60 days)
+   */
+  async getLongLivedToken(clientSecret, shortLivedToken) {
+    try {
+      const response = await axios.get(`${this.graphUrl}/access_token`, {
+        params: {
+          grant_type: 'th_exchange_token',
+          client_secret: clientSecret,
+          access_token: shortLivedToken
+        }
+      });
+
+      console.log('[ThreadsOAuth] Long-lived token exchange successful');
+
+      return {
+        success: true,
+        accessToken: response.data.access_token?.replace(/\s+/g, '').trim(),
+        expiresIn: response.data.expires_in || 5184000
+      };
+    } catch (error) {
+      console.error('[ThreadsOAuth] Long-lived token error:', error.response?.data || error.message);
+      return {
+        success: false,
+        error: error.response?.data?.error?.message || error.message
+      };
+    }
+  }
+
+  /**
+   * Extend a long-lived token by another 60 days
+   * Only works for unexpired tokens that are at least 24 hours old
+   */
+  async refreshToken(longLivedToken) {
+    try {
+      const response = await axios.get(`${this.graphUrl}/refresh_access_token`, {
+        params: {
+          grant_type: 'th_refresh_token',
+          access_token: longLivedToken
+        }
+      });
+
+      return {
+        success: true,
+        accessToken: response.data.access_token?.replace(/\s+/g, '').trim(),
+        expiresIn: response.data.expires_in || 5184000
+      };
+    } catch (error) {
+      console.error('[ThreadsOAuth] Token refresh error:', error.response?.data || error.message);
+      return {
+        success: false,
+        error: error.response?.data?.error?.message || error.message
+      };
+    }
+  }
+
+  /**
+   * Threads profile the token belongs to
+   * @returns {Promise<{id: string, username: string, pictureUrl: string|null}>}
+   */
+  async getProfile(accessToken) {
+    const response = await axios.get(`${this.apiUrl}/me`, {
+      params: {
+        fields: 'id,username,threads_profile_picture_url',
+        access_token: accessToken
+      }
+    });
+
+    return {
+      id: response.data.id,
+      username: response.data.username,
+      pictureUrl: response.data.threads_profile_picture_url || null
+    };
+  }
+}
+
+module.exports = ThreadsOAuthService;
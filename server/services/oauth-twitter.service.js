@@ -0,0 +1,146 @@
+const axios = require('axios');
+const crypto = require('crypto');
+
+/**
+ * X (Twitter) OAuth Service
+ * Handles OAuth 2.0 Authorization Code flow with PKCE
+ *
+ * FLOW:
+ * 1. Frontend calls GET /api/oauth/twitter/auth-url
+ * 2. Backend creates a PKCE verifier, keeps it on the user and sends its S256 challenge to X
+ * 3. X redirects to /api/oauth/twitter/callback?code=ABC123&state=...
+ * 4. Backend exchanges the code together with the verifier for access and refresh tokens
+ * 5. Access tokens last 2 hours and are refreshed with the refresh token (offline.access)
+ */
+class TwitterOAuthService {
+  constructor() {
+    this.authUrl = 'https://x.com/i/oauth2/authorize';
+    this.tokenUrl = 'https://api.x.com/2/oauth2/token';
+    this.apiUrl = 'https://api.x.com/2';
+
+    this.requiredScopes = [
+      'tweet.read',     // Read posts, needed to look up published posts
+      'tweet.write',    // Publish posts and threads
+      'users.read',     // Read the connected account
+      'media.write',    // Upload images and videos
+      'offline.access'  // Refresh token
+    ];
+  }
+
+  /**
+   * New PKCE verifier and its S256 challenge
+   * @returns {{codeVerifier: string, codeChallenge: string}}
+   */
+  generatePkce() {
+    const codeVerifier = crypto.randomBytes(32).toString('base64url');
+    const codeChallenge = crypto.createHash('sha256').update(codeVerifier).digest('base64url');
+    return { codeVerifier, codeChallenge };
+  }
+
+  /**
+   * Generate OAuth authorization URL
+   */
+  generateAuthUrl(clientId, redirectUri, state, codeChallenge) {
+    const params = new URLSearchParams({
+      response_type: 'code',
+      client_id: clientId,
+      redirect_uri: redirectUri,
+      scope: this.requiredScopes.join(' '),
+      state,
+      code_challenge: codeChallenge,
+      code_challenge_method: 'S256'
+    });
+
+    // Scopes are space-separated; X expects %20 rather than the form-style +
+    return { url: `${this.authUrl}?${params.toString().replace(/\+/g, '%20')}`, state };
+  }
+
+  /**
+   * Confidential clients authenticate with Basic auth, public clients only send their ID
+   * @private
+   */
+  _tokenRequestConfig(clientId, clientSecret) {
+    return {
+      headers: {
+        'Content-Type': 'application/x-www-form-urlencoded',
+        ...(clientSecret && {
+          Authorization: `Basic ${Buffer.from(`${clientId}:${clientSecret}`).toString('base64')}`
+        })
+      }
+    };
+  }
+
+  /**
+   * Exchange authorization code and PKCE verifier for tokens
+   */
+  async exchangeCodeForToken(clientId, clientSecret, code, redirectUri, codeVerifier) {
+    try {
+      const params = new URLSearchParams({
+        grant_type: 'authorization_code',
+        code,
+        redirect_uri: redirectUri,
+        code_verifier: codeVerifier,
+        client_id: clientId
+      });
+
+      const response = await axios.post(this.tokenUrl, params, this._tokenRequestConfig(clientId, clientSecret));
+
+      console.log('[TwitterOAuth] Token exchange successful');
+
+      return {
+        success: true,
+        accessToken: response.data.access_token,
+        refreshToken: response.data.refresh_token,
+        expiresIn: response.data.expires_in || 7200,
+        scope: response.data.scope || ''
+      };
+    } catch (error) {
+      console.error('[TwitterOAuth] Token exchange error:', error.response?.data || error.message);
+      return {
+        success: false,
+        error: error.response?.data?.error_description || error.response?.data?.error || error.message
+      };
+    }
+  }
+
+  /**
+   * Get a new access token; X rotates the refresh token on every refresh
+   */
+  async refreshAccessToken(clientId, clientSecret, refreshToken) {
+    try {
+      const params = new URLSearchParams({
+        grant_type: 'refresh_token',
+        refresh_token: refreshToken,
+        client_id: clientId
+      });
+
+      const response = await axios.post(this.tokenUrl, params, this._tokenRequestConfig(clientId, clientSecret));
+
+      return {
+        success: true,
+        accessToken: response.data.access_token,
+        refreshToken: response.data.refresh_token || refreshToken,
+        expiresIn: response.data.expires_in || 7200
+      };
+    } catch (error) {
+      console.error('[TwitterOAuth] Token refresh error:', error.response?.data || error.message);
+      return {
+        success: false,
+        error: error.response?.data?.error_description || error.response?.data?.error || error.message
+      };
+    }
+  }
+
+  /**
+   * Account the token belongs to
+   * @returns {Promise<{id: string, name: string, username: string}>}
+   */
+  async getUser(accessToken) {
+    const response = await axios.get(`${this.apiUrl}/users/me`, {
+      headers: { Authorization: `Bearer ${accessToken}` }
+    });
+    return response.data.data;
+  }
+}
+
+module.exports = TwitterOAuthService;
@@ -17,6 +17,7 @@ class YouTubeOAuthService {
       'https://www.googleapis.com/auth/youtube.force-ssl',           // Manage channel
       'https://www.googleapis.com/auth/youtube.readonly',            // Read channel data
       'https://www.googleapis.com/auth/youtube',                     // Manage comments
+      'https://www.googleapis.com/auth/yt-analytics.readonly',       // Watch time of published videos
       'https://www.googleapis.com/auth/youtube.channel-memberships.creator' // Manage memberships
     ];
   }
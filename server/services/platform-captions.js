@@ -0,0 +1,115 @@
+/**
+ * Platform Captions
+ *
+ * Turns generated content into LinkedIn and Threads text.
+ * LinkedIn gets the long description with a couple of hashtags and needs its
+ * "little text" markup escaped; Threads allows 500 characters and a single topic tag.
+ */
+
+const LINKEDIN_MAX_LENGTH = 3000;
+const LINKEDIN_MAX_HASHTAGS = 3;
+const THREADS_MAX_LENGTH = 500;
+
+// Characters with a meaning in LinkedIn's little text format
+const LITTLE_TEXT_RESERVED = /[\\|{}@[\]()<>#*_~]/g;
+
+/**
+ * Length in characters as people count them (code points, not UTF-16 units)
+ * @param {string} text
+ * @returns {number}
+ */
+function textLength(text) {
+  return [...String(text || '')].length;
+}
+
+/**
+ * Shorten text to a maximum length, cutting at a word boundary and ending with an ellipsis
+ * @param {string} text
+ * @param {number} maxLength
+ * @returns {string}
+ */
+function truncateText(text, maxLength) {
+  const chars = [...String(text || '').trim()];
+  if (chars.length <= maxLength) {
+    return chars.join('');
+  }
+
+  // One character more than fits, so a word ending right at the limit is kept
+  const cut = chars.slice(0, maxLength).join('');
+  const lastSpace = cut.search(/\s\S*$/);
+  // Only back up to a word boundary when it does not throw away most of the text
+  const shortened = lastSpace > maxLength / 2 ? cut.slice(0, lastSpace) : chars.slice(0, maxLength - 1).join('');
+  return `${shortened.replace(/[\s.,;:!?-]+$/, '')}…`;
+}
+
+/**
+ * Hashtags as "#Tag", without duplicates (case-insensitive)
+ * @param {string[]} hashtags
+ * @returns {string[]}
+ */
+function cleanHashtags(hashtags = []) {
+  const seen = new Set();
+  return hashtags
+    .map(tag => String(tag || '').trim().replace(/^#+/, ''))
+    .filter(tag => /^[\p{L}\p{N}_]+$/u.test(tag))
+    .filter(tag => !seen.has(tag.toLowerCase()) && seen.add(tag.toLowerCase()))
+    .map(tag => `#${tag}`);
+}
+
+/**
+ * LinkedIn post text: the long description followed by a few hashtags
+ * @param {string} body - Long description
+ * @param {string[]} hashtags
+ * @returns {string} Plain text; escape it with toLinkedInCommentary() before posting
+ */
+function buildLinkedInText(body, hashtags = []) {
+  const tags = cleanHashtags(hashtags).slice(0, LINKEDIN_MAX_HASHTAGS).join(' ');
+  const text = String(body || '').trim();
+  const room = LINKEDIN_MAX_LENGTH - (tags ? textLength(tags) + 2 : 0);
+
+  return [truncateText(text, room), tags].filter(Boolean).join('\n\n');
+}
+
+/**
+ * Escape plain text for the Posts API commentary field
+ * Hashtags become hashtag templates so they stay clickable; everything else is literal
+ * @param {string} text
+ * @returns {string}
+ */
+function toLinkedInCommentary(text) {
+  return String(text || '')
+    .split(/(#[\p{L}\p{N}_]+)/u)
+    .map((part, index) => (index % 2 === 1
+      ? `{hashtag|\\#|${part.slice(1)}}`
+      : part.replace(LITTLE_TEXT_RESERVED, char => `\\${char}`)))
+    .join('');
+}
+
+/**
+ * Threads post text: the short caption with one topic tag, within 500 characters
+ * @param {string} caption - Short caption
+ * @param {string[]} hashtags - The first usable one becomes the topic tag
+ * @returns {{text: string, topicTag: string|null}}
+ */
+function buildThreadsText(caption, hashtags = []) {
+  const [tag] = cleanHashtags(hashtags);
+  const text = String(caption || '').trim();
+  const room = THREADS_MAX_LENGTH - (tag ? textLength(tag) + 2 : 0);
+
+  return {
+    text: [truncateText(text, room), tag].filter(Boolean).join('\n\n'),
+    topicTag: tag ? tag.slice(1) : null
+  };
+}
+
+module.exports = {
+  LINKEDIN_MAX_LENGTH,
+  LINKEDIN_MAX_HASHTAGS,
+  THREADS_MAX_LENGTH,
+  textLength,
+  truncateText,
+  cleanHashtags,
+  buildLinkedInText,
+  toLinkedInCommentary,
+  buildThreadsText
+};
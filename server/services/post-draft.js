@@ -0,0 +1,99 @@
+/**
+ * Post Draft
+ *
+ * Helpers for editing AI-generated Instagram posts. A post's `caption` is the
+ * full text that gets published: the caption body followed by a blank line
+ * and the hashtags. These helpers split it apart, normalize edited hashtags
+ * and check Instagram's caption limits.
+ */
+
+const MAX_CAPTION_LENGTH = 2200;
+const MAX_HASHTAGS = 30;
+
+// Networks an AI post can be published to; Instagram's caption limits apply to all of them
+const POST_PLATFORMS = ['instagram', 'facebook', 'twitter'];
+
+/**
+ * Normalize hashtags from a string or array into "#one #two"
+ * Adds missing #, drops duplicates (case-insensitive) and invalid characters
+ * @param {string|string[]} input
+ * @returns {string}
+ */
+function normalizeHashtags(input) {
+  const parts = Array.isArray(input) ? input : String(input || '').split(/[\s,]+/);
+  const seen = new Set();
+  const tags = [];
+
+  for (const part of parts) {
+    const tag = String(part).replace(/^#+/, '').replace(/[^\p{L}\p{N}_]/gu, '');
+    if (!tag || seen.has(tag.toLowerCase())) continue;
+
+    seen.add(tag.toLowerCase());
+    tags.push(`#${tag}`);
+  }
+
+  return tags.join(' ');
+}
+
+/**
+ * Split a full caption into body text and trailing hashtag block
+ * @param {string} fullCaption
+ * @returns {{ text: string, hashtags: string }}
+ */
+function splitCaption(fullCaption) {
+  const caption = String(fullCaption || '').trim();
+  const index = caption.lastIndexOf('\n\n');
+  const tail = index === -1 ? caption : caption.slice(index + 2);
+
+  // The trailing block only counts as hashtags if every word is one
+  if (tail && tail.split(/\s+/).every(word => /^#[\p{L}\p{N}_]+$/u.test(word))) {
+    return {
+      text: index === -1 ? '' : caption.slice(0, index).trim(),
+      hashtags: normalizeHashtags(tail)
+    };
+  }
+
+  return { text: caption, hashtags: '' };
+}
+
+/**
+ * Build the full caption from body text and hashtags
+ * @returns {string}
+ */
+function composeCaption(text, hashtags) {
+  const body = String(text || '').trim();
+  const tags = normalizeHashtags(hashtags);
+  return [body, tags].filter(Boolean).join('\n\n');
+}
+
+/**
+ * Check a caption against Instagram's limits
+ * @param {string} fullCaption
+ * @returns {string|null} Error message, or null when valid
+ */
+function validateCaption(fullCaption) {
+  if (!fullCaption || !fullCaption.trim()) {
+    return 'Caption cannot be empty';
+  }
+  if (fullCaption.length > MAX_CAPTION_LENGTH) {
+    return `Caption must be at most ${MAX_CAPTION_LENGTH} characters (currently ${fullCaption.length})`;
+  }
+
+  const hashtagCount = (fullCaption.match(/#[\p{L}\p{N}_]+/gu) || []).length;
+  if (hashtagCount > MAX_HASHTAGS) {
+    return `Instagram allows at most ${MAX_HASHTAGS} hashtags (currently ${hashtagCount})`;
+  }
+
+  return null;
+}
+
+// Export functions
+module.exports = {
+  MAX_CAPTION_LENGTH,
+  MAX_HASHTAGS,
+  POST_PLATFORMS,
+  normalizeHashtags,
+  splitCaption,
+  composeCaption,
+  validateCaption
+};
@@ -0,0 +1,382 @@
+const Post = require('../models/post.model');
+const User = require('../models/User');
+const UserContext = require('../models/user-context.model');
+const ActivityLog = require('../models/ActivityLog');
+const AIPostGeneratorService = require('./ai-post-generator.service');
+const ImageGeneratorService = require('./image-generator.service');
+const InstagramPublisherService = require('./instagram-publisher.service');
+const MediaStorageService = require('./media-storage.service');
+const { getPublishingCredentials } = require('./publish-credentials');
+const { parseQuota } = require('./publish-quota');
+const { uploadStoryImage, publishPostStory } = require('./story-variant');
+const { getPostNetwork, publishPostToNetwork } = require('./post-networks');
+const { POST_PLATFORMS, splitCaption, composeCaption, validateCaption } = require('./post-draft');
+
+// Posts that have not been published yet and can still be edited
+const EDITABLE_STATUSES = ['draft', 'failed', 'scheduled'];
+const REGENERATE_PARTS = ['caption', 'hashtags', 'image'];
+
+function createError(message, statusCode) {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+}
+
+/**
+ * PostDraftService - Review, edit, regenerate and publish AI-generated drafts
+ */
+class PostDraftService {
+  /**
+   * List unpublished posts, newest first
+   * @param {string} [status] - draft, failed or scheduled; all editable posts when omitted
+   */
+  async listDrafts(userId, status = null) {
+    const statuses = status ? [status] : EDITABLE_STATUSES;
+    if (statuses.some(value => !EDITABLE_STATUSES.includes(value))) {
+      throw createError(`Status must be one of: ${EDITABLE_STATUSES.join(', ')}`, 400);
+    }
+
+    const posts = await Post.find({ userId, status: { $in: statuses } })
+      .sort({ updatedAt: -1 })
+      .limit(50);
+
+    return posts.map(post => this.formatPost(post, { includeVersions: false }));
+  }
+
+  async getPost(userId, postId) {
+    return this.formatPost(await this.findPost(userId, postId));
+  }
+
+  /**
+   * Edit caption text, hashtags, image prompt or carousel slide captions
+   * @param {string[]} [changes.slideCaptions] - Caption per slide, in slide order
+   * @param {boolean} [changes.shareToStory] - Also share the post to Stories when published
+   * @param {string} [changes.platform] - Network to publish to, see POST_PLATFORMS
+   */
+  async updatePost(userId, postId, { text, hashtags, imagePrompt, slideCaptions, shareToStory, platform }) {
+    const post = await this.findEditablePost(userId, postId);
+
+    if (platform !== undefined && platform !== post.platform) {
+      if (!POST_PLATFORMS.includes(platform)) {
+        throw createError(`Platform must be one of: ${POST_PLATFORMS.join(', ')}`, 400);
+      }
+      // The schedule was checked against the old platform's publishing limit
+      if (post.status === 'scheduled') {
+        throw createError('Unschedule the post before changing its platform', 409);
+      }
+      post.platform = platform;
+    }
+    const current = splitCaption(post.caption);
+
+    const caption = composeCaption(
+      text !== undefined ? text : current.text,
+      hashtags !== undefined ? hashtags : current.hashtags
+    );
+    this.assertValidCaption(caption);
+
+    post.caption = caption;
+    if (typeof imagePrompt === 'string' && imagePrompt.trim()) {
+      post.imagePrompt = imagePrompt.trim();
+    }
+    if (Array.isArray(slideCaptions) && post.mediaType === 'carousel') {
+      post.slides.forEach((slide, index) => {
+        if (typeof slideCaptions[index] === 'string') {
+          slide.caption = slideCaptions[index].trim();
+        }
+      });
+    }
+    if (typeof shareToStory === 'boolean') {
+      post.story.enabled = shareToStory;
+    }
+    // Stories are only shared for Instagram posts
+    if (post.platform !== 'instagram') {
+      post.story.enabled = false;
+    }
+
+    post.addVersion('edit');
+    await post.save();
+
+    return this.formatPost(post);
+  }
+
+  /**
+   * Regenerate one part of a post with AI
+   * @param {'caption'|'hashtags'|'image'} part
+   * @param {Object} [options]
+   * @param {string} [options.imagePrompt] - Prompt to use instead of the saved one
+   * @param {number} [options.slideIndex=0] - Carousel slide whose image to regenerate
+   */
+  async regenerate(userId, postId, part, { imagePrompt, slideIndex = 0 } = {}) {
+    if (!REGENERATE_PARTS.includes(part)) {
+      throw createError(`Part must be one of: ${REGENERATE_PARTS.join(', ')}`, 400);
+    }
+
+    const post = await this.findEditablePost(userId, postId);
+    const geminiApiKey = await this.getGeminiApiKey(userId);
+    const current = splitCaption(post.caption);
+
+    if (part === 'caption') {
+      const generator = new AIPostGeneratorService();
+      await generator.initialize(geminiApiKey);
+
+      const context = await this.getGenerationContext(userId, post);
+      const text = post.mediaType === 'carousel'
+        ? await generator.regenerateCarouselCaption(context, post.slides)
+        : await generator.regenerateCaption(context);
+      post.caption = composeCaption(text, current.hashtags);
+    } else if (part === 'hashtags') {
+      const generator = new AIPostGeneratorService();
+      await generator.initialize(geminiApiKey);
+
+      const hashtags = await generator.regenerateHashtags(current.text);
+      post.caption = composeCaption(current.text, hashtags);
+    } else {
+      const slide = post.mediaType === 'carousel' ? post.slides[slideIndex] : null;
+      if (post.mediaType === 'carousel' && !slide) {
+        throw createError(`Slide ${slideIndex} does not exist`, 400);
+      }
+
+      const prompt = (imagePrompt || (slide ? slide.imagePrompt : post.imagePrompt) || '').trim();
+      if (!prompt) {
+        throw createError('An image prompt is required to regenerate the image', 400);
+      }
+
+      const imageGenerator = new ImageGeneratorService();
+      imageGenerator.initialize(geminiApiKey);
+      const imageBuffer = await imageGenerator.generateImage(prompt);
+
+      const publisher = new InstagramPublisherService().useMediaStorage(await MediaStorageService.forUser(userId));
+      const imageUrl = await publisher.uploadImageToPublicServer(imageBuffer, `post-${Date.now()}.jpg`);
+
+      if (slide) {
+        slide.imageUrl = imageUrl;
+        slide.imagePrompt = prompt;
+      }
+      // The first slide doubles as the carousel cover
+      if (!slide || slideIndex === 0) {
+        post.imageUrl = imageUrl;
+        post.imagePrompt = prompt;
+
+        if (post.story.enabled) {
+          post.story.imageUrl = await uploadStoryImage(publisher, imageBuffer) || undefined;
+        }
+      }
+    }
+
+    this.assertValidCaption(post.caption);
+    post.addVersion(`regenerate_${part}`);
+    await post.save();
+
+    return this.formatPost(post);
+  }
+
+  /**
+   * Make an earlier version the current one
+   */
+  async restoreVersion(userId, postId, versionId) {
+    const post = await this.findEditablePost(userId, postId);
+    const version = post.versions.id(versionId);
+
+    if (!version) {
+      throw createError('Version not found', 404);
+    }
+
+    post.caption = version.caption;
+    post.imageUrl = version.imageUrl;
+    post.imagePrompt = version.imagePrompt;
+    if (post.mediaType === 'carousel' && version.slides?.length) {
+      post.slides = version.slides.map(slide => slide.toObject());
+    }
+    post.addVersion('restore');
+    await post.save();
+
+    return this.formatPost(post);
+  }
+
+  /**
+   * Publish a draft or failed post to its platform now
+   */
+  async publish(userId, postId) {
+    const post = await Post.findOneAndUpdate(
+      { _id: postId, userId, status: { $in: ['draft', 'failed'] } },
+      { $set: { status: 'publishing', publishStartedAt: new Date() } },
+      { new: true }
+    );
+
+    if (!post) {
+      const exists = await Post.exists({ _id: postId, userId });
+      throw exists
+        ? createError('Only draft or failed posts can be published', 409)
+        : createError('Post not found', 404);
+    }
+
+    try {
+      const imageUrls = post.getImageUrls();
+      if (!imageUrls.length || imageUrls.some(url => !url)) {
+        throw createError('Post is missing an image. Regenerate the image before publishing.', 400);
+      }
+
+      let mediaId;
+      if (post.platform === 'instagram') {
+        mediaId = await this.publishToInstagram(userId, post, imageUrls);
+        post.instagramMediaId = mediaId;
+      } else {
+        mediaId = await publishPostToNetwork(post);
+      }
+
+      post.status = 'published';
+      post.publishedAt = new Date();
+      post.error = undefined;
+      await post.save();
+
+      const platformName = getPostNetwork(post.platform)?.name || 'Instagram';
+      console.log(`[PostDraftService] Published draft ${post._id} to ${platformName}`);
+      await ActivityLog.log(userId, 'info', 'draft_published', `Draft post published to ${platformName}`, {
+        postId: post._id.toString(),
+        platform: post.platform,
+        mediaId
+      });
+
+      return this.formatPost(post);
+    } catch (error) {
+      console.error(`[PostDraftService] Publishing draft ${post._id} failed:`, error.message);
+
+      // Validation problems leave the post as a draft; API failures mark it failed
+      post.status = error.statusCode && error.statusCode < 500 ? 'draft' : 'failed';
+      post.error = `Publishing failed: ${error.message}`;
+      await post.save();
+
+      throw error.statusCode ? error : createError(post.error, 502);
+    }
+  }
+
+  /**
+   * Publish to Instagram within its 24h publishing limit, then share the Story variant
+   * @returns {Promise<string>} Instagram media ID
+   * @private
+   */
+  async publishToInstagram(userId, post, imageUrls) {
+    const credentials = await getPublishingCredentials(userId, { instagram: post.accountId });
+    const publisher = new InstagramPublisherService();
+    publisher.initialize(credentials.instagramToken, credentials.instagramAccountId);
+    publisher.useMediaStorage(await MediaStorageService.forUser(userId));
+
+    const quota = parseQuota(await publisher.checkPublishingLimit().catch(() => null));
+    if (quota && quota.used >= quota.total) {
+      throw createError('Instagram publishing limit reached for the last 24 hours. Schedule the post instead.', 429);
+    }
+
+    const mediaId = post.mediaType === 'carousel'
+      ? await publisher.publishCarousel(imageUrls, post.caption)
+      : await publisher.publishImageFromUrl(post.imageUrl, post.caption);
+    await publishPostStory(publisher, post);
+
+    // Saved with the post by the caller
+    post.accountId = credentials.instagramAccountId;
+    return mediaId;
+  }
+
+  /**
+   * @private
+   */
+  async findPost(userId, postId) {
+    const post = await Post.findOne({ _id: postId, userId });
+    if (!post) {
+      throw createError('Post not found', 404);
+    }
+    return post;
+  }
+
+  /**
+   * @private
+   */
+  async findEditablePost(userId, postId) {
+    const post = await this.findPost(userId, postId);
+    if (!EDITABLE_STATUSES.includes(post.status)) {
+      throw createError(`Cannot edit a post that is ${post.status}`, 409);
+    }
+    return post;
+  }
+
+  /**
+   * @private
+   */
+  assertValidCaption(caption) {
+    const error = validateCaption(caption);
+    if (error) {
+      throw createError(error, 400);
+    }
+  }
+
+  /**
+   * @private
+   */
+  async getGeminiApiKey(userId) {
+    const user = await User.findById(userId).select('geminiApiKey');
+    const apiKey = user?.geminiApiKey || process.env.GEMINI_API_KEY;
+    if (!apiKey) {
+      throw createError('Gemini API key not configured. Please configure it in the Configuration tab.', 400);
+    }
+    return apiKey;
+  }
+
+  /**
+   * Context the post was generated with, falling back to the saved account context
+   * @private
+   */
+  async getGenerationContext(userId, post) {
+    const userContext = await UserContext.findOne({ userId });
+    const metadata = post.metadata || {};
+
+    return {
+      accountType: metadata.accountType || userContext?.accountType || 'business',
+      targetAudience: metadata.targetAudience || userContext?.targetAudience || 'general audience',
+      brandVoice: metadata.brandVoice || userContext?.brandVoice || 'professional and friendly',
+      topics: metadata.topics || userContext?.preferredTopics || [],
+      additionalContext: userContext?.additionalNotes || ''
+    };
+  }
+
+  /**
+   * @private
+   */
+  formatPost(post, { includeVersions = true } = {}) {
+    const { text, hashtags } = splitCaption(post.caption);
+
+    return {
+      id: post._id,
+      platform: post.platform,
+      mediaType: post.mediaType,
+      caption: post.caption,
+      text,
+      hashtags,
+      imageUrl: post.imageUrl,
+      imagePrompt: post.imagePrompt,
+      slides: post.slides.map(slide => slide.toObject()),
+      status: post.status,
+      scheduledAt: post.scheduledAt,
+      publishedAt: post.publishedAt,
+      instagramMediaId: post.instagramMediaId,
+      facebookPostId: post.facebookPostId,
+      story: post.story,
+      error: post.error,
+      metadata: post.metadata,
+      createdAt: post.createdAt,
+      updatedAt: post.updatedAt,
+      versionCount: post.versions.length,
+      versions: includeVersions
+        ? [...post.versions].reverse().map(version => ({
+          id: version._id,
+          source: version.source,
+          caption: version.caption,
+          imageUrl: version.imageUrl,
+          imagePrompt: version.imagePrompt,
+          slideCount: version.slides?.length || 0,
+          createdAt: version.createdAt
+        }))
+        : undefined
+    };
+  }
+}
+
+module.exports = PostDraftService;
@@ -0,0 +1,91 @@
+const FacebookPublisherService = require('./facebook-publisher.service');
+const TwitterPublisherService = require('./twitter-publisher.service');
+const MediaStorageService = require('./media-storage.service');
+const { getFacebookCredentials, getTwitterCredentials } = require('./publish-credentials');
+const { adaptCaption, splitIntoThread } = require('./tweet-thread');
+
+/**
+ * Post Networks
+ *
+ * Publishing AI-generated posts to networks other than Instagram, which keeps
+ * its own path for the publishing quota and Stories.
+ */
+
+/**
+ * Publish to the selected Page: a photo post, or one multi-photo post for carousels
+ * @returns {Promise<string>} Page post ID
+ */
+async function publishToFacebook(post) {
+  const credentials = await getFacebookCredentials(post.userId);
+  const publisher = new FacebookPublisherService()
+    .initialize(credentials.pageToken, credentials.pageId)
+    .useMediaStorage(await MediaStorageService.forUser(post.userId));
+
+  return post.mediaType === 'carousel'
+    ? await publisher.publishPhotos(post.getImageUrls(), post.caption)
+    : await publisher.publishPhoto(post.imageUrl, post.caption);
+}
+
+/**
+ * Publish to X as a thread when the caption is too long; carousel images go four per post
+ * @returns {Promise<string>} ID of the first post of the thread
+ */
+async function publishToTwitter(post) {
+  const credentials = await getTwitterCredentials(post.userId);
+  const publisher = new TwitterPublisherService()
+    .initialize(credentials.twitterToken)
+    .useMediaStorage(await MediaStorageService.forUser(post.userId));
+
+  const mediaIds = [];
+  for (const imageUrl of post.getImageUrls()) {
+    mediaIds.push(await publisher.uploadImageFromUrl(imageUrl));
+  }
+
+  const tweetIds = await publisher.publishThread(splitIntoThread(adaptCaption(post.caption)), mediaIds);
+  return tweetIds[0];
+}
+
+const NETWORKS = {
+  facebook: {
+    name: 'Facebook',
+    idField: 'facebookPostId',
+    isConnected: user => Boolean(user.facebookCredentials?.pageAccessToken),
+    publish: publishToFacebook
+  },
+  twitter: {
+    name: 'X',
+    idField: 'twitterPostId',
+    isConnected: user => Boolean(user.twitterCredentials?.accessToken),
+    publish: publishToTwitter
+  }
+};
+
+/**
+ * Network a post is published to, or null for Instagram
+ * @param {string} platform - Post.platform
+ * @returns {{name: string, idField: string, isConnected: Function, publish: Function}|null}
+ */
+function getPostNetwork(platform) {
+  return NETWORKS[platform] || null;
+}
+
+/**
+ * Publish a post to its network and store the returned ID on it (the caller saves the post)
+ * @param {Post} post - Post with hosted image URLs
+ * @returns {Promise<string>} Post ID on the network
+ */
+async function publishPostToNetwork(post) {
+  const network = getPostNetwork(post.platform);
+  if (!network) {
+    throw new Error(`No post publisher for platform: ${post.platform}`);
+  }
+
+  const postId = await network.publish(post);
+  post[network.idField] = postId;
+  return postId;
+}
+
+module.exports = {
+  getPostNetwork,
+  publishPostToNetwork
+};
@@ -0,0 +1,129 @@
+const dns = require('dns');
+const http = require('http');
+const https = require('https');
+const net = require('net');
+
+/**
+ * Public Host
+ *
+ * Outgoing requests to URLs that users enter (webhooks, push endpoints) must not
+ * reach the server's own network. The host is resolved before sending, every
+ * address is checked, and the request connects to the checked address so a
+ * second DNS answer cannot point it somewhere else.
+ */
+
+function createError(message, statusCode) {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+}
+
+/**
+ * Whether an IP literal points into a loopback, private or link-local network
+ * @param {string} address
+ * @returns {boolean}
+ */
+function isPrivateAddress(address) {
+  if (net.isIPv4(address)) {
+    const [a, b] = address.split('.').map(Number);
+    return a === 0 || a === 10 || a === 127 ||
+      (a === 169 && b === 254) ||
+      (a === 172 && b >= 16 && b <= 31) ||
+      (a === 192 && b === 168) ||
+      (a === 100 && b >= 64 && b <= 127);
+  }
+
+  const ip = address.toLowerCase();
+  if (ip.startsWith('::ffff:')) {
+    return net.isIPv4(ip.slice(7)) ? isPrivateAddress(ip.slice(7)) : true;
+  }
+  return ip === '::' || ip === '::1' || /^f[cd]/.test(ip) || /^fe[89ab]/.test(ip);
+}
+
+/**
+ * Whether a URL hostname is local without resolving it
+ * @param {string} hostname - URL.hostname, IPv6 brackets allowed
+ */
+function isLocalHostname(hostname) {
+  const host = String(hostname || '').replace(/^\[|\]$/g, '').toLowerCase();
+  return host === 'localhost' || host.endsWith('.localhost') || (net.isIP(host) !== 0 && isPrivateAddress(host));
+}
+
+/**
+ * Resolve a hostname and make sure every address is public
+ * @param {string} hostname
+ * @param {Object} [options]
+ * @param {Function} [options.lookup] - dns.promises.lookup compatible, for tests
+ * @returns {Promise<{address: string, family: number}>} Address to connect to
+ * @throws {Error} With statusCode 400 when the host is private or does not resolve
+ */
+async function resolvePublicAddress(hostname, { lookup = dns.promises.lookup } = {}) {
+  const host = String(hostname || '').replace(/^\[|\]$/g, '');
+  if (isLocalHostname(host)) {
+    throw createError(`${host} is not a public host`, 400);
+  }
+
+  let addresses;
+  try {
+    addresses = net.isIP(host) ? [{ address: host, family: net.isIP(host) }] : await lookup(host, { all: true });
+  } catch (error) {
+    throw createError(`${host} could not be resolved: ${error.code || error.message}`, 400);
+  }
+
+  if (!addresses?.length) {
+    throw createError(`${host} could not be resolved`, 400);
+  }
+  if (addresses.some(({ address }) => isPrivateAddress(address))) {
+    throw createError(`${host} resolves to a private address`, 400);
+  }
+
+  return addresses[0];
+}
+
+/**
+ * Agents that connect to one already checked address, whatever the hostname resolves to now
+ * TLS still verifies the certificate against the URL's hostname
+ * @param {{address: string, family: number}} pinned
+ * @returns {{httpAgent: http.Agent, httpsAgent: https.Agent}} For axios request options
+ */
+function createPinnedAgents({ address, family }) {
+  const lookup = (hostname, options, callback) => {
+    if (options?.all) {
+      callback(null, [{ address, family }]);
+    } else {
+      callback(null, address, family);
+    }
+  };
+
+  return {
+    httpAgent: new http.Agent({ lookup }),
+    httpsAgent: new https.Agent({ lookup })
+  };
+}
+
+/**
+ * axios options that send a request only to a public address of the URL's host
+ * @param {string} url
+ * @param {Object} [options]
+ * @param {boolean} [options.allowPrivate] - Skip the check, for local development
+ * @param {Function} [options.lookup] - For tests
+ * @returns {Promise<Object>} httpAgent, httpsAgent and proxy, empty when private hosts are allowed
+ */
+async function publicRequestOptions(url, { allowPrivate = false, lookup } = {}) {
+  if (allowPrivate) {
+    return {};
+  }
+  return {
+    ...createPinnedAgents(await resolvePublicAddress(new URL(url).hostname, { lookup })),
+    // A proxy would resolve the hostname again
+    proxy: false
+  };
+}
+
+module.exports = {
+  isPrivateAddress,
+  isLocalHostname,
+  resolvePublicAddress,
+  createPinnedAgents,
+  publicRequestOptions
+};
@@ -0,0 +1,220 @@
+const User = require('../models/User');
+const YouTubeOAuthService = require('./oauth-youtube.service');
+const TwitterOAuthService = require('./oauth-twitter.service');
+const { EncryptionService } = require('./encryption.service');
+const connectedAccounts = require('./connected-accounts.service');
+
+const encryptionService = new EncryptionService();
+
+function createError(message, statusCode) {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+}
+
+/**
+ * Decrypt a token and strip whitespace / URL-encoded spaces
+ */
+function cleanToken(encrypted) {
+  const token = encrypted ? encryptionService.decrypt(encrypted) : null;
+  return token
+    ? token.replace(/[\s\n\r\t]+/g, '').replace(/%20/g, '').trim()
+    : null;
+}
+
+/**
+ * Decrypt the user's YouTube access token, refreshing it first when it is about to expire
+ * @param {Object} user - User document (saved when the token is refreshed)
+ * @param {Object} [account] - ConnectedAccount to use instead of the active channel (saved when refreshed)
+ * @returns {Promise<string|null>} null when YouTube is not connected
+ */
+async function resolveYouTubeToken(user, account = null) {
+  const credentials = account ? account.credentials : user.youtubeCredentials;
+  if (!credentials?.accessToken) {
+    return null;
+  }
+
+  const tokenExpiresAt = credentials.tokenExpiresAt && new Date(credentials.tokenExpiresAt);
+
+  // Refresh when expired or expiring in the next 5 minutes
+  if (tokenExpiresAt && tokenExpiresAt > new Date(Date.now() + 5 * 60 * 1000)) {
+    return encryptionService.decrypt(credentials.accessToken);
+  }
+
+  console.log('[PublishCredentials] YouTube token expired or expiring soon, refreshing...');
+
+  const youtubeOAuth = new YouTubeOAuthService();
+  const refreshResult = await youtubeOAuth.refreshAccessToken(
+    encryptionService.decrypt(credentials.clientId),
+    encryptionService.decrypt(credentials.clientSecret),
+    encryptionService.decrypt(credentials.refreshToken)
+  );
+
+  if (!refreshResult.success) {
+    console.error('[PublishCredentials] YouTube token refresh failed:', refreshResult.error);
+    throw createError(`YouTube token refresh failed: ${refreshResult.error}. Please reconnect your YouTube account.`, 400);
+  }
+
+  credentials.accessToken = encryptionService.encrypt(refreshResult.accessToken);
+  credentials.tokenExpiresAt = new Date(refreshResult.expiresIn);
+  credentials.lastUpdated = new Date();
+  if (account) {
+    account.markModified('credentials');
+    await account.save();
+  } else {
+    await user.save();
+  }
+
+  console.log('[PublishCredentials] YouTube token refreshed successfully');
+  return refreshResult.accessToken;
+}
+
+/**
+ * Resolve a user's publishing credentials, refreshing the YouTube token when it is about to expire
+ * @param {string} userId
+ * @param {Object} [accounts] - Connected account per platform, e.g. { instagram: '17841...' }; active ones otherwise
+ * @returns {Promise<{instagramToken: string, instagramAccountId: string, youtubeToken: string|null}>}
+ */
+async function getPublishingCredentials(userId, accounts = {}) {
+  const user = await User.findById(userId);
+  if (!user) {
+    throw createError('User not found', 404);
+  }
+
+  const instagramAccount = await connectedAccounts.getAccount(user, 'instagram', accounts.instagram);
+  const instagramCredentials = instagramAccount ? instagramAccount.credentials : user.instagramCredentials;
+
+  if (!instagramCredentials?.accessToken) {
+    throw createError('Instagram credentials not configured', 400);
+  }
+
+  return {
+    instagramToken: cleanToken(instagramCredentials.accessToken),
+    instagramAccountId: instagramCredentials.accountId,
+    youtubeToken: await resolveYouTubeToken(user, await connectedAccounts.getAccount(user, 'youtube', accounts.youtube))
+  };
+}
+
+/**
+ * Resolve only the YouTube token, for reading statistics
+ * @param {string} userId
+ * @returns {Promise<{youtubeToken: string, channelId: string}>}
+ */
+async function getYouTubeCredentials(userId) {
+  const user = await User.findById(userId);
+  if (!user) {
+    throw createError('User not found', 404);
+  }
+
+  const youtubeToken = await resolveYouTubeToken(user);
+  if (!youtubeToken) {
+    throw createError('YouTube account not connected', 400);
+  }
+
+  return {
+    youtubeToken,
+    channelId: user.youtubeCredentials.channelId
+  };
+}
+
+/**
+ * Resolve the selected Facebook Page and its access token
+ * @param {string} userId
+ * @returns {Promise<{pageToken: string, pageId: string, pageName: string}>}
+ */
+async function getFacebookCredentials(userId) {
+  const user = await User.findById(userId);
+  if (!user) {
+    throw createError('User not found', 404);
+  }
+
+  if (!user.facebookCredentials?.pageAccessToken) {
+    throw createError('Facebook Page not connected. Connect Facebook and select a Page in the Configuration tab.', 400);
+  }
+
+  return {
+    pageToken: cleanToken(user.facebookCredentials.pageAccessToken),
+    pageId: user.facebookCredentials.pageId,
+    pageName: user.facebookCredentials.pageName
+  };
+}
+
+/**
+ * Decrypt the user's X access token, refreshing it first when it is about to expire
+ * X access tokens only last 2 hours, so most publishes refresh
+ * @param {Object} user - User document (saved when the token is refreshed)
+ * @returns {Promise<string|null>} null when X is not connected
+ */
+async function resolveTwitterToken(user) {
+  if (!user.twitterCredentials?.accessToken) {
+    return null;
+  }
+
+  const tokenExpiresAt = user.twitterCredentials.tokenExpiresAt;
+
+  // Refresh when expired or expiring in the next 5 minutes
+  if (tokenExpiresAt && tokenExpiresAt > new Date(Date.now() + 5 * 60 * 1000)) {
+    return cleanToken(user.twitterCredentials.accessToken);
+  }
+
+  if (!user.twitterCredentials.refreshToken) {
+    throw createError('X access expired. Please reconnect your X account.', 400);
+  }
+
+  console.log('[PublishCredentials] X token expired or expiring soon, refreshing...');
+
+  const twitterOAuth = new TwitterOAuthService();
+  const refreshResult = await twitterOAuth.refreshAccessToken(
+    process.env.TWITTER_CLIENT_ID,
+    process.env.TWITTER_CLIENT_SECRET,
+    encryptionService.decrypt(user.twitterCredentials.refreshToken)
+  );
+
+  if (!refreshResult.success) {
+    console.error('[PublishCredentials] X token refresh failed:', refreshResult.error);
+    throw createError(`X token refresh failed: ${refreshResult.error}. Please reconnect your X account.`, 400);
+  }
+
+  // The old refresh token stops working once a new one is issued
+  user.twitterCredentials.accessToken = encryptionService.encrypt(refreshResult.accessToken);
+  user.twitterCredentials.refreshToken = encryptionService.encrypt(refreshResult.refreshToken);
+  user.twitterCredentials.tokenExpiresAt = new Date(Date.now() + refreshResult.expiresIn * 1000);
+  user.twitterCredentials.lastUpdated = new Date();
+  await user.save();
+
+  console.log('[PublishCredentials] X token refreshed successfully');
+  return refreshResult.accessToken;
+}
+
+/**
+ * Resolve the connected X account and a valid access token
+ * @param {string} userId
+ * @returns {Promise<{twitterToken: string, accountId: string, username: string}>}
+ */
+async function getTwitterCredentials(userId) {
+  const user = await User.findById(userId);
+  if (!user) {
+    throw createError('User not found', 404);
+  }
+
+  const twitterToken = await resolveTwitterToken(user);
+  if (!twitterToken) {
+    throw createError('X account not connected. Connect X in the Configuration tab.', 400);
+  }
+
+  return {
+    twitterToken,
+    accountId: user.twitterCredentials.accountId,
+    username: user.twitterCredentials.username
+  };
+}
+
+module.exports = {
+  cleanToken,
+  resolveYouTubeToken,
+  getPublishingCredentials,
+  getYouTubeCredentials,
+  getFacebookCredentials,
+  resolveTwitterToken,
+  getTwitterCredentials
+};
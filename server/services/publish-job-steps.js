@@ -0,0 +1,115 @@
+/**
+ * Publish Job Steps
+ *
+ * Decides which steps of a publish job still need to run so an
+ * interrupted or retried job resumes from its last completed step, and
+ * computes retry backoff delays.
+ */
+
+const BASE_STEPS = ['validate_video', 'process_video', 'generate_content'];
+
+// Pauses the job after content generation until the user approves it
+const REVIEW_STEP = 'review_content';
+
+// Errors that will fail the same way on every attempt
+const PERMANENT_ERROR_PATTERNS = [
+  /validation failed/i,
+  /no longer available/i,
+  /not configured/i,
+  /oauth/i,
+  /access token/i,
+  /permission/i,
+  /\(#10\)|\(#200\)|code 190/i
+];
+
+/**
+ * Name of the step that publishes to a platform
+ * @param {string} platform
+ * @returns {string}
+ */
+function publishStep(platform) {
+  return `publish_${platform}`;
+}
+
+/**
+ * Steps of a new job, in order
+ * @param {string[]} targets - Platforms the job publishes to
+ * @param {Object} [extraSteps] - Additional steps per platform, run after its publish step
+ * @param {Object} [options]
+ * @param {boolean} [options.review] - Wait for the user to approve the generated content
+ * @returns {string[]}
+ */
+function buildJobSteps(targets, extraSteps = {}, { review = false } = {}) {
+  return [
+    ...BASE_STEPS,
+    ...(review ? [REVIEW_STEP] : []),
+    ...targets.flatMap(platform => [publishStep(platform), ...(extraSteps[platform] || [])])
+  ];
+}
+
+/**
+ * Work out what an (interrupted) job still has to do
+ * @param {Object} job
+ * @param {Array<{name: string, status: string}>} job.steps - progress.steps
+ * @param {string[]} [job.targets] - Platforms the job publishes to, defaults to the keys of `platforms`
+ * @param {Object} job.platforms - Publish result per platform, e.g. { instagram: { status } }
+ * @param {Object} [job.platformPayloads] - Saved output of content generation
+ * @param {Object} available - Which platforms have processed files, e.g. { instagram: true, youtube: false }
+ * @returns {{ validate: boolean, process: boolean, generate: boolean, review: boolean, publish: string[] }}
+ */
+function getResumePlan({ steps = [], targets = null, platforms = {}, platformPayloads = null }, available = {}) {
+  const isDone = (name) => steps.some(step => step.name === name && step.status === 'completed');
+
+  const publish = (targets || Object.keys(platforms)).filter(platform =>
+    platforms[platform]?.status !== 'completed' && !isDone(publishStep(platform))
+  );
+
+  // Jobs without a review step publish right after generating content
+  const reviewPending = steps.some(step => step.name === REVIEW_STEP) && !isDone(REVIEW_STEP);
+
+  const missingFiles = publish.some(platform => !available[platform]);
+  const process = publish.length > 0 && (!isDone('process_video') || missingFiles);
+
+  return {
+    validate: process && !isDone('validate_video'),
+    process,
+    generate: publish.length > 0 && (!isDone('generate_content') || !platformPayloads),
+    review: publish.length > 0 && reviewPending,
+    publish
+  };
+}
+
+/**
+ * Exponential backoff delay for a 1-based attempt number
+ * @returns {number} Delay in milliseconds
+ */
+function computeBackoff(attempt, { baseMs = 2000, maxMs = 60000 } = {}) {
+  const exponent = Math.max(0, attempt - 1);
+  return Math.min(maxMs, baseMs * Math.pow(2, exponent));
+}
+
+/**
+ * Whether retrying could help
+ * Errors can opt out explicitly with `error.retryable = false`
+ * @param {Error|string} error
+ * @returns {boolean}
+ */
+function isRetryableError(error) {
+  if (error && error.retryable === false) {
+    return false;
+  }
+
+  const message = typeof error === 'string' ? error : error?.message || '';
+  return !PERMANENT_ERROR_PATTERNS.some(pattern => pattern.test(message));
+}
+
+// Export functions
+module.exports = {
+  BASE_STEPS,
+  REVIEW_STEP,
+  publishStep,
+  buildJobSteps,
+  getResumePlan,
+  computeBackoff,
+  isRetryableError
+};
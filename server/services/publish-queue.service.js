@@ -0,0 +1,314 @@
+const os = require('os');
+const crypto = require('crypto');
+const PublishJob = require('../models/publish-job.model');
+const ActivityLog = require('../models/ActivityLog');
+const DualPublisherService = require('./dual-publisher.service');
+const MediaStorageService = require('./media-storage.service');
+const pushNotifications = require('./push-notification.service');
+const webhooks = require('./webhook.service');
+const { computeBackoff, isRetryableError } = require('./publish-job-steps');
+
+const POLL_INTERVAL_MS = 5 * 1000;
+// A job whose lease is not renewed within this time is picked up by another worker
+const LEASE_MS = 2 * 60 * 1000;
+const HEARTBEAT_MS = 30 * 1000;
+const JOB_BACKOFF = { baseMs: 60 * 1000, maxMs: 30 * 60 * 1000 };
+// Files of failed, partial and unreviewed jobs are kept this long so they can be retried or approved
+const FILE_RETENTION_MS = 48 * 60 * 60 * 1000;
+const SWEEP_INTERVAL_MS = 10 * 60 * 1000;
+
+/**
+ * PublishQueue - MongoDB-backed worker queue for dual-publish jobs
+ * Workers lease jobs and renew the lease with heartbeats, so jobs left by a
+ * crashed or restarted process are picked up again and resumed
+ */
+class PublishQueue {
+  constructor(io, { concurrency = parseInt(process.env.PUBLISH_QUEUE_CONCURRENCY) || 1 } = {}) {
+    this.io = io;
+    this.concurrency = concurrency;
+    this.workerId = `${os.hostname()}:${process.pid}:${crypto.randomBytes(3).toString('hex')}`;
+    this.activeJobs = new Map(); // jobId -> { heartbeat timer, abort controller of the run }
+    this.pollTimer = null;
+    this.sweepTimer = null;
+    this.isPolling = false;
+  }
+
+  /**
+   * Start polling for queued jobs
+   */
+  start() {
+    if (this.pollTimer) {
+      return;
+    }
+
+    console.log(`[PublishQueue] Worker ${this.workerId} started (concurrency ${this.concurrency})`);
+    this.pollTimer = setInterval(() => this.poll(), POLL_INTERVAL_MS);
+    this.sweepTimer = setInterval(() => this.sweepFiles(), SWEEP_INTERVAL_MS);
+    this.poll();
+  }
+
+  /**
+   * Stop polling and hand running jobs back to the queue
+   */
+  async stop() {
+    clearInterval(this.pollTimer);
+    clearInterval(this.sweepTimer);
+    this.pollTimer = null;
+    this.sweepTimer = null;
+
+    for (const [jobId, { heartbeat, controller }] of this.activeJobs) {
+      clearInterval(heartbeat);
+      // The run stops at its next step instead of racing the worker that resumes it
+      controller.abort();
+      // Expire the lease so the next worker resumes the job right away
+      await PublishJob.updateOne(
+        { jobId, 'lease.owner': this.workerId },
+        { $set: { 'lease.expiresAt': new Date() } }
+      ).catch(() => {});
+    }
+    this.activeJobs.clear();
+
+    console.log('[PublishQueue] Stopped');
+  }
+
+  /**
+   * Poll immediately, e.g. after a job was queued
+   */
+  notify() {
+    setImmediate(() => this.poll());
+  }
+
+  /**
+   * Claim jobs until all worker slots are busy
+   * @private
+   */
+  async poll() {
+    if (this.isPolling || !this.pollTimer) {
+      return;
+    }
+
+    this.isPolling = true;
+
+    try {
+      while (this.activeJobs.size < this.concurrency) {
+        const job = await this.claimNext();
+        if (!job) break;
+
+        this.run(job);
+      }
+    } catch (error) {
+      console.error('[PublishQueue] Poll failed:', error.message);
+    } finally {
+      this.isPolling = false;
+    }
+  }
+
+  /**
+   * Atomically lease the next runnable job
+   * Picks up queued jobs that are due and jobs whose worker stopped heartbeating
+   * @private
+   */
+  async claimNext() {
+    const now = new Date();
+
+    return await PublishJob.findOneAndUpdate(
+      {
+        $or: [
+          { status: 'pending', $or: [{ nextAttemptAt: null }, { nextAttemptAt: { $lte: now } }] },
+          { status: 'processing', 'lease.expiresAt': { $lt: now } },
+          // Jobs started in-process before the queue existed
+          { status: 'processing', 'lease.expiresAt': { $exists: false }, updatedAt: { $lt: new Date(now.getTime() - LEASE_MS) } }
+        ]
+      },
+      {
+        $set: {
+          status: 'processing',
+          lease: { owner: this.workerId, expiresAt: new Date(now.getTime() + LEASE_MS) }
+        },
+        $inc: { attempts: 1 }
+      },
+      { sort: { createdAt: 1 }, new: true }
+    );
+  }
+
+  /**
+   * Run a leased job
+   * @private
+   */
+  async run(job) {
+    const { jobId } = job;
+    const controller = new AbortController();
+    const heartbeat = setInterval(() => this.heartbeat(jobId, controller), HEARTBEAT_MS);
+    this.activeJobs.set(jobId, { heartbeat, controller });
+
+    console.log(`[PublishQueue] Running job ${jobId} (attempt ${job.attempts}/${job.maxAttempts})`);
+
+    try {
+      if (job.attempts > job.maxAttempts) {
+        const error = new Error(`Gave up after ${job.maxAttempts} attempts`);
+        error.retryable = false;
+        throw error;
+      }
+
+      // A dedicated publisher per job so concurrent users never share tokens
+      const publisherService = new DualPublisherService(this.io);
+      await publisherService.connect(job.userId, {
+        mediaStorage: await MediaStorageService.forUser(job.userId),
+        accounts: job.accounts
+      }, job.targets);
+
+      const result = await publisherService.executeJob(jobId, {
+        lease: { owner: this.workerId, signal: controller.signal }
+      });
+
+      if (result.status === 'awaiting_review') {
+        // Approving the content queues the job again
+        console.log(`[PublishQueue] Job ${jobId} is waiting for review`);
+        await ActivityLog.log(job.userId, 'info', 'publish_job', 'Publishing job is waiting for review', { jobId });
+      } else {
+        console.log(`[PublishQueue] Job ${jobId} finished: ${result.status}`);
+        await ActivityLog.log(job.userId, result.status === 'completed' ? 'info' : 'warning', 'publish_job',
+          `Publishing job finished: ${result.status}`, { jobId });
+        await this.notifyFinished(result);
+      }
+    } catch (error) {
+      if (error.leaseLost) {
+        // The worker holding the lease now finishes the job
+        console.warn(`[PublishQueue] Stopped job ${jobId}: ${error.message}`);
+      } else {
+        await this.handleFailure(job, error);
+      }
+    } finally {
+      clearInterval(heartbeat);
+      this.activeJobs.delete(jobId);
+
+      await PublishJob.updateOne(
+        { jobId, 'lease.owner': this.workerId },
+        { $unset: { lease: 1 } }
+      ).catch(() => {});
+
+      this.notify();
+    }
+  }
+
+  /**
+   * Requeue a failed job with backoff, or fail it for good
+   * @private
+   */
+  async handleFailure(job, error) {
+    const { jobId } = job;
+
+    if (isRetryableError(error) && job.attempts < job.maxAttempts) {
+      const delayMs = computeBackoff(job.attempts, JOB_BACKOFF);
+      const nextAttemptAt = new Date(Date.now() + delayMs);
+
+      const requeued = await PublishJob.updateOne(
+        { jobId, 'lease.owner': this.workerId },
+        { $set: { status: 'pending', nextAttemptAt, error: error.message } }
+      );
+      if (requeued.matchedCount === 0) {
+        console.warn(`[PublishQueue] Job ${jobId} failed after its lease was lost:`, error.message);
+        return;
+      }
+
+      console.warn(`[PublishQueue] Job ${jobId} failed, retrying at ${nextAttemptAt.toISOString()}:`, error.message);
+      this.io.to(`job:${jobId}`).emit('job:retrying', {
+        jobId,
+        attempt: job.attempts,
+        nextAttemptAt,
+        error: error.message
+      });
+      return;
+    }
+
+    const failed = await PublishJob.updateOne(
+      { jobId, 'lease.owner': this.workerId },
+      { $set: { status: 'failed', error: error.message, completedAt: new Date() } }
+    );
+    if (failed.matchedCount === 0) {
+      console.warn(`[PublishQueue] Job ${jobId} failed after its lease was lost:`, error.message);
+      return;
+    }
+
+    console.error(`[PublishQueue] Job ${jobId} failed:`, error.message);
+    await ActivityLog.log(job.userId, 'error', 'publish_job', `Publishing job failed: ${error.message}`, { jobId });
+    this.io.to(`job:${jobId}`).emit('job:failed', {
+      jobId,
+      error: error.message
+    });
+    await pushNotifications.notify(job.userId, 'publishFailed', { jobId, status: 'failed', error: error.message });
+    await webhooks.dispatch(job.userId, 'publish.failed', { jobId, status: 'failed', error: error.message });
+  }
+
+  /**
+   * Push notification and webhooks for a job that published to all, some or none of its platforms
+   * @private
+   */
+  async notifyFinished(job) {
+    const failedPlatforms = job.targets.filter(platform => job.platforms.get(platform)?.status !== 'completed');
+    const data = {
+      jobId: job.jobId,
+      status: job.status,
+      platforms: job.targets,
+      failedPlatforms,
+      error: failedPlatforms.map(platform => job.platforms.get(platform)?.error).find(Boolean)
+    };
+
+    await pushNotifications.notify(job.userId, failedPlatforms.length ? 'publishFailed' : 'publishCompleted', data);
+
+    const links = Object.fromEntries(job.targets
+      .map(platform => [platform, job.platforms.get(platform)?.url])
+      .filter(([, url]) => url));
+    await webhooks.dispatch(job.userId, failedPlatforms.length ? 'publish.failed' : 'publish.completed', { ...data, links });
+  }
+
+  /**
+   * Renew the lease of a running job, or stop the run when another worker took it over
+   * @private
+   */
+  async heartbeat(jobId, controller) {
+    try {
+      const result = await PublishJob.updateOne(
+        { jobId, 'lease.owner': this.workerId },
+        { $set: { 'lease.expiresAt': new Date(Date.now() + LEASE_MS) } }
+      );
+
+      if (result.matchedCount === 0) {
+        console.warn(`[PublishQueue] Lost lease on job ${jobId}, stopping it`);
+        controller.abort();
+      }
+    } catch (error) {
+      console.error(`[PublishQueue] Heartbeat failed for job ${jobId}:`, error.message);
+    }
+  }
+
+  /**
+   * Delete files of finished jobs once they can no longer be retried,
+   * and of jobs whose content was never approved
+   * @private
+   */
+  async sweepFiles() {
+    try {
+      const jobs = await PublishJob.find({
+        status: { $in: ['completed', 'partial', 'failed', 'cancelled', 'awaiting_review'] },
+        filesCleanedAt: null,
+        updatedAt: { $lt: new Date(Date.now() - FILE_RETENTION_MS) }
+      }).limit(50);
+
+      if (jobs.length === 0) {
+        return;
+      }
+
+      const publisherService = new DualPublisherService(this.io);
+      for (const job of jobs) {
+        await publisherService.cleanupJobFiles(job);
+      }
+
+      console.log(`[PublishQueue] Cleaned up files of ${jobs.length} finished jobs`);
+    } catch (error) {
+      console.error('[PublishQueue] File sweep failed:', error.message);
+    }
+  }
+}
+
+module.exports = PublishQueue;
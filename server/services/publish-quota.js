@@ -0,0 +1,115 @@
+/**
+ * Publish Quota
+ *
+ * Instagram limits API publishing to a number of posts per rolling 24 hours.
+ * These helpers check a planned publish time against already published and
+ * scheduled posts so the scheduler never exceeds the quota. The quota belongs
+ * to each Instagram account, not to the user who connected it.
+ */
+
+const WINDOW_MS = 24 * 60 * 60 * 1000;
+// Instagram's documented limit for API-published posts per 24 hours
+const DEFAULT_DAILY_LIMIT = 100;
+
+function toTime(value) {
+  return value instanceof Date ? value.getTime() : new Date(value).getTime();
+}
+
+/**
+ * Count timestamps in the window (end - windowMs, end]
+ * @param {Array<Date|string|number>} timestamps
+ * @param {Date|number} end
+ * @returns {number}
+ */
+function countInWindow(timestamps, end, windowMs = WINDOW_MS) {
+  const endTime = toTime(end);
+  return timestamps.filter(value => {
+    const time = toTime(value);
+    return time > endTime - windowMs && time <= endTime;
+  }).length;
+}
+
+/**
+ * Whether one more publish at `at` would put any 24h window over the limit
+ * Checks the window ending at `at` and every window ending at a later publish
+ * that would also contain it
+ * @param {Array<Date|string|number>} timestamps - Published and scheduled times
+ * @param {Date|number} at
+ * @param {number} limit
+ * @returns {boolean}
+ */
+function wouldExceedLimit(timestamps, at, limit = DEFAULT_DAILY_LIMIT, windowMs = WINDOW_MS) {
+  const atTime = toTime(at);
+  const planned = [...timestamps, atTime];
+  const windowEnds = [atTime, ...timestamps.map(toTime).filter(time => time > atTime && time < atTime + windowMs)];
+
+  return windowEnds.some(end => countInWindow(planned, end, windowMs) > limit);
+}
+
+/**
+ * Earliest time at or after `from` when a publish fits the limit
+ * @returns {Date}
+ */
+function findNextAvailableSlot(timestamps, from, limit = DEFAULT_DAILY_LIMIT, windowMs = WINDOW_MS) {
+  const fromTime = toTime(from);
+  if (!wouldExceedLimit(timestamps, fromTime, limit, windowMs)) {
+    return new Date(fromTime);
+  }
+
+  // A slot opens just after an existing publish leaves the window
+  const candidates = timestamps
+    .map(value => toTime(value) + windowMs + 1)
+    .filter(time => time > fromTime)
+    .sort((a, b) => a - b);
+
+  for (const candidate of candidates) {
+    if (!wouldExceedLimit(timestamps, candidate, limit, windowMs)) {
+      return new Date(candidate);
+    }
+  }
+
+  return new Date(fromTime + windowMs);
+}
+
+/**
+ * Publish times that count toward one Instagram account's quota
+ * Entries without an account predate multiple accounts per user and count for every account
+ * @param {Array<{ time: Date, accountId: string|null }>} entries
+ * @param {string|null} accountId - null counts every entry
+ * @returns {Array<Date>}
+ */
+function timesForAccount(entries, accountId) {
+  return entries
+    .filter(entry => !accountId || !entry.accountId || String(entry.accountId) === String(accountId))
+    .map(entry => entry.time);
+}
+
+/**
+ * Read the live quota returned by InstagramPublisherService.checkPublishingLimit
+ * @param {Object} limitInfo
+ * @returns {{ used: number, total: number }|null} - null when unavailable
+ */
+function parseQuota(limitInfo) {
+  if (!limitInfo || !limitInfo.available) {
+    return null;
+  }
+
+  const used = Number(limitInfo.quotaUsage);
+  const total = Number(limitInfo.config?.quota_total);
+
+  return {
+    used: Number.isFinite(used) ? used : 0,
+    total: Number.isFinite(total) && total > 0 ? total : DEFAULT_DAILY_LIMIT
+  };
+}
+
+// Export functions
+module.exports = {
+  WINDOW_MS,
+  DEFAULT_DAILY_LIMIT,
+  countInWindow,
+  wouldExceedLimit,
+  findNextAvailableSlot,
+  timesForAccount,
+  parseQuota
+};
@@ -0,0 +1,516 @@
+const fs = require('fs');
+const path = require('path');
+const Post = require('../models/post.model');
+const PublishJob = require('../models/publish-job.model');
+const ActivityLog = require('../models/ActivityLog');
+const InstagramPublisherService = require('./instagram-publisher.service');
+const MediaStorageService = require('./media-storage.service');
+const { getPublishingCredentials } = require('./publish-credentials');
+const { publishPostStory } = require('./story-variant');
+const { getPostNetwork, publishPostToNetwork } = require('./post-networks');
+const {
+  WINDOW_MS,
+  DEFAULT_DAILY_LIMIT,
+  countInWindow,
+  wouldExceedLimit,
+  findNextAvailableSlot,
+  timesForAccount,
+  parseQuota
+} = require('./publish-quota');
+
+const POLL_INTERVAL_MS = 60 * 1000;
+const MAX_SCHEDULE_AHEAD_MS = 90 * 24 * 60 * 60 * 1000;
+// Posts claimed this long ago without finishing were interrupted (e.g. by a restart)
+const INTERRUPTED_POST_MS = 30 * 60 * 1000;
+// How long to wait before retrying when the Instagram quota is used up
+const QUOTA_RETRY_MS = 60 * 60 * 1000;
+
+function createError(message, statusCode) {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+}
+
+/**
+ * PublishScheduler - Persistent scheduler for AI posts and dual-publish jobs
+ * Due items are claimed from MongoDB on every tick, so scheduled work survives restarts.
+ * Due jobs are handed to the publish queue, which runs them.
+ */
+class PublishScheduler {
+  constructor(io = null, publishQueue = null) {
+    this.io = io;
+    this.publishQueue = publishQueue;
+    this.timer = null;
+    this.isTicking = false;
+  }
+
+  /**
+   * Start polling for due items
+   */
+  start() {
+    if (this.timer) {
+      return;
+    }
+
+    console.log(`[PublishScheduler] Started (checking every ${POLL_INTERVAL_MS / 1000}s)`);
+    this.timer = setInterval(() => this.tick(), POLL_INTERVAL_MS);
+    this.tick();
+  }
+
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+      console.log('[PublishScheduler] Stopped');
+    }
+  }
+
+  /**
+   * Publish everything that is due, one item at a time
+   */
+  async tick() {
+    if (this.isTicking) {
+      return;
+    }
+
+    this.isTicking = true;
+
+    try {
+      await this.recoverInterrupted();
+
+      let post;
+      while ((post = await this.claimNextPost())) {
+        await this.publishScheduledPost(post);
+      }
+
+      let job;
+      while ((job = await this.findNextDueJob())) {
+        await this.releaseScheduledJob(job);
+      }
+    } catch (error) {
+      console.error('[PublishScheduler] Tick failed:', error.message);
+    } finally {
+      this.isTicking = false;
+    }
+  }
+
+  /**
+   * Atomically move the next due post to publishing
+   * @private
+   */
+  async claimNextPost() {
+    const now = new Date();
+    return await Post.findOneAndUpdate(
+      { status: 'scheduled', scheduledAt: { $lte: now } },
+      { $set: { status: 'publishing', publishStartedAt: now } },
+      { sort: { scheduledAt: 1 }, new: true }
+    );
+  }
+
+  /**
+   * Next scheduled job that is due
+   * @private
+   */
+  async findNextDueJob() {
+    return await PublishJob.findOne({ status: 'scheduled', scheduledAt: { $lte: new Date() } })
+      .sort({ scheduledAt: 1 });
+  }
+
+  /**
+   * Publish a scheduled AI post to its platform
+   * @private
+   */
+  async publishScheduledPost(post) {
+    const userId = post.userId;
+
+    try {
+      const imageUrls = post.getImageUrls();
+      if (!imageUrls.length || imageUrls.some(url => !url)) {
+        throw new Error('Post has no image to publish');
+      }
+
+      // Only Instagram has a daily publishing limit to wait for
+      const network = getPostNetwork(post.platform);
+      if (network) {
+        const postId = await publishPostToNetwork(post);
+        await this.markPostPublished(post, { [network.idField]: postId }, network.name);
+        return;
+      }
+
+      const credentials = await getPublishingCredentials(userId, { instagram: post.accountId });
+      const publisher = new InstagramPublisherService();
+      publisher.initialize(credentials.instagramToken, credentials.instagramAccountId);
+      publisher.useMediaStorage(await MediaStorageService.forUser(userId));
+
+      if (!await this.hasPublishingQuota(userId, publisher)) {
+        await this.postpone(post, Post);
+        return;
+      }
+
+      const mediaId = post.mediaType === 'carousel'
+        ? await publisher.publishCarousel(imageUrls, post.caption)
+        : await publisher.publishImageFromUrl(post.imageUrl, post.caption);
+      await publishPostStory(publisher, post);
+
+      // Keep the account it went out on, for per-account quota and data deletion
+      await this.markPostPublished(post, { instagramMediaId: mediaId, accountId: publisher.instagramAccountId }, 'Instagram');
+    } catch (error) {
+      console.error(`[PublishScheduler] Scheduled post ${post._id} failed:`, error.message);
+
+      post.status = 'failed';
+      post.error = `Scheduled publishing failed: ${error.message}`;
+      await post.save();
+
+      await ActivityLog.log(userId, 'error', 'scheduled_publish', `Scheduled post failed: ${error.message}`, {
+        postId: post._id.toString()
+      });
+      this.emit(userId, { type: 'post', id: post._id, status: 'failed', error: post.error });
+    }
+  }
+
+  /**
+   * Hand a due job to the publish queue once the Instagram quota allows it
+   * @private
+   */
+  async releaseScheduledJob(job) {
+    const userId = job.userId;
+
+    try {
+      // Only jobs that post to Instagram count against its quota
+      if (job.targets.includes('instagram')) {
+        const credentials = await getPublishingCredentials(userId, job.accounts);
+        const publisher = new InstagramPublisherService();
+        publisher.initialize(credentials.instagramToken, credentials.instagramAccountId);
+
+        if (!await this.hasPublishingQuota(userId, publisher)) {
+          await this.postpone(job, PublishJob);
+          return;
+        }
+      }
+
+      const result = await PublishJob.updateOne(
+        { _id: job._id, status: 'scheduled' },
+        { $set: { status: 'pending', nextAttemptAt: null } }
+      );
+      if (result.modifiedCount === 0) {
+        return; // Cancelled or released elsewhere meanwhile
+      }
+
+      console.log(`[PublishScheduler] Released scheduled job ${job.jobId} to the publish queue`);
+      await ActivityLog.log(userId, 'info', 'scheduled_publish', 'Scheduled publish job queued', { jobId: job.jobId });
+      this.emit(userId, { type: 'job', id: job.jobId, status: 'pending' });
+
+      if (this.publishQueue) {
+        this.publishQueue.notify();
+      }
+    } catch (error) {
+      console.error(`[PublishScheduler] Scheduled job ${job.jobId} failed:`, error.message);
+
+      await PublishJob.updateOne(
+        { _id: job._id, status: 'scheduled' },
+        { $set: { status: 'failed', error: error.message, completedAt: new Date() } }
+      );
+
+      await ActivityLog.log(userId, 'error', 'scheduled_publish', `Scheduled publish job failed: ${error.message}`, {
+        jobId: job.jobId
+      });
+      this.emit(userId, { type: 'job', id: job.jobId, status: 'failed', error: error.message });
+    }
+  }
+
+  /**
+   * Whether the account can publish another post right now
+   * Uses the live Instagram quota, falling back to our own publish history
+   * @private
+   */
+  async hasPublishingQuota(userId, publisher) {
+    try {
+      const quota = parseQuota(await publisher.checkPublishingLimit());
+      if (quota) {
+        return quota.used < quota.total;
+      }
+    } catch (error) {
+      console.warn('[PublishScheduler] Live quota unavailable, using publish history:', error.message);
+    }
+
+    const times = await PublishScheduler.getPublishTimes(userId, new Date(), {
+      publishedOnly: true,
+      accountId: publisher.instagramAccountId
+    });
+    return countInWindow(times, new Date()) < DEFAULT_DAILY_LIMIT;
+  }
+
+  /**
+   * Put an item back on the schedule when the quota is used up
+   * @private
+   */
+  async postpone(item, Model) {
+    const retryAt = new Date(Date.now() + QUOTA_RETRY_MS);
+    await Model.updateOne(
+      { _id: item._id },
+      { $set: { status: 'scheduled', scheduledAt: retryAt } }
+    );
+
+    const id = item.jobId || item._id.toString();
+    console.warn(`[PublishScheduler] Publishing quota reached, postponed ${id} to ${retryAt.toISOString()}`);
+    await ActivityLog.log(item.userId, 'warning', 'scheduled_publish',
+      `Instagram publishing limit reached, postponed to ${retryAt.toISOString()}`, { id });
+    this.emit(item.userId, { type: item.jobId ? 'job' : 'post', id, status: 'scheduled', scheduledAt: retryAt });
+  }
+
+  /**
+   * Fail posts left mid-publish by a crash or restart
+   * They are not retried automatically because they may already be live.
+   * Interrupted jobs are resumed by the publish queue instead.
+   * @private
+   */
+  async recoverInterrupted() {
+    const posts = await Post.updateMany(
+      { status: 'publishing', publishStartedAt: { $lt: new Date(Date.now() - INTERRUPTED_POST_MS) } },
+      { $set: { status: 'failed', error: 'Scheduled publishing was interrupted. Check Instagram before rescheduling.' } }
+    );
+
+    if (posts.modifiedCount > 0) {
+      console.warn(`[PublishScheduler] Marked ${posts.modifiedCount} posts as interrupted`);
+    }
+  }
+
+  /**
+   * Save a scheduled post as published and report it
+   * @param {Object} ids - Platform post ID field, e.g. { instagramMediaId }
+   * @private
+   */
+  async markPostPublished(post, ids, platformName) {
+    Object.assign(post, ids);
+    post.status = 'published';
+    post.publishedAt = new Date();
+    post.error = undefined;
+    await post.save();
+
+    console.log(`[PublishScheduler] Published scheduled post ${post._id} to ${platformName}`);
+    await ActivityLog.log(post.userId, 'info', 'scheduled_publish', `Scheduled post published to ${platformName}`, {
+      postId: post._id.toString(),
+      platform: post.platform,
+      mediaId: Object.values(ids)[0]
+    });
+    this.emit(post.userId, { type: 'post', id: post._id, status: 'published' });
+  }
+
+  /**
+   * Scheduled, published and failed items in a date range for the calendar
+   * @returns {Promise<Array>}
+   */
+  async getCalendar(userId, from, to) {
+    const range = { $gte: from, $lt: to };
+
+    const [posts, jobs] = await Promise.all([
+      Post.find({
+        userId,
+        $or: [{ scheduledAt: range }, { publishedAt: range }]
+      }).sort({ scheduledAt: 1 }).lean(),
+      PublishJob.find({
+        userId,
+        $or: [{ scheduledAt: range }, { completedAt: range }]
+      }).select('-aiProviders').sort({ scheduledAt: 1 }).lean()
+    ]);
+
+    const items = [
+      ...posts.map(post => ({
+        id: post._id.toString(),
+        type: 'post',
+        title: post.caption?.slice(0, 80) || 'AI post',
+        status: post.status,
+        targets: [post.platform],
+        scheduledAt: post.scheduledAt,
+        publishedAt: post.publishedAt,
+        imageUrl: post.imageUrl,
+        error: post.error
+      })),
+      ...jobs.map(job => ({
+        id: job.jobId,
+        type: 'job',
+        title: job.generatedContent?.title || job.contextText?.slice(0, 80) || 'Video',
+        status: job.status,
+        targets: job.targets,
+        scheduledAt: job.scheduledAt,
+        publishedAt: job.completedAt,
+        error: job.error
+      }))
+    ];
+
+    return items.sort((a, b) => new Date(a.scheduledAt || a.publishedAt) - new Date(b.scheduledAt || b.publishedAt));
+  }
+
+  /**
+   * Schedule an existing draft or failed post
+   */
+  async schedulePost(userId, postId, scheduledAt) {
+    const post = await Post.findOne({ _id: postId, userId });
+
+    if (!post) {
+      throw createError('Post not found', 404);
+    }
+    if (!['draft', 'failed'].includes(post.status)) {
+      throw createError(`Cannot schedule a post that is ${post.status}`, 409);
+    }
+    if (!post.imageUrl) {
+      throw createError('Post has no image to publish', 400);
+    }
+
+    post.scheduledAt = await PublishScheduler.validateSchedule(userId, scheduledAt, {
+      excludePostId: post._id,
+      instagramLimit: post.platform === 'instagram',
+      accountId: post.accountId
+    });
+    post.status = 'scheduled';
+    post.error = undefined;
+    await post.save();
+
+    return post;
+  }
+
+  /**
+   * Move a scheduled item to a new time
+   * @param {'post'|'job'} type
+   */
+  async reschedule(userId, type, id, scheduledAt) {
+    const { Model, query } = this.getItemQuery(userId, type, id);
+    const item = await Model.findOne({ ...query, status: 'scheduled' });
+
+    if (!item) {
+      throw createError('Scheduled item not found', 404);
+    }
+
+    item.scheduledAt = await PublishScheduler.validateSchedule(userId, scheduledAt, {
+      excludePostId: type === 'post' ? item._id : null,
+      excludeJobId: type === 'job' ? item._id : null,
+      instagramLimit: type === 'post' ? item.platform === 'instagram' : item.targets.includes('instagram'),
+      accountId: type === 'post' ? item.accountId : item.accounts?.instagram
+    });
+    await item.save();
+
+    return item;
+  }
+
+  /**
+   * Cancel a scheduled item
+   * Posts go back to drafts; jobs are cancelled and their uploaded video removed
+   * @param {'post'|'job'} type
+   */
+  async cancel(userId, type, id) {
+    const { Model, query } = this.getItemQuery(userId, type, id);
+    const item = await Model.findOneAndUpdate(
+      { ...query, status: 'scheduled' },
+      { $set: type === 'post' ? { status: 'draft', scheduledAt: null } : { status: 'cancelled' } },
+      { new: true }
+    );
+
+    if (!item) {
+      throw createError('Scheduled item not found', 404);
+    }
+
+    if (type === 'job') {
+      const videoPath = path.join(__dirname, '../uploads', item.videoFilename);
+      await fs.promises.unlink(videoPath).catch(() => {});
+    }
+
+    return item;
+  }
+
+  /**
+   * @private
+   */
+  getItemQuery(userId, type, id) {
+    if (type === 'post') {
+      return { Model: Post, query: { _id: id, userId } };
+    }
+    if (type === 'job') {
+      return { Model: PublishJob, query: { jobId: id, userId } };
+    }
+    throw createError('Type must be post or job', 400);
+  }
+
+  /**
+   * @private
+   */
+  emit(userId, payload) {
+    if (this.io) {
+      this.io.emit(`schedule:${userId}`, payload);
+    }
+  }
+
+  /**
+   * Validate a requested publish time against the 24h Instagram quota
+   * @param {Object} options - instagramLimit: false for posts and jobs that do not go to Instagram;
+   *   accountId: Instagram account published to, whose quota is checked
+   * @returns {Promise<Date>}
+   * @throws {Error} 400 for invalid times, 409 when the quota would be exceeded
+   */
+  static async validateSchedule(userId, scheduledAt, { excludePostId = null, excludeJobId = null, instagramLimit = true, accountId = null } = {}) {
+    const at = new Date(scheduledAt);
+
+    if (!scheduledAt || Number.isNaN(at.getTime())) {
+      throw createError('scheduledAt must be a valid date', 400);
+    }
+    if (at.getTime() < Date.now() - 60 * 1000) {
+      throw createError('scheduledAt must be in the future', 400);
+    }
+    if (at.getTime() > Date.now() + MAX_SCHEDULE_AHEAD_MS) {
+      throw createError('Posts can be scheduled at most 90 days ahead', 400);
+    }
+
+    if (!instagramLimit) {
+      return at;
+    }
+
+    const times = await PublishScheduler.getPublishTimes(userId, at, { excludePostId, excludeJobId, accountId });
+
+    if (wouldExceedLimit(times, at, DEFAULT_DAILY_LIMIT)) {
+      const nextSlot = findNextAvailableSlot(times, at, DEFAULT_DAILY_LIMIT);
+      const error = createError(
+        `This would exceed Instagram's limit of ${DEFAULT_DAILY_LIMIT} posts per 24 hours. Next available time: ${nextSlot.toISOString()}`,
+        409
+      );
+      error.nextAvailableAt = nextSlot;
+      throw error;
+    }
+
+    return at;
+  }
+
+  /**
+   * Published and scheduled Instagram publish times within 24h of a moment
+   * @param {Object} options - accountId: only count publishes to this Instagram account
+   * @private
+   */
+  static async getPublishTimes(userId, around, { excludePostId = null, excludeJobId = null, publishedOnly = false, accountId = null } = {}) {
+    const range = {
+      $gt: new Date(around.getTime() - WINDOW_MS),
+      $lt: new Date(around.getTime() + WINDOW_MS)
+    };
+
+    const queries = [
+      Post.find({ userId, platform: 'instagram', status: 'published', publishedAt: range }).select('publishedAt accountId').lean(),
+      PublishJob.find({ userId, 'platforms.instagram.status': 'completed', 'platforms.instagram.publishedAt': range })
+        .select('platforms.instagram.publishedAt accounts').lean()
+    ];
+
+    if (!publishedOnly) {
+      queries.push(
+        Post.find({ userId, platform: 'instagram', status: 'scheduled', scheduledAt: range, _id: { $ne: excludePostId } }).select('scheduledAt accountId').lean(),
+        PublishJob.find({ userId, status: 'scheduled', targets: 'instagram', scheduledAt: range, _id: { $ne: excludeJobId } }).select('scheduledAt accounts').lean()
+      );
+    }
+
+    const [posts, jobs, scheduledPosts = [], scheduledJobs = []] = await Promise.all(queries);
+
+    return timesForAccount([
+      ...posts.map(post => ({ time: post.publishedAt, accountId: post.accountId })),
+      ...jobs.map(job => ({ time: job.platforms.instagram.publishedAt, accountId: job.accounts?.instagram })),
+      ...scheduledPosts.map(post => ({ time: post.scheduledAt, accountId: post.accountId })),
+      ...scheduledJobs.map(job => ({ time: job.scheduledAt, accountId: job.accounts?.instagram }))
+    ], accountId);
+  }
+}
+
+module.exports = PublishScheduler;
@@ -0,0 +1,88 @@
+const fs = require('fs');
+const path = require('path');
+const FacebookPublisherService = require('../facebook-publisher.service');
+const { cleanToken } = require('../publish-credentials');
+
+const MIN_REEL_SECONDS = 3;
+
+/**
+ * Facebook publisher plugin - publishes the video as a Reel on the selected Page
+ */
+class FacebookPublisher {
+  constructor() {
+    this.id = 'facebook';
+    this.label = 'Facebook';
+    this.service = new FacebookPublisherService();
+  }
+
+  isConnected(user) {
+    return Boolean(user.facebookCredentials?.pageAccessToken && user.facebookCredentials?.pageId);
+  }
+
+  /**
+   * @param {Object} user - User document
+   * @param {Object} options
+   * @param {MediaStorageService} [options.mediaStorage] - Where Reels are hosted for Facebook to fetch
+   */
+  async connect(user, { mediaStorage = null } = {}) {
+    this.service.initialize(cleanToken(user.facebookCredentials.pageAccessToken), user.facebookCredentials.pageId);
+    if (mediaStorage) {
+      this.service.useMediaStorage(mediaStorage);
+    }
+  }
+
+  getExtraSteps() {
+    return [];
+  }
+
+  validate(metadata) {
+    // Longer videos are trimmed to 90 seconds while converting
+    return metadata.duration < MIN_REEL_SECONDS
+      ? [`Facebook Reels must be at least ${MIN_REEL_SECONDS} seconds long`]
+      : [];
+  }
+
+  async transformMedia(ffmpegService, inputPath, outputDir) {
+    const basename = path.basename(inputPath, path.extname(inputPath));
+    const reel = await ffmpegService.convertForFacebook(inputPath, path.join(outputDir, `${basename}_fb.mp4`));
+    return { video: reel.outputPath };
+  }
+
+  /**
+   * Jobs generated before Facebook was supported fall back to the Instagram caption
+   */
+  buildPayload(content) {
+    return content.platformPayloads.facebook || {
+      description: content.platformPayloads.instagram?.caption || content.description || ''
+    };
+  }
+
+  async publish(files, payload) {
+    const videoId = await this.service.publishReel(
+      fs.readFileSync(files.video),
+      payload.description,
+      path.basename(files.video)
+    );
+
+    const status = await this.fetchStatus(videoId).catch(() => null);
+
+    return {
+      postId: videoId,
+      url: status?.url || null,
+      details: { mediaType: 'REEL', processing: status?.status || 'processing' }
+    };
+  }
+
+  async fetchStatus(videoId) {
+    const reel = await this.service.getReelStatus(videoId);
+
+    return {
+      status: reel.status === 'ready' ? 'published'
+        : reel.status === 'error' ? 'failed'
+          : reel.status,
+      url: reel.permalinkUrl || (reel.status === 'removed' ? null : `https://www.facebook.com/reel/${videoId}`)
+    };
+  }
+}
+
+module.exports = FacebookPublisher;
@@ -0,0 +1,75 @@
+const InstagramPublisher = require('./instagram.publisher');
+const FacebookPublisher = require('./facebook.publisher');
+const YouTubePublisher = require('./youtube.publisher');
+const TwitterPublisher = require('./twitter.publisher');
+const LinkedInPublisher = require('./linkedin.publisher');
+const ThreadsPublisher = require('./threads.publisher');
+
+/**
+ * Publisher Plugins
+ *
+ * Every network the publish orchestrator can target is a class with:
+ *  - id, label
+ *  - isConnected(user) -> whether the user has credentials for it
+ *  - connect(user, { mediaStorage, account }) -> resolve tokens before publishing;
+ *    account is the ConnectedAccount chosen for the job, null for the active one
+ *  - getExtraSteps(job) -> job steps besides `publish_<id>`
+ *  - validate(metadata) -> list of reasons the video cannot go to this network
+ *  - transformMedia(ffmpegService, inputPath, outputDir, job) -> { video, ...other files }
+ *  - buildPayload(generatedContent) -> network-specific post metadata
+ *  - publish(files, payload, context) -> { postId, url, apiResponse, details }
+ *  - fetchStatus(postId) -> { status: 'processing'|'published'|'failed'|'removed', url }
+ * and optionally afterPublish(files, result, context) and prepareRetry(job).
+ *
+ * Adding a network means adding its class here.
+ */
+const PUBLISHERS = {
+  instagram: InstagramPublisher,
+  facebook: FacebookPublisher,
+  youtube: YouTubePublisher,
+  twitter: TwitterPublisher,
+  linkedin: LinkedInPublisher,
+  threads: ThreadsPublisher
+};
+
+/**
+ * IDs of all registered networks
+ * @returns {string[]}
+ */
+function getPublisherIds() {
+  return Object.keys(PUBLISHERS);
+}
+
+function isPublisher(id) {
+  return Object.prototype.hasOwnProperty.call(PUBLISHERS, id);
+}
+
+/**
+ * New plugin instance for a network
+ * @param {string} id
+ */
+function createPublisher(id) {
+  if (!isPublisher(id)) {
+    throw new Error(`Unknown publishing platform: ${id}`);
+  }
+  return new PUBLISHERS[id]();
+}
+
+/**
+ * Registered networks with whether the user has connected them
+ * @param {Object} user - User document
+ * @returns {Array<{id: string, label: string, connected: boolean}>}
+ */
+function listPublishers(user) {
+  return getPublisherIds().map(id => {
+    const publisher = createPublisher(id);
+    return { id, label: publisher.label, connected: Boolean(user && publisher.isConnected(user)) };
+  });
+}
+
+module.exports = {
+  getPublisherIds,
+  isPublisher,
+  createPublisher,
+  listPublishers
+};
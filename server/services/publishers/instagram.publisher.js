@@ -0,0 +1,176 @@
+const fs = require('fs');
+const path = require('path');
+const axios = require('axios');
+const InstagramPublisherService = require('../instagram-publisher.service');
+const { cleanToken } = require('../publish-credentials');
+
+const STORY_STEP = 'publish_instagram_story';
+const MIN_REEL_SECONDS = 3;
+
+/**
+ * Instagram publisher plugin - publishes the video as a Reel, optionally cross-posted to the Story
+ */
+class InstagramPublisher {
+  constructor() {
+    this.id = 'instagram';
+    this.label = 'Instagram';
+    this.service = new InstagramPublisherService();
+  }
+
+  isConnected(user) {
+    return Boolean(user.instagramCredentials?.accessToken && user.instagramCredentials?.accountId);
+  }
+
+  /**
+   * @param {Object} user - User document
+   * @param {Object} options
+   * @param {MediaStorageService} [options.mediaStorage] - Where Reels are hosted for Instagram to fetch
+   * @param {Object} [options.account] - ConnectedAccount to publish to instead of the active account
+   */
+  async connect(user, { mediaStorage = null, account = null } = {}) {
+    const credentials = account ? account.credentials : user.instagramCredentials;
+    this.service.initialize(cleanToken(credentials.accessToken), credentials.accountId);
+    if (mediaStorage) {
+      this.service.useMediaStorage(mediaStorage);
+    }
+  }
+
+  /**
+   * Steps this platform adds to a job besides its publish step
+   */
+  getExtraSteps(job) {
+    return job.options?.shareReelToStory ? [STORY_STEP] : [];
+  }
+
+  validate(metadata) {
+    return metadata.duration < MIN_REEL_SECONDS
+      ? [`Instagram Reels must be at least ${MIN_REEL_SECONDS} seconds long`]
+      : [];
+  }
+
+  async transformMedia(ffmpegService, inputPath, outputDir, job) {
+    const basename = path.basename(inputPath, path.extname(inputPath));
+    const files = {};
+
+    const reel = await ffmpegService.convertForInstagram(inputPath, path.join(outputDir, `${basename}_ig.mp4`));
+    files.video = reel.outputPath;
+
+    try {
+      const thumbnail = await ffmpegService.generateThumbnail(inputPath, path.join(outputDir, `${basename}_thumbnail.jpg`));
+      files.cover = thumbnail.outputPath;
+    } catch (error) {
+      console.error('[InstagramPublisher] Thumbnail generation failed:', error.message);
+    }
+
+    if (job.options?.shareReelToStory) {
+      try {
+        const story = await ffmpegService.convertForStory(inputPath, path.join(outputDir, `${basename}_story.mp4`));
+        files.story = story.outputPath;
+      } catch (error) {
+        // The Reel file is also 9:16 and is used instead
+        console.error('[InstagramPublisher] Story conversion failed:', error.message);
+      }
+    }
+
+    return files;
+  }
+
+  buildPayload(content) {
+    return content.platformPayloads.instagram;
+  }
+
+  async publish(files, payload) {
+    // Use cover image if available
+    let coverUrl = null;
+    if (files.cover) {
+      try {
+        coverUrl = await this.service.uploadImageToPublicServer(fs.readFileSync(files.cover), path.basename(files.cover));
+      } catch (err) {
+        console.error('[InstagramPublisher] Thumbnail upload failed:', err.message);
+        // Continue without cover image
+      }
+    }
+
+    const mediaId = await this.service.publishReel(
+      fs.readFileSync(files.video),
+      payload.caption,
+      path.basename(files.video),
+      coverUrl
+    );
+
+    // The permalink is only known once the media is live
+    const status = await this.fetchStatus(mediaId).catch(() => null);
+
+    return {
+      postId: mediaId,
+      url: status?.url || null,
+      details: { mediaType: status?.mediaType || 'REELS' }
+    };
+  }
+
+  /**
+   * Cross-post the Reel as a Story
+   * A failed Story does not fail the Instagram publish
+   */
+  async afterPublish(files, result, context) {
+    if (!context.job.options?.shareReelToStory) {
+      return;
+    }
+
+    try {
+      await context.updateProgress(STORY_STEP, 'processing', { story: { status: 'processing' } });
+
+      // Fall back to the Reel file, which is also 9:16, if the Story conversion failed
+      const storyPath = files.story || files.video;
+
+      const story = await context.runWithRetry(STORY_STEP, () =>
+        this.service.publishStoryVideo(fs.readFileSync(storyPath), path.basename(storyPath))
+      );
+
+      await context.updateProgress(STORY_STEP, 'completed', {
+        story: {
+          status: 'completed',
+          mediaId: story.mediaId,
+          error: undefined,
+          publishedAt: new Date()
+        }
+      });
+      context.emit('publish:story:done', { mediaId: story.mediaId });
+    } catch (error) {
+      console.error('[InstagramPublisher] Story publish failed:', error.message);
+
+      await context.updateProgress(STORY_STEP, 'failed', {
+        error: error.message,
+        story: { status: 'failed', error: error.message }
+      });
+      context.emit('publish:story:error', { error: error.message });
+    }
+  }
+
+  /**
+   * A retried Reel shares the Story again unless it already went out
+   */
+  prepareRetry(job) {
+    if (job.options?.shareReelToStory && job.story?.status !== 'completed') {
+      job.story = { status: 'pending' };
+    }
+  }
+
+  async fetchStatus(mediaId) {
+    const res = await axios.get(`${this.service.graphApiUrl}/${mediaId}`, {
+      params: {
+        fields: 'id,media_type,permalink,timestamp',
+        access_token: this.service._getCleanToken()
+      }
+    });
+
+    return {
+      status: 'published',
+      url: res.data.permalink || null,
+      mediaType: res.data.media_type,
+      publishedAt: res.data.timestamp || null
+    };
+  }
+}
+
+module.exports = InstagramPublisher;
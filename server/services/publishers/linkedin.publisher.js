@@ -0,0 +1,88 @@
+const fs = require('fs');
+const path = require('path');
+const LinkedInPublisherService = require('../linkedin-publisher.service');
+const { cleanToken } = require('../publish-credentials');
+const { buildLinkedInText, toLinkedInCommentary } = require('../platform-captions');
+
+const MIN_VIDEO_SECONDS = 3;
+
+/**
+ * LinkedIn publisher plugin - posts the video to the member's feed with the long description
+ */
+class LinkedInPublisher {
+  constructor() {
+    this.id = 'linkedin';
+    this.label = 'LinkedIn';
+    this.service = new LinkedInPublisherService();
+  }
+
+  isConnected(user) {
+    return Boolean(user.linkedinCredentials?.accessToken && user.linkedinCredentials?.memberId);
+  }
+
+  async connect(user) {
+    const expiresAt = user.linkedinCredentials.tokenExpiresAt;
+    if (expiresAt && expiresAt <= new Date()) {
+      throw new Error('LinkedIn access expired. Please reconnect your LinkedIn account.');
+    }
+    this.service.initialize(cleanToken(user.linkedinCredentials.accessToken), user.linkedinCredentials.memberId);
+  }
+
+  getExtraSteps() {
+    return [];
+  }
+
+  validate(metadata) {
+    // Longer videos are trimmed to 10 minutes while converting
+    return metadata.duration < MIN_VIDEO_SECONDS
+      ? [`LinkedIn videos must be at least ${MIN_VIDEO_SECONDS} seconds long`]
+      : [];
+  }
+
+  async transformMedia(ffmpegService, inputPath, outputDir) {
+    const basename = path.basename(inputPath, path.extname(inputPath));
+    const video = await ffmpegService.convertForLinkedIn(inputPath, path.join(outputDir, `${basename}_li.mp4`));
+    return { video: video.outputPath };
+  }
+
+  /**
+   * Jobs generated before LinkedIn was supported fall back to the YouTube description
+   */
+  buildPayload(content) {
+    return content.platformPayloads.linkedin || {
+      text: buildLinkedInText(
+        content.platformPayloads.youtube?.description || content.description || '',
+        content.platformPayloads.instagram?.hashtags || []
+      ),
+      title: content.platformPayloads.youtube?.title || content.title || ''
+    };
+  }
+
+  async publish(files, payload) {
+    const videoUrn = await this.service.uploadVideo(fs.readFileSync(files.video));
+    const postUrn = await this.service.createPost(toLinkedInCommentary(payload.text), {
+      id: videoUrn,
+      title: payload.title || ''
+    });
+
+    return {
+      postId: postUrn,
+      url: this.service.getPostUrl(postUrn),
+      details: { mediaType: 'VIDEO', videoUrn }
+    };
+  }
+
+  async fetchStatus(postUrn) {
+    const post = await this.service.getPost(postUrn);
+
+    if (!post) {
+      return { status: 'removed', url: null };
+    }
+    return {
+      status: post.lifecycleState === 'PUBLISHED' ? 'published' : 'processing',
+      url: this.service.getPostUrl(postUrn)
+    };
+  }
+}
+
+module.exports = LinkedInPublisher;
@@ -0,0 +1,85 @@
+const fs = require('fs');
+const path = require('path');
+const ThreadsPublisherService = require('../threads-publisher.service');
+const { cleanToken } = require('../publish-credentials');
+const { buildThreadsText } = require('../platform-captions');
+
+/**
+ * Threads publisher plugin - posts the video with a short caption of up to 500 characters
+ */
+class ThreadsPublisher {
+  constructor() {
+    this.id = 'threads';
+    this.label = 'Threads';
+    this.service = new ThreadsPublisherService();
+  }
+
+  isConnected(user) {
+    return Boolean(user.threadsCredentials?.accessToken && user.threadsCredentials?.userId);
+  }
+
+  /**
+   * @param {Object} user - User document
+   * @param {Object} options
+   * @param {MediaStorageService} [options.mediaStorage] - Where videos are hosted for Threads to fetch
+   */
+  async connect(user, { mediaStorage = null } = {}) {
+    this.service.initialize(cleanToken(user.threadsCredentials.accessToken), user.threadsCredentials.userId);
+    if (mediaStorage) {
+      this.service.useMediaStorage(mediaStorage);
+    }
+  }
+
+  getExtraSteps() {
+    return [];
+  }
+
+  validate() {
+    // Longer videos are trimmed to 5 minutes while converting
+    return [];
+  }
+
+  async transformMedia(ffmpegService, inputPath, outputDir) {
+    const basename = path.basename(inputPath, path.extname(inputPath));
+    const video = await ffmpegService.convertForThreads(inputPath, path.join(outputDir, `${basename}_threads.mp4`));
+    return { video: video.outputPath };
+  }
+
+  /**
+   * Jobs generated before Threads was supported fall back to the Instagram short caption
+   */
+  buildPayload(content) {
+    if (content.platformPayloads.threads) {
+      return content.platformPayloads.threads;
+    }
+
+    const instagram = content.platformPayloads.instagram || {};
+    return buildThreadsText(instagram.metadata?.shortCaption || content.description || '', instagram.hashtags || []);
+  }
+
+  async publish(files, payload) {
+    const mediaId = await this.service.publishVideo(
+      fs.readFileSync(files.video),
+      payload.text,
+      path.basename(files.video)
+    );
+
+    const post = await this.service.getPost(mediaId).catch(() => null);
+
+    return {
+      postId: mediaId,
+      url: post?.permalink || null,
+      details: { mediaType: 'VIDEO' }
+    };
+  }
+
+  async fetchStatus(mediaId) {
+    const post = await this.service.getPost(mediaId);
+
+    return post
+      ? { status: 'published', url: post.permalink }
+      : { status: 'removed', url: null };
+  }
+}
+
+module.exports = ThreadsPublisher;
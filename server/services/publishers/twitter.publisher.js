@@ -0,0 +1,80 @@
+const fs = require('fs');
+const path = require('path');
+const TwitterPublisherService = require('../twitter-publisher.service');
+const { resolveTwitterToken } = require('../publish-credentials');
+const { adaptCaption, splitIntoThread } = require('../tweet-thread');
+
+/**
+ * X publisher plugin - posts the video with the caption, split into a thread when it is too long
+ */
+class TwitterPublisher {
+  constructor() {
+    this.id = 'twitter';
+    this.label = 'X';
+    this.service = new TwitterPublisherService();
+    this.username = null;
+  }
+
+  isConnected(user) {
+    return Boolean(user.twitterCredentials?.accessToken);
+  }
+
+  async connect(user) {
+    this.service.initialize(await resolveTwitterToken(user));
+    this.username = user.twitterCredentials.username;
+  }
+
+  getExtraSteps() {
+    return [];
+  }
+
+  validate() {
+    // Longer videos are trimmed to 140 seconds while converting
+    return [];
+  }
+
+  async transformMedia(ffmpegService, inputPath, outputDir) {
+    const basename = path.basename(inputPath, path.extname(inputPath));
+    const video = await ffmpegService.convertForTwitter(inputPath, path.join(outputDir, `${basename}_x.mp4`));
+    return { video: video.outputPath };
+  }
+
+  /**
+   * Jobs generated before X was supported fall back to the Instagram caption
+   */
+  buildPayload(content) {
+    if (content.platformPayloads.twitter) {
+      return content.platformPayloads.twitter;
+    }
+
+    const text = adaptCaption(content.platformPayloads.instagram?.caption || content.description || '');
+    return { text, thread: splitIntoThread(text) };
+  }
+
+  async publish(files, payload) {
+    const mediaId = await this.service.uploadVideo(fs.readFileSync(files.video));
+    const thread = payload.thread?.length ? payload.thread : splitIntoThread(payload.text);
+    const tweetIds = await this.service.publishThread(thread, [mediaId]);
+
+    return {
+      postId: tweetIds[0],
+      url: this.buildUrl(tweetIds[0]),
+      details: { mediaType: 'VIDEO', threadIds: tweetIds }
+    };
+  }
+
+  async fetchStatus(tweetId) {
+    const tweet = await this.service.getTweet(tweetId);
+
+    return tweet
+      ? { status: 'published', url: this.buildUrl(tweetId) }
+      : { status: 'removed', url: null };
+  }
+
+  /** @private */
+  buildUrl(tweetId) {
+    return `https://x.com/${this.username || 'i/web'}/status/${tweetId}`;
+  }
+}
+
+module.exports = TwitterPublisher;
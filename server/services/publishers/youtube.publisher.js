@@ -0,0 +1,103 @@
+const path = require('path');
+const YouTubePublisherService = require('../youtube-publisher.service');
+const { resolveYouTubeToken } = require('../publish-credentials');
+
+/**
+ * YouTube publisher plugin - uploads the video as a Short
+ */
+class YouTubePublisher {
+  constructor() {
+    this.id = 'youtube';
+    this.label = 'YouTube';
+    this.service = new YouTubePublisherService();
+  }
+
+  isConnected(user) {
+    return Boolean(user.youtubeCredentials?.accessToken);
+  }
+
+  /**
+   * Refreshes the access token when it is about to expire
+   * @param {Object} user - User document
+   * @param {Object} options
+   * @param {Object} [options.account] - ConnectedAccount to upload to instead of the active channel
+   */
+  async connect(user, { account = null } = {}) {
+    const token = await resolveYouTubeToken(user, account);
+    this.service.initialize(token.replace(/\s+/g, '').trim());
+  }
+
+  getExtraSteps() {
+    return [];
+  }
+
+  validate() {
+    // Longer videos are trimmed to Shorts length while converting
+    return [];
+  }
+
+  async transformMedia(ffmpegService, inputPath, outputDir) {
+    const basename = path.basename(inputPath, path.extname(inputPath));
+    const short = await ffmpegService.convertForYouTube(inputPath, path.join(outputDir, `${basename}_youtube.mp4`));
+    return { video: short.outputPath };
+  }
+
+  buildPayload(content) {
+    return content.platformPayloads.youtube;
+  }
+
+  /**
+   * @param {Object} files - { video }
+   * @param {Object} payload - From buildPayload()
+   * @param {Object} context - Orchestrator helpers; reportProgress(percentage, extra) emits upload progress
+   */
+  async publish(files, payload, context) {
+    const result = await this.service.uploadVideo(
+      files.video,
+      {
+        title: payload.title,
+        description: payload.description,
+        tags: payload.tags,
+        categoryId: payload.categoryId,
+        privacyStatus: payload.privacy
+      },
+      (bytesUploaded, totalBytes, percentage) => {
+        // Emit progress event every 5%
+        if (percentage % 5 === 0 || percentage === 100) {
+          context.reportProgress(percentage, {
+            bytesUploaded,
+            totalBytes,
+            sizeMB: (totalBytes / 1024 / 1024).toFixed(2)
+          });
+        }
+      }
+    );
+
+    return {
+      postId: result.videoId,
+      url: result.url,
+      apiResponse: result.apiResponse,
+      details: { title: result.title }
+    };
+  }
+
+  async fetchStatus(videoId) {
+    const video = await this.service.getVideoDetails(videoId);
+    if (!video) {
+      return { status: 'removed', url: null };
+    }
+
+    const uploadStatus = video.status?.uploadStatus;
+    return {
+      status: uploadStatus === 'processed' ? 'published'
+        : ['failed', 'rejected', 'deleted'].includes(uploadStatus) ? 'failed'
+          : 'processing',
+      url: `https://www.youtube.com/watch?v=${videoId}`,
+      uploadStatus,
+      privacyStatus: video.status?.privacyStatus,
+      publishedAt: video.snippet?.publishedAt || null
+    };
+  }
+}
+
+module.exports = YouTubePublisher;
@@ -0,0 +1,180 @@
+const axios = require('axios');
+const User = require('../models/User');
+const PushSubscription = require('../models/push-subscription.model');
+const { validateSubscription, buildPushRequest } = require('./web-push');
+const { resolvePublicAddress, publicRequestOptions } = require('./public-host');
+const { isEventEnabled, buildNotification } = require('./notification-events');
+
+// Undelivered notifications are dropped by the push service after a day
+const TTL_SECONDS = 24 * 60 * 60;
+const URGENT_EVENTS = ['publishFailed', 'tokenExpiring', 'automationStopped'];
+
+function createError(message, statusCode) {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+}
+
+/**
+ * Push Notification Service
+ * Stores Web Push subscriptions per user and device, and sends notifications
+ * for automation and publishing events the user has not turned off.
+ *
+ * Needs VAPID_PUBLIC_KEY, VAPID_PRIVATE_KEY and VAPID_SUBJECT
+ * (generate the keys with: node server/scripts/generate-vapid-keys.js)
+ */
+class PushNotificationService {
+  /**
+   * @private
+   */
+  getVapidConfig() {
+    return {
+      publicKey: process.env.VAPID_PUBLIC_KEY,
+      privateKey: process.env.VAPID_PRIVATE_KEY,
+      subject: process.env.VAPID_SUBJECT
+    };
+  }
+
+  isConfigured() {
+    const { publicKey, privateKey, subject } = this.getVapidConfig();
+    return Boolean(publicKey && privateKey && subject);
+  }
+
+  /**
+   * Application server key browsers subscribe with
+   */
+  getPublicKey() {
+    return this.isConfigured() ? this.getVapidConfig().publicKey : null;
+  }
+
+  /**
+   * Save the subscription of a browser; a browser subscribed by another account moves to this one
+   */
+  async subscribe(userId, subscription, userAgent) {
+    if (!this.isConfigured()) {
+      throw createError('Push notifications are not configured on this server', 503);
+    }
+
+    const { endpoint, keys } = validateSubscription(subscription);
+    // Checked again on every send, the host may resolve elsewhere later
+    await resolvePublicAddress(new URL(endpoint).hostname);
+
+    return await PushSubscription.findOneAndUpdate(
+      { endpoint },
+      { $set: { userId, keys, userAgent: userAgent ? String(userAgent).slice(0, 300) : undefined } },
+      { upsert: true, new: true, setDefaultsOnInsert: true }
+    );
+  }
+
+  /**
+   * @returns {Promise<boolean>} Whether the subscription existed
+   */
+  async unsubscribe(userId, endpoint) {
+    const result = await PushSubscription.deleteOne({ userId, endpoint: String(endpoint || '') });
+    return result.deletedCount > 0;
+  }
+
+  async listSubscriptions(userId) {
+    return await PushSubscription.find({ userId })
+      .select('endpoint userAgent createdAt lastSuccessAt lastFailureAt lastError')
+      .sort({ createdAt: -1 })
+      .lean();
+  }
+
+  /**
+   * Notify every device of a user about an event, if the user wants it
+   * Never throws: a notification must not break the job or workflow sending it
+   * @param {string} userId
+   * @param {string} event - See NOTIFICATION_EVENTS
+   * @param {Object} data - Event details for the notification text
+   * @returns {Promise<{sent: number, failed: number}>}
+   */
+  async notify(userId, event, data = {}) {
+    try {
+      if (!this.isConfigured() || !userId) {
+        return { sent: 0, failed: 0 };
+      }
+
+      const user = await User.findById(userId).select('notificationPreferences').lean();
+      if (!user || !isEventEnabled(user.notificationPreferences, event)) {
+        return { sent: 0, failed: 0 };
+      }
+
+      const subscriptions = await PushSubscription.find({ userId });
+      if (subscriptions.length === 0) {
+        return { sent: 0, failed: 0 };
+      }
+
+      const notification = { ...buildNotification(event, data), event };
+      const results = await Promise.all(subscriptions.map(subscription => this.send(subscription, notification)));
+      const sent = results.filter(Boolean).length;
+
+      console.log(`[PushNotifications] ${event} for user ${userId}: ${sent}/${subscriptions.length} delivered`);
+      return { sent, failed: subscriptions.length - sent };
+    } catch (error) {
+      console.error(`[PushNotifications] Failed to send ${event} to user ${userId}:`, error.message);
+      return { sent: 0, failed: 0 };
+    }
+  }
+
+  /**
+   * Send a test notification to every device of the user
+   */
+  async sendTest(userId) {
+    if (!this.isConfigured()) {
+      throw createError('Push notifications are not configured on this server', 503);
+    }
+    if (await PushSubscription.countDocuments({ userId }) === 0) {
+      throw createError('No device is subscribed to notifications', 404);
+    }
+
+    return await this.notify(userId, 'test');
+  }
+
+  /**
+   * Post one notification; subscriptions the push service no longer knows are removed
+   * @private
+   * @returns {Promise<boolean>} Whether the push service accepted it
+   */
+  async send(subscription, notification) {
+    try {
+      const request = buildPushRequest(subscription, notification, this.getVapidConfig(), {
+        ttl: TTL_SECONDS,
+        urgency: URGENT_EVENTS.includes(notification.event) ? 'high' : 'normal',
+        topic: notification.tag
+      });
+
+      // Endpoints come from browsers, so only public hosts are contacted and redirects are not followed
+      await axios.post(request.url, request.body, {
+        ...await publicRequestOptions(request.url),
+        headers: request.headers,
+        timeout: 15000,
+        maxRedirects: 0
+      });
+
+      subscription.lastSuccessAt = new Date();
+      subscription.lastError = undefined;
+      await subscription.save();
+      return true;
+    } catch (error) {
+      const status = error.response?.status;
+
+      // Expired or unsubscribed in the browser
+      if (status === 404 || status === 410) {
+        console.log(`[PushNotifications] Removing expired subscription ${subscription._id}`);
+        await PushSubscription.deleteOne({ _id: subscription._id }).catch(() => {});
+        return false;
+      }
+
+      console.error(`[PushNotifications] Push to subscription ${subscription._id} failed:`, status || '', error.message);
+      subscription.lastFailureAt = new Date();
+      subscription.lastError = status ? `HTTP ${status}` : error.message;
+      await subscription.save().catch(() => {});
+      return false;
+    }
+  }
+}
+
+// Export singleton instance
+const pushNotificationService = new PushNotificationService();
+module.exports = pushNotificationService;
@@ -0,0 +1,218 @@
+const ProcessedComment = require('../models/ProcessedComment');
+const ActivityLog = require('../models/ActivityLog');
+const User = require('../models/User');
+const AIReplyService = require('./ai-reply.service');
+const { getInstagramServiceForUser } = require('./instagram-client');
+const { getYouTubeCommentsServiceForUser } = require('./youtube-client');
+const webhooks = require('./webhook.service');
+
+/**
+ * ReplyApprovalService - Review queue for AI replies held by the approval policy
+ */
+class ReplyApprovalService {
+  /**
+   * List replies waiting for approval
+   */
+  async listPending(userId, options = {}) {
+    const [items, total] = await Promise.all([
+      ProcessedComment.getPendingApprovals(userId, options),
+      ProcessedComment.countDocuments({ userId, status: 'pending_approval' })
+    ]);
+
+    return { items, total };
+  }
+
+  /**
+   * Approve a pending reply (optionally edited) and post it on the comment's platform
+   * The reply is claimed first so two approvals cannot post it twice
+   * @param {Object} [clients] - Comment services by platform, shared across a bulk approval
+   */
+  async approve(userId, commentId, replyText = null, clients = {}) {
+    const record = await this.getPendingRecord(userId, commentId);
+    const text = (replyText || record.replyText || '').trim();
+
+    if (!text) {
+      throw this.createError('Reply text cannot be empty', 400);
+    }
+
+    const claimed = await ProcessedComment.findOneAndUpdate(
+      { _id: record._id, status: 'pending_approval' },
+      { $set: { status: 'posting' } }
+    );
+    if (!claimed) {
+      throw this.createError('Pending reply not found', 404);
+    }
+
+    let result;
+    try {
+      const commentService = await this.getCommentService(userId, record.platform, clients);
+      result = await commentService.replyToCommentSmart(commentId, text);
+    } catch (error) {
+      // Back to the queue so it can be approved again
+      await ProcessedComment.updateOne(
+        { _id: record._id, status: 'posting' },
+        { $set: { status: 'pending_approval' } }
+      );
+      throw error;
+    }
+    const replyType = result?.type || 'public';
+
+    await ProcessedComment.updateOne(
+      { _id: record._id },
+      {
+        $set: {
+          status: 'reply_posted',
+          replyText: text,
+          replyId: result?.id || null,
+          repliedAt: new Date(),
+          reviewedAt: new Date(),
+          error: null
+        }
+      }
+    );
+
+    await ActivityLog.log(userId, 'reply_posted', 'approval', `Approved reply posted to comment from @${record.username}`, {
+      commentId,
+      postId: record.postId,
+      reply: text,
+      edited: text !== record.replyText,
+      replyType
+    });
+    await webhooks.dispatch(userId, 'comment.replied', {
+      commentId,
+      postId: record.postId,
+      platform: record.platform || 'instagram',
+      username: record.username,
+      text: record.text,
+      reply: text,
+      replyType,
+      approved: true
+    });
+
+    console.log(`[ReplyApproval] Posted approved reply for comment ${commentId}`);
+
+    return { commentId, replyText: text, replyId: result?.id || null, replyType };
+  }
+
+  /**
+   * Reject a pending reply, it will not be posted
+   */
+  async reject(userId, commentId) {
+    const record = await ProcessedComment.findOneAndUpdate(
+      { userId, commentId, status: 'pending_approval' },
+      { $set: { status: 'rejected', reviewedAt: new Date() } }
+    );
+
+    if (!record) {
+      throw this.createError('Pending reply not found', 404);
+    }
+
+    await ActivityLog.log(userId, 'info', 'approval', `Rejected reply to comment from @${record.username}`, {
+      commentId,
+      postId: record.postId,
+      reply: record.replyText
+    });
+
+    return { commentId };
+  }
+
+  /**
+   * Generate fresh reply options for a pending comment
+   */
+  async regenerate(userId, commentId, tone = null) {
+    const record = await this.getPendingRecord(userId, commentId);
+
+    const geminiApiKey = process.env.GEMINI_API_KEY;
+    if (!geminiApiKey || geminiApiKey.trim() === '') {
+      throw this.createError('GEMINI_API_KEY environment variable not set or invalid', 500);
+    }
+
+    let replyTone = tone;
+    if (!replyTone) {
+      const user = await User.findById(userId).select('automationSettings.replyTone').lean();
+      replyTone = user?.automationSettings?.replyTone || 'friendly';
+    }
+
+    const aiReplyService = new AIReplyService(geminiApiKey.trim());
+    const options = await aiReplyService.generateReplyOptions(record.commentText, replyTone, {
+      caption: record.postCaption,
+      postType: record.postType
+    });
+
+    if (!options || options.length === 0) {
+      throw this.createError('AI did not return any reply options', 502);
+    }
+
+    await ProcessedComment.updateOne(
+      { _id: record._id },
+      { $set: { replyOptions: options, replyText: options[0] } }
+    );
+
+    return { commentId, replyText: options[0], replyOptions: options };
+  }
+
+  /**
+   * Approve or reject several replies; failures don't stop the batch
+   */
+  async bulk(userId, commentIds, action) {
+    const results = [];
+    // One client per platform for the whole batch
+    const clients = {};
+
+    for (const commentId of commentIds) {
+      try {
+        if (action === 'approve') {
+          await this.approve(userId, commentId, null, clients);
+        } else {
+          await this.reject(userId, commentId);
+        }
+        results.push({ commentId, success: true });
+      } catch (error) {
+        console.error(`[ReplyApproval] Bulk ${action} failed for ${commentId}:`, error.message);
+        results.push({ commentId, success: false, error: error.message });
+      }
+    }
+
+    return results;
+  }
+
+  /**
+   * Find a reply that is still waiting for review
+   * @private
+   */
+  async getPendingRecord(userId, commentId) {
+    const record = await ProcessedComment.findOne({ userId, commentId, status: 'pending_approval' });
+
+    if (!record) {
+      throw this.createError('Pending reply not found', 404);
+    }
+
+    return record;
+  }
+
+  /**
+   * Comment service of a platform, created once per clients cache
+   * A client that failed to connect fails the rest of the batch without retrying
+   * @private
+   */
+  async getCommentService(userId, platform, clients) {
+    const key = platform === 'youtube' ? 'youtube' : 'instagram';
+    if (!clients[key]) {
+      clients[key] = key === 'youtube'
+        ? getYouTubeCommentsServiceForUser(userId)
+        : getInstagramServiceForUser(userId);
+    }
+    return await clients[key];
+  }
+
+  /**
+   * @private
+   */
+  createError(message, statusCode) {
+    const error = new Error(message);
+    error.statusCode = statusCode;
+    return error;
+  }
+}
+
+module.exports = ReplyApprovalService;
@@ -0,0 +1,213 @@
+/**
+ * Review Content
+ *
+ * Helpers for reviewing the generated content of a dual-publish job before
+ * it goes live. Builds the per-platform previews with character counts,
+ * applies the user's edits to the saved platform payloads and checks them
+ * against the platform limits.
+ */
+
+const {
+  MAX_CAPTION_LENGTH,
+  MAX_HASHTAGS,
+  normalizeHashtags,
+  splitCaption,
+  composeCaption,
+  validateCaption
+} = require('./post-draft');
+const { sanitizeYouTubeTags, getTotalTagLength } = require('./youtube-tag-sanitizer');
+
+const YOUTUBE_LIMITS = {
+  title: 100,
+  description: 5000,
+  // Total length of the tags joined with commas
+  tags: 500
+};
+
+// Editable fields per platform
+const REVIEW_FIELDS = {
+  instagram: ['caption', 'hashtags'],
+  youtube: ['title', 'description', 'tags']
+};
+
+// Graph node that regenerates a field, and the state key holding its output
+const REGENERATE_NODES = {
+  instagram: {
+    caption: { node: 'description_node', output: 'shortCaption' },
+    hashtags: { node: 'hashtags_node', output: 'selectedHashtags' }
+  },
+  youtube: {
+    title: { node: 'topic_node', output: 'selectedTopic' },
+    description: { node: 'description_node', output: 'description' },
+    tags: { node: 'seo_tags_node', output: 'seoTags' }
+  }
+};
+
+/**
+ * Split tags from a comma or newline separated string or an array
+ * @param {string|string[]} input
+ * @returns {string[]}
+ */
+function toTagList(input) {
+  const parts = Array.isArray(input) ? input : String(input || '').split(/[,\n]+/);
+  return parts.map(tag => String(tag).trim()).filter(Boolean);
+}
+
+/**
+ * Caption body of an Instagram payload, without the hashtag block
+ * @private
+ */
+function instagramBody(payload) {
+  return payload.metadata?.shortCaption ?? splitCaption(payload.caption).text;
+}
+
+/**
+ * Previews of the reviewable platforms a job publishes to
+ * @param {Object} payloads - generatedContent.platformPayloads
+ * @param {string[]} targets - Platforms the job publishes to
+ * @returns {Object} Preview per platform, e.g. { instagram: { caption, counts, limits } }
+ */
+function buildReviewPreview(payloads = {}, targets = Object.keys(REVIEW_FIELDS)) {
+  const preview = {};
+
+  if (targets.includes('instagram') && payloads.instagram) {
+    const instagram = payloads.instagram;
+    const hashtags = instagram.hashtags || [];
+
+    preview.instagram = {
+      caption: instagramBody(instagram),
+      hashtags,
+      fullCaption: instagram.caption || '',
+      counts: { caption: (instagram.caption || '').length, hashtags: hashtags.length },
+      limits: { caption: MAX_CAPTION_LENGTH, hashtags: MAX_HASHTAGS }
+    };
+  }
+
+  if (targets.includes('youtube') && payloads.youtube) {
+    const youtube = payloads.youtube;
+    const tags = toTagList(youtube.tags);
+    const sanitizedTags = sanitizeYouTubeTags(tags);
+
+    preview.youtube = {
+      title: youtube.title || '',
+      description: youtube.description || '',
+      tags,
+      // What is actually sent to YouTube
+      sanitizedTags,
+      counts: {
+        title: (youtube.title || '').length,
+        description: (youtube.description || '').length,
+        tags: getTotalTagLength(sanitizedTags)
+      },
+      limits: YOUTUBE_LIMITS
+    };
+  }
+
+  return preview;
+}
+
+/**
+ * Check a YouTube payload against YouTube's limits
+ * @private
+ * @returns {string[]}
+ */
+function validateYouTube({ title = '', description = '', tags = [] }) {
+  const errors = [];
+
+  if (!title.trim()) {
+    errors.push('YouTube title cannot be empty');
+  } else if (title.length > YOUTUBE_LIMITS.title) {
+    errors.push(`YouTube title must be at most ${YOUTUBE_LIMITS.title} characters (currently ${title.length})`);
+  }
+  if (description.length > YOUTUBE_LIMITS.description) {
+    errors.push(`YouTube description must be at most ${YOUTUBE_LIMITS.description} characters (currently ${description.length})`);
+  }
+  if (/[<>]/.test(title) || /[<>]/.test(description)) {
+    errors.push('YouTube titles and descriptions cannot contain < or >');
+  }
+
+  const tagLength = getTotalTagLength(sanitizeYouTubeTags(tags));
+  if (tagLength > YOUTUBE_LIMITS.tags) {
+    errors.push(`YouTube tags must be at most ${YOUTUBE_LIMITS.tags} characters in total (currently ${tagLength})`);
+  }
+
+  return errors;
+}
+
+/**
+ * Apply edited fields to one platform's payload
+ * Payloads are saved even when invalid so the user can keep editing;
+ * the returned errors block approval
+ * @param {Object} payloads - generatedContent.platformPayloads
+ * @param {string} platform
+ * @param {Object} fields - e.g. { caption, hashtags } or { title, description, tags }
+ * @returns {{ payloads: Object, errors: string[] }}
+ */
+function applyReviewEdits(payloads, platform, fields = {}) {
+  const allowed = REVIEW_FIELDS[platform];
+  if (!allowed || !payloads?.[platform]) {
+    return { payloads, errors: [`${platform} content cannot be reviewed`] };
+  }
+
+  const unknown = Object.keys(fields).filter(field => !allowed.includes(field));
+  if (unknown.length > 0) {
+    return { payloads, errors: [`Unknown ${platform} field: ${unknown.join(', ')}`] };
+  }
+
+  const current = payloads[platform];
+
+  if (platform === 'instagram') {
+    const body = String(fields.caption ?? instagramBody(current)).trim();
+    const hashtags = normalizeHashtags(fields.hashtags ?? current.hashtags);
+    const caption = composeCaption(body, hashtags);
+    const error = validateCaption(caption);
+
+    return {
+      payloads: {
+        ...payloads,
+        instagram: {
+          ...current,
+          caption,
+          hashtags: hashtags ? hashtags.split(' ') : [],
+          metadata: { ...current.metadata, shortCaption: body }
+        }
+      },
+      errors: error ? [error] : []
+    };
+  }
+
+  const youtube = {
+    ...current,
+    title: String(fields.title ?? current.title ?? '').trim(),
+    description: String(fields.description ?? current.description ?? '').trim(),
+    tags: toTagList(fields.tags ?? current.tags)
+  };
+
+  return {
+    payloads: { ...payloads, youtube },
+    errors: validateYouTube(youtube)
+  };
+}
+
+/**
+ * Everything that stops the reviewed content from being published
+ * @param {Object} payloads - generatedContent.platformPayloads
+ * @param {string[]} targets - Platforms the job publishes to
+ * @returns {string[]}
+ */
+function validateReview(payloads, targets) {
+  return targets
+    .filter(platform => REVIEW_FIELDS[platform] && payloads?.[platform])
+    .flatMap(platform => applyReviewEdits(payloads, platform).errors);
+}
+
+// Export functions
+module.exports = {
+  YOUTUBE_LIMITS,
+  REVIEW_FIELDS,
+  REGENERATE_NODES,
+  toTagList,
+  buildReviewPreview,
+  applyReviewEdits,
+  validateReview
+};
@@ -1,5 +1,8 @@
 const ActivityLog = require('../models/ActivityLog');
 const ProcessedComment = require('../models/ProcessedComment');
+const CommentRule = require('../models/CommentRule');
+const DMCampaign = require('../models/DMCampaign');
+const CampaignDelivery = require('../models/CampaignDelivery');
 const User = require('../models/User');
 
 /**
@@ -9,6 +12,11 @@ const User = require('../models/User');
 class StorageService {
   constructor(userId = null) {
     this.userId = userId;
+    // Comment platform this instance stores for; YouTube automation is scoped to a channel
+    this.platform = 'instagram';
+    this.channelId = null;
+    // Instagram account processed comments belong to
+    this.accountId = null;
   }
 
   /**
@@ -25,6 +33,24 @@ class StorageService {
     return this.userId;
   }
 
+  /**
+   * Scope processed comments and automation state to a platform
+   * @param {string} platform - 'instagram' or 'youtube'
+   * @param {string} channelId - YouTube channel ID
+   */
+  setPlatform(platform, channelId = null) {
+    this.platform = platform;
+    this.channelId = channelId;
+  }
+
+  /**
+   * Record the Instagram account processed comments belong to
+   * @param {string} accountId - Instagram account ID
+   */
+  setAccount(accountId) {
+    this.accountId = accountId ? String(accountId) : null;
+  }
+
   /**
    * Append a log entry
    */
@@ -107,10 +133,17 @@ class StorageService {
       await ProcessedComment.markProcessed(this.userId, {
         id: commentId,
         postId: commentData.postId || 'unknown',
+        platform: commentData.platform || this.platform,
+        accountId: (commentData.platform || this.platform) === 'instagram' ? this.accountId : null,
         username: commentData.username || 'unknown',
         text: commentData.text || '',
         reply: commentData.reply || null,
         replyId: commentData.replyId || null,
+        postCaption: commentData.postCaption || null,
+        postType: commentData.postType || null,
+        triage: commentData.triage || null,
+        moderation: commentData.moderation || null,
+        campaign: commentData.campaign || null,
         status: commentData.status || 'reply_posted'
       });
     } catch (error) {
@@ -119,6 +152,78 @@ class StorageService {
     }
   }
 
+  /**
+   * Get enabled comment triage rules in evaluation order
+   */
+  async getCommentRules() {
+    try {
+      if (!this.userId) {
+        return [];
+      }
+
+      return await CommentRule.getActiveRules(this.userId);
+    } catch (error) {
+      console.error('Error loading comment rules:', error);
+      return [];
+    }
+  }
+
+  /**
+   * Record that a triage rule matched a comment
+   */
+  async recordRuleMatch(ruleId) {
+    try {
+      await CommentRule.recordMatch(ruleId);
+    } catch (error) {
+      console.error('Error recording rule match:', error);
+    }
+  }
+
+  /**
+   * Get active comment-to-DM campaigns
+   */
+  async getDMCampaigns() {
+    try {
+      if (!this.userId) {
+        return [];
+      }
+
+      return await DMCampaign.getActiveCampaigns(this.userId);
+    } catch (error) {
+      console.error('Error loading DM campaigns:', error);
+      return [];
+    }
+  }
+
+  /**
+   * Reserve a campaign DM for a recipient
+   * @returns {Promise<boolean>} - false if the recipient was already messaged
+   */
+  async claimCampaignDelivery(campaignId, recipient, commentId) {
+    return await CampaignDelivery.claim(this.userId, campaignId, recipient, commentId);
+  }
+
+  /**
+   * Record the outcome of a campaign DM
+   */
+  async completeCampaignDelivery(campaignId, recipient, { status, error = null }) {
+    await CampaignDelivery.updateOne(
+      { campaignId, recipient },
+      { $set: { status, error, sentAt: status === 'sent' ? new Date() : null } }
+    );
+  }
+
+  /**
+   * Increment campaign counters
+   */
+  async recordCampaignStats(campaignId, counters) {
+    try {
+      await DMCampaign.incrementStats(campaignId, counters);
+    } catch (error) {
+      console.error('Error recording campaign stats:', error);
+    }
+  }
+
   /**
    * Get configuration (from User model)
    */
@@ -192,7 +297,11 @@ class StorageService {
         throw new Error('User not found');
       }
 
-      user.automationSettings.isActive = state.isActive || false;
+      if (this.platform === 'youtube') {
+        user.set(`youtubeAutomation.${this.channelId}.isActive`, state.isActive || false);
+      } else {
+        user.automationSettings.isActive = state.isActive || false;
+      }
       await user.save();
     } catch (error) {
       console.error('Error saving automation state:', error);
@@ -214,8 +323,12 @@ class StorageService {
         return null;
       }
 
+      const settings = this.platform === 'youtube'
+        ? user.youtubeAutomation?.get(this.channelId)
+        : user.automationSettings;
+
       return {
-        isActive: user.automationSettings?.isActive || false,
+        isActive: settings?.isActive || false,
         lastCheckTime: null,
         processedComments: []
       };
@@ -0,0 +1,74 @@
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+const crypto = require('crypto');
+const FFmpegService = require('./ffmpeg.service');
+
+/**
+ * Story Variant
+ *
+ * Helpers for sharing an AI-generated feed post to Instagram Stories:
+ * a 9:16 version of the post image, and publishing it after the feed post.
+ */
+
+/**
+ * Convert a feed image into a 1080x1920 Story image and upload it
+ * @param {InstagramPublisherService} publisher - Used for the image upload
+ * @param {Buffer} imageBuffer - Feed image
+ * @returns {Promise<string|null>} Public URL, or null when conversion or upload fails
+ *   (the Story then falls back to the feed image)
+ */
+async function uploadStoryImage(publisher, imageBuffer) {
+  const id = crypto.randomBytes(8).toString('hex');
+  const inputPath = path.join(os.tmpdir(), `story-src-${id}.jpg`);
+  const outputPath = path.join(os.tmpdir(), `story-${id}.jpg`);
+
+  try {
+    await fs.writeFile(inputPath, imageBuffer);
+    await new FFmpegService().convertImageForStory(inputPath, outputPath);
+
+    const storyBuffer = await fs.readFile(outputPath);
+    return await publisher.uploadImageToPublicServer(storyBuffer, `story-${Date.now()}.jpg`);
+  } catch (error) {
+    console.warn('[StoryVariant] Could not create Story image, the feed image will be used:', error.message);
+    return null;
+  } finally {
+    await fs.unlink(inputPath).catch(() => {});
+    await fs.unlink(outputPath).catch(() => {});
+  }
+}
+
+/**
+ * Publish a post's Story variant after its feed post went live
+ * Records the outcome on post.story (caller saves the post); never throws,
+ * since a failed Story should not fail an already published post
+ * @param {InstagramPublisherService} publisher - Initialized publisher
+ * @param {Post} post
+ * @returns {Promise<string|null>} Story media id
+ */
+async function publishPostStory(publisher, post) {
+  if (!post.story?.enabled) return null;
+
+  try {
+    const mediaId = await publisher.publishStory({ imageUrl: post.story.imageUrl || post.imageUrl });
+
+    post.story.status = 'published';
+    post.story.mediaId = mediaId;
+    post.story.publishedAt = new Date();
+    post.story.error = undefined;
+
+    console.log(`[StoryVariant] Shared post ${post._id} to Story ${mediaId}`);
+    return mediaId;
+  } catch (error) {
+    console.error(`[StoryVariant] Story for post ${post._id} failed:`, error.message);
+
+    post.story.status = 'failed';
+    post.story.error = error.message;
+    return null;
+  }
+}
+
+module.exports = {
+  uploadStoryImage,
+  publishPostStory
+};
@@ -0,0 +1,140 @@
+const axios = require('axios');
+const MediaStorageService = require('./media-storage.service');
+
+/**
+ * Threads Publisher Service
+ *
+ * REQUIREMENTS:
+ *  - Long-lived Threads token with threads_content_publish
+ *  - Threads user ID the token belongs to
+ *
+ * Publishing works like Instagram: create a media container from a hosted
+ * URL, wait until Threads has processed it, then publish the container.
+ */
+class ThreadsPublisherService {
+  constructor() {
+    this.apiUrl = 'https://graph.threads.net/v1.0';
+    this.accessToken = null;
+    this.userId = null;
+    this.mediaStorage = null;
+    this.statusPollInterval = 5000;
+    this.statusMaxAttempts = 60;
+  }
+
+  /**
+   * Initialize with a Threads access token and user ID
+   */
+  initialize(accessToken, userId) {
+    this.accessToken = accessToken
+      ? accessToken.replace(/[\s\n\r\t]+/g, '').replace(/%20/g, '').trim()
+      : null;
+    this.userId = userId;
+    return this;
+  }
+
+  /**
+   * Use a user's media storage backend for uploads
+   * @param {MediaStorageService} mediaStorage - From MediaStorageService.forUser()
+   */
+  useMediaStorage(mediaStorage) {
+    this.mediaStorage = mediaStorage;
+    return this;
+  }
+
+  /** @private */
+  _getMediaStorage() {
+    if (!this.mediaStorage) {
+      this.mediaStorage = MediaStorageService.fromEnv();
+    }
+    return this.mediaStorage;
+  }
+
+  /** @private */
+  _getToken() {
+    if (!this.accessToken || !this.userId) {
+      throw new Error('Threads account not connected');
+    }
+    return this.accessToken;
+  }
+
+  /** @private */
+  _apiError(action, error) {
+    return new Error(`${action}: ${error.response?.data?.error?.message || error.message}`);
+  }
+
+  /**
+   * Create a media container and wait until it can be published
+   * @private
+   */
+  async createContainer(params) {
+    const token = this._getToken();
+    const res = await axios.post(`${this.apiUrl}/${this.userId}/threads`, null, {
+      params: { ...params, access_token: token }
+    });
+    const containerId = res.data.id;
+
+    for (let attempt = 0; attempt < this.statusMaxAttempts; attempt++) {
+      const status = await axios.get(`${this.apiUrl}/${containerId}`, {
+        params: { fields: 'status,error_message', access_token: token }
+      });
+
+      if (status.data.status === 'FINISHED') {
+        return containerId;
+      }
+      if (status.data.status === 'ERROR' || status.data.status === 'EXPIRED') {
+        throw new Error(`Threads could not process the media: ${status.data.error_message || status.data.status}`);
+      }
+
+      await new Promise(resolve => setTimeout(resolve, this.statusPollInterval));
+    }
+
+    throw new Error('Timed out waiting for Threads to process the media');
+  }
+
+  /** @private */
+  async publishContainer(containerId) {
+    const res = await axios.post(`${this.apiUrl}/${this.userId}/threads_publish`, null, {
+      params: { creation_id: containerId, access_token: this._getToken() }
+    });
+    return res.data.id;
+  }
+
+  /**
+   * Publish a video post; Threads fetches the file from the hosted URL
+   * @returns {Promise<string>} Threads media ID
+   */
+  async publishVideo(videoBuffer, text, filename = 'video.mp4') {
+    const hostedUrl = await this._getMediaStorage().upload(videoBuffer, { filename, contentType: 'video/mp4' });
+    const videoUrl = await this._getMediaStorage().getFetchableUrl(hostedUrl);
+
+    try {
+      const containerId = await this.createContainer({ media_type: 'VIDEO', video_url: videoUrl, text: text || '' });
+      const mediaId = await this.publishContainer(containerId);
+
+      await MediaStorageService.markConsumed([videoUrl]);
+      return mediaId;
+    } catch (error) {
+      throw this._apiError('Failed to publish video', error);
+    }
+  }
+
+  /**
+   * Threads post details
+   * @returns {Promise<{id: string, permalink: string|null}|null>} null when deleted
+   */
+  async getPost(mediaId) {
+    try {
+      const res = await axios.get(`${this.apiUrl}/${mediaId}`, {
+        params: { fields: 'id,permalink', access_token: this._getToken() }
+      });
+      return { id: res.data.id, permalink: res.data.permalink || null };
+    } catch (error) {
+      if (error.response?.status === 404 || error.response?.data?.error?.code === 100) {
+        return null;
+      }
+      throw this._apiError('Failed to get post', error);
+    }
+  }
+}
+
+module.exports = ThreadsPublisherService;
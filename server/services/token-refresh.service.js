@@ -2,10 +2,15 @@ const User = require('../models/User');
 const { EncryptionService } = require('./encryption.service');
 const InstagramOAuthService = require('./oauth-instagram.service');
 const YouTubeOAuthService = require('./oauth-youtube.service');
+const ThreadsOAuthService = require('./oauth-threads.service');
+const pushNotifications = require('./push-notification.service');
+const webhooks = require('./webhook.service');
+const connectedAccounts = require('./connected-accounts.service');
 
 const encryptionService = new EncryptionService();
 const instagramOAuth = new InstagramOAuthService();
 const youtubeOAuth = new YouTubeOAuthService();
+const threadsOAuth = new ThreadsOAuthService();
 
 /**
  * Token Refresh Service
@@ -22,6 +27,10 @@ const youtubeOAuth = new YouTubeOAuthService();
  * - Refresh token: Never expires (until revoked)
  * - Refresh 10 minutes before expiration
  * - Store: access_token, refresh_token, token_type, scope, expiry_date
+ *
+ * Threads Token Handling:
+ * - Long-lived token: ~60 days validity
+ * - Refresh 7 days before expiration using: https://graph.threads.net/refresh_access_token
  */
 class TokenRefreshService {
   constructor() {
@@ -70,7 +79,8 @@ class TokenRefreshService {
       const users = await User.find({
         $or: [
           { 'instagramCredentials.isActive': true },
-          { 'youtubeCredentials.isActive': true }
+          { 'youtubeCredentials.isActive': true },
+          { 'threadsCredentials.isActive': true }
         ]
       });
 
@@ -86,8 +96,15 @@ class TokenRefreshService {
         if (user.youtubeCredentials?.isActive && user.youtubeCredentials?.refreshToken) {
           await this.checkYouTubeToken(user);
         }
+
+        // Check Threads token
+        if (user.threadsCredentials?.isActive && user.threadsCredentials?.accessToken) {
+          await this.checkThreadsToken(user);
+        }
       }
 
+      await this.checkStandbyInstagramTokens();
+
       console.log('[TokenRefresh] Token check completed');
     } catch (error) {
       console.error('[TokenRefresh] Error checking tokens:', error);
@@ -141,9 +158,11 @@ class TokenRefreshService {
             console.log(`[TokenRefresh] Instagram token refreshed successfully for user ${user.email}`);
           } else {
             console.error(`[TokenRefresh] Failed to refresh Instagram token for user ${user.email}:`, refreshResult.error);
+            await this.notifyExpiring(user, 'instagram');
           }
         } catch (decryptError) {
           console.error(`[TokenRefresh] Cannot decrypt Instagram token for user ${user.email} - token encrypted with different key. User needs to re-authenticate.`);
+          await this.notifyExpiring(user, 'instagram');
         }
       }
     } catch (error) {
@@ -151,6 +170,40 @@ class TokenRefreshService {
     }
   }
 
+  /**
+   * Refresh tokens of Instagram accounts that are connected but not active
+   * YouTube channels keep a refresh token and are refreshed when they publish
+   */
+  async checkStandbyInstagramTokens() {
+    const accounts = await connectedAccounts.listStandby('instagram');
+
+    for (const account of accounts) {
+      try {
+        const daysUntilExpiry = (new Date(account.credentials?.tokenExpiresAt) - new Date()) / (1000 * 60 * 60 * 24);
+        if (isNaN(daysUntilExpiry) || daysUntilExpiry < 0 || daysUntilExpiry >= 7) {
+          continue;
+        }
+
+        console.log(`[TokenRefresh] Refreshing Instagram token for standby account ${account.name}`);
+        const accessToken = encryptionService.decrypt(account.credentials.accessToken);
+        const refreshResult = await instagramOAuth.refreshToken(accessToken?.replace(/\s+/g, '').trim());
+
+        if (!refreshResult.success) {
+          console.error(`[TokenRefresh] Failed to refresh Instagram token for standby account ${account.name}:`, refreshResult.error);
+          continue;
+        }
+
+        account.credentials.accessToken = encryptionService.encrypt(refreshResult.accessToken);
+        account.credentials.tokenExpiresAt = new Date(Date.now() + refreshResult.expiresIn * 1000);
+        account.credentials.lastUpdated = new Date();
+        account.markModified('credentials');
+        await account.save();
+      } catch (error) {
+        console.error(`[TokenRefresh] Error checking Instagram token for standby account ${account.name}:`, error.message);
+      }
+    }
+  }
+
   /**
    * Check and refresh YouTube token if needed
    * YouTube access tokens expire after 3600 seconds (1 hour)
@@ -214,6 +267,73 @@ class TokenRefreshService {
     }
   }
 
+  /**
+   * Check and refresh Threads token if needed
+   * Threads long-lived tokens expire after ~60 days
+   * Refresh 7 days before expiration
+   */
+  async checkThreadsToken(user) {
+    try {
+      const expiresAt = new Date(user.threadsCredentials.tokenExpiresAt);
+      const daysUntilExpiry = (expiresAt - new Date()) / (1000 * 60 * 60 * 24);
+
+      if (isNaN(daysUntilExpiry)) {
+        console.log(`[TokenRefresh] Threads token for user ${user.email} has invalid expiry date - skipping`);
+        return;
+      }
+
+      if (daysUntilExpiry < 0) {
+        console.log(`[TokenRefresh] Threads token for user ${user.email} already expired - user needs to re-authenticate`);
+        return;
+      }
+
+      if (daysUntilExpiry < 7) {
+        console.log(`[TokenRefresh] Refreshing Threads token for user ${user.email}`);
+
+        try {
+          const accessToken = encryptionService.decrypt(user.threadsCredentials.accessToken);
+          const refreshResult = await threadsOAuth.refreshToken(accessToken?.replace(/\s+/g, '').trim());
+
+          if (refreshResult.success) {
+            user.threadsCredentials.accessToken = encryptionService.encrypt(refreshResult.accessToken);
+            user.threadsCredentials.tokenExpiresAt = new Date(Date.now() + refreshResult.expiresIn * 1000);
+            user.threadsCredentials.lastUpdated = new Date();
+
+            await user.save();
+            console.log(`[TokenRefresh] Threads token refreshed successfully for user ${user.email}`);
+          } else {
+            console.error(`[TokenRefresh] Failed to refresh Threads token for user ${user.email}:`, refreshResult.error);
+            await this.notifyExpiring(user, 'threads');
+          }
+        } catch (decryptError) {
+          console.error(`[TokenRefresh] Cannot decrypt Threads token for user ${user.email} - token encrypted with different key. User needs to re-authenticate.`);
+          await this.notifyExpiring(user, 'threads');
+        }
+      }
+    } catch (error) {
+      console.error(`[TokenRefresh] Error checking Threads token for user ${user.email}:`, error.message);
+    }
+  }
+
+  /**
+   * Push an "expires soon" notification and webhook when a token could not be refreshed
+   * Sent once per token: reconnecting gives a new expiry date and re-arms it
+   * @private
+   */
+  async notifyExpiring(user, platform) {
+    const credentials = user[`${platform}Credentials`];
+    const expiresAt = credentials.tokenExpiresAt;
+
+    if (credentials.expiryNotifiedFor && credentials.expiryNotifiedFor.getTime() === expiresAt?.getTime()) {
+      return;
+    }
+
+    await pushNotifications.notify(user._id, 'tokenExpiring', { platform, expiresAt });
+    await webhooks.dispatch(user._id, 'token.expiring', { platform, expiresAt });
+    credentials.expiryNotifiedFor = expiresAt;
+    await user.save();
+  }
+
   /**
    * Manually refresh Instagram token for a user
    */
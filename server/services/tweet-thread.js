@@ -0,0 +1,178 @@
+/**
+ * Tweet Thread
+ *
+ * X counts post length with weights: most Latin, Greek and Cyrillic characters
+ * count 1, everything else (CJK, emoji, ...) counts 2, and every URL counts 23
+ * no matter how long it is. These helpers measure text the same way, adapt
+ * Instagram-style captions for X and split long text into a numbered thread.
+ */
+
+const MAX_TWEET_LENGTH = 280;
+const URL_LENGTH = 23;
+// Hashtags kept when adapting a caption; more than a few reads as spam on X
+const MAX_HASHTAGS = 3;
+
+// Code point ranges that count as 1 (twitter-text v3 configuration)
+const LIGHT_RANGES = [
+  [0, 4351],
+  [8192, 8205],
+  [8208, 8223],
+  [8242, 8247]
+];
+
+const URL_PATTERN = /https?:\/\/[^\s]+/g;
+
+function charWeight(codePoint) {
+  return LIGHT_RANGES.some(([start, end]) => codePoint >= start && codePoint <= end) ? 1 : 2;
+}
+
+/**
+ * Weighted length of a post as X counts it
+ * Emoji sequences are counted per code point, which can only overestimate
+ * @param {string} text
+ * @returns {number}
+ */
+function tweetLength(text) {
+  let length = 0;
+  const withoutUrls = String(text || '').replace(URL_PATTERN, () => {
+    length += URL_LENGTH;
+    return '';
+  });
+
+  for (const char of withoutUrls) {
+    length += charWeight(char.codePointAt(0));
+  }
+  return length;
+}
+
+/**
+ * Keep the caption body and only the first few hashtags of its trailing hashtag block
+ * @param {string} caption - Caption body, a blank line, then hashtags
+ * @returns {string}
+ */
+function adaptCaption(caption, maxHashtags = MAX_HASHTAGS) {
+  const paragraphs = String(caption || '').trim().split(/\n\s*\n/);
+  const last = paragraphs[paragraphs.length - 1] || '';
+  const tags = last.split(/\s+/).filter(Boolean);
+
+  if (paragraphs.length < 2 || !tags.every(tag => tag.startsWith('#'))) {
+    return paragraphs.join('\n\n');
+  }
+
+  const body = paragraphs.slice(0, -1).join('\n\n');
+  const kept = tags.slice(0, maxHashtags).join(' ');
+  return kept ? `${body}\n\n${kept}` : body;
+}
+
+/**
+ * Split a word that does not fit a post on its own
+ * @private
+ */
+function splitLongWord(word, maxLength) {
+  const pieces = [];
+  let current = '';
+  for (const char of word) {
+    if (tweetLength(current + char) > maxLength) {
+      pieces.push(current);
+      current = '';
+    }
+    current += char;
+  }
+  if (current) pieces.push(current);
+  return pieces;
+}
+
+/**
+ * Greedily pack words into parts of at most maxLength, preferring to end
+ * a part at a sentence or paragraph boundary in its second half
+ * @private
+ */
+function packParts(text, maxLength) {
+  // Words with the whitespace that preceded them
+  const tokens = [];
+  for (const match of text.matchAll(/(\s*)(\S+)/g)) {
+    const [, space, word] = match;
+    if (tweetLength(word) > maxLength) {
+      splitLongWord(word, maxLength).forEach((piece, index) => tokens.push({ space: index === 0 ? space : '', word: piece }));
+    } else {
+      tokens.push({ space, word });
+    }
+  }
+
+  const parts = [];
+  let current = [];
+
+  const render = (list) => list.map((token, index) => (index === 0 ? token.word : token.space + token.word)).join('');
+
+  for (const token of tokens) {
+    if (current.length === 0 || tweetLength(render([...current, token])) <= maxLength) {
+      current.push(token);
+      continue;
+    }
+
+    // Look back for a sentence end in the second half of the part
+    let cut = current.length;
+    for (let i = current.length - 1; i > 0; i--) {
+      const endsSentence = /[.!?…]["')\]]*$/.test(current[i - 1].word) || current[i].space.includes('\n');
+      if (endsSentence && tweetLength(render(current.slice(0, i))) >= maxLength / 2) {
+        cut = i;
+        break;
+      }
+    }
+
+    parts.push(render(current.slice(0, cut)));
+    current = [...current.slice(cut), token];
+    // The carried-over words might not fit together with the new one
+    while (current.length > 1 && tweetLength(render(current)) > maxLength) {
+      parts.push(render(current.slice(0, -1)));
+      current = current.slice(-1);
+    }
+  }
+
+  if (current.length) {
+    parts.push(render(current));
+  }
+  return parts;
+}
+
+/**
+ * Split text into posts that each fit within the limit
+ * Parts get a " 1/3" style counter when there is more than one
+ * @param {string} text
+ * @param {Object} [options]
+ * @param {number} [options.maxLength=280]
+ * @param {boolean} [options.numbered=true]
+ * @returns {string[]} A single-element array when the text already fits
+ */
+function splitIntoThread(text, { maxLength = MAX_TWEET_LENGTH, numbered = true } = {}) {
+  const normalized = String(text || '').trim();
+  if (!normalized) {
+    return [];
+  }
+  if (tweetLength(normalized) <= maxLength) {
+    return [normalized];
+  }
+  if (!numbered) {
+    return packParts(normalized, maxLength);
+  }
+
+  // Reserve room for the counter; more parts than expected need a longer counter
+  for (let digits = 1; ; digits++) {
+    const largest = Number('9'.repeat(digits));
+    const reserve = tweetLength(` ${largest}/${largest}`);
+    const parts = packParts(normalized, maxLength - reserve);
+
+    if (parts.length <= largest) {
+      return parts.map((part, index) => `${part} ${index + 1}/${parts.length}`);
+    }
+  }
+}
+
+module.exports = {
+  MAX_TWEET_LENGTH,
+  URL_LENGTH,
+  MAX_HASHTAGS,
+  tweetLength,
+  adaptCaption,
+  splitIntoThread
+};
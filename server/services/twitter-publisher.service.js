@@ -0,0 +1,269 @@
+const axios = require('axios');
+const FormData = require('form-data');
+const MediaStorageService = require('./media-storage.service');
+
+// Media upload chunks; X accepts up to 5 MB per APPEND
+const CHUNK_SIZE = 4 * 1024 * 1024;
+const MAX_IMAGES_PER_TWEET = 4;
+
+/**
+ * X (Twitter) Publisher Service
+ *
+ * REQUIREMENTS:
+ *  - OAuth 2.0 user token with tweet.write and media.write
+ *
+ * Unlike Meta, X does not fetch media from URLs: images and videos are
+ * uploaded as bytes and attached to posts by media ID.
+ */
+class TwitterPublisherService {
+  constructor() {
+    this.apiUrl = 'https://api.x.com/2';
+    this.accessToken = null;
+    this.mediaStorage = null;
+    this.statusPollInterval = 5000;
+    this.statusMaxAttempts = 60;
+  }
+
+  /**
+   * Initialize with an OAuth 2.0 user access token
+   */
+  initialize(accessToken) {
+    this.accessToken = accessToken
+      ? accessToken.replace(/[\s\n\r\t]+/g, '').replace(/%20/g, '').trim()
+      : null;
+    return this;
+  }
+
+  /**
+   * Use a user's media storage backend to download hosted images
+   * @param {MediaStorageService} mediaStorage - From MediaStorageService.forUser()
+   */
+  useMediaStorage(mediaStorage) {
+    this.mediaStorage = mediaStorage;
+    return this;
+  }
+
+  /** @private */
+  _getMediaStorage() {
+    if (!this.mediaStorage) {
+      this.mediaStorage = MediaStorageService.fromEnv();
+    }
+    return this.mediaStorage;
+  }
+
+  /** @private */
+  _headers(extra = {}) {
+    if (!this.accessToken) {
+      throw new Error('X account not connected');
+    }
+    return { Authorization: `Bearer ${this.accessToken}`, ...extra };
+  }
+
+  /** @private */
+  _apiError(action, error) {
+    const data = error.response?.data;
+    const message = data?.detail || data?.errors?.[0]?.message || data?.title || error.message;
+    const apiError = new Error(`${action}: ${message}`);
+    apiError.statusCode = error.response?.status;
+    return apiError;
+  }
+
+  // -----------------------------------------------------------
+  // MEDIA
+  // -----------------------------------------------------------
+
+  /**
+   * Upload an image in a single request
+   * @returns {Promise<string>} Media ID
+   */
+  async uploadImage(buffer, contentType = 'image/jpeg') {
+    const formData = new FormData();
+    formData.append('media', buffer, { filename: 'image', contentType });
+    formData.append('media_category', 'tweet_image');
+
+    try {
+      const res = await axios.post(`${this.apiUrl}/media/upload`, formData, {
+        headers: this._headers(formData.getHeaders()),
+        maxBodyLength: Infinity
+      });
+      return res.data.data.id;
+    } catch (error) {
+      throw this._apiError('Failed to upload image', error);
+    }
+  }
+
+  /**
+   * Download a hosted image and upload it to X
+   * @returns {Promise<string>} Media ID
+   */
+  async uploadImageFromUrl(imageUrl) {
+    const url = await this._getMediaStorage().getFetchableUrl(imageUrl);
+
+    let res;
+    try {
+      res = await axios.get(url, { responseType: 'arraybuffer' });
+    } catch (error) {
+      throw new Error(`Failed to download image ${url}: ${error.message}`);
+    }
+
+    const mediaId = await this.uploadImage(Buffer.from(res.data), res.headers['content-type'] || 'image/jpeg');
+    await MediaStorageService.markConsumed([url]);
+    return mediaId;
+  }
+
+  /**
+   * Upload a video in chunks (INIT, APPEND, FINALIZE) and wait until X has processed it
+   * @returns {Promise<string>} Media ID
+   */
+  async uploadVideo(buffer, contentType = 'video/mp4') {
+    let mediaId;
+
+    try {
+      const init = await axios.post(`${this.apiUrl}/media/upload/initialize`, {
+        media_type: contentType,
+        total_bytes: buffer.length,
+        media_category: 'tweet_video'
+      }, { headers: this._headers() });
+      mediaId = init.data.data.id;
+
+      for (let offset = 0, segment = 0; offset < buffer.length; offset += CHUNK_SIZE, segment++) {
+        const formData = new FormData();
+        formData.append('media', buffer.subarray(offset, offset + CHUNK_SIZE), { filename: 'chunk' });
+        formData.append('segment_index', String(segment));
+
+        await axios.post(`${this.apiUrl}/media/upload/${mediaId}/append`, formData, {
+          headers: this._headers(formData.getHeaders()),
+          maxBodyLength: Infinity
+        });
+      }
+
+      const finalize = await axios.post(`${this.apiUrl}/media/upload/${mediaId}/finalize`, null, {
+        headers: this._headers()
+      });
+
+      if (finalize.data.data?.processing_info) {
+        await this.waitForMediaProcessing(mediaId, finalize.data.data.processing_info);
+      }
+      return mediaId;
+    } catch (error) {
+      if (error.response) {
+        throw this._apiError('Failed to upload video', error);
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Poll the upload STATUS until X has finished transcoding
+   * @private
+   */
+  async waitForMediaProcessing(mediaId, processingInfo) {
+    let info = processingInfo;
+
+    for (let attempt = 0; attempt < this.statusMaxAttempts; attempt++) {
+      if (info.state === 'succeeded') {
+        return;
+      }
+      if (info.state === 'failed') {
+        throw new Error(`X could not process the video: ${info.error?.message || 'unknown error'}`);
+      }
+
+      const waitMs = info.check_after_secs ? info.check_after_secs * 1000 : this.statusPollInterval;
+      await new Promise(resolve => setTimeout(resolve, waitMs));
+
+      const res = await axios.get(`${this.apiUrl}/media/upload`, {
+        params: { command: 'STATUS', media_id: mediaId },
+        headers: this._headers()
+      });
+      info = res.data.data?.processing_info || { state: 'succeeded' };
+    }
+
+    throw new Error('Timed out waiting for X to process the video');
+  }
+
+  // -----------------------------------------------------------
+  // POSTS
+  // -----------------------------------------------------------
+
+  /**
+   * Create a post
+   * @param {string} text
+   * @param {Object} [options]
+   * @param {string[]} [options.mediaIds] - Up to 4 images or a single video
+   * @param {string} [options.replyToId] - Post this one replies to, for threads
+   * @returns {Promise<string>} Post ID
+   */
+  async createTweet(text, { mediaIds = [], replyToId = null } = {}) {
+    const body = { text: text || '' };
+    if (mediaIds.length) {
+      body.media = { media_ids: mediaIds };
+    }
+    if (replyToId) {
+      body.reply = { in_reply_to_tweet_id: replyToId };
+    }
+
+    try {
+      const res = await axios.post(`${this.apiUrl}/tweets`, body, { headers: this._headers() });
+      return res.data.data.id;
+    } catch (error) {
+      throw this._apiError('Failed to create post', error);
+    }
+  }
+
+  /**
+   * Publish a thread: each part replies to the previous one
+   * Images are attached four per post, starting with the first; leftovers get media-only replies
+   * @param {string[]} parts - From splitIntoThread()
+   * @param {string[]} [mediaIds]
+   * @returns {Promise<string[]>} Post IDs in thread order
+   */
+  async publishThread(parts, mediaIds = []) {
+    const mediaGroups = [];
+    for (let i = 0; i < mediaIds.length; i += MAX_IMAGES_PER_TWEET) {
+      mediaGroups.push(mediaIds.slice(i, i + MAX_IMAGES_PER_TWEET));
+    }
+
+    const tweetIds = [];
+    const count = Math.max(parts.length, mediaGroups.length, 1);
+
+    for (let i = 0; i < count; i++) {
+      const tweetId = await this.createTweet(parts[i] || '', {
+        mediaIds: mediaGroups[i] || [],
+        replyToId: tweetIds[tweetIds.length - 1] || null
+      });
+      tweetIds.push(tweetId);
+    }
+
+    return tweetIds;
+  }
+
+  /**
+   * Post details
+   * @returns {Promise<{id: string, text: string, authorId: string, createdAt: string}|null>} null when deleted
+   */
+  async getTweet(tweetId) {
+    try {
+      const res = await axios.get(`${this.apiUrl}/tweets/${tweetId}`, {
+        params: { 'tweet.fields': 'created_at,author_id' },
+        headers: this._headers()
+      });
+
+      if (!res.data.data) {
+        return null;
+      }
+      return {
+        id: res.data.data.id,
+        text: res.data.data.text,
+        authorId: res.data.data.author_id,
+        createdAt: res.data.data.created_at
+      };
+    } catch (error) {
+      if (error.response?.status === 404) {
+        return null;
+      }
+      throw this._apiError('Failed to get post', error);
+    }
+  }
+}
+
+module.exports = TwitterPublisherService;
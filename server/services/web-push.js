@@ -0,0 +1,230 @@
+const crypto = require('crypto');
+const { isLocalHostname } = require('./public-host');
+
+/**
+ * Web Push
+ *
+ * Sending side of the Web Push protocol without a third-party library:
+ *  - VAPID application server keys and authorization headers (RFC 8292)
+ *  - Payload encryption with the aes128gcm content coding (RFC 8291 / RFC 8188)
+ */
+
+// Single-record messages: the whole payload is encrypted as one record
+const RECORD_SIZE = 4096;
+const SALT_BYTES = 16;
+const TAG_BYTES = 16;
+// Uncompressed P-256 point: 0x04 || X || Y
+const PUBLIC_KEY_BYTES = 65;
+const AUTH_SECRET_BYTES = 16;
+// Push services accept at most 4096 bytes of body, header included
+const MAX_PAYLOAD_BYTES = RECORD_SIZE - (SALT_BYTES + 4 + 1 + PUBLIC_KEY_BYTES) - 1 - TAG_BYTES;
+// VAPID tokens may be valid for at most 24 hours
+const VAPID_TOKEN_TTL_SECONDS = 12 * 60 * 60;
+
+function createError(message, statusCode) {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+}
+
+function base64UrlEncode(buffer) {
+  return Buffer.from(buffer).toString('base64url');
+}
+
+/** Tolerates standard base64 and missing padding, as browsers hand out both */
+function base64UrlDecode(value) {
+  return Buffer.from(String(value).replace(/-/g, '+').replace(/_/g, '/'), 'base64');
+}
+
+/** P-256 private keys are 32 bytes; leading zero bytes may have been dropped */
+function toScalar(privateKey) {
+  if (privateKey.length > 32) {
+    throw createError('VAPID private key must be a raw P-256 key', 500);
+  }
+  return Buffer.concat([Buffer.alloc(32 - privateKey.length), privateKey]);
+}
+
+/**
+ * Generate a VAPID key pair
+ * @returns {{ publicKey: string, privateKey: string }} base64url raw keys
+ */
+function generateVapidKeys() {
+  const ecdh = crypto.createECDH('prime256v1');
+  ecdh.generateKeys();
+
+  return {
+    publicKey: base64UrlEncode(ecdh.getPublicKey()),
+    privateKey: base64UrlEncode(toScalar(ecdh.getPrivateKey()))
+  };
+}
+
+/**
+ * Check a PushSubscription (as serialized by the browser)
+ * @param {Object} subscription - { endpoint, keys: { p256dh, auth } }
+ * @returns {{ endpoint: string, keys: { p256dh: string, auth: string } }}
+ * @throws {Error} With statusCode 400 when the subscription is incomplete or points at a local host
+ */
+function validateSubscription(subscription) {
+  const endpoint = typeof subscription?.endpoint === 'string' ? subscription.endpoint.trim() : '';
+  const { p256dh, auth } = subscription?.keys || {};
+
+  if (!/^https:\/\//.test(endpoint)) {
+    throw createError('Push subscription endpoint must be an https URL', 400);
+  }
+
+  let url;
+  try {
+    url = new URL(endpoint);
+  } catch {
+    throw createError('Push subscription endpoint must be an https URL', 400);
+  }
+  if (url.username || url.password || isLocalHostname(url.hostname)) {
+    throw createError('Push subscription endpoint must point to a public push service', 400);
+  }
+
+  const publicKey = typeof p256dh === 'string' ? base64UrlDecode(p256dh) : Buffer.alloc(0);
+  if (publicKey.length !== PUBLIC_KEY_BYTES || publicKey[0] !== 0x04) {
+    throw createError('Push subscription has an invalid p256dh key', 400);
+  }
+
+  if (typeof auth !== 'string' || base64UrlDecode(auth).length !== AUTH_SECRET_BYTES) {
+    throw createError('Push subscription has an invalid auth secret', 400);
+  }
+
+  return { endpoint, keys: { p256dh, auth } };
+}
+
+/**
+ * VAPID private key as a KeyObject, rebuilt from the raw base64url keys
+ * @private
+ */
+function createVapidKeyObject(publicKey, privateKey) {
+  const point = base64UrlDecode(publicKey);
+  if (point.length !== PUBLIC_KEY_BYTES) {
+    throw createError('VAPID public key must be an uncompressed P-256 key', 500);
+  }
+
+  return crypto.createPrivateKey({
+    format: 'jwk',
+    key: {
+      kty: 'EC',
+      crv: 'P-256',
+      x: base64UrlEncode(point.subarray(1, 33)),
+      y: base64UrlEncode(point.subarray(33)),
+      d: base64UrlEncode(toScalar(base64UrlDecode(privateKey)))
+    }
+  });
+}
+
+/**
+ * Authorization header value for a push service
+ * @param {string} endpoint - Subscription endpoint, its origin is the token audience
+ * @param {Object} vapid - { publicKey, privateKey, subject } (subject is a mailto: or https: URL)
+ * @param {Object} [options]
+ * @param {number} [options.now] - Current time in ms
+ * @returns {string} "vapid t=<jwt>, k=<public key>"
+ */
+function createVapidAuthorization(endpoint, vapid, { now = Date.now() } = {}) {
+  if (!vapid?.publicKey || !vapid?.privateKey || !vapid?.subject) {
+    throw createError('VAPID keys and subject are not configured', 500);
+  }
+
+  const header = base64UrlEncode(JSON.stringify({ typ: 'JWT', alg: 'ES256' }));
+  const claims = base64UrlEncode(JSON.stringify({
+    aud: new URL(endpoint).origin,
+    exp: Math.floor(now / 1000) + VAPID_TOKEN_TTL_SECONDS,
+    sub: vapid.subject
+  }));
+
+  const signature = crypto.sign('sha256', Buffer.from(`${header}.${claims}`), {
+    key: createVapidKeyObject(vapid.publicKey, vapid.privateKey),
+    dsaEncoding: 'ieee-p1363'
+  });
+
+  return `vapid t=${header}.${claims}.${base64UrlEncode(signature)}, k=${vapid.publicKey}`;
+}
+
+function hkdf(salt, ikm, info, length) {
+  return Buffer.from(crypto.hkdfSync('sha256', ikm, salt, info, length));
+}
+
+/**
+ * Encrypt a payload for one subscription (aes128gcm, single record)
+ * @param {string|Buffer} payload
+ * @param {Object} keys - Subscription keys { p256dh, auth }
+ * @param {Object} [options] - Fixed salt and sender private key, for reproducible output
+ * @returns {Buffer} Request body: header (salt, record size, sender key) and the record
+ */
+function encryptPayload(payload, keys, { salt = crypto.randomBytes(SALT_BYTES), privateKey } = {}) {
+  const plaintext = Buffer.from(payload);
+  if (plaintext.length > MAX_PAYLOAD_BYTES) {
+    throw createError(`Push payload is larger than ${MAX_PAYLOAD_BYTES} bytes`, 400);
+  }
+
+  const userAgentPublicKey = base64UrlDecode(keys.p256dh);
+  const authSecret = base64UrlDecode(keys.auth);
+
+  const ecdh = crypto.createECDH('prime256v1');
+  if (privateKey) {
+    ecdh.setPrivateKey(base64UrlDecode(privateKey));
+  } else {
+    ecdh.generateKeys();
+  }
+  const serverPublicKey = ecdh.getPublicKey();
+  const sharedSecret = ecdh.computeSecret(userAgentPublicKey);
+
+  const keyInfo = Buffer.concat([Buffer.from('WebPush: info\0'), userAgentPublicKey, serverPublicKey]);
+  const ikm = hkdf(authSecret, sharedSecret, keyInfo, 32);
+  const contentKey = hkdf(salt, ikm, Buffer.from('Content-Encoding: aes128gcm\0'), 16);
+  const nonce = hkdf(salt, ikm, Buffer.from('Content-Encoding: nonce\0'), 12);
+
+  // 0x02 marks the last (and only) record, no padding
+  const cipher = crypto.createCipheriv('aes-128-gcm', contentKey, nonce);
+  const record = Buffer.concat([cipher.update(Buffer.concat([plaintext, Buffer.from([0x02])])), cipher.final(), cipher.getAuthTag()]);
+
+  const recordSize = Buffer.alloc(4);
+  recordSize.writeUInt32BE(RECORD_SIZE);
+
+  return Buffer.concat([salt, recordSize, Buffer.from([serverPublicKey.length]), serverPublicKey, record]);
+}
+
+/**
+ * Everything needed to POST a push message
+ * @param {Object} subscription - { endpoint, keys: { p256dh, auth } }
+ * @param {string|Object} payload - Objects are sent as JSON
+ * @param {Object} vapid - { publicKey, privateKey, subject }
+ * @param {Object} [options]
+ * @param {number} [options.ttl] - Seconds the push service keeps an undelivered message
+ * @param {string} [options.urgency] - very-low, low, normal or high
+ * @param {string} [options.topic] - Replaces an undelivered message with the same topic
+ * @returns {{ url: string, headers: Object, body: Buffer }}
+ */
+function buildPushRequest(subscription, payload, vapid, { ttl = 24 * 60 * 60, urgency = 'normal', topic, now } = {}) {
+  const body = encryptPayload(typeof payload === 'string' ? payload : JSON.stringify(payload), subscription.keys);
+
+  const headers = {
+    Authorization: createVapidAuthorization(subscription.endpoint, vapid, { now }),
+    'Content-Encoding': 'aes128gcm',
+    'Content-Type': 'application/octet-stream',
+    'Content-Length': String(body.length),
+    TTL: String(ttl),
+    Urgency: urgency
+  };
+  if (topic) {
+    // Topics are limited to 32 base64url characters
+    headers.Topic = String(topic).replace(/[^A-Za-z0-9_-]/g, '').slice(0, 32);
+  }
+
+  return { url: subscription.endpoint, headers, body };
+}
+
+module.exports = {
+  MAX_PAYLOAD_BYTES,
+  base64UrlEncode,
+  base64UrlDecode,
+  generateVapidKeys,
+  validateSubscription,
+  createVapidAuthorization,
+  encryptPayload,
+  buildPushRequest
+};
@@ -0,0 +1,297 @@
+const crypto = require('crypto');
+const { platformName } = require('./notification-events');
+const { isLocalHostname } = require('./public-host');
+
+/**
+ * Webhook Payloads
+ *
+ * Outgoing webhook events, the request body for each endpoint format and
+ * the HMAC signature headers:
+ *  - json: { id, event, createdAt, data } envelope for custom receivers
+ *  - slack: Block Kit message for Slack incoming webhooks
+ *  - discord: embed message for Discord webhooks
+ */
+
+const WEBHOOK_EVENTS = [
+  'publish.completed',
+  'publish.failed',
+  'comment.replied',
+  'comment.flagged',
+  'token.expiring',
+  'automation.stopped'
+];
+// Sent from the settings page only, endpoints don't subscribe to it
+const TEST_EVENT = 'webhook.test';
+
+const WEBHOOK_FORMATS = ['json', 'slack', 'discord'];
+
+const COLORS = {
+  success: 0x22c55e,
+  failure: 0xef4444,
+  warning: 0xf59e0b,
+  info: 0x3b82f6
+};
+
+// Slack section fields and Discord embed descriptions have their own limits; stay well below
+const MAX_TEXT_LENGTH = 1000;
+const MAX_FIELD_LENGTH = 300;
+
+function createError(message, statusCode) {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+}
+
+function truncate(text, maxLength) {
+  const value = String(text ?? '').trim();
+  return value.length > maxLength ? `${value.slice(0, maxLength - 1)}…` : value;
+}
+
+/**
+ * Check a webhook URL
+ * Hosts on the server's own network are refused unless allowPrivate is set,
+ * so endpoints can't be used to reach internal services. Hostnames are
+ * resolved and checked again when sending (see services/public-host.js)
+ * @param {string} url
+ * @param {Object} [options]
+ * @param {boolean} [options.allowPrivate]
+ * @returns {string} Normalized URL
+ * @throws {Error} With statusCode 400
+ */
+function validateWebhookUrl(url, { allowPrivate = false } = {}) {
+  let parsed;
+  try {
+    parsed = new URL(String(url || '').trim());
+  } catch {
+    throw createError('Webhook URL is not a valid URL', 400);
+  }
+
+  if (!['https:', 'http:'].includes(parsed.protocol)) {
+    throw createError('Webhook URL must start with http:// or https://', 400);
+  }
+  if (parsed.username || parsed.password) {
+    throw createError('Webhook URL must not contain credentials', 400);
+  }
+
+  if (isLocalHostname(parsed.hostname) && !allowPrivate) {
+    throw createError('Webhook URL must point to a public host', 400);
+  }
+
+  return parsed.toString();
+}
+
+/**
+ * Signing secret for a new endpoint
+ */
+function generateSecret() {
+  return `whsec_${crypto.randomBytes(24).toString('hex')}`;
+}
+
+/**
+ * HMAC-SHA256 of "<timestamp>.<body>"
+ * Receivers recompute it with their copy of the secret and reject old timestamps
+ * @returns {string} "sha256=<hex>"
+ */
+function signPayload(secret, timestamp, body) {
+  return `sha256=${crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex')}`;
+}
+
+/**
+ * Headers of a delivery attempt
+ * @param {Object} delivery
+ * @param {string} delivery.id - Event ID, the same for every endpoint and retry
+ * @param {string} delivery.event
+ * @param {string} delivery.body - Serialized body
+ * @param {string} delivery.secret
+ * @param {number} delivery.timestamp - Unix seconds of this attempt
+ * @returns {Object}
+ */
+function buildSignatureHeaders({ id, event, body, secret, timestamp }) {
+  return {
+    'Content-Type': 'application/json',
+    'User-Agent': 'SocialMediaAutomaton-Webhooks/1.0',
+    'X-Webhook-Id': id,
+    'X-Webhook-Event': event,
+    'X-Webhook-Timestamp': String(timestamp),
+    'X-Webhook-Signature': signPayload(secret, timestamp, body)
+  };
+}
+
+/**
+ * Whether a failed attempt should be retried
+ * @param {number} [status] - HTTP status, undefined for network errors and timeouts
+ */
+function isRetryableStatus(status) {
+  return !status || status === 408 || status === 425 || status === 429 || status >= 500;
+}
+
+function formatDate(value) {
+  const date = value ? new Date(value) : null;
+  return date && !isNaN(date) ? date.toISOString().slice(0, 10) : null;
+}
+
+/**
+ * Human-readable summary of an event for chat messages
+ * @param {string} event
+ * @param {Object} data
+ * @returns {{ title: string, text: string, path: string, color: number, fields: Array<{name: string, value: string}> }}
+ */
+function describeEvent(event, data = {}) {
+  const platforms = (list) => (list || []).map(platformName).join(', ');
+
+  switch (event) {
+    case 'publish.completed':
+      return {
+        title: 'Post published',
+        text: data.platforms?.length ? `Published to ${platforms(data.platforms)}.` : 'Publishing job finished.',
+        path: '/schedule',
+        color: COLORS.success,
+        fields: [
+          ...Object.entries(data.links || {}).map(([platform, url]) => ({ name: platformName(platform), value: url })),
+          { name: 'Job', value: data.jobId }
+        ]
+      };
+
+    case 'publish.failed':
+      return {
+        title: data.status === 'partial' ? 'Post published with errors' : 'Publishing failed',
+        text: data.error || 'Publishing job failed.',
+        path: '/schedule',
+        color: data.status === 'partial' ? COLORS.warning : COLORS.failure,
+        fields: [
+          data.failedPlatforms?.length && { name: 'Failed on', value: platforms(data.failedPlatforms) },
+          { name: 'Job', value: data.jobId }
+        ]
+      };
+
+    case 'comment.replied':
+      return {
+        title: `Replied to @${data.username || 'unknown'} on ${platformName(data.platform)}`,
+        text: data.approved ? 'Approved reply posted.' : 'Automatic reply posted.',
+        path: '/logs',
+        color: COLORS.info,
+        fields: [
+          { name: 'Comment', value: data.text },
+          { name: 'Reply', value: data.reply }
+        ]
+      };
+
+    case 'comment.flagged':
+      return {
+        title: `Comment flagged as ${data.label || 'inappropriate'}`,
+        text: `@${data.username || 'unknown'} on ${platformName(data.platform)}: ${data.text || ''}`,
+        path: '/moderation',
+        color: COLORS.warning,
+        fields: [
+          { name: 'Action', value: data.action === 'none' ? 'Left in place' : data.action },
+          typeof data.confidence === 'number' && { name: 'Confidence', value: `${Math.round(data.confidence * 100)}%` }
+        ]
+      };
+
+    case 'token.expiring':
+      return {
+        title: `${platformName(data.platform)} connection expires soon`,
+        text: `Access expires ${formatDate(data.expiresAt) ? `on ${formatDate(data.expiresAt)}` : 'soon'} and could not be renewed. Reconnect the account in Configuration.`,
+        path: '/configuration',
+        color: COLORS.warning,
+        fields: []
+      };
+
+    case 'automation.stopped':
+      return {
+        title: `${platformName(data.platform)} automation stopped`,
+        text: `Comment automation stopped after an authentication error${data.reason ? `: ${data.reason}` : '.'}`,
+        path: '/automation',
+        color: COLORS.failure,
+        fields: []
+      };
+
+    case TEST_EVENT:
+      return {
+        title: 'Test event',
+        text: 'This webhook is set up correctly.',
+        path: '/webhooks',
+        color: COLORS.info,
+        fields: []
+      };
+
+    default:
+      throw new Error(`Unknown webhook event: ${event}`);
+  }
+}
+
+/** Slack mrkdwn needs &, < and > escaped */
+function escapeSlack(text) {
+  return String(text).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+}
+
+/**
+ * Request body for an endpoint
+ * @param {string} format - json, slack or discord
+ * @param {Object} envelope - { id, event, createdAt, data }
+ * @param {Object} [options]
+ * @param {string} [options.baseUrl] - Dashboard URL for links in chat messages
+ * @returns {Object}
+ */
+function renderPayload(format, envelope, { baseUrl } = {}) {
+  if (format === 'json' || !WEBHOOK_FORMATS.includes(format)) {
+    return {
+      id: envelope.id,
+      event: envelope.event,
+      createdAt: new Date(envelope.createdAt).toISOString(),
+      data: envelope.data
+    };
+  }
+
+  const summary = describeEvent(envelope.event, envelope.data);
+  const text = truncate(summary.text, MAX_TEXT_LENGTH);
+  const fields = summary.fields
+    .filter(field => field && field.value)
+    .map(field => ({ name: field.name, value: truncate(field.value, MAX_FIELD_LENGTH) }));
+  const url = baseUrl ? `${baseUrl.replace(/\/+$/, '')}${summary.path}` : null;
+
+  if (format === 'slack') {
+    const blocks = [
+      { type: 'section', text: { type: 'mrkdwn', text: `*${escapeSlack(summary.title)}*\n${escapeSlack(text)}` } }
+    ];
+    if (fields.length) {
+      blocks.push({
+        type: 'section',
+        fields: fields.slice(0, 10).map(field => ({ type: 'mrkdwn', text: `*${escapeSlack(field.name)}*\n${escapeSlack(field.value)}` }))
+      });
+    }
+    if (url) {
+      blocks.push({ type: 'context', elements: [{ type: 'mrkdwn', text: `<${url}|Open dashboard>` }] });
+    }
+
+    // text is the fallback for notifications and clients without blocks
+    return { text: `${summary.title}: ${text}`, blocks };
+  }
+
+  const embed = {
+    title: truncate(summary.title, 256),
+    description: text,
+    color: summary.color,
+    timestamp: new Date(envelope.createdAt).toISOString(),
+    fields: fields.slice(0, 25).map(field => ({ ...field, inline: field.value.length <= 40 })),
+    footer: { text: envelope.event }
+  };
+  if (url) {
+    embed.url = url;
+  }
+
+  return { username: 'Social Media Automation', embeds: [embed] };
+}
+
+module.exports = {
+  WEBHOOK_EVENTS,
+  WEBHOOK_FORMATS,
+  TEST_EVENT,
+  validateWebhookUrl,
+  generateSecret,
+  signPayload,
+  buildSignatureHeaders,
+  isRetryableStatus,
+  describeEvent,
+  renderPayload
+};
@@ -0,0 +1,448 @@
+const crypto = require('crypto');
+const axios = require('axios');
+const WebhookEndpoint = require('../models/webhook-endpoint.model');
+const WebhookDelivery = require('../models/webhook-delivery.model');
+const { EncryptionService } = require('./encryption.service');
+const { computeBackoff } = require('./publish-job-steps');
+const {
+  WEBHOOK_EVENTS,
+  WEBHOOK_FORMATS,
+  TEST_EVENT,
+  validateWebhookUrl,
+  generateSecret,
+  buildSignatureHeaders,
+  isRetryableStatus,
+  renderPayload
+} = require('./webhook-payloads');
+const { publicRequestOptions } = require('./public-host');
+
+const encryptionService = new EncryptionService();
+
+const POLL_INTERVAL_MS = 10 * 1000;
+// A delivery whose worker died while sending is retried after this time
+const LEASE_MS = 60 * 1000;
+const REQUEST_TIMEOUT_MS = 10 * 1000;
+const CONCURRENCY = 5;
+const DELIVERY_BACKOFF = { baseMs: 30 * 1000, maxMs: 60 * 60 * 1000 };
+const MAX_ENDPOINTS_PER_USER = 20;
+const MAX_RESPONSE_BODY_LENGTH = 500;
+
+function createError(message, statusCode) {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+}
+
+/**
+ * Webhook Service
+ * Manages the outgoing webhook endpoints of a user and delivers events to them.
+ *
+ * Every event becomes one WebhookDelivery per subscribed endpoint; a polling
+ * worker sends them with an HMAC signature and retries failures with backoff,
+ * so events survive slow receivers and server restarts.
+ */
+class WebhookService {
+  constructor() {
+    this.pollTimer = null;
+    this.isPolling = false;
+  }
+
+  /**
+   * Start sending queued deliveries
+   */
+  start() {
+    if (this.pollTimer) {
+      return;
+    }
+
+    console.log('[Webhooks] Delivery worker started');
+    this.pollTimer = setInterval(() => this.poll(), POLL_INTERVAL_MS);
+    this.poll();
+  }
+
+  stop() {
+    clearInterval(this.pollTimer);
+    this.pollTimer = null;
+  }
+
+  /**
+   * @private
+   */
+  allowPrivateUrls() {
+    return process.env.WEBHOOK_ALLOW_PRIVATE_URLS === 'true';
+  }
+
+  /**
+   * Pick and check the editable fields of an endpoint
+   * @private
+   */
+  buildEndpoint(body = {}, existing = null) {
+    const endpoint = {};
+
+    if (body.name !== undefined || !existing) {
+      endpoint.name = String(body.name || '').trim();
+      if (!endpoint.name) {
+        throw createError('Name is required', 400);
+      }
+    }
+    if (body.url !== undefined || !existing) {
+      endpoint.url = validateWebhookUrl(body.url, { allowPrivate: this.allowPrivateUrls() });
+    }
+    if (body.format !== undefined) {
+      if (!WEBHOOK_FORMATS.includes(body.format)) {
+        throw createError(`Format must be one of: ${WEBHOOK_FORMATS.join(', ')}`, 400);
+      }
+      endpoint.format = body.format;
+    }
+    if (body.events !== undefined || !existing) {
+      const events = Array.isArray(body.events) ? [...new Set(body.events)] : [];
+      const unknown = events.filter(event => !WEBHOOK_EVENTS.includes(event));
+      if (unknown.length > 0) {
+        throw createError(`Unknown events: ${unknown.join(', ')}`, 400);
+      }
+      if (events.length === 0) {
+        throw createError('Select at least one event', 400);
+      }
+      endpoint.events = events;
+    }
+    if (typeof body.isActive === 'boolean') {
+      endpoint.isActive = body.isActive;
+    }
+
+    return endpoint;
+  }
+
+  async listEndpoints(userId) {
+    return await WebhookEndpoint.find({ userId }).select('-secret').sort({ createdAt: -1 }).lean();
+  }
+
+  /**
+   * @returns {Promise<{endpoint: Object, secret: string}>} The secret in plain text, only returned here and on rotation
+   */
+  async createEndpoint(userId, body) {
+    if (await WebhookEndpoint.countDocuments({ userId }) >= MAX_ENDPOINTS_PER_USER) {
+      throw createError(`You can register up to ${MAX_ENDPOINTS_PER_USER} webhooks`, 400);
+    }
+
+    const secret = generateSecret();
+    const endpoint = await WebhookEndpoint.create({
+      ...this.buildEndpoint(body),
+      userId,
+      secret: encryptionService.encrypt(secret)
+    });
+
+    return { endpoint, secret };
+  }
+
+  async updateEndpoint(userId, endpointId, body) {
+    const endpoint = await this.getEndpoint(userId, endpointId);
+    endpoint.set(this.buildEndpoint(body, endpoint));
+    await endpoint.save();
+    return endpoint;
+  }
+
+  /**
+   * Delete an endpoint with its delivery log
+   */
+  async deleteEndpoint(userId, endpointId) {
+    const endpoint = await this.getEndpoint(userId, endpointId);
+    await WebhookDelivery.deleteMany({ endpointId: endpoint._id });
+    await endpoint.deleteOne();
+  }
+
+  /**
+   * Replace the signing secret; deliveries sent from now on use the new one
+   * @returns {Promise<string>} New secret in plain text
+   */
+  async rotateSecret(userId, endpointId) {
+    const endpoint = await this.getEndpoint(userId, endpointId);
+    const secret = generateSecret();
+    endpoint.secret = encryptionService.encrypt(secret);
+    await endpoint.save();
+    return secret;
+  }
+
+  async listDeliveries(userId, endpointId, { limit = 50 } = {}) {
+    const endpoint = await this.getEndpoint(userId, endpointId);
+    return await WebhookDelivery.find({ endpointId: endpoint._id })
+      .select('-body')
+      .sort({ createdAt: -1 })
+      .limit(Math.min(Math.max(parseInt(limit) || 50, 1), 200))
+      .lean();
+  }
+
+  /**
+   * @private
+   */
+  async getEndpoint(userId, endpointId) {
+    const endpoint = await WebhookEndpoint.findOne({ _id: endpointId, userId }).catch(() => null);
+    if (!endpoint) {
+      throw createError('Webhook not found', 404);
+    }
+    return endpoint;
+  }
+
+  /**
+   * Queue an event for every active endpoint of the user subscribed to it
+   * Never throws: a webhook must not break the job or workflow sending it
+   * @param {string} userId
+   * @param {string} event - See WEBHOOK_EVENTS
+   * @param {Object} data - Event details, sent as-is in the JSON format
+   * @returns {Promise<number>} Number of deliveries queued
+   */
+  async dispatch(userId, event, data = {}) {
+    try {
+      if (!userId || !WEBHOOK_EVENTS.includes(event)) {
+        return 0;
+      }
+
+      const endpoints = await WebhookEndpoint.find({ userId, isActive: true, events: event }).select('format').lean();
+      if (endpoints.length === 0) {
+        return 0;
+      }
+
+      const envelope = { id: `evt_${crypto.randomBytes(12).toString('hex')}`, event, createdAt: new Date(), data };
+      await WebhookDelivery.insertMany(endpoints.map(endpoint => ({
+        userId,
+        endpointId: endpoint._id,
+        eventId: envelope.id,
+        event,
+        body: this.render(endpoint.format, envelope),
+        nextAttemptAt: envelope.createdAt
+      })));
+
+      console.log(`[Webhooks] Queued ${event} for user ${userId} to ${endpoints.length} endpoint(s)`);
+      if (this.pollTimer) {
+        setImmediate(() => this.poll());
+      }
+      return endpoints.length;
+    } catch (error) {
+      console.error(`[Webhooks] Failed to queue ${event} for user ${userId}:`, error.message);
+      return 0;
+    }
+  }
+
+  /**
+   * Send a test event right away, also to paused endpoints; it is not retried
+   * @returns {Promise<Object>} The delivery with its result
+   */
+  async sendTest(userId, endpointId) {
+    const endpoint = await this.getEndpoint(userId, endpointId);
+    const envelope = {
+      id: `evt_${crypto.randomBytes(12).toString('hex')}`,
+      event: TEST_EVENT,
+      createdAt: new Date(),
+      data: { endpointId: endpoint._id, name: endpoint.name }
+    };
+
+    const delivery = await WebhookDelivery.create({
+      userId,
+      endpointId: endpoint._id,
+      eventId: envelope.id,
+      event: TEST_EVENT,
+      body: this.render(endpoint.format, envelope),
+      status: 'sending',
+      attempts: 1,
+      maxAttempts: 1,
+      leaseExpiresAt: new Date(Date.now() + LEASE_MS)
+    });
+
+    return await this.attempt(delivery, endpoint);
+  }
+
+  /**
+   * Send a logged event again as a new delivery with the same event ID and body
+   * The first attempt runs right away; if it fails the usual retries follow
+   */
+  async redeliver(userId, deliveryId) {
+    const original = await WebhookDelivery.findOne({ _id: deliveryId, userId }).catch(() => null);
+    if (!original) {
+      throw createError('Delivery not found', 404);
+    }
+    if (['pending', 'sending'].includes(original.status)) {
+      throw createError('This delivery is still being sent', 409);
+    }
+
+    const endpoint = await this.getEndpoint(userId, original.endpointId);
+    const delivery = await WebhookDelivery.create({
+      userId,
+      endpointId: endpoint._id,
+      eventId: original.eventId,
+      event: original.event,
+      body: original.body,
+      status: 'sending',
+      attempts: 1,
+      maxAttempts: original.event === TEST_EVENT ? 1 : undefined,
+      leaseExpiresAt: new Date(Date.now() + LEASE_MS)
+    });
+
+    return await this.attempt(delivery, endpoint);
+  }
+
+  /**
+   * @private
+   */
+  render(format, envelope) {
+    return JSON.stringify(renderPayload(format, envelope, { baseUrl: process.env.FRONTEND_URL }));
+  }
+
+  /**
+   * Send claimed deliveries until none are due
+   * @private
+   */
+  async poll() {
+    if (this.isPolling) {
+      return;
+    }
+
+    this.isPolling = true;
+
+    try {
+      for (;;) {
+        const batch = [];
+        while (batch.length < CONCURRENCY) {
+          const delivery = await this.claimNext();
+          if (!delivery) break;
+          batch.push(delivery);
+        }
+        if (batch.length === 0) break;
+
+        await Promise.all(batch.map(delivery => this.attempt(delivery)));
+      }
+    } catch (error) {
+      console.error('[Webhooks] Poll failed:', error.message);
+    } finally {
+      this.isPolling = false;
+    }
+  }
+
+  /**
+   * Atomically lease the next due delivery
+   * @private
+   */
+  async claimNext() {
+    const now = new Date();
+
+    return await WebhookDelivery.findOneAndUpdate(
+      {
+        $or: [
+          { status: 'pending', nextAttemptAt: { $lte: now } },
+          { status: 'sending', leaseExpiresAt: { $lt: now } }
+        ]
+      },
+      {
+        $set: { status: 'sending', leaseExpiresAt: new Date(now.getTime() + LEASE_MS) },
+        $inc: { attempts: 1 }
+      },
+      { sort: { nextAttemptAt: 1 }, new: true }
+    );
+  }
+
+  /**
+   * Post a claimed delivery and record the result
+   * @private
+   * @param {Object} delivery
+   * @param {Object} [manualEndpoint] - Set for tests and redeliveries, which are also sent to paused endpoints
+   * @returns {Promise<Object>} The updated delivery
+   */
+  async attempt(delivery, manualEndpoint) {
+    const endpoint = manualEndpoint || await WebhookEndpoint.findById(delivery.endpointId);
+
+    if (!endpoint) {
+      return await this.finish(delivery, null, { status: 'failed', error: 'Webhook was deleted' });
+    }
+    if (!manualEndpoint && !endpoint.isActive) {
+      return await this.finish(delivery, endpoint, { status: 'failed', error: 'Webhook is paused' });
+    }
+
+    const startedAt = Date.now();
+    let result;
+
+    try {
+      const headers = buildSignatureHeaders({
+        id: delivery.eventId,
+        event: delivery.event,
+        body: delivery.body,
+        secret: encryptionService.decrypt(endpoint.secret),
+        timestamp: Math.floor(startedAt / 1000)
+      });
+
+      // Resolved now, so a hostname that later points at the internal network is refused
+      const agents = await publicRequestOptions(endpoint.url, { allowPrivate: this.allowPrivateUrls() });
+      const response = await axios.post(endpoint.url, delivery.body, {
+        ...agents,
+        headers,
+        timeout: REQUEST_TIMEOUT_MS,
+        // A redirect could point the signed request at another host
+        maxRedirects: 0,
+        responseType: 'text',
+        transformResponse: [data => data]
+      });
+
+      result = {
+        status: 'delivered',
+        responseStatus: response.status,
+        responseBody: this.truncateBody(response.data)
+      };
+    } catch (error) {
+      const responseStatus = error.response?.status;
+      const retry = isRetryableStatus(responseStatus) && delivery.attempts < delivery.maxAttempts;
+
+      result = {
+        status: retry ? 'pending' : 'failed',
+        responseStatus,
+        responseBody: this.truncateBody(error.response?.data),
+        error: responseStatus ? `HTTP ${responseStatus}` : error.code === 'ECONNABORTED' ? 'Timed out' : error.message,
+        nextAttemptAt: retry ? new Date(Date.now() + computeBackoff(delivery.attempts, DELIVERY_BACKOFF)) : undefined
+      };
+    }
+
+    result.durationMs = Date.now() - startedAt;
+    return await this.finish(delivery, endpoint, result);
+  }
+
+  /**
+   * @private
+   */
+  async finish(delivery, endpoint, result) {
+    delivery.set({
+      ...result,
+      leaseExpiresAt: undefined,
+      deliveredAt: result.status === 'delivered' ? new Date() : undefined
+    });
+    await delivery.save();
+
+    if (result.status === 'pending') {
+      console.warn(`[Webhooks] Delivery ${delivery._id} (${delivery.event}) failed, retrying at ${result.nextAttemptAt.toISOString()}: ${result.error}`);
+    } else if (result.status === 'failed') {
+      console.error(`[Webhooks] Delivery ${delivery._id} (${delivery.event}) failed after ${delivery.attempts} attempt(s): ${result.error}`);
+    }
+
+    if (endpoint) {
+      await WebhookEndpoint.updateOne({ _id: endpoint._id }, {
+        $set: {
+          lastDeliveryAt: new Date(),
+          lastDeliveryStatus: result.status === 'delivered' ? 'delivered' : 'failed',
+          lastError: result.status === 'delivered' ? null : result.error
+        }
+      }).catch(() => {});
+    }
+
+    return delivery;
+  }
+
+  /**
+   * @private
+   */
+  truncateBody(data) {
+    if (data === undefined || data === null || data === '') {
+      return undefined;
+    }
+    const text = typeof data === 'string' ? data : JSON.stringify(data);
+    return text.slice(0, MAX_RESPONSE_BODY_LENGTH);
+  }
+}
+
+// Export singleton instance
+const webhookService = new WebhookService();
+module.exports = webhookService;
@@ -0,0 +1,155 @@
+/**
+ * Workspace Roles
+ *
+ * What each workspace role may do, checked per request:
+ *  - owner: everything, including members, connected accounts and integrations
+ *  - editor: creates and changes content, automation and settings
+ *  - approver: reads everything and approves replies and publishing jobs
+ *  - viewer: reads everything
+ */
+
+const WORKSPACE_ROLES = ['owner', 'editor', 'approver', 'viewer'];
+
+// Routes that always act on the signed-in person, never on a workspace
+const PERSONAL_ROUTES = [/^\/api\/auth(\/|$)/, /^\/api\/workspaces(\/|$)/];
+
+// Owner only, whatever the method: connecting accounts and debugging
+const OWNER_ROUTES = [/^\/api\/oauth\//, /^\/api\/debug(\/|$)/];
+
+// Owner only for changes: account credentials, API keys, storage and integration secrets, the audit trail
+const OWNER_WRITE_ROUTES = [
+  /^\/api\/credentials(\/|$)/,
+  /^\/api\/accounts(\/|$)/,
+  /^\/api\/config\/(instagram|ai-model)(\/|$)/,
+  /^\/api\/media-storage(\/|$)/,
+  /^\/api\/webhooks(\/|$)/,
+  /^\/api\/logs(\/|$)/
+];
+
+// Changes approvers may make
+const APPROVER_WRITE_ROUTES = [
+  /^\/api\/approvals\/bulk$/,
+  /^\/api\/approvals\/[^/]+\/(approve|reject)$/,
+  /^\/api\/publish\/dual\/[^/]+\/review\/approve$/,
+  /^\/api\/moderation\/[^/]+\/override$/
+];
+
+// Per-device push subscriptions, open to every member
+const MEMBER_WRITE_ROUTES = [/^\/api\/notifications\/(subscriptions|test)$/];
+
+const READ_METHODS = ['GET', 'HEAD', 'OPTIONS'];
+
+const AUDIT_AREAS = [
+  [/^\/api\/(publish|schedule)/, 'Publishing'],
+  [/^\/api\/(ai-post|posts)/, 'Posts'],
+  [/^\/api\/approvals/, 'Reply approvals'],
+  [/^\/api\/(moderation|comment-rules)/, 'Comments'],
+  [/^\/api\/(dm-campaigns|messages)/, 'Messages'],
+  [/^\/api\/automation/, 'Automation'],
+  [/^\/api\/(credentials|oauth)/, 'Connected accounts'],
+  [/^\/api\/(media-storage|webhooks|notifications)/, 'Integrations'],
+  [/^\/api\/(config|logs)/, 'Settings']
+];
+
+const matches = (routes, path) => routes.some(route => route.test(path));
+
+/**
+ * Path of a request as Express routes it: without the query string, percent-decoded,
+ * lowercased, repeated and trailing slashes removed
+ * @param {string} url - e.g. req.originalUrl
+ */
+function normalizePath(url) {
+  let path = String(url || '').split('?')[0];
+  try {
+    path = decodeURIComponent(path);
+  } catch {
+    // Malformed escapes are matched as sent; Express rejects them anyway
+  }
+  path = path.toLowerCase().replace(/\/{2,}/g, '/');
+  return path.length > 1 ? path.replace(/\/+$/, '') : path;
+}
+
+/**
+ * Whether a route ignores the selected workspace
+ */
+function isPersonalRoute(url) {
+  return matches(PERSONAL_ROUTES, normalizePath(url));
+}
+
+/**
+ * Whether a workspace role may make a request
+ * @param {string} role - One of WORKSPACE_ROLES
+ * @param {string} method - HTTP method
+ * @param {string} url - Request path, query string allowed
+ * @returns {boolean}
+ */
+function isAllowed(role, method, url) {
+  if (!WORKSPACE_ROLES.includes(role)) {
+    return false;
+  }
+  if (role === 'owner') {
+    return true;
+  }
+
+  const path = normalizePath(url);
+  if (matches(OWNER_ROUTES, path)) {
+    return false;
+  }
+  if (READ_METHODS.includes(String(method).toUpperCase())) {
+    return true;
+  }
+  if (matches(MEMBER_WRITE_ROUTES, path)) {
+    return true;
+  }
+  if (matches(OWNER_WRITE_ROUTES, path)) {
+    return false;
+  }
+
+  switch (role) {
+    case 'editor':
+      return true;
+    case 'approver':
+      return matches(APPROVER_WRITE_ROUTES, path);
+    default:
+      return false;
+  }
+}
+
+/**
+ * Lowest role a request needs, for error messages
+ * @returns {string}
+ */
+function requiredRole(method, url) {
+  return ['viewer', 'approver', 'editor', 'owner'].find(role => isAllowed(role, method, url)) || 'owner';
+}
+
+/**
+ * Audit trail entry for a change a member made
+ * @param {Object} request - { method, url, statusCode }
+ * @param {Object} member - { name, email, role }
+ * @returns {{ message: string, details: Object }}
+ */
+function describeChange({ method, url, statusCode }, member) {
+  const path = normalizePath(url);
+  const area = AUDIT_AREAS.find(([route]) => route.test(path))?.[1] || 'Workspace';
+
+  return {
+    message: `${member.name || member.email} (${member.role}): ${String(method).toUpperCase()} ${path}`,
+    details: {
+      area,
+      method: String(method).toUpperCase(),
+      path,
+      statusCode,
+      role: member.role
+    }
+  };
+}
+
+module.exports = {
+  WORKSPACE_ROLES,
+  normalizePath,
+  isPersonalRoute,
+  isAllowed,
+  requiredRole,
+  describeChange
+};
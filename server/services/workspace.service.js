@@ -0,0 +1,411 @@
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const User = require('../models/User');
+const Workspace = require('../models/workspace.model');
+const ActivityLog = require('../models/ActivityLog');
+const { WORKSPACE_ROLES } = require('./workspace-roles');
+
+const INVITATION_TTL_MS = 14 * 24 * 60 * 60 * 1000;
+const MAX_OWNED_WORKSPACES = 10;
+const CONNECTION_FIELDS = [
+  'instagramCredentials',
+  'facebookCredentials',
+  'twitterCredentials',
+  'linkedinCredentials',
+  'threadsCredentials',
+  'youtubeCredentials'
+];
+
+function createError(message, statusCode) {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+}
+
+function normalizeEmail(email) {
+  return String(email || '').trim().toLowerCase();
+}
+
+function hashToken(token) {
+  return crypto.createHash('sha256').update(String(token)).digest('hex');
+}
+
+/**
+ * Workspace Service
+ * Workspaces let a team share connected social accounts. Each workspace has
+ * its own account (a User with accountType 'workspace') that owns the
+ * connections, settings, jobs and logs; members act on it with a role.
+ */
+class WorkspaceService {
+  /**
+   * Create a workspace with the user as its owner
+   */
+  async createWorkspace(user, name, req = null) {
+    const workspaceName = this.validateName(name);
+
+    const owned = await Workspace.countDocuments({ members: { $elemMatch: { userId: user._id, role: 'owner' } } });
+    if (owned >= MAX_OWNED_WORKSPACES) {
+      throw createError(`You can own up to ${MAX_OWNED_WORKSPACES} workspaces`, 400);
+    }
+
+    const workspaceId = new mongoose.Types.ObjectId();
+    const account = await User.create({
+      // Placeholder address on a reserved domain, the account never signs in
+      email: `workspace-${workspaceId}@workspaces.invalid`,
+      password: crypto.randomBytes(32).toString('hex'),
+      name: workspaceName,
+      accountType: 'workspace'
+    });
+
+    const workspace = await Workspace.create({
+      _id: workspaceId,
+      name: workspaceName,
+      accountId: account._id,
+      members: [{ userId: user._id, role: 'owner', addedBy: user._id }]
+    });
+
+    console.log(`[Workspaces] User ${user._id} created workspace ${workspace._id}`);
+    await ActivityLog.audit(account._id, user, 'workspace', `${user.name} created the workspace`, {}, req);
+
+    return workspace;
+  }
+
+  /**
+   * Workspaces the user belongs to and invitations waiting for them
+   */
+  async listForUser(user) {
+    const email = normalizeEmail(user.email);
+    const [workspaces, invited] = await Promise.all([
+      Workspace.find({ 'members.userId': user._id }).sort({ name: 1 }).lean(),
+      Workspace.find({ invitations: { $elemMatch: { email, expiresAt: { $gt: new Date() } } } })
+        .populate('invitations.invitedBy', 'name email')
+        .lean()
+    ]);
+
+    return {
+      workspaces: workspaces.map(workspace => ({
+        id: workspace._id,
+        name: workspace.name,
+        role: workspace.members.find(member => member.userId.equals(user._id)).role,
+        memberCount: workspace.members.length
+      })),
+      invitations: invited.map(workspace => {
+        const invitation = workspace.invitations.find(item => item.email === email);
+        return {
+          workspaceId: workspace._id,
+          name: workspace.name,
+          role: invitation.role,
+          invitedBy: invitation.invitedBy?.name || invitation.invitedBy?.email || null,
+          expiresAt: invitation.expiresAt
+        };
+      })
+    };
+  }
+
+  /**
+   * Members, invitations and connected accounts of a workspace
+   */
+  async getWorkspace(userId, workspaceId) {
+    const { workspace, role } = await this.getMembership(userId, workspaceId);
+    await workspace.populate('members.userId', 'name email');
+    const account = await User.findById(workspace.accountId).lean();
+
+    return {
+      id: workspace._id,
+      name: workspace.name,
+      role,
+      createdAt: workspace.createdAt,
+      connectedAccounts: this.connectedPlatforms(account),
+      members: workspace.members.map(member => ({
+        userId: member.userId?._id,
+        name: member.userId?.name || 'Deleted user',
+        email: member.userId?.email || null,
+        role: member.role,
+        joinedAt: member.joinedAt
+      })),
+      // Only owners manage invitations
+      invitations: role === 'owner'
+        ? workspace.invitations.map(invitation => ({
+          email: invitation.email,
+          role: invitation.role,
+          expiresAt: invitation.expiresAt,
+          expired: invitation.expiresAt < new Date()
+        }))
+        : []
+    };
+  }
+
+  async renameWorkspace(actor, workspaceId, name, req = null) {
+    const { workspace } = await this.getMembership(actor._id, workspaceId, ['owner']);
+    const previous = workspace.name;
+    workspace.name = this.validateName(name);
+    await workspace.save();
+    await User.updateOne({ _id: workspace.accountId }, { $set: { name: workspace.name } });
+
+    await ActivityLog.audit(workspace.accountId, actor, 'workspace', `${actor.name} renamed the workspace from "${previous}" to "${workspace.name}"`, {}, req);
+    return workspace;
+  }
+
+  /**
+   * Delete a workspace; its accounts have to be disconnected first so nothing keeps posting
+   */
+  async deleteWorkspace(actor, workspaceId) {
+    const { workspace } = await this.getMembership(actor._id, workspaceId, ['owner']);
+    const account = await User.findById(workspace.accountId);
+
+    if (account && this.connectedPlatforms(account).length > 0) {
+      throw createError('Disconnect the workspace\'s social accounts before deleting it', 409);
+    }
+
+    if (account) {
+      account.isActive = false;
+      await account.save();
+    }
+    await workspace.deleteOne();
+
+    console.log(`[Workspaces] User ${actor._id} deleted workspace ${workspace._id}`);
+  }
+
+  /**
+   * Invite someone by email; they accept with the invitation link while signed in with that address
+   * @returns {Promise<{invitation: Object, token: string}>} token goes in the link and is not stored
+   */
+  async invite(actor, workspaceId, { email, role } = {}, req = null) {
+    const { workspace } = await this.getMembership(actor._id, workspaceId, ['owner']);
+    const address = normalizeEmail(email);
+
+    if (!/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(address)) {
+      throw createError('A valid email address is required', 400);
+    }
+    this.validateRole(role);
+
+    const existing = await User.findOne({ email: address }).select('_id').lean();
+    if (existing && workspace.members.some(member => member.userId.equals(existing._id))) {
+      throw createError('This person is already a member', 409);
+    }
+
+    // Inviting again replaces the previous invitation, its link and its expiry
+    const token = crypto.randomBytes(32).toString('hex');
+    workspace.invitations = workspace.invitations.filter(invitation => invitation.email !== address);
+    workspace.invitations.push({
+      email: address,
+      tokenHash: hashToken(token),
+      role,
+      invitedBy: actor._id,
+      expiresAt: new Date(Date.now() + INVITATION_TTL_MS)
+    });
+    await workspace.save();
+
+    await ActivityLog.audit(workspace.accountId, actor, 'workspace_members', `${actor.name} invited ${address} as ${role}`, { email: address, role }, req);
+    return { invitation: workspace.invitations.find(invitation => invitation.email === address), token };
+  }
+
+  async revokeInvitation(actor, workspaceId, email, req = null) {
+    const { workspace } = await this.getMembership(actor._id, workspaceId, ['owner']);
+    const address = normalizeEmail(email);
+    const count = workspace.invitations.length;
+
+    workspace.invitations = workspace.invitations.filter(invitation => invitation.email !== address);
+    if (workspace.invitations.length === count) {
+      throw createError('Invitation not found', 404);
+    }
+    await workspace.save();
+
+    await ActivityLog.audit(workspace.accountId, actor, 'workspace_members', `${actor.name} withdrew the invitation for ${address}`, { email: address }, req);
+  }
+
+  /**
+   * Join a workspace the user's email was invited to
+   * @param {string} token - From the invitation link; the email alone is not proof of ownership
+   */
+  async acceptInvitation(user, workspaceId, token, req = null) {
+    const { workspace, invitation } = await this.getInvitation(user, workspaceId, token);
+
+    workspace.invitations = workspace.invitations.filter(item => item !== invitation);
+    if (!workspace.members.some(member => member.userId.equals(user._id))) {
+      workspace.members.push({ userId: user._id, role: invitation.role, addedBy: invitation.invitedBy });
+    }
+    await workspace.save();
+
+    console.log(`[Workspaces] User ${user._id} joined workspace ${workspace._id} as ${invitation.role}`);
+    await ActivityLog.audit(workspace.accountId, user, 'workspace_members', `${user.name} joined as ${invitation.role}`, { role: invitation.role }, req);
+    return workspace;
+  }
+
+  async declineInvitation(user, workspaceId, token, req = null) {
+    const { workspace, invitation } = await this.getInvitation(user, workspaceId, token);
+
+    workspace.invitations = workspace.invitations.filter(item => item !== invitation);
+    await workspace.save();
+
+    await ActivityLog.audit(workspace.accountId, user, 'workspace_members', `${user.name} declined the invitation`, {}, req);
+  }
+
+  async updateMemberRole(actor, workspaceId, memberId, role, req = null) {
+    const { workspace } = await this.getMembership(actor._id, workspaceId, ['owner']);
+    this.validateRole(role);
+
+    const member = this.findMember(workspace, memberId);
+    if (member.role === 'owner' && role !== 'owner') {
+      this.ensureAnotherOwner(workspace, member);
+    }
+
+    const previous = member.role;
+    member.role = role;
+    await workspace.save();
+
+    const memberUser = await User.findById(member.userId).select('name email').lean();
+    await ActivityLog.audit(workspace.accountId, actor, 'workspace_members',
+      `${actor.name} changed the role of ${memberUser?.name || memberUser?.email || 'a member'} from ${previous} to ${role}`,
+      { memberId: member.userId, previousRole: previous, role }, req);
+    return member;
+  }
+
+  /**
+   * Remove a member; any member can remove themselves (leave)
+   */
+  async removeMember(actor, workspaceId, memberId, req = null) {
+    const leaving = String(memberId) === String(actor._id);
+    const { workspace } = await this.getMembership(actor._id, workspaceId, leaving ? WORKSPACE_ROLES : ['owner']);
+
+    const member = this.findMember(workspace, memberId);
+    if (member.role === 'owner') {
+      this.ensureAnotherOwner(workspace, member);
+    }
+
+    workspace.members = workspace.members.filter(item => item !== member);
+    await workspace.save();
+
+    const memberUser = leaving ? actor : await User.findById(member.userId).select('name email').lean();
+    await ActivityLog.audit(workspace.accountId, actor, 'workspace_members',
+      leaving ? `${actor.name} left the workspace` : `${actor.name} removed ${memberUser?.name || memberUser?.email || 'a member'}`,
+      { memberId: member.userId, role: member.role }, req);
+  }
+
+  /**
+   * Changes members made in the workspace, newest first
+   */
+  async getAuditTrail(userId, workspaceId, { limit = 50, skip = 0, actorId = null } = {}) {
+    const { workspace } = await this.getMembership(userId, workspaceId);
+    const query = { userId: workspace.accountId, type: 'audit' };
+    if (actorId && mongoose.isValidObjectId(actorId)) {
+      query.actorId = actorId;
+    }
+
+    return await ActivityLog.find(query)
+      .sort({ timestamp: -1 })
+      .skip(Math.max(parseInt(skip) || 0, 0))
+      .limit(Math.min(Math.max(parseInt(limit) || 50, 1), 200))
+      .lean();
+  }
+
+  /**
+   * Workspace, role and shared account for a request made in a workspace
+   * @returns {Promise<{workspace: Object, role: string, account: Object}>}
+   */
+  async resolveContext(userId, workspaceId) {
+    const { workspace, role } = await this.getMembership(userId, workspaceId);
+    const account = await User.findById(workspace.accountId);
+
+    if (!account || !account.isActive) {
+      throw createError('Workspace not found', 404);
+    }
+
+    return { workspace, role, account };
+  }
+
+  /**
+   * @private
+   * @param {string[]} [roles] - Roles allowed, any role when omitted
+   */
+  async getMembership(userId, workspaceId, roles = WORKSPACE_ROLES) {
+    const workspace = mongoose.isValidObjectId(workspaceId) ? await Workspace.findById(workspaceId) : null;
+    const member = workspace?.members.find(item => item.userId.equals(userId));
+
+    if (!member) {
+      throw createError('Workspace not found', 404);
+    }
+    if (!roles.includes(member.role)) {
+      throw createError(`Only workspace ${roles.join(' or ')}s can do this`, 403);
+    }
+
+    return { workspace, role: member.role };
+  }
+
+  /**
+   * @private
+   */
+  async getInvitation(user, workspaceId, token) {
+    const workspace = mongoose.isValidObjectId(workspaceId) ? await Workspace.findById(workspaceId) : null;
+    const invitation = workspace?.invitations.find(item => item.email === normalizeEmail(user.email));
+
+    if (!invitation || invitation.expiresAt < new Date()) {
+      throw createError('Invitation not found or expired', 404);
+    }
+
+    // Invitations from before links had no token; the owner sends a new one
+    const expected = Buffer.from(invitation.tokenHash || '', 'hex');
+    const given = Buffer.from(hashToken(token || ''), 'hex');
+    if (!token || expected.length !== given.length || !crypto.timingSafeEqual(expected, given)) {
+      throw createError('Open the invitation link you were sent to answer this invitation', 403);
+    }
+
+    return { workspace, invitation };
+  }
+
+  /**
+   * @private
+   */
+  findMember(workspace, memberId) {
+    const member = workspace.members.find(item => String(item.userId) === String(memberId));
+    if (!member) {
+      throw createError('Member not found', 404);
+    }
+    return member;
+  }
+
+  /**
+   * @private
+   */
+  ensureAnotherOwner(workspace, member) {
+    if (!workspace.members.some(item => item !== member && item.role === 'owner')) {
+      throw createError('A workspace needs at least one owner. Make someone else owner first.', 409);
+    }
+  }
+
+  /**
+   * @private
+   */
+  validateName(name) {
+    const value = String(name || '').trim();
+    if (!value) {
+      throw createError('Workspace name is required', 400);
+    }
+    if (value.length > 100) {
+      throw createError('Workspace name must be 100 characters or less', 400);
+    }
+    return value;
+  }
+
+  /**
+   * @private
+   */
+  validateRole(role) {
+    if (!WORKSPACE_ROLES.includes(role)) {
+      throw createError(`Role must be one of: ${WORKSPACE_ROLES.join(', ')}`, 400);
+    }
+  }
+
+  /**
+   * @private
+   */
+  connectedPlatforms(account) {
+    return CONNECTION_FIELDS
+      .filter(field => account?.[field]?.accessToken)
+      .map(field => field.replace('Credentials', ''));
+  }
+}
+
+// Export singleton instance
+const workspaceService = new WorkspaceService();
+module.exports = workspaceService;
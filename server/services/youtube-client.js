@@ -0,0 +1,18 @@
+const YouTubeCommentsService = require('./youtube-comments.service');
+const { getYouTubeCredentials } = require('./publish-credentials');
+
+/**
+ * Build an authenticated YouTube comment client from a user's stored credentials
+ * @param {string} userId
+ * @param {Object} options - { dailyQuotaBudget }
+ * @returns {Promise<YouTubeCommentsService>}
+ */
+async function getYouTubeCommentsServiceForUser(userId, options = {}) {
+  const youtubeService = new YouTubeCommentsService(() => getYouTubeCredentials(userId), options);
+  await youtubeService.initialize();
+  return youtubeService;
+}
+
+module.exports = {
+  getYouTubeCommentsServiceForUser
+};
@@ -0,0 +1,277 @@
+const axios = require('axios');
+const { QUOTA_COSTS, QuotaBudget, DEFAULT_DAILY_BUDGET } = require('./youtube-quota');
+
+// Access tokens live for an hour, ask for a fresh one well before that
+const TOKEN_TTL_MS = 45 * 60 * 1000;
+const COMMENTS_PER_VIDEO = 20;
+
+/**
+ * YouTubeCommentsService - YouTube comment source for AutomationWorkflow
+ *
+ * Implements the same methods the workflow uses on InstagramGraphService
+ * (posts, comments, replies, hide/delete) on top of the YouTube Data API,
+ * and counts every request against a daily quota budget.
+ */
+class YouTubeCommentsService {
+  /**
+   * @param {Function} tokenProvider - async () => ({ youtubeToken, channelId }), refreshes expired tokens
+   * @param {Object} options
+   * @param {number} options.dailyQuotaBudget - Units this channel's automation may use per day
+   */
+  constructor(tokenProvider, options = {}) {
+    this.apiBaseUrl = 'https://www.googleapis.com/youtube/v3';
+    this.tokenProvider = tokenProvider;
+    this.accessToken = null;
+    this.tokenFetchedAt = 0;
+    this.channelId = null;
+    this.channelTitle = null;
+    this.uploadsPlaylistId = null;
+    this.isAuthenticated = false;
+    this.quota = new QuotaBudget(options.dailyQuotaBudget || DEFAULT_DAILY_BUDGET);
+  }
+
+  /**
+   * Resolve the connected channel and its uploads playlist
+   */
+  async initialize() {
+    try {
+      const data = await this.request('get', '/channels', QUOTA_COSTS.channelsList, {
+        params: { part: 'snippet,contentDetails', mine: true }
+      });
+      const channel = data.items?.[0];
+      if (!channel) {
+        throw new Error('No YouTube channel found for this account');
+      }
+
+      this.channelId = channel.id;
+      this.channelTitle = channel.snippet.title;
+      this.uploadsPlaylistId = channel.contentDetails.relatedPlaylists.uploads;
+      this.isAuthenticated = true;
+      console.log(`[YouTubeComments] Initialized for channel ${this.channelTitle} (${this.channelId})`);
+      return true;
+    } catch (error) {
+      this.isAuthenticated = false;
+      throw new Error(`Failed to initialize: ${error.message}`);
+    }
+  }
+
+  /**
+   * Channel shown as the account in logs
+   */
+  async getAccountInfo() {
+    return {
+      id: this.channelId,
+      username: this.channelTitle
+    };
+  }
+
+  /**
+   * Most recent uploads, shaped like Instagram posts
+   * @param {number} limit
+   */
+  async getAccountPosts(limit = 10) {
+    const playlist = await this.request('get', '/playlistItems', QUOTA_COSTS.playlistItemsList, {
+      params: {
+        part: 'contentDetails',
+        playlistId: this.uploadsPlaylistId,
+        maxResults: Math.min(limit, 50)
+      }
+    });
+
+    const videoIds = (playlist.items || []).map(item => item.contentDetails.videoId);
+    return await this.getVideos(videoIds);
+  }
+
+  /**
+   * One video, shaped like an Instagram post
+   * @param {string} videoId
+   */
+  async getMediaById(videoId) {
+    const [video] = await this.getVideos([videoId]);
+    if (!video) {
+      throw new Error(`YouTube video ${videoId} not found`);
+    }
+    return video;
+  }
+
+  /**
+   * Videos by ID (up to 50), shaped like Instagram posts
+   * @param {string[]} videoIds
+   */
+  async getVideos(videoIds) {
+    if (!videoIds.length) {
+      return [];
+    }
+
+    const data = await this.request('get', '/videos', QUOTA_COSTS.videosList, {
+      params: { part: 'snippet,statistics', id: videoIds.join(',') }
+    });
+
+    return (data.items || []).map(video => ({
+      id: video.id,
+      caption: [video.snippet.title, video.snippet.description].filter(Boolean).join('\n\n'),
+      type: 'VIDEO',
+      timestamp: video.snippet.publishedAt,
+      commentCount: Number(video.statistics?.commentCount) || 0
+    }));
+  }
+
+  /**
+   * Latest top-level comments of a video, without the channel's own comments
+   * @param {string} videoId
+   */
+  async getRecentComments(videoId) {
+    let data;
+    try {
+      data = await this.request('get', '/commentThreads', QUOTA_COSTS.commentThreadsList, {
+        params: {
+          part: 'snippet',
+          videoId,
+          order: 'time',
+          textFormat: 'plainText',
+          maxResults: COMMENTS_PER_VIDEO
+        }
+      });
+    } catch (error) {
+      if (error.reason === 'commentsDisabled') {
+        return [];
+      }
+      throw error;
+    }
+
+    return (data.items || [])
+      .map(thread => thread.snippet.topLevelComment)
+      .filter(comment => comment.snippet.authorChannelId?.value !== this.channelId)
+      .map(comment => ({
+        id: comment.id,
+        postId: videoId,
+        username: comment.snippet.authorDisplayName,
+        text: comment.snippet.textOriginal || comment.snippet.textDisplay || '',
+        timestamp: new Date(comment.snippet.publishedAt)
+      }));
+  }
+
+  /**
+   * Reply in the comment's thread
+   * @param {string} commentId - Top-level comment ID
+   * @param {string} text
+   */
+  async replyToComment(commentId, text) {
+    if (!text || text.trim().length === 0) {
+      throw new Error('Reply text cannot be empty');
+    }
+
+    const data = await this.request('post', '/comments', QUOTA_COSTS.commentsInsert, {
+      params: { part: 'snippet' },
+      data: {
+        snippet: {
+          parentId: commentId,
+          textOriginal: text.trim().slice(0, 10000)
+        }
+      }
+    });
+
+    console.log(`[YouTubeComments] Posted reply to comment ${commentId}`);
+    return { success: true, type: 'public', id: data.id, data };
+  }
+
+  /**
+   * YouTube has no private replies, so this is always a public reply
+   */
+  async replyToCommentSmart(commentId, text) {
+    return await this.replyToComment(commentId, text);
+  }
+
+  async sendPrivateReply() {
+    throw new Error('Private replies are not supported on YouTube');
+  }
+
+  /**
+   * Hold a comment for review (hidden from viewers) or publish it again
+   * @param {string} commentId
+   * @param {boolean} hide
+   */
+  async hideComment(commentId, hide = true) {
+    await this.setModerationStatus(commentId, hide ? 'heldForReview' : 'published');
+    console.log(`[YouTubeComments] ${hide ? 'Held' : 'Published'} comment ${commentId}`);
+    return true;
+  }
+
+  /**
+   * Reject a comment; the Data API only deletes the channel's own comments
+   * @param {string} commentId
+   */
+  async deleteComment(commentId) {
+    await this.setModerationStatus(commentId, 'rejected');
+    console.log(`[YouTubeComments] Rejected comment ${commentId}`);
+    return true;
+  }
+
+  /**
+   * Replies that still fit in today's quota budget
+   * @returns {number}
+   */
+  getAffordableReplies() {
+    return this.quota.affordable(QUOTA_COSTS.commentsInsert);
+  }
+
+  /**
+   * @private
+   */
+  async setModerationStatus(commentId, moderationStatus) {
+    await this.request('post', '/comments/setModerationStatus', QUOTA_COSTS.commentsSetModerationStatus, {
+      params: { id: commentId, moderationStatus }
+    });
+  }
+
+  /**
+   * @private
+   */
+  async getAccessToken() {
+    if (!this.accessToken || Date.now() - this.tokenFetchedAt > TOKEN_TTL_MS) {
+      const { youtubeToken } = await this.tokenProvider();
+      this.accessToken = youtubeToken;
+      this.tokenFetchedAt = Date.now();
+    }
+    return this.accessToken;
+  }
+
+  /**
+   * Authenticated Data API request, charged to the quota budget
+   * @private
+   */
+  async request(method, path, cost, { params, data } = {}) {
+    this.quota.spend(cost);
+
+    try {
+      const response = await axios({
+        method,
+        url: `${this.apiBaseUrl}${path}`,
+        params,
+        data,
+        headers: {
+          'Authorization': `Bearer ${await this.getAccessToken()}`
+        }
+      });
+      return response.data;
+    } catch (error) {
+      const apiError = error.response?.data?.error;
+      const reason = apiError?.errors?.[0]?.reason;
+
+      if (error.response?.status === 401) {
+        this.accessToken = null;
+        throw new Error('YouTube authentication failed. Please reconnect your YouTube account.');
+      }
+      if (reason === 'quotaExceeded' || reason === 'dailyLimitExceeded') {
+        // The project quota is gone for today, stop spending until it resets
+        this.quota.used = this.quota.dailyBudget;
+      }
+
+      const wrapped = new Error(`YouTube API error: ${apiError?.message || error.message}`);
+      wrapped.reason = reason;
+      throw wrapped;
+    }
+  }
+}
+
+module.exports = YouTubeCommentsService;
@@ -0,0 +1,198 @@
+const User = require('../models/User');
+const PublishJob = require('../models/publish-job.model');
+const VideoInsight = require('../models/video-insight.model');
+const YouTubePublisherService = require('./youtube-publisher.service');
+const { getYouTubeCredentials } = require('./publish-credentials');
+const { toDayBucket } = require('./insights-metrics');
+const {
+  chunk,
+  mapVideoStatistics,
+  parseAnalyticsReport,
+  toAnalyticsDate
+} = require('./youtube-metrics');
+
+const DEFAULT_INTERVAL_HOURS = 6;
+// Manual refreshes are limited to one per user in this window
+const MIN_REFRESH_GAP_MS = 10 * 60 * 1000;
+
+function createError(message, statusCode) {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+}
+
+/**
+ * YouTubeInsightsCollector - Periodically stores statistics of the videos we uploaded
+ *
+ * Every run saves a daily snapshot of views, likes and comments (Data API)
+ * and lifetime watch time (Analytics API) of every video uploaded by a
+ * completed dual-publish job.
+ */
+class YouTubeInsightsCollector {
+  constructor() {
+    this.timer = null;
+    this.isRunning = false;
+    this.lastCollectedAt = new Map();
+  }
+
+  start() {
+    if (this.timer) {
+      return;
+    }
+
+    const hours = parseFloat(process.env.INSIGHTS_INTERVAL_HOURS) || DEFAULT_INTERVAL_HOURS;
+    console.log(`[YouTubeInsightsCollector] Started (collecting every ${hours}h)`);
+    this.timer = setInterval(() => this.run(), hours * 60 * 60 * 1000);
+    this.run();
+  }
+
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+      console.log('[YouTubeInsightsCollector] Stopped');
+    }
+  }
+
+  /**
+   * Collect statistics for every user with a YouTube connection
+   */
+  async run() {
+    if (this.isRunning) {
+      return;
+    }
+
+    this.isRunning = true;
+
+    try {
+      const users = await User.find({
+        'youtubeCredentials.isActive': true,
+        'youtubeCredentials.accessToken': { $exists: true, $ne: null }
+      }).select('_id');
+
+      for (const user of users) {
+        try {
+          await this.collectForUser(user._id);
+        } catch (error) {
+          console.error(`[YouTubeInsightsCollector] Collection for user ${user._id} failed:`, error.message);
+        }
+      }
+    } catch (error) {
+      console.error('[YouTubeInsightsCollector] Run failed:', error.message);
+    } finally {
+      this.isRunning = false;
+    }
+  }
+
+  /**
+   * Collect now for one user (manual refresh from the dashboard)
+   * @param {string} userId
+   */
+  async refreshForUser(userId) {
+    const last = this.lastCollectedAt.get(String(userId));
+    if (last && Date.now() - last < MIN_REFRESH_GAP_MS) {
+      throw createError('YouTube statistics were refreshed a few minutes ago, try again later', 429);
+    }
+    return await this.collectForUser(userId);
+  }
+
+  /**
+   * Snapshot every video uploaded by the user's publish jobs
+   * @param {string} userId
+   * @returns {Promise<{ videos: number }>}
+   */
+  async collectForUser(userId) {
+    const jobs = await PublishJob.find({
+      userId,
+      'platforms.youtube.status': 'completed',
+      'platforms.youtube.postId': { $exists: true, $ne: null }
+    }).select('_id platforms.youtube.postId platforms.youtube.publishedAt').lean();
+
+    const now = new Date();
+    this.lastCollectedAt.set(String(userId), now.getTime());
+
+    if (!jobs.length) {
+      return { videos: 0 };
+    }
+
+    const { youtubeToken, channelId } = await getYouTubeCredentials(userId);
+    const publisher = new YouTubePublisherService();
+    publisher.initialize(youtubeToken);
+
+    const jobIds = new Map(jobs.map(job => [job.platforms.youtube.postId, job._id]));
+    const date = toDayBucket(now);
+    let collected = 0;
+
+    for (const videoIds of chunk([...jobIds.keys()])) {
+      let items;
+      try {
+        items = await publisher.getVideoStatistics(videoIds);
+      } catch (error) {
+        const status = error.response?.status;
+        throw createError(
+          error.response?.data?.error?.message || error.message,
+          status === 401 ? 401 : 502
+        );
+      }
+
+      const watchTime = await this.fetchWatchTime(publisher, items, now);
+
+      for (const item of items) {
+        await VideoInsight.updateOne(
+          { videoId: item.id, date },
+          {
+            $set: {
+              userId,
+              channelId: item.snippet?.channelId || channelId,
+              jobId: jobIds.get(item.id) || null,
+              title: item.snippet?.title,
+              publishedAt: item.snippet?.publishedAt ? new Date(item.snippet.publishedAt) : null,
+              ...mapVideoStatistics(item),
+              // Keep the last known watch time when the Analytics API is unavailable
+              ...(watchTime[item.id] || {}),
+              collectedAt: now
+            }
+          },
+          { upsert: true }
+        );
+        collected++;
+      }
+    }
+
+    console.log(`[YouTubeInsightsCollector] Collected statistics for user ${userId} (${collected} videos)`);
+    return { videos: collected };
+  }
+
+  /**
+   * Lifetime watch time for a batch of videos, empty when the Analytics API
+   * cannot be used (e.g. the connection predates the analytics scope)
+   * @private
+   */
+  async fetchWatchTime(publisher, items, now) {
+    if (!items.length) {
+      return {};
+    }
+
+    const published = items
+      .map(item => new Date(item.snippet?.publishedAt || now).getTime())
+      .filter(Number.isFinite);
+
+    try {
+      const report = await publisher.getVideoAnalytics(
+        items.map(item => item.id),
+        toAnalyticsDate(Math.min(...published)),
+        toAnalyticsDate(now)
+      );
+      return parseAnalyticsReport(report);
+    } catch (error) {
+      if (error.response?.status === 403) {
+        console.warn('[YouTubeInsightsCollector] Analytics API not authorized, reconnect YouTube to collect watch time');
+      } else {
+        console.warn('[YouTubeInsightsCollector] Watch time unavailable:', error.message);
+      }
+      return {};
+    }
+  }
+}
+
+module.exports = YouTubeInsightsCollector;
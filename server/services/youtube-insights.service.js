@@ -0,0 +1,192 @@
+const mongoose = require('mongoose');
+const PublishJob = require('../models/publish-job.model');
+const MediaInsight = require('../models/media-insight.model');
+const VideoInsight = require('../models/video-insight.model');
+const {
+  DAY_MS,
+  sumFields,
+  buildDailySeries,
+  parseDateRange
+} = require('./insights-metrics');
+const { VIDEO_FIELDS, compareDualPublish } = require('./youtube-metrics');
+
+const VIDEO_SORT_FIELDS = ['publishedAt', 'views', 'likes', 'comments', 'watchTimeMinutes'];
+const TOTAL_FIELDS = ['views', 'likes', 'comments', 'watchTimeMinutes'];
+const COMPARISON_METRICS = ['views', 'likes', 'comments'];
+
+function createError(message, statusCode) {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+}
+
+function formatVideo(doc) {
+  return {
+    videoId: doc.videoId,
+    jobId: doc.jobId || null,
+    title: doc.title,
+    url: `https://www.youtube.com/shorts/${doc.videoId}`,
+    publishedAt: doc.publishedAt,
+    views: doc.views ?? null,
+    likes: doc.likes ?? null,
+    comments: doc.comments ?? null,
+    watchTimeMinutes: doc.watchTimeMinutes ?? null,
+    averageViewDurationSeconds: doc.averageViewDurationSeconds ?? null,
+    collectedAt: doc.collectedAt
+  };
+}
+
+/**
+ * Latest snapshot per id of a snapshot collection
+ */
+async function findLatest(Model, idField, match) {
+  return await Model.aggregate([
+    { $match: match },
+    { $sort: { date: -1 } },
+    { $group: { _id: `$${idField}`, doc: { $first: '$$ROOT' } } },
+    { $replaceRoot: { newRoot: '$doc' } }
+  ]);
+}
+
+/**
+ * YouTubeInsightsService - Reads stored YouTube statistics and compares
+ * dual-published content across Instagram and YouTube
+ */
+class YouTubeInsightsService {
+  /**
+   * Latest statistics of every video published in the range
+   * @param {string} userId
+   * @param {{ from?: string, to?: string, sort?: string, limit?: string }} query
+   */
+  async getVideoList(userId, query = {}) {
+    const range = parseDateRange(query.from, query.to);
+    const sort = VIDEO_SORT_FIELDS.includes(query.sort) ? query.sort : 'publishedAt';
+    const limit = Math.min(Math.max(parseInt(query.limit, 10) || 50, 1), 200);
+
+    const docs = await findLatest(VideoInsight, 'videoId', {
+      userId: new mongoose.Types.ObjectId(String(userId)),
+      publishedAt: { $gte: range.from, $lt: new Date(range.to.getTime() + DAY_MS) }
+    });
+    const videos = docs.map(formatVideo);
+    videos.sort((a, b) => {
+      const av = sort === 'publishedAt' ? new Date(a.publishedAt).getTime() : a[sort];
+      const bv = sort === 'publishedAt' ? new Date(b.publishedAt).getTime() : b[sort];
+      return (bv ?? -1) - (av ?? -1);
+    });
+
+    return {
+      from: range.from,
+      to: range.to,
+      sort,
+      videos: videos.slice(0, limit),
+      totals: sumFields(videos, TOTAL_FIELDS)
+    };
+  }
+
+  /**
+   * Daily history of one video
+   * @param {string} userId
+   * @param {string} videoId
+   * @param {{ from?: string, to?: string }} query
+   */
+  async getVideoDetail(userId, videoId, query = {}) {
+    const latest = await VideoInsight.findOne({ userId, videoId }).sort({ date: -1 }).lean();
+    if (!latest) {
+      throw createError('No statistics collected for this video yet', 404);
+    }
+
+    const publishedRecently = latest.publishedAt && Date.now() - latest.publishedAt < 365 * DAY_MS;
+    const range = parseDateRange(query.from || (!query.to && publishedRecently ? latest.publishedAt : undefined), query.to);
+    const docs = await VideoInsight.find({
+      userId,
+      videoId,
+      date: { $gte: range.from, $lte: range.to }
+    }).sort({ date: 1 }).lean();
+
+    return {
+      from: range.from,
+      to: range.to,
+      video: formatVideo(latest),
+      series: buildDailySeries(docs, range.from, range.to, VIDEO_FIELDS)
+    };
+  }
+
+  /**
+   * Instagram vs YouTube for every job published on both platforms in the range
+   * @param {string} userId
+   * @param {{ from?: string, to?: string }} query
+   */
+  async getComparison(userId, query = {}) {
+    const range = parseDateRange(query.from, query.to);
+
+    const jobs = await PublishJob.find({
+      userId,
+      'platforms.instagram.status': 'completed',
+      'platforms.youtube.status': 'completed',
+      'platforms.youtube.publishedAt': { $gte: range.from, $lt: new Date(range.to.getTime() + DAY_MS) }
+    })
+      .select('jobId generatedContent.title platforms.instagram.postId platforms.instagram.url platforms.youtube.postId platforms.youtube.url platforms.youtube.publishedAt')
+      .sort({ 'platforms.youtube.publishedAt': -1 })
+      .lean();
+
+    const userObjectId = new mongoose.Types.ObjectId(String(userId));
+    const [videoDocs, mediaDocs] = await Promise.all([
+      findLatest(VideoInsight, 'videoId', {
+        userId: userObjectId,
+        videoId: { $in: jobs.map(job => job.platforms.youtube.postId) }
+      }),
+      findLatest(MediaInsight, 'mediaId', {
+        userId: userObjectId,
+        mediaId: { $in: jobs.map(job => job.platforms.instagram.postId) }
+      })
+    ]);
+    const videos = new Map(videoDocs.map(doc => [doc.videoId, doc]));
+    const media = new Map(mediaDocs.map(doc => [doc.mediaId, doc]));
+
+    const items = jobs.map(job => {
+      const instagram = media.get(job.platforms.instagram.postId) || null;
+      const youtube = videos.get(job.platforms.youtube.postId) || null;
+
+      return {
+        jobId: job.jobId,
+        title: job.generatedContent?.title || youtube?.title || null,
+        publishedAt: job.platforms.youtube.publishedAt,
+        instagram: {
+          mediaId: job.platforms.instagram.postId,
+          permalink: job.platforms.instagram.url || instagram?.permalink || null,
+          reach: instagram?.reach ?? null,
+          collectedAt: instagram?.collectedAt || null
+        },
+        youtube: {
+          videoId: job.platforms.youtube.postId,
+          url: job.platforms.youtube.url,
+          watchTimeMinutes: youtube?.watchTimeMinutes ?? null,
+          collectedAt: youtube?.collectedAt || null
+        },
+        metrics: compareDualPublish(instagram, youtube)
+      };
+    });
+
+    const totals = { instagram: {}, youtube: {} };
+    const wins = { instagram: 0, youtube: 0, tie: 0 };
+    for (const metric of COMPARISON_METRICS) {
+      totals.instagram[metric] = items.reduce((sum, item) => sum + (item.metrics[metric].instagram ?? 0), 0);
+      totals.youtube[metric] = items.reduce((sum, item) => sum + (item.metrics[metric].youtube ?? 0), 0);
+    }
+    for (const item of items) {
+      const leader = item.metrics.views.leader;
+      if (leader) wins[leader]++;
+    }
+
+    return {
+      from: range.from,
+      to: range.to,
+      items,
+      totals,
+      // Which platform got more views, per dual-published video
+      wins
+    };
+  }
+}
+
+module.exports = YouTubeInsightsService;
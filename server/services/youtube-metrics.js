@@ -0,0 +1,125 @@
+/**
+ * YouTube Metrics
+ *
+ * Helpers for YouTube video performance tracking: mapping Data API
+ * statistics and Analytics API reports to stored fields, and comparing a
+ * dual-published video with its Instagram Reel.
+ */
+
+// Data API videos.list accepts up to 50 ids per request
+const VIDEO_BATCH_SIZE = 50;
+const VIDEO_FIELDS = ['views', 'likes', 'comments', 'watchTimeMinutes', 'averageViewDurationSeconds'];
+const ANALYTICS_METRICS = ['views', 'estimatedMinutesWatched', 'averageViewDuration'];
+
+function toNumber(value) {
+  if (value === undefined || value === null || value === '') {
+    return null;
+  }
+  const number = Number(value);
+  return Number.isFinite(number) ? number : null;
+}
+
+/**
+ * Split a list into batches
+ * @param {Array} items
+ * @param {number} size
+ * @returns {Array<Array>}
+ */
+function chunk(items, size = VIDEO_BATCH_SIZE) {
+  const batches = [];
+  for (let i = 0; i < items.length; i += size) {
+    batches.push(items.slice(i, i + size));
+  }
+  return batches;
+}
+
+/**
+ * Map a Data API video resource to stored counters
+ * Counts are strings in the API and missing when hidden by the owner
+ * @param {Object} item - videos.list item with "statistics"
+ * @returns {{ views: number|null, likes: number|null, comments: number|null }}
+ */
+function mapVideoStatistics(item) {
+  const statistics = item?.statistics || {};
+  return {
+    views: toNumber(statistics.viewCount),
+    likes: toNumber(statistics.likeCount),
+    comments: toNumber(statistics.commentCount)
+  };
+}
+
+/**
+ * Turn an Analytics API report with a "video" dimension into
+ * { videoId: { watchTimeMinutes, averageViewDurationSeconds } }
+ * @param {Object} report - { columnHeaders: [{ name }], rows: [[...]] }
+ * @returns {Object}
+ */
+function parseAnalyticsReport(report) {
+  const headers = (report?.columnHeaders || []).map(header => header.name);
+  const videoIndex = headers.indexOf('video');
+  const minutesIndex = headers.indexOf('estimatedMinutesWatched');
+  const durationIndex = headers.indexOf('averageViewDuration');
+  const result = {};
+
+  if (videoIndex === -1) {
+    return result;
+  }
+
+  for (const row of report.rows || []) {
+    result[row[videoIndex]] = {
+      watchTimeMinutes: minutesIndex === -1 ? null : toNumber(row[minutesIndex]),
+      averageViewDurationSeconds: durationIndex === -1 ? null : toNumber(row[durationIndex])
+    };
+  }
+
+  return result;
+}
+
+/**
+ * Date in the YYYY-MM-DD format the Analytics API expects
+ * @param {Date|string|number} date
+ * @returns {string}
+ */
+function toAnalyticsDate(date) {
+  return new Date(date).toISOString().slice(0, 10);
+}
+
+function leader(instagram, youtube) {
+  if (instagram === null && youtube === null) return null;
+  if ((instagram ?? 0) === (youtube ?? 0)) return 'tie';
+  return (instagram ?? 0) > (youtube ?? 0) ? 'instagram' : 'youtube';
+}
+
+/**
+ * Side by side metrics of one piece of content published on both platforms
+ * Instagram Reel views are stored as "plays"
+ * @param {Object|null} instagram - Latest MediaInsight snapshot
+ * @param {Object|null} youtube - Latest VideoInsight snapshot
+ * @returns {{ views: Object, likes: Object, comments: Object }}
+ */
+function compareDualPublish(instagram, youtube) {
+  const pairs = {
+    views: [instagram?.plays, youtube?.views],
+    likes: [instagram?.likes, youtube?.likes],
+    comments: [instagram?.comments, youtube?.comments]
+  };
+
+  const comparison = {};
+  for (const [metric, [ig, yt]] of Object.entries(pairs)) {
+    const igValue = ig ?? null;
+    const ytValue = yt ?? null;
+    comparison[metric] = { instagram: igValue, youtube: ytValue, leader: leader(igValue, ytValue) };
+  }
+  return comparison;
+}
+
+module.exports = {
+  VIDEO_BATCH_SIZE,
+  VIDEO_FIELDS,
+  ANALYTICS_METRICS,
+  chunk,
+  mapVideoStatistics,
+  parseAnalyticsReport,
+  toAnalyticsDate,
+  compareDualPublish
+};
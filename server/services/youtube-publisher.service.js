@@ -12,6 +12,7 @@ class YouTubePublisherService {
     this.accessToken = null;
     this.apiBaseUrl = 'https://www.googleapis.com/youtube/v3';
     this.uploadUrl = 'https://www.googleapis.com/upload/youtube/v3/videos';
+    this.analyticsUrl = 'https://youtubeanalytics.googleapis.com/v2/reports';
   }
 
   /**
@@ -259,6 +260,62 @@ class YouTubePublisherService {
     }
   }
 
+  /**
+   * Get statistics for up to 50 videos in one request
+   * @param {string[]} videoIds
+   * @returns {Promise<Array>} videos.list items with snippet and statistics
+   */
+  async getVideoStatistics(videoIds) {
+    try {
+      const response = await axios.get(`${this.apiBaseUrl}/videos`, {
+        params: {
+          part: 'snippet,statistics',
+          id: videoIds.join(','),
+          maxResults: videoIds.length
+        },
+        headers: {
+          'Authorization': `Bearer ${this.accessToken}`
+        }
+      });
+
+      return response.data.items || [];
+    } catch (error) {
+      console.error('[YouTubePublisher] Get video statistics error:', error.response?.data || error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * Get lifetime watch time per video from the YouTube Analytics API
+   * Requires the yt-analytics.readonly scope
+   * @param {string[]} videoIds
+   * @param {string} startDate - YYYY-MM-DD
+   * @param {string} endDate - YYYY-MM-DD
+   * @returns {Promise<Object>} Report with columnHeaders and rows
+   */
+  async getVideoAnalytics(videoIds, startDate, endDate) {
+    try {
+      const response = await axios.get(this.analyticsUrl, {
+        params: {
+          ids: 'channel==MINE',
+          startDate,
+          endDate,
+          metrics: 'views,estimatedMinutesWatched,averageViewDuration',
+          dimensions: 'video',
+          filters: `video==${videoIds.join(',')}`
+        },
+        headers: {
+          'Authorization': `Bearer ${this.accessToken}`
+        }
+      });
+
+      return response.data;
+    } catch (error) {
+      console.error('[YouTubePublisher] Get video analytics error:', error.response?.data || error.message);
+      throw error;
+    }
+  }
+
   /**
    * Update video metadata
    */
@@ -0,0 +1,124 @@
+/**
+ * YouTube Quota
+ *
+ * Keeps YouTube comment automation inside a daily Data API quota budget.
+ * Every request has a unit cost, the quota resets at midnight Pacific time,
+ * and the poll interval is stretched so reads never use more than their
+ * share of the budget.
+ */
+
+const DAY_SECONDS = 24 * 60 * 60;
+
+// Data API v3 unit costs of the requests used by comment automation
+const QUOTA_COSTS = {
+  channelsList: 1,
+  playlistItemsList: 1,
+  videosList: 1,
+  commentThreadsList: 1,
+  commentsInsert: 50,
+  commentsSetModerationStatus: 50
+};
+
+// Google's default project quota is 10,000 units/day, uploads also come out of it
+const DEFAULT_DAILY_BUDGET = 3000;
+// Share of the budget kept for replies and moderation, reads pace themselves with the rest
+const WRITE_SHARE = 0.6;
+
+const pacificDate = new Intl.DateTimeFormat('en-CA', {
+  timeZone: 'America/Los_Angeles',
+  year: 'numeric',
+  month: '2-digit',
+  day: '2-digit'
+});
+
+/**
+ * Quota day a moment falls in (YYYY-MM-DD, Pacific time)
+ * @param {Date|number} date
+ * @returns {string}
+ */
+function quotaDay(date = new Date()) {
+  return pacificDate.format(new Date(date));
+}
+
+/**
+ * Units spent by one polling cycle: list uploads, read video details, then
+ * one commentThreads page per monitored video
+ * @param {number} videoCount
+ * @returns {number}
+ */
+function pollCost(videoCount) {
+  return QUOTA_COSTS.playlistItemsList + QUOTA_COSTS.videosList + videoCount * QUOTA_COSTS.commentThreadsList;
+}
+
+/**
+ * Shortest poll interval that keeps a day of polling within the read share of the budget
+ * @param {number} dailyBudget - Units per day for this channel
+ * @param {number} videoCount - Videos checked per cycle
+ * @returns {number} Seconds
+ */
+function minPollIntervalSeconds(dailyBudget, videoCount) {
+  const readBudget = dailyBudget * (1 - WRITE_SHARE);
+  const polls = Math.floor(readBudget / pollCost(videoCount));
+  return polls > 0 ? Math.ceil(DAY_SECONDS / polls) : DAY_SECONDS;
+}
+
+/**
+ * Tracks units spent against a daily budget, resetting with the quota day
+ */
+class QuotaBudget {
+  constructor(dailyBudget = DEFAULT_DAILY_BUDGET) {
+    this.dailyBudget = dailyBudget;
+    this.day = null;
+    this.used = 0;
+  }
+
+  /**
+   * @private
+   */
+  roll(now) {
+    const day = quotaDay(now);
+    if (day !== this.day) {
+      this.day = day;
+      this.used = 0;
+    }
+  }
+
+  remaining(now = new Date()) {
+    this.roll(now);
+    return Math.max(this.dailyBudget - this.used, 0);
+  }
+
+  canSpend(units, now = new Date()) {
+    return this.remaining(now) >= units;
+  }
+
+  /**
+   * Record spent units
+   * @throws {Error} When the budget for today is exhausted
+   */
+  spend(units, now = new Date()) {
+    if (!this.canSpend(units, now)) {
+      throw new Error(`YouTube daily quota budget exhausted (${this.used}/${this.dailyBudget} units used)`);
+    }
+    this.used += units;
+  }
+
+  /**
+   * How many operations of a given cost still fit in today's budget
+   * @param {number} units
+   * @returns {number}
+   */
+  affordable(units, now = new Date()) {
+    return Math.floor(this.remaining(now) / units);
+  }
+}
+
+module.exports = {
+  QUOTA_COSTS,
+  DEFAULT_DAILY_BUDGET,
+  WRITE_SHARE,
+  quotaDay,
+  pollCost,
+  minPollIntervalSeconds,
+  QuotaBudget
+};
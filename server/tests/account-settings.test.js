@@ -0,0 +1,122 @@
+/**
+ * Connected Account Settings Tests
+ *
+ * Run with: node server/tests/account-settings.test.js
+ */
+
+const {
+  isAccountPlatform,
+  describeAccount,
+  pickAccountSettings,
+  accountSettingsFor,
+  parseAccountChoice
+} = require('../services/account-settings.js');
+
+// Test counter
+let testsPassed = 0;
+let testsFailed = 0;
+
+function assert(condition, testName) {
+  if (condition) {
+    console.log(`✅ PASS: ${testName}`);
+    testsPassed++;
+  } else {
+    console.error(`❌ FAIL: ${testName}`);
+    testsFailed++;
+  }
+}
+
+function assertEqual(actual, expected, testName) {
+  const condition = JSON.stringify(actual) === JSON.stringify(expected);
+  assert(condition, testName);
+  if (!condition) {
+    console.log('  Expected:', expected);
+    console.log('  Actual:', actual);
+  }
+}
+
+function assertThrows(fn, statusCode, testName) {
+  try {
+    fn();
+    assert(false, testName);
+  } catch (error) {
+    assert(error.statusCode === statusCode, testName);
+  }
+}
+
+console.log('\n🧪 Running Connected Account Settings Tests...\n');
+
+// Test 1: Describing accounts
+console.log('Test 1: Describing accounts');
+assert(isAccountPlatform('instagram') && isAccountPlatform('youtube'), 'Instagram and YouTube have multiple accounts');
+assert(!isAccountPlatform('twitter') && !isAccountPlatform('toString'), 'Other platforms do not');
+assertEqual(
+  describeAccount('instagram', { accessToken: 'enc', accountId: 17841, accountName: 'brand_one' }),
+  { externalId: '17841', name: 'brand_one' },
+  'Instagram account is identified by its account ID'
+);
+assertEqual(
+  describeAccount('youtube', { accessToken: 'enc', channelId: 'UC123' }),
+  { externalId: 'UC123', name: 'UC123' },
+  'YouTube channel without a name falls back to its ID'
+);
+assertEqual(describeAccount('instagram', { accountId: '17841' }), null, 'Credentials without a token are not an account');
+assertEqual(describeAccount('youtube', undefined), null, 'Nothing connected');
+
+// Test 2: Picking settings
+console.log('\nTest 2: Picking settings');
+const picked = pickAccountSettings({
+  replyTone: 'formal',
+  isActive: true,
+  monitorAll: false,
+  selectedPosts: ['m1', 'm2'],
+  postApprovalPolicies: new Map([['m1', 'manual']]),
+  moderation: { enabled: true, spamAction: 'hide' }
+});
+assertEqual(picked.selectedPosts, ['m1', 'm2'], 'Keeps selected posts');
+assertEqual(picked.postApprovalPolicies, { m1: 'manual' }, 'Turns per-post policies into plain JSON');
+assertEqual(picked.moderation, { enabled: true, spamAction: 'hide' }, 'Keeps moderation settings');
+assert(!('replyTone' in picked) && !('isActive' in picked), 'Reply tone and running state stay shared');
+picked.selectedPosts.push('m3');
+assertEqual(pickAccountSettings({ selectedPosts: ['m1'] }).selectedPosts, ['m1'], 'Returns a copy');
+assertEqual(pickAccountSettings(undefined), {}, 'Handles missing settings');
+
+// Test 3: Loading settings
+console.log('\nTest 3: Loading settings');
+assertEqual(
+  accountSettingsFor(null),
+  { monitorAll: false, selectedPosts: [], postApprovalPolicies: {} },
+  'New account starts without selected posts'
+);
+assertEqual(accountSettingsFor({}), accountSettingsFor(null), 'Empty stored settings count as new');
+assertEqual(
+  accountSettingsFor({ selectedPosts: ['a'], monitorAll: true, replyTone: 'formal' }),
+  { monitorAll: true, selectedPosts: ['a'] },
+  'Stored settings are restored, unknown fields ignored'
+);
+
+// Test 4: Choosing accounts for a publish
+console.log('\nTest 4: Choosing accounts for a publish');
+assertEqual(parseAccountChoice(undefined), {}, 'No choice uses the active accounts');
+assertEqual(parseAccountChoice(''), {}, 'Empty form field uses the active accounts');
+assertEqual(parseAccountChoice('{"instagram":"17841","youtube":"UC1"}'), { instagram: '17841', youtube: 'UC1' }, 'Parses JSON from multipart forms');
+assertEqual(parseAccountChoice({ instagram: 17841 }), { instagram: '17841' }, 'Numeric IDs become strings');
+assertEqual(parseAccountChoice({ instagram: '1', youtube: 'UC1' }, ['youtube']), { youtube: 'UC1' }, 'Drops platforms not published to');
+assertEqual(parseAccountChoice({ instagram: null, youtube: '' }), {}, 'Empty choices use the active account');
+assertThrows(() => parseAccountChoice('{nope'), 400, 'Rejects invalid JSON');
+assertThrows(() => parseAccountChoice(['17841']), 400, 'Rejects arrays');
+assertThrows(() => parseAccountChoice({ twitter: '1' }), 400, 'Rejects platforms without multiple accounts');
+assertThrows(() => parseAccountChoice({ instagram: { $ne: null } }), 400, 'Rejects objects as IDs');
+
+// Print summary
+console.log('\n' + '='.repeat(50));
+console.log(`📊 Test Results: ${testsPassed} passed, ${testsFailed} failed`);
+console.log('='.repeat(50));
+
+if (testsFailed === 0) {
+  console.log('\n🎉 All tests passed! Connected account settings are working correctly.\n');
+  process.exit(0);
+} else {
+  console.log('\n⚠️  Some tests failed. Please review the implementation.\n');
+  process.exit(1);
+}
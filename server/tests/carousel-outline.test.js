@@ -0,0 +1,129 @@
+/**
+ * Carousel Outline Tests
+ *
+ * Run with: node server/tests/carousel-outline.test.js
+ */
+
+const {
+  MIN_SLIDES,
+  MAX_SLIDES,
+  DEFAULT_SLIDES,
+  clampSlideCount,
+  parseCarouselOutline,
+  formatSlideCaption
+} = require('../services/carousel-outline.js');
+
+// Test counter
+let testsPassed = 0;
+let testsFailed = 0;
+
+function assert(condition, testName) {
+  if (condition) {
+    console.log(`✅ PASS: ${testName}`);
+    testsPassed++;
+  } else {
+    console.error(`❌ FAIL: ${testName}`);
+    testsFailed++;
+  }
+}
+
+function assertEqual(actual, expected, testName) {
+  const condition = JSON.stringify(actual) === JSON.stringify(expected);
+  assert(condition, testName);
+  if (!condition) {
+    console.log('  Expected:', expected);
+    console.log('  Actual:', actual);
+  }
+}
+
+function assertThrows(fn, testName) {
+  try {
+    fn();
+    assert(false, testName);
+  } catch {
+    assert(true, testName);
+  }
+}
+
+function makeOutline(count, extra = {}) {
+  return JSON.stringify({
+    hook: '5 caching mistakes',
+    slides: Array.from({ length: count }, (_, i) => ({
+      title: `Slide ${i + 1}`,
+      text: `Point ${i + 1}`,
+      imagePrompt: `Prompt ${i + 1}`
+    })),
+    ...extra
+  });
+}
+
+console.log('\n🧪 Running Carousel Outline Tests...\n');
+
+// Test 1: Slide count limits
+console.log('Test 1: Slide count limits');
+assertEqual(clampSlideCount(4), 4, 'Keeps counts inside the limits');
+assertEqual(clampSlideCount(1), MIN_SLIDES, 'Raises counts below the minimum');
+assertEqual(clampSlideCount(25), MAX_SLIDES, 'Caps counts above the maximum');
+assertEqual(clampSlideCount('7'), 7, 'Parses numeric strings');
+assertEqual(clampSlideCount(undefined), DEFAULT_SLIDES, 'Falls back to the default');
+
+// Test 2: Parsing outlines
+console.log('\nTest 2: Parsing outlines');
+const parsed = parseCarouselOutline(makeOutline(3), 3);
+assertEqual(parsed.hook, '5 caching mistakes', 'Reads the hook');
+assertEqual(parsed.slides.length, 3, 'Reads every slide');
+assertEqual(
+  parsed.slides[1],
+  { title: 'Slide 2', text: 'Point 2', imagePrompt: 'Prompt 2' },
+  'Keeps slide order and fields'
+);
+assertEqual(
+  parseCarouselOutline('```json\n' + makeOutline(2) + '\n```', 2).slides.length,
+  2,
+  'Strips markdown code fences'
+);
+assertEqual(
+  parseCarouselOutline('Here is your outline:\n' + makeOutline(2), 2).slides.length,
+  2,
+  'Ignores text around the JSON'
+);
+assertEqual(parseCarouselOutline(makeOutline(8), 5).slides.length, 5, 'Cuts extra slides');
+
+// Test 3: Loose model output
+console.log('\nTest 3: Loose model output');
+const loose = parseCarouselOutline(JSON.stringify({
+  slides: [
+    { title: 'Intro', caption: 'Alt text field', image_prompt: 'Snake case prompt' },
+    { title: 'No image' },
+    { title: 'Last', text: 'Done', imagePrompt: 'Final prompt' }
+  ]
+}), 5);
+assertEqual(loose.slides.length, 2, 'Drops slides without an image prompt');
+assertEqual(loose.slides[0].text, 'Alt text field', 'Accepts caption as slide text');
+assertEqual(loose.slides[0].imagePrompt, 'Snake case prompt', 'Accepts image_prompt');
+assertEqual(loose.hook, 'Intro', 'Uses the first title when there is no hook');
+
+// Test 4: Invalid outlines
+console.log('\nTest 4: Invalid outlines');
+assertThrows(() => parseCarouselOutline('no json here'), 'Rejects text without JSON');
+assertThrows(() => parseCarouselOutline('{"slides": [}'), 'Rejects malformed JSON');
+assertThrows(() => parseCarouselOutline(makeOutline(1)), 'Rejects outlines with too few slides');
+
+// Test 5: Slide captions
+console.log('\nTest 5: Slide captions');
+assertEqual(formatSlideCaption({ title: 'Title', text: 'Body' }), 'Title\nBody', 'Joins title and text');
+assertEqual(formatSlideCaption({ title: '', text: 'Body' }), 'Body', 'Skips empty parts');
+
+// Summary
+console.log('\n' + '='.repeat(50));
+console.log(`✅ Tests Passed: ${testsPassed}`);
+console.log(`❌ Tests Failed: ${testsFailed}`);
+console.log('='.repeat(50));
+
+if (testsFailed === 0) {
+  console.log('\n🎉 All tests passed! Carousel outlines are parsed correctly.\n');
+  process.exit(0);
+} else {
+  console.log('\n⚠️  Some tests failed. Please review the implementation.\n');
+  process.exit(1);
+}
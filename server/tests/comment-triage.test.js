@@ -0,0 +1,149 @@
+/**
+ * Comment Triage Tests
+ *
+ * Run with: node server/tests/comment-triage.test.js
+ */
+
+const {
+  triageComment,
+  validateRule,
+  findUnsafePattern,
+  detectScript,
+  isEmojiOnly,
+  containsLink
+} = require('../services/comment-triage.js');
+
+// Test counter
+let testsPassed = 0;
+let testsFailed = 0;
+
+function assert(condition, testName) {
+  if (condition) {
+    console.log(`✅ PASS: ${testName}`);
+    testsPassed++;
+  } else {
+    console.error(`❌ FAIL: ${testName}`);
+    testsFailed++;
+  }
+}
+
+function assertEqual(actual, expected, testName) {
+  const condition = JSON.stringify(actual) === JSON.stringify(expected);
+  assert(condition, testName);
+  if (!condition) {
+    console.log('  Expected:', expected);
+    console.log('  Actual:', actual);
+  }
+}
+
+function rule(name, conditions, action) {
+  return { name, enabled: true, conditions, action };
+}
+
+console.log('\n🧪 Running Comment Triage Tests...\n');
+
+// Test 1: No rules falls back to AI reply
+console.log('Test 1: Default action');
+assertEqual(triageComment({ text: 'Love this!', username: 'fan' }, []).action, 'ai_reply', 'Should default to ai_reply');
+
+// Test 2: Keyword match is case-insensitive
+console.log('\nTest 2: Keyword match');
+const priceRule = rule('Price', { keywords: ['price', 'cost'] }, { type: 'template', template: 'Hi {{username}}, check your DMs!' });
+const test2 = triageComment({ text: 'What is the PRICE?', username: '@Buyer' }, [priceRule]);
+assertEqual(test2.action, 'template', 'Should match keyword regardless of case');
+assertEqual(test2.reply, 'Hi @buyer, check your DMs!', 'Should render username into template');
+
+// Test 3: First matching rule wins
+console.log('\nTest 3: Rule order');
+const spamRule = rule('Spam', { containsLink: true }, { type: 'hide' });
+const test3 = triageComment({ text: 'price here www.spam.com', username: 'bot' }, [spamRule, priceRule]);
+assertEqual(test3.action, 'hide', 'Should use the first matching rule');
+
+// Test 4: Regex pattern
+console.log('\nTest 4: Regex pattern');
+const dmRule = rule('Follow spam', { pattern: 'follow\\s+me' }, { type: 'delete' });
+assertEqual(triageComment({ text: 'FOLLOW   me back', username: 'x' }, [dmRule]).action, 'delete', 'Should match regex case-insensitively');
+assertEqual(triageComment({ text: 'nice post', username: 'x' }, [dmRule]).action, 'ai_reply', 'Should not match unrelated text');
+
+// Test 5: Invalid regex never matches
+console.log('\nTest 5: Invalid regex');
+const badRule = rule('Bad', { pattern: '([' }, { type: 'ignore' });
+assertEqual(triageComment({ text: '([', username: 'x' }, [badRule]).action, 'ai_reply', 'Invalid pattern should not match');
+
+// Backtracking patterns saved before validation rejected them are cut off
+const slowRule = rule('Slow', { pattern: '(a+)+$' }, { type: 'delete' });
+const startedAt = Date.now();
+assertEqual(triageComment({ text: 'a'.repeat(40) + '!', username: 'x' }, [slowRule]).action, 'ai_reply', 'Backtracking pattern should not match');
+assert(Date.now() - startedAt < 1000, 'Backtracking pattern should be stopped quickly');
+
+// Test 6: Username allow and deny lists
+console.log('\nTest 6: Username lists');
+const vipRule = rule('VIP', { usernames: ['@BigBrand'] }, { type: 'escalate' });
+assertEqual(triageComment({ text: 'hi', username: 'bigbrand' }, [vipRule]).action, 'escalate', 'Should match allowed username');
+assertEqual(triageComment({ text: 'hi', username: 'someone' }, [vipRule]).action, 'ai_reply', 'Should skip other usernames');
+const exceptRule = rule('Except', { excludeUsernames: ['friend'] }, { type: 'ignore' });
+assertEqual(triageComment({ text: 'hi', username: 'Friend' }, [exceptRule]).action, 'ai_reply', 'Should skip excluded usernames');
+
+// Test 7: Emoji-only comments
+console.log('\nTest 7: Emoji only');
+assert(isEmojiOnly('🔥🔥 😍'), 'Should detect emoji-only text');
+assert(isEmojiOnly('👍🏽'), 'Should handle skin tone modifiers');
+assert(!isEmojiOnly('nice 🔥'), 'Should not flag text with words');
+assert(!isEmojiOnly('123'), 'Should not flag digits');
+const emojiRule = rule('Emoji', { emojiOnly: true }, { type: 'ai_reply', tone: 'friendly' });
+const test7 = triageComment({ text: '❤️❤️', username: 'x' }, [emojiRule]);
+assertEqual([test7.action, test7.tone], ['ai_reply', 'friendly'], 'Should carry tone override');
+
+// Test 8: Links
+console.log('\nTest 8: Links');
+assert(containsLink('visit https://example.com now'), 'Should detect URLs');
+assert(containsLink('go to mystore.shop'), 'Should detect bare domains');
+assert(!containsLink('great post.'), 'Should not flag plain text');
+
+// Test 9: Length bounds
+console.log('\nTest 9: Length');
+const shortRule = rule('Short', { maxLength: 3 }, { type: 'ignore' });
+assertEqual(triageComment({ text: 'ok', username: 'x' }, [shortRule]).action, 'ignore', 'Should match short comments');
+assertEqual(triageComment({ text: 'okay then', username: 'x' }, [shortRule]).action, 'ai_reply', 'Should skip longer comments');
+
+// Test 10: Script detection
+console.log('\nTest 10: Scripts');
+assertEqual(detectScript('Привет друг'), 'cyrillic', 'Should detect Cyrillic');
+assertEqual(detectScript('बहुत अच्छा'), 'devanagari', 'Should detect Devanagari');
+assertEqual(detectScript('すごい写真'), 'japanese', 'Should detect Japanese');
+assertEqual(detectScript('🔥🔥'), null, 'Should return null without letters');
+const hindiRule = rule('Hindi', { scripts: ['devanagari'] }, { type: 'escalate' });
+assertEqual(triageComment({ text: 'बहुत अच्छा', username: 'x' }, [hindiRule]).action, 'escalate', 'Should match by script');
+
+// Test 11: Disabled rules are skipped
+console.log('\nTest 11: Disabled rules');
+assertEqual(triageComment({ text: 'price?', username: 'x' }, [{ ...priceRule, enabled: false }]).action, 'ai_reply', 'Should skip disabled rules');
+
+// Test 12: Validation
+console.log('\nTest 12: Validation');
+assertEqual(validateRule(priceRule), [], 'Valid rule should pass');
+assert(validateRule(rule('', {}, { type: 'ignore' })).length === 1, 'Should require a name');
+assert(validateRule(rule('x', {}, { type: 'template' })).length === 1, 'Template needs text');
+assert(validateRule(rule('x', { pattern: '([' }, { type: 'ignore' })).length === 1, 'Should reject invalid regex');
+assert(validateRule(rule('x', { pattern: '(a+)+$' }, { type: 'ignore' })).length === 1, 'Should reject nested repeats');
+assert(findUnsafePattern('(\\w+\\s?)*$') !== null, 'Should reject repeats inside repeated groups');
+assert(findUnsafePattern('(a|ab)*c') !== null, 'Should reject repeated alternations');
+assert(findUnsafePattern('(x)\\1') !== null, 'Should reject backreferences');
+assert(findUnsafePattern('(https?://)?\\S+') === null, 'Should allow optional groups');
+assert(findUnsafePattern('\\(a+\\)+[(+]+') === null, 'Should ignore escaped and bracketed parentheses');
+assert(validateRule(rule('x', { minLength: 5, maxLength: 2 }, { type: 'ignore' })).length === 1, 'Should reject inverted length bounds');
+assert(validateRule(rule('x', {}, { type: 'explode' })).length === 1, 'Should reject unknown actions');
+
+// Summary
+console.log('\n' + '='.repeat(50));
+console.log(`✅ Tests Passed: ${testsPassed}`);
+console.log(`❌ Tests Failed: ${testsFailed}`);
+console.log('='.repeat(50));
+
+if (testsFailed === 0) {
+  console.log('\n🎉 All tests passed! Comment triage is working correctly.\n');
+  process.exit(0);
+} else {
+  console.log('\n⚠️  Some tests failed. Please review the implementation.\n');
+  process.exit(1);
+}
@@ -0,0 +1,95 @@
+/**
+ * DM Campaign Tests
+ *
+ * Run with: node server/tests/dm-campaign.test.js
+ */
+
+const {
+  matchesTrigger,
+  findCampaign,
+  renderCampaignTemplate,
+  validateCampaign
+} = require('../services/dm-campaign.js');
+
+// Test counter
+let testsPassed = 0;
+let testsFailed = 0;
+
+function assert(condition, testName) {
+  if (condition) {
+    console.log(`✅ PASS: ${testName}`);
+    testsPassed++;
+  } else {
+    console.error(`❌ FAIL: ${testName}`);
+    testsFailed++;
+  }
+}
+
+function assertEqual(actual, expected, testName) {
+  const condition = JSON.stringify(actual) === JSON.stringify(expected);
+  assert(condition, testName);
+  if (!condition) {
+    console.log('  Expected:', expected);
+    console.log('  Actual:', actual);
+  }
+}
+
+console.log('\n🧪 Running DM Campaign Tests...\n');
+
+// Test 1: Trigger matching
+console.log('Test 1: Trigger matching');
+assert(matchesTrigger('GUIDE', 'guide'), 'Should match case-insensitively');
+assert(matchesTrigger('guide please!', 'guide'), 'Should match inside a sentence');
+assert(matchesTrigger('Send me the #guide 🙏', 'guide'), 'Should match hashtags');
+assert(matchesTrigger('guide!!!', '#GUIDE'), 'Should ignore # and case in the keyword');
+assert(!matchesTrigger('guidelines?', 'guide'), 'Should not match partial words');
+assert(!matchesTrigger('', 'guide'), 'Empty comment never matches');
+assert(!matchesTrigger('guide', ''), 'Empty keyword never matches');
+assert(matchesTrigger('v1.0 please', 'v1.0') && !matchesTrigger('v100 please', 'v1.0'), 'Should escape regex characters');
+
+// Test 2: Campaign lookup
+console.log('\nTest 2: Campaign lookup');
+const campaigns = [
+  { name: 'Paused', keyword: 'guide', postIds: ['p1'], isActive: false },
+  { name: 'Guide', keyword: 'guide', postIds: ['p1', 'p2'] },
+  { name: 'Link', keyword: 'link', postIds: ['p3'] }
+];
+assertEqual(findCampaign({ text: 'GUIDE', postId: 'p1' }, campaigns)?.name, 'Guide', 'Should skip inactive campaigns');
+assertEqual(findCampaign({ text: 'link', postId: 'p1' }, campaigns), null, 'Should only match campaigns on the post');
+assertEqual(findCampaign({ text: 'link pls', postId: 'p3' }, campaigns)?.name, 'Link', 'Should match other post');
+assertEqual(findCampaign({ text: 'nice', postId: 'p2' }, campaigns), null, 'Should return null without keyword');
+
+// Test 3: Templates
+console.log('\nTest 3: Templates');
+assertEqual(
+  renderCampaignTemplate('Hey {username}! Here it is: {link}', { username: 'jane', link: 'https://x.co/g' }),
+  'Hey @jane! Here it is: https://x.co/g',
+  'Should fill username and link'
+);
+assertEqual(renderCampaignTemplate('You said { keyword }', { keyword: 'GUIDE' }), 'You said GUIDE', 'Should allow spaces in braces');
+assertEqual(renderCampaignTemplate('Hi {username}', { username: '@jane' }), 'Hi @jane', 'Should not double the @');
+assertEqual(renderCampaignTemplate('Keep {unknown}', {}), 'Keep {unknown}', 'Should leave unknown variables');
+
+// Test 4: Validation
+console.log('\nTest 4: Validation');
+const valid = { name: 'Guide', keyword: 'guide', postIds: ['p1'], dmTemplate: 'Here: {link}', link: 'https://example.com' };
+assertEqual(validateCampaign(valid), [], 'Valid campaign has no errors');
+assert(validateCampaign({ ...valid, keyword: 'two words' }).length === 1, 'Should reject multi-word keywords');
+assert(validateCampaign({ ...valid, postIds: [] }).length === 1, 'Should require a post');
+assert(validateCampaign({ ...valid, link: '' }).length === 1, 'Should require a link when the template uses it');
+assert(validateCampaign({ ...valid, link: 'javascript:alert(1)' }).length === 1, 'Should reject non-http links');
+assert(validateCampaign({ ...valid, dmTemplate: 'x'.repeat(1001) }).length === 1, 'Should reject long messages');
+
+// Summary
+console.log('\n' + '='.repeat(50));
+console.log(`✅ Tests Passed: ${testsPassed}`);
+console.log(`❌ Tests Failed: ${testsFailed}`);
+console.log('='.repeat(50));
+
+if (testsFailed === 0) {
+  console.log('\n🎉 All tests passed! DM campaign matching is working correctly.\n');
+  process.exit(0);
+} else {
+  console.log('\n⚠️  Some tests failed. Please review the implementation.\n');
+  process.exit(1);
+}
@@ -0,0 +1,181 @@
+/**
+ * Insights Metrics Tests
+ *
+ * Run with: node server/tests/insights-metrics.test.js
+ */
+
+const {
+  toDayBucket,
+  parseInsightValues,
+  mapAccountInsights,
+  mapMediaInsights,
+  engagementRate,
+  averageEngagementRate,
+  sumFields,
+  buildDailySeries,
+  formatChange,
+  parseDateRange,
+  previousRange
+} = require('../services/insights-metrics.js');
+
+// Test counter
+let testsPassed = 0;
+let testsFailed = 0;
+
+function assert(condition, testName) {
+  if (condition) {
+    console.log(`✅ PASS: ${testName}`);
+    testsPassed++;
+  } else {
+    console.error(`❌ FAIL: ${testName}`);
+    testsFailed++;
+  }
+}
+
+function assertEqual(actual, expected, testName) {
+  const condition = JSON.stringify(actual) === JSON.stringify(expected);
+  assert(condition, testName);
+  if (!condition) {
+    console.log('  Expected:', expected);
+    console.log('  Actual:', actual);
+  }
+}
+
+function assertThrows(fn, testName) {
+  try {
+    fn();
+    assert(false, testName);
+  } catch {
+    assert(true, testName);
+  }
+}
+
+console.log('\n🧪 Running Insights Metrics Tests...\n');
+
+// Test 1: Parsing Graph API responses
+console.log('Test 1: Parsing Graph API responses');
+assertEqual(
+  parseInsightValues([
+    { name: 'reach', period: 'day', total_value: { value: 120 } },
+    { name: 'views', period: 'day', total_value: { value: 340 } }
+  ]),
+  { reach: 120, views: 340 },
+  'Reads total_value metrics'
+);
+assertEqual(
+  parseInsightValues([
+    { name: 'reach', values: [{ value: 10, end_time: '2026-01-01' }, { value: 15, end_time: '2026-01-02' }] }
+  ]),
+  { reach: 15 },
+  'Uses the last value of a time series'
+);
+assertEqual(
+  parseInsightValues([{ name: 'saved', values: [] }, { total_value: { value: 3 } }, null]),
+  {},
+  'Skips empty and unnamed metrics'
+);
+assertEqual(parseInsightValues(undefined), {}, 'Handles a missing data array');
+
+// Test 2: Mapping to stored fields
+console.log('\nTest 2: Mapping to stored fields');
+assertEqual(
+  mapAccountInsights({ reach: 100, views: 250, profile_views: 7 }),
+  { reach: 100, impressions: 250, profileViews: 7 },
+  'Uses views as impressions'
+);
+assertEqual(
+  mapAccountInsights({ impressions: 300, views: 250 }).impressions,
+  300,
+  'Prefers impressions when the API still returns it'
+);
+assertEqual(
+  mapMediaInsights({ reach: 50, saved: 2, shares: 1, views: 80 }, { like_count: 9, comments_count: 3 }),
+  { likes: 9, comments: 3, saves: 2, shares: 1, plays: 80, reach: 50 },
+  'Falls back to like and comment counts from the media object'
+);
+assertEqual(
+  mapMediaInsights({ likes: 12, comments: 4 }, { like_count: 9 }).likes,
+  12,
+  'Prefers insight likes'
+);
+assertEqual(mapMediaInsights({}, {}).saves, null, 'Keeps missing metrics empty');
+
+// Test 3: Engagement
+console.log('\nTest 3: Engagement');
+assertEqual(engagementRate({ likes: 8, comments: 1, saves: 1, shares: 0, reach: 200 }), 5, 'Computes interactions per reach');
+assertEqual(engagementRate({ likes: 1, comments: 0, reach: 3 }), 33.33, 'Rounds to two decimals');
+assertEqual(engagementRate({ likes: 5, reach: 0 }), null, 'Returns null without reach');
+assertEqual(
+  averageEngagementRate([{ likes: 10, reach: 100 }, { likes: 30, reach: 100 }, { likes: 3 }]),
+  20,
+  'Averages rates of media with reach'
+);
+assertEqual(averageEngagementRate([]), null, 'Returns null without media');
+assertEqual(
+  sumFields([{ reach: 10, likes: 2 }, { reach: null, likes: 3 }], ['reach', 'likes']),
+  { reach: 10, likes: 5 },
+  'Sums fields skipping missing values'
+);
+
+// Test 4: Daily series
+console.log('\nTest 4: Daily series');
+assertEqual(toDayBucket('2026-03-05T22:10:00Z').toISOString(), '2026-03-05T00:00:00.000Z', 'Buckets to the UTC day');
+const series = buildDailySeries(
+  [
+    { date: new Date('2026-03-01T00:00:00Z'), reach: 5 },
+    { date: new Date('2026-03-03T00:00:00Z'), reach: 9 }
+  ],
+  new Date('2026-03-01T00:00:00Z'),
+  new Date('2026-03-03T12:00:00Z'),
+  ['reach']
+);
+assertEqual(
+  series,
+  [
+    { date: '2026-03-01', reach: 5 },
+    { date: '2026-03-02', reach: null },
+    { date: '2026-03-03', reach: 9 }
+  ],
+  'Fills days without data with null'
+);
+
+// Test 5: Changes
+console.log('\nTest 5: Changes');
+assertEqual(formatChange(120, 100), '+20%', 'Formats growth');
+assertEqual(formatChange(80, 100), '-20%', 'Formats decline');
+assertEqual(formatChange(5, 0), '+100%', 'Treats growth from zero as +100%');
+assertEqual(formatChange(0, 0), '+0%', 'Keeps zero to zero flat');
+assertEqual(formatChange(50, null), '+0%', 'Shows no change without previous data');
+
+// Test 6: Date ranges
+console.log('\nTest 6: Date ranges');
+const now = new Date('2026-03-31T15:00:00Z');
+const defaultRange = parseDateRange(undefined, undefined, now);
+assertEqual(defaultRange.from.toISOString().slice(0, 10), '2026-03-02', 'Defaults to the last 30 days');
+assertEqual(defaultRange.to.toISOString().slice(0, 10), '2026-03-31', 'Ends today by default');
+assertEqual(defaultRange.days, 30, 'Counts days inclusively');
+const custom = parseDateRange('2026-01-01', '2026-01-07', now);
+assertEqual(custom.days, 7, 'Accepts custom ranges');
+const previous = previousRange(custom);
+assertEqual(
+  [previous.from.toISOString().slice(0, 10), previous.to.toISOString().slice(0, 10)],
+  ['2025-12-25', '2025-12-31'],
+  'Builds the previous period'
+);
+assertThrows(() => parseDateRange('2026-02-01', '2026-01-01', now), 'Rejects reversed ranges');
+assertThrows(() => parseDateRange('nope', undefined, now), 'Rejects invalid dates');
+assertThrows(() => parseDateRange('2020-01-01', '2026-01-01', now), 'Rejects ranges over a year');
+
+// Summary
+console.log('\n' + '='.repeat(50));
+console.log(`✅ Tests Passed: ${testsPassed}`);
+console.log(`❌ Tests Failed: ${testsFailed}`);
+console.log('='.repeat(50));
+
+if (testsFailed === 0) {
+  console.log('\n🎉 All tests passed! Insights are parsed and summarized correctly.\n');
+  process.exit(0);
+} else {
+  console.log('\n⚠️  Some tests failed. Please review the implementation.\n');
+  process.exit(1);
+}
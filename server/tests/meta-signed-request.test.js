@@ -0,0 +1,99 @@
+/**
+ * Meta Signed Request Tests
+ *
+ * Run with: node server/tests/meta-signed-request.test.js
+ */
+
+const crypto = require('crypto');
+const { base64UrlDecode, parseSignedRequest } = require('../services/meta-signed-request.js');
+
+// Test counter
+let testsPassed = 0;
+let testsFailed = 0;
+
+function assert(condition, testName) {
+  if (condition) {
+    console.log(`✅ PASS: ${testName}`);
+    testsPassed++;
+  } else {
+    console.error(`❌ FAIL: ${testName}`);
+    testsFailed++;
+  }
+}
+
+function assertEqual(actual, expected, testName) {
+  const condition = JSON.stringify(actual) === JSON.stringify(expected);
+  assert(condition, testName);
+  if (!condition) {
+    console.log('  Expected:', expected);
+    console.log('  Actual:', actual);
+  }
+}
+
+function assertThrows(fn, statusCode, messagePart, testName) {
+  try {
+    fn();
+    assert(false, testName);
+  } catch (error) {
+    assert(error.statusCode === statusCode && error.message.includes(messagePart), testName);
+    if (error.statusCode !== statusCode || !error.message.includes(messagePart)) {
+      console.log('  Error:', error.statusCode, error.message);
+    }
+  }
+}
+
+const APP_SECRET = 'test-app-secret';
+
+// Signed request the way Meta builds it
+function sign(payload, secret = APP_SECRET) {
+  const encodedPayload = Buffer.from(JSON.stringify(payload)).toString('base64url');
+  const signature = crypto.createHmac('sha256', secret).update(encodedPayload).digest('base64url');
+  return `${signature}.${encodedPayload}`;
+}
+
+const payload = { algorithm: 'HMAC-SHA256', issued_at: 1760000000, user_id: '17841400000000000' };
+
+console.log('\n🧪 Running Meta Signed Request Tests...\n');
+
+// Test 1: Valid requests
+console.log('Test 1: Valid requests');
+assertEqual(parseSignedRequest(sign(payload), APP_SECRET), payload, 'Returns the payload of a valid request');
+assertEqual(
+  parseSignedRequest(sign({ ...payload, algorithm: 'hmac-sha256' }), APP_SECRET).user_id,
+  payload.user_id,
+  'Algorithm name is case-insensitive'
+);
+const padded = sign(payload).replace(/-/g, '+').replace(/_/g, '/');
+assertEqual(parseSignedRequest(padded, APP_SECRET).user_id, payload.user_id, 'Accepts standard base64 characters');
+assertEqual(base64UrlDecode('aGk_').toString('hex'), Buffer.from('hi?').toString('hex'), 'Decodes base64url');
+
+// Test 2: Signature checks
+console.log('\nTest 2: Signature checks');
+assertThrows(() => parseSignedRequest(sign(payload, 'other-secret'), APP_SECRET), 400, 'Invalid signed_request signature', 'Rejects another app\'s secret');
+const [signature] = sign(payload).split('.');
+const tampered = `${signature}.${Buffer.from(JSON.stringify({ ...payload, user_id: '1' })).toString('base64url')}`;
+assertThrows(() => parseSignedRequest(tampered, APP_SECRET), 400, 'Invalid signed_request signature', 'Rejects a tampered payload');
+assertThrows(() => parseSignedRequest(`abc.${sign(payload).split('.')[1]}`, APP_SECRET), 400, 'Invalid signed_request signature', 'Rejects a truncated signature');
+
+// Test 3: Malformed requests
+console.log('\nTest 3: Malformed requests');
+assertThrows(() => parseSignedRequest(undefined, APP_SECRET), 400, 'Malformed signed_request', 'Rejects a missing request');
+assertThrows(() => parseSignedRequest('no-dot', APP_SECRET), 400, 'Malformed signed_request', 'Rejects a request without a payload');
+assertThrows(() => parseSignedRequest('a.b.c', APP_SECRET), 400, 'Malformed signed_request', 'Rejects extra parts');
+assertThrows(() => parseSignedRequest('sig.bm90IGpzb24', APP_SECRET), 400, 'payload', 'Rejects a payload that is not JSON');
+assertThrows(() => parseSignedRequest(sign({ ...payload, algorithm: 'HMAC-SHA1' }), APP_SECRET), 400, 'Unsupported', 'Rejects other algorithms');
+assertThrows(() => parseSignedRequest(sign({ algorithm: 'HMAC-SHA256' }), APP_SECRET), 400, 'no user_id', 'Rejects a payload without a user');
+assertThrows(() => parseSignedRequest(sign(payload), undefined), 500, 'not configured', 'Fails when the app secret is missing');
+
+// Print summary
+console.log('\n' + '='.repeat(50));
+console.log(`📊 Test Results: ${testsPassed} passed, ${testsFailed} failed`);
+console.log('='.repeat(50));
+
+if (testsFailed === 0) {
+  console.log('\n🎉 All tests passed! Signed request parsing is working correctly.\n');
+  process.exit(0);
+} else {
+  console.log('\n⚠️  Some tests failed. Please review the implementation.\n');
+  process.exit(1);
+}
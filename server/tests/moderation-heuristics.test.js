@@ -0,0 +1,84 @@
+/**
+ * Moderation Heuristics Tests
+ *
+ * Run with: node server/tests/moderation-heuristics.test.js
+ */
+
+const { classifyHeuristic, parseClassification, isFlagged } = require('../services/moderation-heuristics.js');
+
+// Test counter
+let testsPassed = 0;
+let testsFailed = 0;
+
+function assert(condition, testName) {
+  if (condition) {
+    console.log(`✅ PASS: ${testName}`);
+    testsPassed++;
+  } else {
+    console.error(`❌ FAIL: ${testName}`);
+    testsFailed++;
+  }
+}
+
+function assertEqual(actual, expected, testName) {
+  const condition = JSON.stringify(actual) === JSON.stringify(expected);
+  assert(condition, testName);
+  if (!condition) {
+    console.log('  Expected:', expected);
+    console.log('  Actual:', actual);
+  }
+}
+
+console.log('\n🧪 Running Moderation Heuristics Tests...\n');
+
+// Test 1: Spam
+console.log('Test 1: Spam');
+assertEqual(classifyHeuristic('Nice! Check my profile for more').label, 'spam', 'Should flag profile promotion');
+assertEqual(classifyHeuristic('Earn $500 daily with bitcoin trading').label, 'spam', 'Should flag crypto offers');
+assertEqual(classifyHeuristic('DM me for collab').label, 'spam', 'Should flag DM requests');
+assertEqual(classifyHeuristic('visit www.cheap-followers.biz').label, 'spam', 'Should flag links');
+
+// Test 2: Toxic
+console.log('\nTest 2: Toxic');
+assertEqual(classifyHeuristic('you are an idiot').label, 'toxic', 'Should flag insults');
+assertEqual(classifyHeuristic('This is GARBAGE, shut up').label, 'toxic', 'Should be case-insensitive');
+assert(classifyHeuristic('idiot, shut up, garbage').confidence > classifyHeuristic('idiot').confidence, 'More hits should raise confidence');
+
+// Test 3: Question
+console.log('\nTest 3: Question');
+assertEqual(classifyHeuristic('Where can I buy this?').label, 'question', 'Should detect question mark');
+assertEqual(classifyHeuristic('how much is shipping').label, 'question', 'Should detect question words');
+
+// Test 4: Positive and neutral
+console.log('\nTest 4: Positive and neutral');
+assertEqual(classifyHeuristic('Love this so much').label, 'positive', 'Should detect praise');
+assertEqual(classifyHeuristic('🔥🔥🔥').label, 'positive', 'Should treat fire emoji as positive');
+assertEqual(classifyHeuristic('ok').label, 'neutral', 'Should default to neutral');
+assertEqual(classifyHeuristic('').label, 'neutral', 'Empty text should be neutral');
+
+// Test 5: Flagged labels
+console.log('\nTest 5: Flagged labels');
+assert(isFlagged('spam') && isFlagged('toxic'), 'Spam and toxic are flagged');
+assert(!isFlagged('question') && !isFlagged('positive'), 'Other labels are not flagged');
+
+// Test 6: Parse AI responses
+console.log('\nTest 6: Parse AI responses');
+assertEqual(parseClassification('{"label": "spam", "confidence": 0.92}'), { label: 'spam', confidence: 0.92 }, 'Should parse JSON');
+assertEqual(parseClassification('```json\n{"label":"Toxic","confidence":2}\n```'), { label: 'toxic', confidence: 1 }, 'Should normalize case and clamp confidence');
+assertEqual(parseClassification('The label is question.'), { label: 'question', confidence: 0.6 }, 'Should fall back to plain text');
+assertEqual(parseClassification('{"label":"angry"}'), null, 'Should reject unknown labels');
+assertEqual(parseClassification(''), null, 'Should reject empty output');
+
+// Summary
+console.log('\n' + '='.repeat(50));
+console.log(`✅ Tests Passed: ${testsPassed}`);
+console.log(`❌ Tests Failed: ${testsFailed}`);
+console.log('='.repeat(50));
+
+if (testsFailed === 0) {
+  console.log('\n🎉 All tests passed! Moderation heuristics are working correctly.\n');
+  process.exit(0);
+} else {
+  console.log('\n⚠️  Some tests failed. Please review the implementation.\n');
+  process.exit(1);
+}
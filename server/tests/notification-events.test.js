@@ -0,0 +1,119 @@
+/**
+ * Notification Events Tests
+ *
+ * Run with: node server/tests/notification-events.test.js
+ */
+
+const {
+  NOTIFICATION_EVENTS,
+  resolvePreferences,
+  mergePreferences,
+  isEventEnabled,
+  buildNotification
+} = require('../services/notification-events.js');
+
+// Test counter
+let testsPassed = 0;
+let testsFailed = 0;
+
+function assert(condition, testName) {
+  if (condition) {
+    console.log(`✅ PASS: ${testName}`);
+    testsPassed++;
+  } else {
+    console.error(`❌ FAIL: ${testName}`);
+    testsFailed++;
+  }
+}
+
+function assertEqual(actual, expected, testName) {
+  const condition = JSON.stringify(actual) === JSON.stringify(expected);
+  assert(condition, testName);
+  if (!condition) {
+    console.log('  Expected:', expected);
+    console.log('  Actual:', actual);
+  }
+}
+
+console.log('\n🧪 Running Notification Events Tests...\n');
+
+// Test 1: Preferences
+console.log('Test 1: Preferences');
+const allOn = Object.fromEntries(NOTIFICATION_EVENTS.map(event => [event, true]));
+assertEqual(resolvePreferences(undefined), allOn, 'Every event is on by default');
+assertEqual(resolvePreferences({ publishCompleted: false }).publishCompleted, false, 'Keeps events turned off');
+assertEqual(
+  mergePreferences({ commentFlagged: false }, { publishCompleted: false, tokenExpiring: 'no', unknown: false }),
+  { ...allOn, publishCompleted: false, commentFlagged: false },
+  'Merges booleans for known events only'
+);
+assertEqual(mergePreferences({ commentFlagged: false }, { commentFlagged: true }).commentFlagged, true, 'Turns events back on');
+
+// Test 2: Enabled events
+console.log('\nTest 2: Enabled events');
+assert(isEventEnabled({}, 'publishFailed'), 'Enabled when never configured');
+assert(!isEventEnabled({ publishFailed: false }, 'publishFailed'), 'Disabled when turned off');
+assert(isEventEnabled({ publishFailed: false }, 'test'), 'Test notifications are always sent');
+assert(!isEventEnabled({}, 'somethingElse'), 'Unknown events are not sent');
+
+// Test 3: Publishing notifications
+console.log('\nTest 3: Publishing notifications');
+assertEqual(
+  buildNotification('publishCompleted', { jobId: 'job_1', platforms: ['instagram', 'twitter'] }),
+  { title: 'Post published', body: 'Your post is live on Instagram, X.', url: '/schedule', tag: 'publish-job_1' },
+  'Completed job lists the platforms'
+);
+const partial = buildNotification('publishFailed', {
+  jobId: 'job_2', status: 'partial', failedPlatforms: ['youtube'], error: 'Quota exceeded'
+});
+assertEqual([partial.title, partial.body], ['Post published with errors', 'Failed on YouTube: Quota exceeded'], 'Partial job names the failed platform');
+assertEqual(
+  buildNotification('publishFailed', { jobId: 'job_3', status: 'failed', error: 'Gave up after 3 attempts' }).body,
+  'Gave up after 3 attempts',
+  'Failed job shows the error'
+);
+assertEqual(buildNotification('publishFailed', { jobId: 'job_3' }).tag, 'publish-job_3', 'Same tag as the completed notification');
+
+// Test 4: Account notifications
+console.log('\nTest 4: Account notifications');
+const expiring = buildNotification('tokenExpiring', { platform: 'instagram', expiresAt: new Date('2026-11-02T10:00:00Z') });
+assertEqual(expiring.title, 'Instagram connection expires soon', 'Token title names the platform');
+assert(expiring.body.includes('on 2026-11-02') && expiring.url === '/configuration', 'Token body shows the date and links to configuration');
+assert(buildNotification('tokenExpiring', { platform: 'threads' }).body.includes('expires soon'), 'Token body without a date');
+assertEqual(
+  buildNotification('automationStopped', { platform: 'youtube' }).title,
+  'YouTube automation stopped',
+  'Automation title names the platform'
+);
+
+// Test 5: Flagged comments
+console.log('\nTest 5: Flagged comments');
+const flagged = buildNotification('commentFlagged', { commentId: 'c1', username: 'spammer', text: 'Buy   followers\nnow', label: 'spam' });
+assertEqual(
+  flagged,
+  { title: 'Comment flagged as spam', body: '@spammer: Buy followers now', url: '/moderation', tag: 'comment-c1' },
+  'Shows the comment on one line'
+);
+const long = buildNotification('commentFlagged', { commentId: 'c2', username: 'u', text: 'a'.repeat(500), label: 'toxic' });
+assert(long.body.length === 180 && long.body.endsWith('…'), 'Long comments are truncated');
+
+let unknownError = null;
+try {
+  buildNotification('nope');
+} catch (error) {
+  unknownError = error;
+}
+assert(unknownError?.message.includes('Unknown notification event'), 'Unknown events throw');
+
+// Print summary
+console.log('\n' + '='.repeat(50));
+console.log(`📊 Test Results: ${testsPassed} passed, ${testsFailed} failed`);
+console.log('='.repeat(50));
+
+if (testsFailed === 0) {
+  console.log('\n🎉 All tests passed! Notification events are working correctly.\n');
+  process.exit(0);
+} else {
+  console.log('\n⚠️  Some tests failed. Please review the implementation.\n');
+  process.exit(1);
+}
@@ -0,0 +1,86 @@
+/**
+ * Platform Captions Tests
+ *
+ * Run with: node server/tests/platform-captions.test.js
+ */
+
+const {
+  LINKEDIN_MAX_LENGTH,
+  THREADS_MAX_LENGTH,
+  textLength,
+  truncateText,
+  cleanHashtags,
+  buildLinkedInText,
+  toLinkedInCommentary,
+  buildThreadsText
+} = require('../services/platform-captions.js');
+
+// Test counter
+let testsPassed = 0;
+let testsFailed = 0;
+
+function assert(condition, testName) {
+  if (condition) {
+    console.log(`✅ PASS: ${testName}`);
+    testsPassed++;
+  } else {
+    console.error(`❌ FAIL: ${testName}`);
+    testsFailed++;
+  }
+}
+
+function assertEqual(actual, expected, testName) {
+  const condition = JSON.stringify(actual) === JSON.stringify(expected);
+  assert(condition, testName);
+  if (!condition) {
+    console.log('  Expected:', expected);
+    console.log('  Actual:', actual);
+  }
+}
+
+const hashtags = ['#marketing', 'growth', '#Marketing', '#b2b', '#sales', '#not valid'];
+const longText = Array.from({ length: 400 }, (_, i) => `word${i}`).join(' ');
+
+console.log('\n🧪 Running Platform Captions Tests...\n');
+
+// Test 1: Truncation
+console.log('Test 1: Truncation');
+assertEqual(truncateText('Short text', 50), 'Short text', 'Text that fits is unchanged');
+assertEqual(truncateText('The quick brown fox jumps over the lazy dog', 20), 'The quick brown fox…', 'Cuts at a word boundary with an ellipsis');
+assert(textLength(truncateText(longText, 100)) <= 100, 'Truncated text fits the limit');
+assertEqual(textLength('🎉🎉'), 2, 'Emoji count as one character each');
+assertEqual(truncateText('Supercalifragilistic', 10), 'Supercali…', 'Long words are cut mid-word');
+
+// Test 2: Hashtags
+console.log('\nTest 2: Hashtags');
+assertEqual(cleanHashtags(hashtags), ['#marketing', '#growth', '#b2b', '#sales'], 'Normalizes, drops duplicates and invalid tags');
+assertEqual(cleanHashtags([]), [], 'No hashtags');
+
+// Test 3: LinkedIn
+console.log('\nTest 3: LinkedIn');
+assertEqual(buildLinkedInText('Lessons from a year of B2B content.', hashtags), 'Lessons from a year of B2B content.\n\n#marketing #growth #b2b', 'Keeps three hashtags after the body');
+assertEqual(buildLinkedInText('No tags here.', []), 'No tags here.', 'Body only without hashtags');
+assert(textLength(buildLinkedInText(longText.repeat(3), hashtags)) <= LINKEDIN_MAX_LENGTH, 'Long descriptions fit the LinkedIn limit');
+assert(buildLinkedInText(longText.repeat(3), hashtags).endsWith('#marketing #growth #b2b'), 'Hashtags survive truncation');
+assertEqual(toLinkedInCommentary('Join us (today) @ 5pm *free*'), 'Join us \\(today\\) \\@ 5pm \\*free\\*', 'Escapes reserved characters');
+assertEqual(toLinkedInCommentary('Big news #growth!'), 'Big news {hashtag|\\#|growth}!', 'Hashtags become hashtag templates');
+assertEqual(toLinkedInCommentary('C:\\path'), 'C:\\\\path', 'Escapes backslashes');
+
+// Test 4: Threads
+console.log('\nTest 4: Threads');
+assertEqual(buildThreadsText('New video is live!', hashtags), { text: 'New video is live!\n\n#marketing', topicTag: 'marketing' }, 'Adds a single topic tag');
+assertEqual(buildThreadsText('New video is live!', []), { text: 'New video is live!', topicTag: null }, 'No topic tag without hashtags');
+assert(textLength(buildThreadsText(longText, hashtags).text) <= THREADS_MAX_LENGTH, 'Long captions fit the Threads limit');
+
+// Print summary
+console.log('\n' + '='.repeat(50));
+console.log(`📊 Test Results: ${testsPassed} passed, ${testsFailed} failed`);
+console.log('='.repeat(50));
+
+if (testsFailed === 0) {
+  console.log('\n🎉 All tests passed! Platform captions are working correctly.\n');
+  process.exit(0);
+} else {
+  console.log('\n⚠️  Some tests failed. Please review the implementation.\n');
+  process.exit(1);
+}
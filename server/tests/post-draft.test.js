@@ -0,0 +1,95 @@
+/**
+ * Post Draft Tests
+ *
+ * Run with: node server/tests/post-draft.test.js
+ */
+
+const {
+  normalizeHashtags,
+  splitCaption,
+  composeCaption,
+  validateCaption
+} = require('../services/post-draft.js');
+
+// Test counter
+let testsPassed = 0;
+let testsFailed = 0;
+
+function assert(condition, testName) {
+  if (condition) {
+    console.log(`✅ PASS: ${testName}`);
+    testsPassed++;
+  } else {
+    console.error(`❌ FAIL: ${testName}`);
+    testsFailed++;
+  }
+}
+
+function assertEqual(actual, expected, testName) {
+  const condition = JSON.stringify(actual) === JSON.stringify(expected);
+  assert(condition, testName);
+  if (!condition) {
+    console.log('  Expected:', expected);
+    console.log('  Actual:', actual);
+  }
+}
+
+console.log('\n🧪 Running Post Draft Tests...\n');
+
+// Test 1: Hashtag normalization
+console.log('Test 1: Hashtag normalization');
+assertEqual(normalizeHashtags('#ai #coding'), '#ai #coding', 'Keeps valid hashtags');
+assertEqual(normalizeHashtags('ai, coding'), '#ai #coding', 'Adds # and splits on commas');
+assertEqual(normalizeHashtags(['#AI', 'ai', '#Coding']), '#AI #Coding', 'Drops case-insensitive duplicates');
+assertEqual(normalizeHashtags('#dev-life ##tips'), '#devlife #tips', 'Strips invalid characters');
+assertEqual(normalizeHashtags('#café #日本'), '#café #日本', 'Keeps unicode letters');
+assertEqual(normalizeHashtags(''), '', 'Empty input gives empty string');
+
+// Test 2: Splitting captions
+console.log('\nTest 2: Splitting captions');
+assertEqual(
+  splitCaption('Learn system design 🚀\n\nFollow for more!\n\n#ai #systemdesign'),
+  { text: 'Learn system design 🚀\n\nFollow for more!', hashtags: '#ai #systemdesign' },
+  'Splits the trailing hashtag block'
+);
+assertEqual(
+  splitCaption('Plain caption\n\nSecond paragraph'),
+  { text: 'Plain caption\n\nSecond paragraph', hashtags: '' },
+  'Keeps captions without a hashtag block'
+);
+assertEqual(
+  splitCaption('Use #ai daily\n\nreally #ai'),
+  { text: 'Use #ai daily\n\nreally #ai', hashtags: '' },
+  'Mixed last paragraph is not a hashtag block'
+);
+assertEqual(splitCaption('#only #tags'), { text: '', hashtags: '#only #tags' }, 'Caption of only hashtags');
+
+// Test 3: Composing captions
+console.log('\nTest 3: Composing captions');
+assertEqual(composeCaption('Hello', 'ai coding'), 'Hello\n\n#ai #coding', 'Joins text and hashtags');
+assertEqual(composeCaption('Hello  ', ''), 'Hello', 'No hashtag block when empty');
+const original = 'Body text\n\n#one #two';
+const parts = splitCaption(original);
+assertEqual(composeCaption(parts.text, parts.hashtags), original, 'Split and compose round-trip');
+
+// Test 4: Validation
+console.log('\nTest 4: Validation');
+assertEqual(validateCaption('Fine caption #ai'), null, 'Valid caption passes');
+assert(validateCaption('   ') !== null, 'Empty caption fails');
+assert(validateCaption('x'.repeat(2201)) !== null, 'Caption over 2200 characters fails');
+const tooManyTags = Array.from({ length: 31 }, (_, i) => `#tag${i}`).join(' ');
+assert(validateCaption(`Caption\n\n${tooManyTags}`) !== null, 'More than 30 hashtags fails');
+
+// Summary
+console.log('\n' + '='.repeat(50));
+console.log(`✅ Tests Passed: ${testsPassed}`);
+console.log(`❌ Tests Failed: ${testsFailed}`);
+console.log('='.repeat(50));
+
+if (testsFailed === 0) {
+  console.log('\n🎉 All tests passed! Draft caption editing is working correctly.\n');
+  process.exit(0);
+} else {
+  console.log('\n⚠️  Some tests failed. Please review the implementation.\n');
+  process.exit(1);
+}
@@ -0,0 +1,130 @@
+/**
+ * Public Host Tests
+ *
+ * Run with: node server/tests/public-host.test.js
+ */
+
+const http = require('http');
+const axios = require('axios');
+const {
+  isPrivateAddress,
+  isLocalHostname,
+  resolvePublicAddress,
+  createPinnedAgents,
+  publicRequestOptions
+} = require('../services/public-host.js');
+
+// Test counter
+let testsPassed = 0;
+let testsFailed = 0;
+
+function assert(condition, testName) {
+  if (condition) {
+    console.log(`✅ PASS: ${testName}`);
+    testsPassed++;
+  } else {
+    console.error(`❌ FAIL: ${testName}`);
+    testsFailed++;
+  }
+}
+
+function assertEqual(actual, expected, testName) {
+  const condition = JSON.stringify(actual) === JSON.stringify(expected);
+  assert(condition, testName);
+  if (!condition) {
+    console.log('  Expected:', expected);
+    console.log('  Actual:', actual);
+  }
+}
+
+async function assertRejects(promise, messagePart, testName) {
+  try {
+    await promise;
+    assert(false, testName);
+  } catch (error) {
+    assert(error.statusCode === 400 && error.message.includes(messagePart), testName);
+    if (error.statusCode !== 400 || !error.message.includes(messagePart)) {
+      console.log('  Error:', error.statusCode, error.message);
+    }
+  }
+}
+
+// Fake DNS: hostname -> addresses
+function fakeLookup(records) {
+  return async (hostname) => {
+    if (!records[hostname]) {
+      const error = new Error(`getaddrinfo ENOTFOUND ${hostname}`);
+      error.code = 'ENOTFOUND';
+      throw error;
+    }
+    return records[hostname].map(address => ({ address, family: address.includes(':') ? 6 : 4 }));
+  };
+}
+
+const lookup = fakeLookup({
+  'hooks.example.com': ['93.184.216.34'],
+  'loopback.example.com': ['127.0.0.1'],
+  'metadata.example.com': ['169.254.169.254'],
+  'internal.example.com': ['10.0.0.5'],
+  'mixed.example.com': ['93.184.216.34', '192.168.1.10'],
+  'v6-loopback.example.com': ['::1']
+});
+
+async function run() {
+  console.log('\n🧪 Running Public Host Tests...\n');
+
+  // Test 1: Addresses
+  console.log('Test 1: Addresses');
+  for (const address of ['127.0.0.1', '10.1.2.3', '172.16.0.1', '192.168.0.1', '169.254.169.254', '100.64.0.1', '0.0.0.0', '::1', 'fd00::1', 'fe80::1', '::ffff:127.0.0.1']) {
+    assert(isPrivateAddress(address), `${address} is private`);
+  }
+  assert(!isPrivateAddress('93.184.216.34') && !isPrivateAddress('172.32.0.1'), 'Public addresses are not private');
+  assert(isLocalHostname('localhost') && isLocalHostname('api.localhost') && isLocalHostname('[::1]'), 'Local hostnames are local');
+  assert(!isLocalHostname('hooks.example.com'), 'Other hostnames need resolving');
+
+  // Test 2: Resolving
+  console.log('\nTest 2: Resolving');
+  assertEqual(await resolvePublicAddress('hooks.example.com', { lookup }), { address: '93.184.216.34', family: 4 }, 'Public host resolves to its address');
+  await assertRejects(resolvePublicAddress('loopback.example.com', { lookup }), 'private address', 'Hostname resolving to loopback is refused');
+  await assertRejects(resolvePublicAddress('metadata.example.com', { lookup }), 'private address', 'Hostname resolving to the metadata service is refused');
+  await assertRejects(resolvePublicAddress('internal.example.com', { lookup }), 'private address', 'Hostname resolving to a private network is refused');
+  await assertRejects(resolvePublicAddress('mixed.example.com', { lookup }), 'private address', 'One private address is enough to refuse');
+  await assertRejects(resolvePublicAddress('v6-loopback.example.com', { lookup }), 'private address', 'IPv6 loopback is refused');
+  await assertRejects(resolvePublicAddress('missing.example.com', { lookup }), 'could not be resolved', 'Unknown hosts are refused');
+  await assertRejects(resolvePublicAddress('127.0.0.1', { lookup }), 'not a public host', 'Private IP literals are refused without a lookup');
+  await assertRejects(publicRequestOptions('https://loopback.example.com/hook', { lookup }), 'private address', 'Request options are refused for private hosts');
+  assertEqual(await publicRequestOptions('http://localhost:4000/hook', { allowPrivate: true }), {}, 'Private hosts are allowed when enabled');
+
+  // Test 3: Pinned address
+  console.log('\nTest 3: Pinned address');
+  const server = http.createServer((req, res) => res.end(req.headers.host));
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  const { port } = server.address();
+  try {
+    // Stands for an address that was checked earlier; the hostname itself is never resolved again
+    const response = await axios.get(`http://rebinding.example.com:${port}/`, {
+      ...createPinnedAgents({ address: '127.0.0.1', family: 4 }),
+      timeout: 5000
+    });
+    assertEqual(response.data, `rebinding.example.com:${port}`, 'Connects to the pinned address and keeps the Host header');
+  } catch (error) {
+    assert(false, `Connects to the pinned address (${error.message})`);
+  } finally {
+    server.close();
+  }
+
+  // Print summary
+  console.log('\n' + '='.repeat(50));
+  console.log(`📊 Test Results: ${testsPassed} passed, ${testsFailed} failed`);
+  console.log('='.repeat(50));
+
+  if (testsFailed === 0) {
+    console.log('\n🎉 All tests passed! Public host checks are working correctly.\n');
+    process.exit(0);
+  } else {
+    console.log('\n⚠️  Some tests failed. Please review the implementation.\n');
+    process.exit(1);
+  }
+}
+
+run();
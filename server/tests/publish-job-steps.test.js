@@ -0,0 +1,191 @@
+/**
+ * Publish Job Steps Tests
+ *
+ * Run with: node server/tests/publish-job-steps.test.js
+ */
+
+const {
+  publishStep,
+  buildJobSteps,
+  getResumePlan,
+  computeBackoff,
+  isRetryableError
+} = require('../services/publish-job-steps.js');
+
+// Test counter
+let testsPassed = 0;
+let testsFailed = 0;
+
+function assert(condition, testName) {
+  if (condition) {
+    console.log(`✅ PASS: ${testName}`);
+    testsPassed++;
+  } else {
+    console.error(`❌ FAIL: ${testName}`);
+    testsFailed++;
+  }
+}
+
+function assertEqual(actual, expected, testName) {
+  const condition = JSON.stringify(actual) === JSON.stringify(expected);
+  assert(condition, testName);
+  if (!condition) {
+    console.log('  Expected:', expected);
+    console.log('  Actual:', actual);
+  }
+}
+
+function steps(completed = [], failed = []) {
+  return ['validate_video', 'process_video', 'generate_content', 'publish_instagram', 'publish_youtube'].map(name => ({
+    name,
+    status: completed.includes(name) ? 'completed' : failed.includes(name) ? 'failed' : 'pending'
+  }));
+}
+
+const pendingPlatforms = { instagram: { status: 'pending' }, youtube: { status: 'pending' } };
+const bothFiles = { instagram: true, youtube: true };
+
+console.log('\n🧪 Running Publish Job Steps Tests...\n');
+
+// Test 1: Fresh and resumed jobs
+console.log('Test 1: Fresh and resumed jobs');
+assertEqual(
+  getResumePlan({ steps: steps(), platforms: pendingPlatforms }),
+  { validate: true, process: true, generate: true, review: false, publish: ['instagram', 'youtube'] },
+  'New job runs every step'
+);
+assertEqual(
+  getResumePlan({ steps: steps(['validate_video', 'process_video']), platforms: pendingPlatforms }, bothFiles),
+  { validate: false, process: false, generate: true, review: false, publish: ['instagram', 'youtube'] },
+  'Resumes after processing when files exist'
+);
+assertEqual(
+  getResumePlan({ steps: steps(['validate_video', 'process_video', 'generate_content']), platforms: pendingPlatforms, platformPayloads: {} }, bothFiles),
+  { validate: false, process: false, generate: false, review: false, publish: ['instagram', 'youtube'] },
+  'Resumes at publishing when content was saved'
+);
+assertEqual(
+  getResumePlan({ steps: steps(['validate_video', 'process_video', 'generate_content']), platforms: pendingPlatforms }, bothFiles).generate,
+  true,
+  'Regenerates content when payloads were not saved'
+);
+
+// Test 2: Missing files
+console.log('\nTest 2: Missing files');
+assertEqual(
+  getResumePlan({ steps: steps(['validate_video', 'process_video']), platforms: pendingPlatforms }, { instagram: true }).process,
+  true,
+  'Reprocesses when a needed file is gone'
+);
+assertEqual(
+  getResumePlan({ steps: steps(['validate_video', 'process_video']), platforms: pendingPlatforms }, { instagram: true }).validate,
+  false,
+  'Does not revalidate a validated video'
+);
+
+// Test 3: Retrying one platform
+console.log('\nTest 3: Retrying one platform');
+const partial = {
+  steps: steps(['validate_video', 'process_video', 'generate_content', 'publish_youtube'], ['publish_instagram']),
+  platforms: { instagram: { status: 'pending' }, youtube: { status: 'completed' } },
+  platformPayloads: {}
+};
+assertEqual(
+  getResumePlan(partial, { instagram: true }),
+  { validate: false, process: false, generate: false, review: false, publish: ['instagram'] },
+  'Only republishes the failed platform'
+);
+assertEqual(
+  getResumePlan(partial, { youtube: true }).process,
+  true,
+  'Ignores files of completed platforms'
+);
+assertEqual(
+  getResumePlan({ ...partial, platforms: { instagram: { status: 'completed' }, youtube: { status: 'completed' } } }, {}),
+  { validate: false, process: false, generate: false, review: false, publish: [] },
+  'Nothing to do when both platforms are published'
+);
+
+// Test 4: Chosen target platforms
+console.log('\nTest 4: Chosen target platforms');
+assertEqual(publishStep('linkedin'), 'publish_linkedin', 'Publish step is named after the platform');
+assertEqual(
+  buildJobSteps(['youtube']),
+  ['validate_video', 'process_video', 'generate_content', 'publish_youtube'],
+  'Only chosen platforms get a publish step'
+);
+assertEqual(
+  buildJobSteps(['instagram', 'youtube'], { instagram: ['publish_instagram_story'] }),
+  ['validate_video', 'process_video', 'generate_content', 'publish_instagram', 'publish_instagram_story', 'publish_youtube'],
+  'Extra steps follow their platform'
+);
+assertEqual(
+  getResumePlan({ steps: steps(), targets: ['youtube'], platforms: { youtube: { status: 'pending' } } }).publish,
+  ['youtube'],
+  'Publishes only the job targets'
+);
+assertEqual(
+  getResumePlan({
+    steps: buildJobSteps(['instagram', 'threads']).map(name => ({ name, status: name === 'publish_instagram' ? 'completed' : 'pending' })),
+    targets: ['instagram', 'threads'],
+    platforms: { instagram: { status: 'completed' }, threads: { status: 'failed' } }
+  }, { threads: true }),
+  { validate: true, process: true, generate: true, review: false, publish: ['threads'] },
+  'Works for any registered platform'
+);
+
+// Test 5: Review before publishing
+console.log('\nTest 5: Review before publishing');
+const reviewSteps = (completed = []) => buildJobSteps(['instagram', 'youtube'], {}, { review: true })
+  .map(name => ({ name, status: completed.includes(name) ? 'completed' : 'pending' }));
+assertEqual(
+  buildJobSteps(['youtube'], {}, { review: true }),
+  ['validate_video', 'process_video', 'generate_content', 'review_content', 'publish_youtube'],
+  'Review step follows content generation'
+);
+assertEqual(
+  getResumePlan({ steps: reviewSteps(), platforms: pendingPlatforms }),
+  { validate: true, process: true, generate: true, review: true, publish: ['instagram', 'youtube'] },
+  'New job waits for review after generating'
+);
+assertEqual(
+  getResumePlan({ steps: reviewSteps(['validate_video', 'process_video', 'generate_content']), platforms: pendingPlatforms, platformPayloads: {} }, bothFiles).review,
+  true,
+  'Resumed job still waits for review'
+);
+assertEqual(
+  getResumePlan({ steps: reviewSteps(['validate_video', 'process_video', 'generate_content', 'review_content']), platforms: pendingPlatforms, platformPayloads: {} }, bothFiles),
+  { validate: false, process: false, generate: false, review: false, publish: ['instagram', 'youtube'] },
+  'Approved job goes straight to publishing'
+);
+
+// Test 6: Backoff
+console.log('\nTest 6: Backoff');
+assertEqual(computeBackoff(1), 2000, 'First retry waits the base delay');
+assertEqual(computeBackoff(3), 8000, 'Delay doubles per attempt');
+assertEqual(computeBackoff(20), 60000, 'Delay is capped');
+assertEqual(computeBackoff(2, { baseMs: 60000, maxMs: 30 * 60000 }), 120000, 'Accepts custom base');
+
+// Test 7: Retryable errors
+console.log('\nTest 7: Retryable errors');
+assert(isRetryableError(new Error('socket hang up')), 'Network errors are retryable');
+assert(isRetryableError(new Error('Request failed with status code 500')), 'Server errors are retryable');
+assert(!isRetryableError(new Error('Video validation failed: too short')), 'Validation errors are permanent');
+assert(!isRetryableError(new Error('Error validating access token: Session has expired')), 'Token errors are permanent');
+const optOut = new Error('Something odd');
+optOut.retryable = false;
+assert(!isRetryableError(optOut), 'Errors can opt out of retries');
+
+// Summary
+console.log('\n' + '='.repeat(50));
+console.log(`✅ Tests Passed: ${testsPassed}`);
+console.log(`❌ Tests Failed: ${testsFailed}`);
+console.log('='.repeat(50));
+
+if (testsFailed === 0) {
+  console.log('\n🎉 All tests passed! Job resume planning is working correctly.\n');
+  process.exit(0);
+} else {
+  console.log('\n⚠️  Some tests failed. Please review the implementation.\n');
+  process.exit(1);
+}
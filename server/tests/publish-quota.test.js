@@ -0,0 +1,107 @@
+/**
+ * Publish Quota Tests
+ *
+ * Run with: node server/tests/publish-quota.test.js
+ */
+
+const {
+  WINDOW_MS,
+  countInWindow,
+  wouldExceedLimit,
+  findNextAvailableSlot,
+  timesForAccount,
+  parseQuota
+} = require('../services/publish-quota.js');
+
+// Test counter
+let testsPassed = 0;
+let testsFailed = 0;
+
+function assert(condition, testName) {
+  if (condition) {
+    console.log(`✅ PASS: ${testName}`);
+    testsPassed++;
+  } else {
+    console.error(`❌ FAIL: ${testName}`);
+    testsFailed++;
+  }
+}
+
+function assertEqual(actual, expected, testName) {
+  const condition = JSON.stringify(actual) === JSON.stringify(expected);
+  assert(condition, testName);
+  if (!condition) {
+    console.log('  Expected:', expected);
+    console.log('  Actual:', actual);
+  }
+}
+
+const HOUR = 60 * 60 * 1000;
+const base = new Date('2025-01-10T12:00:00Z').getTime();
+
+console.log('\n🧪 Running Publish Quota Tests...\n');
+
+// Test 1: Counting
+console.log('Test 1: Counting');
+const times = [base - 30 * HOUR, base - 23 * HOUR, base - HOUR, base];
+assertEqual(countInWindow(times, base), 3, 'Should count the last 24 hours including the end');
+assertEqual(countInWindow(times, base - 2 * HOUR), 1, 'Should exclude later timestamps');
+assertEqual(countInWindow([base - WINDOW_MS], base), 0, 'Window start is exclusive');
+assertEqual(countInWindow([new Date(base).toISOString()], base), 1, 'Should accept ISO strings');
+
+// Test 2: Limit checks
+console.log('\nTest 2: Limit checks');
+assert(!wouldExceedLimit([base - HOUR], base, 2), 'Second post fits a limit of 2');
+assert(wouldExceedLimit([base - 2 * HOUR, base - HOUR], base, 2), 'Third post in the window exceeds a limit of 2');
+assert(!wouldExceedLimit([base - 25 * HOUR, base - 24 * HOUR], base, 2), 'Posts older than 24h do not count');
+assert(wouldExceedLimit([base + HOUR, base + 2 * HOUR], base, 2), 'Should protect windows of later scheduled posts');
+assert(!wouldExceedLimit([base + 25 * HOUR, base + 26 * HOUR], base, 2), 'Scheduled posts more than 24h later do not count');
+
+// Test 3: Next slot
+console.log('\nTest 3: Next slot');
+assertEqual(findNextAvailableSlot([], base, 1).getTime(), base, 'Empty schedule keeps the requested time');
+assertEqual(
+  findNextAvailableSlot([base - 2 * HOUR], base, 1).getTime(),
+  base - 2 * HOUR + WINDOW_MS + 1,
+  'Should wait until the earliest post leaves the window'
+);
+const busy = [base - 3 * HOUR, base - 2 * HOUR];
+const slot = findNextAvailableSlot(busy, base, 2);
+assert(!wouldExceedLimit(busy, slot, 2) && slot.getTime() > base, 'Returned slot respects the limit');
+
+// Test 4: Live quota parsing
+console.log('\nTest 4: Live quota parsing');
+assertEqual(parseQuota({ available: true, quotaUsage: 3, config: { quota_total: 25 } }), { used: 3, total: 25 }, 'Should read usage and total');
+assertEqual(parseQuota({ available: true, quotaUsage: 1 }), { used: 1, total: 100 }, 'Should default the total');
+assertEqual(parseQuota({ available: false }), null, 'Unavailable quota returns null');
+assertEqual(parseQuota(null), null, 'Missing quota returns null');
+
+// Test 5: Two Instagram accounts under one user
+console.log('\nTest 5: Quota per Instagram account');
+const entries = [
+  { time: new Date(base - HOUR), accountId: 'brand_a' },
+  { time: new Date(base - 2 * HOUR), accountId: 'brand_a' },
+  { time: new Date(base - 3 * HOUR), accountId: 'brand_b' }
+];
+assertEqual(timesForAccount(entries, 'brand_a').length, 2, 'Counts only the first account');
+assertEqual(timesForAccount(entries, 'brand_b').length, 1, 'Counts only the second account');
+assert(wouldExceedLimit(timesForAccount(entries, 'brand_a'), base, 2), 'Full account is over its limit');
+assert(!wouldExceedLimit(timesForAccount(entries, 'brand_b'), base, 2), 'Other account of the same user can still publish');
+const legacy = [...entries, { time: new Date(base - 4 * HOUR), accountId: null }];
+assertEqual(timesForAccount(legacy, 'brand_b').length, 2, 'Publishes without an account count for every account');
+assertEqual(timesForAccount(entries, null).length, 3, 'No account counts every publish');
+assertEqual(timesForAccount([{ time: new Date(base), accountId: 17841 }], '17841').length, 1, 'Numeric and string IDs match');
+
+// Summary
+console.log('\n' + '='.repeat(50));
+console.log(`✅ Tests Passed: ${testsPassed}`);
+console.log(`❌ Tests Failed: ${testsFailed}`);
+console.log('='.repeat(50));
+
+if (testsFailed === 0) {
+  console.log('\n🎉 All tests passed! Publish quota checks are working correctly.\n');
+  process.exit(0);
+} else {
+  console.log('\n⚠️  Some tests failed. Please review the implementation.\n');
+  process.exit(1);
+}
@@ -0,0 +1,142 @@
+/**
+ * Review Content Tests
+ *
+ * Run with: node server/tests/review-content.test.js
+ */
+
+const {
+  YOUTUBE_LIMITS,
+  toTagList,
+  buildReviewPreview,
+  applyReviewEdits,
+  validateReview
+} = require('../services/review-content.js');
+
+// Test counter
+let testsPassed = 0;
+let testsFailed = 0;
+
+function assert(condition, testName) {
+  if (condition) {
+    console.log(`✅ PASS: ${testName}`);
+    testsPassed++;
+  } else {
+    console.error(`❌ FAIL: ${testName}`);
+    testsFailed++;
+  }
+}
+
+function assertEqual(actual, expected, testName) {
+  const condition = JSON.stringify(actual) === JSON.stringify(expected);
+  assert(condition, testName);
+  if (!condition) {
+    console.log('  Expected:', expected);
+    console.log('  Actual:', actual);
+  }
+}
+
+const payloads = {
+  instagram: {
+    caption: 'New video is live!\n\n#marketing #growth',
+    hashtags: ['#marketing', '#growth'],
+    metadata: { title: 'Grow faster', shortCaption: 'New video is live!' }
+  },
+  youtube: {
+    title: 'Grow faster',
+    description: 'How we grew our channel.',
+    tags: ['growth', 'social media!', '#marketing'],
+    privacy: 'public'
+  },
+  threads: { text: 'New video is live!', topicTag: 'marketing' }
+};
+
+console.log('\n🧪 Running Review Content Tests...\n');
+
+// Test 1: Previews
+console.log('Test 1: Previews');
+const preview = buildReviewPreview(payloads, ['instagram', 'youtube', 'threads']);
+assertEqual(Object.keys(preview), ['instagram', 'youtube'], 'Previews Instagram and YouTube only');
+assertEqual(preview.instagram.caption, 'New video is live!', 'Caption body without hashtags');
+assertEqual(preview.instagram.counts, { caption: payloads.instagram.caption.length, hashtags: 2 }, 'Counts the full caption and hashtags');
+assertEqual(preview.youtube.sanitizedTags, ['growth', 'social media', 'marketing'], 'Shows sanitized tags');
+assertEqual(preview.youtube.counts.tags, 'growth,social media,marketing'.length, 'Counts sanitized tag length');
+assertEqual(Object.keys(buildReviewPreview(payloads, ['youtube'])), ['youtube'], 'Skips platforms the job does not publish to');
+assertEqual(
+  buildReviewPreview({ instagram: { caption: 'Old job\n\n#one', hashtags: ['#one'] } }, ['instagram']).instagram.caption,
+  'Old job',
+  'Splits the caption when the short caption was not saved'
+);
+
+// Test 2: Instagram edits
+console.log('\nTest 2: Instagram edits');
+const instagramEdit = applyReviewEdits(payloads, 'instagram', { caption: ' Watch now ', hashtags: 'one, #two one' });
+assertEqual(instagramEdit.payloads.instagram.caption, 'Watch now\n\n#one #two', 'Recomposes the caption');
+assertEqual(instagramEdit.payloads.instagram.hashtags, ['#one', '#two'], 'Normalizes hashtags');
+assertEqual(instagramEdit.payloads.instagram.metadata.shortCaption, 'Watch now', 'Keeps the short caption in sync');
+assertEqual(instagramEdit.errors, [], 'Valid edit has no errors');
+assertEqual(
+  applyReviewEdits(payloads, 'instagram', { hashtags: '' }).payloads.instagram.caption,
+  'New video is live!',
+  'Removing all hashtags keeps the body'
+);
+assert(
+  applyReviewEdits(payloads, 'instagram', { caption: 'x'.repeat(2300) }).errors[0].includes('at most 2200'),
+  'Rejects captions over the limit'
+);
+assert(payloads.instagram.caption === 'New video is live!\n\n#marketing #growth', 'Does not modify the input');
+
+// Test 3: YouTube edits
+console.log('\nTest 3: YouTube edits');
+const youtubeEdit = applyReviewEdits(payloads, 'youtube', { title: 'Better title', tags: 'one, two\nthree' });
+assertEqual(youtubeEdit.payloads.youtube.title, 'Better title', 'Updates the title');
+assertEqual(youtubeEdit.payloads.youtube.tags, ['one', 'two', 'three'], 'Splits tags on commas and newlines');
+assertEqual(youtubeEdit.payloads.youtube.privacy, 'public', 'Keeps other payload fields');
+assertEqual(youtubeEdit.errors, [], 'Valid edit has no errors');
+assertEqual(
+  applyReviewEdits(payloads, 'youtube', { title: '  ' }).errors,
+  ['YouTube title cannot be empty'],
+  'Rejects an empty title'
+);
+assert(
+  applyReviewEdits(payloads, 'youtube', { title: 'x'.repeat(YOUTUBE_LIMITS.title + 1) }).errors[0].includes('at most 100'),
+  'Rejects long titles'
+);
+assertEqual(
+  applyReviewEdits(payloads, 'youtube', { description: 'a <b> tag' }).errors,
+  ['YouTube titles and descriptions cannot contain < or >'],
+  'Rejects angle brackets'
+);
+
+// Test 4: Unknown platforms and fields
+console.log('\nTest 4: Unknown platforms and fields');
+assertEqual(applyReviewEdits(payloads, 'threads', { text: 'Hi' }).errors, ['threads content cannot be reviewed'], 'Rejects platforms without review');
+assertEqual(applyReviewEdits(payloads, 'youtube', { privacy: 'private' }).errors, ['Unknown youtube field: privacy'], 'Rejects unknown fields');
+assertEqual(applyReviewEdits(payloads, 'youtube', { privacy: 'private' }).payloads, payloads, 'Leaves payloads alone on unknown fields');
+
+// Test 5: Approval checks
+console.log('\nTest 5: Approval checks');
+assertEqual(validateReview(payloads, ['instagram', 'youtube', 'threads']), [], 'Generated content can be approved');
+assertEqual(
+  validateReview({ ...payloads, youtube: { ...payloads.youtube, title: '' } }, ['instagram', 'youtube']),
+  ['YouTube title cannot be empty'],
+  'Blocks approval of invalid content'
+);
+assertEqual(
+  validateReview({ ...payloads, youtube: { ...payloads.youtube, title: '' } }, ['instagram']),
+  [],
+  'Ignores platforms the job does not publish to'
+);
+assertEqual(toTagList(['  a ', '', 'b']), ['a', 'b'], 'Trims tag lists');
+
+// Print summary
+console.log('\n' + '='.repeat(50));
+console.log(`📊 Test Results: ${testsPassed} passed, ${testsFailed} failed`);
+console.log('='.repeat(50));
+
+if (testsFailed === 0) {
+  console.log('\n🎉 All tests passed! Content review is working correctly.\n');
+  process.exit(0);
+} else {
+  console.log('\n⚠️  Some tests failed. Please review the implementation.\n');
+  process.exit(1);
+}
@@ -0,0 +1,102 @@
+/**
+ * Tweet Thread Tests
+ *
+ * Run with: node server/tests/tweet-thread.test.js
+ */
+
+const {
+  MAX_TWEET_LENGTH,
+  tweetLength,
+  adaptCaption,
+  splitIntoThread
+} = require('../services/tweet-thread.js');
+
+// Test counter
+let testsPassed = 0;
+let testsFailed = 0;
+
+function assert(condition, testName) {
+  if (condition) {
+    console.log(`✅ PASS: ${testName}`);
+    testsPassed++;
+  } else {
+    console.error(`❌ FAIL: ${testName}`);
+    testsFailed++;
+  }
+}
+
+function assertEqual(actual, expected, testName) {
+  const condition = JSON.stringify(actual) === JSON.stringify(expected);
+  assert(condition, testName);
+  if (!condition) {
+    console.log('  Expected:', expected);
+    console.log('  Actual:', actual);
+  }
+}
+
+const sentence = 'Consistency beats intensity when you are building an audience from scratch.';
+const longText = Array.from({ length: 12 }, () => sentence).join(' ');
+
+console.log('\n🧪 Running Tweet Thread Tests...\n');
+
+// Test 1: Weighted length
+console.log('Test 1: Weighted length');
+assertEqual(tweetLength('hello'), 5, 'Latin characters count 1');
+assertEqual(tweetLength('日本語'), 6, 'CJK characters count 2');
+assertEqual(tweetLength('see https://example.com/a/very/long/path?with=query'), 27, 'URLs count 23');
+assertEqual(tweetLength('🎉'), 2, 'Emoji count 2');
+assertEqual(tweetLength(''), 0, 'Empty text is 0');
+
+// Test 2: Caption adaptation
+console.log('\nTest 2: Caption adaptation');
+assertEqual(adaptCaption('Big news today!\n\n#one #two #three #four #five'), 'Big news today!\n\n#one #two #three', 'Keeps the first three hashtags');
+assertEqual(adaptCaption('Big news today!\n\n#one #two', 1), 'Big news today!\n\n#one', 'Respects a custom hashtag limit');
+assertEqual(adaptCaption('First paragraph.\n\nSecond paragraph.'), 'First paragraph.\n\nSecond paragraph.', 'Leaves captions without a hashtag block alone');
+assertEqual(adaptCaption('Loving #mondays\n\n#a #b'), 'Loving #mondays\n\n#a #b', 'Keeps inline hashtags');
+assertEqual(adaptCaption('Only text'), 'Only text', 'Single paragraph is unchanged');
+
+// Test 3: Splitting
+console.log('\nTest 3: Splitting');
+assertEqual(splitIntoThread('Short post'), ['Short post'], 'Text that fits is a single post without a counter');
+assertEqual(splitIntoThread('   '), [], 'Blank text gives no posts');
+
+const thread = splitIntoThread(longText);
+assert(thread.length > 1, 'Long text becomes a thread');
+assert(thread.every(part => tweetLength(part) <= MAX_TWEET_LENGTH), 'Every part fits the limit');
+assert(thread.every((part, index) => part.endsWith(` ${index + 1}/${thread.length}`)), 'Parts are numbered');
+assert(thread.slice(0, -1).every(part => /\.\s\d+\/\d+$/.test(part)), 'Parts end at sentence boundaries');
+assertEqual(
+  thread.map(part => part.replace(/ \d+\/\d+$/, '')).join(' '),
+  longText,
+  'No words are lost or reordered'
+);
+
+const unnumbered = splitIntoThread(longText, { numbered: false });
+assert(unnumbered.every(part => !/\d+\/\d+$/.test(part)), 'Counter can be turned off');
+
+// Test 4: Edge cases
+console.log('\nTest 4: Edge cases');
+const longWord = 'a'.repeat(600);
+const wordParts = splitIntoThread(longWord);
+assert(wordParts.length === 3 && wordParts.every(part => tweetLength(part) <= MAX_TWEET_LENGTH), 'Words longer than a post are split');
+
+const cjk = '日本語のテキスト。'.repeat(40);
+assert(splitIntoThread(cjk).every(part => tweetLength(part) <= MAX_TWEET_LENGTH), 'Weighted characters are respected');
+
+const small = splitIntoThread(longText, { maxLength: 40 });
+assert(small.length >= 10 && small.every(part => tweetLength(part) <= 40), 'Counter grows to two digits when needed');
+assert(small[small.length - 1].endsWith(`${small.length}/${small.length}`), 'Two-digit counters are correct');
+
+// Summary
+console.log('\n' + '='.repeat(50));
+console.log(`✅ Tests Passed: ${testsPassed}`);
+console.log(`❌ Tests Failed: ${testsFailed}`);
+console.log('='.repeat(50));
+
+if (testsFailed === 0) {
+  console.log('\n🎉 All tests passed! Thread splitting is working correctly.\n');
+  process.exit(0);
+} else {
+  console.log('\n⚠️  Some tests failed. Please review the implementation.\n');
+  process.exit(1);
+}
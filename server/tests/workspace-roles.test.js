@@ -0,0 +1,114 @@
+/**
+ * Workspace Roles Tests
+ *
+ * Run with: node server/tests/workspace-roles.test.js
+ */
+
+const {
+  normalizePath,
+  isPersonalRoute,
+  isAllowed,
+  requiredRole,
+  describeChange
+} = require('../services/workspace-roles.js');
+
+// Test counter
+let testsPassed = 0;
+let testsFailed = 0;
+
+function assert(condition, testName) {
+  if (condition) {
+    console.log(`✅ PASS: ${testName}`);
+    testsPassed++;
+  } else {
+    console.error(`❌ FAIL: ${testName}`);
+    testsFailed++;
+  }
+}
+
+function assertEqual(actual, expected, testName) {
+  const condition = JSON.stringify(actual) === JSON.stringify(expected);
+  assert(condition, testName);
+  if (!condition) {
+    console.log('  Expected:', expected);
+    console.log('  Actual:', actual);
+  }
+}
+
+// Roles allowed to make a request, in order
+const allowedRoles = (method, url) => ['owner', 'editor', 'approver', 'viewer'].filter(role => isAllowed(role, method, url));
+
+console.log('\n🧪 Running Workspace Roles Tests...\n');
+
+// Test 1: Paths
+console.log('Test 1: Paths');
+assertEqual(normalizePath('/api/schedule/?from=2026-01-01'), '/api/schedule', 'Drops query string and trailing slash');
+assertEqual(normalizePath('/'), '/', 'Keeps the root path');
+assertEqual(normalizePath('/API//Credentials/instagram'), '/api/credentials/instagram', 'Lowercases and collapses repeated slashes');
+assertEqual(normalizePath('/api/%63redentials%2Finstagram'), '/api/credentials/instagram', 'Decodes percent-encoded characters');
+assertEqual(normalizePath('/api/%E0%A4%A'), '/api/%e0%a4%a', 'Keeps malformed escapes');
+assert(isPersonalRoute('/api/auth/me') && isPersonalRoute('/api/workspaces/abc/members'), 'Profile and workspace management are personal');
+assert(!isPersonalRoute('/api/authorization') && !isPersonalRoute('/api/publish/dual'), 'Other routes use the workspace');
+
+// Test 2: Reading
+console.log('\nTest 2: Reading');
+assertEqual(allowedRoles('GET', '/api/publish/dual/jobs'), ['owner', 'editor', 'approver', 'viewer'], 'Every role reads jobs');
+assertEqual(allowedRoles('GET', '/api/credentials'), ['owner', 'editor', 'approver', 'viewer'], 'Every role sees which accounts are connected');
+assertEqual(allowedRoles('GET', '/api/oauth/instagram/auth-url'), ['owner'], 'Only owners start connecting an account');
+assertEqual(allowedRoles('GET', '/api/debug/user'), ['owner'], 'Only owners use debug routes');
+assertEqual(allowedRoles('get', '/api/insights?range=30'), ['owner', 'editor', 'approver', 'viewer'], 'Method case and query strings do not matter');
+
+// Test 3: Changes
+console.log('\nTest 3: Changes');
+assertEqual(allowedRoles('POST', '/api/publish/dual'), ['owner', 'editor'], 'Editors create publishing jobs');
+assertEqual(allowedRoles('PUT', '/api/schedule/post/123'), ['owner', 'editor'], 'Editors reschedule');
+assertEqual(allowedRoles('POST', '/api/automation/start'), ['owner', 'editor'], 'Editors run automation');
+assertEqual(allowedRoles('DELETE', '/api/credentials/instagram'), ['owner'], 'Only owners disconnect accounts');
+assertEqual(allowedRoles('POST', '/api/Credentials/instagram'), ['owner'], 'Mixed case paths do not get past owner routes');
+assertEqual(allowedRoles('POST', '//api/%43REDENTIALS/youtube'), ['owner'], 'Encoded paths do not get past owner routes');
+assertEqual(allowedRoles('GET', '/api/OAuth/instagram/auth-url'), ['owner'], 'Mixed case paths do not get past owner-only reads');
+assertEqual(allowedRoles('POST', '/api/accounts/abc123/switch'), ['owner'], 'Only owners switch the active account');
+assertEqual(allowedRoles('GET', '/api/accounts'), ['owner', 'editor', 'approver', 'viewer'], 'Every role sees the connected accounts');
+assertEqual(allowedRoles('POST', '/api/config/ai-model'), ['owner'], 'Only owners change API keys');
+assertEqual(allowedRoles('PUT', '/api/media-storage'), ['owner'], 'Only owners change storage credentials');
+assertEqual(allowedRoles('POST', '/api/webhooks/abc/rotate-secret'), ['owner'], 'Only owners manage webhooks');
+assertEqual(allowedRoles('DELETE', '/api/logs'), ['owner'], 'Only owners clear the activity log');
+
+// Test 4: Approvals
+console.log('\nTest 4: Approvals');
+assertEqual(allowedRoles('POST', '/api/approvals/178_1/approve'), ['owner', 'editor', 'approver'], 'Approvers approve replies');
+assertEqual(allowedRoles('POST', '/api/approvals/178_1/reject'), ['owner', 'editor', 'approver'], 'Approvers reject replies');
+assertEqual(allowedRoles('POST', '/api/approvals/178_1/regenerate'), ['owner', 'editor'], 'Approvers do not regenerate replies');
+assertEqual(allowedRoles('PUT', '/api/approvals/settings'), ['owner', 'editor'], 'Approvers do not change the approval policy');
+assertEqual(allowedRoles('POST', '/api/publish/dual/job_1/review/approve'), ['owner', 'editor', 'approver'], 'Approvers approve reviewed jobs');
+assertEqual(allowedRoles('PATCH', '/api/publish/dual/job_1/review'), ['owner', 'editor'], 'Approvers do not edit captions');
+assertEqual(allowedRoles('POST', '/api/moderation/c1/override'), ['owner', 'editor', 'approver'], 'Approvers correct moderation labels');
+
+// Test 5: Members and errors
+console.log('\nTest 5: Members and errors');
+assertEqual(allowedRoles('POST', '/api/notifications/subscriptions'), ['owner', 'editor', 'approver', 'viewer'], 'Every member subscribes a device');
+assertEqual(allowedRoles('PUT', '/api/notifications/preferences'), ['owner', 'editor'], 'Notification preferences are shared settings');
+assert(!isAllowed('admin', 'GET', '/api/schedule'), 'Unknown roles are denied');
+assertEqual(requiredRole('POST', '/api/approvals/1/approve'), 'approver', 'Names the lowest role for approvals');
+assertEqual(requiredRole('DELETE', '/api/credentials/youtube'), 'owner', 'Names the owner for credentials');
+
+const change = describeChange(
+  { method: 'post', url: '/api/publish/dual/job_1/retry?force=1', statusCode: 200 },
+  { name: 'Ana', email: 'ana@example.com', role: 'editor' }
+);
+assertEqual(change.message, 'Ana (editor): POST /api/publish/dual/job_1/retry', 'Audit message names the member, role and request');
+assertEqual([change.details.area, change.details.role, change.details.statusCode], ['Publishing', 'editor', 200], 'Audit details carry area, role and status');
+assertEqual(describeChange({ method: 'PUT', url: '/api/unknown' }, { email: 'x@example.com', role: 'owner' }).details.area, 'Workspace', 'Unknown areas fall back to Workspace');
+
+// Print summary
+console.log('\n' + '='.repeat(50));
+console.log(`📊 Test Results: ${testsPassed} passed, ${testsFailed} failed`);
+console.log('='.repeat(50));
+
+if (testsFailed === 0) {
+  console.log('\n🎉 All tests passed! Workspace roles are working correctly.\n');
+  process.exit(0);
+} else {
+  console.log('\n⚠️  Some tests failed. Please review the implementation.\n');
+  process.exit(1);
+}
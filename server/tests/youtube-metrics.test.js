@@ -0,0 +1,128 @@
+/**
+ * YouTube Metrics Tests
+ *
+ * Run with: node server/tests/youtube-metrics.test.js
+ */
+
+const {
+  chunk,
+  mapVideoStatistics,
+  parseAnalyticsReport,
+  toAnalyticsDate,
+  compareDualPublish
+} = require('../services/youtube-metrics.js');
+
+// Test counter
+let testsPassed = 0;
+let testsFailed = 0;
+
+function assert(condition, testName) {
+  if (condition) {
+    console.log(`✅ PASS: ${testName}`);
+    testsPassed++;
+  } else {
+    console.error(`❌ FAIL: ${testName}`);
+    testsFailed++;
+  }
+}
+
+function assertEqual(actual, expected, testName) {
+  const condition = JSON.stringify(actual) === JSON.stringify(expected);
+  assert(condition, testName);
+  if (!condition) {
+    console.log('  Expected:', expected);
+    console.log('  Actual:', actual);
+  }
+}
+
+console.log('\n🧪 Running YouTube Metrics Tests...\n');
+
+// Test 1: Batching video ids
+console.log('Test 1: Batching video ids');
+const ids = Array.from({ length: 120 }, (_, i) => `v${i}`);
+assertEqual(chunk(ids).map(batch => batch.length), [50, 50, 20], 'Splits ids into batches of 50');
+assertEqual(chunk([]), [], 'No batches for an empty list');
+assertEqual(chunk([1, 2, 3], 2), [[1, 2], [3]], 'Accepts a custom batch size');
+
+// Test 2: Data API statistics
+console.log('\nTest 2: Data API statistics');
+assertEqual(
+  mapVideoStatistics({ id: 'abc', statistics: { viewCount: '1520', likeCount: '87', commentCount: '9', favoriteCount: '0' } }),
+  { views: 1520, likes: 87, comments: 9 },
+  'Converts string counters to numbers'
+);
+assertEqual(
+  mapVideoStatistics({ id: 'abc', statistics: { viewCount: '10', commentCount: '0' } }),
+  { views: 10, likes: null, comments: 0 },
+  'Hidden like counts are null, zero stays zero'
+);
+assertEqual(mapVideoStatistics({ id: 'abc' }), { views: null, likes: null, comments: null }, 'Missing statistics are null');
+
+// Test 3: Analytics API reports
+console.log('\nTest 3: Analytics API reports');
+const report = {
+  columnHeaders: [
+    { name: 'video', columnType: 'DIMENSION' },
+    { name: 'views', columnType: 'METRIC' },
+    { name: 'estimatedMinutesWatched', columnType: 'METRIC' },
+    { name: 'averageViewDuration', columnType: 'METRIC' }
+  ],
+  rows: [
+    ['abc', 1500, 210, 8],
+    ['def', 40, 3, 5]
+  ]
+};
+assertEqual(
+  parseAnalyticsReport(report),
+  {
+    abc: { watchTimeMinutes: 210, averageViewDurationSeconds: 8 },
+    def: { watchTimeMinutes: 3, averageViewDurationSeconds: 5 }
+  },
+  'Maps rows by video id using the column headers'
+);
+assertEqual(
+  parseAnalyticsReport({ columnHeaders: report.columnHeaders }),
+  {},
+  'Reports without rows give no values'
+);
+assertEqual(
+  parseAnalyticsReport({ columnHeaders: [{ name: 'day' }, { name: 'views' }], rows: [['2026-01-01', 5]] }),
+  {},
+  'Ignores reports without a video dimension'
+);
+assertEqual(
+  parseAnalyticsReport({ columnHeaders: [{ name: 'video' }, { name: 'estimatedMinutesWatched' }], rows: [['abc', 12]] }),
+  { abc: { watchTimeMinutes: 12, averageViewDurationSeconds: null } },
+  'Missing metric columns are null'
+);
+
+// Test 4: Analytics dates
+console.log('\nTest 4: Analytics dates');
+assertEqual(toAnalyticsDate(new Date('2026-03-05T23:10:00Z')), '2026-03-05', 'Formats dates as YYYY-MM-DD (UTC)');
+
+// Test 5: Instagram vs YouTube comparison
+console.log('\nTest 5: Instagram vs YouTube comparison');
+const comparison = compareDualPublish(
+  { plays: 900, likes: 120, comments: 4, reach: 700 },
+  { views: 1500, likes: 80, comments: 4 }
+);
+assertEqual(comparison.views, { instagram: 900, youtube: 1500, leader: 'youtube' }, 'Compares Reel plays with YouTube views');
+assertEqual(comparison.likes, { instagram: 120, youtube: 80, leader: 'instagram' }, 'Picks the platform with more likes');
+assertEqual(comparison.comments.leader, 'tie', 'Equal values are a tie');
+const youtubeOnly = compareDualPublish(null, { views: 10, likes: null, comments: 0 });
+assertEqual(youtubeOnly.views, { instagram: null, youtube: 10, leader: 'youtube' }, 'Missing Instagram data counts as zero for the leader');
+assertEqual(youtubeOnly.likes, { instagram: null, youtube: null, leader: null }, 'No leader without any data');
+
+// Summary
+console.log('\n' + '='.repeat(50));
+console.log(`✅ Tests Passed: ${testsPassed}`);
+console.log(`❌ Tests Failed: ${testsFailed}`);
+console.log('='.repeat(50));
+
+if (testsFailed === 0) {
+  console.log('\n🎉 All tests passed! YouTube metrics are parsed and compared correctly.\n');
+  process.exit(0);
+} else {
+  console.log('\n⚠️  Some tests failed. Please review the implementation.\n');
+  process.exit(1);
+}
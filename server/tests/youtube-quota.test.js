@@ -0,0 +1,94 @@
+/**
+ * YouTube Quota Tests
+ *
+ * Run with: node server/tests/youtube-quota.test.js
+ */
+
+const {
+  QUOTA_COSTS,
+  quotaDay,
+  pollCost,
+  minPollIntervalSeconds,
+  QuotaBudget
+} = require('../services/youtube-quota.js');
+
+// Test counter
+let testsPassed = 0;
+let testsFailed = 0;
+
+function assert(condition, testName) {
+  if (condition) {
+    console.log(`✅ PASS: ${testName}`);
+    testsPassed++;
+  } else {
+    console.error(`❌ FAIL: ${testName}`);
+    testsFailed++;
+  }
+}
+
+function assertEqual(actual, expected, testName) {
+  const condition = JSON.stringify(actual) === JSON.stringify(expected);
+  assert(condition, testName);
+  if (!condition) {
+    console.log('  Expected:', expected);
+    console.log('  Actual:', actual);
+  }
+}
+
+function assertThrows(fn, testName) {
+  try {
+    fn();
+    assert(false, testName);
+  } catch {
+    assert(true, testName);
+  }
+}
+
+console.log('\n🧪 Running YouTube Quota Tests...\n');
+
+// Test 1: Quota day boundaries (midnight Pacific)
+console.log('Test 1: Quota day boundaries');
+assertEqual(quotaDay(new Date('2026-03-02T07:59:00Z')), '2026-03-01', 'Before midnight PST is still the previous day');
+assertEqual(quotaDay(new Date('2026-03-02T08:00:00Z')), '2026-03-02', 'Midnight PST starts a new day');
+assertEqual(quotaDay(new Date('2026-07-02T07:00:00Z')), '2026-07-02', 'Midnight PDT starts a new day in summer');
+
+// Test 2: Poll cost
+console.log('\nTest 2: Poll cost');
+assertEqual(pollCost(0), 2, 'Listing uploads and video details costs 2 units');
+assertEqual(pollCost(5), 7, 'Each monitored video adds one commentThreads request');
+
+// Test 3: Minimum poll interval
+console.log('\nTest 3: Minimum poll interval');
+// 3000 units, 40% for reads = 1200 units; 7 units per poll = 171 polls a day
+assertEqual(minPollIntervalSeconds(3000, 5), Math.ceil(86400 / 171), 'Spreads the read share of the budget over the day');
+assert(minPollIntervalSeconds(3000, 20) > minPollIntervalSeconds(3000, 5), 'More videos means a longer interval');
+assert(minPollIntervalSeconds(10000, 5) < minPollIntervalSeconds(3000, 5), 'A bigger budget allows faster polling');
+assertEqual(minPollIntervalSeconds(1, 5), 86400, 'A budget too small for one poll waits a full day');
+
+// Test 4: Budget tracking
+console.log('\nTest 4: Budget tracking');
+const morning = new Date('2026-03-02T17:00:00Z');
+const budget = new QuotaBudget(120);
+budget.spend(QUOTA_COSTS.commentsInsert, morning);
+assertEqual(budget.remaining(morning), 70, 'Spending reduces the remaining budget');
+assertEqual(budget.affordable(QUOTA_COSTS.commentsInsert, morning), 1, 'Counts how many replies still fit');
+assert(budget.canSpend(QUOTA_COSTS.commentsInsert, morning), 'Allows spending within the budget');
+budget.spend(QUOTA_COSTS.commentsInsert, morning);
+assert(!budget.canSpend(QUOTA_COSTS.commentsInsert, morning), 'Refuses spending over the budget');
+assertThrows(() => budget.spend(QUOTA_COSTS.commentsInsert, morning), 'Throws when the budget is exhausted');
+const nextDay = new Date('2026-03-03T09:00:00Z');
+assertEqual(budget.remaining(nextDay), 120, 'Resets on the next quota day');
+
+// Summary
+console.log('\n' + '='.repeat(50));
+console.log(`✅ Tests Passed: ${testsPassed}`);
+console.log(`❌ Tests Failed: ${testsFailed}`);
+console.log('='.repeat(50));
+
+if (testsFailed === 0) {
+  console.log('\n🎉 All tests passed! YouTube quota budgeting works correctly.\n');
+  process.exit(0);
+} else {
+  console.log('\n⚠️  Some tests failed. Please review the implementation.\n');
+  process.exit(1);
+}
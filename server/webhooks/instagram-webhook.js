@@ -141,9 +141,12 @@ function handleWebhookEvent(event, entry) {
 
   console.log(`[Webhook] Received event: ${field}`);
 
+  // entry.id is the Instagram account that owns the subscription (recipient of the event)
+  const accountId = entry?.id;
+
   switch (field) {
     case 'comments':
-      handleCommentEvent(value);
+      handleCommentEvent(value, accountId);
       break;
 
     case 'mentions':
@@ -151,7 +154,7 @@ function handleWebhookEvent(event, entry) {
       break;
 
     case 'messages':
-      handleMessageEvent(value);
+      handleMessageEvent(value, accountId);
       break;
 
     case 'messaging_postbacks':
@@ -167,13 +170,14 @@ function handleWebhookEvent(event, entry) {
   }
 }
 
-function handleCommentEvent(value = {}) {
+function handleCommentEvent(value = {}, accountId = null) {
   const commentId = value.id;
   const mediaId = value.media_id || value.media?.id;
   const text = value.text;
   const from = value.from;
 
   console.log('[Webhook] New comment received:', {
+    accountId,
     commentId,
     mediaId,
     from: from?.username || from?.id,
@@ -182,6 +186,7 @@ function handleCommentEvent(value = {}) {
 
   if (global.eventEmitter) {
     global.eventEmitter.emit('instagram:comment', {
+      accountId,
       commentId,
       mediaId,
       text,
@@ -192,7 +197,7 @@ function handleCommentEvent(value = {}) {
   }
 }
 
-function handleMessageEvent(event = {}) {
+function handleMessageEvent(event = {}, accountId = null) {
   const senderId = event.sender?.id;
   const recipientId = event.recipient?.id;
   const message = event.message;
@@ -205,6 +210,7 @@ function handleMessageEvent(event = {}) {
 
   if (global.eventEmitter) {
     global.eventEmitter.emit('instagram:message', {
+      accountId,
       senderId,
       recipientId,
       message,